@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+
+/**
+ * JMF Hosting Discord Bot - Case File Import Script
+ *
+ * Imports the warnings, bans, unbans, kicks, timeouts and notes from the
+ * legacy data/users/*.json case files into the moderation case store.
+ * Entries that were already imported are skipped, so it is safe to run again.
+ *
+ * Usage: npm run db:import-cases -- [guildId]
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ */
+
+const db = require('../src/utils/database');
+const cases = require('../src/modules/cases');
+const config = require('../config.json');
+
+async function main() {
+  const guildId = process.argv[2] || config.guildId;
+  if (!guildId) {
+    console.error('Usage: npm run db:import-cases -- <guildId> (or set guildId in config.json)');
+    process.exit(1);
+  }
+
+  if (!await db.initialize()) {
+    console.error('Could not connect to the database. Is database.enabled set in config.json?');
+    process.exit(1);
+  }
+
+  try {
+    const { files, imported, skipped } = await cases.importLegacyCaseFiles(guildId);
+    console.log(`Read ${files} case file(s): imported ${imported} case(s), skipped ${skipped} already imported.`);
+  } finally {
+    await db.close();
+  }
+}
+
+main().catch((error) => {
+  console.error(`Import failed: ${error.message}`);
+  process.exit(1);
+});
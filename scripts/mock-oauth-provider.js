@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * JMF Hosting Discord Bot - Mock OAuth2 Provider
+ *
+ * A local stand-in for Discord's OAuth2 endpoints, for trying out the
+ * dashboard login without a Discord application. The consent page approves
+ * every login straight away as the given user; with --deny it refuses.
+ *
+ * Usage: npm run dashboard:mock-oauth -- <discord user ID> [port] [--deny]
+ * Then point config.dashboard.oauth at it:
+ *   "authorizeUrl": "http://localhost:<port>/oauth2/authorize",
+ *   "tokenUrl": "http://localhost:<port>/oauth2/token",
+ *   "userUrl": "http://localhost:<port>/users/@me"
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const args = process.argv.slice(2);
+const deny = args.includes('--deny');
+const [userId, port = '4001'] = args.filter((arg) => arg !== '--deny');
+
+if (!/^\d{17,20}$/.test(userId || '')) {
+  console.error('Usage: npm run dashboard:mock-oauth -- <discord user ID> [port] [--deny]');
+  process.exit(1);
+}
+
+// code => { clientId, redirectUri }, access token => true
+const codes = new Map();
+const tokens = new Set();
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - The response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - The body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${port}`);
+  let body = '';
+
+  req.on('data', (chunk) => {
+    body += chunk;
+  });
+
+  req.on('end', () => {
+    if (req.method === 'GET' && url.pathname === '/oauth2/authorize') {
+      const redirectUri = url.searchParams.get('redirect_uri');
+      const state = url.searchParams.get('state');
+
+      if (!redirectUri) {
+        return sendJson(res, 400, { error: 'invalid_request' });
+      }
+
+      const target = new URL(redirectUri);
+      target.searchParams.set('state', state || '');
+
+      if (deny) {
+        target.searchParams.set('error', 'access_denied');
+      } else {
+        const code = crypto.randomBytes(12).toString('hex');
+        codes.set(code, { clientId: url.searchParams.get('client_id'), redirectUri });
+        target.searchParams.set('code', code);
+      }
+
+      console.log(`${new Date().toISOString()} authorize ${deny ? 'denied' : 'approved'} for ${userId}`);
+      return res.writeHead(302, { Location: target.toString() }).end();
+    }
+
+    if (req.method === 'POST' && url.pathname === '/oauth2/token') {
+      const params = new URLSearchParams(body);
+      const grant = codes.get(params.get('code'));
+      codes.delete(params.get('code'));
+
+      if (!grant || grant.clientId !== params.get('client_id') || grant.redirectUri !== params.get('redirect_uri')) {
+        console.log(`${new Date().toISOString()} token request rejected`);
+        return sendJson(res, 400, { error: 'invalid_grant' });
+      }
+
+      const accessToken = crypto.randomBytes(16).toString('hex');
+      tokens.add(accessToken);
+
+      return sendJson(res, 200, { access_token: accessToken, token_type: 'Bearer', expires_in: 604800, scope: 'identify' });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/users/@me') {
+      const [, accessToken] = (req.headers.authorization || '').split(' ');
+
+      if (!tokens.has(accessToken)) {
+        return sendJson(res, 401, { message: '401: Unauthorized' });
+      }
+
+      return sendJson(res, 200, { id: userId, username: 'mock-user', global_name: 'Mock User', avatar: null });
+    }
+
+    sendJson(res, 404, { message: 'Not found' });
+  });
+});
+
+server.listen(Number(port), () => {
+  console.log(`Mock OAuth2 provider listening on http://localhost:${port}/, signing in as ${userId}${deny ? ' (denying logins)' : ''}`);
+});
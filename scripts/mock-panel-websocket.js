@@ -0,0 +1,379 @@
+#!/usr/bin/env node
+
+/**
+ * JMF Hosting Discord Bot - Mock Panel Console
+ *
+ * A local stand-in for the parts of Pterodactyl the console streaming,
+ * server alerts, backups and status monitor use: the client API's account,
+ * server, websocket, command, power, resources, activity and backup
+ * endpoints, and a daemon websocket speaking the same protocol (auth, send
+ * logs, send command, console output, status, token expiring). It runs one
+ * Minecraft-like server that logs a line every few seconds.
+ *
+ * Console commands the mock understands: `list`, `say <text>`, `flood`
+ * (500 lines at once, to see the batching), `load [off]` (high CPU and
+ * memory usage) and `crash`; anything else is echoed as an unknown command.
+ * Power signals go to the power endpoint and show up in the activity log.
+ * Backups take five seconds, up to the limit of 5; a backup named `fail`
+ * fails.
+ *
+ * Usage: npm run console:mock -- [port=4002] [--token-ttl=<seconds>]
+ * Then start the bot with:
+ *   PTERODACTYL_API_URL=http://localhost:<port>/api/client
+ *   PTERODACTYL_API_KEY=<anything>
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+
+const args = process.argv.slice(2);
+const ttlArg = args.find((arg) => arg.startsWith('--token-ttl='));
+const [port = '4002'] = args.filter((arg) => !arg.startsWith('--'));
+const tokenTtl = (ttlArg ? Number(ttlArg.split('=')[1]) : 600) * 1000;
+
+const SERVER = {
+  identifier: 'a1b2c3d4',
+  uuid: 'a1b2c3d4-0000-4000-8000-000000000000',
+  name: 'Mock Survival',
+  description: 'Minecraft mock server',
+  node: 'Mock Node',
+  is_suspended: false,
+  limits: { memory: 4096, cpu: 200, disk: 10240 },
+  feature_limits: { databases: 1, allocations: 1, backups: 5 },
+};
+
+// token => expiry
+const tokens = new Map();
+const history = [];
+const activity = [];
+const backups = [];
+let state = 'running';
+let startedAt = Date.now();
+let load = false;
+let tick = 0;
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - The response
+ * @param {number} status - HTTP status code
+ * @param {Object} [body] - The body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' }).end(body ? JSON.stringify(body) : undefined);
+}
+
+/**
+ * Send a frame to every authenticated socket
+ * @param {string} event - The event
+ * @param {*} arg - Its argument
+ */
+function broadcast(event, arg) {
+  for (const ws of sockets.clients) {
+    if (ws.authenticated) ws.send(JSON.stringify({ event, args: [arg] }));
+  }
+}
+
+/**
+ * Log a console line, like the daemon would with a timestamp
+ * @param {string} message - The line
+ */
+function log(message) {
+  const line = `[${new Date().toTimeString().slice(0, 8)}] [Server thread/INFO]: ${message}`;
+  history.push(line);
+  if (history.length > 100) history.shift();
+  broadcast('console output', line);
+}
+
+/**
+ * Change the power state
+ * @param {string} next - The new state
+ */
+function setState(next) {
+  if (next === 'running') startedAt = Date.now();
+  if (next === 'offline') load = false;
+  state = next;
+  broadcast('status', state);
+}
+
+/**
+ * Handle a power signal
+ * @param {string} signal - start, stop, restart or kill
+ */
+function sendPower(signal) {
+  console.log(`${new Date().toISOString()} power: ${signal}`);
+  activity.unshift({ event: `server:power.${signal}`, timestamp: new Date().toISOString() });
+
+  if (signal === 'kill' || signal === 'stop') {
+    if (signal === 'stop') log('Stopping the server');
+    setState('offline');
+  }
+
+  if (signal === 'start' || signal === 'restart') {
+    setState('starting');
+    setTimeout(() => {
+      log('Done (3.2s)! For help, type "help"');
+      setState('running');
+    }, 2000);
+  }
+}
+
+/**
+ * Run a console command
+ * @param {string} command - The command
+ */
+function runCommand(command) {
+  console.log(`${new Date().toISOString()} command: ${command}`);
+  log(`> ${command}`);
+
+  if (state !== 'running') {
+    return log('Server is not running');
+  }
+
+  const [name, ...rest] = command.split(' ');
+
+  if (name === 'list') {
+    log('There are 2 of a max of 20 players online: Steve, Alex');
+  } else if (name === 'say') {
+    log(`[Server] ${rest.join(' ')}`);
+  } else if (name === 'flood') {
+    for (let i = 1; i <= 500; i++) log(`Flood line ${i} of 500`);
+  } else if (name === 'load') {
+    load = rest[0] !== 'off';
+    log(load ? 'Spawning 5000 entities' : 'Killed 5000 entities');
+  } else if (name === 'crash') {
+    log('\u001b[31mException in server tick loop\u001b[0m');
+    log('java.lang.OutOfMemoryError: Java heap space');
+    setState('offline');
+  } else {
+    log('Unknown command. Type "/help" for help.');
+  }
+}
+
+/**
+ * Handle the backup endpoints
+ * @param {http.IncomingMessage} req - The request
+ * @param {http.ServerResponse} res - The response
+ * @param {string} [backupId] - The backup UUID
+ * @param {string} [action] - /download or /restore
+ * @param {string} body - The request body
+ */
+function handleBackups(req, res, backupId, action, body) {
+  if (!backupId && req.method === 'GET') {
+    return sendJson(res, 200, { object: 'list', data: backups.map((attributes) => ({ object: 'backup', attributes })) });
+  }
+
+  if (!backupId && req.method === 'POST') {
+    if (backups.length >= SERVER.feature_limits.backups) {
+      return sendJson(res, 400, { errors: [{ code: 'TooManyBackupsException', detail: 'This server has reached its backup limit.' }] });
+    }
+
+    const { name, is_locked: locked } = JSON.parse(body || '{}');
+    const backup = {
+      uuid: crypto.randomUUID(),
+      name: name || `Backup at ${new Date().toISOString()}`,
+      ignored_files: [],
+      checksum: null,
+      bytes: 0,
+      created_at: new Date().toISOString(),
+      completed_at: null,
+      is_successful: false,
+      is_locked: Boolean(locked),
+    };
+
+    backups.push(backup);
+    console.log(`${new Date().toISOString()} backup started: ${backup.name}`);
+    setTimeout(() => {
+      backup.completed_at = new Date().toISOString();
+      backup.is_successful = backup.name !== 'fail';
+      backup.bytes = backup.is_successful ? 2500 * 1024 * 1024 : 0;
+      backup.checksum = backup.is_successful ? `sha1:${crypto.randomBytes(20).toString('hex')}` : null;
+    }, 5000);
+
+    return sendJson(res, 200, { object: 'backup', attributes: backup });
+  }
+
+  const backup = backups.find((entry) => entry.uuid === backupId);
+  if (!backup) {
+    return sendJson(res, 404, { errors: [{ code: 'NotFoundHttpException', detail: 'The requested resource could not be found on the server.' }] });
+  }
+
+  if (req.method === 'GET' && !action) {
+    return sendJson(res, 200, { object: 'backup', attributes: backup });
+  }
+
+  if (req.method === 'GET' && action === '/download') {
+    return sendJson(res, 200, { object: 'signed_url', attributes: { url: `http://localhost:${port}/download/backup?token=${backup.uuid}` } });
+  }
+
+  if (req.method === 'POST' && action === '/restore') {
+    const { truncate } = JSON.parse(body || '{}');
+    console.log(`${new Date().toISOString()} backup restored: ${backup.name}${truncate ? ' (truncated)' : ''}`);
+    log(`Restoring backup ${backup.name}`);
+    return sendJson(res, 204);
+  }
+
+  if (req.method === 'DELETE' && !action) {
+    if (backup.is_locked) {
+      return sendJson(res, 400, { errors: [{ code: 'BadRequestHttpException', detail: 'Cannot delete a backup that is marked as locked.' }] });
+    }
+    backups.splice(backups.indexOf(backup), 1);
+    console.log(`${new Date().toISOString()} backup deleted: ${backup.name}`);
+    return sendJson(res, 204);
+  }
+
+  sendJson(res, 404, { errors: [{ detail: 'Not found' }] });
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${port}`);
+  let body = '';
+
+  req.on('data', (chunk) => {
+    body += chunk;
+  });
+
+  req.on('end', () => {
+    if (!/^Bearer .+/.test(req.headers.authorization || '')) {
+      return sendJson(res, 401, { errors: [{ code: 'AuthenticationException', detail: 'Unauthenticated.' }] });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/api/client/account') {
+      return sendJson(res, 200, { object: 'user', attributes: { id: 1, admin: true, username: 'mock', email: 'mock@example.com' } });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/api/client/servers') {
+      return sendJson(res, 200, { object: 'list', data: [{ object: 'server', attributes: SERVER }] });
+    }
+
+    const backupMatch = url.pathname.match(/^\/api\/client\/servers\/([^/]+)\/backups(?:\/([^/]+)(\/download|\/restore)?)?$/);
+    if (backupMatch && backupMatch[1] === SERVER.identifier) {
+      return handleBackups(req, res, backupMatch[2], backupMatch[3], body);
+    }
+
+    const match = url.pathname.match(/^\/api\/client\/servers\/([^/]+)(\/[a-z]+)?$/);
+    if (!match || match[1] !== SERVER.identifier) {
+      return sendJson(res, 404, { errors: [{ code: 'NotFoundHttpException', detail: 'The requested resource could not be found on the server.' }] });
+    }
+
+    if (req.method === 'GET' && !match[2]) {
+      return sendJson(res, 200, { object: 'server', attributes: SERVER });
+    }
+
+    if (req.method === 'GET' && match[2] === '/websocket') {
+      const token = crypto.randomBytes(16).toString('hex');
+      tokens.set(token, Date.now() + tokenTtl);
+      return sendJson(res, 200, { data: { token, socket: `ws://localhost:${port}/api/servers/${SERVER.uuid}/ws` } });
+    }
+
+    if (req.method === 'GET' && match[2] === '/resources') {
+      const running = state === 'running';
+      return sendJson(res, 200, {
+        object: 'stats',
+        attributes: {
+          current_state: state,
+          is_suspended: false,
+          resources: {
+            memory_bytes: running ? (load ? 3900 : 1800) * 1024 * 1024 : 0,
+            cpu_absolute: running ? (load ? 195 : 25) : 0,
+            disk_bytes: 2500 * 1024 * 1024,
+            network_rx_bytes: 0,
+            network_tx_bytes: 0,
+            uptime: running ? Date.now() - startedAt : 0,
+          },
+        },
+      });
+    }
+
+    if (req.method === 'GET' && match[2] === '/activity') {
+      return sendJson(res, 200, { object: 'list', data: activity.slice(0, 25).map((attributes) => ({ object: 'activity_log', attributes })) });
+    }
+
+    if (req.method === 'POST' && match[2] === '/command') {
+      const { command } = JSON.parse(body || '{}');
+      if (state !== 'running') {
+        return sendJson(res, 502, { errors: [{ code: 'HttpException', detail: 'Server must be online in order to send commands.' }] });
+      }
+      runCommand(String(command || ''));
+      return sendJson(res, 204);
+    }
+
+    if (req.method === 'POST' && match[2] === '/power') {
+      const { signal } = JSON.parse(body || '{}');
+      if (!['start', 'stop', 'restart', 'kill'].includes(signal)) {
+        return sendJson(res, 422, { errors: [{ code: 'ValidationException', detail: 'The selected signal is invalid.' }] });
+      }
+      sendPower(signal);
+      return sendJson(res, 204);
+    }
+
+    sendJson(res, 404, { errors: [{ detail: 'Not found' }] });
+  });
+});
+
+const sockets = new WebSocketServer({ server, path: `/api/servers/${SERVER.uuid}/ws` });
+
+sockets.on('connection', (ws) => {
+  const send = (event, arg) => ws.send(JSON.stringify({ event, args: [arg] }));
+  console.log(`${new Date().toISOString()} console connected`);
+
+  ws.on('message', (raw) => {
+    let frame;
+    try {
+      frame = JSON.parse(raw.toString());
+    } catch (error) {
+      return;
+    }
+
+    const [arg] = frame.args || [];
+
+    if (frame.event === 'auth') {
+      const expiresAt = tokens.get(arg);
+      if (!expiresAt || expiresAt < Date.now()) {
+        return send('jwt error', 'jwt: invalid token');
+      }
+
+      ws.authenticated = true;
+      ws.expiresAt = expiresAt;
+      ws.warned = false;
+      send('auth success');
+      send('status', state);
+    } else if (!ws.authenticated) {
+      send('jwt error', 'jwt: not authenticated');
+    } else if (frame.event === 'send logs') {
+      history.forEach((line) => send('console output', line));
+    } else if (frame.event === 'send command') {
+      runCommand(String(arg || ''));
+    }
+  });
+
+  ws.on('close', () => console.log(`${new Date().toISOString()} console disconnected`));
+});
+
+// Log something every few seconds and expire tokens like the daemon does
+setInterval(() => {
+  if (state === 'running' && ++tick % 3 === 0) {
+    log(`Saved the game (autosave ${tick / 3})`);
+  }
+
+  for (const ws of sockets.clients) {
+    if (!ws.authenticated) continue;
+
+    if (ws.expiresAt < Date.now()) {
+      ws.send(JSON.stringify({ event: 'token expired', args: [] }));
+      ws.close();
+    } else if (!ws.warned && ws.expiresAt - Date.now() < Math.min(60000, tokenTtl / 2)) {
+      ws.warned = true;
+      ws.send(JSON.stringify({ event: 'token expiring', args: [] }));
+    }
+  }
+}, 2000);
+
+server.listen(Number(port), () => {
+  log('Starting minecraft server version 1.20.4');
+  log('Done (4.1s)! For help, type "help"');
+  console.log(`Mock panel console listening on http://localhost:${port}/, server ${SERVER.identifier} (${SERVER.name})`);
+});
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+
+/**
+ * JMF Hosting Discord Bot - Webhook Test Receiver
+ *
+ * A local HTTP server for trying out webhook subscriptions. It checks the
+ * signature of every delivery and prints it. With --fail it answers 500 so
+ * retries and the dead-letter queue can be tested.
+ *
+ * Usage: npm run webhooks:receiver -- <secret> [port] [--fail]
+ * Then register http://localhost:<port>/ as a webhook URL.
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ */
+
+const http = require('http');
+const { verifySignature } = require('../src/modules/webhooks');
+
+const args = process.argv.slice(2);
+const fail = args.includes('--fail');
+const [secret, port = '4000'] = args.filter((arg) => arg !== '--fail');
+
+if (!secret) {
+  console.error('Usage: npm run webhooks:receiver -- <secret> [port] [--fail]');
+  process.exit(1);
+}
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => {
+    body += chunk;
+  });
+
+  req.on('end', () => {
+    const timestamp = req.headers['x-jmf-timestamp'];
+    const valid = verifySignature(secret, timestamp, body, req.headers['x-jmf-signature']);
+
+    console.log(`${new Date().toISOString()} ${req.headers['x-jmf-event']} ${req.headers['x-jmf-delivery']} signature ${valid ? 'valid' : 'INVALID'}`);
+    console.log(body);
+
+    if (!valid) {
+      res.writeHead(401).end();
+    } else if (fail) {
+      res.writeHead(500).end();
+    } else {
+      res.writeHead(204).end();
+    }
+  });
+});
+
+server.listen(Number(port), () => {
+  console.log(`Webhook receiver listening on http://localhost:${port}/${fail ? ' (answering 500)' : ''}`);
+});
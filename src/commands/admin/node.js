@@ -8,9 +8,10 @@
  * LICENSE file in the root directory of this source tree.
  */
 
-const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits, AttachmentBuilder } = require('discord.js');
 const fs = require('fs/promises');
 const path = require('path');
+const uptimeHistory = require('../../modules/uptimeHistory');
 
 class NodeStatusManager {
   constructor(managers) {
@@ -68,8 +69,9 @@ class NodeStatusManager {
    * @param {string} location - The node location
    * @param {string} reason - The reason for the status
    * @param {string} description - The node description
+   * @param {string} url - The URL the status monitor probes, kept when not given
    */
-  async updateNode(interaction, nodeId, status, location, reason, description) {
+  async updateNode(interaction, nodeId, status, location, reason, description, url) {
     // Load current nodes data
     const nodes = await this.loadNodesData();
     
@@ -80,6 +82,7 @@ class NodeStatusManager {
       location,
       reason: reason || '',
       description: description || '',
+      url: url || nodes[nodeId]?.url || null,
       lastUpdated: new Date().toISOString(),
       updatedBy: interaction.user.tag
     };
@@ -341,6 +344,12 @@ module.exports = {
             .setDescription('The node description')
             .setRequired(false)
         )
+        .addStringOption(option =>
+          option
+            .setName('url')
+            .setDescription('URL to probe for uptime history, like the daemon\'s https://host:8080')
+            .setRequired(false)
+        )
     )
     .addSubcommand(subcommand =>
       subcommand
@@ -352,6 +361,17 @@ module.exports = {
         .setName('refresh')
         .setDescription('Refresh the node status embed')
     )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('uptime')
+        .setDescription('Show a node\'s uptime and latency history')
+        .addStringOption(option =>
+          option
+            .setName('id')
+            .setDescription('The node ID, or "panel" for the panel')
+            .setRequired(true)
+        )
+    )
     .addSubcommand(subcommand =>
       subcommand
         .setName('remove')
@@ -388,6 +408,8 @@ module.exports = {
         await this.handleRefreshNodeEmbed(interaction);
       } else if (subcommand === 'remove') {
         await this.handleRemoveNode(interaction);
+      } else if (subcommand === 'uptime') {
+        await this.handleNodeUptime(interaction);
       }
     } catch (error) {
       logger.error('commands', `Error in node command: ${error.message}`, error.stack);
@@ -409,9 +431,17 @@ module.exports = {
     const location = interaction.options.getString('location');
     const reason = interaction.options.getString('reason');
     const description = interaction.options.getString('description');
+    const url = interaction.options.getString('url');
     
     await interaction.deferReply({ ephemeral: true });
     
+    if (url && !/^https?:\/\/\S+$/i.test(url)) {
+      return interaction.editReply({
+        content: '❌ The URL must start with http:// or https://',
+        ephemeral: true
+      });
+    }
+    
     try {
       const node = await this.nodeStatusManager.updateNode(
         interaction,
@@ -419,7 +449,8 @@ module.exports = {
         status,
         location,
         reason,
-        description
+        description,
+        url
       );
       
       return interaction.editReply({
@@ -539,5 +570,90 @@ module.exports = {
         ephemeral: true
       });
     }
+  },
+  
+  /**
+   * Handle the node uptime subcommand
+   * @param {Object} interaction - The interaction object
+   */
+  async handleNodeUptime(interaction) {
+    const nodeId = interaction.options.getString('id');
+    const isPanel = nodeId.toLowerCase() === 'panel';
+    
+    await interaction.deferReply({ ephemeral: true });
+    
+    try {
+      const nodes = await this.nodeStatusManager.loadNodesData();
+      
+      if (!isPanel && !nodes[nodeId]) {
+        return interaction.editReply({
+          content: `❌ Node ${nodeId} not found.`,
+          ephemeral: true
+        });
+      }
+      
+      const target = isPanel ? 'panel' : `node:${nodeId}`;
+      const stats = await uptimeHistory.getStats(target);
+      
+      if (!stats.last) {
+        return interaction.editReply({
+          content: isPanel || nodes[nodeId].url
+            ? `No probes have been recorded for ${isPanel ? 'the panel' : `node ${nodeId}`} yet.`
+            : `Node ${nodeId} has no URL to probe. Add one with \`/node update\` and the \`url\` option.`,
+          ephemeral: true
+        });
+      }
+      
+      const embed = new EmbedBuilder()
+        .setTitle(`${isPanel ? 'Panel' : `Node ${nodeId}`} Uptime`)
+        .setDescription(`${stats.last.online ? '🟢 Online' : '🔴 Offline'} at the last probe <t:${Math.floor(stats.last.checkedAt / 1000)}:R>${stats.last.error ? `: ${stats.last.error}` : ''}`)
+        .setColor(stats.last.online ? '#00ff00' : '#ff0000')
+        .setImage('attachment://uptime.png')
+        .setTimestamp();
+      
+      for (const [name, window] of Object.entries(stats.windows)) {
+        embed.addFields({
+          name: `Last ${name}`,
+          value: window.probes === 0
+            ? 'No probes'
+            : [
+              `**${window.uptime.toFixed(2)}%** uptime`,
+              `p50 ${formatLatency(window.latency.p50)}`,
+              `p95 ${formatLatency(window.latency.p95)}`,
+              `p99 ${formatLatency(window.latency.p99)}`,
+              `${window.probes} probes`
+            ].join('\n'),
+          inline: true
+        });
+      }
+      
+      const image = uptimeHistory.renderSparklines([
+        { label: 'Last 24h', series: await uptimeHistory.getSeries(target), uptime: stats.windows['24h'].uptime },
+        { label: 'Last 7d', series: await uptimeHistory.getSeries(target, { window: uptimeHistory.WINDOWS['7d'], buckets: 56 }), uptime: stats.windows['7d'].uptime },
+        { label: 'Last 30d', series: await uptimeHistory.getSeries(target, { window: uptimeHistory.WINDOWS['30d'], buckets: 60 }), uptime: stats.windows['30d'].uptime }
+      ]);
+      
+      return interaction.editReply({
+        embeds: [embed],
+        files: [new AttachmentBuilder(image, { name: 'uptime.png' })],
+        ephemeral: true
+      });
+    } catch (error) {
+      global.managers.logger.error('commands', `Error showing node uptime: ${error.message}`, error.stack);
+      
+      return interaction.editReply({
+        content: `❌ An error occurred while loading the uptime history: ${error.message}`,
+        ephemeral: true
+      });
+    }
   }
-}; 
\ No newline at end of file
+};
+
+/**
+ * Format a latency
+ * @param {number|null} latency - Milliseconds
+ * @returns {string} The formatted latency
+ */
+function formatLatency(latency) {
+  return latency === null ? 'N/A' : `${latency}ms`;
+}
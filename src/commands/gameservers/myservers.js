@@ -0,0 +1,176 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const serverAccess = require('../../modules/serverAccess');
+const gameServers = require('../../modules/gameServers');
+const { formatBytes } = require('../../utils');
+const { formatDuration } = require('../../utils/timeUtils');
+const logger = require('../../utils/logger');
+const config = require('../../../config.json');
+
+const serverOption = (option) =>
+  option.setName('server')
+    .setDescription('One of your servers')
+    .setRequired(true)
+    .setAutocomplete(true);
+
+const POWER_LABELS = {
+  start: 'Starting',
+  stop: 'Stopping',
+  restart: 'Restarting',
+};
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('myservers')
+    .setDescription('Control the game servers of your linked panel account')
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('list')
+        .setDescription('List the servers you own or are a subuser on'),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('start')
+        .setDescription('Start one of your servers')
+        .addStringOption(serverOption),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('stop')
+        .setDescription('Stop one of your servers')
+        .addStringOption(serverOption),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('restart')
+        .setDescription('Restart one of your servers')
+        .addStringOption(serverOption),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('console')
+        .setDescription('Send a console command to one of your servers')
+        .addStringOption(serverOption)
+        .addStringOption((option) =>
+          option.setName('command')
+            .setDescription('The command to run')
+            .setRequired(true)
+            .setMaxLength(500),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('resources')
+        .setDescription('Show the resource usage of one of your servers')
+        .addStringOption(serverOption),
+    ),
+
+  async execute(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+    const serverId = interaction.options.getString('server');
+
+    try {
+      await interaction.deferReply({ ephemeral: true });
+
+      if (subcommand === 'list') {
+        await showServers(interaction);
+      } else if (POWER_LABELS[subcommand]) {
+        const server = await serverAccess.sendPowerSignal(interaction.user.id, serverId, subcommand);
+        await interaction.editReply({ content: `✅ ${POWER_LABELS[subcommand]} **${server.name}**.` });
+      } else if (subcommand === 'console') {
+        const command = interaction.options.getString('command');
+        const server = await serverAccess.sendCommand(interaction.user.id, serverId, command);
+        await interaction.editReply({ content: `✅ Sent \`${command.replace(/`/g, '\'')}\` to **${server.name}**.` });
+      } else if (subcommand === 'resources') {
+        await showResources(interaction, serverId);
+      }
+    } catch (error) {
+      if (!error.status) {
+        logger.error(`Error executing myservers ${subcommand}: ${error.message}`);
+      }
+
+      const reply = { content: `❌ ${error.message}`, embeds: [] };
+      if (interaction.replied || interaction.deferred) {
+        await interaction.editReply(reply).catch(() => {});
+      } else {
+        await interaction.reply({ ...reply, ephemeral: true }).catch(() => {});
+      }
+    }
+  },
+
+  async autocomplete(interaction) {
+    try {
+      const focused = interaction.options.getFocused().toLowerCase();
+      const servers = await serverAccess.getServers(interaction.user.id);
+
+      await interaction.respond(servers
+        .filter((server) => server.name.toLowerCase().includes(focused) || server.serverId.toLowerCase().includes(focused))
+        .slice(0, 25)
+        .map((server) => ({
+          name: `${server.name} (${server.serverId})${server.level === 'subuser' ? ' · subuser' : ''}`.slice(0, 100),
+          value: server.serverId,
+        })));
+    } catch (error) {
+      if (!error.status) {
+        logger.error(`Error in myservers autocomplete: ${error.message}`);
+      }
+      await interaction.respond([]).catch(() => {});
+    }
+  },
+};
+
+async function showServers(interaction) {
+  const servers = await serverAccess.getServers(interaction.user.id, { refresh: true });
+  const states = await serverAccess.getStates(interaction.user.id, servers.slice(0, 25).map((server) => server.serverId));
+
+  const lines = servers.slice(0, 25).map((server) => {
+    const state = states.get(server.serverId);
+    return `${gameServers.getStatusEmoji(state)} **${server.name}** \`${server.serverId}\` · ${server.level} · ${state}`;
+  });
+
+  if (servers.length > 25) {
+    lines.push(`…and ${servers.length - 25} more`);
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle('🖥️ Your Servers')
+    .setColor(config.embedColor || '#00AAFF')
+    .setDescription(lines.length > 0
+      ? lines.join('\n')
+      : 'Your panel account does not own and is not a subuser on any server.')
+    .setFooter({ text: config.footerText })
+    .setTimestamp();
+
+  await interaction.editReply({ embeds: [embed] });
+}
+
+async function showResources(interaction, serverId) {
+  const { server, access, state, resources } = await serverAccess.getResources(interaction.user.id, serverId);
+  const limits = server.limits || {};
+
+  const embed = new EmbedBuilder()
+    .setTitle(`${server.name} Resources`)
+    .setColor(config.embedColor || '#00AAFF')
+    .addFields(
+      { name: 'Status', value: `${gameServers.getStatusEmoji(state)} ${state}`, inline: true },
+      { name: 'Access', value: access.level === 'owner' ? 'Owner' : 'Subuser', inline: true },
+      { name: 'Uptime', value: resources.uptime ? formatDuration(resources.uptime) : 'Offline', inline: true },
+      { name: 'CPU', value: `${resources.cpu_absolute.toFixed(2)}% / ${limits.cpu ? `${limits.cpu}%` : 'Unlimited'}`, inline: true },
+      { name: 'Memory', value: `${formatBytes(resources.memory_bytes)} / ${limits.memory ? `${limits.memory} MB` : 'Unlimited'}`, inline: true },
+      { name: 'Disk', value: `${formatBytes(resources.disk_bytes)} / ${limits.disk ? `${limits.disk} MB` : 'Unlimited'}`, inline: true },
+      { name: 'Network', value: `⬇️ ${formatBytes(resources.network_rx_bytes)} ⬆️ ${formatBytes(resources.network_tx_bytes)}`, inline: true },
+    )
+    .setFooter({ text: `${server.identifier} · ${config.footerText}` })
+    .setTimestamp();
+
+  await interaction.editReply({ embeds: [embed] });
+}
@@ -0,0 +1,326 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const serverConsole = require('../../modules/serverConsole');
+const serverBackups = require('../../modules/serverBackups');
+const gameServers = require('../../modules/gameServers');
+const { formatBytes } = require('../../utils');
+const logger = require('../../utils/logger');
+const config = require('../../../config.json');
+
+const serverOption = (option) =>
+  option.setName('server')
+    .setDescription('The game server')
+    .setRequired(true)
+    .setAutocomplete(true);
+
+const backupOption = (option) =>
+  option.setName('backup')
+    .setDescription('The backup')
+    .setRequired(true)
+    .setAutocomplete(true);
+
+const BACKUP_STATUS_EMOJIS = {
+  completed: '✅',
+  pending: '⏳',
+  failed: '❌',
+};
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('server')
+    .setDescription('Manage game servers on the panel (staff)')
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('console')
+        .setDescription('Stream a server\'s console into a private thread')
+        .addStringOption(serverOption),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('command')
+        .setDescription('Send a command to a server\'s console')
+        .addStringOption(serverOption)
+        .addStringOption((option) =>
+          option.setName('command')
+            .setDescription('The command to run')
+            .setRequired(true)
+            .setMaxLength(500),
+        ),
+    )
+    .addSubcommandGroup((group) =>
+      group
+        .setName('backup')
+        .setDescription('Manage a server\'s backups')
+        .addSubcommand((subcommand) =>
+          subcommand
+            .setName('create')
+            .setDescription('Back a server up')
+            .addStringOption(serverOption)
+            .addStringOption((option) =>
+              option.setName('name')
+                .setDescription('Name of the backup')
+                .setMaxLength(100),
+            )
+            .addBooleanOption((option) =>
+              option.setName('locked')
+                .setDescription('Protect the backup from deletion'),
+            ),
+        )
+        .addSubcommand((subcommand) =>
+          subcommand
+            .setName('list')
+            .setDescription('List a server\'s backups and backup schedule')
+            .addStringOption(serverOption),
+        )
+        .addSubcommand((subcommand) =>
+          subcommand
+            .setName('restore')
+            .setDescription('Restore a backup over a server\'s files')
+            .addStringOption(serverOption)
+            .addStringOption(backupOption)
+            .addBooleanOption((option) =>
+              option.setName('truncate')
+                .setDescription('Delete every file on the server before restoring'),
+            ),
+        )
+        .addSubcommand((subcommand) =>
+          subcommand
+            .setName('delete')
+            .setDescription('Delete a backup')
+            .addStringOption(serverOption)
+            .addStringOption(backupOption),
+        )
+        .addSubcommand((subcommand) =>
+          subcommand
+            .setName('download')
+            .setDescription('Get a download link for a backup')
+            .addStringOption(serverOption)
+            .addStringOption(backupOption),
+        )
+        .addSubcommand((subcommand) =>
+          subcommand
+            .setName('schedule')
+            .setDescription('Back a server up on a schedule, keeping the newest scheduled backups')
+            .addStringOption(serverOption)
+            .addIntegerOption((option) =>
+              option.setName('every')
+                .setDescription('Hours between backups')
+                .setRequired(true)
+                .setMinValue(1)
+                .setMaxValue(720),
+            )
+            .addIntegerOption((option) =>
+              option.setName('keep')
+                .setDescription('Scheduled backups to keep')
+                .setRequired(true)
+                .setMinValue(1)
+                .setMaxValue(50),
+            ),
+        )
+        .addSubcommand((subcommand) =>
+          subcommand
+            .setName('unschedule')
+            .setDescription('Stop a server\'s scheduled backups, keeping existing backups')
+            .addStringOption(serverOption),
+        ),
+    ),
+
+  async execute(interaction) {
+    const group = interaction.options.getSubcommandGroup(false);
+    const subcommand = interaction.options.getSubcommand();
+    const serverId = interaction.options.getString('server');
+
+    try {
+      if (!interaction.member || !gameServers.hasServerPermission(interaction.member)) {
+        return interaction.reply({ content: '❌ Only staff can manage game servers.', ephemeral: true });
+      }
+
+      await interaction.deferReply({ ephemeral: true });
+
+      if (group === 'backup') {
+        await handleBackup(interaction, subcommand, serverId);
+      } else if (subcommand === 'console') {
+        const { session, existing } = await serverConsole.open(interaction, serverId);
+
+        await interaction.editReply({
+          content: existing
+            ? `The console of **${session.name}** is already streaming in <#${session.thread.id}>.`
+            : `✅ Streaming the console of **${session.name}** in <#${session.thread.id}>.`,
+        });
+      } else if (subcommand === 'command') {
+        const command = interaction.options.getString('command');
+        const { via } = await serverConsole.runCommand(serverId, command, {
+          user: interaction.user,
+          guildId: interaction.guild ? interaction.guild.id : null,
+        });
+
+        await interaction.editReply({
+          content: `✅ Sent \`${command.trim().replace(/`/g, '\'')}\` to \`${serverId}\`${via === 'stream' ? ', the output is in the console thread' : ''}.`,
+        });
+      }
+    } catch (error) {
+      if (!error.status) {
+        logger.error(`Error executing server ${group ? `${group} ` : ''}${subcommand}: ${error.message}`);
+      }
+
+      const reply = { content: `❌ ${error.message}`, embeds: [], components: [] };
+      if (interaction.replied || interaction.deferred) {
+        await interaction.editReply(reply).catch(() => {});
+      } else {
+        await interaction.reply({ ...reply, ephemeral: true }).catch(() => {});
+      }
+    }
+  },
+
+  async autocomplete(interaction) {
+    try {
+      if (!interaction.member || !gameServers.hasServerPermission(interaction.member)) {
+        return interaction.respond([]);
+      }
+
+      const focusedOption = interaction.options.getFocused(true);
+      if (focusedOption.name === 'backup') {
+        return await completeBackups(interaction, focusedOption.value.toLowerCase());
+      }
+
+      const focused = focusedOption.value.toLowerCase();
+      const servers = await gameServers.fetchAllServers();
+
+      if (!servers || !servers.data) {
+        return interaction.respond([]);
+      }
+
+      await interaction.respond(servers.data
+        .map((server) => server.attributes)
+        .filter((server) => server.name.toLowerCase().includes(focused) || server.identifier.toLowerCase().includes(focused))
+        .slice(0, 25)
+        .map((server) => ({ name: `${server.name} (${server.identifier})`.slice(0, 100), value: server.identifier })));
+    } catch (error) {
+      logger.error(`Error in server autocomplete: ${error.message}`);
+      await interaction.respond([]).catch(() => {});
+    }
+  },
+};
+
+async function handleBackup(interaction, subcommand, serverId) {
+  const backupId = interaction.options.getString('backup');
+
+  if (subcommand === 'create') {
+    const backup = await serverBackups.create(serverId, {
+      name: interaction.options.getString('name'),
+      locked: interaction.options.getBoolean('locked') || false,
+      userId: interaction.user.id,
+    });
+
+    await interaction.editReply({
+      content: `✅ Backing up \`${serverId}\` as **${backup.name}**. You'll get a DM when it finishes.`,
+    });
+  } else if (subcommand === 'list') {
+    await showBackups(interaction, serverId);
+  } else if (subcommand === 'restore') {
+    const truncate = interaction.options.getBoolean('truncate') || false;
+
+    await interaction.editReply({
+      content: [
+        `⚠️ Restore backup \`${backupId}\` on \`${serverId}\`?`,
+        truncate
+          ? 'Every file on the server is **deleted** first.'
+          : 'Files in the backup overwrite the server\'s files, other files are kept.',
+        'The server is stopped while the backup is restored.',
+      ].join('\n'),
+      components: [serverBackups.buildRestoreRow(serverId, backupId, truncate)],
+    });
+  } else if (subcommand === 'delete') {
+    const backup = await serverBackups.delete(serverId, backupId, interaction.user.id);
+    await interaction.editReply({ content: `🗑️ Deleted **${backup.name}** of \`${serverId}\`.` });
+  } else if (subcommand === 'download') {
+    const { backup, url } = await serverBackups.getDownloadUrl(serverId, backupId);
+
+    await interaction.editReply({
+      content: `📦 **${backup.name}** (${formatBytes(backup.size)}). The link works for 15 minutes.`,
+      components: [
+        new ActionRowBuilder().addComponents(
+          new ButtonBuilder().setLabel('Download').setStyle(ButtonStyle.Link).setURL(url),
+        ),
+      ],
+    });
+  } else if (subcommand === 'schedule') {
+    const schedule = await serverBackups.setSchedule(serverId, {
+      interval: interaction.options.getInteger('every'),
+      retention: interaction.options.getInteger('keep'),
+      userId: interaction.user.id,
+    });
+
+    await interaction.editReply({
+      content: `✅ Backing up **${schedule.serverName}** every ${schedule.interval} hour${schedule.interval === 1 ? '' : 's'}, keeping the newest ${schedule.retention}. The first backup runs <t:${Math.floor(schedule.nextRunAt.getTime() / 1000)}:R>.`,
+    });
+  } else if (subcommand === 'unschedule') {
+    const removed = await serverBackups.removeSchedule(serverId);
+    await interaction.editReply({
+      content: removed ? `✅ Stopped the scheduled backups of \`${serverId}\`. Existing backups are kept.` : `\`${serverId}\` has no backup schedule.`,
+    });
+  }
+}
+
+async function showBackups(interaction, serverId) {
+  const [backups, schedule, server] = await Promise.all([
+    serverBackups.list(serverId),
+    serverBackups.getSchedule(serverId).catch(() => null),
+    gameServers.fetchServer(serverId),
+  ]);
+
+  const lines = backups.slice(0, 15).map((backup) => [
+    `${BACKUP_STATUS_EMOJIS[backup.status]} **${backup.name}**${backup.locked ? ' 🔒' : ''}${backup.scheduled ? ' · scheduled' : ''}`,
+    `\`${backup.uuid}\` · ${formatBytes(backup.size)} · <t:${Math.floor(backup.createdAt.getTime() / 1000)}:R>`,
+  ].join('\n'));
+
+  if (backups.length > 15) {
+    lines.push(`…and ${backups.length - 15} more`);
+  }
+
+  const limit = server?.feature_limits?.backups;
+  const embed = new EmbedBuilder()
+    .setTitle(`💾 ${server ? server.name : serverId} Backups`)
+    .setColor(config.embedColor || '#00AAFF')
+    .setDescription(lines.length > 0 ? lines.join('\n') : 'This server has no backups.')
+    .addFields(
+      { name: 'Backups', value: `${backups.length}${limit !== undefined ? ` / ${limit}` : ''}`, inline: true },
+      {
+        name: 'Schedule',
+        value: schedule
+          ? `Every ${schedule.interval}h, keeping ${schedule.retention} · next <t:${Math.floor(schedule.nextRunAt.getTime() / 1000)}:R>`
+          : 'None',
+        inline: true,
+      },
+    )
+    .setFooter({ text: `${serverId} · ${config.footerText}` })
+    .setTimestamp();
+
+  await interaction.editReply({ embeds: [embed] });
+}
+
+async function completeBackups(interaction, focused) {
+  const serverId = interaction.options.getString('server');
+  if (!serverId) {
+    return interaction.respond([]);
+  }
+
+  const backups = await serverBackups.list(serverId);
+
+  await interaction.respond(backups
+    .filter((backup) => backup.name.toLowerCase().includes(focused) || backup.uuid.includes(focused))
+    .slice(0, 25)
+    .map((backup) => ({
+      name: `${backup.name} · ${backup.status} · ${formatBytes(backup.size)}`.slice(0, 100),
+      value: backup.uuid,
+    })));
+}
@@ -1,97 +1,724 @@
-const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder, ChannelType } = require('discord.js');
 const logger = require('../../utils/logger');
 const config = require('../../../config.json');
+const autoMod = require('../../modules/automod');
+const { parseDuration } = require('../../utils');
+const userLogger = require('../../utils/userLogger');
+
+const featureChoices = [
+  { name: 'Anti-spam', value: 'spam' },
+  { name: 'Invite filter', value: 'invites' },
+  { name: 'Link filter', value: 'links' },
+  { name: 'Word filter', value: 'words' },
+  { name: 'Mention spam', value: 'mentions' },
+  { name: 'Caps filter', value: 'caps' },
+  { name: 'Emoji spam', value: 'emojis' },
+  { name: 'Newline spam', value: 'newlines' },
+  { name: 'Message length', value: 'length' },
+  { name: 'Flood protection', value: 'flood' },
+];
+
+const actionChoices = [
+  { name: 'Delete message', value: 'delete' },
+  { name: 'Delete and warn', value: 'warn' },
+  { name: 'Delete and timeout', value: 'timeout' },
+  { name: 'Delete and kick', value: 'kick' },
+  { name: 'Delete and ban', value: 'ban' },
+];
+
+const detectorChoices = [
+  { name: 'Regex pattern', value: 'regex' },
+  { name: 'Word list', value: 'words' },
+  { name: 'Invite links', value: 'invites' },
+  { name: 'Links (allow/deny list)', value: 'links' },
+  { name: 'Attachment type', value: 'attachments' },
+  { name: 'Caps ratio', value: 'caps' },
+  { name: 'Duplicate messages', value: 'duplicate' },
+  { name: 'Zalgo text', value: 'zalgo' },
+  { name: 'Repeated characters', value: 'spam' },
+  { name: 'Mentions', value: 'mentions' },
+  { name: 'Emojis', value: 'emojis' },
+  { name: 'Newlines', value: 'newlines' },
+  { name: 'Message length', value: 'length' },
+];
+
+// Features whose list option holds allowed entries rather than blocked ones
+const allowListFeatures = ['invites', 'links'];
+
+// Detectors whose list option is an allow or deny list
+const listDetectors = ['invites', 'links', 'attachments'];
 
 module.exports = {
   data: new SlashCommandBuilder()
     .setName('automod')
     .setDescription('Configure automod settings')
     .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
-    .addSubcommand(subcommand =>
+    .addSubcommand((subcommand) =>
       subcommand
         .setName('enable')
         .setDescription('Enable automod features')
-        .addStringOption(option =>
+        .addStringOption((option) =>
           option.setName('feature')
             .setDescription('The automod feature to enable')
             .setRequired(true)
-            .addChoices(
-              { name: 'Anti-spam', value: 'spam' },
-              { name: 'Invite filter', value: 'invites' },
-              { name: 'Link filter', value: 'links' },
-              { name: 'Word filter', value: 'words' },
-              { name: 'Mention spam', value: 'mentions' },
-              { name: 'All features', value: 'all' }
-            )
-        )
+            .addChoices(...featureChoices, { name: 'All features', value: 'all' }),
+        ),
     )
-    .addSubcommand(subcommand =>
+    .addSubcommand((subcommand) =>
       subcommand
         .setName('disable')
         .setDescription('Disable automod features')
-        .addStringOption(option =>
+        .addStringOption((option) =>
           option.setName('feature')
             .setDescription('The automod feature to disable')
             .setRequired(true)
+            .addChoices(...featureChoices, { name: 'All features', value: 'all' }),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('configure')
+        .setDescription('Change the threshold, word list or action of a feature')
+        .addStringOption((option) =>
+          option.setName('feature')
+            .setDescription('The automod feature to configure')
+            .setRequired(true)
+            .addChoices(...featureChoices),
+        )
+        .addIntegerOption((option) =>
+          option.setName('threshold')
+            .setDescription('Limit before the feature triggers (mentions, emojis, caps %, newlines, length, repeated chars)')
+            .setRequired(false)
+            .setMinValue(1),
+        )
+        .addStringOption((option) =>
+          option.setName('list')
+            .setDescription('Comma-separated banned words, or allowed invites/domains for the invite and link filters')
+            .setRequired(false),
+        )
+        .addStringOption((option) =>
+          option.setName('action')
+            .setDescription('What to do when the feature triggers')
+            .setRequired(false)
+            .addChoices(...actionChoices),
+        )
+        .addStringOption((option) =>
+          option.setName('duration')
+            .setDescription('Timeout duration, e.g. 10m, 1h, 1d')
+            .setRequired(false),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('exempt')
+        .setDescription('Exempt a role or channel from automod')
+        .addStringOption((option) =>
+          option.setName('mode')
+            .setDescription('Add or remove the exemption')
+            .setRequired(true)
             .addChoices(
-              { name: 'Anti-spam', value: 'spam' },
-              { name: 'Invite filter', value: 'invites' },
-              { name: 'Link filter', value: 'links' },
-              { name: 'Word filter', value: 'words' },
-              { name: 'Mention spam', value: 'mentions' },
-              { name: 'All features', value: 'all' }
+              { name: 'Add', value: 'add' },
+              { name: 'Remove', value: 'remove' },
+            ),
+        )
+        .addRoleOption((option) =>
+          option.setName('role')
+            .setDescription('The role to exempt')
+            .setRequired(false),
+        )
+        .addChannelOption((option) =>
+          option.setName('channel')
+            .setDescription('The channel or category to exempt')
+            .setRequired(false),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('logs')
+        .setDescription('Set the channel automod actions are logged to')
+        .addChannelOption((option) =>
+          option.setName('channel')
+            .setDescription('The log channel')
+            .setRequired(true)
+            .addChannelTypes(ChannelType.GuildText),
+        ),
+    )
+    .addSubcommandGroup((group) =>
+      group
+        .setName('rule')
+        .setDescription('Manage custom automod rules')
+        .addSubcommand((subcommand) =>
+          subcommand
+            .setName('add')
+            .setDescription('Add a custom automod rule')
+            .addStringOption((option) =>
+              option.setName('name')
+                .setDescription('A name for the rule')
+                .setRequired(true)
+                .setMaxLength(100),
+            )
+            .addStringOption((option) =>
+              option.setName('detector')
+                .setDescription('What the rule looks for')
+                .setRequired(true)
+                .addChoices(...detectorChoices),
+            )
+            .addStringOption((option) =>
+              option.setName('action')
+                .setDescription('What to do on a first violation')
+                .setRequired(false)
+                .addChoices(...actionChoices),
+            )
+            .addStringOption((option) =>
+              option.setName('duration')
+                .setDescription('Timeout duration, e.g. 10m, 1h, 1d')
+                .setRequired(false),
+            )
+            .addStringOption((option) =>
+              option.setName('pattern')
+                .setDescription('Regular expression for the regex detector (case-insensitive)')
+                .setRequired(false)
+                .setMaxLength(200),
+            )
+            .addStringOption((option) =>
+              option.setName('list')
+                .setDescription('Comma-separated words, domains, invites or file types')
+                .setRequired(false),
+            )
+            .addStringOption((option) =>
+              option.setName('list_mode')
+                .setDescription('Whether the list is blocked or the only thing allowed (default: blocked)')
+                .setRequired(false)
+                .addChoices(
+                  { name: 'Block listed entries', value: 'deny' },
+                  { name: 'Allow only listed entries', value: 'allow' },
+                ),
+            )
+            .addIntegerOption((option) =>
+              option.setName('threshold')
+                .setDescription('Limit before the rule triggers (caps/zalgo %, repeat count, mentions, ...)')
+                .setRequired(false)
+                .setMinValue(1),
             )
+            .addStringOption((option) =>
+              option.setName('escalation')
+                .setDescription('Ladder by recent violations, e.g. 3:timeout:1h, 5:kick, 8:ban')
+                .setRequired(false),
+            )
+            .addChannelOption((option) =>
+              option.setName('channel')
+                .setDescription('Only apply the rule in this channel or category')
+                .setRequired(false),
+            )
+            .addRoleOption((option) =>
+              option.setName('role')
+                .setDescription('Only apply the rule to members with this role')
+                .setRequired(false),
+            )
+            .addRoleOption((option) =>
+              option.setName('exempt_role')
+                .setDescription('Never apply the rule to members with this role')
+                .setRequired(false),
+            ),
         )
+        .addSubcommand((subcommand) =>
+          subcommand
+            .setName('remove')
+            .setDescription('Remove a custom automod rule')
+            .addIntegerOption((option) =>
+              option.setName('id')
+                .setDescription('The rule ID')
+                .setRequired(true),
+            ),
+        )
+        .addSubcommand((subcommand) =>
+          subcommand
+            .setName('list')
+            .setDescription('List the custom automod rules'),
+        ),
     )
-    .addSubcommand(subcommand =>
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('flood')
+        .setDescription('Tune flood, cross-channel duplicate and mention burst detection')
+        .addIntegerOption((option) =>
+          option.setName('messages')
+            .setDescription('Messages allowed within the flood interval')
+            .setRequired(false)
+            .setMinValue(2),
+        )
+        .addStringOption((option) =>
+          option.setName('interval')
+            .setDescription('Flood interval, e.g. 5s')
+            .setRequired(false),
+        )
+        .addIntegerOption((option) =>
+          option.setName('duplicates')
+            .setDescription('Identical messages allowed (across any channels) within the duplicate interval')
+            .setRequired(false)
+            .setMinValue(2),
+        )
+        .addStringOption((option) =>
+          option.setName('duplicate_interval')
+            .setDescription('Duplicate interval, e.g. 30s')
+            .setRequired(false),
+        )
+        .addIntegerOption((option) =>
+          option.setName('mentions')
+            .setDescription('Mentions allowed within the mention interval')
+            .setRequired(false)
+            .setMinValue(2),
+        )
+        .addStringOption((option) =>
+          option.setName('mention_interval')
+            .setDescription('Mention interval, e.g. 15s')
+            .setRequired(false),
+        ),
+    )
+    .addSubcommand((subcommand) =>
       subcommand
         .setName('status')
         .setDescription('Check automod status')
+        .addUserOption((option) =>
+          option.setName('user')
+            .setDescription('Show this member\'s current spam tracking window')
+            .setRequired(false),
+        ),
     ),
-    
+
   async execute(interaction) {
     try {
+      const group = interaction.options.getSubcommandGroup(false);
       const subcommand = interaction.options.getSubcommand();
-      
-      if (subcommand === 'enable') {
+
+      if (group === 'rule') {
+        if (subcommand === 'add') {
+          await addRule(interaction);
+        } else if (subcommand === 'remove') {
+          await removeRule(interaction);
+        } else if (subcommand === 'list') {
+          await listRules(interaction);
+        }
+      } else if (subcommand === 'enable') {
         const feature = interaction.options.getString('feature');
         await enableAutomod(interaction, feature);
       } else if (subcommand === 'disable') {
         const feature = interaction.options.getString('feature');
         await disableAutomod(interaction, feature);
+      } else if (subcommand === 'configure') {
+        await configureAutomod(interaction);
+      } else if (subcommand === 'exempt') {
+        await updateExemptions(interaction);
+      } else if (subcommand === 'logs') {
+        await setLogChannel(interaction);
+      } else if (subcommand === 'flood') {
+        await configureFlood(interaction);
       } else if (subcommand === 'status') {
         await checkAutomodStatus(interaction);
       }
     } catch (error) {
       logger.error(`Error executing automod command: ${error.message}`);
-      await interaction.reply({
-        content: 'An error occurred while executing this command.',
-        ephemeral: true
-      });
+      const reply = {
+        content: `❌ An error occurred while executing this command: ${error.message}`,
+        ephemeral: true,
+      };
+
+      if (interaction.replied || interaction.deferred) {
+        await interaction.followUp(reply);
+      } else {
+        await interaction.reply(reply);
+      }
     }
-  }
+  },
 };
 
 async function enableAutomod(interaction, feature) {
-  // Implementation would go here
+  const features = await autoMod.setFeatureEnabled(interaction.guild.id, feature, true, interaction.user.id);
+
+  logger.info(`Automod ${features.join(', ')} enabled in ${interaction.guild.name} by ${interaction.user.tag}`);
   await interaction.reply({
-    content: `Enabled automod feature: ${feature}`,
-    ephemeral: true
+    content: `✅ Enabled automod feature${features.length === 1 ? '' : 's'}: ${features.map((f) => `\`${f}\``).join(', ')}`,
+    ephemeral: true,
   });
 }
 
 async function disableAutomod(interaction, feature) {
-  // Implementation would go here
+  const features = await autoMod.setFeatureEnabled(interaction.guild.id, feature, false, interaction.user.id);
+
+  logger.info(`Automod ${features.join(', ')} disabled in ${interaction.guild.name} by ${interaction.user.tag}`);
   await interaction.reply({
-    content: `Disabled automod feature: ${feature}`,
-    ephemeral: true
+    content: `✅ Disabled automod feature${features.length === 1 ? '' : 's'}: ${features.map((f) => `\`${f}\``).join(', ')}`,
+    ephemeral: true,
   });
 }
 
-async function checkAutomodStatus(interaction) {
-  // Implementation would go here
+async function configureAutomod(interaction) {
+  const guildId = interaction.guild.id;
+  const feature = interaction.options.getString('feature');
+  const threshold = interaction.options.getInteger('threshold');
+  const list = interaction.options.getString('list');
+  const action = interaction.options.getString('action');
+  const durationString = interaction.options.getString('duration');
+
+  if (threshold === null && list === null && action === null && durationString === null) {
+    return interaction.reply({
+      content: '❌ Provide at least one of `threshold`, `list`, `action` or `duration`.',
+      ephemeral: true,
+    });
+  }
+
+  const changes = {};
+  const summary = [];
+
+  if (threshold !== null) {
+    // The flood feature's threshold is its message count
+    changes[feature === 'flood' ? 'messages' : 'threshold'] = threshold;
+    summary.push(`**Threshold:** ${threshold}`);
+  }
+
+  if (list !== null) {
+    const entries = list.split(',').map((entry) => entry.trim()).filter(Boolean);
+    const key = allowListFeatures.includes(feature) ? 'allowed' : 'words';
+    changes[key] = entries;
+    summary.push(`**${key === 'allowed' ? 'Allowed' : 'Words'}:** ${entries.length > 0 ? entries.join(', ') : 'None'}`);
+  }
+
+  if (Object.keys(changes).length > 0) {
+    await autoMod.updateFeatureSettings(guildId, feature, changes, interaction.user.id);
+  }
+
+  if (action !== null || durationString !== null) {
+    const current = (await autoMod.getGuildSettings(guildId)).features[feature];
+    let duration = current.duration;
+
+    if (durationString !== null) {
+      duration = parseDuration(durationString);
+      if (!duration) {
+        return interaction.reply({
+          content: '❌ Invalid duration. Use a number followed by s, m, h, d or w (e.g. `10m`).',
+          ephemeral: true,
+        });
+      }
+    }
+
+    const newAction = action || current.action;
+    await autoMod.setFeatureAction(guildId, feature, newAction, duration, interaction.user.id);
+    summary.push(`**Action:** ${newAction}${newAction === 'timeout' && duration ? ` (${userLogger.formatDuration(duration)})` : ''}`);
+  }
+
+  logger.info(`Automod ${feature} configured in ${interaction.guild.name} by ${interaction.user.tag}`);
+  await interaction.reply({
+    content: `✅ Updated automod feature \`${feature}\`\n${summary.join('\n')}`,
+    ephemeral: true,
+  });
+}
+
+async function updateExemptions(interaction) {
+  const mode = interaction.options.getString('mode');
+  const role = interaction.options.getRole('role');
+  const channel = interaction.options.getChannel('channel');
+
+  if (!role && !channel) {
+    return interaction.reply({
+      content: '❌ Provide a role and/or a channel.',
+      ephemeral: true,
+    });
+  }
+
+  const toggle = (list, id) => {
+    const withoutId = list.filter((existing) => existing !== id);
+    return mode === 'add' ? [...withoutId, id] : withoutId;
+  };
+
+  await autoMod.updateGeneralSettings(interaction.guild.id, (general) => {
+    if (role) general.exemptRoles = toggle(general.exemptRoles, role.id);
+    if (channel) general.exemptChannels = toggle(general.exemptChannels, channel.id);
+    return general;
+  }, interaction.user.id);
+
+  const targets = [role, channel].filter(Boolean).join(' and ');
+  await interaction.reply({
+    content: mode === 'add'
+      ? `✅ ${targets} will now be ignored by automod.`
+      : `✅ ${targets} will no longer be ignored by automod.`,
+    ephemeral: true,
+  });
+}
+
+async function setLogChannel(interaction) {
+  const channel = interaction.options.getChannel('channel');
+
+  await autoMod.updateGeneralSettings(interaction.guild.id, (general) => {
+    general.logChannel = channel.id;
+    return general;
+  }, interaction.user.id);
+
   await interaction.reply({
-    content: 'Automod status: Active',
-    ephemeral: true
+    content: `✅ Automod actions will be logged to ${channel}.`,
+    ephemeral: true,
   });
-}
\ No newline at end of file
+}
+
+async function configureFlood(interaction) {
+  const changes = {};
+  const summary = [];
+
+  for (const [option, key, label] of [['messages', 'messages', 'Messages'], ['duplicates', 'duplicates', 'Duplicates'], ['mentions', 'mentions', 'Mentions']]) {
+    const value = interaction.options.getInteger(option);
+    if (value !== null) {
+      changes[key] = value;
+      summary.push(`**${label}:** ${value}`);
+    }
+  }
+
+  for (const [option, key, label] of [['interval', 'interval', 'Flood interval'], ['duplicate_interval', 'duplicateInterval', 'Duplicate interval'], ['mention_interval', 'mentionInterval', 'Mention interval']]) {
+    const value = interaction.options.getString(option);
+    if (value === null) continue;
+
+    const duration = parseDuration(value);
+    if (!duration) {
+      return interaction.reply({
+        content: `❌ Invalid ${option.replace('_', ' ')}. Use a number followed by s, m, h, d or w (e.g. \`10s\`).`,
+        ephemeral: true,
+      });
+    }
+
+    changes[key] = duration;
+    summary.push(`**${label}:** ${userLogger.formatDuration(duration)}`);
+  }
+
+  if (summary.length === 0) {
+    return interaction.reply({ content: '❌ Provide at least one setting to change.', ephemeral: true });
+  }
+
+  await autoMod.updateFeatureSettings(interaction.guild.id, 'flood', changes, interaction.user.id);
+
+  logger.info(`Automod flood protection configured in ${interaction.guild.name} by ${interaction.user.tag}`);
+  await interaction.reply({
+    content: `✅ Updated flood protection\n${summary.join('\n')}`,
+    ephemeral: true,
+  });
+}
+
+async function addRule(interaction) {
+  const type = interaction.options.getString('detector');
+  const pattern = interaction.options.getString('pattern');
+  const list = interaction.options.getString('list');
+  const listMode = interaction.options.getString('list_mode') || 'deny';
+  const threshold = interaction.options.getInteger('threshold');
+  const durationString = interaction.options.getString('duration');
+  const escalationString = interaction.options.getString('escalation');
+  const channel = interaction.options.getChannel('channel');
+  const role = interaction.options.getRole('role');
+  const exemptRole = interaction.options.getRole('exempt_role');
+
+  if (type === 'regex' && !pattern) {
+    return interaction.reply({ content: '❌ The regex detector needs a `pattern`.', ephemeral: true });
+  }
+
+  const options = {};
+  if (pattern) options.pattern = pattern;
+  if (threshold !== null) options.threshold = threshold;
+
+  if (list !== null) {
+    const entries = list.split(',').map((entry) => entry.trim()).filter(Boolean);
+
+    if (listDetectors.includes(type)) {
+      options[listMode === 'allow' ? 'allowed' : 'denied'] = entries;
+    } else {
+      options.words = entries;
+    }
+  }
+
+  let duration = null;
+  if (durationString !== null) {
+    duration = parseDuration(durationString);
+    if (!duration) {
+      return interaction.reply({
+        content: '❌ Invalid duration. Use a number followed by s, m, h, d or w (e.g. `10m`).',
+        ephemeral: true,
+      });
+    }
+  }
+
+  let escalation = [];
+  if (escalationString !== null) {
+    escalation = parseEscalation(escalationString);
+    if (!escalation) {
+      return interaction.reply({
+        content: '❌ Invalid escalation. Use `count:action[:duration]` steps separated by commas, e.g. `3:timeout:1h, 5:kick, 8:ban`.',
+        ephemeral: true,
+      });
+    }
+  }
+
+  const scope = {};
+  if (channel) scope.channels = [channel.id];
+  if (role) scope.roles = [role.id];
+  if (exemptRole) scope.excludeRoles = [exemptRole.id];
+
+  const ruleId = await autoMod.createRule(interaction.guild.id, {
+    name: interaction.options.getString('name'),
+    type,
+    options,
+    scope,
+    action: interaction.options.getString('action') || 'delete',
+    duration,
+    escalation,
+  }, interaction.user.id);
+
+  logger.info(`Automod rule #${ruleId} (${type}) added in ${interaction.guild.name} by ${interaction.user.tag}`);
+  await interaction.reply({
+    content: `✅ Added automod rule **#${ruleId}**.`,
+    ephemeral: true,
+  });
+}
+
+async function removeRule(interaction) {
+  const ruleId = interaction.options.getInteger('id');
+  const removed = await autoMod.deleteRule(interaction.guild.id, ruleId);
+
+  if (!removed) {
+    return interaction.reply({ content: `❌ There is no automod rule #${ruleId} in this server.`, ephemeral: true });
+  }
+
+  logger.info(`Automod rule #${ruleId} removed in ${interaction.guild.name} by ${interaction.user.tag}`);
+  await interaction.reply({ content: `✅ Removed automod rule **#${ruleId}**.`, ephemeral: true });
+}
+
+async function listRules(interaction) {
+  const settings = await autoMod.getGuildSettings(interaction.guild.id);
+
+  if (settings.rules.length === 0) {
+    return interaction.reply({ content: 'ℹ️ This server has no custom automod rules.', ephemeral: true });
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle('🛡️ Automod Rules')
+    .setColor(config.embedColor || '#00AAFF')
+    .setTimestamp();
+
+  for (const rule of settings.rules.slice(0, 25)) {
+    const lines = [`**Detector:** ${rule.type}`, `**Action:** ${formatAction(rule.action, rule.duration)}`];
+
+    if (rule.escalation.length > 0) {
+      lines.push(`**Escalation:** ${rule.escalation.map((step) => `${step.count}× → ${formatAction(step.action, step.duration)}`).join(', ')}`);
+    }
+
+    const scope = [];
+    if (rule.scope.channels) scope.push(`in ${rule.scope.channels.map((id) => `<#${id}>`).join(', ')}`);
+    if (rule.scope.roles) scope.push(`for ${rule.scope.roles.map((id) => `<@&${id}>`).join(', ')}`);
+    if (rule.scope.excludeRoles) scope.push(`except ${rule.scope.excludeRoles.map((id) => `<@&${id}>`).join(', ')}`);
+    if (scope.length > 0) lines.push(`**Scope:** ${scope.join(' ')}`);
+
+    embed.addFields({ name: `#${rule.id} ${rule.name}`, value: lines.join('\n') });
+  }
+
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+/**
+ * Parse an escalation ladder such as "3:timeout:1h, 5:kick, 8:ban"
+ * @param {string} input - The ladder definition
+ * @returns {Object[]|null} The steps, or null if the input is invalid
+ */
+function parseEscalation(input) {
+  const steps = [];
+
+  for (const part of input.split(',').map((step) => step.trim()).filter(Boolean)) {
+    const [count, action, durationString] = part.split(':').map((value) => value.trim());
+    const step = { count: parseInt(count), action, duration: null };
+
+    if (!step.count || step.count < 1 || !autoMod.ACTIONS.includes(action)) return null;
+
+    if (durationString) {
+      step.duration = parseDuration(durationString);
+      if (!step.duration) return null;
+    }
+
+    steps.push(step);
+  }
+
+  return steps.length > 0 ? steps : null;
+}
+
+function formatAction(action, duration) {
+  return action === 'timeout' && duration ? `timeout ${userLogger.formatDuration(duration)}` : action;
+}
+
+async function checkAutomodStatus(interaction) {
+  const settings = await autoMod.getGuildSettings(interaction.guild.id);
+  const user = interaction.options.getUser('user');
+  const tracker = autoMod.getTrackerState(interaction.guild.id, user && user.id);
+
+  const featureLines = featureChoices.map(({ name, value }) => {
+    const feature = settings.features[value];
+    const details = [];
+
+    if (feature.threshold !== undefined) details.push(`limit ${feature.threshold}`);
+    if (feature.words && feature.words.length > 0) details.push(`${feature.words.length} word(s)`);
+    if (feature.allowed && feature.allowed.length > 0) details.push(`${feature.allowed.length} allowed`);
+    if (value === 'flood') {
+      details.push(
+        `${feature.messages} msgs/${userLogger.formatDuration(feature.interval)}`,
+        `${feature.duplicates} dupes/${userLogger.formatDuration(feature.duplicateInterval)}`,
+        `${feature.mentions} mentions/${userLogger.formatDuration(feature.mentionInterval)}`,
+      );
+    }
+    details.push(formatAction(feature.action, feature.duration));
+
+    return `${feature.enabled ? '🟢' : '🔴'} **${name}** — ${details.join(', ')}`;
+  });
+
+  const embed = new EmbedBuilder()
+    .setTitle('🛡️ Automod Status')
+    .setColor(config.embedColor || '#00AAFF')
+    .setDescription(featureLines.join('\n'))
+    .addFields(
+      {
+        name: 'Exempt Roles',
+        value: settings.exemptRoles.length > 0 ? settings.exemptRoles.map((id) => `<@&${id}>`).join(', ') : 'None',
+        inline: true,
+      },
+      {
+        name: 'Exempt Channels',
+        value: settings.exemptChannels.length > 0 ? settings.exemptChannels.map((id) => `<#${id}>`).join(', ') : 'None',
+        inline: true,
+      },
+      {
+        name: 'Log Channel',
+        value: settings.logChannel ? `<#${settings.logChannel}>` : 'Not set',
+        inline: true,
+      },
+      {
+        name: 'Custom Rules',
+        value: `${settings.rules.length} active (see \`/automod rule list\`)`,
+        inline: true,
+      },
+      {
+        name: 'Spam Tracker',
+        value: [
+          `Tracking ${tracker.trackedMembers} active member${tracker.trackedMembers === 1 ? '' : 's'}`,
+          ...tracker.recentBursts.map((burst) =>
+            `<t:${Math.floor(burst.timestamp / 1000)}:R> <@${burst.userId}> — ${burst.violation} (${burst.action})`,
+          ),
+        ].join('\n'),
+        inline: false,
+      },
+    )
+    .setTimestamp();
+
+  if (user && tracker.member) {
+    const { messages, channels, mentions, lastMessageAt } = tracker.member;
+
+    embed.addFields({
+      name: `Window for ${user.tag}`,
+      value: messages > 0
+        ? `${messages} message${messages === 1 ? '' : 's'} in ${channels} channel${channels === 1 ? '' : 's'}, ${mentions} mention${mentions === 1 ? '' : 's'}, last <t:${Math.floor(lastMessageAt / 1000)}:R>`
+        : 'No recent messages tracked',
+      inline: false,
+    });
+  }
+
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+}
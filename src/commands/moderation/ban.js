@@ -10,6 +10,10 @@
 
 const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
 const userLogger = require('../../utils/userLogger');
+const tempBans = require('../../modules/tempBans');
+const appeals = require('../../modules/appeals');
+const db = require('../../utils/database');
+const { parseDuration } = require('../../utils');
 const logger = require('../../utils/logger');
 const config = require('../../../config.json');
 
@@ -31,6 +35,10 @@ module.exports = {
         .setRequired(false)
         .setMinValue(0)
         .setMaxValue(7))
+    .addStringOption(option => 
+      option.setName('duration')
+        .setDescription('How long the ban lasts (e.g. 30m, 12h, 7d, 2w). Leave empty for a permanent ban')
+        .setRequired(false))
     .addBooleanOption(option => 
       option.setName('silent')
         .setDescription('Whether to silently ban the user (don\'t send them a DM)')
@@ -45,6 +53,21 @@ module.exports = {
       const reason = interaction.options.getString('reason') || 'No reason provided';
       const deleteDays = interaction.options.getInteger('delete_days') || 1;
       const silent = interaction.options.getBoolean('silent') || false;
+      const durationString = interaction.options.getString('duration');
+      
+      // Parse the duration for temporary bans
+      let durationMs = null;
+      if (durationString) {
+        durationMs = parseDuration(durationString.trim().toLowerCase());
+        if (!durationMs) {
+          return interaction.editReply({ content: '❌ Invalid duration. Use a number followed by s, m, h, d or w (e.g. 12h, 7d).' });
+        }
+        
+        // The unban queue lives in the database
+        if (!db.isConnected) {
+          return interaction.editReply({ content: '❌ Temporary bans are unavailable while the database is disconnected.' });
+        }
+      }
       
       // Check if the user is trying to ban themselves
       if (targetUser.id === interaction.user.id) {
@@ -77,14 +100,14 @@ module.exports = {
       const banEmbed = new EmbedBuilder()
         .setColor('#FF0000')
         .setTitle(`You have been banned from ${interaction.guild.name}`)
-        .setDescription(`**Reason:** ${reason}`)
+        .setDescription(`**Reason:** ${reason}${durationMs ? `\n**Duration:** ${userLogger.formatDuration(durationMs)}` : ''}`)
         .setTimestamp()
         .setFooter({ text: config.footerText });
       
       // Send DM to the user if not silent and they are in the server
       if (!silent && targetMember) {
         try {
-          await targetUser.send({ embeds: [banEmbed] });
+          await targetUser.send({ embeds: [banEmbed], components: appeals.buildAppealComponents(interaction.guild) });
         } catch (error) {
           logger.warn(`Could not send DM to ${targetUser.tag} (${targetUser.id}): ${error.message}`);
         }
@@ -97,18 +120,27 @@ module.exports = {
       });
       
       // Log the ban
-      await userLogger.logBan(targetUser, interaction.user, reason, deleteDays, interaction.client);
+      const expiresAt = durationMs ? new Date(Date.now() + durationMs) : null;
+      const banCase = await userLogger.logBan(interaction.guild, targetUser, interaction.user, reason, deleteDays, { duration: durationMs, expiresAt });
+      
+      // Queue the unban for temporary bans, a permanent ban cancels any pending one
+      if (expiresAt) {
+        await tempBans.addTempBan(interaction.guild, banCase);
+      } else {
+        await tempBans.clearPending(interaction.guild.id, targetUser.id, interaction.user.id);
+      }
       
       // Create success embed
       const successEmbed = new EmbedBuilder()
         .setColor('#FF0000')
         .setTitle('User Banned')
-        .setDescription(`✅ **${targetUser.tag}** has been banned from the server.`)
+        .setDescription(`✅ **${targetUser.tag}** has been banned from the server.${banCase.caseNumber ? ` (Case #${banCase.caseNumber})` : ''}`)
         .addFields(
           { name: 'User', value: `${targetUser.tag} (${targetUser.id})`, inline: true },
           { name: 'Reason', value: reason, inline: true },
           { name: 'Message Deletion', value: `${deleteDays} day${deleteDays === 1 ? '' : 's'}`, inline: true },
-          { name: 'Silent', value: silent ? 'Yes' : 'No', inline: true }
+          { name: 'Silent', value: silent ? 'Yes' : 'No', inline: true },
+          { name: 'Expires', value: expiresAt ? `<t:${Math.floor(expiresAt.getTime() / 1000)}:R>` : 'Never', inline: true }
         )
         .setTimestamp()
         .setFooter({ text: config.footerText });
@@ -0,0 +1,178 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const cases = require('../../modules/cases');
+const logger = require('../../utils/logger');
+const config = require('../../../config.json');
+
+const PAGE_SIZE = 10;
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('case')
+    .setDescription('View and manage moderation cases')
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('view')
+        .setDescription('View a moderation case')
+        .addIntegerOption((option) =>
+          option.setName('number')
+            .setDescription('The case number')
+            .setRequired(true)
+            .setMinValue(1),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('edit-reason')
+        .setDescription('Change the reason of a moderation case')
+        .addIntegerOption((option) =>
+          option.setName('number')
+            .setDescription('The case number')
+            .setRequired(true)
+            .setMinValue(1),
+        )
+        .addStringOption((option) =>
+          option.setName('reason')
+            .setDescription('The new reason')
+            .setRequired(true)
+            .setMaxLength(1000),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('delete')
+        .setDescription('Delete a moderation case')
+        .addIntegerOption((option) =>
+          option.setName('number')
+            .setDescription('The case number')
+            .setRequired(true)
+            .setMinValue(1),
+        )
+        .addStringOption((option) =>
+          option.setName('reason')
+            .setDescription('Why the case is being deleted')
+            .setRequired(false),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('list')
+        .setDescription('List recent moderation cases')
+        .addUserOption((option) =>
+          option.setName('user')
+            .setDescription('Only show cases against this user')
+            .setRequired(false),
+        )
+        .addStringOption((option) =>
+          option.setName('type')
+            .setDescription('Only show cases of this type')
+            .setRequired(false)
+            .addChoices(
+              ...Object.entries(cases.CASE_TYPES).map(([value, { label }]) => ({ name: label, value })),
+            ),
+        )
+        .addIntegerOption((option) =>
+          option.setName('page')
+            .setDescription('The page to show')
+            .setRequired(false)
+            .setMinValue(1),
+        ),
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers),
+
+  async execute(interaction) {
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      if (!cases.isAvailable()) {
+        return interaction.editReply({ content: '❌ Moderation cases require a database connection.' });
+      }
+
+      const subcommand = interaction.options.getSubcommand();
+      const guildId = interaction.guild.id;
+
+      if (subcommand === 'view') {
+        const number = interaction.options.getInteger('number');
+        const caseData = await cases.getCase(guildId, number, true);
+
+        if (!caseData) {
+          return interaction.editReply({ content: `❌ Case #${number} does not exist.` });
+        }
+
+        const history = await cases.getHistory(caseData.id);
+        await interaction.editReply({ embeds: [cases.buildCaseEmbed(caseData, history)] });
+      } else if (subcommand === 'edit-reason') {
+        const number = interaction.options.getInteger('number');
+        const reason = interaction.options.getString('reason');
+        const caseData = await cases.updateReason(guildId, number, reason, interaction.user.id);
+
+        if (!caseData) {
+          return interaction.editReply({ content: `❌ Case #${number} does not exist or has been deleted.` });
+        }
+
+        logger.info(`Case #${number} reason edited by ${interaction.user.tag} in ${interaction.guild.name}`);
+        await interaction.editReply({
+          content: `✅ Updated the reason of case #${number}.`,
+          embeds: [cases.buildCaseEmbed(caseData, await cases.getHistory(caseData.id))],
+        });
+      } else if (subcommand === 'delete') {
+        const number = interaction.options.getInteger('number');
+        const reason = interaction.options.getString('reason');
+        const caseData = await cases.deleteCase(guildId, number, interaction.user.id, reason);
+
+        if (!caseData) {
+          return interaction.editReply({ content: `❌ Case #${number} does not exist or has already been deleted.` });
+        }
+
+        logger.info(`Case #${number} deleted by ${interaction.user.tag} in ${interaction.guild.name}`);
+        await interaction.editReply({ content: `✅ Deleted case #${number} (${caseData.label} against <@${caseData.userId}>).` });
+      } else if (subcommand === 'list') {
+        await listCases(interaction);
+      }
+    } catch (error) {
+      logger.error(`Error executing case command: ${error.message}`);
+      await interaction.editReply({ content: `❌ An error occurred: ${error.message}` });
+    }
+  },
+};
+
+async function listCases(interaction) {
+  const user = interaction.options.getUser('user');
+  const type = interaction.options.getString('type');
+  const filters = { userId: user ? user.id : null, type };
+
+  const total = await cases.countCases(interaction.guild.id, filters);
+  const pages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+  const page = Math.min(interaction.options.getInteger('page') || 1, pages);
+
+  const results = await cases.listCases(interaction.guild.id, {
+    ...filters,
+    limit: PAGE_SIZE,
+    offset: (page - 1) * PAGE_SIZE,
+  });
+
+  const title = [
+    type ? `${cases.CASE_TYPES[type].label} Cases` : 'Moderation Cases',
+    user ? `for ${user.tag}` : null,
+  ].filter(Boolean).join(' ');
+
+  const embed = new EmbedBuilder()
+    .setTitle(title)
+    .setColor(config.embedColor || '#00AAFF')
+    .setDescription(results.length > 0
+      ? results.map((caseData) => cases.formatCaseLine(caseData, !user)).join('\n\n')
+      : 'No cases found.')
+    .setFooter({ text: `Page ${page}/${pages} • ${total} case${total === 1 ? '' : 's'} • ${config.footerText}` })
+    .setTimestamp();
+
+  await interaction.editReply({ embeds: [embed] });
+}
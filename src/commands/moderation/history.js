@@ -0,0 +1,117 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, PermissionFlagsBits } = require('discord.js');
+const cases = require('../../modules/cases');
+const logger = require('../../utils/logger');
+const config = require('../../../config.json');
+
+const PAGE_SIZE = 8;
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('history')
+    .setDescription('View moderation history')
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('user')
+        .setDescription('View the full moderation record of a user')
+        .addUserOption((option) =>
+          option.setName('user')
+            .setDescription('The user to view')
+            .setRequired(true),
+        ),
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers),
+
+  async execute(interaction) {
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      if (!cases.isAvailable()) {
+        return interaction.editReply({ content: '❌ Moderation history requires a database connection.' });
+      }
+
+      const user = interaction.options.getUser('user');
+      const counts = await cases.getCaseCounts(interaction.guild.id, user.id);
+      const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+      const pages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+      let page = 1;
+
+      const message = await interaction.editReply({
+        embeds: [await buildPage(interaction.guild, user, counts, total, page, pages)],
+        components: pages > 1 ? [buildButtons(page, pages)] : [],
+      });
+
+      if (pages <= 1) return;
+
+      const filter = (i) => i.user.id === interaction.user.id && i.customId.startsWith('history_');
+      const collector = message.createMessageComponentCollector({ filter, time: 300000 });
+
+      collector.on('collect', async (i) => {
+        try {
+          page = i.customId === 'history_next' ? Math.min(page + 1, pages) : Math.max(page - 1, 1);
+
+          await i.update({
+            embeds: [await buildPage(interaction.guild, user, counts, total, page, pages)],
+            components: [buildButtons(page, pages)],
+          });
+        } catch (error) {
+          logger.error(`Error paginating history: ${error.message}`);
+        }
+      });
+
+      collector.on('end', () => {
+        interaction.editReply({ components: [] }).catch(() => {});
+      });
+    } catch (error) {
+      logger.error(`Error executing history command: ${error.message}`);
+      await interaction.editReply({ content: `❌ An error occurred: ${error.message}` });
+    }
+  },
+};
+
+async function buildPage(guild, user, counts, total, page, pages) {
+  const results = await cases.listCases(guild.id, {
+    userId: user.id,
+    limit: PAGE_SIZE,
+    offset: (page - 1) * PAGE_SIZE,
+  });
+
+  const summary = Object.entries(cases.CASE_TYPES)
+    .filter(([type]) => counts[type] > 0)
+    .map(([type, { label }]) => `${label}s: **${counts[type]}**`)
+    .join(' • ');
+
+  return new EmbedBuilder()
+    .setTitle(`Moderation History: ${user.tag}`)
+    .setThumbnail(user.displayAvatarURL({ dynamic: true }))
+    .setColor(config.embedColor || '#00AAFF')
+    .setDescription(total > 0
+      ? `${summary}\n\n${results.map((caseData) => cases.formatCaseLine(caseData, false)).join('\n\n')}`
+      : `${user.tag} has a clean record.`)
+    .setFooter({ text: `Page ${page}/${pages} • ${total} case${total === 1 ? '' : 's'} • ${config.footerText}` })
+    .setTimestamp();
+}
+
+function buildButtons(page, pages) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId('history_prev')
+      .setLabel('Previous')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page <= 1),
+    new ButtonBuilder()
+      .setCustomId('history_next')
+      .setLabel('Next')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page >= pages),
+  );
+}
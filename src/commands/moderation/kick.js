@@ -89,13 +89,13 @@ module.exports = {
       await targetMember.kick(reason);
       
       // Log the kick
-      await userLogger.logKick(targetUser, interaction.user, reason, interaction.client);
+      const kickCase = await userLogger.logKick(interaction.guild, targetUser, interaction.user, reason);
       
       // Create success embed
       const successEmbed = new EmbedBuilder()
         .setColor('#FF7F00')
         .setTitle('User Kicked')
-        .setDescription(`✅ **${targetUser.tag}** has been kicked from the server.`)
+        .setDescription(`✅ **${targetUser.tag}** has been kicked from the server.${kickCase.caseNumber ? ` (Case #${kickCase.caseNumber})` : ''}`)
         .addFields(
           { name: 'User', value: `${targetUser.tag} (${targetUser.id})`, inline: true },
           { name: 'Reason', value: reason, inline: true },
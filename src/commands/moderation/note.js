@@ -35,13 +35,13 @@ module.exports = {
       const content = interaction.options.getString('content');
       
       // Add the note to the user's case file
-      const note = await userLogger.logNote(targetUser, interaction.user, content, interaction.client);
+      const note = await userLogger.logNote(interaction.guild, targetUser, interaction.user, content);
       
       // Create success embed
       const successEmbed = new EmbedBuilder()
         .setColor('#00FFFF')
         .setTitle('Note Added')
-        .setDescription(`✅ Note #${note.id} has been added to **${targetUser.tag}**'s case file.`)
+        .setDescription(`✅ ${note.caseNumber ? `Case #${note.caseNumber}` : `Note #${note.id}`} has been added to **${targetUser.tag}**'s case file.`)
         .addFields(
           { name: 'User', value: `${targetUser.tag} (${targetUser.id})`, inline: true },
           { name: 'Staff', value: `${interaction.user.tag}`, inline: true },
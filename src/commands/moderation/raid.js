@@ -0,0 +1,128 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const antiRaid = require('../../modules/antiRaid');
+const userLogger = require('../../utils/userLogger');
+const logger = require('../../utils/logger');
+const config = require('../../../config.json');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('raid')
+    .setDescription('Manage raid protection')
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('status')
+        .setDescription('Show the current raid protection status'),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('lockdown')
+        .setDescription('Manually put the server into raid mode')
+        .addStringOption((option) =>
+          option.setName('reason')
+            .setDescription('Why the server is being locked down')
+            .setRequired(false),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('end')
+        .setDescription('End raid mode and restore the original channel settings')
+        .addStringOption((option) =>
+          option.setName('reason')
+            .setDescription('Why raid mode is being ended')
+            .setRequired(false),
+        ),
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+
+  async execute(interaction) {
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const subcommand = interaction.options.getSubcommand();
+
+      if (subcommand === 'status') {
+        await showStatus(interaction);
+      } else if (subcommand === 'lockdown') {
+        const reason = interaction.options.getString('reason') || 'Manual lockdown';
+
+        if (antiRaid.getStatus(interaction.guild.id).raid) {
+          return interaction.editReply({ content: '❌ Raid mode is already active. Use `/raid end` to lift it.' });
+        }
+
+        const raid = await antiRaid.startRaid(interaction.guild, {
+          trigger: 'manual',
+          triggeredBy: interaction.user.id,
+          reason,
+        });
+
+        logger.info(`Raid lockdown started in ${interaction.guild.name} by ${interaction.user.tag}: ${reason}`);
+        await interaction.editReply({
+          content: `🔒 Raid mode enabled. ${raid.snapshot.channels.length} channel(s) locked down${raid.snapshot.verificationLevel !== null ? ' and the verification level raised' : ''}. Use \`/raid end\` to restore them.`,
+        });
+      } else if (subcommand === 'end') {
+        const reason = interaction.options.getString('reason') || 'Ended by a moderator';
+        const raid = await antiRaid.endRaid(interaction.guild.id, reason, interaction.user.id);
+
+        if (!raid) {
+          return interaction.editReply({ content: '❌ Raid mode is not active.' });
+        }
+
+        logger.info(`Raid mode ended in ${interaction.guild.name} by ${interaction.user.tag}`);
+        await interaction.editReply({
+          content: `✅ Raid mode ended. Original settings were restored for ${raid.snapshot.channels.length} channel(s).`,
+        });
+      }
+    } catch (error) {
+      logger.error(`Error executing raid command: ${error.message}`);
+      await interaction.editReply({ content: `❌ An error occurred: ${error.message}` });
+    }
+  },
+};
+
+async function showStatus(interaction) {
+  const { settings, raid, recentJoins, recentScore } = antiRaid.getStatus(interaction.guild.id);
+
+  const embed = new EmbedBuilder()
+    .setTitle(raid ? '🚨 Raid Mode Active' : '🛡️ Raid Protection')
+    .setColor(raid ? '#FF0000' : config.embedColor || '#00AAFF')
+    .addFields(
+      { name: 'Protection', value: settings.enabled ? 'Enabled' : 'Disabled', inline: true },
+      { name: 'Trigger', value: `Score ${settings.joinThreshold} within ${userLogger.formatDuration(settings.joinWindow)}`, inline: true },
+      { name: 'Current Score', value: `${recentScore.toFixed(1)} (${recentJoins} join${recentJoins === 1 ? '' : 's'})`, inline: true },
+      {
+        name: 'Heuristics',
+        value: `+${settings.newAccountWeight} for accounts under ${userLogger.formatDuration(settings.minAccountAge)} old\n+${settings.defaultAvatarWeight} for default avatars`,
+        inline: false,
+      },
+      {
+        name: 'Response',
+        value: `${settings.lockdownMode === 'lock' ? 'Lock' : `${settings.slowmode}s slowmode on`} public channels, ${settings.raiseVerification ? 'raise verification level' : 'keep verification level'}, ${settings.joinAction === 'none' ? 'leave joiners alone' : `${settings.joinAction} joiners`}`,
+        inline: false,
+      },
+    )
+    .setFooter({ text: config.footerText })
+    .setTimestamp();
+
+  if (raid) {
+    embed.addFields(
+      { name: 'Reason', value: raid.reason || 'Unknown', inline: false },
+      { name: 'Started', value: `<t:${Math.floor(raid.startedAt / 1000)}:R>${raid.triggeredBy ? ` by <@${raid.triggeredBy}>` : ''}`, inline: true },
+      { name: 'Ends', value: raid.endsAt ? `<t:${Math.floor(raid.endsAt / 1000)}:R>` : 'Manual (`/raid end`)', inline: true },
+      { name: 'Raid Joins', value: `${raid.joinCount} (${raid.actionedCount} actioned)`, inline: true },
+      { name: 'Channels Locked Down', value: `${raid.snapshot.channels.length}`, inline: true },
+    );
+  }
+
+  await interaction.editReply({ embeds: [embed] });
+}
@@ -106,13 +106,13 @@ module.exports = {
       await targetMember.timeout(durationMs, reason);
       
       // Log the timeout
-      await userLogger.logMute(targetUser, interaction.user, reason, durationMs, interaction.client);
+      const muteCase = await userLogger.logMute(interaction.guild, targetUser, interaction.user, reason, durationMs);
       
       // Create success embed
       const successEmbed = new EmbedBuilder()
         .setColor('#FFFF00')
         .setTitle('User Timed Out')
-        .setDescription(`✅ **${targetUser.tag}** has been timed out.`)
+        .setDescription(`✅ **${targetUser.tag}** has been timed out.${muteCase.caseNumber ? ` (Case #${muteCase.caseNumber})` : ''}`)
         .addFields(
           { name: 'User', value: `${targetUser.tag} (${targetUser.id})`, inline: true },
           { name: 'Duration', value: this.formatDuration(durationMs), inline: true },
@@ -38,7 +38,7 @@ module.exports = {
       const targetMember = await interaction.guild.members.fetch(targetUser.id).catch(() => null);
       
       // Get user case file
-      const caseFileEmbed = await userLogger.getUserCaseFile(targetUser);
+      const caseFileEmbed = await userLogger.getUserCaseFile(targetUser, interaction.guild);
       
       // Add member-specific information if the user is in the server
       if (targetMember) {
@@ -58,22 +58,20 @@ module.exports = {
       // Create a second embed for detailed moderation history if the user has any
       const embedsToSend = [caseFileEmbed];
       
-      // Get user data for detailed history
-      const userData = await userLogger.getUserData(targetUser.id);
+      // Get the most recent 10 warnings and notes for detailed history
+      const warnings = await userLogger.getRecentCases(interaction.guild, targetUser.id, 'warning', 10);
+      const notes = await userLogger.getRecentCases(interaction.guild, targetUser.id, 'note', 10);
       
       // If the user has warnings, create a warnings embed
-      if (userData.warnings.length > 0) {
+      if (warnings.total > 0) {
         const warningsEmbed = new EmbedBuilder()
           .setColor('#FFA500')
           .setTitle(`Warning History: ${targetUser.tag}`)
-          .setDescription(`Total Warnings: ${userData.warnings.length}`)
+          .setDescription(`Total Warnings: ${warnings.total}`)
           .setTimestamp()
           .setFooter({ text: config.footerText });
         
-        // Add the most recent 10 warnings
-        const recentWarnings = userData.warnings.slice(-10).reverse();
-        
-        recentWarnings.forEach((warning, index) => {
+        warnings.entries.forEach((warning, index) => {
           const date = new Date(warning.timestamp);
           warningsEmbed.addFields({
             name: `Warning #${warning.id} - <t:${Math.floor(date.getTime() / 1000)}:F>`,
@@ -82,26 +80,23 @@ module.exports = {
           });
         });
         
-        if (userData.warnings.length > 10) {
-          warningsEmbed.setDescription(`Total Warnings: ${userData.warnings.length} (Showing the 10 most recent)`);
+        if (warnings.total > 10) {
+          warningsEmbed.setDescription(`Total Warnings: ${warnings.total} (Showing the 10 most recent)`);
         }
         
         embedsToSend.push(warningsEmbed);
       }
       
       // If the user has notes, create a notes embed
-      if (userData.notes.length > 0) {
+      if (notes.total > 0) {
         const notesEmbed = new EmbedBuilder()
           .setColor('#00FFFF')
           .setTitle(`Staff Notes: ${targetUser.tag}`)
-          .setDescription(`Total Notes: ${userData.notes.length}`)
+          .setDescription(`Total Notes: ${notes.total}`)
           .setTimestamp()
           .setFooter({ text: config.footerText });
         
-        // Add the most recent 10 notes
-        const recentNotes = userData.notes.slice(-10).reverse();
-        
-        recentNotes.forEach((note, index) => {
+        notes.entries.forEach((note, index) => {
           const date = new Date(note.timestamp);
           notesEmbed.addFields({
             name: `Note #${note.id} - <t:${Math.floor(date.getTime() / 1000)}:F>`,
@@ -110,8 +105,8 @@ module.exports = {
           });
         });
         
-        if (userData.notes.length > 10) {
-          notesEmbed.setDescription(`Total Notes: ${userData.notes.length} (Showing the 10 most recent)`);
+        if (notes.total > 10) {
+          notesEmbed.setDescription(`Total Notes: ${notes.total} (Showing the 10 most recent)`);
         }
         
         embedsToSend.push(notesEmbed);
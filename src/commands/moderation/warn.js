@@ -11,6 +11,7 @@
 const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
 const config = require('../../../config.json');
 const logger = require('../../utils/logger');
+const warningPolicies = require('../../modules/warningPolicies');
 
 module.exports = {
   data: new SlashCommandBuilder()
@@ -24,6 +25,12 @@ module.exports = {
       option.setName('reason')
         .setDescription('The reason for the warning')
         .setRequired(true))
+    .addIntegerOption(option => 
+      option.setName('points')
+        .setDescription('How many warning points this warning is worth (defaults to the server setting)')
+        .setRequired(false)
+        .setMinValue(0)
+        .setMaxValue(100))
     .addBooleanOption(option => 
       option.setName('silent')
         .setDescription('Whether to send the warning silently (only visible to moderators)')
@@ -34,6 +41,7 @@ module.exports = {
     const targetUser = interaction.options.getUser('user');
     const reason = interaction.options.getString('reason');
     const silent = interaction.options.getBoolean('silent') || false;
+    const points = interaction.options.getInteger('points');
     
     // Check if user is trying to warn themselves
     if (targetUser.id === interaction.user.id) {
@@ -85,39 +93,22 @@ module.exports = {
       logger.warn(`Could not send DM to ${targetUser.tag}: ${error.message}`);
     }
     
-    // Create warning log embed
-    const logEmbed = new EmbedBuilder()
-      .setColor('#FF9900')
-      .setTitle('User Warned')
-      .setDescription(`${targetUser.tag} has been warned`)
-      .addFields(
-        { name: 'User', value: `${targetUser} (${targetUser.id})` },
-        { name: 'Reason', value: reason },
-        { name: 'Moderator', value: `${interaction.user} (${interaction.user.id})` }
-      )
-      .setTimestamp()
-      .setFooter({ text: config.footerText });
-    
-    // Log the warning to the mod-logs channel
-    const modLogsChannel = interaction.guild.channels.cache.find(
-      channel => channel.name === config.channels.modLogs
-    );
-    
-    if (modLogsChannel) {
-      await modLogsChannel.send({ embeds: [logEmbed] });
-    }
+    // Record the warning as a case, log it and apply any warning policy it triggers
+    const { warning, points: activePoints, policy } = await warningPolicies.issueWarning(interaction.guild, targetUser, interaction.user, reason, { points });
+    const caseLabel = warning.caseNumber ? ` (Case #${warning.caseNumber})` : '';
+    const policyLabel = policy ? `\nWarning policy **${policy.name}** was triggered at ${activePoints} points: ${policy.action}.` : '';
     
     // Reply to the interaction
     if (silent) {
       await interaction.reply({ 
-        content: `✅ ${targetUser.tag} has been warned silently for: ${reason}`, 
+        content: `✅ ${targetUser.tag} has been warned silently for: ${reason}${caseLabel}${policyLabel}`, 
         ephemeral: true 
       });
     } else {
       // Create public warning message
       const publicEmbed = new EmbedBuilder()
         .setColor('#FF9900')
-        .setDescription(`⚠️ ${targetUser} has been warned by ${interaction.user} for: ${reason}`);
+        .setDescription(`⚠️ ${targetUser} has been warned by ${interaction.user} for: ${reason}${caseLabel}${policyLabel}`);
       
       await interaction.reply({ embeds: [publicEmbed] });
     }
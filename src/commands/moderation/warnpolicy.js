@@ -0,0 +1,224 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const warningPolicies = require('../../modules/warningPolicies');
+const db = require('../../utils/database');
+const userLogger = require('../../utils/userLogger');
+const logger = require('../../utils/logger');
+const { parseDuration } = require('../../utils');
+const config = require('../../../config.json');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('warnpolicy')
+    .setDescription('Configure warning points, decay and automatic punishments')
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('add')
+        .setDescription('Add an automatic action when a user reaches a number of warning points')
+        .addIntegerOption((option) =>
+          option.setName('threshold')
+            .setDescription('Active warning points that trigger the action')
+            .setRequired(true)
+            .setMinValue(1),
+        )
+        .addStringOption((option) =>
+          option.setName('action')
+            .setDescription('The action to take')
+            .setRequired(true)
+            .addChoices(
+              { name: 'Timeout', value: 'timeout' },
+              { name: 'Kick', value: 'kick' },
+              { name: 'Ban', value: 'ban' },
+            ),
+        )
+        .addStringOption((option) =>
+          option.setName('duration')
+            .setDescription('Timeout or ban duration (e.g. 1h, 7d). Required for timeouts, bans are permanent without one')
+            .setRequired(false),
+        )
+        .addStringOption((option) =>
+          option.setName('name')
+            .setDescription('A name for the policy')
+            .setRequired(false)
+            .setMaxLength(100),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('remove')
+        .setDescription('Remove a warning policy')
+        .addIntegerOption((option) =>
+          option.setName('id')
+            .setDescription('The policy ID (see /warnpolicy list)')
+            .setRequired(true),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('list')
+        .setDescription('Show the warning settings and policies'),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('settings')
+        .setDescription('Change how many points a warning is worth and when points decay')
+        .addIntegerOption((option) =>
+          option.setName('points')
+            .setDescription('Default points per warning')
+            .setRequired(false)
+            .setMinValue(0)
+            .setMaxValue(100),
+        )
+        .addStringOption((option) =>
+          option.setName('decay')
+            .setDescription('How long warnings count towards thresholds (e.g. 30d), or "never"')
+            .setRequired(false),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('check')
+        .setDescription('Show a user\'s active warning points')
+        .addUserOption((option) =>
+          option.setName('user')
+            .setDescription('The user to check')
+            .setRequired(true),
+        ),
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+
+  async execute(interaction) {
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      if (!db.isConnected) {
+        return interaction.editReply({ content: '❌ Warning policies require a database connection.' });
+      }
+
+      const subcommand = interaction.options.getSubcommand();
+      const guildId = interaction.guild.id;
+
+      if (subcommand === 'add') {
+        const threshold = interaction.options.getInteger('threshold');
+        const action = interaction.options.getString('action');
+        const durationString = interaction.options.getString('duration');
+        const name = interaction.options.getString('name');
+
+        let duration = null;
+        if (durationString) {
+          duration = parseDuration(durationString.trim().toLowerCase());
+          if (!duration) {
+            return interaction.editReply({ content: '❌ Invalid duration. Use a number followed by s, m, h, d or w (e.g. 1h, 7d).' });
+          }
+        }
+
+        if (action === 'timeout' && !duration) {
+          return interaction.editReply({ content: '❌ Timeout policies need a duration.' });
+        }
+
+        if (action === 'kick' && duration) {
+          return interaction.editReply({ content: '❌ Kick policies don\'t take a duration.' });
+        }
+
+        const id = await warningPolicies.addPolicy(guildId, { name, threshold, action, duration }, interaction.user.id);
+
+        logger.info(`Warning policy ${id} (${threshold} points: ${action}) added in ${interaction.guild.name} by ${interaction.user.tag}`);
+        await interaction.editReply({
+          content: `✅ Added policy #${id}: at **${threshold}** points, ${formatPolicyAction({ action, duration })}.`,
+        });
+      } else if (subcommand === 'remove') {
+        const id = interaction.options.getInteger('id');
+
+        if (!await warningPolicies.removePolicy(guildId, id)) {
+          return interaction.editReply({ content: `❌ Policy #${id} does not exist.` });
+        }
+
+        logger.info(`Warning policy ${id} removed in ${interaction.guild.name} by ${interaction.user.tag}`);
+        await interaction.editReply({ content: `✅ Removed policy #${id}.` });
+      } else if (subcommand === 'list') {
+        await showPolicies(interaction);
+      } else if (subcommand === 'settings') {
+        const points = interaction.options.getInteger('points');
+        const decay = interaction.options.getString('decay');
+        const changes = {};
+
+        if (points !== null) {
+          changes.pointsPerWarning = points;
+        }
+
+        if (decay) {
+          if (['never', 'off', '0'].includes(decay.trim().toLowerCase())) {
+            changes.decayPeriod = 0;
+          } else {
+            changes.decayPeriod = parseDuration(decay.trim().toLowerCase());
+            if (!changes.decayPeriod) {
+              return interaction.editReply({ content: '❌ Invalid decay period. Use a duration such as 30d or "never".' });
+            }
+          }
+        }
+
+        if (Object.keys(changes).length === 0) {
+          return interaction.editReply({ content: '❌ Provide at least one setting to change.' });
+        }
+
+        const settings = await warningPolicies.updateSettings(guildId, changes, interaction.user.id);
+        await interaction.editReply({
+          content: `✅ Warnings are worth **${settings.pointsPerWarning}** point${settings.pointsPerWarning === 1 ? '' : 's'} and ${formatDecay(settings.decayPeriod)}.`,
+        });
+      } else if (subcommand === 'check') {
+        const user = interaction.options.getUser('user');
+        const settings = await warningPolicies.getSettings(guildId);
+        const points = await warningPolicies.getActivePoints(guildId, user.id, settings);
+        const next = (await warningPolicies.getPolicies(guildId)).find((policy) => policy.threshold > points);
+
+        await interaction.editReply({
+          content: `**${user.tag}** has **${points}** active warning point${points === 1 ? '' : 's'}.` +
+            (next ? ` Next policy: **${next.name}** at ${next.threshold} points (${formatPolicyAction(next)}).` : ''),
+        });
+      }
+    } catch (error) {
+      logger.error(`Error executing warnpolicy command: ${error.message}`);
+      await interaction.editReply({ content: `❌ An error occurred: ${error.message}` });
+    }
+  },
+};
+
+async function showPolicies(interaction) {
+  const settings = await warningPolicies.getSettings(interaction.guild.id);
+  const policies = await warningPolicies.getPolicies(interaction.guild.id);
+
+  const embed = new EmbedBuilder()
+    .setTitle('⚠️ Warning Policies')
+    .setColor(config.embedColor || '#00AAFF')
+    .setDescription(`Warnings are worth **${settings.pointsPerWarning}** point${settings.pointsPerWarning === 1 ? '' : 's'} and ${formatDecay(settings.decayPeriod)}.`)
+    .addFields({
+      name: 'Policies',
+      value: policies.length > 0
+        ? policies.map((policy) => `**#${policy.id}** ${policy.name}: at ${policy.threshold} points, ${formatPolicyAction(policy)}`).join('\n')
+        : 'No policies configured. Use `/warnpolicy add` to create one.',
+      inline: false,
+    })
+    .setFooter({ text: config.footerText })
+    .setTimestamp();
+
+  await interaction.editReply({ embeds: [embed] });
+}
+
+function formatPolicyAction(policy) {
+  if (policy.action === 'timeout') return `timeout for ${userLogger.formatDuration(policy.duration)}`;
+  if (policy.action === 'ban') return policy.duration ? `ban for ${userLogger.formatDuration(policy.duration)}` : 'permanent ban';
+  return policy.action;
+}
+
+function formatDecay(decayPeriod) {
+  return decayPeriod > 0 ? `stop counting after ${userLogger.formatDuration(decayPeriod)}` : 'never decay';
+}
@@ -9,6 +9,10 @@
  */
 
 const { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } = require('discord.js');
+const tickets = require('../modules/tickets');
+const ticketSla = require('../modules/ticketSla');
+const ticketAnalytics = require('../modules/ticketAnalytics');
+const logger = require('../utils/logger');
 
 module.exports = {
   data: new SlashCommandBuilder()
@@ -50,7 +54,14 @@ module.exports = {
     .addSubcommand(subcommand =>
       subcommand
         .setName('transcript')
-        .setDescription('Generate a transcript of the current ticket')
+        .setDescription('Get the transcript of this or another ticket')
+        .addIntegerOption(option =>
+          option
+            .setName('id')
+            .setDescription('The ticket number (defaults to the current ticket)')
+            .setRequired(false)
+            .setMinValue(1)
+        )
     )
     .addSubcommand(subcommand =>
       subcommand
@@ -79,32 +90,54 @@ module.exports = {
               { name: 'Urgent', value: 'urgent' }
             )
         )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('sla')
+        .setDescription('Show the response and resolution targets of the current ticket')
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('duty')
+        .setDescription('Go on or off duty for automatic ticket assignment')
+        .addStringOption(option =>
+          option
+            .setName('status')
+            .setDescription('Your duty status (shows who is on duty if left out)')
+            .setRequired(false)
+            .addChoices(
+              { name: 'On duty', value: 'on' },
+              { name: 'Off duty', value: 'off' }
+            )
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('stats')
+        .setDescription('Show ticket response times, backlog and staff performance')
+        .addStringOption(option =>
+          option
+            .setName('period')
+            .setDescription('The period to report on (defaults to the last 7 days)')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Last 24 hours', value: 'day' },
+              { name: 'Last 7 days', value: 'week' },
+              { name: 'Last 30 days', value: 'month' },
+              { name: 'All time', value: 'all' }
+            )
+        )
     ),
 
   async execute(interaction) {
-    // Get managers from global object
-    const { logger, database, bot } = global.managers;
-    
     try {
       const subcommand = interaction.options.getSubcommand();
       
-      // Get tickets module from bot manager
-      const ticketsModule = bot.getModuleRegistry().getModule('tickets');
-      
-      if (!ticketsModule) {
-        return interaction.reply({
-          content: '❌ Tickets module is not available.',
-          ephemeral: true
-        });
-      }
-      
-      // Get config from bot manager
-      const config = bot.getConfigManager().getConfig();
-      
       // Check if the channel is a ticket channel
-      const isTicketChannel = await ticketsModule.isTicketChannel(interaction.channel);
+      const isTicketChannel = tickets.isTicketChannel(interaction.channel);
+      const isTranscriptLookup = subcommand === 'transcript' && interaction.options.getInteger('id');
       
-      if (!isTicketChannel && !['list', 'panel'].includes(subcommand)) {
+      if (!isTicketChannel && !isTranscriptLookup && !['list', 'panel', 'duty', 'stats'].includes(subcommand)) {
         return interaction.reply({
           content: '❌ This command can only be used in a ticket channel.',
           ephemeral: true
@@ -115,18 +148,14 @@ module.exports = {
       if (subcommand === 'close') {
         const reason = interaction.options.getString('reason') || 'No reason provided';
         
-        await interaction.deferReply();
-        
         try {
-          // Close the ticket
-          await ticketsModule.closeTicket(interaction.channel, interaction.user, reason);
+          // Close the ticket, it is archived until the reopen window runs out
+          await tickets.closeTicket(interaction, false, reason);
           
           // Log the action
-          logger.info('commands', `Ticket ${interaction.channel.name} closed by ${interaction.user.tag} (${interaction.user.id}) with reason: ${reason}`);
-          
-          // No need to reply as the channel will be deleted
+          logger.info(`Ticket ${interaction.channel.name} closed by ${interaction.user.tag} (${interaction.user.id}) with reason: ${reason}`);
         } catch (error) {
-          logger.error('commands', `Error closing ticket: ${error.message}`, error.stack);
+          logger.error(`Error closing ticket: ${error.message}`);
           
           return interaction.editReply({
             content: `❌ An error occurred while closing the ticket: ${error.message}`
@@ -146,18 +175,25 @@ module.exports = {
           });
         }
         
+        if (!await canManageTicket(interaction)) {
+          return interaction.reply({
+            content: '❌ Only the ticket creator or support staff can do this.',
+            ephemeral: true
+          });
+        }
+        
         try {
           // Add user to ticket
-          await ticketsModule.addUserToTicket(interaction.channel, member);
+          await tickets.addUserToTicket(interaction.channel, member, interaction.user);
           
           // Log the action
-          logger.info('commands', `User ${user.tag} (${user.id}) added to ticket ${interaction.channel.name} by ${interaction.user.tag} (${interaction.user.id})`);
+          logger.info(`User ${user.tag} (${user.id}) added to ticket ${interaction.channel.name} by ${interaction.user.tag} (${interaction.user.id})`);
           
           return interaction.reply({
             content: `✅ Added ${user} to the ticket.`
           });
         } catch (error) {
-          logger.error('commands', `Error adding user to ticket: ${error.message}`, error.stack);
+          logger.error(`Error adding user to ticket: ${error.message}`);
           
           return interaction.reply({
             content: `❌ An error occurred: ${error.message}`,
@@ -178,18 +214,25 @@ module.exports = {
           });
         }
         
+        if (!await canManageTicket(interaction)) {
+          return interaction.reply({
+            content: '❌ Only the ticket creator or support staff can do this.',
+            ephemeral: true
+          });
+        }
+        
         try {
           // Remove user from ticket
-          await ticketsModule.removeUserFromTicket(interaction.channel, member);
+          await tickets.removeUserFromTicket(interaction.channel, member, interaction.user);
           
           // Log the action
-          logger.info('commands', `User ${user.tag} (${user.id}) removed from ticket ${interaction.channel.name} by ${interaction.user.tag} (${interaction.user.id})`);
+          logger.info(`User ${user.tag} (${user.id}) removed from ticket ${interaction.channel.name} by ${interaction.user.tag} (${interaction.user.id})`);
           
           return interaction.reply({
             content: `✅ Removed ${user} from the ticket.`
           });
         } catch (error) {
-          logger.error('commands', `Error removing user from ticket: ${error.message}`, error.stack);
+          logger.error(`Error removing user from ticket: ${error.message}`);
           
           return interaction.reply({
             content: `❌ An error occurred: ${error.message}`,
@@ -200,20 +243,48 @@ module.exports = {
       
       // Handle transcript subcommand
       else if (subcommand === 'transcript') {
-        await interaction.deferReply();
+        await interaction.deferReply({ ephemeral: true });
         
         try {
-          // Generate transcript
-          const transcriptUrl = await ticketsModule.generateTranscript(interaction.channel);
+          const number = interaction.options.getInteger('id');
+          const ticket = number
+            ? await tickets.getTicketByNumber(interaction.guild.id, number)
+            : await tickets.getTicketByChannel(interaction.channel.id);
+          
+          if (!ticket) {
+            return interaction.editReply({ content: `❌ Ticket #${number} does not exist.` });
+          }
+          
+          // Staff can view any transcript, users only their own
+          const member = await interaction.guild.members.fetch(interaction.user.id);
+          if (ticket.userId !== interaction.user.id && !tickets.isSupportStaff(member)) {
+            return interaction.editReply({ content: '❌ You can only view transcripts of your own tickets.' });
+          }
+          
+          // Open tickets get a fresh transcript, closed ones use the one saved when they were closed
+          let file = null;
+          if (ticket.status === 'open') {
+            const channel = await interaction.guild.channels.fetch(ticket.channelId).catch(() => null);
+            if (channel) {
+              file = await tickets.saveTicketTranscript(channel, ticket, { post: false });
+            }
+          } else {
+            file = await tickets.getTranscriptFile(ticket);
+          }
+          
+          if (!file) {
+            return interaction.editReply({ content: `❌ No transcript was saved for ticket #${tickets.formatTicketId(ticket.id)}.` });
+          }
           
           // Log the action
-          logger.info('commands', `Transcript generated for ticket ${interaction.channel.name} by ${interaction.user.tag} (${interaction.user.id})`);
+          logger.info(`Transcript of ticket #${ticket.id} requested by ${interaction.user.tag} (${interaction.user.id})`);
           
           return interaction.editReply({
-            content: `✅ Transcript generated: ${transcriptUrl}`
+            content: `📄 Transcript of ticket #${tickets.formatTicketId(ticket.id)}`,
+            files: [{ attachment: file, name: `ticket-${tickets.formatTicketId(ticket.id)}.html` }]
           });
         } catch (error) {
-          logger.error('commands', `Error generating transcript: ${error.message}`, error.stack);
+          logger.error(`Error getting transcript: ${error.message}`);
           
           return interaction.editReply({
             content: `❌ An error occurred: ${error.message}`
@@ -225,22 +296,31 @@ module.exports = {
       else if (subcommand === 'rename') {
         const newName = interaction.options.getString('name');
         
+        if (!await isStaff(interaction)) {
+          return interaction.reply({
+            content: '❌ Only support staff can rename tickets.',
+            ephemeral: true
+          });
+        }
+        
+        // Channel renames are rate limited and can take a while
+        await interaction.deferReply();
+        
         try {
           // Rename ticket
-          await ticketsModule.renameTicket(interaction.channel, newName);
+          const channelName = await tickets.renameTicket(interaction.channel, newName, interaction.user);
           
           // Log the action
-          logger.info('commands', `Ticket renamed to ${newName} by ${interaction.user.tag} (${interaction.user.id})`);
+          logger.info(`Ticket renamed to ${channelName} by ${interaction.user.tag} (${interaction.user.id})`);
           
-          return interaction.reply({
-            content: `✅ Ticket renamed to ${newName}.`
+          return interaction.editReply({
+            content: `✅ Ticket renamed to ${channelName}.`
           });
         } catch (error) {
-          logger.error('commands', `Error renaming ticket: ${error.message}`, error.stack);
+          logger.error(`Error renaming ticket: ${error.message}`);
           
-          return interaction.reply({
-            content: `❌ An error occurred: ${error.message}`,
-            ephemeral: true
+          return interaction.editReply({
+            content: `❌ An error occurred: ${error.message}`
           });
         }
       }
@@ -249,28 +329,129 @@ module.exports = {
       else if (subcommand === 'priority') {
         const priority = interaction.options.getString('level');
         
+        if (!await isStaff(interaction)) {
+          return interaction.reply({
+            content: '❌ Only support staff can change the priority of tickets.',
+            ephemeral: true
+          });
+        }
+        
+        // The priority is shown in the channel name, renames can take a while
+        await interaction.deferReply();
+        
         try {
           // Set priority
-          await ticketsModule.setTicketPriority(interaction.channel, priority);
+          await tickets.setTicketPriority(interaction.channel, priority, interaction.user);
           
           // Log the action
-          logger.info('commands', `Ticket ${interaction.channel.name} priority set to ${priority} by ${interaction.user.tag} (${interaction.user.id})`);
+          logger.info(`Ticket ${interaction.channel.name} priority set to ${priority} by ${interaction.user.tag} (${interaction.user.id})`);
           
+          return interaction.editReply({
+            content: `✅ Ticket priority set to ${tickets.formatPriority(priority)}.`
+          });
+        } catch (error) {
+          logger.error(`Error setting ticket priority: ${error.message}`);
+          
+          return interaction.editReply({
+            content: `❌ An error occurred: ${error.message}`
+          });
+        }
+      }
+      
+      // Handle sla subcommand
+      else if (subcommand === 'sla') {
+        const ticket = await tickets.getTicketByChannel(interaction.channel.id);
+        
+        if (!ticket || (!ticket.firstResponseDue && !ticket.resolutionDue)) {
           return interaction.reply({
-            content: `✅ Ticket priority set to ${priority}.`
+            content: '❌ This ticket has no SLA targets.',
+            ephemeral: true
+          });
+        }
+        
+        const embed = new EmbedBuilder()
+          .setColor(ticket.firstResponseBreachedAt || ticket.resolutionBreachedAt ? '#FF0000' : '#00AAFF')
+          .setTitle(`SLA for Ticket #${tickets.formatTicketId(ticket.id)}`)
+          .setDescription(ticketSla.describe(ticket).join('\n'))
+          .addFields(
+            { name: 'Assigned To', value: ticket.claimedBy ? `<@${ticket.claimedBy}>` : 'Nobody', inline: true },
+            { name: 'Escalation Level', value: String(ticket.escalationLevel || 0), inline: true }
+          )
+          .setTimestamp();
+        
+        return interaction.reply({ embeds: [embed], ephemeral: true });
+      }
+      
+      // Handle duty subcommand
+      else if (subcommand === 'duty') {
+        const status = interaction.options.getString('status');
+        
+        if (!await isStaff(interaction)) {
+          return interaction.reply({
+            content: '❌ Only support staff can go on duty.',
+            ephemeral: true
+          });
+        }
+        
+        await interaction.deferReply({ ephemeral: true });
+        
+        try {
+          if (status) {
+            await ticketSla.setOnDuty(interaction.guild, interaction.user.id, status === 'on');
+            
+            logger.info(`${interaction.user.tag} (${interaction.user.id}) is now ${status === 'on' ? 'on' : 'off'} duty for tickets`);
+            
+            return interaction.editReply({
+              content: status === 'on'
+                ? '✅ You are now on duty and will be assigned unclaimed tickets.'
+                : '✅ You are now off duty and will no longer be assigned tickets.'
+            });
+          }
+          
+          const onDuty = await ticketSla.getOnDuty(interaction.guild.id);
+          
+          return interaction.editReply({
+            content: onDuty.length > 0
+              ? `🟢 On duty: ${onDuty.map(id => `<@${id}>`).join(', ')}`
+              : 'Nobody is on duty right now.'
           });
         } catch (error) {
-          logger.error('commands', `Error setting ticket priority: ${error.message}`, error.stack);
+          logger.error(`Error updating duty status: ${error.message}`);
           
+          return interaction.editReply({
+            content: `❌ An error occurred: ${error.message}`
+          });
+        }
+      }
+      
+      // Handle stats subcommand
+      else if (subcommand === 'stats') {
+        const period = interaction.options.getString('period') || 'week';
+        
+        if (!await isStaff(interaction)) {
           return interaction.reply({
-            content: `❌ An error occurred: ${error.message}`,
+            content: '❌ Only support staff can view ticket statistics.',
             ephemeral: true
           });
         }
+        
+        await interaction.deferReply({ ephemeral: true });
+        
+        try {
+          const stats = await ticketAnalytics.getStats(interaction.guild.id, period);
+          
+          return interaction.editReply({ embeds: [ticketAnalytics.buildEmbed(interaction.guild, stats)] });
+        } catch (error) {
+          logger.error(`Error getting ticket statistics: ${error.message}`);
+          
+          return interaction.editReply({
+            content: `❌ An error occurred: ${error.message}`
+          });
+        }
       }
     } catch (error) {
       // Log error
-      logger.error('commands', `Error in ticket command: ${error.message}`, error.stack);
+      logger.error(`Error in ticket command: ${error.message}`);
       
       return interaction.reply({
         content: `❌ An error occurred: ${error.message}`,
@@ -278,4 +459,24 @@ module.exports = {
       });
     }
   }
-}; 
\ No newline at end of file
+}; 
+
+/**
+ * Check whether the user is support staff
+ * @param {CommandInteraction} interaction - The interaction
+ * @returns {Promise<boolean>}
+ */
+async function isStaff(interaction) {
+  const member = await interaction.guild.members.fetch(interaction.user.id);
+  return tickets.isSupportStaff(member);
+}
+
+/**
+ * Check whether the user created the current ticket or is support staff
+ * @param {CommandInteraction} interaction - The interaction
+ * @returns {Promise<boolean>}
+ */
+async function canManageTicket(interaction) {
+  const ticket = await tickets.getTicketByChannel(interaction.channel.id);
+  return (ticket && ticket.userId === interaction.user.id) || isStaff(interaction);
+}
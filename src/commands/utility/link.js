@@ -11,8 +11,9 @@
 const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 const logger = require('../../utils/logger');
 const config = require('../../../config.json');
-const crypto = require('crypto');
+const accountLinks = require('../../modules/accountLinks');
 const { safeReply, safeDeferReply, isValidInteraction } = require('../../utils/interactionHandler');
+const { parseSqlDate } = require('../../utils/timeUtils');
 
 module.exports = {
   data: new SlashCommandBuilder()
@@ -74,50 +75,17 @@ module.exports = {
     await safeDeferReply(interaction, true);
     
     try {
-      // Check if user is already linked
-      const existingLink = await interaction.client.db.query(
-        'SELECT * FROM account_links WHERE discord_id = ?',
-        [interaction.user.id]
-      );
-      
-      if (existingLink && existingLink.length > 0) {
+      // Issue a new token, replacing any pending one
+      let token, expiresAt;
+      try {
+        ({ token, expiresAt } = await accountLinks.createToken(interaction.user.id));
+      } catch (error) {
         return safeReply(interaction, {
-          content: 'Your Discord account is already linked to a Pterodactyl panel account. Use `/link status` to check your link status or `/link unlink` to unlink your account.',
+          content: `${error.message} Use \`/link status\` to check your link status.`,
           ephemeral: true
         });
       }
       
-      // Generate a unique token
-      const token = crypto.randomBytes(16).toString('hex');
-      const expiresAt = new Date();
-      expiresAt.setHours(expiresAt.getHours() + 24); // Token expires in 24 hours
-      
-      // Store the token in the database - include user_id which is required
-      try {
-        await interaction.client.db.query(
-          'INSERT INTO account_links (user_id, discord_id, token, expires_at, created_at) VALUES (?, ?, ?, ?, ?)',
-          [interaction.user.id, interaction.user.id, token, expiresAt, new Date()]
-        );
-      } catch (error) {
-        // If the error is about missing created_at column, try without it
-        if (error.message.includes('no column named created_at')) {
-          logger.warn('account_links table missing created_at column, trying without it');
-          await interaction.client.db.query(
-            'INSERT INTO account_links (user_id, discord_id, token, expires_at) VALUES (?, ?, ?, ?)',
-            [interaction.user.id, interaction.user.id, token, expiresAt]
-          );
-        } else if (error.message.includes('SQLITE_CONSTRAINT')) {
-          // If there's a constraint error, log it and provide more details
-          logger.error(`Error generating link token: ${error.message}`);
-          return safeReply(interaction, {
-            content: 'There was an error linking your account. Please try again later or contact an administrator.',
-            ephemeral: true
-          });
-        } else {
-          throw error;
-        }
-      }
-      
       // Create the link embed with a more modern and interactive design
       const linkEmbed = new EmbedBuilder()
         .setTitle('🔗 Link Your Pterodactyl Account')
@@ -127,12 +95,12 @@ module.exports = {
         .addFields(
           { 
             name: '📋 Your Linking Token',
-            value: `\`${token}\`\n*This token will expire in 24 hours*`,
+            value: `\`${token}\`\n*This token expires <t:${Math.floor(expiresAt.getTime() / 1000)}:R>*`,
             inline: false 
           },
           { 
             name: '🔄 How to Link Your Account',
-            value: 'Follow the steps below to complete the linking process:',
+            value: 'Click **Start Linking Process** and enter this token with a client API key from your panel account. Click **View Instructions** for the full steps.',
             inline: false 
           }
         )
@@ -144,14 +112,14 @@ module.exports = {
         .addComponents(
           new ButtonBuilder()
             .setLabel('Open Panel')
-            .setURL('https://panel.jmfhosting.com')
+            .setURL(accountLinks.getSettings().panelUrl || 'https://panel.jmfhosting.com')
             .setStyle(ButtonStyle.Link),
           new ButtonBuilder()
             .setCustomId('link_instructions')
             .setLabel('View Instructions')
             .setStyle(ButtonStyle.Secondary),
           new ButtonBuilder()
-            .setCustomId('start_link_process')
+            .setCustomId('link_start')
             .setLabel('Start Linking Process')
             .setStyle(ButtonStyle.Primary)
         );
@@ -210,7 +178,7 @@ module.exports = {
         const linkRow = new ActionRowBuilder()
           .addComponents(
             new ButtonBuilder()
-              .setCustomId('start_link_process')
+              .setCustomId('link_start')
               .setLabel('Link Account')
               .setStyle(ButtonStyle.Primary)
           );
@@ -243,15 +211,22 @@ module.exports = {
         .setTimestamp();
         
       if (isVerified) {
+        const linkedAt = linkInfo.verified_at ? parseSqlDate(linkInfo.verified_at) : null;
+        
         statusEmbed.addFields(
           { 
             name: 'Pterodactyl Username',
             value: linkInfo.pterodactyl_username || 'Unknown',
             inline: true 
           },
+          { 
+            name: 'Pterodactyl User ID',
+            value: linkInfo.pterodactyl_id ? String(linkInfo.pterodactyl_id) : 'Unknown',
+            inline: true 
+          },
           { 
             name: 'Linked On',
-            value: linkInfo.linked_at ? new Date(linkInfo.linked_at).toLocaleString() : 'Unknown',
+            value: linkedAt ? `<t:${Math.floor(linkedAt.getTime() / 1000)}:F>` : 'Unknown',
             inline: true 
           }
         );
@@ -259,7 +234,7 @@ module.exports = {
         const unlinkRow = new ActionRowBuilder()
           .addComponents(
             new ButtonBuilder()
-              .setCustomId('unlink_account')
+              .setCustomId('link_unlink')
               .setLabel('Unlink Account')
               .setStyle(ButtonStyle.Danger)
           );
@@ -279,7 +254,7 @@ module.exports = {
           },
           { 
             name: 'Expires',
-            value: linkInfo.expires_at ? new Date(linkInfo.expires_at).toLocaleString() : 'Unknown',
+            value: linkInfo.expires_at ? `<t:${Math.floor(parseSqlDate(linkInfo.expires_at).getTime() / 1000)}:R>` : 'Unknown',
             inline: true 
           }
         );
@@ -288,10 +263,14 @@ module.exports = {
           .addComponents(
             new ButtonBuilder()
               .setLabel('Open Panel')
-              .setURL('https://panel.jmfhosting.com')
+              .setURL(accountLinks.getSettings().panelUrl || 'https://panel.jmfhosting.com')
               .setStyle(ButtonStyle.Link),
             new ButtonBuilder()
-              .setCustomId('cancel_link')
+              .setCustomId('link_start')
+              .setLabel('Start Linking Process')
+              .setStyle(ButtonStyle.Primary),
+            new ButtonBuilder()
+              .setCustomId('link_cancel')
               .setLabel('Cancel Linking')
               .setStyle(ButtonStyle.Danger)
           );
@@ -352,17 +331,7 @@ module.exports = {
         .setFooter({ text: 'JMF Hosting • Account Linking System', iconURL: interaction.client.user.displayAvatarURL() })
         .setTimestamp();
         
-      const confirmRow = new ActionRowBuilder()
-        .addComponents(
-          new ButtonBuilder()
-            .setCustomId('confirm_unlink')
-            .setLabel('Confirm Unlink')
-            .setStyle(ButtonStyle.Danger),
-          new ButtonBuilder()
-            .setCustomId('cancel_unlink')
-            .setLabel('Cancel')
-            .setStyle(ButtonStyle.Secondary)
-        );
+      const confirmRow = accountLinks.buildUnlinkRow();
         
       await safeReply(interaction, {
         embeds: [confirmEmbed],
@@ -411,4 +380,4 @@ module.exports = {
       logger.error(`Error recording command usage: ${error.message}`);
     }
   }
-}; 
\ No newline at end of file
+};
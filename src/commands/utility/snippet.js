@@ -0,0 +1,186 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const snippets = require('../../modules/snippets');
+const tickets = require('../../modules/tickets');
+const db = require('../../utils/database');
+const logger = require('../../utils/logger');
+const config = require('../../../config.json');
+
+const nameOption = (option) =>
+  option.setName('name')
+    .setDescription('The snippet name')
+    .setRequired(true)
+    .setAutocomplete(true);
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('snippet')
+    .setDescription('Canned responses for support tickets')
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('send')
+        .setDescription('Send a snippet in this channel')
+        .addStringOption(nameOption)
+        .addUserOption((option) =>
+          option.setName('user')
+            .setDescription('The user {user} refers to (defaults to the ticket creator)')
+            .setRequired(false),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('add')
+        .setDescription('Add a snippet')
+        .addStringOption((option) =>
+          option.setName('name')
+            .setDescription('A short name, e.g. panel-login')
+            .setRequired(true)
+            .setMaxLength(32),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('edit')
+        .setDescription('Edit a snippet')
+        .addStringOption(nameOption),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('remove')
+        .setDescription('Remove a snippet')
+        .addStringOption(nameOption),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('list')
+        .setDescription('List the snippets and placeholders'),
+    ),
+
+  async execute(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+
+    try {
+      if (!db.isConnected) {
+        return interaction.reply({ content: '❌ Snippets require a database connection.', ephemeral: true });
+      }
+
+      if (!snippets.isStaff(interaction.member)) {
+        return interaction.reply({ content: '❌ Only support staff can use snippets.', ephemeral: true });
+      }
+
+      const guildId = interaction.guild.id;
+      const name = snippets.normalizeName(interaction.options.getString('name'));
+
+      if (subcommand === 'send') {
+        const snippet = await snippets.getSnippet(guildId, name);
+        if (!snippet) {
+          return interaction.reply({ content: `❌ Snippet **${name}** does not exist.`, ephemeral: true });
+        }
+
+        const ticket = tickets.isTicketChannel(interaction.channel)
+          ? await tickets.getTicketByChannel(interaction.channel.id)
+          : null;
+        const content = snippets.render(snippet, {
+          guild: interaction.guild,
+          staff: interaction.user,
+          user: interaction.options.getUser('user'),
+          ticket,
+        });
+
+        await interaction.reply({ content, allowedMentions: { parse: ['users'] } });
+        await snippets.recordUse(snippet, interaction, ticket);
+      } else if (subcommand === 'add') {
+        if (!snippets.isValidName(name)) {
+          return interaction.reply({
+            content: '❌ Snippet names can only use letters, numbers, dashes and underscores (up to 32 characters).',
+            ephemeral: true,
+          });
+        }
+
+        if (await snippets.getSnippet(guildId, name)) {
+          return interaction.reply({ content: `❌ A snippet named **${name}** already exists.`, ephemeral: true });
+        }
+
+        await snippets.openForm(interaction, null, name);
+      } else if (subcommand === 'edit') {
+        const snippet = await snippets.getSnippet(guildId, name);
+        if (!snippet) {
+          return interaction.reply({ content: `❌ Snippet **${name}** does not exist.`, ephemeral: true });
+        }
+
+        await snippets.openForm(interaction, snippet);
+      } else if (subcommand === 'remove') {
+        if (!await snippets.removeSnippet(guildId, name)) {
+          return interaction.reply({ content: `❌ Snippet **${name}** does not exist.`, ephemeral: true });
+        }
+
+        logger.info(`Snippet ${name} removed in ${interaction.guild.name} by ${interaction.user.tag}`);
+        await interaction.reply({ content: `✅ Removed snippet **${name}**.`, ephemeral: true });
+      } else if (subcommand === 'list') {
+        await showSnippets(interaction);
+      }
+    } catch (error) {
+      logger.error(`Error executing snippet command: ${error.message}`);
+
+      const reply = { content: `❌ ${error.message}`, ephemeral: true };
+      if (interaction.replied || interaction.deferred) {
+        await interaction.followUp(reply).catch(() => {});
+      } else {
+        await interaction.reply(reply).catch(() => {});
+      }
+    }
+  },
+
+  async autocomplete(interaction) {
+    try {
+      if (!snippets.isStaff(interaction.member)) {
+        return interaction.respond([]);
+      }
+
+      const matches = await snippets.searchSnippets(interaction.guild.id, interaction.options.getFocused());
+
+      await interaction.respond(matches.map((snippet) => ({
+        name: truncate(`${snippet.name}: ${snippet.content.replace(/\s+/g, ' ')}`, 100),
+        value: snippet.name,
+      })));
+    } catch (error) {
+      logger.error(`Error in snippet autocomplete: ${error.message}`);
+      await interaction.respond([]).catch(() => {});
+    }
+  },
+};
+
+async function showSnippets(interaction) {
+  const list = await snippets.listSnippets(interaction.guild.id);
+
+  const embed = new EmbedBuilder()
+    .setTitle('💬 Snippets')
+    .setColor(config.embedColor || '#00AAFF')
+    .setDescription(list.length > 0
+      ? truncate(list.map((snippet) =>
+        `**${snippet.name}** · used ${snippet.uses} time${snippet.uses === 1 ? '' : 's'}\n${truncate(snippet.content.replace(/\s+/g, ' '), 80)}`,
+      ).join('\n'), 4096)
+      : 'No snippets yet. Use `/snippet add` to create one.')
+    .addFields({
+      name: 'Placeholders',
+      value: Object.entries(snippets.PLACEHOLDERS).map(([key, description]) => `\`{${key}}\` ${description}`).join('\n'),
+      inline: false,
+    })
+    .setFooter({ text: config.footerText })
+    .setTimestamp();
+
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+function truncate(value, length) {
+  return value.length > length ? `${value.slice(0, length - 3)}...` : value;
+}
@@ -14,9 +14,15 @@ const config = require('../../config.json');
 /**
  * Creates an announcement embed for the JMF Hosting Discord server
  * @param {string} type - The type of announcement (announcement, update, maintenance, game)
+ * @param {Object} [content] - Replaces the template text of the type
+ * @param {string} [content.title] - The title
+ * @param {string} [content.description] - The description
+ * @param {Array<Object>} [content.fields] - The fields
+ * @param {string} [content.color] - The color
+ * @param {string} [content.footer] - Text shown before the footer text
  * @returns {EmbedBuilder} The announcement embed
  */
-function createAnnouncementEmbed(type = 'announcement') {
+function createAnnouncementEmbed(type = 'announcement', content = null) {
   let title, color, description, fields;
   
   // Set default values based on announcement type
@@ -140,6 +146,16 @@ function createAnnouncementEmbed(type = 'announcement') {
       break;
   }
   
+  // Use the given content instead of the template, keeping the type's title and color as defaults
+  if (content) {
+    title = content.title || title;
+    color = content.color || color;
+    description = content.description || description;
+    fields = content.fields || [];
+  }
+  
+  const footerText = config.footerText || 'JMF Hosting | Game Server Solutions';
+  
   // Create the embed
   const announcementEmbed = new EmbedBuilder()
     .setTitle(title)
@@ -147,7 +163,7 @@ function createAnnouncementEmbed(type = 'announcement') {
     .setDescription(description)
     .addFields(fields)
     .setFooter({ 
-      text: config.footerText || 'JMF Hosting | Game Server Solutions'
+      text: content && content.footer ? `${content.footer} • ${footerText}` : footerText
     })
     .setTimestamp();
 
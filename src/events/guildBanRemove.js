@@ -0,0 +1,37 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const { AuditLogEvent } = require('discord.js');
+const logger = require('../utils/logger');
+const tempBans = require('../modules/tempBans');
+
+module.exports = {
+  name: 'guildBanRemove',
+  once: false,
+  async execute(ban) {
+    try {
+      const { guild, user } = ban;
+
+      // Expired temporary bans are already revoked before the unban goes out
+      const pending = await tempBans.getPending(guild.id, user.id);
+      if (!pending) return;
+
+      // Find who lifted the ban early
+      const auditLogs = await guild.fetchAuditLogs({ limit: 1, type: AuditLogEvent.MemberBanRemove }).catch(() => null);
+      const entry = auditLogs?.entries.first();
+      const revokedBy = entry && entry.target?.id === user.id ? entry.executor?.id : null;
+
+      await tempBans.clearPending(guild.id, user.id, revokedBy);
+      logger.info(`Temporary ban for ${user.tag} (${user.id}) in ${guild.name} was lifted early${revokedBy ? ` by ${revokedBy}` : ''}`);
+    } catch (error) {
+      logger.error(`Error handling guild ban removal: ${error.message}`);
+    }
+  },
+};
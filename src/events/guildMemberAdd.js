@@ -12,7 +12,9 @@ const { EmbedBuilder } = require('discord.js');
 const logger = require('../utils/logger');
 const config = require('../../config.json');
 const economy = require('../modules/economy');
+const antiRaid = require('../modules/antiRaid');
 const mining = require('../modules/mining');
+const guildSettings = require('../modules/guildSettings');
 const { createWelcomeMemberEmbed } = require('../embeds/welcome-member-embed');
 
 // Track recent welcome messages to prevent duplicates
@@ -58,6 +60,11 @@ module.exports = {
         }
       }
       
+      // Raid joiners are quarantined or kicked instead of being welcomed
+      if (await antiRaid.handleJoin(member)) {
+        return;
+      }
+      
       // Handle role assignment based on configuration
       await handleRoleAssignment(member);
       
@@ -80,11 +87,12 @@ module.exports = {
       }
       
       // Send welcome DM if configured
-      if (config.sendWelcomeDM) {
+      const welcome = guildSettings.get(guild.id, 'welcome');
+      if (welcome.sendDM) {
         try {
           const welcomeDM = new EmbedBuilder()
             .setTitle(`Welcome to ${guild.name}!`)
-            .setDescription(config.welcomeDMMessage || `Thanks for joining our server! We're glad to have you here.`)
+            .setDescription(welcome.dmMessage || `Thanks for joining our server! We're glad to have you here.`)
             .setColor(config.embedColor || '#00AAFF')
             .setTimestamp();
           
@@ -114,12 +122,13 @@ module.exports = {
  */
 async function handleRoleAssignment(member) {
   const { guild } = member;
+  const verification = guildSettings.get(guild.id, 'verification');
   
   try {
     // Assign unverified role if verification is enabled
-    if (config.verification?.enabled) {
+    if (verification.enabled) {
       const unverifiedRole = guild.roles.cache.find(
-        role => role.name === (config.verification.unverifiedRole || 'Unverified')
+        role => role.name === verification.unverifiedRole || role.id === verification.unverifiedRole
       );
       
       if (unverifiedRole) {
@@ -165,7 +174,7 @@ async function handleRoleAssignment(member) {
     }
     
     // Assign member role if configured and verification is not enabled
-    if (config.memberRole && !config.verification?.enabled) {
+    if (config.memberRole && !verification.enabled) {
       const memberRole = guild.roles.cache.find(r => 
         r.name === config.memberRole || r.id === config.memberRole
       );
@@ -190,10 +199,12 @@ async function handleRoleAssignment(member) {
  */
 async function sendWelcomeMessage(member) {
   const { guild } = member;
+  const welcome = guildSettings.get(guild.id, 'welcome');
+  const verification = guildSettings.get(guild.id, 'verification');
   
   try {
     // Check if welcome system is enabled
-    if (config.welcomeSystem?.enabled) {
+    if (welcome.enabled) {
       // Check if we've already sent a welcome message for this user in the last minute
       const welcomeKey = `${member.id}-${guild.id}`;
       const now = Date.now();
@@ -204,9 +215,9 @@ async function sendWelcomeMessage(member) {
         // Get welcome channel - prioritize channel ID over channel name
         let welcomeChannel;
         
-        // First try to get the channel by ID from welcomeSystem.channelId
-        if (config.welcomeSystem.channelId) {
-          welcomeChannel = guild.channels.cache.get(config.welcomeSystem.channelId);
+        // First try to get the channel by ID from the welcome settings
+        if (welcome.channelId) {
+          welcomeChannel = guild.channels.cache.get(welcome.channelId);
         }
         
         // If not found, try the channels.joinLeave ID
@@ -221,7 +232,7 @@ async function sendWelcomeMessage(member) {
         
         // If still not found, try by name
         if (!welcomeChannel) {
-          const welcomeChannelName = config.welcomeSystem.channelName || 'welcome';
+          const welcomeChannelName = config.welcomeSystem?.channelName || 'welcome';
           welcomeChannel = guild.channels.cache.find(
             channel => channel.name === welcomeChannelName || 
                       channel.name.includes(welcomeChannelName)
@@ -234,7 +245,7 @@ async function sendWelcomeMessage(member) {
           
           // Send welcome message
           await welcomeChannel.send({ 
-            content: config.welcomeSystem.mentionUser ? `<@${member.id}>` : null,
+            content: welcome.mentionUser ? `<@${member.id}>` : null,
             embeds: [welcomeEmbed] 
           });
           
@@ -258,10 +269,10 @@ async function sendWelcomeMessage(member) {
     }
     
     // Send verification instructions if enabled
-    if (config.verification?.enabled && config.verification?.instructionsChannel) {
+    if (verification.enabled && verification.instructionsChannel) {
       const instructionsChannel = guild.channels.cache.find(
-        channel => channel.name === config.verification.instructionsChannel || 
-                  channel.id === config.verification.instructionsChannel
+        channel => channel.name === verification.instructionsChannel || 
+                  channel.id === verification.instructionsChannel
       );
       
       if (instructionsChannel) {
@@ -269,7 +280,7 @@ async function sendWelcomeMessage(member) {
           const verificationEmbed = new EmbedBuilder()
             .setTitle('Verification Required')
             .setDescription(`Welcome ${member}! To access the rest of the server, please verify yourself by going to the verification channel and clicking the verify button.`)
-            .setColor(config.verification.embedColor || '#00FF00')
+            .setColor(verification.embedColor)
             .setTimestamp();
           
           await instructionsChannel.send({ content: `${member}`, embeds: [verificationEmbed] });
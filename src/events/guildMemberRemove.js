@@ -9,6 +9,7 @@
  */
 
 const userLogger = require('../utils/userLogger');
+const cases = require('../modules/cases');
 const logger = require('../utils/logger');
 const { EmbedBuilder } = require('discord.js');
 const config = require('../../config.json');
@@ -142,13 +143,15 @@ async function checkModAction(member, client) {
       
       logger.info(`User ${member.user.tag} was kicked by ${kickLog.executor.tag}`);
       
-      // Record kick in database
-      if (client.db && client.db.isConnected) {
+      // Record kicks made outside the bot as cases, the bot's own commands already did
+      if (cases.isAvailable() && kickLog.executor.id !== client.user.id) {
         try {
-          await client.db.query(
-            'INSERT INTO moderation_actions (user_id, guild_id, action_type, moderator_id, reason, timestamp) VALUES (?, ?, ?, ?, ?, ?)',
-            [member.id, member.guild.id, 'kick', kickLog.executor.id, kickLog.reason || 'No reason provided', new Date()]
-          );
+          await cases.createCase(member.guild.id, {
+            type: 'kick',
+            user: member.user,
+            moderator: kickLog.executor,
+            reason: kickLog.reason || 'No reason provided'
+          });
         } catch (error) {
           logger.error(`Failed to record kick in database: ${error.message}`);
         }
@@ -168,13 +171,15 @@ async function checkModAction(member, client) {
         
         logger.info(`User ${member.user.tag} was banned by ${banLog.executor.tag}`);
         
-        // Record ban in database
-        if (client.db && client.db.isConnected) {
+        // Record bans made outside the bot as cases, the bot's own commands already did
+        if (cases.isAvailable() && banLog.executor.id !== client.user.id) {
           try {
-            await client.db.query(
-              'INSERT INTO moderation_actions (user_id, guild_id, action_type, moderator_id, reason, timestamp) VALUES (?, ?, ?, ?, ?, ?)',
-              [member.id, member.guild.id, 'ban', banLog.executor.id, banLog.reason || 'No reason provided', new Date()]
-            );
+            await cases.createCase(member.guild.id, {
+              type: 'ban',
+              user: member.user,
+              moderator: banLog.executor,
+              reason: banLog.reason || 'No reason provided'
+            });
           } catch (error) {
             logger.error(`Failed to record ban in database: ${error.message}`);
           }
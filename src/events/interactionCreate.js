@@ -19,6 +19,12 @@ const cooldowns = new Collection();
 // Add missing imports for verification and tickets modules
 const verification = require('../modules/verification');
 const tickets = require('../modules/tickets');
+const appeals = require('../modules/appeals');
+const ticketSurvey = require('../modules/ticketSurvey');
+const snippets = require('../modules/snippets');
+const accountLinks = require('../modules/accountLinks');
+const serverConsole = require('../modules/serverConsole');
+const serverBackups = require('../modules/serverBackups');
 
 module.exports = {
   name: 'interactionCreate',
@@ -181,6 +187,13 @@ module.exports = {
             }
           }
         }
+      } else if (interaction.isAutocomplete()) {
+        // Handle autocomplete for command options
+        const command = client.commands.get(interaction.commandName);
+        
+        if (command && command.autocomplete) {
+          await command.autocomplete(interaction);
+        }
       } else if (interaction.isButton()) {
         // Handle button interactions
         const { customId } = interaction;
@@ -222,6 +235,31 @@ module.exports = {
           await tickets.claimTicket(interaction);
         }
         
+        // Handle ban appeal buttons
+        else if (customId.startsWith('appeal_')) {
+          await appeals.handleButton(interaction);
+        }
+        
+        // Handle ticket survey buttons
+        else if (customId.startsWith('survey_')) {
+          await ticketSurvey.handleButton(interaction);
+        }
+        
+        // Handle account linking buttons
+        else if (customId.startsWith('link_')) {
+          await accountLinks.handleButton(interaction);
+        }
+        
+        // Handle the console stream buttons
+        else if (customId.startsWith('console_')) {
+          await serverConsole.handleButton(interaction);
+        }
+        
+        // Handle backup restore confirmations
+        else if (customId.startsWith('backup_')) {
+          await serverBackups.handleButton(interaction);
+        }
+        
         // Handle role buttons
         else if (customId.startsWith('role_')) {
           const roleId = customId.replace('role_', '');
@@ -298,6 +336,26 @@ module.exports = {
           await handleFeedbackSubmission(interaction);
         }
         
+        // Handle ban appeal modals
+        else if (customId.startsWith('appeal_')) {
+          await appeals.handleModal(interaction);
+        }
+        
+        // Handle ticket survey comments
+        else if (customId.startsWith('survey_')) {
+          await ticketSurvey.handleModal(interaction);
+        }
+        
+        // Handle snippet forms
+        else if (customId.startsWith('snippet_')) {
+          await snippets.handleModal(interaction);
+        }
+        
+        // Handle the account linking form
+        else if (customId.startsWith('link_')) {
+          await accountLinks.handleModal(interaction);
+        }
+        
         // Welcome and leave message modals
         if (customId === 'welcome_message_modal') {
           await handleWelcomeMessageModal(interaction);
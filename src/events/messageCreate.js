@@ -11,11 +11,12 @@
 const userLogger = require('../utils/userLogger');
 const logger = require('../utils/logger');
 const config = require('../../config.json');
-const { EmbedBuilder, AttachmentBuilder } = require('discord.js');
+const { AttachmentBuilder } = require('discord.js');
 const levelSystem = require('../modules/leveling');
 const economy = require('../modules/economy');
 const miningGame = require('../modules/mining');
 const aiUtils = require('../utils/aiUtils');
+const autoMod = require('../modules/automod');
 
 module.exports = {
   name: 'messageCreate',
@@ -33,10 +34,8 @@ module.exports = {
         await levelSystem.processMessage(message);
       }
       
-      // Auto-moderation if enabled
-      if (config.autoMod && config.autoMod.enabled) {
-        await handleAutoMod(message, client);
-      }
+      // Auto-moderation (features and rules are configured per guild)
+      await autoMod.processMessage(message, client);
       
       // AI chat response if enabled and message is in AI chat channel
       if (config.aiChat && config.aiChat.enabled && 
@@ -80,334 +79,6 @@ module.exports = {
   }
 };
 
-/**
- * Handle auto-moderation for messages
- * @param {Message} message - The Discord message
- * @param {Client} client - The Discord client
- */
-async function handleAutoMod(message, client) {
-  try {
-    // Skip moderation for admins and moderators
-    if (message.member && (
-      message.member.permissions.has('Administrator') ||
-      message.member.permissions.has('ModerateMembers')
-    )) {
-      return;
-    }
-    
-    const autoModConfig = config.autoMod;
-    let violations = [];
-    let deleteMessage = false;
-    let timeoutUser = false;
-    let timeoutDuration = 0;
-    
-    // Store original message content for logging
-    const originalContent = message.content;
-    
-    // Check for excessive mentions
-    if (autoModConfig.maxMentions && message.mentions.users.size > autoModConfig.maxMentions) {
-      violations.push(`Excessive mentions: ${message.mentions.users.size}/${autoModConfig.maxMentions}`);
-      deleteMessage = true;
-      
-      // Apply timeout for excessive mentions if configured
-      if (autoModConfig.timeoutForExcessiveMentions) {
-        timeoutUser = true;
-        timeoutDuration = autoModConfig.timeoutDuration || 300000; // Default 5 minutes
-      }
-    }
-    
-    // Check for excessive emojis
-    if (autoModConfig.maxEmojis) {
-      const emojiRegex = /<a?:.+?:\d+>|[\u{1F300}-\u{1F6FF}\u{2600}-\u{26FF}]/gu;
-      const emojiCount = (message.content.match(emojiRegex) || []).length;
-      
-      if (emojiCount > autoModConfig.maxEmojis) {
-        violations.push(`Excessive emojis: ${emojiCount}/${autoModConfig.maxEmojis}`);
-        
-        if (autoModConfig.deleteExcessiveEmojis) {
-          deleteMessage = true;
-        }
-      }
-    }
-    
-    // Check for excessive caps
-    if (autoModConfig.maxCaps && message.content.length > 10) {
-      const capsRegex = /[A-Z]/g;
-      const capsCount = (message.content.match(capsRegex) || []).length;
-      const capsPercentage = (capsCount / message.content.length) * 100;
-      
-      if (capsPercentage > autoModConfig.maxCaps) {
-        violations.push(`Excessive caps: ${capsPercentage.toFixed(1)}%/${autoModConfig.maxCaps}%`);
-        
-        if (autoModConfig.deleteExcessiveCaps) {
-          deleteMessage = true;
-        }
-      }
-    }
-    
-    // Check for invite links
-    if (autoModConfig.inviteFilter) {
-      const inviteRegex = /(discord\.(gg|io|me|li)|discordapp\.com\/invite)\/[a-zA-Z0-9]+/gi;
-      const invites = message.content.match(inviteRegex);
-      
-      if (invites) {
-        // Check if it's an allowed invite
-        let hasDisallowedInvite = false;
-        
-        if (autoModConfig.allowedInvites && autoModConfig.allowedInvites.length > 0) {
-          for (const invite of invites) {
-            const isAllowed = autoModConfig.allowedInvites.some(allowedInvite => 
-              invite.toLowerCase().includes(allowedInvite.toLowerCase())
-            );
-            
-            if (!isAllowed) {
-              hasDisallowedInvite = true;
-              break;
-            }
-          }
-        } else {
-          hasDisallowedInvite = true;
-        }
-        
-        if (hasDisallowedInvite) {
-          violations.push('Discord invite link');
-          deleteMessage = true;
-          
-          // Apply timeout for invite links if configured
-          if (autoModConfig.timeoutForInvites) {
-            timeoutUser = true;
-            timeoutDuration = autoModConfig.timeoutDuration || 300000; // Default 5 minutes
-          }
-        }
-      }
-    }
-    
-    // Check for links
-    if (autoModConfig.linkFilter) {
-      const linkRegex = /https?:\/\/(www\.)?[-a-zA-Z0-9@:%._\+~#=]{1,256}\.[a-zA-Z0-9()]{1,6}\b([-a-zA-Z0-9()@:%_\+.~#?&//=]*)/gi;
-      const links = message.content.match(linkRegex);
-      
-      if (links) {
-        // Check if it's an allowed link
-        let hasDisallowedLink = false;
-        
-        if (autoModConfig.allowedLinks && autoModConfig.allowedLinks.length > 0) {
-          for (const link of links) {
-            const isAllowed = autoModConfig.allowedLinks.some(allowedLink => 
-              link.toLowerCase().includes(allowedLink.toLowerCase())
-            );
-            
-            if (!isAllowed) {
-              hasDisallowedLink = true;
-              break;
-            }
-          }
-        } else {
-          hasDisallowedLink = true;
-        }
-        
-        if (hasDisallowedLink) {
-          violations.push('Disallowed link');
-          deleteMessage = true;
-        }
-      }
-    }
-    
-    // Check for banned words
-    if (autoModConfig.bannedWords && autoModConfig.bannedWords.length > 0) {
-      const lowerContent = message.content.toLowerCase();
-      
-      for (const word of autoModConfig.bannedWords) {
-        if (lowerContent.includes(word.toLowerCase())) {
-          violations.push('Banned word/phrase');
-          deleteMessage = true;
-          
-          // Apply timeout for banned words if configured
-          if (autoModConfig.timeoutForBannedWords) {
-            timeoutUser = true;
-            timeoutDuration = autoModConfig.timeoutDuration || 300000; // Default 5 minutes
-          }
-          
-          break;
-        }
-      }
-    }
-    
-    // Check for spam (repeated characters)
-    if (autoModConfig.antiSpam) {
-      const repeatedCharsRegex = /(.)\1{7,}/g;
-      if (repeatedCharsRegex.test(message.content)) {
-        violations.push('Excessive repeated characters (spam)');
-        deleteMessage = true;
-      }
-    }
-    
-    // Check for message length
-    if (autoModConfig.maxMessageLength && message.content.length > autoModConfig.maxMessageLength) {
-      violations.push(`Message too long: ${message.content.length}/${autoModConfig.maxMessageLength} characters`);
-      
-      if (autoModConfig.deleteLongMessages) {
-        deleteMessage = true;
-      }
-    }
-    
-    // Check for newlines
-    if (autoModConfig.maxNewlines) {
-      const newlineCount = (message.content.match(/\n/g) || []).length;
-      
-      if (newlineCount > autoModConfig.maxNewlines) {
-        violations.push(`Excessive newlines: ${newlineCount}/${autoModConfig.maxNewlines}`);
-        
-        if (autoModConfig.deleteExcessiveNewlines) {
-          deleteMessage = true;
-        }
-      }
-    }
-    
-    // Take action if violations found
-    if (violations.length > 0) {
-      // Log the violation
-      logger.warn(`AutoMod: ${message.author.tag} violated rules in #${message.channel.name}: ${violations.join(', ')}`);
-      
-      // Delete message if needed
-      if (deleteMessage) {
-        try {
-          await message.delete();
-        } catch (error) {
-          logger.error(`Failed to delete message: ${error.message}`);
-        }
-      }
-      
-      // Apply timeout if needed
-      if (timeoutUser && message.member && message.member.moderatable) {
-        try {
-          await message.member.timeout(timeoutDuration, 'AutoMod: ' + violations.join(', '));
-          logger.warn(`AutoMod: Applied timeout to ${message.author.tag} for ${timeoutDuration/1000} seconds`);
-        } catch (error) {
-          logger.error(`Failed to timeout user: ${error.message}`);
-        }
-      }
-      
-      // Send warning to user
-      try {
-        const warningEmbed = new EmbedBuilder()
-          .setTitle('⚠️ AutoMod Warning')
-          .setDescription(`Your message in ${message.guild.name} was flagged for the following reason(s):\n\n${violations.map(v => `• ${v}`).join('\n')}`)
-          .setColor('#FF9900')
-          .setTimestamp();
-          
-        if (timeoutUser) {
-          warningEmbed.addFields({
-            name: '🔇 Timeout Applied',
-            value: `You have been timed out for ${timeoutDuration/1000/60} minutes.`
-          });
-        }
-        
-        await message.author.send({ embeds: [warningEmbed] });
-      } catch (error) {
-        logger.warn(`Could not send warning DM to ${message.author.tag}: ${error.message}`);
-      }
-      
-      // Log to mod log channel if configured
-      if (autoModConfig.logChannel) {
-        const logChannel = client.channels.cache.get(autoModConfig.logChannel);
-        
-        if (logChannel) {
-          const logEmbed = new EmbedBuilder()
-            .setTitle('🛡️ AutoMod Action')
-            .setDescription(`**User:** ${message.author.tag} (${message.author.id})\n**Channel:** <#${message.channel.id}>\n**Action:** ${deleteMessage ? 'Message Deleted' : 'Warning'}${timeoutUser ? ' + Timeout' : ''}\n**Violations:** ${violations.join(', ')}`)
-            .setColor('#FF9900')
-            .setTimestamp();
-            
-          if (originalContent) {
-            logEmbed.addFields({ 
-              name: 'Message Content', 
-              value: originalContent.length > 1024 ? originalContent.substring(0, 1021) + '...' : originalContent 
-            });
-          }
-          
-          if (timeoutUser) {
-            logEmbed.addFields({
-              name: 'Timeout Duration',
-              value: `${timeoutDuration/1000/60} minutes`
-            });
-          }
-          
-          await logChannel.send({ embeds: [logEmbed] });
-        }
-      }
-      
-      // Record in database
-      if (client.db) {
-        try {
-          await client.db.query(
-            'INSERT INTO automod_actions (user_id, guild_id, channel_id, message_id, violations, action, message_content, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-            [
-              message.author.id,
-              message.guild.id,
-              message.channel.id,
-              message.id,
-              violations.join(', '),
-              timeoutUser ? 'timeout' : (deleteMessage ? 'delete' : 'warn'),
-              originalContent,
-              new Date()
-            ]
-          );
-        } catch (error) {
-          logger.error(`Failed to record automod action in database: ${error.message}`);
-        }
-      }
-      
-      // Check for repeat offenders
-      if (client.db && autoModConfig.escalateRepeatOffenders) {
-        try {
-          // Get recent violations in the last hour
-          const recentViolations = await client.db.query(
-            'SELECT COUNT(*) as count FROM automod_actions WHERE user_id = ? AND guild_id = ? AND timestamp > DATE_SUB(NOW(), INTERVAL 1 HOUR)',
-            [message.author.id, message.guild.id]
-          );
-          
-          const violationCount = recentViolations[0]?.count || 0;
-          
-          // Escalate if threshold exceeded
-          if (violationCount >= autoModConfig.repeatOffenderThreshold) {
-            // Apply longer timeout
-            if (message.member && message.member.moderatable) {
-              const escalatedDuration = autoModConfig.escalatedTimeoutDuration || 3600000; // Default 1 hour
-              await message.member.timeout(escalatedDuration, 'AutoMod: Repeat offender');
-              
-              // Log escalation
-              logger.warn(`AutoMod: Escalated action against repeat offender ${message.author.tag} (${violationCount} violations in the last hour)`);
-              
-              // Notify moderators
-              if (autoModConfig.logChannel) {
-                const logChannel = client.channels.cache.get(autoModConfig.logChannel);
-                
-                if (logChannel) {
-                  const escalationEmbed = new EmbedBuilder()
-                    .setTitle('⚠️ AutoMod Escalation')
-                    .setDescription(`**Repeat Offender:** ${message.author.tag} (${message.author.id})\n**Violations:** ${violationCount} in the last hour\n**Action:** Extended timeout (${escalatedDuration/1000/60} minutes)`)
-                    .setColor('#FF0000')
-                    .setTimestamp();
-                    
-                  await logChannel.send({ 
-                    content: autoModConfig.pingModRole ? `<@&${autoModConfig.modRoleId}>` : null,
-                    embeds: [escalationEmbed] 
-                  });
-                }
-              }
-            }
-          }
-        } catch (error) {
-          logger.error(`Failed to check for repeat offenders: ${error.message}`);
-        }
-      }
-    }
-  } catch (error) {
-    logger.error(`Error in automod handler: ${error.message}`);
-  }
-}
-
 /**
  * Handle AI chat functionality
  * @param {Message} message - The Discord message
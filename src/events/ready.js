@@ -14,6 +14,19 @@ const verification = require('../modules/verification');
 const tickets = require('../modules/tickets');
 const economy = require('../modules/economy');
 const miningGame = require('../modules/mining');
+const autoMod = require('../modules/automod');
+const antiRaid = require('../modules/antiRaid');
+const tempBans = require('../modules/tempBans');
+const cases = require('../modules/cases');
+const ticketAnalytics = require('../modules/ticketAnalytics');
+const accountLinks = require('../modules/accountLinks');
+const webhooks = require('../modules/webhooks');
+const announcements = require('../modules/announcements');
+const guildSettings = require('../modules/guildSettings');
+const serverConsole = require('../modules/serverConsole');
+const serverWatcher = require('../modules/serverWatcher');
+const serverBackups = require('../modules/serverBackups');
+const statusMonitor = require('../utils/statusMonitor');
 const config = require('../../config.json');
 const cron = require('node-cron');
 const fs = require('fs');
@@ -92,6 +105,9 @@ async function initializeModules(client) {
     client.economy = economy;
     client.mining = miningGame;
     
+    // Load the per-guild settings edited in the dashboard before the modules that read them
+    await guildSettings.init(client);
+    
     // Initialize verification module
     if (verification && config.verification && config.verification.enabled) {
       verification.init(client);
@@ -122,6 +138,39 @@ async function initializeModules(client) {
       logger.info('Mining game initialized');
     }
     
+    // Move per-feature automod actions saved by older versions into the feature settings
+    await autoMod.init();
+
+    // Restore any raid lockdowns that were active before a restart
+    await antiRaid.init(client);
+    
+    // Import legacy case files into an empty case store
+    await cases.init(client);
+    
+    // Lift temporary bans that expired while offline and schedule the rest
+    await tempBans.init(client);
+    
+    // Give linked roles when panel account links are redeemed through the API
+    accountLinks.init(client);
+    
+    // Deliver bot events to webhook subscriptions and resume pending retries
+    await webhooks.init(client);
+    
+    // Post announcements and maintenance notices sent through the API
+    announcements.init(client);
+    
+    // Close console streams when their threads are archived or deleted
+    serverConsole.init(client);
+    
+    // Alert staff and owners about crashed, restarting or overloaded game servers
+    await serverWatcher.init(client);
+    
+    // Resume checks on running backups and start scheduled backups
+    await serverBackups.init(client);
+    
+    // Probe the panel and nodes, keep their uptime history and post it to the status channel
+    await statusMonitor.init(client);
+    
     // Set up verification and ticket systems in all guilds
     await setupGuildSystems(client);
     
@@ -349,6 +398,15 @@ function setupScheduledTasks(client) {
       });
     }
     
+    // Prune the webhook delivery log daily at 4 AM
+    cron.schedule('0 4 * * *', async () => {
+      try {
+        await webhooks.pruneLog();
+      } catch (error) {
+        logger.error(`Scheduled task error (pruneWebhookLog): ${error.message}`);
+      }
+    });
+    
     // Weekly analytics report on Sunday at 9 AM
     cron.schedule('0 9 * * 0', async () => {
       try {
@@ -658,6 +716,9 @@ async function cleanupExpiredBoosters(client) {
  */
 async function generateWeeklyAnalytics(client) {
   try {
+    // Ticket digest for the staff channel
+    await ticketAnalytics.postWeeklyDigest(client);
+    
     if (!client.db || !config.analyticsChannel) {
       return;
     }
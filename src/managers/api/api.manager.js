@@ -19,6 +19,8 @@ const rateLimit = require('express-rate-limit');
 const path = require('path');
 const fs = require('fs').promises;
 const jwt = require('jsonwebtoken');
+const botConfig = require('../../../config.json');
+const { createError } = require('../../utils/errors');
 
 class ApiManager extends BaseManager {
     constructor() {
@@ -34,14 +36,22 @@ class ApiManager extends BaseManager {
         this.middlewares = new Map();
     }
 
+    /**
+     * Get the API configuration
+     * @returns {Object} Configuration
+     */
+    get config() {
+        return this._config;
+    }
+
     /**
      * Initialize the API manager
      * @param {Object} config - Configuration options
      * @returns {Promise<void>}
      */
     async initialize(config = {}) {
-        // Call parent initialize
-        await super.initialize(config);
+        // Call parent initialize, with the api section of config.json as defaults
+        await super.initialize({ ...(botConfig.api || {}), ...config });
         
         try {
             // Create Express app
@@ -53,6 +63,9 @@ class ApiManager extends BaseManager {
             // Load routes
             await this._loadRoutes();
             
+            // Error handling middleware (must be last)
+            this._setupErrorHandler();
+            
             // Start server if autoStart is enabled (default to true)
             const autoStart = this.config && typeof this.config.autoStart !== 'undefined' ? 
                 this.config.autoStart : true;
@@ -171,14 +184,27 @@ class ApiManager extends BaseManager {
             next();
         });
         
-        // Error handling middleware (must be last)
+        // Shared middlewares for route modules
+        this.registerMiddleware('auth', this.authMiddleware());
+    }
+    
+    /**
+     * Set up the error handling middleware, after all routes
+     * @private
+     */
+    _setupErrorHandler() {
         this.app.use((err, req, res, next) => {
-            this.logger.error(this.name, `API Error:`, err);
+            const status = err.status || err.statusCode || 500;
+            
+            if (status >= 500) {
+                this.logger.error(this.name, `API Error:`, err);
+            }
             
-            res.status(err.status || 500).json({
+            res.status(status).json({
                 error: {
-                    message: err.message || 'Internal Server Error',
-                    status: err.status || 500
+                    // Only errors raised with a status are meant for the client
+                    message: err.status || err.statusCode ? err.message : 'Internal Server Error',
+                    status
                 }
             });
         });
@@ -196,18 +222,31 @@ class ApiManager extends BaseManager {
         try {
             this.logger.info(this.name, `Loading API routes...`);
             
-            // Get all route files
+            // Get all route files (files starting with _ are shared helpers)
             const routeFiles = (await fs.readdir(routesPath))
-                .filter(file => file.endsWith('.js'));
+                .filter(file => file.endsWith('.js') && !file.startsWith('_'));
+            
+            const prefix = (this.config && this.config.prefix ? this.config.prefix : '').replace(/\/+$/, '');
+            const enabledRoutes = this.config && this.config.routes ? this.config.routes : {};
             
             for (const file of routeFiles) {
                 const filePath = path.join(routesPath, file);
+                const routeName = file.replace('.js', '');
+                
+                // Routes are enabled unless config.routes turns them off
+                if (enabledRoutes[routeName] === false) {
+                    this.logger.info(this.name, `Skipped disabled route: ${routeName}`);
+                    continue;
+                }
+                
                 try {
                     const routeModule = require(filePath);
-                    const routePath = routeModule.path || `/${file.replace('.js', '')}`;
+                    const routePath = prefix + (routeModule.path || `/${routeName}`);
+                    const router = typeof routeModule.createRouter === 'function' ?
+                        routeModule.createRouter(this) : routeModule.router;
                     
                     // Register route
-                    this.app.use(routePath, routeModule.router);
+                    this.app.use(routePath, router);
                     this.routes.set(routePath, routeModule);
                     
                     this.logger.info(this.name, `Loaded route: ${routePath}`);
@@ -240,15 +279,13 @@ class ApiManager extends BaseManager {
      * @returns {string} JWT token
      */
     createToken(payload, options = {}) {
-        if (!this.config.jwtSecret) {
-            throw new Error('JWT secret not configured');
-        }
+        const secret = this._getSecret();
         
         const defaultOptions = {
-            expiresIn: '1h'
+            expiresIn: this.config.tokenExpiry || '1h'
         };
         
-        return jwt.sign(payload, this.config.jwtSecret, { ...defaultOptions, ...options });
+        return jwt.sign(payload, secret, { ...defaultOptions, ...options });
     }
     
     /**
@@ -257,11 +294,22 @@ class ApiManager extends BaseManager {
      * @returns {Object} Decoded token payload
      */
     verifyToken(token) {
-        if (!this.config.jwtSecret) {
+        return jwt.verify(token, this._getSecret());
+    }
+    
+    /**
+     * Get the secret tokens are signed with (api.secretKey)
+     * @private
+     * @returns {string} JWT secret
+     */
+    _getSecret() {
+        const secret = this.config && (this.config.secretKey || this.config.jwtSecret);
+        
+        if (!secret || secret === 'YOUR_API_SECRET_KEY_HERE') {
             throw new Error('JWT secret not configured');
         }
         
-        return jwt.verify(token, this.config.jwtSecret);
+        return secret;
     }
     
     /**
@@ -299,6 +347,51 @@ class ApiManager extends BaseManager {
         };
     }
     
+    /**
+     * Create a middleware that only lets tokens with one of the given scopes
+     * through. Must run after the authentication middleware. The `*` scope
+     * grants everything.
+     * @param {...string} scopes - Accepted scopes, e.g. 'users:write'
+     * @returns {Function} Express middleware
+     */
+    requireScope(...scopes) {
+        return (req, res, next) => {
+            const granted = req.user && Array.isArray(req.user.scopes) ? req.user.scopes : [];
+            
+            if (!granted.includes('*') && !scopes.some(scope => granted.includes(scope))) {
+                return res.status(403).json({
+                    error: {
+                        message: `Missing scope: ${scopes.join(' or ')}`,
+                        status: 403
+                    }
+                });
+            }
+            
+            next();
+        };
+    }
+    
+    /**
+     * Wrap an async route handler so rejected promises reach the error handler
+     * @param {Function} handler - Async route handler
+     * @returns {Function} Express route handler
+     */
+    asyncHandler(handler) {
+        return (req, res, next) => {
+            Promise.resolve(handler(req, res, next)).catch(next);
+        };
+    }
+    
+    /**
+     * Create an error that the error handler responds to with its status
+     * @param {number} status - HTTP status code
+     * @param {string} message - Error message
+     * @returns {Error} The error
+     */
+    createError(status, message) {
+        return createError(status, message);
+    }
+    
     /**
      * Register a middleware
      * @param {string} name - Middleware name
@@ -0,0 +1,93 @@
+/**
+ * JMF Hosting Discord Bot - API Route Helpers
+ * Version: 1.0.0
+ * Last Updated: 03/12/2025
+ *
+ * Helpers shared by the route modules. Files starting with an underscore
+ * are not mounted as routes.
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ */
+
+const db = require('../../../../utils/database');
+const { parseSqlDate } = require('../../../../utils/timeUtils');
+const config = require('../../../../../config.json');
+
+const SNOWFLAKE = /^\d{17,20}$/;
+
+/**
+ * Throw a 503 unless the bot database is connected
+ * @param {ApiManager} api - The API manager
+ * @returns {Object} The database
+ */
+function requireDatabase(api) {
+    if (!db.isConnected) {
+        throw api.createError(503, 'Database not connected');
+    }
+
+    return db;
+}
+
+/**
+ * Get the guild a request is about: the guildId query or body parameter,
+ * or the bot's configured guild
+ * @param {ApiManager} api - The API manager
+ * @param {express.Request} req - The request
+ * @returns {string} The guild ID
+ */
+function resolveGuildId(api, req) {
+    const guildId = String(req.query.guildId || (req.body && req.body.guildId) || config.guildId || '');
+
+    if (!SNOWFLAKE.test(guildId)) {
+        throw api.createError(400, 'A valid guildId is required');
+    }
+
+    return guildId;
+}
+
+/**
+ * Check a Discord ID route parameter
+ * @param {ApiManager} api - The API manager
+ * @param {string} id - The ID
+ * @returns {string} The ID
+ */
+function requireSnowflake(api, id) {
+    if (!SNOWFLAKE.test(String(id))) {
+        throw api.createError(400, `Invalid Discord ID: ${id}`);
+    }
+
+    return String(id);
+}
+
+/**
+ * Parse a limit query parameter
+ * @param {string} value - The query value
+ * @param {number} [fallback=10] - Default limit
+ * @param {number} [max=100] - Largest allowed limit
+ * @returns {number} The limit
+ */
+function parseLimit(value, fallback = 10, max = 100) {
+    const limit = parseInt(value, 10);
+    return Number.isNaN(limit) || limit < 1 ? fallback : Math.min(limit, max);
+}
+
+/**
+ * Convert an SQLite timestamp to ISO 8601
+ * @param {string|null} value - The timestamp
+ * @returns {string|null} The ISO timestamp
+ */
+function toIsoDate(value) {
+    if (!value) return null;
+
+    const date = String(value).includes('T') ? new Date(value) : parseSqlDate(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+module.exports = {
+    requireDatabase,
+    resolveGuildId,
+    requireSnowflake,
+    parseLimit,
+    toIsoDate,
+};
@@ -0,0 +1,106 @@
+/**
+ * JMF Hosting Discord Bot - API Announcement Routes
+ * Version: 1.0.0
+ * Last Updated: 03/12/2025
+ *
+ * Lets ops scripts post announcements and maintenance notices, then edit
+ * and resolve them by ID. Reads need the announcements:read scope, changes
+ * need announcements:write.
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ */
+
+const express = require('express');
+const announcements = require('../../../../modules/announcements');
+const { requireDatabase, resolveGuildId, parseLimit } = require('./_shared');
+
+const STATUSES = ['active', 'resolved'];
+
+/**
+ * Get an announcement by its ID route parameter, or fail with a 404
+ * @param {ApiManager} api - The API manager
+ * @param {string} value - The ID parameter
+ * @returns {Promise<Object>} The announcement
+ */
+async function getAnnouncement(api, value) {
+    const id = parseInt(value, 10);
+    const announcement = Number.isNaN(id) ? null : await announcements.get(id);
+
+    if (!announcement) {
+        throw api.createError(404, 'Announcement not found');
+    }
+
+    return announcement;
+}
+
+module.exports = {
+    path: '/announcements',
+
+    /**
+     * Create the announcements router
+     * @param {ApiManager} api - The API manager
+     * @returns {express.Router} Router
+     */
+    createRouter(api) {
+        const router = express.Router();
+        const read = [api.getMiddleware('auth'), api.requireScope('announcements:read', 'announcements:write')];
+        const write = [api.getMiddleware('auth'), api.requireScope('announcements:write')];
+
+        router.get('/', read, api.asyncHandler(async (req, res) => {
+            requireDatabase(api);
+            const guildId = resolveGuildId(api, req);
+
+            if (req.query.status && !STATUSES.includes(req.query.status)) {
+                throw api.createError(400, `status must be one of: ${STATUSES.join(', ')}`);
+            }
+
+            const list = await announcements.list(guildId, {
+                status: req.query.status,
+                limit: parseLimit(req.query.limit, 25),
+            });
+
+            res.json({ guildId, announcements: list });
+        }));
+
+        router.post('/', write, api.asyncHandler(async (req, res) => {
+            requireDatabase(api);
+            const guildId = resolveGuildId(api, req);
+            const { type, title, body, affectedNodes, startsAt, endsAt } = req.body || {};
+
+            const announcement = await announcements.create(guildId, { type, title, body, affectedNodes, startsAt, endsAt }, req.user.sub);
+
+            api.logger.info(api.name, `Client ${req.user.sub} posted announcement ${announcement.id}`);
+            res.status(201).json(announcement);
+        }));
+
+        router.get('/:id', read, api.asyncHandler(async (req, res) => {
+            requireDatabase(api);
+            res.json(await getAnnouncement(api, req.params.id));
+        }));
+
+        // Change any of type, title, body, affectedNodes, startsAt and endsAt, and edit the message
+        router.patch('/:id', write, api.asyncHandler(async (req, res) => {
+            requireDatabase(api);
+            const announcement = await getAnnouncement(api, req.params.id);
+            const { type, title, body, affectedNodes, startsAt, endsAt } = req.body || {};
+
+            res.json(await announcements.update(announcement.id, { type, title, body, affectedNodes, startsAt, endsAt }, req.user.sub));
+        }));
+
+        // Mark it resolved and put its nodes back online
+        router.post('/:id/resolve', write, api.asyncHandler(async (req, res) => {
+            requireDatabase(api);
+            const announcement = await getAnnouncement(api, req.params.id);
+            const { resolution } = req.body || {};
+
+            if (resolution !== undefined && resolution !== null && typeof resolution !== 'string') {
+                throw api.createError(400, 'resolution must be a string');
+            }
+
+            res.json(await announcements.resolve(announcement.id, resolution || null, req.user.sub));
+        }));
+
+        return router;
+    },
+};
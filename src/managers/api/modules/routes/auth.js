@@ -0,0 +1,79 @@
+/**
+ * JMF Hosting Discord Bot - API Auth Routes
+ * Version: 1.0.0
+ * Last Updated: 03/12/2025
+ *
+ * Issues JWTs to the API clients listed in config.api.clients. Each client
+ * has an id, a secret and the scopes its tokens carry, e.g.
+ * { "id": "dashboard", "secret": "...", "scopes": ["users:read", "servers:write"] }
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+
+/**
+ * Compare two secrets in constant time
+ * @param {string} a - First secret
+ * @param {string} b - Second secret
+ * @returns {boolean} Whether they match
+ */
+function secretsMatch(a, b) {
+    const hash = (value) => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+module.exports = {
+    path: '/auth',
+
+    /**
+     * Create the auth router
+     * @param {ApiManager} api - The API manager
+     * @returns {express.Router} Router
+     */
+    createRouter(api) {
+        const router = express.Router();
+
+        // Exchange client credentials for a token
+        router.post('/token', (req, res) => {
+            const { clientId, clientSecret } = req.body || {};
+
+            if (!clientId || !clientSecret) {
+                throw api.createError(400, 'clientId and clientSecret are required');
+            }
+
+            const clients = Array.isArray(api.config.clients) ? api.config.clients : [];
+            const client = clients.find((entry) => entry.id === clientId);
+
+            if (!client || !client.secret || !secretsMatch(client.secret, clientSecret)) {
+                api.logger.warn(api.name, `Rejected token request for client ${clientId}`);
+                throw api.createError(401, 'Invalid client credentials');
+            }
+
+            const scopes = Array.isArray(client.scopes) ? client.scopes : [];
+            const token = api.createToken({ sub: client.id, scopes });
+            const { exp } = api.verifyToken(token);
+
+            api.logger.info(api.name, `Issued token to client ${client.id}`);
+            res.json({
+                token,
+                tokenType: 'Bearer',
+                expiresAt: new Date(exp * 1000).toISOString(),
+                scopes,
+            });
+        });
+
+        // Describe the token used for the request
+        router.get('/me', api.getMiddleware('auth'), (req, res) => {
+            res.json({
+                clientId: req.user.sub,
+                scopes: req.user.scopes || [],
+                expiresAt: new Date(req.user.exp * 1000).toISOString(),
+            });
+        });
+
+        return router;
+    },
+};
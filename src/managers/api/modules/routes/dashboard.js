@@ -0,0 +1,249 @@
+/**
+ * JMF Hosting Discord Bot - API Dashboard Routes
+ * Version: 1.0.0
+ * Last Updated: 03/12/2025
+ *
+ * Backend for the web dashboard. Staff sign in with an OAuth2 authorization
+ * code flow against the provider in config.dashboard.oauth (Discord, or the
+ * local mock from scripts/mock-oauth-provider.js) and get a token with the
+ * dashboard scope, which lets them view and edit the settings of the guilds
+ * they manage.
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const botConfig = require('../../../../../config.json');
+const guildSettings = require('../../../../modules/guildSettings');
+const { requireDatabase, requireSnowflake, parseLimit } = require('./_shared');
+const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
+
+const DISCORD_OAUTH = {
+    authorizeUrl: 'https://discord.com/oauth2/authorize',
+    tokenUrl: 'https://discord.com/api/oauth2/token',
+    userUrl: 'https://discord.com/api/users/@me',
+    scope: 'identify',
+};
+
+// How long a login can take between /login and /callback
+const LOGIN_TIMEOUT = 10 * 60 * 1000;
+
+/**
+ * Get the OAuth2 provider settings, or fail with a 501 if they are missing
+ * @param {ApiManager} api - The API manager
+ * @returns {Object} { authorizeUrl, tokenUrl, userUrl, scope, clientId, clientSecret, redirectUri }
+ */
+function getOAuthSettings(api) {
+    const oauth = { ...DISCORD_OAUTH, ...(botConfig.dashboard && botConfig.dashboard.oauth) };
+
+    if (!oauth.clientId || !oauth.clientSecret || !oauth.redirectUri) {
+        throw api.createError(501, 'Dashboard login is not configured');
+    }
+
+    return oauth;
+}
+
+/**
+ * Exchange an authorization code for the user it was issued to
+ * @param {ApiManager} api - The API manager
+ * @param {Object} oauth - The provider settings
+ * @param {string} code - The authorization code
+ * @returns {Promise<Object>} The provider's user, with at least an id
+ */
+async function fetchOAuthUser(api, oauth, code) {
+    const tokenResponse = await fetch(oauth.tokenUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: oauth.redirectUri,
+            client_id: oauth.clientId,
+            client_secret: oauth.clientSecret,
+        }).toString(),
+    }).catch((error) => {
+        throw api.createError(502, `Could not reach the login provider: ${error.message}`);
+    });
+
+    if (!tokenResponse.ok) {
+        throw api.createError(401, 'The login provider rejected the authorization code');
+    }
+
+    const { access_token: accessToken, token_type: tokenType = 'Bearer' } = await tokenResponse.json();
+
+    const userResponse = await fetch(oauth.userUrl, {
+        headers: { Authorization: `${tokenType} ${accessToken}` },
+    }).catch((error) => {
+        throw api.createError(502, `Could not reach the login provider: ${error.message}`);
+    });
+
+    const user = userResponse.ok ? await userResponse.json() : null;
+
+    if (!user || !user.id) {
+        throw api.createError(502, 'The login provider did not return a user');
+    }
+
+    return user;
+}
+
+module.exports = {
+    path: '/dashboard',
+
+    /**
+     * Create the dashboard router
+     * @param {ApiManager} api - The API manager
+     * @returns {express.Router} Router
+     */
+    createRouter(api) {
+        const router = express.Router();
+        const auth = [api.getMiddleware('auth'), api.requireScope('dashboard')];
+
+        // state => expiry of logins started with /login
+        const pendingLogins = new Map();
+
+        /**
+         * Get the guild a request is about, or fail with a 403 unless the
+         * signed in user may manage it. Tokens with the * scope may manage
+         * every guild.
+         * @param {express.Request} req - The request
+         * @returns {Promise<string>} The guild ID
+         */
+        async function requireGuildAccess(req) {
+            const guildId = requireSnowflake(api, req.params.guildId);
+            const scopes = req.user.scopes || [];
+
+            if (!scopes.includes('*') && !(req.user.userId && await guildSettings.canManage(guildId, req.user.userId))) {
+                throw api.createError(403, 'You cannot manage this guild');
+            }
+
+            return guildId;
+        }
+
+        // Send the user to the provider's consent page
+        router.get('/login', (req, res) => {
+            const oauth = getOAuthSettings(api);
+            const state = crypto.randomBytes(16).toString('hex');
+            const now = Date.now();
+
+            for (const [pending, expiresAt] of pendingLogins) {
+                if (expiresAt < now) pendingLogins.delete(pending);
+            }
+            pendingLogins.set(state, now + LOGIN_TIMEOUT);
+
+            const query = new URLSearchParams({
+                response_type: 'code',
+                client_id: oauth.clientId,
+                redirect_uri: oauth.redirectUri,
+                scope: oauth.scope,
+                state,
+            });
+
+            res.redirect(`${oauth.authorizeUrl}?${query}`);
+        });
+
+        // The provider redirects back here with a code, which is exchanged for a dashboard token
+        router.get('/callback', api.asyncHandler(async (req, res) => {
+            const oauth = getOAuthSettings(api);
+            const { code, state, error } = req.query;
+            const expiresAt = pendingLogins.get(state);
+            pendingLogins.delete(state);
+
+            if (!expiresAt || expiresAt < Date.now()) {
+                throw api.createError(400, 'Unknown or expired login, start again at /dashboard/login');
+            }
+
+            if (error || !code) {
+                throw api.createError(401, `Login was not completed: ${error || 'no authorization code'}`);
+            }
+
+            const user = await fetchOAuthUser(api, oauth, String(code));
+            const admins = (botConfig.dashboard && botConfig.dashboard.admins) || [];
+            const guilds = await guildSettings.getManageableGuilds(user.id);
+
+            if (!admins.includes(user.id) && guilds.length === 0) {
+                api.logger.warn(api.name, `Dashboard login refused for ${user.username || user.id}, who manages no guilds`);
+                throw api.createError(403, 'You do not manage any guild the bot is in');
+            }
+
+            const scopes = ['dashboard'];
+            const token = api.createToken(
+                { sub: `discord:${user.id}`, userId: user.id, username: user.username || null, scopes },
+                { expiresIn: (botConfig.dashboard && botConfig.dashboard.sessionExpiry) || '12h' },
+            );
+            const { exp } = api.verifyToken(token);
+
+            api.logger.info(api.name, `Dashboard login for ${user.username || user.id} (${user.id})`);
+
+            // Hand the token to the dashboard frontend in the URL fragment, which never reaches a server
+            if (botConfig.dashboard && botConfig.dashboard.successRedirect) {
+                return res.redirect(`${botConfig.dashboard.successRedirect}#token=${encodeURIComponent(token)}`);
+            }
+
+            res.json({
+                token,
+                tokenType: 'Bearer',
+                expiresAt: new Date(exp * 1000).toISOString(),
+                scopes,
+                user: { id: user.id, username: user.username || null },
+            });
+        }));
+
+        // The signed in user and the guilds they can manage
+        router.get('/me', auth, api.asyncHandler(async (req, res) => {
+            res.json({
+                user: { id: req.user.userId || null, username: req.user.username || null },
+                guilds: req.user.userId ? await guildSettings.getManageableGuilds(req.user.userId) : [],
+                expiresAt: new Date(req.user.exp * 1000).toISOString(),
+            });
+        }));
+
+        // The settings sections with the types and limits of their fields
+        router.get('/schema', auth, (req, res) => {
+            res.json({ sections: guildSettings.getSchema() });
+        });
+
+        router.get('/guilds/:guildId/settings', auth, api.asyncHandler(async (req, res) => {
+            const guildId = await requireGuildAccess(req);
+            res.json({ guildId, settings: await guildSettings.getAll(guildId) });
+        }));
+
+        router.get('/guilds/:guildId/settings/:section', auth, api.asyncHandler(async (req, res) => {
+            const guildId = await requireGuildAccess(req);
+            res.json({ guildId, section: req.params.section, settings: await guildSettings.getSection(guildId, req.params.section) });
+        }));
+
+        // Change some fields of a section, they apply to the running bot immediately
+        router.patch('/guilds/:guildId/settings/:section', auth, api.asyncHandler(async (req, res) => {
+            requireDatabase(api);
+            const guildId = await requireGuildAccess(req);
+            const settings = await guildSettings.update(guildId, req.params.section, req.body, req.user.userId || req.user.sub);
+
+            res.json({ guildId, section: req.params.section, settings });
+        }));
+
+        // Go back to the defaults from config.json
+        router.delete('/guilds/:guildId/settings/:section', auth, api.asyncHandler(async (req, res) => {
+            requireDatabase(api);
+            const guildId = await requireGuildAccess(req);
+            const settings = await guildSettings.reset(guildId, req.params.section, req.user.userId || req.user.sub);
+
+            res.json({ guildId, section: req.params.section, settings });
+        }));
+
+        router.get('/guilds/:guildId/audit', auth, api.asyncHandler(async (req, res) => {
+            requireDatabase(api);
+            const guildId = await requireGuildAccess(req);
+
+            const entries = await guildSettings.getAuditLog(guildId, {
+                section: req.query.section || null,
+                limit: parseLimit(req.query.limit, 25),
+            });
+
+            res.json({ guildId, entries });
+        }));
+
+        return router;
+    },
+};
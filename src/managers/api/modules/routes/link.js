@@ -0,0 +1,50 @@
+/**
+ * JMF Hosting Discord Bot - API Account Link Routes
+ * Version: 1.0.0
+ * Last Updated: 03/12/2025
+ *
+ * Lets the panel redeem the tokens issued by /link account. Needs the
+ * links:write scope.
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ */
+
+const express = require('express');
+const accountLinks = require('../../../../modules/accountLinks');
+const { toIsoDate } = require('./_shared');
+
+module.exports = {
+    path: '/link',
+
+    /**
+     * Create the link router
+     * @param {ApiManager} api - The API manager
+     * @returns {express.Router} Router
+     */
+    createRouter(api) {
+        const router = express.Router();
+        const write = [api.getMiddleware('auth'), api.requireScope('links:write')];
+
+        // Complete a link with the token and either the user's client API key or their panel user ID
+        router.post('/redeem', write, api.asyncHandler(async (req, res) => {
+            const { token, apiKey, panelUserId } = req.body || {};
+
+            if (!token || (!apiKey && !panelUserId)) {
+                throw api.createError(400, 'token and either apiKey or panelUserId are required');
+            }
+
+            const link = await accountLinks.redeem(token, { apiKey, panelUserId });
+
+            api.logger.info(api.name, `Client ${req.user.sub} redeemed the link token of ${link.discord_id}`);
+            res.json({
+                discordId: link.discord_id,
+                panelUserId: link.pterodactyl_id,
+                panelUsername: link.pterodactyl_username,
+                linkedAt: toIsoDate(link.verified_at),
+            });
+        }));
+
+        return router;
+    },
+};
@@ -0,0 +1,84 @@
+/**
+ * JMF Hosting Discord Bot - API Server Routes
+ * Version: 1.0.0
+ * Last Updated: 03/12/2025
+ *
+ * Game server status from the Pterodactyl panel, and power actions. Reads
+ * need the servers:read scope, power actions need servers:write.
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ */
+
+const express = require('express');
+const gameServers = require('../../../../modules/gameServers');
+
+/**
+ * Get the status of every server, or fail with a 502 if the panel is unreachable
+ * @param {ApiManager} api - The API manager
+ * @returns {Promise<Array<Object>>} The servers
+ */
+async function getServers(api) {
+    const servers = await gameServers.getServerStatuses();
+
+    if (!servers) {
+        throw api.createError(502, 'Could not reach the game panel');
+    }
+
+    return servers;
+}
+
+module.exports = {
+    path: '/servers',
+
+    /**
+     * Create the servers router
+     * @param {ApiManager} api - The API manager
+     * @returns {express.Router} Router
+     */
+    createRouter(api) {
+        const router = express.Router();
+        const read = [api.getMiddleware('auth'), api.requireScope('servers:read', 'servers:write')];
+        const write = [api.getMiddleware('auth'), api.requireScope('servers:write')];
+
+        router.get('/', read, api.asyncHandler(async (req, res) => {
+            const servers = await getServers(api);
+            res.json({ servers });
+        }));
+
+        router.get('/:serverId', read, api.asyncHandler(async (req, res) => {
+            const server = (await getServers(api)).find((entry) => entry.id === req.params.serverId);
+
+            if (!server) {
+                throw api.createError(404, 'Server not found');
+            }
+
+            res.json(server);
+        }));
+
+        // Start, stop, restart or kill a server
+        router.post('/:serverId/power', write, api.asyncHandler(async (req, res) => {
+            const { signal } = req.body || {};
+
+            if (!gameServers.powerSignals.includes(signal)) {
+                throw api.createError(400, `signal must be one of: ${gameServers.powerSignals.join(', ')}`);
+            }
+
+            const server = (await getServers(api)).find((entry) => entry.id === req.params.serverId);
+            if (!server) {
+                throw api.createError(404, 'Server not found');
+            }
+
+            try {
+                await gameServers.sendPowerSignal(server.id, signal);
+            } catch (error) {
+                throw api.createError(502, error.message);
+            }
+
+            api.logger.info(api.name, `Client ${req.user.sub} sent ${signal} to server ${server.name} (${server.id})`);
+            res.status(202).json({ id: server.id, signal });
+        }));
+
+        return router;
+    },
+};
@@ -0,0 +1,89 @@
+/**
+ * JMF Hosting Discord Bot - API Stats Routes
+ * Version: 1.0.0
+ * Last Updated: 03/12/2025
+ *
+ * Bot, ticket and game server statistics. Needs the stats:read scope.
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ */
+
+const express = require('express');
+const db = require('../../../../utils/database');
+const ticketAnalytics = require('../../../../modules/ticketAnalytics');
+const gameServers = require('../../../../modules/gameServers');
+const { requireDatabase, resolveGuildId } = require('./_shared');
+
+module.exports = {
+    path: '/stats',
+
+    /**
+     * Create the stats router
+     * @param {ApiManager} api - The API manager
+     * @returns {express.Router} Router
+     */
+    createRouter(api) {
+        const router = express.Router();
+        const read = [api.getMiddleware('auth'), api.requireScope('stats:read')];
+
+        // Process and service status
+        router.get('/', read, (req, res) => {
+            const memory = process.memoryUsage();
+
+            res.json({
+                status: 'online',
+                uptime: Math.floor(process.uptime()),
+                memory: {
+                    rss: memory.rss,
+                    heapUsed: memory.heapUsed,
+                },
+                services: {
+                    database: db.isConnected ? 'connected' : 'disconnected',
+                },
+                routes: [...api.routes.keys()],
+            });
+        });
+
+        // The numbers behind /ticket stats
+        router.get('/tickets', read, api.asyncHandler(async (req, res) => {
+            requireDatabase(api);
+            const guildId = resolveGuildId(api, req);
+            const period = req.query.period || 'week';
+
+            if (!ticketAnalytics.PERIODS[period]) {
+                throw api.createError(400, `period must be one of: ${Object.keys(ticketAnalytics.PERIODS).join(', ')}`);
+            }
+
+            res.json({ guildId, ...await ticketAnalytics.getStats(guildId, period) });
+        }));
+
+        // Server counts by state and game, with total resource usage
+        router.get('/servers', read, api.asyncHandler(async (req, res) => {
+            const servers = await gameServers.getServerStatuses();
+
+            if (!servers) {
+                throw api.createError(502, 'Could not reach the game panel');
+            }
+
+            const states = {};
+            const games = {};
+            const resources = { cpu: 0, memory: 0, disk: 0 };
+
+            for (const server of servers) {
+                states[server.state] = (states[server.state] || 0) + 1;
+                games[server.gameType] = (games[server.gameType] || 0) + 1;
+
+                if (server.resources) {
+                    resources.cpu += server.resources.cpu || 0;
+                    resources.memory += server.resources.memory || 0;
+                    resources.disk += server.resources.disk || 0;
+                }
+            }
+
+            res.json({ total: servers.length, states, games, resources });
+        }));
+
+        return router;
+    },
+};
@@ -0,0 +1,136 @@
+/**
+ * JMF Hosting Discord Bot - API Ticket Routes
+ * Version: 1.0.0
+ * Last Updated: 03/12/2025
+ *
+ * Read-only access to support tickets and their history. Needs the
+ * tickets:read scope.
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ */
+
+const express = require('express');
+const { requireDatabase, resolveGuildId, requireSnowflake, parseLimit, toIsoDate } = require('./_shared');
+
+const STATUSES = ['open', 'closed'];
+
+/**
+ * Convert a ticket row to its API representation
+ * @param {Object} row - The ticket row
+ * @returns {Object} The ticket
+ */
+function toTicket(row) {
+    return {
+        number: row.ticket_number,
+        userId: row.user_id,
+        channelId: row.channel_id || null,
+        subject: row.subject,
+        category: row.category || 'general',
+        priority: row.priority,
+        status: row.deleted_at ? 'deleted' : row.status,
+        claimedBy: row.claimed_by,
+        createdAt: toIsoDate(row.created_at),
+        firstResponseAt: toIsoDate(row.first_response_at),
+        firstResponseDue: toIsoDate(row.first_response_due),
+        resolutionDue: toIsoDate(row.resolution_due),
+        escalationLevel: row.escalation_level || 0,
+        closedAt: toIsoDate(row.closed_at),
+        closedBy: row.closed_by,
+        closeReason: row.close_reason,
+    };
+}
+
+module.exports = {
+    path: '/tickets',
+
+    /**
+     * Create the tickets router
+     * @param {ApiManager} api - The API manager
+     * @returns {express.Router} Router
+     */
+    createRouter(api) {
+        const router = express.Router();
+        const read = [api.getMiddleware('auth'), api.requireScope('tickets:read')];
+
+        // Newest tickets first, filtered by status and creator
+        router.get('/', read, api.asyncHandler(async (req, res) => {
+            const db = requireDatabase(api);
+            const guildId = resolveGuildId(api, req);
+            const conditions = ['guild_id = ?'];
+            const params = [guildId];
+
+            if (req.query.status) {
+                if (!STATUSES.includes(req.query.status)) {
+                    throw api.createError(400, `status must be one of: ${STATUSES.join(', ')}`);
+                }
+
+                conditions.push('status = ?');
+                params.push(req.query.status);
+            }
+
+            if (req.query.userId) {
+                conditions.push('user_id = ?');
+                params.push(requireSnowflake(api, req.query.userId));
+            }
+
+            const rows = await db.query(
+                `SELECT * FROM tickets WHERE ${conditions.join(' AND ')} ORDER BY id DESC LIMIT ?`,
+                [...params, parseLimit(req.query.limit, 25)],
+            );
+
+            res.json({ guildId, tickets: rows.map(toTicket) });
+        }));
+
+        // A ticket with its participants, events and rating
+        router.get('/:number', read, api.asyncHandler(async (req, res) => {
+            const db = requireDatabase(api);
+            const guildId = resolveGuildId(api, req);
+            const number = parseInt(req.params.number, 10);
+
+            const rows = Number.isNaN(number)
+                ? []
+                : await db.query('SELECT * FROM tickets WHERE guild_id = ? AND ticket_number = ?', [guildId, number]);
+
+            if (!rows[0]) {
+                throw api.createError(404, 'Ticket not found');
+            }
+
+            const ticket = rows[0];
+            const participants = await db.query(
+                'SELECT user_id, added_by, added_at FROM ticket_participants WHERE ticket_id = ? AND removed_at IS NULL',
+                [ticket.id],
+            );
+            const events = await db.query(
+                'SELECT action, old_value, new_value, actor_id, created_at FROM ticket_events WHERE ticket_id = ? ORDER BY id ASC',
+                [ticket.id],
+            );
+            const ratings = await db.query('SELECT rating, comment, created_at FROM ticket_ratings WHERE ticket_id = ?', [ticket.id]);
+
+            res.json({
+                guildId,
+                ...toTicket(ticket),
+                description: ticket.description,
+                participants: participants.map((row) => ({
+                    userId: row.user_id,
+                    addedBy: row.added_by,
+                    addedAt: toIsoDate(row.added_at),
+                })),
+                events: events.map((row) => ({
+                    action: row.action,
+                    oldValue: row.old_value,
+                    newValue: row.new_value,
+                    actorId: row.actor_id,
+                    createdAt: toIsoDate(row.created_at),
+                })),
+                rating: ratings[0] ? {
+                    rating: ratings[0].rating,
+                    comment: ratings[0].comment,
+                    createdAt: toIsoDate(ratings[0].created_at),
+                } : null,
+            });
+        }));
+
+        return router;
+    },
+};
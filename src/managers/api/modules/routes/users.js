@@ -0,0 +1,221 @@
+/**
+ * JMF Hosting Discord Bot - API User Routes
+ * Version: 1.0.0
+ * Last Updated: 03/12/2025
+ *
+ * User profiles, levels and balances. Reads need the users:read scope,
+ * balance adjustments need users:write.
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ */
+
+const express = require('express');
+const { toSqlDateTime } = require('../../../../utils/timeUtils');
+const { requireDatabase, resolveGuildId, requireSnowflake, parseLimit, toIsoDate } = require('./_shared');
+
+// Largest single balance adjustment
+const MAX_ADJUSTMENT = 1000000;
+
+/**
+ * Get a user's level in a guild
+ * @param {Object} db - The database
+ * @param {string} userId - The user ID
+ * @param {string} guildId - The guild ID
+ * @returns {Promise<Object>} The level
+ */
+async function getLevel(db, userId, guildId) {
+    const rows = await db.query('SELECT * FROM user_levels WHERE user_id = ? AND guild_id = ?', [userId, guildId]);
+    const row = rows[0];
+
+    if (!row) {
+        return { level: 0, xp: 0, messages: 0, voiceTime: 0, rank: null, lastXpEarned: null };
+    }
+
+    const rankRows = await db.query(
+        'SELECT COUNT(*) AS count FROM user_levels WHERE guild_id = ? AND xp > ?',
+        [guildId, row.xp],
+    );
+
+    return {
+        level: row.level,
+        xp: row.xp,
+        messages: row.messages,
+        voiceTime: row.voice_time,
+        rank: (rankRows[0]?.count || 0) + 1,
+        lastXpEarned: toIsoDate(row.last_xp_earned),
+    };
+}
+
+/**
+ * Get a user's balance in a guild
+ * @param {Object} db - The database
+ * @param {string} userId - The user ID
+ * @param {string} guildId - The guild ID
+ * @returns {Promise<Object>} The balance
+ */
+async function getBalance(db, userId, guildId) {
+    const rows = await db.query('SELECT * FROM user_balances WHERE user_id = ? AND guild_id = ?', [userId, guildId]);
+
+    return {
+        balance: rows[0] ? rows[0].balance : 0,
+        lastUpdated: rows[0] ? toIsoDate(rows[0].last_updated) : null,
+    };
+}
+
+module.exports = {
+    path: '/users',
+
+    /**
+     * Create the users router
+     * @param {ApiManager} api - The API manager
+     * @returns {express.Router} Router
+     */
+    createRouter(api) {
+        const router = express.Router();
+        const read = [api.getMiddleware('auth'), api.requireScope('users:read', 'users:write')];
+        const write = [api.getMiddleware('auth'), api.requireScope('users:write')];
+
+        // Top users by XP or balance
+        router.get('/leaderboard', read, api.asyncHandler(async (req, res) => {
+            const db = requireDatabase(api);
+            const guildId = resolveGuildId(api, req);
+            const limit = parseLimit(req.query.limit);
+            const type = req.query.type || 'levels';
+
+            if (type !== 'levels' && type !== 'balances') {
+                throw api.createError(400, 'type must be levels or balances');
+            }
+
+            const rows = type === 'levels'
+                ? await db.query(
+                    'SELECT user_id, level, xp FROM user_levels WHERE guild_id = ? ORDER BY xp DESC LIMIT ?',
+                    [guildId, limit],
+                )
+                : await db.query(
+                    'SELECT user_id, balance FROM user_balances WHERE guild_id = ? ORDER BY balance DESC LIMIT ?',
+                    [guildId, limit],
+                );
+
+            res.json({
+                guildId,
+                type,
+                leaderboard: rows.map((row, index) => ({
+                    rank: index + 1,
+                    userId: row.user_id,
+                    ...(type === 'levels' ? { level: row.level, xp: row.xp } : { balance: row.balance }),
+                })),
+            });
+        }));
+
+        // Profile with level and balance
+        router.get('/:userId', read, api.asyncHandler(async (req, res) => {
+            const db = requireDatabase(api);
+            const userId = requireSnowflake(api, req.params.userId);
+            const guildId = resolveGuildId(api, req);
+
+            const rows = await db.query('SELECT * FROM users WHERE user_id = ?', [userId]);
+            const user = rows[0];
+            const level = await getLevel(db, userId, guildId);
+            const balance = await getBalance(db, userId, guildId);
+
+            if (!user && level.xp === 0 && !balance.lastUpdated) {
+                throw api.createError(404, 'User not found');
+            }
+
+            res.json({
+                id: userId,
+                guildId,
+                username: user ? user.username : null,
+                avatar: user ? user.avatar : null,
+                bot: user ? Boolean(user.is_bot) : false,
+                createdAt: user ? toIsoDate(user.created_at) : null,
+                lastSeen: user ? toIsoDate(user.last_seen) : null,
+                level,
+                balance: balance.balance,
+            });
+        }));
+
+        router.get('/:userId/level', read, api.asyncHandler(async (req, res) => {
+            const db = requireDatabase(api);
+            const userId = requireSnowflake(api, req.params.userId);
+            const guildId = resolveGuildId(api, req);
+
+            res.json({ userId, guildId, ...await getLevel(db, userId, guildId) });
+        }));
+
+        router.get('/:userId/balance', read, api.asyncHandler(async (req, res) => {
+            const db = requireDatabase(api);
+            const userId = requireSnowflake(api, req.params.userId);
+            const guildId = resolveGuildId(api, req);
+
+            const transactions = await db.query(
+                `SELECT id, amount, type, description, timestamp FROM transactions
+                 WHERE user_id = ? AND guild_id = ? ORDER BY id DESC LIMIT ?`,
+                [userId, guildId, parseLimit(req.query.limit, 5, 50)],
+            );
+
+            res.json({
+                userId,
+                guildId,
+                ...await getBalance(db, userId, guildId),
+                transactions: transactions.map((row) => ({
+                    id: row.id,
+                    amount: row.amount,
+                    type: row.type,
+                    description: row.description,
+                    timestamp: toIsoDate(row.timestamp),
+                })),
+            });
+        }));
+
+        // Add to or take from a balance
+        router.post('/:userId/balance', write, api.asyncHandler(async (req, res) => {
+            const db = requireDatabase(api);
+            const userId = requireSnowflake(api, req.params.userId);
+            const guildId = resolveGuildId(api, req);
+            const amount = Number(req.body.amount);
+            const reason = String(req.body.reason || '').trim().slice(0, 200);
+
+            if (!Number.isInteger(amount) || amount === 0 || Math.abs(amount) > MAX_ADJUSTMENT) {
+                throw api.createError(400, `amount must be a non-zero whole number up to ${MAX_ADJUSTMENT}`);
+            }
+
+            if (!reason) {
+                throw api.createError(400, 'reason is required');
+            }
+
+            const { balance } = await getBalance(db, userId, guildId);
+            if (balance + amount < 0) {
+                throw api.createError(409, `Insufficient balance (${balance})`);
+            }
+
+            const now = toSqlDateTime();
+            await db.query(
+                `INSERT INTO user_balances (user_id, guild_id, balance, last_updated) VALUES (?, ?, ?, ?)
+                 ON CONFLICT(user_id, guild_id) DO UPDATE SET balance = balance + excluded.balance, last_updated = excluded.last_updated`,
+                [userId, guildId, amount, now],
+            );
+            const result = await db.query(
+                'INSERT INTO transactions (user_id, guild_id, amount, type, description, timestamp) VALUES (?, ?, ?, ?, ?, ?)',
+                [userId, guildId, amount, 'api', `${reason} (API client ${req.user.sub})`, now],
+            );
+
+            api.logger.info(api.name, `Client ${req.user.sub} adjusted the balance of ${userId} in ${guildId} by ${amount}: ${reason}`);
+            res.status(201).json({
+                userId,
+                guildId,
+                ...await getBalance(db, userId, guildId),
+                transaction: {
+                    id: result.lastID,
+                    amount,
+                    type: 'api',
+                    description: reason,
+                    timestamp: toIsoDate(now),
+                },
+            });
+        }));
+
+        return router;
+    },
+};
@@ -0,0 +1,186 @@
+/**
+ * JMF Hosting Discord Bot - API Webhook Routes
+ * Version: 1.0.0
+ * Last Updated: 03/12/2025
+ *
+ * Outgoing webhook subscriptions, their delivery log and the dead-letter
+ * queue. Reads need the webhooks:read scope, changes need webhooks:write.
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ */
+
+const express = require('express');
+const webhooks = require('../../../../modules/webhooks');
+const { requireDatabase, parseLimit } = require('./_shared');
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead', 'cancelled'];
+
+/**
+ * Convert a subscription to its API representation. The secret is only
+ * returned when a subscription is created or its secret is rotated.
+ * @param {Object} subscription - The subscription
+ * @param {boolean} [withSecret=false] - Whether to include the secret
+ * @returns {Object} The subscription
+ */
+function toSubscription(subscription, withSecret = false) {
+    const { secret, ...rest } = subscription;
+    return withSecret ? { ...rest, secret } : rest;
+}
+
+/**
+ * Parse a numeric ID route parameter
+ * @param {ApiManager} api - The API manager
+ * @param {string} value - The parameter
+ * @returns {number} The ID
+ */
+function parseId(api, value) {
+    const id = parseInt(value, 10);
+
+    if (Number.isNaN(id) || String(id) !== String(value)) {
+        throw api.createError(400, `Invalid ID: ${value}`);
+    }
+
+    return id;
+}
+
+module.exports = {
+    path: '/webhooks',
+
+    /**
+     * Create the webhooks router
+     * @param {ApiManager} api - The API manager
+     * @returns {express.Router} Router
+     */
+    createRouter(api) {
+        const router = express.Router();
+        const read = [api.getMiddleware('auth'), api.requireScope('webhooks:read', 'webhooks:write')];
+        const write = [api.getMiddleware('auth'), api.requireScope('webhooks:write')];
+
+        // Event types that can be subscribed to
+        router.get('/events', read, (req, res) => {
+            res.json({ events: webhooks.EVENT_TYPES });
+        });
+
+        router.get('/', read, api.asyncHandler(async (req, res) => {
+            requireDatabase(api);
+            const subscriptions = await webhooks.listSubscriptions();
+            res.json({ subscriptions: subscriptions.map((subscription) => toSubscription(subscription)) });
+        }));
+
+        router.post('/', write, api.asyncHandler(async (req, res) => {
+            requireDatabase(api);
+            const { url, events, description, secret } = req.body || {};
+
+            const subscription = await webhooks.createSubscription({ url, events, description, secret }, req.user.sub);
+
+            api.logger.info(api.name, `Client ${req.user.sub} registered webhook ${subscription.id} for ${subscription.url}`);
+            res.status(201).json(toSubscription(subscription, true));
+        }));
+
+        // The delivery log, filter on status=dead for the dead-letter queue
+        router.get('/deliveries', read, api.asyncHandler(async (req, res) => {
+            requireDatabase(api);
+
+            if (req.query.status && !DELIVERY_STATUSES.includes(req.query.status)) {
+                throw api.createError(400, `status must be one of: ${DELIVERY_STATUSES.join(', ')}`);
+            }
+
+            const deliveries = await webhooks.getDeliveries({
+                subscriptionId: req.query.subscriptionId ? parseId(api, req.query.subscriptionId) : null,
+                status: req.query.status,
+                event: req.query.event,
+                limit: parseLimit(req.query.limit, 25),
+            });
+
+            res.json({ deliveries });
+        }));
+
+        router.get('/deliveries/:id', read, api.asyncHandler(async (req, res) => {
+            requireDatabase(api);
+            const delivery = await webhooks.getDelivery(parseId(api, req.params.id));
+
+            if (!delivery) {
+                throw api.createError(404, 'Delivery not found');
+            }
+
+            res.json(delivery);
+        }));
+
+        // Send a dead or cancelled delivery again
+        router.post('/deliveries/:id/retry', write, api.asyncHandler(async (req, res) => {
+            requireDatabase(api);
+            const id = parseId(api, req.params.id);
+            const delivery = await webhooks.retryDelivery(id);
+
+            if (!delivery) {
+                const existing = await webhooks.getDelivery(id);
+                throw existing
+                    ? api.createError(409, `Only dead or cancelled deliveries can be retried, this one is ${existing.status}`)
+                    : api.createError(404, 'Delivery not found');
+            }
+
+            res.json(delivery);
+        }));
+
+        router.get('/:id', read, api.asyncHandler(async (req, res) => {
+            requireDatabase(api);
+            const subscription = await webhooks.getSubscription(parseId(api, req.params.id));
+
+            if (!subscription) {
+                throw api.createError(404, 'Webhook not found');
+            }
+
+            res.json(toSubscription(subscription));
+        }));
+
+        // Change the URL, events, description or active flag
+        router.patch('/:id', write, api.asyncHandler(async (req, res) => {
+            requireDatabase(api);
+            const { url, events, description, active } = req.body || {};
+            const subscription = await webhooks.updateSubscription(parseId(api, req.params.id), { url, events, description, active });
+
+            if (!subscription) {
+                throw api.createError(404, 'Webhook not found');
+            }
+
+            res.json(toSubscription(subscription));
+        }));
+
+        router.delete('/:id', write, api.asyncHandler(async (req, res) => {
+            requireDatabase(api);
+
+            if (!await webhooks.deleteSubscription(parseId(api, req.params.id))) {
+                throw api.createError(404, 'Webhook not found');
+            }
+
+            api.logger.info(api.name, `Client ${req.user.sub} removed webhook ${req.params.id}`);
+            res.status(204).end();
+        }));
+
+        router.post('/:id/rotate-secret', write, api.asyncHandler(async (req, res) => {
+            requireDatabase(api);
+            const subscription = await webhooks.rotateSecret(parseId(api, req.params.id));
+
+            if (!subscription) {
+                throw api.createError(404, 'Webhook not found');
+            }
+
+            res.json(toSubscription(subscription, true));
+        }));
+
+        // Send a webhook.test event and return the result of the first attempt
+        router.post('/:id/test', write, api.asyncHandler(async (req, res) => {
+            requireDatabase(api);
+            const delivery = await webhooks.sendTest(parseId(api, req.params.id));
+
+            if (!delivery) {
+                throw api.createError(404, 'Webhook not found');
+            }
+
+            res.json(delivery);
+        }));
+
+        return router;
+    },
+};
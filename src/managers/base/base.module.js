@@ -38,6 +38,7 @@ class BaseModule extends EventEmitter {
         this._permissions = new Set();
         this._dependencies = new Set();
         this._hooks = new Map();
+        this._defaultConfig = options.defaultConfig || {};
         this._dataDir = path.join(process.cwd(), 'data', manager.name, 'modules', this.name);
         this._metrics = {
             operations: 0,
@@ -78,7 +79,7 @@ class BaseModule extends EventEmitter {
                 permissions: [],
                 commands: {},
                 features: {}
-            }, moduleConfig, config);
+            }, this._defaultConfig, moduleConfig, config);
             
             // Set up permissions based on new structure
             if (this._config.permissions) {
@@ -52,6 +52,7 @@ class BotManager extends BaseManager {
                 GatewayIntentBits.Guilds,
                 GatewayIntentBits.GuildMessages,
                 GatewayIntentBits.GuildMembers,
+                GatewayIntentBits.GuildModeration,
                 GatewayIntentBits.MessageContent
             ];
             
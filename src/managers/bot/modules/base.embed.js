@@ -538,6 +538,17 @@ class BaseEmbed extends BaseModule {
      * @private
      */
     _replacePlaceholders(text, data) {
+        return BaseEmbed.replacePlaceholders(text, data);
+    }
+
+    /**
+     * Replace {placeholders} in a string with data values. Nested values can be
+     * reached with dots, e.g. {user.name}, unknown placeholders are left as is.
+     * @param {string} text - The text to replace placeholders in
+     * @param {Object} data - The data to replace placeholders with
+     * @returns {string} - The text with placeholders replaced
+     */
+    static replacePlaceholders(text, data) {
         return text.replace(/\{([^}]+)\}/g, (match, key) => {
             const value = key.split('.').reduce((obj, prop) => obj && obj[prop], data);
             return value !== undefined ? value : match;
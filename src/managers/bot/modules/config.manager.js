@@ -58,6 +58,7 @@ class ConfigManager extends BaseModule {
                 GatewayIntentBits.Guilds,
                 GatewayIntentBits.GuildMessages,
                 GatewayIntentBits.GuildMembers,
+                GatewayIntentBits.GuildModeration,
                 GatewayIntentBits.MessageContent
             ],
             partials: [
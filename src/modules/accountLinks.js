@@ -0,0 +1,504 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+} = require('discord.js');
+const crypto = require('crypto');
+const config = require('../../config.json');
+const logger = require('../utils/logger');
+const { toSqlDateTime, parseSqlDate } = require('../utils/timeUtils');
+const { createError, createDatabaseQuery } = require('../utils/errors');
+
+const query = createDatabaseQuery('Account linking requires a database connection');
+const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Links between Discord accounts and Pterodactyl panel accounts.
+ *
+ * `/link account` issues a one-time token that is stored in account_links.
+ * The token is redeemed either in Discord, with the "Start Linking Process"
+ * form that takes a panel client API key, or by the panel through
+ * POST /link/redeem. Either way the panel user is verified against the
+ * panel API before the link is marked complete and the linked role is given.
+ *
+ * Button and modal IDs:
+ * - link_start: opens the redeem form
+ * - link_instructions: explains the linking steps
+ * - link_cancel: drops a pending token
+ * - link_unlink, link_unlinkconfirm, link_unlinkcancel: unlinking
+ * - link_redeem: the redeem form
+ */
+class AccountLinks {
+  constructor() {
+    this.client = null;
+  }
+
+  /**
+   * Keep the client around to update roles when links are redeemed through the API
+   * @param {Client} client - Discord client
+   */
+  init(client) {
+    this.client = client;
+  }
+
+  /**
+   * Get the linking settings from config.linking
+   * @returns {Object} { role, tokenExpiry, panelUrl }
+   */
+  getSettings() {
+    const linking = config.linking || {};
+    const panelUrl = linking.panelUrl || process.env.PTERODACTYL_URL || config.gameServers?.pterodactyl?.url || '';
+
+    return {
+      role: linking.role || null, // role name or ID given to linked users
+      tokenExpiry: (linking.tokenExpiry !== undefined ? linking.tokenExpiry : 24) * HOUR,
+      panelUrl: panelUrl.replace(/\/+$/, '').replace(/\/api(\/client|\/application)?$/, ''),
+    };
+  }
+
+  /**
+   * Issue a linking token, replacing any pending one
+   * @param {string} discordId - The Discord user ID
+   * @returns {Promise<Object>} { token, expiresAt }
+   * @throws {Error} If the account is already linked
+   */
+  async createToken(discordId) {
+    const existing = await this.getLink(discordId);
+    if (existing && existing.verified) {
+      throw new Error('Your Discord account is already linked to a panel account. Use `/link unlink` first.');
+    }
+
+    const token = crypto.randomBytes(16).toString('hex');
+    const expiresAt = new Date(Date.now() + this.getSettings().tokenExpiry);
+
+    await query(
+      `INSERT INTO account_links (user_id, discord_id, token, expires_at, verified, created_at) VALUES (?, ?, ?, ?, 0, ?)
+       ON CONFLICT(user_id) DO UPDATE SET token = excluded.token, expires_at = excluded.expires_at, created_at = excluded.created_at`,
+      [discordId, discordId, token, toSqlDateTime(expiresAt), toSqlDateTime()],
+    );
+
+    return { token, expiresAt };
+  }
+
+  /**
+   * Get the link of a Discord user
+   * @param {string} discordId - The Discord user ID
+   * @returns {Promise<Object|null>} The account_links row
+   */
+  async getLink(discordId) {
+    const rows = await query('SELECT * FROM account_links WHERE discord_id = ?', [discordId]);
+    return rows[0] || null;
+  }
+
+  /**
+   * Redeem a linking token. The panel account is verified with either the
+   * user's client API key or, for the panel's own requests, the panel user ID
+   * and the application API.
+   * @param {string} token - The linking token
+   * @param {Object} proof - { apiKey } or { panelUserId }
+   * @param {string} [discordId] - The user redeeming it, when redeemed in Discord
+   * @returns {Promise<Object>} The completed link
+   * @throws {Error} With a status for the API if the token or panel account is invalid
+   */
+  async redeem(token, { apiKey, panelUserId }, discordId = null) {
+    const rows = await query('SELECT * FROM account_links WHERE token = ?', [String(token || '').trim()]);
+    const link = rows[0];
+
+    if (!link || link.verified || (discordId && link.discord_id !== discordId)) {
+      throw createError(404, 'This linking token is not valid. Use `/link account` to get a new one.');
+    }
+
+    if (!link.expires_at || parseSqlDate(link.expires_at).getTime() < Date.now()) {
+      throw createError(410, 'This linking token has expired. Use `/link account` to get a new one.');
+    }
+
+    const panelUser = apiKey ? await this.verifyPanelKey(apiKey) : await this.verifyPanelUser(panelUserId);
+
+    const taken = await query(
+      'SELECT discord_id FROM account_links WHERE pterodactyl_id = ? AND verified = 1 AND discord_id != ?',
+      [panelUser.id, link.discord_id],
+    );
+    if (taken.length > 0) {
+      throw createError(409, 'This panel account is already linked to another Discord account.');
+    }
+
+    const storedKey = apiKey ? this.encrypt(apiKey) : null;
+    await query(
+      `UPDATE account_links SET pterodactyl_id = ?, pterodactyl_username = ?, pterodactyl_email = ?, panel_api_key = ?,
+        verified = 1, verified_at = ?, token = NULL, expires_at = NULL WHERE id = ?`,
+      [panelUser.id, panelUser.username, panelUser.email, storedKey, toSqlDateTime(), link.id],
+    );
+
+    await this.updateRole(link.discord_id, true);
+    logger.info(`Linked Discord user ${link.discord_id} to panel user ${panelUser.username} (${panelUser.id})`);
+
+    return this.getLink(link.discord_id);
+  }
+
+  /**
+   * Remove a user's link and linked role
+   * @param {string} discordId - The Discord user ID
+   * @returns {Promise<boolean>} Whether there was a link
+   */
+  async unlink(discordId) {
+    const result = await query('DELETE FROM account_links WHERE discord_id = ?', [discordId]);
+    if (result.changes === 0) return false;
+
+    // The servers they could control came from the panel account
+    await query('DELETE FROM server_access WHERE user_id = ?', [discordId]);
+    await this.updateRole(discordId, false);
+    logger.info(`Unlinked Discord user ${discordId} from their panel account`);
+    return true;
+  }
+
+  /**
+   * Look up the panel account a client API key belongs to
+   * @param {string} apiKey - The client API key
+   * @returns {Promise<Object>} { id, username, email }
+   */
+  async verifyPanelKey(apiKey) {
+    const attributes = await this.panelRequest('/api/client/account', String(apiKey).trim());
+    return { id: attributes.id, username: attributes.username, email: attributes.email };
+  }
+
+  /**
+   * Look up a panel user with the application API
+   * @param {number|string} panelUserId - The panel user ID
+   * @returns {Promise<Object>} { id, username, email }
+   */
+  async verifyPanelUser(panelUserId) {
+    const id = parseInt(panelUserId, 10);
+    if (Number.isNaN(id)) {
+      throw createError(400, 'A panel API key or panel user ID is required.');
+    }
+
+    const applicationKey = process.env.PTERODACTYL_APPLICATION_KEY || config.gameServers?.pterodactyl?.applicationKey;
+    if (!applicationKey) {
+      throw createError(501, 'Linking by panel user ID needs a panel application API key.');
+    }
+
+    const attributes = await this.panelRequest(`/api/application/users/${id}`, applicationKey);
+    return { id: attributes.id, username: attributes.username, email: attributes.email };
+  }
+
+  /**
+   * Call the panel API
+   * @param {string} endpoint - The path, starting with /api
+   * @param {string} apiKey - The API key to authenticate with
+   * @returns {Promise<Object>} The attributes of the response
+   */
+  async panelRequest(endpoint, apiKey) {
+    const { panelUrl } = this.getSettings();
+    if (!panelUrl) {
+      throw createError(503, 'The panel URL is not configured.');
+    }
+
+    let response;
+    try {
+      response = await fetch(`${panelUrl}${endpoint}`, {
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Accept': 'application/json',
+        },
+      });
+    } catch (error) {
+      logger.error(`Could not reach the panel at ${panelUrl}: ${error.message}`);
+      throw createError(502, 'The panel could not be reached. Please try again later.');
+    }
+
+    if (response.status === 401 || response.status === 403 || response.status === 404) {
+      throw createError(400, 'The panel did not accept these credentials.');
+    }
+
+    if (!response.ok) {
+      throw createError(502, `The panel returned an error (${response.status}).`);
+    }
+
+    const body = await response.json();
+    return body.attributes;
+  }
+
+  /**
+   * Give or take the linked role in every guild the user is in
+   * @param {string} discordId - The Discord user ID
+   * @param {boolean} linked - Whether the user is now linked
+   */
+  async updateRole(discordId, linked) {
+    const { role: roleSetting } = this.getSettings();
+    if (!roleSetting || !this.client) return;
+
+    for (const guild of this.client.guilds.cache.values()) {
+      const role = guild.roles.cache.find((r) => r.id === roleSetting || r.name === roleSetting);
+      const member = role ? await guild.members.fetch(discordId).catch(() => null) : null;
+      if (!member) continue;
+
+      try {
+        if (linked) {
+          await member.roles.add(role, 'Linked panel account');
+        } else {
+          await member.roles.remove(role, 'Unlinked panel account');
+        }
+      } catch (error) {
+        logger.error(`Failed to update the linked role of ${member.user.tag} in ${guild.name}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Get the decrypted panel API key of a linked user
+   * @param {string} discordId - The Discord user ID
+   * @returns {Promise<string|null>} The key, if the user linked with one
+   */
+  async getPanelApiKey(discordId) {
+    const link = await this.getLink(discordId);
+    return link && link.verified && link.panel_api_key ? this.decrypt(link.panel_api_key) : null;
+  }
+
+  /**
+   * Handle a link_ button
+   * @param {ButtonInteraction} interaction - The interaction
+   * @returns {Promise<void>}
+   */
+  async handleButton(interaction) {
+    const action = interaction.customId.slice('link_'.length);
+
+    try {
+      if (action === 'start') {
+        await this.openRedeemForm(interaction);
+      } else if (action === 'instructions') {
+        await interaction.reply({ embeds: [this.buildInstructionsEmbed()], ephemeral: true });
+      } else if (action === 'cancel') {
+        await query('DELETE FROM account_links WHERE discord_id = ? AND verified = 0', [interaction.user.id]);
+        await interaction.update({ content: '✅ Linking cancelled.', embeds: [], components: [] });
+      } else if (action === 'unlink') {
+        await interaction.update({ components: [buildUnlinkRow()] });
+      } else if (action === 'unlinkconfirm') {
+        const unlinked = await this.unlink(interaction.user.id);
+        await interaction.update({
+          content: unlinked ? '✅ Your Discord account has been unlinked from your panel account.' : '❌ Your account is not linked.',
+          embeds: [],
+          components: [],
+        });
+      } else if (action === 'unlinkcancel') {
+        await interaction.update({ content: 'Your account is still linked.', embeds: [], components: [] });
+      }
+    } catch (error) {
+      logger.error(`Error handling link button ${interaction.customId}: ${error.message}`);
+      await this.replyError(interaction, error);
+    }
+  }
+
+  /**
+   * Handle a link_ modal
+   * @param {ModalSubmitInteraction} interaction - The interaction
+   * @returns {Promise<void>}
+   */
+  async handleModal(interaction) {
+    if (interaction.customId !== 'link_redeem') return;
+
+    try {
+      await interaction.deferReply({ ephemeral: true });
+
+      const link = await this.redeem(
+        interaction.fields.getTextInputValue('token'),
+        { apiKey: interaction.fields.getTextInputValue('api_key') },
+        interaction.user.id,
+      );
+
+      await interaction.editReply({ embeds: [this.buildStatusEmbed(interaction.user, link)] });
+    } catch (error) {
+      if (!error.status) {
+        logger.error(`Error redeeming link token for ${interaction.user.tag}: ${error.message}`);
+      }
+      await this.replyError(interaction, error);
+    }
+  }
+
+  /**
+   * Show the form that redeems a token with a panel client API key
+   * @param {ButtonInteraction} interaction - The interaction
+   */
+  async openRedeemForm(interaction) {
+    const link = await this.getLink(interaction.user.id);
+
+    if (link && link.verified) {
+      return interaction.reply({ content: '❌ Your account is already linked. Use `/link status` to see it.', ephemeral: true });
+    }
+
+    // Fill in the pending token, issuing one if there is none
+    const pending = link && link.token && link.expires_at && parseSqlDate(link.expires_at).getTime() > Date.now();
+    const { token: value } = pending ? link : await this.createToken(interaction.user.id);
+
+    const token = new TextInputBuilder()
+      .setCustomId('token')
+      .setLabel('Linking token (from /link account)')
+      .setStyle(TextInputStyle.Short)
+      .setRequired(true)
+      .setMinLength(32)
+      .setMaxLength(32)
+      .setValue(value);
+
+    const modal = new ModalBuilder()
+      .setCustomId('link_redeem')
+      .setTitle('Link Your Panel Account')
+      .addComponents(
+        new ActionRowBuilder().addComponents(token),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('api_key')
+            .setLabel('Panel client API key (Account > API Credentials)')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+            .setMaxLength(100),
+        ),
+      );
+
+    await interaction.showModal(modal);
+  }
+
+  /**
+   * Build the embed that explains how to link an account
+   * @returns {EmbedBuilder} The embed
+   */
+  buildInstructionsEmbed() {
+    return new EmbedBuilder()
+      .setTitle('🔗 How to Link Your Account')
+      .setColor(config.embedColor || '#00AAFF')
+      .setDescription([
+        '1. Run `/link account` to get your linking token.',
+        `2. Log in to the panel${this.getSettings().panelUrl ? ` at ${this.getSettings().panelUrl}` : ''} and open **Account > API Credentials**.`,
+        '3. Create a client API key.',
+        '4. Click **Start Linking Process** and enter your token and the API key.',
+        '',
+        'Your token expires after a while. If it does, run `/link account` again.',
+      ].join('\n'))
+      .setFooter({ text: config.footerText })
+      .setTimestamp();
+  }
+
+  /**
+   * Build the embed showing a completed link
+   * @param {User} user - The Discord user
+   * @param {Object} link - The account_links row
+   * @returns {EmbedBuilder} The embed
+   */
+  buildStatusEmbed(user, link) {
+    const linkedAt = link.verified_at ? parseSqlDate(link.verified_at) : null;
+
+    return new EmbedBuilder()
+      .setTitle('✅ Account Linked')
+      .setDescription('Your Discord account is linked to your panel account.')
+      .setColor('#55FF55')
+      .addFields(
+        { name: 'Discord Account', value: `<@${user.id}>`, inline: true },
+        { name: 'Pterodactyl Username', value: link.pterodactyl_username || 'Unknown', inline: true },
+        { name: 'Pterodactyl User ID', value: link.pterodactyl_id ? String(link.pterodactyl_id) : 'Unknown', inline: true },
+        { name: 'Linked On', value: linkedAt ? `<t:${Math.floor(linkedAt.getTime() / 1000)}:F>` : 'Unknown', inline: true },
+      )
+      .setFooter({ text: config.footerText })
+      .setTimestamp();
+  }
+
+  /**
+   * Encrypt a panel API key for storage, with config.linking.encryptionKey
+   * @param {string} value - The API key
+   * @returns {string|null} The encrypted key, or null without an encryption key
+   */
+  encrypt(value) {
+    const key = this.getEncryptionKey();
+    if (!key) {
+      logger.warn('config.linking.encryptionKey is not set, the panel API key of the link will not be stored');
+      return null;
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const encrypted = Buffer.concat([cipher.update(String(value).trim(), 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join(':');
+  }
+
+  /**
+   * Decrypt a stored panel API key
+   * @param {string} value - The encrypted key
+   * @returns {string|null} The API key, or null if it cannot be decrypted
+   */
+  decrypt(value) {
+    const key = this.getEncryptionKey();
+    if (!key) return null;
+
+    try {
+      const [iv, tag, encrypted] = value.split(':').map((part) => Buffer.from(part, 'base64'));
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+      decipher.setAuthTag(tag);
+
+      return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+    } catch (error) {
+      logger.error(`Failed to decrypt a panel API key: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get the key panel API keys are encrypted with
+   * @returns {Buffer|null} The key
+   */
+  getEncryptionKey() {
+    const secret = config.linking?.encryptionKey || process.env.LINK_ENCRYPTION_KEY;
+    return secret ? crypto.createHash('sha256').update(secret).digest() : null;
+  }
+
+  /**
+   * Tell the user something went wrong, whether or not the interaction was answered
+   * @param {Interaction} interaction - The interaction
+   * @param {Error} error - The error
+   * @returns {Promise<void>}
+   */
+  async replyError(interaction, error) {
+    const content = `❌ ${error.message}`;
+
+    if (interaction.deferred || interaction.replied) {
+      await interaction.editReply({ content, embeds: [] }).catch(() => {});
+    } else {
+      await interaction.reply({ content, ephemeral: true }).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Build the unlink confirmation buttons
+ * @returns {ActionRowBuilder} The row
+ */
+function buildUnlinkRow() {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId('link_unlinkconfirm')
+      .setLabel('Confirm Unlink')
+      .setStyle(ButtonStyle.Danger),
+    new ButtonBuilder()
+      .setCustomId('link_unlinkcancel')
+      .setLabel('Cancel')
+      .setStyle(ButtonStyle.Secondary),
+  );
+}
+
+const accountLinks = new AccountLinks();
+accountLinks.buildUnlinkRow = buildUnlinkRow;
+
+module.exports = accountLinks;
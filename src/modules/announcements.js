@@ -0,0 +1,507 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../../config.json');
+const logger = require('../utils/logger');
+const { getChannel } = require('../utils/configManager');
+const { toSqlDateTime, formatDuration, parseSqlDate } = require('../utils/timeUtils');
+const { createError, createDatabaseQuery } = require('../utils/errors');
+const { createAnnouncementEmbed } = require('../embeds/announcement-embed');
+const { createNodeStatusEmbed } = require('../embeds/node-status-embed');
+
+const query = createDatabaseQuery('Announcements require a database connection');
+
+// Announcement types, matching the announcement embed templates
+const TYPES = ['announcement', 'update', 'maintenance', 'game'];
+
+// Node status set while an announcement affects a node
+const NODE_STATUSES = {
+  maintenance: 'maintenance',
+  default: 'degraded',
+};
+
+const NODES_FILE = path.join(__dirname, '../../data/nodes.json');
+
+/**
+ * Announcements and maintenance notices posted through the API.
+ *
+ * Each announcement is rendered with the announcement embed and posted to
+ * the configured channel: channels.maintenanceAnnouncements for maintenance,
+ * channels.announcements for everything else. Announcements that list
+ * affected nodes mark those nodes in data/nodes.json and carry the node
+ * status embed as a second embed. The message is edited in place when the
+ * announcement is updated or resolved; resolving puts the nodes back online.
+ */
+class Announcements {
+  constructor() {
+    this.client = null;
+  }
+
+  /**
+   * Keep the client around to post announcements
+   * @param {Client} client - Discord client
+   */
+  init(client) {
+    this.client = client;
+  }
+
+  /**
+   * Post a new announcement
+   * @param {string} guildId - The guild to post in
+   * @param {Object} data - The announcement
+   * @param {string} data.type - announcement, update, maintenance or game
+   * @param {string} data.title - The title
+   * @param {string} data.body - The text
+   * @param {Array<string>} [data.affectedNodes] - IDs of nodes in data/nodes.json
+   * @param {string} [data.startsAt] - ISO 8601 start time
+   * @param {string} [data.endsAt] - ISO 8601 end time
+   * @param {string} [createdBy] - Who posted it
+   * @returns {Promise<Object>} The announcement
+   */
+  async create(guildId, data, createdBy = null) {
+    const announcement = validate({ ...data, type: data.type || 'announcement', affectedNodes: data.affectedNodes || [] });
+    const guild = this.getGuild(guildId);
+    const channel = this.getChannelFor(guild, announcement.type);
+
+    await this.checkNodes(announcement.affectedNodes);
+
+    const result = await query(
+      'INSERT INTO announcements (guild_id, type, title, body, affected_nodes, starts_at, ends_at, status, channel_id, created_by, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [
+        guildId,
+        announcement.type,
+        announcement.title,
+        announcement.body,
+        JSON.stringify(announcement.affectedNodes),
+        announcement.startsAt ? toSqlDateTime(announcement.startsAt) : null,
+        announcement.endsAt ? toSqlDateTime(announcement.endsAt) : null,
+        'active',
+        channel.id,
+        createdBy,
+        toSqlDateTime(),
+      ],
+    );
+
+    const created = await this.get(result.lastID);
+
+    try {
+      await this.setNodeStatuses(created, false);
+      const message = await channel.send({ embeds: await this.buildEmbeds(created) });
+      await query('UPDATE announcements SET message_id = ? WHERE id = ?', [message.id, created.id]);
+    } catch (error) {
+      await this.setNodeStatuses(created, true);
+      await query('DELETE FROM announcements WHERE id = ?', [created.id]);
+      throw createError(502, `Could not post the announcement: ${error.message}`);
+    }
+
+    logger.info(`Announcement ${created.id} (${created.type}) posted in #${channel.name} by ${createdBy || 'unknown'}`);
+    return this.get(created.id);
+  }
+
+  /**
+   * Change an active announcement and edit its message
+   * @param {number} id - The announcement ID
+   * @param {Object} changes - Any of type, title, body, affectedNodes, startsAt, endsAt
+   * @param {string} [updatedBy] - Who changed it
+   * @returns {Promise<Object|null>} The announcement with messageUpdated, null if it doesn't exist
+   */
+  async update(id, changes, updatedBy = null) {
+    const current = await this.get(id);
+    if (!current) return null;
+
+    if (current.status === 'resolved') {
+      throw createError(409, 'Resolved announcements can no longer be changed');
+    }
+
+    const defined = Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined));
+    const announcement = validate({ ...current, ...defined });
+
+    if (announcement.type !== current.type && this.getChannelFor(this.getGuild(current.guildId), announcement.type).id !== current.channelId) {
+      throw createError(400, 'The type can only change between types posted in the same channel');
+    }
+
+    await this.checkNodes(announcement.affectedNodes);
+
+    // Nodes that are no longer affected go back online
+    await this.setNodeStatuses({ ...current, affectedNodes: current.affectedNodes.filter((node) => !announcement.affectedNodes.includes(node)) }, true);
+
+    await query(
+      'UPDATE announcements SET type = ?, title = ?, body = ?, affected_nodes = ?, starts_at = ?, ends_at = ?, updated_by = ?, updated_at = ? WHERE id = ?',
+      [
+        announcement.type,
+        announcement.title,
+        announcement.body,
+        JSON.stringify(announcement.affectedNodes),
+        announcement.startsAt ? toSqlDateTime(announcement.startsAt) : null,
+        announcement.endsAt ? toSqlDateTime(announcement.endsAt) : null,
+        updatedBy,
+        toSqlDateTime(),
+        id,
+      ],
+    );
+
+    const updated = await this.get(id);
+    await this.setNodeStatuses(updated, false);
+    const messageUpdated = await this.editMessage(updated);
+
+    logger.info(`Announcement ${id} updated by ${updatedBy || 'unknown'}`);
+    return { ...updated, messageUpdated };
+  }
+
+  /**
+   * Resolve an announcement, putting its nodes back online
+   * @param {number} id - The announcement ID
+   * @param {string} [resolution] - A closing note shown on the announcement
+   * @param {string} [resolvedBy] - Who resolved it
+   * @returns {Promise<Object|null>} The announcement with messageUpdated, null if it doesn't exist
+   */
+  async resolve(id, resolution = null, resolvedBy = null) {
+    const current = await this.get(id);
+    if (!current) return null;
+
+    if (current.status === 'resolved') {
+      throw createError(409, 'The announcement is already resolved');
+    }
+
+    if (resolution && resolution.length > 1024) {
+      throw createError(400, 'resolution must be at most 1024 characters');
+    }
+
+    await query(
+      'UPDATE announcements SET status = ?, resolution = ?, resolved_by = ?, resolved_at = ? WHERE id = ?',
+      ['resolved', resolution, resolvedBy, toSqlDateTime(), id],
+    );
+
+    const resolved = await this.get(id);
+    await this.setNodeStatuses(resolved, true);
+    const messageUpdated = await this.editMessage(resolved);
+
+    logger.info(`Announcement ${id} resolved by ${resolvedBy || 'unknown'}`);
+    return { ...resolved, messageUpdated };
+  }
+
+  /**
+   * Get an announcement
+   * @param {number} id - The announcement ID
+   * @returns {Promise<Object|null>} The announcement
+   */
+  async get(id) {
+    const rows = await query('SELECT * FROM announcements WHERE id = ?', [id]);
+    return rows[0] ? rowToAnnouncement(rows[0]) : null;
+  }
+
+  /**
+   * List a guild's announcements, newest first
+   * @param {string} guildId - The guild ID
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.status] - active or resolved
+   * @param {number} [filters.limit=25] - Maximum number of announcements
+   * @returns {Promise<Array<Object>>} The announcements
+   */
+  async list(guildId, filters = {}) {
+    const rows = await query(
+      `SELECT * FROM announcements WHERE guild_id = ?${filters.status ? ' AND status = ?' : ''} ORDER BY id DESC LIMIT ?`,
+      [guildId, ...(filters.status ? [filters.status] : []), filters.limit || 25],
+    );
+
+    return rows.map(rowToAnnouncement);
+  }
+
+  /**
+   * Render an announcement, with the node status embed when it affects nodes
+   * @param {Object} announcement - The announcement
+   * @returns {Promise<Array<EmbedBuilder>>} The embeds
+   */
+  async buildEmbeds(announcement) {
+    const fields = [];
+
+    if (announcement.startsAt || announcement.endsAt) {
+      const lines = [];
+
+      if (announcement.startsAt) {
+        lines.push(`• Start: ${formatTimestamp(announcement.startsAt)}`);
+      }
+
+      if (announcement.endsAt) {
+        lines.push(`• End: ${formatTimestamp(announcement.endsAt)}`);
+      }
+
+      if (announcement.startsAt && announcement.endsAt) {
+        lines.push(`• Duration: ${formatDuration(announcement.endsAt - announcement.startsAt)}`);
+      }
+
+      fields.push({ name: '📅 Date & Time', value: lines.join('\n'), inline: false });
+    }
+
+    if (announcement.affectedNodes.length > 0) {
+      fields.push({
+        name: '🔍 Affected Nodes',
+        value: announcement.affectedNodes.map((node) => `• ${node}`).join('\n'),
+        inline: false,
+      });
+    }
+
+    if (announcement.status === 'resolved') {
+      fields.push({
+        name: '✅ Resolved',
+        value: `${announcement.resolution || 'This has been resolved.'}\n${formatTimestamp(announcement.resolvedAt)}`,
+        inline: false,
+      });
+    } else if (announcement.updatedAt) {
+      fields.push({ name: '📢 Updated', value: formatTimestamp(announcement.updatedAt), inline: false });
+    }
+
+    const embeds = [
+      createAnnouncementEmbed(announcement.type, {
+        title: announcement.status === 'resolved' ? `✅ ${announcement.title}` : announcement.title,
+        description: announcement.body,
+        fields,
+        color: announcement.status === 'resolved' ? '#00FF00' : null,
+        footer: `Announcement #${announcement.id}`,
+      }),
+    ];
+
+    if (announcement.affectedNodes.length > 0) {
+      embeds.push(await createNodeStatusEmbed());
+    }
+
+    return embeds;
+  }
+
+  /**
+   * Re-render the announcement's message. The change is already stored, so a
+   * message that was deleted or can't be edited is logged rather than thrown.
+   * @param {Object} announcement - The announcement
+   * @returns {Promise<boolean>} Whether the message was edited
+   */
+  async editMessage(announcement) {
+    const channel = this.client ? await this.client.channels.fetch(announcement.channelId).catch(() => null) : null;
+    const message = channel && announcement.messageId
+      ? await channel.messages.fetch(announcement.messageId).catch(() => null)
+      : null;
+
+    if (!message) {
+      logger.warn(`The message of announcement ${announcement.id} no longer exists`);
+      return false;
+    }
+
+    try {
+      await message.edit({ embeds: await this.buildEmbeds(announcement) });
+      return true;
+    } catch (error) {
+      logger.warn(`Could not edit the message of announcement ${announcement.id}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Mark an announcement's nodes in data/nodes.json, or put them back online.
+   * Nodes that another announcement has marked since are left alone.
+   * @param {Object} announcement - The announcement
+   * @param {boolean} restore - Whether to put the nodes back online
+   * @returns {Promise<void>}
+   */
+  async setNodeStatuses(announcement, restore) {
+    if (announcement.affectedNodes.length === 0) return;
+
+    const nodes = await loadNodes();
+
+    for (const nodeId of announcement.affectedNodes) {
+      const node = nodes[nodeId];
+      if (!node) continue;
+
+      if (restore) {
+        if (node.announcementId !== announcement.id) continue;
+
+        node.status = 'online';
+        node.reason = '';
+        delete node.announcementId;
+      } else {
+        node.status = NODE_STATUSES[announcement.type] || NODE_STATUSES.default;
+        node.reason = `${announcement.title} (announcement #${announcement.id})`;
+        node.announcementId = announcement.id;
+      }
+
+      node.lastUpdated = new Date().toISOString();
+      node.updatedBy = 'API';
+    }
+
+    await fs.writeFile(NODES_FILE, JSON.stringify(nodes, null, 2), 'utf8');
+  }
+
+  /**
+   * Throw a 400 if any of the nodes is not in data/nodes.json
+   * @param {Array<string>} nodeIds - The node IDs
+   * @returns {Promise<void>}
+   */
+  async checkNodes(nodeIds) {
+    if (nodeIds.length === 0) return;
+
+    const nodes = await loadNodes();
+    const unknown = nodeIds.filter((nodeId) => !nodes[nodeId]);
+
+    if (unknown.length > 0) {
+      throw createError(400, `Unknown node(s): ${unknown.join(', ')}. Add them with /node update first.`);
+    }
+  }
+
+  /**
+   * Get a guild the bot is in
+   * @param {string} guildId - The guild ID
+   * @returns {Guild} The guild
+   */
+  getGuild(guildId) {
+    const guild = this.client && this.client.guilds.cache.get(guildId);
+
+    if (!guild) {
+      throw createError(503, 'The bot is not connected to that guild');
+    }
+
+    return guild;
+  }
+
+  /**
+   * Get the channel an announcement type is posted in
+   * @param {Guild} guild - The guild
+   * @param {string} type - The announcement type
+   * @returns {TextChannel} The channel
+   */
+  getChannelFor(guild, type) {
+    const channels = config.channels || {};
+    const channel = getChannel(guild, type === 'maintenance' ? channels.maintenanceAnnouncements || channels.announcements : channels.announcements);
+
+    if (!channel || !channel.isTextBased()) {
+      throw createError(503, `No ${type === 'maintenance' ? 'maintenance announcements' : 'announcements'} channel is configured`);
+    }
+
+    return channel;
+  }
+}
+
+/**
+ * Validate an announcement and parse its times
+ * @param {Object} data - The announcement
+ * @returns {Object} The announcement with Date times
+ */
+function validate(data) {
+  if (!TYPES.includes(data.type)) {
+    throw createError(400, `type must be one of: ${TYPES.join(', ')}`);
+  }
+
+  if (typeof data.title !== 'string' || !data.title.trim() || data.title.length > 200) {
+    throw createError(400, 'title is required and must be at most 200 characters');
+  }
+
+  if (typeof data.body !== 'string' || !data.body.trim() || data.body.length > 4000) {
+    throw createError(400, 'body is required and must be at most 4000 characters');
+  }
+
+  if (!Array.isArray(data.affectedNodes) || data.affectedNodes.some((node) => typeof node !== 'string' || !node)) {
+    throw createError(400, 'affectedNodes must be an array of node IDs');
+  }
+
+  const startsAt = parseTime(data.startsAt, 'startsAt');
+  const endsAt = parseTime(data.endsAt, 'endsAt');
+
+  if (startsAt && endsAt && endsAt <= startsAt) {
+    throw createError(400, 'endsAt must be after startsAt');
+  }
+
+  return {
+    type: data.type,
+    title: data.title.trim(),
+    body: data.body.trim(),
+    affectedNodes: [...new Set(data.affectedNodes)],
+    startsAt,
+    endsAt,
+  };
+}
+
+/**
+ * Parse an optional time
+ * @param {string|Date|null} value - ISO 8601 time
+ * @param {string} name - The field name, for the error
+ * @returns {Date|null} The date
+ */
+function parseTime(value, name) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw createError(400, `${name} must be an ISO 8601 date`);
+  }
+
+  return date;
+}
+
+/**
+ * Format a date as a Discord timestamp with its relative time
+ * @param {Date} date - The date
+ * @returns {string} The timestamp
+ */
+function formatTimestamp(date) {
+  const seconds = Math.floor(date.getTime() / 1000);
+  return `<t:${seconds}:F> (<t:${seconds}:R>)`;
+}
+
+/**
+ * Load data/nodes.json
+ * @returns {Promise<Object>} The nodes, by ID
+ */
+async function loadNodes() {
+  try {
+    return JSON.parse(await fs.readFile(NODES_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+}
+
+/**
+ * Convert an announcements row
+ * @param {Object} row - The row
+ * @returns {Object} The announcement
+ */
+function rowToAnnouncement(row) {
+  let affectedNodes = [];
+  try {
+    affectedNodes = row.affected_nodes ? JSON.parse(row.affected_nodes) : [];
+  } catch (error) {
+    logger.warn(`Invalid affected nodes on announcement ${row.id}: ${error.message}`);
+  }
+
+  return {
+    id: row.id,
+    guildId: row.guild_id,
+    type: row.type,
+    title: row.title,
+    body: row.body,
+    affectedNodes,
+    startsAt: row.starts_at ? parseSqlDate(row.starts_at) : null,
+    endsAt: row.ends_at ? parseSqlDate(row.ends_at) : null,
+    status: row.status,
+    resolution: row.resolution,
+    channelId: row.channel_id,
+    messageId: row.message_id,
+    createdBy: row.created_by,
+    createdAt: parseSqlDate(row.created_at),
+    updatedBy: row.updated_by,
+    updatedAt: row.updated_at ? parseSqlDate(row.updated_at) : null,
+    resolvedBy: row.resolved_by,
+    resolvedAt: row.resolved_at ? parseSqlDate(row.resolved_at) : null,
+  };
+}
+
+const announcements = new Announcements();
+announcements.TYPES = TYPES;
+
+module.exports = announcements;
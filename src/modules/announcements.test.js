@@ -0,0 +1,216 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+jest.mock('../../config.json', () => ({ channels: { announcements: 'news', maintenanceAnnouncements: 'maintenance' } }), { virtual: true });
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../utils/database', () => ({ isConnected: true, query: jest.fn() }));
+jest.mock('../utils/configManager', () => ({ getChannel: (guild, name) => guild.channels.cache.get(name) }));
+jest.mock('../embeds/announcement-embed', () => ({ createAnnouncementEmbed: (type, options) => ({ type, ...options }) }));
+jest.mock('../embeds/node-status-embed', () => ({ createNodeStatusEmbed: async () => ({ title: 'Node Status' }) }));
+jest.mock('fs/promises', () => ({ readFile: jest.fn(), writeFile: jest.fn() }));
+
+const fs = require('fs/promises');
+const db = require('../utils/database');
+const announcements = require('./announcements');
+
+let rows;
+let nodes;
+let channels;
+let messages;
+
+/**
+ * Keep announcements in memory and answer the queries the module makes
+ */
+function mockDatabase() {
+  db.query.mockImplementation(async (sql, params) => {
+    if (sql.startsWith('INSERT INTO announcements')) {
+      const columns = sql.match(/\(([^)]*)\)/)[1].split(', ');
+      const row = { id: rows.length + 1, ...Object.fromEntries(columns.map((column, index) => [column, params[index]])) };
+      rows.push(row);
+      return { lastID: row.id, changes: 1 };
+    }
+
+    if (sql.startsWith('SELECT * FROM announcements WHERE id = ?')) {
+      return rows.filter((row) => row.id === params[0]).map((row) => ({ ...row }));
+    }
+
+    if (sql.startsWith('UPDATE announcements SET')) {
+      const row = rows.find((entry) => entry.id === params[params.length - 1]);
+      const columns = sql.match(/SET (.*) WHERE/)[1].split(', ').map((assignment) => assignment.split(' = ')[0]);
+      columns.forEach((column, index) => { row[column] = params[index]; });
+      return { changes: 1 };
+    }
+
+    if (sql.startsWith('DELETE FROM announcements WHERE id = ?')) {
+      rows = rows.filter((row) => row.id !== params[0]);
+      return { changes: 1 };
+    }
+
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+}
+
+/**
+ * Build a text channel that keeps the messages sent to it
+ * @param {string} id - The channel ID
+ * @returns {Object} The channel
+ */
+function textChannel(id) {
+  return {
+    id,
+    name: id,
+    isTextBased: () => true,
+    send: jest.fn(async (payload) => {
+      const message = { id: `message${messages.size + 1}`, payload, edit: jest.fn(async (edited) => { message.payload = edited; }) };
+      messages.set(message.id, message);
+      return message;
+    }),
+    messages: { fetch: jest.fn(async (id) => messages.get(id) || Promise.reject(new Error('Unknown Message'))) },
+  };
+}
+
+beforeEach(() => {
+  rows = [];
+  messages = new Map();
+  nodes = {
+    'node-1': { id: 'node-1', status: 'online', reason: '' },
+    'node-2': { id: 'node-2', status: 'online', reason: '' },
+  };
+  channels = new Map([['news', textChannel('news')], ['maintenance', textChannel('maintenance')]]);
+
+  db.query.mockReset();
+  mockDatabase();
+  fs.readFile.mockImplementation(async () => JSON.stringify(nodes));
+  fs.writeFile.mockImplementation(async (file, data) => { nodes = JSON.parse(data); });
+
+  announcements.init({
+    guilds: { cache: new Map([['guild', { id: 'guild', channels: { cache: channels } }]]) },
+    channels: { fetch: async (id) => channels.get(id) },
+  });
+});
+
+describe('create', () => {
+  it('posts the announcement in the announcements channel and stores its message', async () => {
+    const announcement = await announcements.create('guild', { type: 'update', title: ' New panel ', body: 'The panel was updated.' }, 'client');
+
+    expect(announcement).toMatchObject({ id: 1, type: 'update', title: 'New panel', status: 'active', channelId: 'news', messageId: 'message1', createdBy: 'client' });
+    expect(channels.get('news').send).toHaveBeenCalledWith({ embeds: [expect.objectContaining({ type: 'update', title: 'New panel', footer: 'Announcement #1' })] });
+  });
+
+  it('posts maintenance in its own channel and marks the affected nodes', async () => {
+    const announcement = await announcements.create('guild', {
+      type: 'maintenance',
+      title: 'Node upgrade',
+      body: 'Upgrading the nodes.',
+      affectedNodes: ['node-1', 'node-1'],
+      startsAt: '2026-03-01T12:00:00Z',
+      endsAt: '2026-03-01T14:00:00Z',
+    });
+
+    expect(announcement).toMatchObject({ channelId: 'maintenance', affectedNodes: ['node-1'], startsAt: new Date('2026-03-01T12:00:00Z') });
+    expect(nodes['node-1']).toMatchObject({ status: 'maintenance', reason: 'Node upgrade (announcement #1)', announcementId: 1 });
+    expect(nodes['node-2'].status).toBe('online');
+
+    const { embeds } = channels.get('maintenance').send.mock.calls[0][0];
+    expect(embeds).toEqual([
+      expect.objectContaining({ fields: [expect.objectContaining({ name: '📅 Date & Time' }), { name: '🔍 Affected Nodes', value: '• node-1', inline: false }] }),
+      { title: 'Node Status' },
+    ]);
+  });
+
+  it('rejects invalid announcements and unknown nodes before storing anything', async () => {
+    await expect(announcements.create('guild', { type: 'news', title: 'x', body: 'x' })).rejects.toMatchObject({ status: 400 });
+    await expect(announcements.create('guild', { title: 'x', body: 'x', startsAt: '2026-03-02', endsAt: '2026-03-01' })).rejects.toMatchObject({ status: 400 });
+    await expect(announcements.create('guild', { title: 'x', body: 'x', affectedNodes: ['node-9'] })).rejects.toMatchObject({ status: 400 });
+
+    expect(rows).toEqual([]);
+  });
+
+  it('removes the announcement and restores its nodes when it cannot be posted', async () => {
+    channels.get('news').send.mockRejectedValueOnce(new Error('Missing Access'));
+
+    await expect(announcements.create('guild', { title: 'Outage', body: 'Node 2 is down.', affectedNodes: ['node-2'] }))
+      .rejects.toMatchObject({ status: 502 });
+
+    expect(rows).toEqual([]);
+    expect(nodes['node-2']).toMatchObject({ status: 'online', reason: '' });
+  });
+});
+
+describe('resolve', () => {
+  it('marks the announcement resolved, edits its message and puts its nodes back online', async () => {
+    await announcements.create('guild', { title: 'Outage', body: 'Node 2 is down.', affectedNodes: ['node-2'] });
+    expect(nodes['node-2'].status).toBe('degraded');
+
+    const resolved = await announcements.resolve(1, 'Node 2 is back.', 'client');
+
+    expect(resolved).toMatchObject({ status: 'resolved', resolution: 'Node 2 is back.', resolvedBy: 'client', messageUpdated: true });
+    expect(nodes['node-2']).toMatchObject({ status: 'online', reason: '' });
+    expect(messages.get('message1').payload.embeds[0]).toMatchObject({
+      title: '✅ Outage',
+      color: '#00FF00',
+      fields: expect.arrayContaining([expect.objectContaining({ name: '✅ Resolved', value: expect.stringContaining('Node 2 is back.') })]),
+    });
+  });
+
+  it('leaves nodes that a newer announcement has marked since', async () => {
+    await announcements.create('guild', { title: 'Outage', body: 'Node 2 is down.', affectedNodes: ['node-2'] });
+    await announcements.create('guild', { type: 'maintenance', title: 'Repair', body: 'Replacing a disk.', affectedNodes: ['node-2'] });
+
+    await announcements.resolve(1);
+
+    expect(nodes['node-2']).toMatchObject({ status: 'maintenance', announcementId: 2 });
+  });
+
+  it('still resolves the announcement when its message was deleted', async () => {
+    await announcements.create('guild', { title: 'Outage', body: 'Node 2 is down.', affectedNodes: ['node-2'] });
+    messages.delete('message1');
+
+    const resolved = await announcements.resolve(1);
+
+    expect(resolved).toMatchObject({ status: 'resolved', messageUpdated: false });
+    expect(rows[0].status).toBe('resolved');
+    expect(nodes['node-2'].status).toBe('online');
+  });
+
+  it('refuses to resolve an announcement twice', async () => {
+    await announcements.create('guild', { title: 'Outage', body: 'Node 2 is down.' });
+    await announcements.resolve(1);
+
+    await expect(announcements.resolve(1)).rejects.toMatchObject({ status: 409 });
+    await expect(announcements.update(1, { title: 'Changed' })).rejects.toMatchObject({ status: 409 });
+  });
+
+  it('returns null for an unknown announcement', async () => {
+    await expect(announcements.resolve(5)).resolves.toBeNull();
+  });
+});
+
+describe('update', () => {
+  it('changes the announcement and edits its message', async () => {
+    await announcements.create('guild', { title: 'Outage', body: 'Node 2 is down.' });
+
+    const updated = await announcements.update(1, { body: 'Node 2 is coming back.' }, 'client');
+
+    expect(updated).toMatchObject({ body: 'Node 2 is coming back.', updatedBy: 'client', messageUpdated: true });
+    expect(messages.get('message1').payload.embeds[0].description).toBe('Node 2 is coming back.');
+  });
+
+  it('keeps the change when the message cannot be edited', async () => {
+    await announcements.create('guild', { title: 'Outage', body: 'Node 2 is down.', affectedNodes: ['node-2'] });
+    messages.get('message1').edit.mockRejectedValueOnce(new Error('Missing Access'));
+
+    const updated = await announcements.update(1, { affectedNodes: ['node-1'] });
+
+    expect(updated).toMatchObject({ affectedNodes: ['node-1'], messageUpdated: false });
+    expect(nodes['node-1'].status).toBe('degraded');
+    expect(nodes['node-2'].status).toBe('online');
+  });
+});
@@ -0,0 +1,565 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const { EmbedBuilder, ChannelType, GuildVerificationLevel, PermissionFlagsBits } = require('discord.js');
+const config = require('../../config.json');
+const logger = require('../utils/logger');
+const db = require('../utils/database');
+const { toSqlDateTime, parseSqlDate } = require('../utils/timeUtils');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Anti-raid protection: scores joins, locks the guild down when a raid is
+ * detected and restores the original settings once it is over
+ */
+class AntiRaid {
+  constructor() {
+    // Recent joins per guild ({ memberId, score, timestamp })
+    this.recentJoins = new Map();
+
+    // Active raids per guild, mirrored in the raid_events table
+    this.activeRaids = new Map();
+
+    // Auto-end timers per guild
+    this.endTimers = new Map();
+
+    // raid_events inserts still in flight, per raid
+    this.pendingInserts = new Map();
+
+    this.client = null;
+  }
+
+  /**
+   * Resolve the anti-raid settings from config.antiRaid
+   * @returns {Object} The settings
+   */
+  getSettings() {
+    const antiRaid = config.antiRaid || {};
+
+    return {
+      enabled: antiRaid.enabled !== false,
+      joinThreshold: antiRaid.joinThreshold || 10,
+      joinWindow: antiRaid.joinWindow || 60000, // 1 minute
+      minAccountAge: antiRaid.minAccountAge || 7 * DAY,
+      newAccountWeight: antiRaid.newAccountWeight !== undefined ? antiRaid.newAccountWeight : 1,
+      defaultAvatarWeight: antiRaid.defaultAvatarWeight !== undefined ? antiRaid.defaultAvatarWeight : 0.5,
+      raidDuration: antiRaid.raidDuration || 600000, // 10 minutes after the last raid join
+      joinAction: antiRaid.joinAction || 'quarantine', // quarantine, kick or none
+      quarantineRole: antiRaid.quarantineRole || 'Quarantine',
+      lockdownMode: antiRaid.lockdownMode || 'slowmode', // slowmode or lock
+      slowmode: antiRaid.slowmode || 30,
+      raiseVerification: antiRaid.raiseVerification !== false,
+      verificationLevel: antiRaid.verificationLevel || GuildVerificationLevel.VeryHigh,
+    };
+  }
+
+  /**
+   * Restore raids that were active when the bot stopped
+   * @param {Client} client - The Discord client
+   * @returns {Promise<void>}
+   */
+  async init(client) {
+    this.client = client;
+
+    if (!db.isConnected) return;
+
+    try {
+      const rows = await db.query('SELECT * FROM raid_events WHERE ended_at IS NULL ORDER BY id DESC');
+
+      for (const row of rows) {
+        const raid = this.rowToRaid(row);
+
+        // Concurrent joins used to open several rows for one raid; the
+        // newest holds the most complete snapshot, so the others are closed
+        if (this.activeRaids.has(raid.guildId)) {
+          await db.query('UPDATE raid_events SET ended_at = ? WHERE id = ?', [toSqlDateTime(), raid.id]);
+          continue;
+        }
+
+        this.activeRaids.set(raid.guildId, raid);
+
+        if (raid.endsAt && raid.endsAt <= Date.now()) {
+          await this.endRaid(raid.guildId, 'Raid window expired while the bot was offline');
+        } else {
+          this.scheduleEnd(raid.guildId);
+        }
+      }
+
+      if (rows.length > 0) {
+        logger.info(`Restored ${rows.length} active raid lockdown(s)`);
+      }
+    } catch (error) {
+      logger.error(`Failed to restore raid state: ${error.message}`);
+    }
+  }
+
+  /**
+   * Score a member's account for raid heuristics
+   * @param {GuildMember} member - The member that joined
+   * @returns {{score: number, reasons: string[]}} The suspicion score and why
+   */
+  scoreMember(member) {
+    const settings = this.getSettings();
+    const reasons = [];
+    let score = 1;
+
+    if (Date.now() - member.user.createdTimestamp < settings.minAccountAge) {
+      score += settings.newAccountWeight;
+      reasons.push('new account');
+    }
+
+    if (!member.user.avatar) {
+      score += settings.defaultAvatarWeight;
+      reasons.push('default avatar');
+    }
+
+    return { score, reasons };
+  }
+
+  /**
+   * Track a join and trigger or extend raid mode when needed
+   * @param {GuildMember} member - The member that joined
+   * @returns {Promise<boolean>} Whether the member was kicked or quarantined as part of a raid
+   */
+  async handleJoin(member) {
+    const settings = this.getSettings();
+    if (!settings.enabled || member.user.bot) return false;
+
+    const { guild } = member;
+    const now = Date.now();
+    const { score, reasons } = this.scoreMember(member);
+
+    const joins = (this.recentJoins.get(guild.id) || []).filter((join) => now - join.timestamp < settings.joinWindow);
+    joins.push({ memberId: member.id, score, reasons, timestamp: now });
+    this.recentJoins.set(guild.id, joins);
+
+    const raid = this.activeRaids.get(guild.id);
+    if (raid) {
+      raid.joinCount++;
+      if (raid.trigger === 'auto') {
+        raid.endsAt = now + settings.raidDuration;
+        this.scheduleEnd(guild.id);
+      }
+
+      const actioned = await this.actionJoiner(member, raid, reasons);
+      await this.saveRaid(raid);
+      return actioned;
+    }
+
+    const totalScore = joins.reduce((total, join) => total + join.score, 0);
+    if (totalScore < settings.joinThreshold) return false;
+
+    await this.startRaid(guild, {
+      trigger: 'auto',
+      triggeredBy: null,
+      reason: `${joins.length} joins scoring ${totalScore.toFixed(1)} in ${Math.round(settings.joinWindow / 1000)}s`,
+    });
+
+    // The joins that tripped the threshold belong to the raid as well.
+    // Joins that arrived during the lockdown have already been counted.
+    const activeRaid = this.activeRaids.get(guild.id);
+    let actioned = false;
+    activeRaid.joinCount += joins.length;
+
+    for (const join of joins) {
+      const joiner = join.memberId === member.id ? member : guild.members.cache.get(join.memberId);
+      if (!joiner) continue;
+
+      const joinerActioned = await this.actionJoiner(joiner, activeRaid, join.reasons);
+      if (joiner === member) actioned = joinerActioned;
+    }
+    await this.saveRaid(activeRaid);
+
+    return actioned;
+  }
+
+  /**
+   * Put a guild into raid mode
+   * @param {Guild} guild - The guild
+   * @param {Object} options - How the raid was triggered
+   * @param {string} options.trigger - 'auto' or 'manual'
+   * @param {string|null} options.triggeredBy - The moderator who started a manual lockdown
+   * @param {string} options.reason - Why raid mode was enabled
+   * @returns {Promise<Object>} The raid state
+   */
+  async startRaid(guild, { trigger, triggeredBy, reason }) {
+    if (this.activeRaids.has(guild.id)) {
+      return this.activeRaids.get(guild.id);
+    }
+
+    const settings = this.getSettings();
+    const raid = {
+      id: null,
+      guildId: guild.id,
+      trigger,
+      triggeredBy,
+      reason,
+      startedAt: Date.now(),
+      endsAt: trigger === 'auto' ? Date.now() + settings.raidDuration : null,
+      joinCount: 0,
+      actionedCount: 0,
+      snapshot: { verificationLevel: null, channels: [] },
+    };
+
+    this.activeRaids.set(guild.id, raid);
+    logger.warn(`Raid mode enabled in ${guild.name}: ${reason}`);
+
+    // Open the row before locking down so joins during the lockdown update it
+    await this.saveRaid(raid);
+    await this.lockdown(guild, raid, settings);
+    await this.saveRaid(raid);
+    this.scheduleEnd(guild.id);
+
+    await this.sendAlert(guild, new EmbedBuilder()
+      .setColor('#FF0000')
+      .setTitle('🚨 Raid Mode Enabled')
+      .setDescription(`**Reason:** ${reason}\n**Triggered:** ${trigger === 'manual' ? `manually by <@${triggeredBy}>` : 'automatically'}`)
+      .addFields(
+        { name: 'Verification Gate', value: raid.snapshot.verificationLevel !== null ? 'Raised' : 'Unchanged', inline: true },
+        { name: settings.lockdownMode === 'lock' ? 'Channels Locked' : 'Channels Slowed', value: `${raid.snapshot.channels.length}`, inline: true },
+        { name: 'New Joiners', value: settings.joinAction === 'none' ? 'Not actioned' : `Will be ${settings.joinAction === 'kick' ? 'kicked' : 'quarantined'}`, inline: true },
+        { name: 'Ends', value: raid.endsAt ? `<t:${Math.floor(raid.endsAt / 1000)}:R> unless more raiders join` : 'When a moderator runs `/raid end`', inline: false },
+      )
+      .setTimestamp(), true);
+
+    return raid;
+  }
+
+  /**
+   * Raise the verification gate and slow or lock public channels,
+   * recording the original settings in the raid snapshot
+   * @param {Guild} guild - The guild
+   * @param {Object} raid - The raid state
+   * @param {Object} settings - The anti-raid settings
+   * @returns {Promise<void>}
+   */
+  async lockdown(guild, raid, settings) {
+    if (settings.raiseVerification && guild.verificationLevel < settings.verificationLevel) {
+      try {
+        const original = guild.verificationLevel;
+        await guild.setVerificationLevel(settings.verificationLevel, 'Raid mode enabled');
+        raid.snapshot.verificationLevel = original;
+      } catch (error) {
+        logger.error(`Failed to raise verification level in ${guild.name}: ${error.message}`);
+      }
+    }
+
+    const everyone = guild.roles.everyone;
+
+    for (const channel of guild.channels.cache.values()) {
+      if (channel.type !== ChannelType.GuildText) continue;
+
+      // Only touch channels regular members can actually post in
+      const permissions = channel.permissionsFor(everyone);
+      if (!permissions || !permissions.has(PermissionFlagsBits.ViewChannel) || !permissions.has(PermissionFlagsBits.SendMessages)) {
+        continue;
+      }
+
+      try {
+        if (settings.lockdownMode === 'lock') {
+          const overwrite = channel.permissionOverwrites.cache.get(everyone.id);
+          const original = !overwrite
+            ? 'none'
+            : overwrite.allow.has(PermissionFlagsBits.SendMessages)
+              ? 'allow'
+              : overwrite.deny.has(PermissionFlagsBits.SendMessages) ? 'deny' : 'inherit';
+
+          await channel.permissionOverwrites.edit(everyone, { SendMessages: false }, { reason: 'Raid lockdown' });
+          raid.snapshot.channels.push({ id: channel.id, mode: 'lock', sendMessages: original });
+        } else if (channel.rateLimitPerUser < settings.slowmode) {
+          const original = channel.rateLimitPerUser;
+          await channel.setRateLimitPerUser(settings.slowmode, 'Raid lockdown');
+          raid.snapshot.channels.push({ id: channel.id, mode: 'slowmode', rateLimitPerUser: original });
+        }
+      } catch (error) {
+        logger.error(`Failed to lock down #${channel.name}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Restore the settings recorded in a raid snapshot
+   * @param {Guild} guild - The guild
+   * @param {Object} raid - The raid state
+   * @returns {Promise<number>} The number of channels restored
+   */
+  async restore(guild, raid) {
+    const { snapshot } = raid;
+    let restored = 0;
+
+    if (snapshot.verificationLevel !== null) {
+      try {
+        await guild.setVerificationLevel(snapshot.verificationLevel, 'Raid mode ended');
+      } catch (error) {
+        logger.error(`Failed to restore verification level in ${guild.name}: ${error.message}`);
+      }
+    }
+
+    const everyone = guild.roles.everyone;
+
+    for (const entry of snapshot.channels) {
+      const channel = guild.channels.cache.get(entry.id);
+      if (!channel) continue;
+
+      try {
+        if (entry.mode === 'lock') {
+          if (entry.sendMessages === 'none') {
+            // The overwrite only existed for the lockdown
+            await channel.permissionOverwrites.delete(everyone, 'Raid mode ended');
+          } else {
+            const sendMessages = entry.sendMessages === 'allow' ? true : entry.sendMessages === 'deny' ? false : null;
+            await channel.permissionOverwrites.edit(everyone, { SendMessages: sendMessages }, { reason: 'Raid mode ended' });
+          }
+        } else {
+          await channel.setRateLimitPerUser(entry.rateLimitPerUser, 'Raid mode ended');
+        }
+        restored++;
+      } catch (error) {
+        logger.error(`Failed to restore #${channel.name}: ${error.message}`);
+      }
+    }
+
+    return restored;
+  }
+
+  /**
+   * Quarantine or kick a member who joined during a raid
+   * @param {GuildMember} member - The member
+   * @param {Object} raid - The raid state
+   * @param {string[]} reasons - Heuristics the member tripped
+   * @returns {Promise<boolean>} Whether the member was kicked or quarantined
+   */
+  async actionJoiner(member, raid, reasons) {
+    const settings = this.getSettings();
+    const reason = `Raid protection${reasons.length > 0 ? ` (${reasons.join(', ')})` : ''}`;
+
+    try {
+      if (settings.joinAction === 'kick' && member.kickable) {
+        await member.send(`${member.guild.name} is currently protecting itself from a raid and could not accept new members. Please try again later.`).catch(() => null);
+        await member.kick(reason);
+        raid.actionedCount++;
+        return true;
+      } else if (settings.joinAction === 'quarantine') {
+        const role = member.guild.roles.cache.find((r) => r.id === settings.quarantineRole || r.name === settings.quarantineRole);
+
+        if (role) {
+          await member.roles.add(role, reason);
+          raid.actionedCount++;
+          return true;
+        } else {
+          logger.warn(`Quarantine role "${settings.quarantineRole}" not found in ${member.guild.name}`);
+        }
+      }
+    } catch (error) {
+      logger.error(`Failed to action raid joiner ${member.user.tag}: ${error.message}`);
+    }
+
+    return false;
+  }
+
+  /**
+   * End raid mode and restore the guild
+   * @param {string} guildId - The guild ID
+   * @param {string} reason - Why the raid ended
+   * @param {string|null} [endedBy=null] - The moderator ending it
+   * @returns {Promise<Object|null>} The ended raid, or null if none was active
+   */
+  async endRaid(guildId, reason, endedBy = null) {
+    const raid = this.activeRaids.get(guildId);
+    if (!raid) return null;
+
+    this.activeRaids.delete(guildId);
+    this.recentJoins.delete(guildId);
+    clearTimeout(this.endTimers.get(guildId));
+    this.endTimers.delete(guildId);
+
+    const guild = this.client && this.client.guilds.cache.get(guildId);
+    let restored = 0;
+
+    if (guild) {
+      restored = await this.restore(guild, raid);
+    } else {
+      logger.warn(`Could not restore raid lockdown for guild ${guildId}: guild not available`);
+    }
+
+    await this.pendingInserts.get(raid);
+
+    if (db.isConnected && raid.id) {
+      try {
+        await db.query(
+          'UPDATE raid_events SET ended_at = ?, ended_by = ?, join_count = ?, actioned_count = ? WHERE id = ?',
+          [toSqlDateTime(), endedBy, raid.joinCount, raid.actionedCount, raid.id],
+        );
+      } catch (error) {
+        logger.error(`Failed to record raid end: ${error.message}`);
+      }
+    }
+
+    if (guild) {
+      logger.info(`Raid mode ended in ${guild.name}: ${reason}`);
+      await this.sendAlert(guild, new EmbedBuilder()
+        .setColor('#00FF00')
+        .setTitle('✅ Raid Mode Ended')
+        .setDescription(`**Reason:** ${reason}${endedBy ? `\n**Ended by:** <@${endedBy}>` : ''}`)
+        .addFields(
+          { name: 'Duration', value: `<t:${Math.floor(raid.startedAt / 1000)}:R> → now`, inline: true },
+          { name: 'Raid Joins', value: `${raid.joinCount}`, inline: true },
+          { name: 'Members Actioned', value: `${raid.actionedCount}`, inline: true },
+          { name: 'Channels Restored', value: `${restored}/${raid.snapshot.channels.length}`, inline: true },
+        )
+        .setTimestamp());
+    }
+
+    return raid;
+  }
+
+  /**
+   * (Re)schedule the automatic end of a raid
+   * @param {string} guildId - The guild ID
+   */
+  scheduleEnd(guildId) {
+    clearTimeout(this.endTimers.get(guildId));
+    this.endTimers.delete(guildId);
+
+    const raid = this.activeRaids.get(guildId);
+    if (!raid || !raid.endsAt) return;
+
+    const timer = setTimeout(() => {
+      this.endRaid(guildId, 'No raid joins during the raid window').catch((error) => {
+        logger.error(`Failed to end raid: ${error.message}`);
+      });
+    }, Math.max(raid.endsAt - Date.now(), 0));
+
+    this.endTimers.set(guildId, timer);
+  }
+
+  /**
+   * Get the current raid state for a guild
+   * @param {string} guildId - The guild ID
+   * @returns {Object} The active raid (if any) and the current join pressure
+   */
+  getStatus(guildId) {
+    const settings = this.getSettings();
+    const now = Date.now();
+    const joins = (this.recentJoins.get(guildId) || []).filter((join) => now - join.timestamp < settings.joinWindow);
+
+    return {
+      settings,
+      raid: this.activeRaids.get(guildId) || null,
+      recentJoins: joins.length,
+      recentScore: joins.reduce((total, join) => total + join.score, 0),
+    };
+  }
+
+  /**
+   * Persist a raid's state. The first save inserts the raid_events row;
+   * saves made while that insert is pending wait for it and update the row.
+   * @param {Object} raid - The raid state
+   * @returns {Promise<void>}
+   */
+  async saveRaid(raid) {
+    if (!db.isConnected) return;
+
+    if (!raid.id && !this.pendingInserts.has(raid)) {
+      const insert = this.insertRaid(raid).finally(() => this.pendingInserts.delete(raid));
+      this.pendingInserts.set(raid, insert);
+      await insert;
+      return;
+    }
+
+    await this.pendingInserts.get(raid);
+    if (!raid.id) return;
+
+    try {
+      await db.query(
+        'UPDATE raid_events SET ends_at = ?, join_count = ?, actioned_count = ?, snapshot = ? WHERE id = ?',
+        [raid.endsAt ? toSqlDateTime(raid.endsAt) : null, raid.joinCount, raid.actionedCount, JSON.stringify(raid.snapshot), raid.id],
+      );
+    } catch (error) {
+      logger.error(`Failed to save raid state: ${error.message}`);
+    }
+  }
+
+  /**
+   * Insert the raid_events row for a raid and remember its ID
+   * @param {Object} raid - The raid state
+   * @returns {Promise<void>}
+   */
+  async insertRaid(raid) {
+    try {
+      const result = await db.query(
+        `INSERT INTO raid_events (guild_id, trigger_type, triggered_by, reason, started_at, ends_at, join_count, actioned_count, snapshot)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          raid.guildId,
+          raid.trigger,
+          raid.triggeredBy,
+          raid.reason,
+          toSqlDateTime(raid.startedAt),
+          raid.endsAt ? toSqlDateTime(raid.endsAt) : null,
+          raid.joinCount,
+          raid.actionedCount,
+          JSON.stringify(raid.snapshot),
+        ],
+      );
+      raid.id = result.lastID;
+    } catch (error) {
+      logger.error(`Failed to save raid state: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convert a raid_events row into raid state
+   * @param {Object} row - The database row
+   * @returns {Object} The raid state
+   */
+  rowToRaid(row) {
+    return {
+      id: row.id,
+      guildId: row.guild_id,
+      trigger: row.trigger_type,
+      triggeredBy: row.triggered_by,
+      reason: row.reason,
+      startedAt: parseSqlDate(row.started_at).getTime(),
+      endsAt: row.ends_at ? parseSqlDate(row.ends_at).getTime() : null,
+      joinCount: row.join_count || 0,
+      actionedCount: row.actioned_count || 0,
+      snapshot: row.snapshot ? JSON.parse(row.snapshot) : { verificationLevel: null, channels: [] },
+    };
+  }
+
+  /**
+   * Send an alert to the moderation log channel
+   * @param {Guild} guild - The guild
+   * @param {EmbedBuilder} embed - The alert
+   * @param {boolean} [pingModerators=false] - Whether to ping the moderator role
+   * @returns {Promise<void>}
+   */
+  async sendAlert(guild, embed, pingModerators = false) {
+    const modLogsChannel = guild.channels.cache.find(
+      (channel) => channel.name === config.channels?.moderationLogs,
+    );
+    if (!modLogsChannel) return;
+
+    const moderatorRole = guild.roles.cache.find((role) => role.name === config.roles?.moderator);
+
+    try {
+      await modLogsChannel.send({
+        content: pingModerators && moderatorRole ? `<@&${moderatorRole.id}>` : null,
+        embeds: [embed],
+      });
+    } catch (error) {
+      logger.error(`Failed to send raid alert: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new AntiRaid();
@@ -0,0 +1,718 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  PermissionFlagsBits,
+} = require('discord.js');
+const config = require('../../config.json');
+const logger = require('../utils/logger');
+const db = require('../utils/database');
+const { createDatabaseQuery } = require('../utils/errors');
+const userLogger = require('../utils/userLogger');
+const cases = require('./cases');
+const tempBans = require('./tempBans');
+const { toSqlDateTime, formatDuration, parseSqlDate } = require('../utils/timeUtils');
+
+const query = createDatabaseQuery('Ban appeals require a database connection');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const STATUS = {
+  pending: { label: 'Pending Review', color: '#FFA500' },
+  info_requested: { label: 'Waiting for User', color: '#00AAFF' },
+  approved: { label: 'Approved', color: '#00FF00' },
+  denied: { label: 'Denied', color: '#FF0000' },
+};
+
+// Staff decisions, keyed by the button that starts them
+const DECISIONS = {
+  approve: { status: 'approved', verb: 'approved', title: 'Approve Appeal', label: 'Note to the user (optional)' },
+  deny: { status: 'denied', verb: 'denied', title: 'Deny Appeal', label: 'Reason for the denial' },
+};
+
+/**
+ * Ban appeals. Banned users get a button in their ban DM that opens an appeal
+ * form, the appeal is posted to a staff review channel and the decision is
+ * recorded on the ban case.
+ *
+ * Button and modal IDs:
+ * - appeal_open_<guildId> / appeal_submit_<guildId>: the user starts and submits an appeal
+ * - appeal_approve_<id>, appeal_deny_<id>, appeal_info_<id>: staff review buttons
+ * - appeal_decide_<approve|deny|info>_<id>: staff decision modals
+ * - appeal_reply_<id> / appeal_answer_<id>: the user answers a staff question
+ */
+class BanAppeals {
+  /**
+   * Get the appeal settings from config.appeals
+   * @returns {Object} { enabled, channelId, cooldown }
+   */
+  getSettings() {
+    const appeals = config.appeals || {};
+
+    return {
+      enabled: appeals.enabled !== false,
+      channelId: appeals.channelId || null,
+      cooldown: appeals.cooldown !== undefined ? appeals.cooldown : 7 * DAY, // after a denied appeal
+    };
+  }
+
+  /**
+   * Check whether appeals can be used
+   * @returns {boolean} Whether appeals are enabled and the database is connected
+   */
+  isAvailable() {
+    return this.getSettings().enabled && db.isConnected;
+  }
+
+  /**
+   * Build the button row added to ban DMs
+   * @param {Guild} guild - The guild the user was banned from
+   * @returns {Array<ActionRowBuilder>} The components, empty when appeals are unavailable
+   */
+  buildAppealComponents(guild) {
+    if (!this.isAvailable()) return [];
+
+    return [
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`appeal_open_${guild.id}`)
+          .setLabel('Appeal Ban')
+          .setEmoji('📝')
+          .setStyle(ButtonStyle.Primary),
+      ),
+    ];
+  }
+
+  /**
+   * Handle an appeal_ button
+   * @param {ButtonInteraction} interaction - The interaction
+   * @returns {Promise<void>}
+   */
+  async handleButton(interaction) {
+    const [, action, id] = interaction.customId.split('_');
+
+    try {
+      if (!this.isAvailable()) {
+        return interaction.reply({ content: '❌ Ban appeals are currently unavailable.', ephemeral: true });
+      }
+
+      if (action === 'open') {
+        await this.openAppealForm(interaction, id);
+      } else if (action === 'reply') {
+        await this.openReplyForm(interaction, Number(id));
+      } else if (action === 'approve' || action === 'deny' || action === 'info') {
+        await this.openDecisionForm(interaction, action, Number(id));
+      }
+    } catch (error) {
+      logger.error(`Error handling appeal button ${interaction.customId}: ${error.message}`);
+      await this.replyError(interaction, error);
+    }
+  }
+
+  /**
+   * Handle an appeal_ modal
+   * @param {ModalSubmitInteraction} interaction - The interaction
+   * @returns {Promise<void>}
+   */
+  async handleModal(interaction) {
+    const parts = interaction.customId.split('_');
+
+    try {
+      if (parts[1] === 'submit') {
+        await this.submitAppeal(interaction, parts[2]);
+      } else if (parts[1] === 'answer') {
+        await this.answerQuestion(interaction, Number(parts[2]));
+      } else if (parts[1] === 'decide') {
+        await this.decide(interaction, parts[2], Number(parts[3]));
+      }
+    } catch (error) {
+      logger.error(`Error handling appeal modal ${interaction.customId}: ${error.message}`);
+      await this.replyError(interaction, error);
+    }
+  }
+
+  /**
+   * Show the appeal form to a banned user
+   * @param {ButtonInteraction} interaction - The interaction
+   * @param {string} guildId - The guild the user was banned from
+   * @returns {Promise<void>}
+   */
+  async openAppealForm(interaction, guildId) {
+    const guild = interaction.client.guilds.cache.get(guildId);
+    if (!guild) {
+      return interaction.reply({ content: '❌ I can no longer access that server.', ephemeral: true });
+    }
+
+    const problem = await this.checkEligibility(guild, interaction.user.id);
+    if (problem) {
+      return interaction.reply({ content: `❌ ${problem}`, ephemeral: true });
+    }
+
+    const modal = new ModalBuilder()
+      .setCustomId(`appeal_submit_${guild.id}`)
+      .setTitle(`Appeal your ban from ${guild.name}`.substring(0, 45))
+      .addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('appeal_reason')
+            .setLabel('Why were you banned?')
+            .setStyle(TextInputStyle.Paragraph)
+            .setMaxLength(1000)
+            .setRequired(true),
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('appeal_unban')
+            .setLabel('Why should you be unbanned?')
+            .setStyle(TextInputStyle.Paragraph)
+            .setMaxLength(1000)
+            .setRequired(true),
+        ),
+      );
+
+    await interaction.showModal(modal);
+  }
+
+  /**
+   * Check whether a user may submit an appeal
+   * @param {Guild} guild - The guild
+   * @param {string} userId - The user ID
+   * @returns {Promise<string|null>} Why the user can't appeal, or null if they can
+   */
+  async checkEligibility(guild, userId) {
+    const ban = await guild.bans.fetch(userId).catch(() => null);
+    if (!ban) {
+      return `You are not banned from ${guild.name}.`;
+    }
+
+    const open = await this.getOpenAppeal(guild.id, userId);
+    if (open) {
+      return `You already have an open appeal (#${open.id}). Please wait for staff to review it.`;
+    }
+
+    const { cooldown } = this.getSettings();
+    const rows = await query(
+      'SELECT decided_at FROM ban_appeals WHERE guild_id = ? AND user_id = ? AND status = ? ORDER BY decided_at DESC LIMIT 1',
+      [guild.id, userId, 'denied'],
+    );
+
+    if (rows[0] && cooldown > 0) {
+      const availableAt = parseSqlDate(rows[0].decided_at).getTime() + cooldown;
+      if (availableAt > Date.now()) {
+        return `Your last appeal was denied. You can appeal again <t:${Math.floor(availableAt / 1000)}:R>.`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Create an appeal from the submitted form and post it for review
+   * @param {ModalSubmitInteraction} interaction - The interaction
+   * @param {string} guildId - The guild ID
+   * @returns {Promise<void>}
+   */
+  async submitAppeal(interaction, guildId) {
+    await interaction.deferReply({ ephemeral: true });
+
+    const guild = interaction.client.guilds.cache.get(guildId);
+    if (!guild) {
+      return interaction.editReply({ content: '❌ I can no longer access that server.' });
+    }
+
+    // Checked again since the form may have been open for a while
+    const problem = await this.checkEligibility(guild, interaction.user.id);
+    if (problem) {
+      return interaction.editReply({ content: `❌ ${problem}` });
+    }
+
+    const banCase = cases.isAvailable()
+      ? (await cases.listCases(guild.id, { userId: interaction.user.id, type: 'ban', limit: 1 }))[0] || null
+      : null;
+
+    const conversation = [
+      { from: 'user', label: 'Why were you banned?', content: interaction.fields.getTextInputValue('appeal_reason') },
+      { from: 'user', label: 'Why should you be unbanned?', content: interaction.fields.getTextInputValue('appeal_unban') },
+    ].map((entry) => ({ ...entry, authorId: interaction.user.id, at: toSqlDateTime() }));
+
+    const result = await query(
+      'INSERT INTO ban_appeals (guild_id, user_id, case_id, status, conversation, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+      [guild.id, interaction.user.id, banCase ? banCase.id : null, 'pending', JSON.stringify(conversation), toSqlDateTime()],
+    );
+    const appeal = await this.getAppeal(result.lastID);
+
+    if (banCase) {
+      await cases.addHistory(banCase.id, 'appeal_submitted', null, `Appeal #${appeal.id}`, interaction.user.id);
+    }
+
+    const channel = await this.getStaffChannel(guild);
+    if (channel) {
+      const message = await channel.send(this.buildStaffMessage(appeal, interaction.user, banCase));
+      await query(
+        'UPDATE ban_appeals SET staff_channel_id = ?, staff_message_id = ? WHERE id = ?',
+        [channel.id, message.id, appeal.id],
+      );
+    } else {
+      logger.warn(`No appeal review channel found in ${guild.name}, appeal ${appeal.id} was only stored`);
+    }
+
+    logger.info(`${interaction.user.tag} (${interaction.user.id}) submitted ban appeal ${appeal.id} in ${guild.name}`);
+    await interaction.editReply({ content: `✅ Your appeal (#${appeal.id}) has been sent to the ${guild.name} staff. You will get a DM when it has been reviewed.` });
+  }
+
+  /**
+   * Show a staff member the decision or question form
+   * @param {ButtonInteraction} interaction - The interaction
+   * @param {string} action - approve, deny or info
+   * @param {number} appealId - The appeal ID
+   * @returns {Promise<void>}
+   */
+  async openDecisionForm(interaction, action, appealId) {
+    if (!interaction.memberPermissions?.has(PermissionFlagsBits.BanMembers)) {
+      return interaction.reply({ content: '❌ You need the Ban Members permission to review appeals.', ephemeral: true });
+    }
+
+    const appeal = await this.getAppeal(appealId);
+    if (!appeal || !this.isOpen(appeal)) {
+      return interaction.reply({ content: `❌ Appeal #${appealId} has already been ${appeal ? appeal.status : 'removed'}.`, ephemeral: true });
+    }
+
+    const decision = DECISIONS[action];
+    const input = new TextInputBuilder()
+      .setCustomId('appeal_note')
+      .setLabel(decision ? decision.label : 'What do you want to ask the user?')
+      .setStyle(TextInputStyle.Paragraph)
+      .setMaxLength(1000)
+      .setRequired(action !== 'approve');
+
+    const modal = new ModalBuilder()
+      .setCustomId(`appeal_decide_${action}_${appeal.id}`)
+      .setTitle(`${decision ? decision.title : 'Request Information'} #${appeal.id}`)
+      .addComponents(new ActionRowBuilder().addComponents(input));
+
+    await interaction.showModal(modal);
+  }
+
+  /**
+   * Apply a staff decision or send a staff question
+   * @param {ModalSubmitInteraction} interaction - The interaction
+   * @param {string} action - approve, deny or info
+   * @param {number} appealId - The appeal ID
+   * @returns {Promise<void>}
+   */
+  async decide(interaction, action, appealId) {
+    await interaction.deferReply({ ephemeral: true });
+
+    if (!interaction.memberPermissions?.has(PermissionFlagsBits.BanMembers)) {
+      return interaction.editReply({ content: '❌ You need the Ban Members permission to review appeals.' });
+    }
+
+    const appeal = await this.getAppeal(appealId);
+    if (!appeal || !this.isOpen(appeal)) {
+      return interaction.editReply({ content: `❌ Appeal #${appealId} has already been ${appeal ? appeal.status : 'removed'}.` });
+    }
+
+    const note = interaction.fields.getTextInputValue('appeal_note').trim() || null;
+
+    if (action === 'info') {
+      return this.requestInfo(interaction, appeal, note);
+    }
+
+    const decision = DECISIONS[action];
+    const { guild } = interaction;
+    const user = await interaction.client.users.fetch(appeal.userId);
+
+    // Claim the decision first so two staff members can't decide the same appeal
+    const result = await query(
+      'UPDATE ban_appeals SET status = ?, reviewer_id = ?, decision_reason = ?, updated_at = ?, decided_at = ? WHERE id = ? AND status = ?',
+      [decision.status, interaction.user.id, note, toSqlDateTime(), toSqlDateTime(), appeal.id, appeal.status],
+    );
+
+    if (result.changes === 0) {
+      return interaction.editReply({ content: `❌ Appeal #${appeal.id} was updated by someone else in the meantime.` });
+    }
+
+    if (decision.status === 'approved') {
+      const reason = `Ban appeal #${appeal.id} approved by ${interaction.user.tag}${note ? `: ${note}` : ''}`;
+
+      try {
+        await guild.members.unban(appeal.userId, reason);
+      } catch (error) {
+        // 10026: Unknown Ban, the user was already unbanned
+        if (error.code !== 10026) {
+          await query(
+            'UPDATE ban_appeals SET status = ?, reviewer_id = NULL, decision_reason = NULL, decided_at = NULL WHERE id = ?',
+            [appeal.status, appeal.id],
+          );
+          throw error;
+        }
+      }
+
+      await tempBans.clearPending(guild.id, appeal.userId, interaction.user.id);
+      await userLogger.logUnban(guild, user, interaction.user, reason, {
+        source: 'appeal',
+        metadata: { appealId: appeal.id },
+      });
+    }
+
+    if (appeal.caseId && cases.isAvailable()) {
+      await cases.addHistory(appeal.caseId, `appeal_${decision.status}`, null, note || `Appeal #${appeal.id}`, interaction.user.id);
+    }
+
+    await this.notifyDecision(guild, user, appeal, decision, note);
+    await this.refreshStaffMessage(interaction.client, appeal.id);
+
+    logger.info(`Ban appeal ${appeal.id} for ${user.tag} (${user.id}) was ${decision.verb} by ${interaction.user.tag}`);
+    await interaction.editReply({ content: `✅ Appeal #${appeal.id} ${decision.verb}${decision.status === 'approved' ? ` and ${user.tag} has been unbanned` : ''}.` });
+  }
+
+  /**
+   * Ask the user for more information
+   * @param {ModalSubmitInteraction} interaction - The interaction
+   * @param {Object} appeal - The appeal
+   * @param {string} question - The question
+   * @returns {Promise<void>}
+   */
+  async requestInfo(interaction, appeal, question) {
+    const user = await interaction.client.users.fetch(appeal.userId);
+
+    const embed = new EmbedBuilder()
+      .setColor(STATUS.info_requested.color)
+      .setTitle(`Question about your appeal in ${interaction.guild.name}`)
+      .setDescription(`The staff reviewing your ban appeal (#${appeal.id}) asked:\n\n>>> ${question}`)
+      .setTimestamp()
+      .setFooter({ text: config.footerText });
+
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`appeal_reply_${appeal.id}`)
+        .setLabel('Reply')
+        .setEmoji('💬')
+        .setStyle(ButtonStyle.Primary),
+    );
+
+    try {
+      await user.send({ embeds: [embed], components: [row] });
+    } catch (error) {
+      return interaction.editReply({ content: `❌ Could not DM ${user.tag}: ${error.message}` });
+    }
+
+    appeal.conversation.push({ from: 'staff', authorId: interaction.user.id, content: question, at: toSqlDateTime() });
+    await query(
+      'UPDATE ban_appeals SET status = ?, conversation = ?, updated_at = ? WHERE id = ?',
+      ['info_requested', JSON.stringify(appeal.conversation), toSqlDateTime(), appeal.id],
+    );
+
+    await this.refreshStaffMessage(interaction.client, appeal.id);
+    await interaction.editReply({ content: `✅ Sent your question to ${user.tag}.` });
+  }
+
+  /**
+   * Show the user the form to answer a staff question
+   * @param {ButtonInteraction} interaction - The interaction
+   * @param {number} appealId - The appeal ID
+   * @returns {Promise<void>}
+   */
+  async openReplyForm(interaction, appealId) {
+    const appeal = await this.getAppeal(appealId);
+    if (!appeal || appeal.userId !== interaction.user.id || appeal.status !== 'info_requested') {
+      return interaction.reply({ content: '❌ This appeal is not waiting for a reply.', ephemeral: true });
+    }
+
+    const modal = new ModalBuilder()
+      .setCustomId(`appeal_answer_${appeal.id}`)
+      .setTitle(`Reply to appeal #${appeal.id}`)
+      .addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('appeal_answer')
+            .setLabel('Your answer')
+            .setStyle(TextInputStyle.Paragraph)
+            .setMaxLength(1000)
+            .setRequired(true),
+        ),
+      );
+
+    await interaction.showModal(modal);
+  }
+
+  /**
+   * Store the user's answer and put the appeal back up for review
+   * @param {ModalSubmitInteraction} interaction - The interaction
+   * @param {number} appealId - The appeal ID
+   * @returns {Promise<void>}
+   */
+  async answerQuestion(interaction, appealId) {
+    await interaction.deferReply({ ephemeral: true });
+
+    const appeal = await this.getAppeal(appealId);
+    if (!appeal || appeal.userId !== interaction.user.id || appeal.status !== 'info_requested') {
+      return interaction.editReply({ content: '❌ This appeal is not waiting for a reply.' });
+    }
+
+    appeal.conversation.push({
+      from: 'user',
+      authorId: interaction.user.id,
+      content: interaction.fields.getTextInputValue('appeal_answer'),
+      at: toSqlDateTime(),
+    });
+
+    await query(
+      'UPDATE ban_appeals SET status = ?, conversation = ?, updated_at = ? WHERE id = ?',
+      ['pending', JSON.stringify(appeal.conversation), toSqlDateTime(), appeal.id],
+    );
+
+    await this.refreshStaffMessage(interaction.client, appeal.id);
+    await interaction.editReply({ content: '✅ Your answer has been added to your appeal.' });
+  }
+
+  /**
+   * DM the user the outcome of their appeal. Failures are ignored.
+   * @param {Guild} guild - The guild
+   * @param {User} user - The user
+   * @param {Object} appeal - The appeal
+   * @param {Object} decision - The decision
+   * @param {string|null} note - The staff note
+   * @returns {Promise<void>}
+   */
+  async notifyDecision(guild, user, appeal, decision, note) {
+    const { cooldown } = this.getSettings();
+    let description = decision.status === 'approved'
+      ? `Your ban appeal (#${appeal.id}) was approved and you have been unbanned from ${guild.name}.`
+      : `Your ban appeal (#${appeal.id}) was denied.`;
+
+    if (note) {
+      description += `\n\n**Note from staff:** ${note}`;
+    }
+
+    if (decision.status === 'denied' && cooldown > 0) {
+      description += `\n\nYou can submit a new appeal in ${formatDuration(cooldown)}.`;
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor(STATUS[decision.status].color)
+      .setTitle(`Appeal ${STATUS[decision.status].label}: ${guild.name}`)
+      .setDescription(description)
+      .setTimestamp()
+      .setFooter({ text: config.footerText });
+
+    await user.send({ embeds: [embed] }).catch((error) => {
+      logger.warn(`Could not DM appeal decision to ${user.tag} (${user.id}): ${error.message}`);
+    });
+  }
+
+  /**
+   * Build the review message posted in the staff channel
+   * @param {Object} appeal - The appeal
+   * @param {User} user - The appealing user
+   * @param {Object|null} banCase - The ban case
+   * @returns {Object} The message options
+   */
+  buildStaffMessage(appeal, user, banCase) {
+    const status = STATUS[appeal.status] || STATUS.pending;
+
+    const embed = new EmbedBuilder()
+      .setColor(status.color)
+      .setTitle(`Ban Appeal #${appeal.id}`)
+      .setThumbnail(user.displayAvatarURL({ dynamic: true }))
+      .addFields(
+        { name: 'User', value: `${user.tag} (${user.id})`, inline: true },
+        { name: 'Status', value: status.label, inline: true },
+        {
+          name: 'Ban Case',
+          value: banCase ? `#${banCase.caseNumber}: ${banCase.reason || 'No reason provided'}`.substring(0, 1024) : 'No case found',
+          inline: false,
+        },
+      )
+      .setTimestamp(appeal.createdAt)
+      .setFooter({ text: config.footerText });
+
+    // The form answers and the latest replies, embeds are capped at 6000 characters
+    const { conversation } = appeal;
+    const shown = conversation.length > 5 ? [...conversation.slice(0, 2), ...conversation.slice(-3)] : conversation;
+
+    for (const entry of shown) {
+      embed.addFields({
+        name: entry.label || (entry.from === 'staff' ? 'Staff Question' : 'User Reply'),
+        value: `${entry.from === 'staff' ? `<@${entry.authorId}>: ` : ''}${entry.content}`.substring(0, 800),
+        inline: false,
+      });
+    }
+
+    if (appeal.reviewerId && !this.isOpen(appeal)) {
+      embed.addFields({
+        name: `${status.label} by`,
+        value: `<@${appeal.reviewerId}>${appeal.decisionReason ? `: ${appeal.decisionReason}` : ''}`.substring(0, 1024),
+        inline: false,
+      });
+    }
+
+    const open = this.isOpen(appeal);
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`appeal_approve_${appeal.id}`)
+        .setLabel('Approve')
+        .setStyle(ButtonStyle.Success)
+        .setDisabled(!open),
+      new ButtonBuilder()
+        .setCustomId(`appeal_deny_${appeal.id}`)
+        .setLabel('Deny')
+        .setStyle(ButtonStyle.Danger)
+        .setDisabled(!open),
+      new ButtonBuilder()
+        .setCustomId(`appeal_info_${appeal.id}`)
+        .setLabel('Request Info')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(appeal.status !== 'pending'),
+    );
+
+    return { embeds: [embed], components: [row] };
+  }
+
+  /**
+   * Re-render an appeal's staff message
+   * @param {Client} client - The Discord client
+   * @param {number} appealId - The appeal ID
+   * @returns {Promise<void>}
+   */
+  async refreshStaffMessage(client, appealId) {
+    const appeal = await this.getAppeal(appealId);
+    if (!appeal || !appeal.staffChannelId || !appeal.staffMessageId) return;
+
+    try {
+      const channel = await client.channels.fetch(appeal.staffChannelId);
+      const message = await channel.messages.fetch(appeal.staffMessageId);
+      const user = await client.users.fetch(appeal.userId);
+      const banCase = appeal.caseId && cases.isAvailable() ? await cases.getCaseById(appeal.caseId) : null;
+
+      await message.edit(this.buildStaffMessage(appeal, user, banCase));
+    } catch (error) {
+      logger.warn(`Could not update the review message for appeal ${appealId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the channel appeals are posted in: config.appeals.channelId, a
+   * channel named config.channels.appeals, or the moderation log channel
+   * @param {Guild} guild - The guild
+   * @returns {Promise<TextChannel|null>} The channel
+   */
+  async getStaffChannel(guild) {
+    const { channelId } = this.getSettings();
+
+    if (channelId) {
+      const channel = await guild.channels.fetch(channelId).catch(() => null);
+      if (channel) return channel;
+    }
+
+    if (config.channels?.appeals) {
+      const channel = guild.channels.cache.find((c) => c.name === config.channels.appeals);
+      if (channel) return channel;
+    }
+
+    if (userLogger.moderationLogsChannelId) {
+      return guild.channels.fetch(userLogger.moderationLogsChannelId).catch(() => null);
+    }
+
+    return config.channels?.modLogs
+      ? guild.channels.cache.find((c) => c.name === config.channels.modLogs) || null
+      : null;
+  }
+
+  /**
+   * Get a user's open appeal in a guild
+   * @param {string} guildId - The guild ID
+   * @param {string} userId - The user ID
+   * @returns {Promise<Object|null>} The appeal
+   */
+  async getOpenAppeal(guildId, userId) {
+    const rows = await query(
+      'SELECT * FROM ban_appeals WHERE guild_id = ? AND user_id = ? AND status IN (?, ?) ORDER BY id DESC LIMIT 1',
+      [guildId, userId, 'pending', 'info_requested'],
+    );
+    return rows[0] ? this.rowToAppeal(rows[0]) : null;
+  }
+
+  /**
+   * Get an appeal by ID
+   * @param {number} id - The appeal ID
+   * @returns {Promise<Object|null>} The appeal
+   */
+  async getAppeal(id) {
+    const rows = await query('SELECT * FROM ban_appeals WHERE id = ?', [id]);
+    return rows[0] ? this.rowToAppeal(rows[0]) : null;
+  }
+
+  /**
+   * Check whether an appeal still needs a decision
+   * @param {Object} appeal - The appeal
+   * @returns {boolean} Whether it is open
+   */
+  isOpen(appeal) {
+    return appeal.status === 'pending' || appeal.status === 'info_requested';
+  }
+
+  /**
+   * Convert a database row to an appeal
+   * @param {Object} row - The database row
+   * @returns {Object} The appeal
+   */
+  rowToAppeal(row) {
+    let conversation = [];
+    try {
+      conversation = row.conversation ? JSON.parse(row.conversation) : [];
+    } catch (error) {
+      logger.warn(`Invalid conversation on appeal ${row.id}: ${error.message}`);
+    }
+
+    return {
+      id: row.id,
+      guildId: row.guild_id,
+      userId: row.user_id,
+      caseId: row.case_id,
+      status: row.status,
+      conversation,
+      staffChannelId: row.staff_channel_id,
+      staffMessageId: row.staff_message_id,
+      reviewerId: row.reviewer_id,
+      decisionReason: row.decision_reason,
+      createdAt: parseSqlDate(row.created_at),
+      decidedAt: row.decided_at ? parseSqlDate(row.decided_at) : null,
+    };
+  }
+
+  /**
+   * Tell the user something went wrong, whether or not the interaction was answered
+   * @param {Interaction} interaction - The interaction
+   * @param {Error} error - The error
+   * @returns {Promise<void>}
+   */
+  async replyError(interaction, error) {
+    const content = `❌ An error occurred: ${error.message}`;
+
+    if (interaction.deferred || interaction.replied) {
+      await interaction.editReply({ content }).catch(() => {});
+    } else {
+      await interaction.reply({ content, ephemeral: true }).catch(() => {});
+    }
+  }
+}
+
+const appeals = new BanAppeals();
+appeals.STATUS = STATUS;
+
+module.exports = appeals;
@@ -0,0 +1,1275 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const config = require('../../config.json');
+const logger = require('../utils/logger');
+const db = require('../utils/database');
+const { createDatabaseQuery } = require('../utils/errors');
+const userLogger = require('../utils/userLogger');
+const warningPolicies = require('./warningPolicies');
+const appeals = require('./appeals');
+const { toSqlDateTime } = require('../utils/timeUtils');
+
+const query = createDatabaseQuery('Database is not connected, automod settings cannot be saved');
+
+// Features that can be toggled per guild
+const FEATURES = ['spam', 'invites', 'links', 'words', 'mentions', 'caps', 'emojis', 'newlines', 'length', 'flood'];
+
+// Actions ordered from least to most severe
+const ACTIONS = ['delete', 'warn', 'timeout', 'kick', 'ban'];
+
+// automod_settings row that holds guild-wide options (exemptions, log channel)
+const GENERAL_FEATURE = 'general';
+
+const INVITE_REGEX = /(discord\.(gg|io|me|li)|discordapp\.com\/invite)\/[a-zA-Z0-9]+/gi;
+const LINK_REGEX = /https?:\/\/(www\.)?[-a-zA-Z0-9@:%._+~#=]{1,256}\.[a-zA-Z0-9()]{1,6}\b([-a-zA-Z0-9()@:%_+.~#?&//=]*)/gi;
+const EMOJI_REGEX = /<a?:.+?:\d+>|[\u{1F300}-\u{1F6FF}\u{2600}-\u{26FF}]/gu;
+// Unicode combining diacritical mark blocks that zalgo text is built from
+const COMBINING_MARK_RANGES = [
+  [0x0300, 0x036f],
+  [0x0483, 0x0489],
+  [0x1ab0, 0x1aff],
+  [0x1dc0, 0x1dff],
+  [0x20d0, 0x20ff],
+  [0xfe20, 0xfe2f],
+];
+
+// Attachment extensions blocked by an attachment rule without its own lists
+const DEFAULT_BLOCKED_EXTENSIONS = ['exe', 'scr', 'bat', 'cmd', 'com', 'msi', 'vbs', 'jar', 'apk', 'ps1'];
+
+// How long message history is kept for the duplicate and flood detectors
+const HISTORY_TTL = 300000; // 5 minutes
+const HISTORY_LIMIT = 50;
+
+// Number of recent flood triggers kept per guild for /automod status
+const RECENT_BURST_LIMIT = 5;
+
+// Limits that keep admin-configured regex rules from stalling the bot
+const MAX_PATTERN_LENGTH = 200;
+const MAX_MATCHED_LENGTH = 4000;
+const PATTERN_CACHE_LIMIT = 200;
+
+/**
+ * Check a regex rule pattern for catastrophic backtracking risks: overly
+ * long patterns and nested quantifiers such as (a+)+ or (\w*\s?)*.
+ * @param {string} pattern - The pattern source
+ * @returns {string|null} Why the pattern is refused, null if it is allowed
+ */
+function getPatternProblem(pattern) {
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    return `Regex patterns can be at most ${MAX_PATTERN_LENGTH} characters`;
+  }
+
+  // Whether each open group contains a quantifier
+  const groups = [];
+  let inClass = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\') {
+      i++;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === ')') {
+      const nested = groups.pop();
+      const repeated = isQuantifierAt(pattern, i + 1);
+
+      if (nested && repeated) {
+        return 'Regex patterns cannot repeat a group that already repeats, like (a+)+';
+      }
+
+      if ((nested || repeated) && groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+    } else if (isQuantifierAt(pattern, i) && groups.length > 0) {
+      groups[groups.length - 1] = true;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a pattern repeats the preceding token at a position:
+ * +, * or a {n,} / {n,m} range
+ * @param {string} pattern - The pattern source
+ * @param {number} index - The position
+ * @returns {boolean} Whether there is an unbounded or ranged quantifier
+ */
+function isQuantifierAt(pattern, index) {
+  const char = pattern[index];
+  return char === '+' || char === '*' || (char === '{' && /^\{\d+,\d*\}/.test(pattern.slice(index)));
+}
+
+/**
+ * Check whether a value is blocked by a rule's allow/deny lists.
+ * A deny list blocks only the listed entries, an allow list blocks everything
+ * that is not listed, and no lists at all blocks every value.
+ * @param {*} value - The value being checked
+ * @param {Object} options - The rule options ({ allowed, denied })
+ * @param {Function} matches - Compares the value with a lowercased list entry
+ * @returns {boolean} Whether the value is blocked
+ */
+function isBlocked(value, options, matches) {
+  const denied = (options.denied || []).map((entry) => entry.toLowerCase());
+  const allowed = (options.allowed || []).map((entry) => entry.toLowerCase());
+
+  if (denied.length > 0) {
+    return denied.some((entry) => matches(value, entry));
+  }
+
+  return !allowed.some((entry) => matches(value, entry));
+}
+
+const containsEntry = (value, entry) => value.toLowerCase().includes(entry);
+
+/**
+ * Count the combining marks in a string
+ * @param {string} text - The text to inspect
+ * @returns {number} The number of combining marks
+ */
+function countCombiningMarks(text) {
+  let count = 0;
+
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    if (COMBINING_MARK_RANGES.some(([start, end]) => code >= start && code <= end)) {
+      count++;
+    }
+  }
+
+  return count;
+}
+
+/**
+ * Detectors inspect a message and return a violation description, or null.
+ * Each receives the message, the rule options and the evaluation context.
+ * A detector may instead return { violation, cleanup } where cleanup lists
+ * earlier history entries whose messages should be removed as well.
+ */
+const DETECTORS = {
+  spam(message, options) {
+    const threshold = options.threshold || 8;
+    const repeatedChars = new RegExp(`(.)\\1{${Math.max(threshold - 1, 1)},}`);
+    return repeatedChars.test(message.content) ? 'Excessive repeated characters (spam)' : null;
+  },
+
+  words(message, options) {
+    const lowerContent = message.content.toLowerCase();
+    const words = options.words || [];
+    return words.some((word) => lowerContent.includes(word.toLowerCase())) ? 'Banned word/phrase' : null;
+  },
+
+  mentions(message, options) {
+    const threshold = options.threshold || 5;
+    const count = message.mentions.users.size;
+    return count > threshold ? `Excessive mentions: ${count}/${threshold}` : null;
+  },
+
+  emojis(message, options) {
+    const threshold = options.threshold || 10;
+    const count = (message.content.match(EMOJI_REGEX) || []).length;
+    return count > threshold ? `Excessive emojis: ${count}/${threshold}` : null;
+  },
+
+  newlines(message, options) {
+    const threshold = options.threshold || 15;
+    const count = (message.content.match(/\n/g) || []).length;
+    return count > threshold ? `Excessive newlines: ${count}/${threshold}` : null;
+  },
+
+  length(message, options) {
+    const threshold = options.threshold || 2000;
+    const length = message.content.length;
+    return length > threshold ? `Message too long: ${length}/${threshold} characters` : null;
+  },
+
+  caps(message, options) {
+    const threshold = options.threshold || 70;
+    const minLength = options.minLength || 10;
+    if (message.content.length <= minLength) return null;
+
+    const capsCount = (message.content.match(/[A-Z]/g) || []).length;
+    const capsPercentage = (capsCount / message.content.length) * 100;
+    return capsPercentage > threshold ? `Excessive caps: ${capsPercentage.toFixed(1)}%/${threshold}%` : null;
+  },
+
+  invites(message, options) {
+    const invites = message.content.match(INVITE_REGEX) || [];
+    return invites.some((invite) => isBlocked(invite, options, containsEntry)) ? 'Discord invite link' : null;
+  },
+
+  links(message, options) {
+    const links = message.content.match(LINK_REGEX) || [];
+    return links.some((link) => isBlocked(link, options, containsEntry)) ? 'Disallowed link' : null;
+  },
+
+  regex(message, options, context) {
+    const pattern = context.engine.compilePattern(options.pattern, options.flags);
+    return pattern && pattern.test(message.content.slice(0, MAX_MATCHED_LENGTH)) ? 'Matched a blocked pattern' : null;
+  },
+
+  duplicate(message, options, context) {
+    const threshold = options.threshold || 3;
+    const window = options.window || 60000;
+    const content = message.content.trim().toLowerCase();
+    if (!content) return null;
+
+    const since = Date.now() - window;
+    const count = context.history.filter((entry) => entry.timestamp > since && entry.content === content).length;
+    return count >= threshold ? `Duplicate message sent ${count} times` : null;
+  },
+
+  zalgo(message, options) {
+    const threshold = options.threshold || 30;
+    const marks = countCombiningMarks(message.content);
+    if (marks < 5) return null;
+
+    const percentage = (marks / message.content.length) * 100;
+    return percentage > threshold ? `Zalgo text: ${percentage.toFixed(1)}% combining characters` : null;
+  },
+
+  flood(message, options, context) {
+    const now = Date.now();
+    const within = (ms) => context.history.filter((entry) => now - entry.timestamp <= ms);
+    const seconds = (ms) => Math.round(ms / 1000);
+
+    const interval = options.interval || 5000;
+    const recent = within(interval);
+    if (recent.length >= (options.messages || 8)) {
+      return { violation: `Message flood: ${recent.length} messages in ${seconds(interval)}s`, cleanup: recent };
+    }
+
+    const content = message.content.trim().toLowerCase();
+    const duplicateInterval = options.duplicateInterval || 30000;
+    const duplicates = content ? within(duplicateInterval).filter((entry) => entry.content === content) : [];
+    if (duplicates.length >= (options.duplicates || 4)) {
+      const channels = new Set(duplicates.map((entry) => entry.channelId)).size;
+      return {
+        violation: `Duplicate content: ${duplicates.length} times across ${channels} channel${channels === 1 ? '' : 's'}`,
+        cleanup: duplicates,
+      };
+    }
+
+    const mentionInterval = options.mentionInterval || 15000;
+    const mentioning = within(mentionInterval).filter((entry) => entry.mentions > 0);
+    const mentions = mentioning.reduce((total, entry) => total + entry.mentions, 0);
+    if (mentions >= (options.mentions || 10)) {
+      return { violation: `Mention burst: ${mentions} mentions in ${seconds(mentionInterval)}s`, cleanup: mentioning };
+    }
+
+    return null;
+  },
+
+  attachments(message, options) {
+    const lists = options.allowed || options.denied ? options : { denied: DEFAULT_BLOCKED_EXTENSIONS };
+
+    // A list entry matches either the file extension or the start of the MIME type
+    const matchesType = (type, entry) =>
+      type.extension === entry.replace(/^\./, '') || (!!type.contentType && type.contentType.startsWith(entry));
+
+    for (const attachment of message.attachments.values()) {
+      const name = attachment.name || '';
+      const type = {
+        extension: name.includes('.') ? name.split('.').pop().toLowerCase() : '',
+        contentType: (attachment.contentType || '').toLowerCase(),
+      };
+
+      if (isBlocked(type, lists, matchesType)) {
+        return `Blocked attachment type: ${type.extension ? `.${type.extension}` : type.contentType || 'unknown'}`;
+      }
+    }
+
+    return null;
+  },
+};
+
+class AutoMod {
+  constructor() {
+    // Cache of resolved settings per guild
+    this.settingsCache = new Map();
+    this.cacheTTL = 60000; // 1 minute cache TTL
+
+    // Sliding window of recent messages per guild member, used by the duplicate and flood detectors
+    this.messageHistory = new Map();
+    this.lastHistoryPrune = Date.now();
+
+    // Recent flood triggers per guild
+    this.recentBursts = new Map();
+
+    // Compiled regex rule patterns, least recently used first
+    this.patternCache = new Map();
+
+    this.FEATURES = FEATURES;
+    this.ACTIONS = ACTIONS;
+    this.DETECTORS = Object.keys(DETECTORS);
+  }
+
+  /**
+   * Move the per-feature actions older versions kept in automod_rules into the
+   * feature settings. Those rows have no options and would otherwise load as
+   * custom rules.
+   * @returns {Promise<void>}
+   */
+  async init() {
+    if (!db.isConnected) return;
+
+    try {
+      const legacy = await db.query('SELECT * FROM automod_rules WHERE options IS NULL');
+
+      for (const row of legacy) {
+        if (FEATURES.includes(row.type) && row.enabled) {
+          await this.setFeatureAction(row.guild_id, row.type, row.action || 'delete', row.duration, row.created_by);
+        }
+
+        await db.query('DELETE FROM automod_rules WHERE rule_id = ?', [row.rule_id]);
+      }
+
+      if (legacy.length > 0) {
+        logger.info(`Moved ${legacy.length} automod feature action(s) out of automod_rules`);
+      }
+    } catch (error) {
+      logger.error(`Failed to migrate automod feature actions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the default settings from the static config.autoMod block
+   * @returns {Object} Default settings
+   */
+  getDefaults() {
+    const autoMod = config.autoMod || {};
+    const enabled = !!autoMod.enabled;
+    const timeoutDuration = autoMod.timeoutDuration || 300000; // Default 5 minutes
+    const flood = autoMod.flood || {};
+
+    return {
+      exemptRoles: [],
+      exemptChannels: [],
+      logChannel: autoMod.logChannel || null,
+      rules: [],
+      features: {
+        spam: { enabled: enabled && !!autoMod.antiSpam, threshold: 8, action: 'delete', duration: null },
+        invites: {
+          enabled: enabled && !!autoMod.inviteFilter,
+          allowed: autoMod.allowedInvites || [],
+          action: autoMod.timeoutForInvites ? 'timeout' : 'delete',
+          duration: timeoutDuration,
+        },
+        links: { enabled: enabled && !!autoMod.linkFilter, allowed: autoMod.allowedLinks || [], action: 'delete', duration: null },
+        words: {
+          enabled: enabled && Array.isArray(autoMod.bannedWords) && autoMod.bannedWords.length > 0,
+          words: autoMod.bannedWords || [],
+          action: autoMod.timeoutForBannedWords ? 'timeout' : 'delete',
+          duration: timeoutDuration,
+        },
+        mentions: {
+          enabled: enabled && !!autoMod.maxMentions,
+          threshold: autoMod.maxMentions || 5,
+          action: autoMod.timeoutForExcessiveMentions ? 'timeout' : 'delete',
+          duration: timeoutDuration,
+        },
+        caps: {
+          enabled: enabled && !!autoMod.maxCaps && !!autoMod.deleteExcessiveCaps,
+          threshold: autoMod.maxCaps || 70,
+          action: 'delete',
+          duration: null,
+        },
+        emojis: {
+          enabled: enabled && !!autoMod.maxEmojis && !!autoMod.deleteExcessiveEmojis,
+          threshold: autoMod.maxEmojis || 10,
+          action: 'delete',
+          duration: null,
+        },
+        newlines: {
+          enabled: enabled && !!autoMod.maxNewlines && !!autoMod.deleteExcessiveNewlines,
+          threshold: autoMod.maxNewlines || 15,
+          action: 'delete',
+          duration: null,
+        },
+        length: {
+          enabled: enabled && !!autoMod.maxMessageLength && !!autoMod.deleteLongMessages,
+          threshold: autoMod.maxMessageLength || 2000,
+          action: 'delete',
+          duration: null,
+        },
+        flood: {
+          enabled: enabled && !!autoMod.antiFlood,
+          messages: flood.messages || 8,
+          interval: flood.interval || 5000,
+          duplicates: flood.duplicates || 4,
+          duplicateInterval: flood.duplicateInterval || 30000,
+          mentions: flood.mentions || 10,
+          mentionInterval: flood.mentionInterval || 15000,
+          action: flood.action || 'timeout',
+          duration: flood.duration || 600000, // Default 10 minutes
+        },
+      },
+    };
+  }
+
+  /**
+   * Get the resolved automod settings for a guild
+   * @param {string} guildId - The guild ID
+   * @returns {Promise<Object>} The guild's automod settings
+   */
+  async getGuildSettings(guildId) {
+    const cached = this.settingsCache.get(guildId);
+    if (cached && Date.now() - cached.loadedAt < this.cacheTTL) {
+      return cached.settings;
+    }
+
+    const settings = this.getDefaults();
+
+    if (db.isConnected) {
+      try {
+        const rows = await db.query(
+          'SELECT feature, enabled, settings FROM automod_settings WHERE guild_id = ?',
+          [guildId],
+        );
+
+        for (const row of rows) {
+          const stored = this.parseJSON(row.settings, {});
+
+          if (row.feature === GENERAL_FEATURE) {
+            settings.exemptRoles = stored.exemptRoles || settings.exemptRoles;
+            settings.exemptChannels = stored.exemptChannels || settings.exemptChannels;
+            settings.logChannel = stored.logChannel !== undefined ? stored.logChannel : settings.logChannel;
+          } else if (settings.features[row.feature]) {
+            Object.assign(settings.features[row.feature], stored, { enabled: !!row.enabled });
+          }
+        }
+
+        const rules = await db.query(
+          'SELECT * FROM automod_rules WHERE guild_id = ? AND enabled = 1 AND options IS NOT NULL ORDER BY rule_id',
+          [guildId],
+        );
+
+        settings.rules = rules.map((rule) => this.normalizeRule(rule));
+      } catch (error) {
+        logger.error(`Failed to load automod settings for guild ${guildId}: ${error.message}`);
+      }
+    }
+
+    this.settingsCache.set(guildId, { settings, loadedAt: Date.now() });
+    return settings;
+  }
+
+  /**
+   * Convert an automod_rules row into the shape used by the engine
+   * @param {Object} row - The database row
+   * @returns {Object} The rule
+   */
+  normalizeRule(row) {
+    return {
+      id: row.rule_id,
+      name: row.name || `${row.type} rule`,
+      type: row.type,
+      options: this.parseJSON(row.options, {}),
+      scope: this.parseJSON(row.scope, {}),
+      action: row.action || 'delete',
+      duration: row.duration,
+      escalation: this.parseJSON(row.escalation, []),
+      builtin: false,
+    };
+  }
+
+  /**
+   * Get every rule that applies to a guild: its enabled built-in features
+   * followed by the custom rules from automod_rules
+   * @param {Object} settings - The guild's automod settings
+   * @returns {Object[]} The rules
+   */
+  getRules(settings) {
+    const autoMod = config.autoMod || {};
+
+    // Built-in features escalate the same way the old repeat offender check did
+    const escalation = autoMod.escalateRepeatOffenders
+      ? [{ count: autoMod.repeatOffenderThreshold || 3, action: 'timeout', duration: autoMod.escalatedTimeoutDuration || 3600000 }]
+      : [];
+
+    const builtins = FEATURES
+      .filter((feature) => settings.features[feature].enabled)
+      .map((feature) => {
+        const { action, duration, ...options } = settings.features[feature];
+        delete options.enabled;
+
+        return {
+          id: null,
+          name: feature,
+          type: feature,
+          options,
+          scope: {},
+          action,
+          duration,
+          escalation,
+          builtin: true,
+        };
+      });
+
+    return [...builtins, ...settings.rules];
+  }
+
+  /**
+   * Safely parse a stored JSON blob
+   * @param {string} raw - The stored JSON
+   * @param {*} fallback - Value returned when nothing valid is stored
+   * @returns {*} The parsed value
+   */
+  parseJSON(raw, fallback) {
+    if (!raw) return fallback;
+
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      logger.warn(`Ignoring malformed automod settings: ${error.message}`);
+      return fallback;
+    }
+  }
+
+  /**
+   * Enable or disable one or all features for a guild
+   * @param {string} guildId - The guild ID
+   * @param {string} feature - The feature name or 'all'
+   * @param {boolean} enabled - Whether the feature should be enabled
+   * @param {string} updatedBy - The ID of the user making the change
+   * @returns {Promise<string[]>} The features that were updated
+   */
+  async setFeatureEnabled(guildId, feature, enabled, updatedBy) {
+    const features = feature === 'all' ? FEATURES : [feature];
+
+    for (const name of features) {
+      this.assertFeature(name);
+
+      await query(
+        `INSERT INTO automod_settings (guild_id, feature, enabled, updated_at, updated_by)
+         VALUES (?, ?, ?, CURRENT_TIMESTAMP, ?)
+         ON CONFLICT(guild_id, feature) DO UPDATE SET
+           enabled = excluded.enabled,
+           updated_at = excluded.updated_at,
+           updated_by = excluded.updated_by`,
+        [guildId, name, enabled ? 1 : 0, updatedBy],
+      );
+    }
+
+    this.invalidate(guildId);
+    return features;
+  }
+
+  /**
+   * Update the thresholds, lists and action of a feature
+   * @param {string} guildId - The guild ID
+   * @param {string} feature - The feature name
+   * @param {Object} changes - Settings to merge into the feature's stored settings
+   * @param {string} updatedBy - The ID of the user making the change
+   * @returns {Promise<void>}
+   */
+  async updateFeatureSettings(guildId, feature, changes, updatedBy) {
+    this.assertFeature(feature);
+
+    const current = await this.getGuildSettings(guildId);
+    const stored = { ...current.features[feature], ...changes };
+    const enabled = stored.enabled;
+
+    // Enabled state lives in its own column
+    delete stored.enabled;
+    const settings = JSON.stringify(stored);
+
+    await query(
+      `INSERT INTO automod_settings (guild_id, feature, enabled, settings, updated_at, updated_by)
+       VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP, ?)
+       ON CONFLICT(guild_id, feature) DO UPDATE SET
+         settings = excluded.settings,
+         updated_at = excluded.updated_at,
+         updated_by = excluded.updated_by`,
+      [guildId, feature, enabled ? 1 : 0, settings, updatedBy],
+    );
+
+    this.invalidate(guildId);
+  }
+
+  /**
+   * Set the action taken when a feature is triggered
+   * @param {string} guildId - The guild ID
+   * @param {string} feature - The feature name
+   * @param {string} action - One of ACTIONS
+   * @param {number|null} duration - Duration in milliseconds for timed actions
+   * @param {string} updatedBy - The ID of the user making the change
+   * @returns {Promise<void>}
+   */
+  async setFeatureAction(guildId, feature, action, duration, updatedBy) {
+    this.assertAction(action);
+    await this.updateFeatureSettings(guildId, feature, { action, duration }, updatedBy);
+  }
+
+  /**
+   * Update the guild-wide options (exempt roles/channels, log channel)
+   * @param {string} guildId - The guild ID
+   * @param {Function} updater - Receives the current general settings and returns the new ones
+   * @param {string} updatedBy - The ID of the user making the change
+   * @returns {Promise<Object>} The new general settings
+   */
+  async updateGeneralSettings(guildId, updater, updatedBy) {
+    const current = await this.getGuildSettings(guildId);
+    const general = updater({
+      exemptRoles: [...current.exemptRoles],
+      exemptChannels: [...current.exemptChannels],
+      logChannel: current.logChannel,
+    });
+
+    await query(
+      `INSERT INTO automod_settings (guild_id, feature, enabled, settings, updated_at, updated_by)
+       VALUES (?, ?, 1, ?, CURRENT_TIMESTAMP, ?)
+       ON CONFLICT(guild_id, feature) DO UPDATE SET
+         settings = excluded.settings,
+         updated_at = excluded.updated_at,
+         updated_by = excluded.updated_by`,
+      [guildId, GENERAL_FEATURE, JSON.stringify(general), updatedBy],
+    );
+
+    this.invalidate(guildId);
+    return general;
+  }
+
+  /**
+   * Create a custom rule
+   * @param {string} guildId - The guild ID
+   * @param {Object} rule - The rule definition
+   * @param {string} rule.name - Display name
+   * @param {string} rule.type - The detector to run
+   * @param {Object} [rule.options] - Detector options
+   * @param {Object} [rule.scope] - Channels/roles the rule is limited to or excludes
+   * @param {string} [rule.action] - The base action
+   * @param {number|null} [rule.duration] - Timeout duration in milliseconds
+   * @param {Object[]} [rule.escalation] - Escalation ladder steps ({ count, action, duration })
+   * @param {string} createdBy - The ID of the user creating the rule
+   * @returns {Promise<number>} The new rule ID
+   */
+  async createRule(guildId, rule, createdBy) {
+    if (!DETECTORS[rule.type]) {
+      throw new Error(`Unknown automod detector: ${rule.type}`);
+    }
+
+    const options = rule.options || {};
+    const action = rule.action || 'delete';
+    const escalation = [...(rule.escalation || [])].sort((a, b) => a.count - b.count);
+    this.assertAction(action);
+    escalation.forEach((step) => this.assertAction(step.action));
+
+    if (rule.type === 'regex') {
+      const problem = options.pattern ? getPatternProblem(options.pattern) : null;
+      if (problem) {
+        throw new Error(problem);
+      }
+
+      if (!this.compilePattern(options.pattern, options.flags)) {
+        throw new Error('Regex rules need a valid pattern');
+      }
+    }
+
+    const result = await query(
+      `INSERT INTO automod_rules (guild_id, name, type, options, scope, action, duration, escalation, enabled, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1, ?)`,
+      [
+        guildId,
+        rule.name,
+        rule.type,
+        JSON.stringify(options),
+        JSON.stringify(rule.scope || {}),
+        action,
+        rule.duration || null,
+        JSON.stringify(escalation),
+        createdBy,
+      ],
+    );
+
+    this.invalidate(guildId);
+    return result.lastID;
+  }
+
+  /**
+   * Delete a custom rule
+   * @param {string} guildId - The guild ID
+   * @param {number} ruleId - The rule ID
+   * @returns {Promise<boolean>} Whether a rule was deleted
+   */
+  async deleteRule(guildId, ruleId) {
+    const result = await query(
+      'DELETE FROM automod_rules WHERE guild_id = ? AND rule_id = ?',
+      [guildId, ruleId],
+    );
+
+    this.invalidate(guildId);
+    return result.changes > 0;
+  }
+
+  /**
+   * Compile a regex rule pattern, caching the result. Patterns that risk
+   * catastrophic backtracking are refused like invalid ones.
+   * @param {string} pattern - The pattern source
+   * @param {string} [flags='i'] - Regex flags
+   * @returns {RegExp|null} The compiled pattern, or null if it is invalid or refused
+   */
+  compilePattern(pattern, flags = 'i') {
+    if (!pattern) return null;
+
+    const key = `${flags}/${pattern}`;
+    if (this.patternCache.has(key)) {
+      const cached = this.patternCache.get(key);
+      this.patternCache.delete(key);
+      this.patternCache.set(key, cached);
+      return cached;
+    }
+
+    let compiled = null;
+    const problem = getPatternProblem(pattern);
+
+    if (problem) {
+      logger.warn(`Refused automod pattern /${pattern.slice(0, 50)}/: ${problem}`);
+    } else {
+      try {
+        // The global flag would make test() stateful between messages
+        compiled = new RegExp(pattern, flags.replace('g', ''));
+      } catch (error) {
+        logger.warn(`Invalid automod pattern /${pattern}/: ${error.message}`);
+      }
+    }
+
+    if (this.patternCache.size >= PATTERN_CACHE_LIMIT) {
+      this.patternCache.delete(this.patternCache.keys().next().value);
+    }
+
+    this.patternCache.set(key, compiled);
+    return compiled;
+  }
+
+  /**
+   * Check whether a message's author or channel is exempt from automod
+   * @param {Message} message - The Discord message
+   * @param {Object} settings - The guild's automod settings
+   * @returns {boolean} Whether the message is exempt
+   */
+  isExempt(message, settings) {
+    if (settings.exemptChannels.includes(message.channel.id) ||
+        (message.channel.parentId && settings.exemptChannels.includes(message.channel.parentId))) {
+      return true;
+    }
+
+    return !!message.member && message.member.roles.cache.some((role) => settings.exemptRoles.includes(role.id));
+  }
+
+  /**
+   * Check whether a message falls inside a rule's scope
+   * @param {Message} message - The Discord message
+   * @param {Object} scope - The rule scope ({ channels, excludeChannels, roles, excludeRoles })
+   * @returns {boolean} Whether the rule applies
+   */
+  isInScope(message, scope) {
+    const channelIds = [message.channel.id, message.channel.parentId].filter(Boolean);
+    const roles = message.member ? message.member.roles.cache : null;
+    const hasRole = (ids) => !!roles && roles.some((role) => ids.includes(role.id));
+
+    if (scope.channels && scope.channels.length > 0 && !scope.channels.some((id) => channelIds.includes(id))) {
+      return false;
+    }
+
+    if (scope.excludeChannels && scope.excludeChannels.some((id) => channelIds.includes(id))) {
+      return false;
+    }
+
+    if (scope.roles && scope.roles.length > 0 && !hasRole(scope.roles)) {
+      return false;
+    }
+
+    return !(scope.excludeRoles && hasRole(scope.excludeRoles));
+  }
+
+  /**
+   * Run every applicable rule against a message and act on the most severe match
+   * @param {Message} message - The Discord message
+   * @param {Client} client - The Discord client
+   * @returns {Promise<void>}
+   */
+  async processMessage(message, client) {
+    try {
+      // Automod only applies to guild messages
+      if (!message.guild || message.author.bot) return;
+
+      // Skip moderation for admins and moderators
+      if (message.member && (
+        message.member.permissions.has('Administrator') ||
+        message.member.permissions.has('ModerateMembers')
+      )) {
+        return;
+      }
+
+      // Per-guild settings are read on every message so changes apply without a restart
+      const settings = await this.getGuildSettings(message.guild.id);
+      const rules = this.getRules(settings);
+
+      if (rules.length === 0 || this.isExempt(message, settings)) return;
+
+      const context = { engine: this, history: this.recordHistory(message) };
+      const matches = [];
+
+      for (const rule of rules) {
+        const detector = DETECTORS[rule.type];
+        if (!detector || !this.isInScope(message, rule.scope)) continue;
+
+        const result = detector(message, rule.options, context);
+        if (result) {
+          matches.push(typeof result === 'string' ? { rule, violation: result } : { rule, ...result });
+        }
+      }
+
+      if (matches.length === 0) return;
+
+      // This message counts towards the ladder along with the user's recent violations
+      const violationCount = await this.getRecentViolationCount(message.author.id, message.guild.id) + 1;
+      const outcomes = matches.map((match) => ({ ...match, ...this.resolveAction(match.rule, violationCount) }));
+      const outcome = outcomes.reduce((worst, current) =>
+        ACTIONS.indexOf(current.action) > ACTIONS.indexOf(worst.action) ? current : worst,
+      );
+
+      await this.applyAction(message, client, settings, outcome, outcomes, violationCount);
+    } catch (error) {
+      logger.error(`Error in automod handler: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pick the action for a rule given the user's recent violation count
+   * @param {Object} rule - The matched rule
+   * @param {number} violationCount - Recent violations including this one
+   * @returns {{action: string, duration: number|null, step: Object|null}} The resolved action
+   */
+  resolveAction(rule, violationCount) {
+    let action = rule.action;
+    let duration = rule.duration;
+    let step = null;
+
+    // The ladder only ever escalates past the rule's base action
+    for (const candidate of rule.escalation) {
+      if (violationCount >= candidate.count && ACTIONS.indexOf(candidate.action) >= ACTIONS.indexOf(action)) {
+        action = candidate.action;
+        duration = candidate.duration || duration;
+        step = candidate;
+      }
+    }
+
+    return { action, duration, step };
+  }
+
+  /**
+   * Count a user's automod actions within the escalation window
+   * @param {string} userId - The user ID
+   * @param {string} guildId - The guild ID
+   * @returns {Promise<number>} The number of recent violations
+   */
+  async getRecentViolationCount(userId, guildId) {
+    if (!db.isConnected) return 0;
+
+    const window = (config.autoMod && config.autoMod.escalationWindow) || 3600000; // Default 1 hour
+
+    try {
+      const rows = await db.query(
+        'SELECT COUNT(*) as count FROM automod_actions WHERE user_id = ? AND guild_id = ? AND timestamp > ?',
+        [userId, guildId, toSqlDateTime(Date.now() - window)],
+      );
+
+      return rows[0]?.count || 0;
+    } catch (error) {
+      logger.error(`Failed to count recent automod violations: ${error.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * Delete the message, apply the resolved action and record it
+   * @param {Message} message - The Discord message
+   * @param {Client} client - The Discord client
+   * @param {Object} settings - The guild's automod settings
+   * @param {Object} outcome - The deciding match ({ rule, violation, action, duration, step })
+   * @param {Object[]} outcomes - Every match for the message
+   * @param {number} violationCount - Recent violations including this one
+   * @returns {Promise<void>}
+   */
+  async applyAction(message, client, settings, outcome, outcomes, violationCount) {
+    const { rule, action, step } = outcome;
+    const violations = outcomes.map((match) => match.violation);
+    const timeoutDuration = outcome.duration || (config.autoMod && config.autoMod.timeoutDuration) || 300000; // Default 5 minutes
+    const ruleLabel = this.formatRuleLabel(rule);
+    const reason = `AutoMod (${ruleLabel}): ${violations.join(', ')}`;
+    const originalContent = message.content;
+
+    logger.warn(`AutoMod: ${message.author.tag} violated ${ruleLabel} in #${message.channel.name}: ${violations.join(', ')}`);
+
+    // Every action removes the offending message
+    try {
+      await message.delete();
+    } catch (error) {
+      logger.error(`Failed to delete message: ${error.message}`);
+    }
+
+    // Sliding-window detectors also clean up the rest of the burst
+    const cleanup = outcomes.flatMap((match) => match.cleanup || []);
+    if (cleanup.length > 0) {
+      await this.cleanupMessages(client, message, cleanup);
+      this.recordBurst(message, outcome, action);
+    }
+
+    // The user is only told about an action once it is certain to happen
+    try {
+      const member = message.member;
+
+      if (action === 'timeout') {
+        if (!member || !member.moderatable) {
+          throw new Error('member cannot be timed out');
+        }
+
+        await member.timeout(timeoutDuration, reason);
+        await this.sendWarning(message, action, violations, timeoutDuration);
+        await userLogger.logMute(message.guild, message.author, client.user, reason, timeoutDuration, { source: 'automod' });
+      } else if (action === 'kick') {
+        if (!member || !member.kickable) {
+          throw new Error('member cannot be kicked');
+        }
+
+        await member.kick(reason);
+        await this.sendWarning(message, action, violations, timeoutDuration);
+        await userLogger.logKick(message.guild, message.author, client.user, reason, { source: 'automod' });
+      } else if (action === 'ban') {
+        if (!member || !member.bannable) {
+          throw new Error('member cannot be banned');
+        }
+
+        // Banned users can no longer be DMed, so they are told first
+        await this.sendWarning(message, action, violations, timeoutDuration);
+        await member.ban({ reason });
+        await userLogger.logBan(message.guild, message.author, client.user, reason, 0, { source: 'automod' });
+      } else {
+        if (action === 'warn') {
+          await warningPolicies.issueWarning(message.guild, message.author, client.user, reason, { source: 'automod' });
+        }
+
+        await this.sendWarning(message, action, violations, timeoutDuration);
+      }
+    } catch (error) {
+      logger.error(`Failed to apply automod ${action} to ${message.author.tag}: ${error.message}`);
+    }
+
+    // Record in database
+    if (db.isConnected) {
+      try {
+        await db.query(
+          'INSERT INTO automod_actions (user_id, guild_id, channel_id, message_id, action_type, trigger_type, rule_id, content, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+          [
+            message.author.id,
+            message.guild.id,
+            message.channel.id,
+            message.id,
+            action,
+            rule.type,
+            rule.id,
+            originalContent,
+            toSqlDateTime(),
+          ],
+        );
+      } catch (error) {
+        logger.error(`Failed to record automod action in database: ${error.message}`);
+      }
+    }
+
+    try {
+      await userLogger.logAutoModAction(message.author, {
+        guildId: message.guild.id,
+        channelId: message.channel.id,
+        messageId: message.id,
+        ruleId: rule.id,
+        ruleName: rule.name,
+        trigger: rule.type,
+        action,
+        reason: violations.join(', '),
+        violationCount,
+      });
+    } catch (error) {
+      logger.error(`Failed to record automod action in case file: ${error.message}`);
+    }
+
+    if (step) {
+      logger.warn(`AutoMod: Escalated ${ruleLabel} to ${action} for ${message.author.tag} (${violationCount} recent violations)`);
+    }
+
+    await this.sendLog(client, settings, message, {
+      outcome,
+      violations,
+      timeoutDuration,
+      violationCount,
+      content: originalContent,
+    });
+  }
+
+  /**
+   * DM a user why their message was removed and what action was taken.
+   * Failures are ignored.
+   * @param {Message} message - The flagged message
+   * @param {string} action - The action taken
+   * @param {Array<string>} violations - The violations
+   * @param {number} timeoutDuration - Timeout length in milliseconds
+   * @returns {Promise<void>}
+   */
+  async sendWarning(message, action, violations, timeoutDuration) {
+    try {
+      const warningEmbed = new EmbedBuilder()
+        .setTitle('⚠️ AutoMod Warning')
+        .setDescription(`Your message in ${message.guild.name} was flagged for the following reason(s):\n\n${violations.map((v) => `• ${v}`).join('\n')}`)
+        .setColor('#FF9900')
+        .setTimestamp();
+
+      if (action === 'timeout') {
+        warningEmbed.addFields({
+          name: '🔇 Timeout Applied',
+          value: `You have been timed out for ${userLogger.formatDuration(timeoutDuration)}.`,
+        });
+      } else if (action === 'kick' || action === 'ban') {
+        warningEmbed.addFields({
+          name: action === 'kick' ? '👢 Kicked' : '🔨 Banned',
+          value: `You have been ${action === 'kick' ? 'kicked' : 'banned'} from ${message.guild.name}.`,
+        });
+      }
+
+      await message.author.send({
+        embeds: [warningEmbed],
+        components: action === 'ban' ? appeals.buildAppealComponents(message.guild) : [],
+      });
+    } catch (error) {
+      logger.warn(`Could not send warning DM to ${message.author.tag}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Post an automod action to the guild's log channel
+   * @param {Client} client - The Discord client
+   * @param {Object} settings - The guild's automod settings
+   * @param {Message} message - The offending message
+   * @param {Object} details - The outcome, violations, timeout duration, violation count and content
+   * @returns {Promise<void>}
+   */
+  async sendLog(client, settings, message, details) {
+    if (!settings.logChannel) return;
+
+    const logChannel = client.channels.cache.get(settings.logChannel);
+    if (!logChannel) return;
+
+    const { outcome, violations, timeoutDuration, violationCount, content } = details;
+    const { action, step } = outcome;
+    const autoMod = config.autoMod || {};
+
+    try {
+      const logEmbed = new EmbedBuilder()
+        .setTitle(step ? '⚠️ AutoMod Escalation' : '🛡️ AutoMod Action')
+        .setDescription(`**User:** ${message.author.tag} (${message.author.id})\n**Channel:** <#${message.channel.id}>\n**Rule:** ${this.formatRuleLabel(outcome.rule)}\n**Action:** ${action}\n**Violations:** ${violations.join(', ')}`)
+        .setColor(step ? '#FF0000' : '#FF9900')
+        .setTimestamp();
+
+      if (content) {
+        logEmbed.addFields({
+          name: 'Message Content',
+          value: content.length > 1024 ? content.substring(0, 1021) + '...' : content,
+        });
+      }
+
+      if (action === 'timeout') {
+        logEmbed.addFields({ name: 'Timeout Duration', value: userLogger.formatDuration(timeoutDuration), inline: true });
+      }
+
+      if (step) {
+        logEmbed.addFields({ name: 'Recent Violations', value: `${violationCount} (escalates at ${step.count})`, inline: true });
+      }
+
+      await logChannel.send({
+        content: step && autoMod.pingModRole && autoMod.modRoleId ? `<@&${autoMod.modRoleId}>` : null,
+        embeds: [logEmbed],
+      });
+    } catch (error) {
+      logger.error(`Failed to send automod log: ${error.message}`);
+    }
+  }
+
+  /**
+   * Bulk delete the earlier messages of a burst and reset the author's window
+   * @param {Client} client - The Discord client
+   * @param {Message} message - The message that triggered the cleanup
+   * @param {Object[]} entries - History entries to remove
+   * @returns {Promise<void>}
+   */
+  async cleanupMessages(client, message, entries) {
+    const byChannel = new Map();
+
+    for (const entry of entries) {
+      if (entry.messageId === message.id) continue;
+      if (!byChannel.has(entry.channelId)) byChannel.set(entry.channelId, new Set());
+      byChannel.get(entry.channelId).add(entry.messageId);
+    }
+
+    for (const [channelId, messageIds] of byChannel) {
+      const channel = client.channels.cache.get(channelId);
+      if (!channel) continue;
+
+      try {
+        if (messageIds.size === 1) {
+          await channel.messages.delete([...messageIds][0]);
+        } else {
+          // Filter out messages older than 14 days, which Discord can't bulk delete
+          await channel.bulkDelete([...messageIds], true);
+        }
+      } catch (error) {
+        logger.error(`Failed to clean up spam in #${channel.name}: ${error.message}`);
+      }
+    }
+
+    // Start the author's window afresh so the same burst doesn't trigger again
+    this.messageHistory.delete(`${message.guild.id}:${message.author.id}`);
+  }
+
+  /**
+   * Remember a flood trigger for /automod status
+   * @param {Message} message - The triggering message
+   * @param {Object} outcome - The deciding match
+   * @param {string} action - The action taken
+   */
+  recordBurst(message, outcome, action) {
+    const bursts = this.recentBursts.get(message.guild.id) || [];
+
+    bursts.unshift({
+      userId: message.author.id,
+      violation: outcome.violation,
+      action,
+      timestamp: Date.now(),
+    });
+
+    this.recentBursts.set(message.guild.id, bursts.slice(0, RECENT_BURST_LIMIT));
+  }
+
+  /**
+   * Describe the sliding-window tracker for a guild
+   * @param {string} guildId - The guild ID
+   * @param {string} [userId] - A member whose current window should be included
+   * @returns {Object} Tracked member count, recent triggers and the member's window
+   */
+  getTrackerState(guildId, userId) {
+    const now = Date.now();
+    const prefix = `${guildId}:`;
+    let trackedMembers = 0;
+
+    for (const [key, entries] of this.messageHistory) {
+      if (key.startsWith(prefix) && now - entries[entries.length - 1].timestamp < HISTORY_TTL) {
+        trackedMembers++;
+      }
+    }
+
+    const state = {
+      trackedMembers,
+      recentBursts: this.recentBursts.get(guildId) || [],
+      member: null,
+    };
+
+    if (userId) {
+      const history = (this.messageHistory.get(`${prefix}${userId}`) || [])
+        .filter((entry) => now - entry.timestamp < HISTORY_TTL);
+
+      state.member = {
+        messages: history.length,
+        channels: new Set(history.map((entry) => entry.channelId)).size,
+        mentions: history.reduce((total, entry) => total + entry.mentions, 0),
+        lastMessageAt: history.length > 0 ? history[history.length - 1].timestamp : null,
+      };
+    }
+
+    return state;
+  }
+
+  /**
+   * Describe a rule for logs and reasons
+   * @param {Object} rule - The rule
+   * @returns {string} The label
+   */
+  formatRuleLabel(rule) {
+    return rule.builtin ? `built-in ${rule.name} filter` : `rule #${rule.id} "${rule.name}"`;
+  }
+
+  /**
+   * Add a message to the author's sliding window and return their recent history
+   * @param {Message} message - The Discord message
+   * @returns {Object[]} The author's recent messages, including this one
+   */
+  recordHistory(message) {
+    const now = Date.now();
+    const key = `${message.guild.id}:${message.author.id}`;
+    const history = (this.messageHistory.get(key) || []).filter((entry) => now - entry.timestamp < HISTORY_TTL);
+
+    history.push({
+      messageId: message.id,
+      channelId: message.channel.id,
+      content: message.content.trim().toLowerCase(),
+      mentions: message.mentions.users.size + message.mentions.roles.size + (message.mentions.everyone ? 1 : 0),
+      timestamp: now,
+    });
+    this.messageHistory.set(key, history.slice(-HISTORY_LIMIT));
+
+    // Drop members who have gone quiet so the map doesn't grow forever
+    if (now - this.lastHistoryPrune > HISTORY_TTL) {
+      for (const [historyKey, entries] of this.messageHistory) {
+        if (now - entries[entries.length - 1].timestamp >= HISTORY_TTL) {
+          this.messageHistory.delete(historyKey);
+        }
+      }
+      this.lastHistoryPrune = now;
+    }
+
+    return this.messageHistory.get(key);
+  }
+
+  /**
+   * Drop the cached settings for a guild so the next read hits the database
+   * @param {string} guildId - The guild ID
+   */
+  invalidate(guildId) {
+    this.settingsCache.delete(guildId);
+  }
+
+  /**
+   * Throw if the feature name is unknown
+   * @param {string} feature - The feature name
+   */
+  assertFeature(feature) {
+    if (!FEATURES.includes(feature)) {
+      throw new Error(`Unknown automod feature: ${feature}`);
+    }
+  }
+
+  /**
+   * Throw if the action name is unknown
+   * @param {string} action - The action name
+   */
+  assertAction(action) {
+    if (!ACTIONS.includes(action)) {
+      throw new Error(`Unknown automod action: ${action}`);
+    }
+  }
+}
+
+module.exports = new AutoMod();
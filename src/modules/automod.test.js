@@ -0,0 +1,447 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+jest.mock('../../config.json', () => ({ autoMod: { enabled: true } }), { virtual: true });
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../utils/database', () => ({ isConnected: false, query: jest.fn() }));
+jest.mock('../utils/userLogger', () => ({
+  formatDuration: () => '5 minutes',
+  logMute: jest.fn(),
+  logKick: jest.fn(),
+  logBan: jest.fn(),
+  logAutoModAction: jest.fn(),
+}));
+jest.mock('./warningPolicies', () => ({ issueWarning: jest.fn() }));
+jest.mock('./appeals', () => ({ buildAppealComponents: () => ['appeal'] }));
+
+const { Collection } = require('discord.js');
+const warningPolicies = require('./warningPolicies');
+const autoMod = require('./automod');
+
+let settings;
+let messageId = 0;
+
+/**
+ * Build a guild message from a member without moderation permissions
+ * @param {string} content - The message content
+ * @param {Object} [overrides] - Fields to replace
+ * @returns {Object} The message
+ */
+function createMessage(content, overrides = {}) {
+  return {
+    id: String(++messageId),
+    content,
+    guild: { id: 'guild', name: 'Guild' },
+    author: { id: 'user', tag: 'user#0001', bot: false },
+    member: { permissions: { has: () => false }, roles: { cache: new Collection() } },
+    channel: { id: 'channel', parentId: null, name: 'general' },
+    mentions: { users: new Collection(), roles: new Collection(), everyone: false },
+    attachments: new Collection(),
+    ...overrides,
+  };
+}
+
+/**
+ * Build a custom rule the way normalizeRule loads it
+ * @param {Object} rule - Fields to set
+ * @returns {Object} The rule
+ */
+function createRule(rule) {
+  return { id: 1, name: `${rule.type} rule`, options: {}, scope: {}, action: 'delete', duration: null, escalation: [], builtin: false, ...rule };
+}
+
+/**
+ * Run a message through automod
+ * @param {Object} message - The message
+ * @returns {Promise<Object|null>} The outcome passed to applyAction, null if nothing matched
+ */
+async function run(message) {
+  autoMod.applyAction.mockClear();
+  await autoMod.processMessage(message, {});
+  return autoMod.applyAction.mock.calls.length > 0 ? autoMod.applyAction.mock.calls[0][3] : null;
+}
+
+beforeEach(() => {
+  settings = autoMod.getDefaults();
+  autoMod.messageHistory.clear();
+  autoMod.patternCache.clear();
+
+  jest.spyOn(autoMod, 'getGuildSettings').mockImplementation(async () => settings);
+  jest.spyOn(autoMod, 'getRecentViolationCount').mockResolvedValue(0);
+  jest.spyOn(autoMod, 'applyAction').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('detectors', () => {
+  it('ignores messages when no rule is enabled', async () => {
+    await expect(run(createMessage('AAAAAAAAAAAAAAAA https://example.com'))).resolves.toBeNull();
+  });
+
+  it('skips members who can moderate', async () => {
+    settings.features.caps.enabled = true;
+    const message = createMessage('THIS IS ALL CAPS TEXT');
+    message.member.permissions.has = (permission) => permission === 'ModerateMembers';
+
+    await expect(run(message)).resolves.toBeNull();
+  });
+
+  it('flags repeated characters, banned words and caps', async () => {
+    settings.features.spam.enabled = true;
+    settings.features.words = { ...settings.features.words, enabled: true, words: ['Badword'] };
+    settings.features.caps.enabled = true;
+
+    await expect(run(createMessage('heyyyyyyyyyy'))).resolves.toMatchObject({ violation: 'Excessive repeated characters (spam)' });
+    await expect(run(createMessage('that is a BADWORD'))).resolves.toMatchObject({ violation: 'Banned word/phrase' });
+    await expect(run(createMessage('WHY IS EVERYONE SHOUTING'))).resolves.toMatchObject({ violation: expect.stringMatching(/^Excessive caps/) });
+    await expect(run(createMessage('a normal message'))).resolves.toBeNull();
+  });
+
+  it('only counts caps in messages longer than the minimum length', async () => {
+    settings.features.caps.enabled = true;
+
+    await expect(run(createMessage('OK THANKS'))).resolves.toBeNull();
+  });
+
+  it('blocks links outside the allow list', async () => {
+    settings.features.links = { ...settings.features.links, enabled: true, allowed: ['jmfhosting.com'] };
+
+    await expect(run(createMessage('see https://jmfhosting.com/status'))).resolves.toBeNull();
+    await expect(run(createMessage('see https://example.com/free'))).resolves.toMatchObject({ violation: 'Disallowed link' });
+  });
+
+  it('only blocks denied invites when a deny list is set', async () => {
+    settings.rules = [createRule({ type: 'invites', options: { denied: ['discord.gg/scam'] } })];
+
+    await expect(run(createMessage('join discord.gg/friends'))).resolves.toBeNull();
+    await expect(run(createMessage('join discord.gg/scam'))).resolves.toMatchObject({ violation: 'Discord invite link' });
+  });
+
+  it('matches regex rules without carrying state between messages', async () => {
+    settings.rules = [createRule({ type: 'regex', options: { pattern: 'free\\s+nitro', flags: 'gi' } })];
+
+    await expect(run(createMessage('FREE   Nitro here'))).resolves.toMatchObject({ violation: 'Matched a blocked pattern' });
+    await expect(run(createMessage('free nitro again'))).resolves.toMatchObject({ violation: 'Matched a blocked pattern' });
+  });
+
+  it('ignores regex rules with an invalid pattern', async () => {
+    settings.rules = [createRule({ type: 'regex', options: { pattern: '(unclosed' } })];
+
+    await expect(run(createMessage('(unclosed'))).resolves.toBeNull();
+  });
+
+  it('flags zalgo text', async () => {
+    settings.rules = [createRule({ type: 'zalgo' })];
+
+    await expect(run(createMessage('h́̂̃ē̅̆l̇̈l̉o'))).resolves.toMatchObject({
+      violation: expect.stringMatching(/^Zalgo text/),
+    });
+    await expect(run(createMessage('café crème'))).resolves.toBeNull();
+  });
+
+  it('blocks dangerous attachments by default', async () => {
+    settings.rules = [createRule({ type: 'attachments' })];
+    const attachments = (name, contentType) => new Collection([['1', { name, contentType }]]);
+
+    await expect(run(createMessage('', { attachments: attachments('setup.EXE', 'application/x-msdownload') }))).resolves.toMatchObject({
+      violation: 'Blocked attachment type: .exe',
+    });
+    await expect(run(createMessage('', { attachments: attachments('cat.png', 'image/png') }))).resolves.toBeNull();
+  });
+
+  it('matches attachment allow lists on extension or MIME type', async () => {
+    settings.rules = [createRule({ type: 'attachments', options: { allowed: ['image/', '.txt'] } })];
+    const attachments = (name, contentType) => new Collection([['1', { name, contentType }]]);
+
+    await expect(run(createMessage('', { attachments: attachments('cat.webp', 'image/webp') }))).resolves.toBeNull();
+    await expect(run(createMessage('', { attachments: attachments('notes.txt', null) }))).resolves.toBeNull();
+    await expect(run(createMessage('', { attachments: attachments('song.mp3', 'audio/mpeg') }))).resolves.toMatchObject({
+      violation: 'Blocked attachment type: .mp3',
+    });
+  });
+});
+
+describe('regex patterns', () => {
+  it.each([
+    '(a+)+$',
+    '(\\w*\\s?)*x',
+    '((ab)*c)+',
+    '(?:x|y+){2,}',
+  ])('refuses the nested quantifiers in %s', async (pattern) => {
+    await expect(autoMod.createRule('guild', { name: 'bad', type: 'regex', options: { pattern } }, 'admin'))
+      .rejects.toThrow('cannot repeat a group that already repeats');
+    expect(autoMod.compilePattern(pattern)).toBeNull();
+  });
+
+  it('refuses overly long patterns', async () => {
+    await expect(autoMod.createRule('guild', { name: 'long', type: 'regex', options: { pattern: 'a'.repeat(201) } }, 'admin'))
+      .rejects.toThrow('at most 200 characters');
+  });
+
+  it.each([
+    'free\\s+nitro',
+    '(free|cheap)\\s+nitro',
+    '(ab){2}c+',
+    '[(+]+x',
+    '\\(a+\\)+',
+  ])('allows %s', (pattern) => {
+    expect(autoMod.compilePattern(pattern)).toBeInstanceOf(RegExp);
+  });
+
+  it('ignores stored rules with a refused pattern', async () => {
+    settings.rules = [createRule({ type: 'regex', options: { pattern: '(a+)+$' } })];
+
+    await expect(run(createMessage(`${'a'.repeat(40)}!`))).resolves.toBeNull();
+  });
+
+  it('only matches the start of very long messages', async () => {
+    settings.rules = [createRule({ type: 'regex', options: { pattern: 'needle' } })];
+
+    await expect(run(createMessage(`${'x'.repeat(4000)}needle`))).resolves.toBeNull();
+    await expect(run(createMessage(`${'x'.repeat(3990)}needle`))).resolves.toMatchObject({ violation: 'Matched a blocked pattern' });
+  });
+
+  it('keeps the pattern cache bounded, dropping the least recently used', () => {
+    autoMod.compilePattern('first');
+
+    for (let i = 0; i < 250; i++) {
+      autoMod.compilePattern(`pattern${i}`);
+      autoMod.compilePattern('first');
+    }
+
+    expect(autoMod.patternCache.size).toBe(200);
+    expect(autoMod.patternCache.has('i/first')).toBe(true);
+    expect(autoMod.patternCache.has('i/pattern0')).toBe(false);
+  });
+});
+
+describe('scopes', () => {
+  beforeEach(() => {
+    settings.rules = [createRule({ type: 'words', options: { words: ['spoiler'] } })];
+  });
+
+  it('limits rules to their channels, including threads under them', async () => {
+    settings.rules[0].scope = { channels: ['memes'] };
+
+    await expect(run(createMessage('spoiler'))).resolves.toBeNull();
+    await expect(run(createMessage('spoiler', { channel: { id: 'memes', name: 'memes' } }))).resolves.not.toBeNull();
+    await expect(run(createMessage('spoiler', { channel: { id: 'thread', parentId: 'memes', name: 'thread' } }))).resolves.not.toBeNull();
+  });
+
+  it('skips excluded channels and roles', async () => {
+    settings.rules[0].scope = { excludeChannels: ['channel'] };
+    await expect(run(createMessage('spoiler'))).resolves.toBeNull();
+
+    settings.rules[0].scope = { excludeRoles: ['trusted'] };
+    const member = { permissions: { has: () => false }, roles: { cache: new Collection([['trusted', { id: 'trusted' }]]) } };
+    await expect(run(createMessage('spoiler', { member }))).resolves.toBeNull();
+    await expect(run(createMessage('spoiler'))).resolves.not.toBeNull();
+  });
+
+  it('skips exempt channels for every rule', async () => {
+    settings.exemptChannels = ['channel'];
+
+    await expect(run(createMessage('spoiler'))).resolves.toBeNull();
+  });
+});
+
+describe('escalation', () => {
+  const rule = createRule({
+    type: 'words',
+    options: { words: ['spam'] },
+    action: 'delete',
+    escalation: [
+      { count: 2, action: 'warn' },
+      { count: 3, action: 'timeout', duration: 600000 },
+      { count: 5, action: 'ban' },
+    ],
+  });
+
+  it('uses the base action below the first step', () => {
+    expect(autoMod.resolveAction(rule, 1)).toEqual({ action: 'delete', duration: null, step: null });
+  });
+
+  it('climbs the ladder with the violation count', () => {
+    expect(autoMod.resolveAction(rule, 2)).toMatchObject({ action: 'warn', step: rule.escalation[0] });
+    expect(autoMod.resolveAction(rule, 4)).toMatchObject({ action: 'timeout', duration: 600000, step: rule.escalation[1] });
+    expect(autoMod.resolveAction(rule, 9)).toMatchObject({ action: 'ban', step: rule.escalation[2] });
+  });
+
+  it('never de-escalates below the base action', () => {
+    const strict = { ...rule, action: 'kick' };
+
+    expect(autoMod.resolveAction(strict, 4)).toEqual({ action: 'kick', duration: null, step: null });
+    expect(autoMod.resolveAction(strict, 5)).toMatchObject({ action: 'ban' });
+  });
+
+  it('counts the current message towards the ladder', async () => {
+    settings.rules = [rule];
+    autoMod.getRecentViolationCount.mockResolvedValue(2);
+
+    await expect(run(createMessage('spam'))).resolves.toMatchObject({ action: 'timeout', duration: 600000 });
+    expect(autoMod.applyAction.mock.calls[0][5]).toBe(3);
+  });
+
+  it('acts on the most severe of several matching rules', async () => {
+    settings.rules = [
+      createRule({ id: 1, type: 'words', options: { words: ['spam'] }, action: 'warn' }),
+      createRule({ id: 2, type: 'regex', options: { pattern: 'sp.m' }, action: 'kick' }),
+      createRule({ id: 3, type: 'words', options: { words: ['sp'] }, action: 'delete' }),
+    ];
+
+    const outcome = await run(createMessage('spam'));
+    expect(outcome).toMatchObject({ action: 'kick', rule: { id: 2 } });
+    expect(autoMod.applyAction.mock.calls[0][4]).toHaveLength(3);
+  });
+});
+
+describe('flood', () => {
+  const mention = (count) => ({ users: new Collection(Array.from({ length: count }, (_, i) => [String(i), {}])), roles: new Collection(), everyone: false });
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-03-01T12:00:00Z') });
+    settings.features.flood = { ...settings.features.flood, enabled: true, messages: 4, interval: 5000, duplicates: 3, mentions: 6 };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('flags a burst of messages and cleans up the whole burst', async () => {
+    for (let i = 1; i <= 3; i++) {
+      await expect(run(createMessage(`message ${i}`))).resolves.toBeNull();
+      jest.advanceTimersByTime(1000);
+    }
+
+    const outcome = await run(createMessage('message 4'));
+    expect(outcome).toMatchObject({ violation: 'Message flood: 4 messages in 5s', action: 'timeout' });
+    expect(outcome.cleanup).toHaveLength(4);
+  });
+
+  it('lets messages spread over the interval through', async () => {
+    for (let i = 1; i <= 6; i++) {
+      await expect(run(createMessage(`message ${i}`))).resolves.toBeNull();
+      jest.advanceTimersByTime(2000);
+    }
+  });
+
+  it('flags the same content posted across channels', async () => {
+    await run(createMessage('buy cheap gold', { channel: { id: 'one', name: 'one' } }));
+    jest.advanceTimersByTime(6000);
+    await run(createMessage('Buy cheap gold ', { channel: { id: 'two', name: 'two' } }));
+    jest.advanceTimersByTime(6000);
+
+    const outcome = await run(createMessage('buy cheap gold', { channel: { id: 'three', name: 'three' } }));
+    expect(outcome).toMatchObject({ violation: 'Duplicate content: 3 times across 3 channels' });
+    expect(outcome.cleanup.map((entry) => entry.channelId)).toEqual(['one', 'two', 'three']);
+  });
+
+  it('flags mention bursts spread over several messages', async () => {
+    await expect(run(createMessage('hi', { mentions: mention(3) }))).resolves.toBeNull();
+    jest.advanceTimersByTime(6000);
+
+    const outcome = await run(createMessage('hello', { mentions: mention(3) }));
+    expect(outcome).toMatchObject({ violation: 'Mention burst: 6 mentions in 15s' });
+    expect(outcome.cleanup).toHaveLength(2);
+  });
+
+  it('keeps separate history per member', async () => {
+    for (let i = 1; i <= 3; i++) {
+      await run(createMessage(`message ${i}`));
+    }
+
+    await expect(run(createMessage('message 4', { author: { id: 'other', tag: 'other#0001', bot: false } }))).resolves.toBeNull();
+  });
+});
+
+describe('applyAction', () => {
+  const client = { user: { id: 'bot' } };
+
+  /**
+   * Build a flagged message from a member the bot can act on
+   * @returns {Object} The message
+   */
+  function flaggedMessage() {
+    return createMessage('bad word', {
+      delete: jest.fn(),
+      author: { id: 'user', tag: 'user#0001', bot: false, send: jest.fn() },
+      member: { moderatable: true, kickable: true, bannable: true, timeout: jest.fn(), kick: jest.fn(), ban: jest.fn() },
+    });
+  }
+
+  const act = (message, action) => autoMod.applyAction(
+    message,
+    client,
+    settings,
+    { rule: createRule({ type: 'words' }), action, step: null },
+    [{ violation: 'Banned word' }],
+    1,
+  );
+
+  const order = (mock) => mock.mock.invocationCallOrder[0];
+
+  beforeEach(() => {
+    autoMod.applyAction.mockRestore();
+    jest.spyOn(autoMod, 'sendLog').mockResolvedValue();
+  });
+
+  it('times the member out before telling them', async () => {
+    const message = flaggedMessage();
+
+    await act(message, 'timeout');
+
+    expect(message.delete).toHaveBeenCalled();
+    expect(message.member.timeout).toHaveBeenCalledWith(300000, expect.stringContaining('Banned word'));
+    expect(order(message.member.timeout)).toBeLessThan(order(message.author.send));
+  });
+
+  it('kicks the member before telling them', async () => {
+    const message = flaggedMessage();
+
+    await act(message, 'kick');
+
+    expect(order(message.member.kick)).toBeLessThan(order(message.author.send));
+  });
+
+  it('tells the member about a ban, with the appeal button, right before banning', async () => {
+    const message = flaggedMessage();
+
+    await act(message, 'ban');
+
+    expect(message.author.send).toHaveBeenCalledWith(expect.objectContaining({ components: ['appeal'] }));
+    expect(order(message.author.send)).toBeLessThan(order(message.member.ban));
+  });
+
+  it.each([
+    ['timeout', 'moderatable'],
+    ['kick', 'kickable'],
+    ['ban', 'bannable'],
+  ])('does not %s or DM a member the bot cannot act on', async (action, check) => {
+    const message = flaggedMessage();
+    message.member[check] = false;
+
+    await act(message, action);
+
+    expect(message.member[action]).not.toHaveBeenCalled();
+    expect(message.author.send).not.toHaveBeenCalled();
+    expect(message.delete).toHaveBeenCalled();
+  });
+
+  it('warns, then tells the member', async () => {
+    const message = flaggedMessage();
+
+    await act(message, 'warn');
+
+    expect(warningPolicies.issueWarning).toHaveBeenCalled();
+    expect(order(warningPolicies.issueWarning)).toBeLessThan(order(message.author.send));
+  });
+});
@@ -0,0 +1,516 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../../config.json');
+const logger = require('../utils/logger');
+const db = require('../utils/database');
+const { createDatabaseQuery } = require('../utils/errors');
+const eventBus = require('../utils/eventBus');
+const { toSqlDateTime, formatDuration, parseSqlDate } = require('../utils/timeUtils');
+
+const query = createDatabaseQuery('The case store requires a database connection');
+
+// Case types, with the key each one used in the legacy data/users/*.json files
+const CASE_TYPES = {
+  warning: { label: 'Warning', color: '#FFA500', legacy: 'warnings' },
+  ban: { label: 'Ban', color: '#FF0000', legacy: 'bans' },
+  unban: { label: 'Unban', color: '#00FF00', legacy: 'unbans' },
+  kick: { label: 'Kick', color: '#FF7F00', legacy: 'kicks' },
+  mute: { label: 'Timeout', color: '#FFFF00', legacy: 'mutes' },
+  note: { label: 'Note', color: '#00FFFF', legacy: 'notes' },
+};
+
+const LEGACY_CASE_DIR = path.join(__dirname, '../../data/users');
+
+/**
+ * Moderation case store. Every warning, ban, unban, kick, timeout and note is
+ * a case with a case number that increments per guild.
+ */
+class ModerationCases {
+  constructor() {
+    this.client = null;
+  }
+
+  /**
+   * Import the legacy case files on the first start with an empty case store
+   * @param {Client} client - The Discord client
+   * @returns {Promise<void>}
+   */
+  async init(client) {
+    this.client = client;
+
+    if (!this.isAvailable() || config.moderation?.importCaseFiles === false) return;
+
+    const guildId = config.guildId || client.guilds.cache.first()?.id;
+    if (!guildId) return;
+
+    try {
+      if (await this.countCases(guildId, { includeDeleted: true }) > 0) return;
+
+      const result = await this.importLegacyCaseFiles(guildId);
+      if (result.imported > 0) {
+        logger.info(`Imported ${result.imported} case(s) from ${result.files} legacy case file(s)`);
+      }
+    } catch (error) {
+      logger.error(`Failed to import legacy case files: ${error.message}`);
+    }
+  }
+
+  /**
+   * Whether the case store can be used
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return db.isConnected;
+  }
+
+  /**
+   * Create a case with the next case number for the guild
+   * @param {string} guildId - The guild ID
+   * @param {Object} data - The case data
+   * @param {string} data.type - One of CASE_TYPES
+   * @param {Object} data.user - The target user ({ id, tag })
+   * @param {Object|null} data.moderator - The moderator ({ id, tag }), null for automatic cases
+   * @param {string} [data.reason] - The reason
+   * @param {number} [data.duration] - Duration in milliseconds (bans, timeouts)
+   * @param {Date} [data.expiresAt] - When the action expires
+   * @param {Object} [data.metadata] - Extra type specific data
+   * @param {string} [data.source='manual'] - manual, automod, system or import
+   * @param {string} [data.legacyRef] - Legacy case file reference, duplicates are skipped
+   * @param {Date} [data.createdAt] - Creation time, defaults to now
+   * @returns {Promise<Object|null>} The case, or null if a legacy case was already imported
+   */
+  async createCase(guildId, data) {
+    this.assertType(data.type);
+
+    // The case number is computed inside the insert so concurrent cases can't share one
+    const result = await query(
+      `INSERT ${data.legacyRef ? 'OR IGNORE ' : ''}INTO moderation_cases (guild_id, case_number, type, user_id, user_tag, moderator_id, moderator_tag, reason, duration, expires_at, metadata, source, legacy_ref, created_at)
+       SELECT ?, COALESCE(MAX(case_number), 0) + 1, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ? FROM moderation_cases WHERE guild_id = ?`,
+      [
+        guildId,
+        data.type,
+        data.user.id,
+        data.user.tag || null,
+        data.moderator ? data.moderator.id : null,
+        data.moderator ? data.moderator.tag : null,
+        data.reason || null,
+        data.duration || null,
+        data.expiresAt ? toSqlDateTime(data.expiresAt) : null,
+        data.metadata ? JSON.stringify(data.metadata) : null,
+        data.source || 'manual',
+        data.legacyRef || null,
+        toSqlDateTime(data.createdAt || new Date()),
+        guildId,
+      ],
+    );
+
+    if (!result.changes) return null;
+
+    await this.addHistory(result.lastID, 'created', null, data.reason || null, data.moderator ? data.moderator.id : null);
+    const created = await this.getCaseById(result.lastID);
+
+    // Imported cases are history, not something that just happened
+    if (created.source !== 'import') {
+      eventBus.publish(`moderation.${created.type}`, {
+        guildId: created.guildId,
+        caseNumber: created.caseNumber,
+        userId: created.userId,
+        userTag: created.userTag,
+        moderatorId: created.moderatorId,
+        reason: created.reason,
+        duration: created.duration,
+        expiresAt: created.expiresAt ? created.expiresAt.toISOString() : null,
+        source: created.source,
+        createdAt: created.createdAt.toISOString(),
+      });
+    }
+
+    return created;
+  }
+
+  /**
+   * Get a case by its row ID
+   * @param {number} id - The row ID
+   * @returns {Promise<Object|null>} The case
+   */
+  async getCaseById(id) {
+    const rows = await query('SELECT * FROM moderation_cases WHERE id = ?', [id]);
+    return rows[0] ? this.rowToCase(rows[0]) : null;
+  }
+
+  /**
+   * Get a case by its guild case number
+   * @param {string} guildId - The guild ID
+   * @param {number} caseNumber - The case number
+   * @param {boolean} [includeDeleted=false] - Whether deleted cases are returned
+   * @returns {Promise<Object|null>} The case
+   */
+  async getCase(guildId, caseNumber, includeDeleted = false) {
+    const rows = await query(
+      `SELECT * FROM moderation_cases WHERE guild_id = ? AND case_number = ?${includeDeleted ? '' : ' AND deleted_at IS NULL'}`,
+      [guildId, caseNumber],
+    );
+    return rows[0] ? this.rowToCase(rows[0]) : null;
+  }
+
+  /**
+   * List cases, newest first
+   * @param {string} guildId - The guild ID
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.userId] - Only cases against this user
+   * @param {string} [filters.type] - Only cases of this type
+   * @param {boolean} [filters.includeDeleted=false] - Whether deleted cases are included
+   * @param {number} [filters.limit=10] - Page size
+   * @param {number} [filters.offset=0] - Page offset
+   * @returns {Promise<Array<Object>>} The cases
+   */
+  async listCases(guildId, filters = {}) {
+    const { where, params } = this.buildFilter(guildId, filters);
+    const rows = await query(
+      `SELECT * FROM moderation_cases WHERE ${where} ORDER BY case_number DESC LIMIT ? OFFSET ?`,
+      [...params, filters.limit || 10, filters.offset || 0],
+    );
+    return rows.map((row) => this.rowToCase(row));
+  }
+
+  /**
+   * Count cases matching the same filters as listCases
+   * @param {string} guildId - The guild ID
+   * @param {Object} [filters] - Filters
+   * @returns {Promise<number>} The number of cases
+   */
+  async countCases(guildId, filters = {}) {
+    const { where, params } = this.buildFilter(guildId, filters);
+    const rows = await query(`SELECT COUNT(*) AS count FROM moderation_cases WHERE ${where}`, params);
+    return rows[0] ? rows[0].count : 0;
+  }
+
+  /**
+   * Count a user's cases per type
+   * @param {string} guildId - The guild ID
+   * @param {string} userId - The user ID
+   * @returns {Promise<Object>} Counts keyed by case type
+   */
+  async getCaseCounts(guildId, userId) {
+    const rows = await query(
+      'SELECT type, COUNT(*) AS count FROM moderation_cases WHERE guild_id = ? AND user_id = ? AND deleted_at IS NULL GROUP BY type',
+      [guildId, userId],
+    );
+
+    const counts = Object.fromEntries(Object.keys(CASE_TYPES).map((type) => [type, 0]));
+    for (const row of rows) {
+      counts[row.type] = row.count;
+    }
+    return counts;
+  }
+
+  /**
+   * Change the reason of a case
+   * @param {string} guildId - The guild ID
+   * @param {number} caseNumber - The case number
+   * @param {string} reason - The new reason
+   * @param {string} editorId - Who edited the case
+   * @returns {Promise<Object|null>} The updated case, null if it doesn't exist
+   */
+  async updateReason(guildId, caseNumber, reason, editorId) {
+    const existing = await this.getCase(guildId, caseNumber);
+    if (!existing) return null;
+
+    await query(
+      'UPDATE moderation_cases SET reason = ?, updated_at = ?, updated_by = ? WHERE id = ?',
+      [reason, toSqlDateTime(), editorId, existing.id],
+    );
+    await this.addHistory(existing.id, 'edited', existing.reason, reason, editorId);
+
+    logger.info(`Case #${caseNumber} in guild ${guildId} reason changed by ${editorId}`);
+    return this.getCaseById(existing.id);
+  }
+
+  /**
+   * Delete a case. The row is kept (and its number never reused) so the
+   * history stays intact, but it is hidden from every listing.
+   * @param {string} guildId - The guild ID
+   * @param {number} caseNumber - The case number
+   * @param {string} deletedBy - Who deleted the case
+   * @param {string} [reason] - Why the case was deleted
+   * @returns {Promise<Object|null>} The deleted case, null if it doesn't exist
+   */
+  async deleteCase(guildId, caseNumber, deletedBy, reason = null) {
+    const existing = await this.getCase(guildId, caseNumber);
+    if (!existing) return null;
+
+    await query(
+      'UPDATE moderation_cases SET deleted_at = ?, deleted_by = ? WHERE id = ?',
+      [toSqlDateTime(), deletedBy, existing.id],
+    );
+    await this.addHistory(existing.id, 'deleted', null, reason, deletedBy);
+
+    logger.info(`Case #${caseNumber} in guild ${guildId} deleted by ${deletedBy}`);
+    return existing;
+  }
+
+  /**
+   * Record an entry in a case's history
+   * @param {number} caseId - The case row ID
+   * @param {string} action - What happened (created, edited, deleted, ...)
+   * @param {string|null} oldValue - The previous value
+   * @param {string|null} newValue - The new value
+   * @param {string|null} actorId - Who did it
+   * @returns {Promise<void>}
+   */
+  async addHistory(caseId, action, oldValue, newValue, actorId) {
+    await query(
+      'INSERT INTO case_history (case_id, action, old_value, new_value, actor_id, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+      [caseId, action, oldValue, newValue, actorId, toSqlDateTime()],
+    );
+  }
+
+  /**
+   * Get a case's history, oldest first
+   * @param {number} caseId - The case row ID
+   * @returns {Promise<Array<Object>>} The history entries
+   */
+  async getHistory(caseId) {
+    const rows = await query('SELECT * FROM case_history WHERE case_id = ? ORDER BY id ASC', [caseId]);
+    return rows.map((row) => ({
+      action: row.action,
+      oldValue: row.old_value,
+      newValue: row.new_value,
+      actorId: row.actor_id,
+      createdAt: parseSqlDate(row.created_at),
+    }));
+  }
+
+  /**
+   * Import the warnings, bans, unbans, kicks, timeouts and notes from the
+   * legacy data/users/*.json case files. Entries are imported oldest first so
+   * the case numbers follow the original order; entries that were already
+   * imported are skipped, so the import can safely be run again.
+   * @param {string} guildId - The guild the cases belong to
+   * @param {string} [directory] - The case file directory
+   * @returns {Promise<Object>} { files, imported, skipped }
+   */
+  async importLegacyCaseFiles(guildId, directory = LEGACY_CASE_DIR) {
+    const files = (await fs.readdir(directory).catch(() => [])).filter((file) => file.endsWith('.json'));
+    const entries = [];
+
+    for (const file of files) {
+      let userData;
+      try {
+        userData = JSON.parse(await fs.readFile(path.join(directory, file), 'utf8'));
+      } catch (error) {
+        logger.warn(`Skipping unreadable case file ${file}: ${error.message}`);
+        continue;
+      }
+
+      const userId = userData.userId || path.basename(file, '.json');
+
+      for (const [type, { legacy }] of Object.entries(CASE_TYPES)) {
+        for (const entry of userData[legacy] || []) {
+          entries.push({ type, userId, userTag: userData.username, entry, legacy });
+        }
+      }
+    }
+
+    entries.sort((a, b) => new Date(a.entry.timestamp) - new Date(b.entry.timestamp));
+
+    let imported = 0;
+    for (const { type, userId, userTag, entry, legacy } of entries) {
+      const created = await this.createCase(guildId, {
+        type,
+        user: { id: userId, tag: userTag },
+        moderator: entry.moderatorId ? { id: entry.moderatorId, tag: entry.moderatorTag } : null,
+        reason: type === 'note' ? entry.content : entry.reason,
+        duration: entry.duration,
+        expiresAt: entry.expiresAt ? new Date(entry.expiresAt) : null,
+        metadata: entry.days !== undefined ? { days: entry.days } : null,
+        source: 'import',
+        legacyRef: `${userId}:${legacy}:${entry.id}`,
+        createdAt: entry.timestamp ? new Date(entry.timestamp) : new Date(),
+      });
+
+      if (created) imported++;
+    }
+
+    return { files: files.length, imported, skipped: entries.length - imported };
+  }
+
+  /**
+   * Build the detailed embed for a case
+   * @param {Object} caseData - The case
+   * @param {Array<Object>} [history=[]] - The case history
+   * @returns {EmbedBuilder} The embed
+   */
+  buildCaseEmbed(caseData, history = []) {
+    const type = CASE_TYPES[caseData.type];
+
+    const embed = new EmbedBuilder()
+      .setColor(caseData.deletedAt ? '#808080' : type.color)
+      .setTitle(`Case #${caseData.caseNumber} | ${type.label}${caseData.deletedAt ? ' (deleted)' : ''}`)
+      .addFields(
+        { name: 'User', value: `<@${caseData.userId}> (${caseData.userTag || caseData.userId})`, inline: true },
+        { name: 'Moderator', value: caseData.moderatorId ? `<@${caseData.moderatorId}> (${caseData.moderatorTag || caseData.moderatorId})` : 'Automatic', inline: true },
+        { name: 'Created', value: `<t:${Math.floor(caseData.createdAt.getTime() / 1000)}:F>`, inline: true },
+        { name: caseData.type === 'note' ? 'Note' : 'Reason', value: caseData.reason || 'No reason provided', inline: false },
+      )
+      .setFooter({ text: `${config.footerText}${caseData.source !== 'manual' ? ` • ${caseData.source}` : ''}` })
+      .setTimestamp();
+
+    if (caseData.duration) {
+      embed.addFields({ name: 'Duration', value: formatDuration(caseData.duration), inline: true });
+    }
+
+    if (caseData.expiresAt) {
+      embed.addFields({ name: 'Expires', value: `<t:${Math.floor(caseData.expiresAt.getTime() / 1000)}:R>`, inline: true });
+    }
+
+    if (typeof caseData.metadata.points === 'number' && caseData.type === 'warning') {
+      embed.addFields({ name: 'Points', value: `${caseData.metadata.points}`, inline: true });
+    }
+
+    if (caseData.metadata.policyId) {
+      embed.addFields({
+        name: 'Warning Policy',
+        value: `${caseData.metadata.policyName} (#${caseData.metadata.policyId}) at ${caseData.metadata.points} points${caseData.metadata.warningCase ? `, triggered by case #${caseData.metadata.warningCase}` : ''}`,
+        inline: false,
+      });
+    }
+
+    const changes = history.filter((entry) => entry.action !== 'created');
+    if (changes.length > 0) {
+      embed.addFields({
+        name: 'History',
+        value: changes.slice(-5).map((entry) => this.formatHistoryEntry(entry)).join('\n').substring(0, 1024),
+        inline: false,
+      });
+    }
+
+    return embed;
+  }
+
+  /**
+   * Format a case as a short list entry
+   * @param {Object} caseData - The case
+   * @param {boolean} [showUser=true] - Whether to mention the user
+   * @returns {string} The formatted line
+   */
+  formatCaseLine(caseData, showUser = true) {
+    const type = CASE_TYPES[caseData.type];
+    const reason = caseData.reason || 'No reason provided';
+
+    return `**#${caseData.caseNumber}** ${type.label}${showUser ? ` • <@${caseData.userId}>` : ''} • <t:${Math.floor(caseData.createdAt.getTime() / 1000)}:d>\n` +
+      `${reason.length > 100 ? `${reason.substring(0, 97)}...` : reason} — ${caseData.moderatorTag || 'Automatic'}`;
+  }
+
+  /**
+   * Format a history entry
+   * @param {Object} entry - The history entry
+   * @returns {string} The formatted line
+   */
+  formatHistoryEntry(entry) {
+    const when = `<t:${Math.floor(entry.createdAt.getTime() / 1000)}:R>`;
+    const who = entry.actorId ? `<@${entry.actorId}>` : 'System';
+
+    if (entry.action === 'edited') {
+      return `${when} ${who} changed the reason from "${entry.oldValue || 'none'}" to "${entry.newValue}"`;
+    }
+
+    if (entry.action.startsWith('appeal_')) {
+      return `${when} ${who} ${entry.action.replace('appeal_', '')} an appeal${entry.newValue ? `: ${entry.newValue}` : ''}`;
+    }
+
+    return `${when} ${who} ${entry.action} the case${entry.newValue ? `: ${entry.newValue}` : ''}`;
+  }
+
+  /**
+   * Build the WHERE clause for case listings
+   * @param {string} guildId - The guild ID
+   * @param {Object} filters - The filters
+   * @returns {Object} { where, params }
+   */
+  buildFilter(guildId, filters) {
+    const conditions = ['guild_id = ?'];
+    const params = [guildId];
+
+    if (filters.userId) {
+      conditions.push('user_id = ?');
+      params.push(filters.userId);
+    }
+
+    if (filters.type) {
+      this.assertType(filters.type);
+      conditions.push('type = ?');
+      params.push(filters.type);
+    }
+
+    if (!filters.includeDeleted) {
+      conditions.push('deleted_at IS NULL');
+    }
+
+    return { where: conditions.join(' AND '), params };
+  }
+
+  /**
+   * Convert a moderation_cases row into a case object
+   * @param {Object} row - The database row
+   * @returns {Object} The case
+   */
+  rowToCase(row) {
+    let metadata = {};
+    try {
+      metadata = row.metadata ? JSON.parse(row.metadata) : {};
+    } catch (error) {
+      logger.warn(`Invalid metadata on case ${row.id}: ${error.message}`);
+    }
+
+    return {
+      id: row.id,
+      guildId: row.guild_id,
+      caseNumber: row.case_number,
+      type: row.type,
+      label: CASE_TYPES[row.type] ? CASE_TYPES[row.type].label : row.type,
+      userId: row.user_id,
+      userTag: row.user_tag,
+      moderatorId: row.moderator_id,
+      moderatorTag: row.moderator_tag,
+      reason: row.reason,
+      duration: row.duration,
+      expiresAt: row.expires_at ? parseSqlDate(row.expires_at) : null,
+      metadata,
+      source: row.source,
+      createdAt: parseSqlDate(row.created_at),
+      updatedAt: row.updated_at ? parseSqlDate(row.updated_at) : null,
+      updatedBy: row.updated_by,
+      deletedAt: row.deleted_at ? parseSqlDate(row.deleted_at) : null,
+      deletedBy: row.deleted_by,
+      revokedAt: row.revoked_at ? parseSqlDate(row.revoked_at) : null,
+      revokedBy: row.revoked_by,
+    };
+  }
+
+  /**
+   * Throw if a case type is unknown
+   * @param {string} type - The case type
+   */
+  assertType(type) {
+    if (!CASE_TYPES[type]) {
+      throw new Error(`Unknown case type: ${type}`);
+    }
+  }
+}
+
+const cases = new ModerationCases();
+cases.CASE_TYPES = CASE_TYPES;
+
+module.exports = cases;
@@ -0,0 +1,137 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+jest.mock('../../config.json', () => ({}), { virtual: true });
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../utils/database', () => ({ isConnected: true, query: jest.fn() }));
+jest.mock('../utils/eventBus', () => ({ publish: jest.fn() }));
+
+const db = require('../utils/database');
+const eventBus = require('../utils/eventBus');
+const cases = require('./cases');
+
+const user = { id: 'user', tag: 'user#0001' };
+const moderator = { id: 'moderator', tag: 'moderator#0001' };
+
+let rows;
+
+/**
+ * Keep moderation_cases in memory. The insert numbers a case the way SQLite
+ * runs its INSERT ... SELECT: one more than the highest number among the
+ * rows matching the guild passed last.
+ */
+function mockDatabase() {
+  rows = [];
+
+  db.query.mockImplementation(async (sql, params) => {
+    if (sql.includes('INTO moderation_cases')) {
+      const [guildId, type, userId, userTag, moderatorId, moderatorTag, reason, duration, expiresAt, metadata, source, legacyRef, createdAt] = params;
+      const numberedBy = params[params.length - 1];
+
+      if (legacyRef && rows.some((row) => row.legacy_ref === legacyRef)) {
+        return { lastID: 0, changes: 0 };
+      }
+
+      const numbers = rows.filter((row) => row.guild_id === numberedBy).map((row) => row.case_number);
+      const row = {
+        id: rows.length + 1,
+        guild_id: guildId,
+        case_number: Math.max(0, ...numbers) + 1,
+        type,
+        user_id: userId,
+        user_tag: userTag,
+        moderator_id: moderatorId,
+        moderator_tag: moderatorTag,
+        reason,
+        duration,
+        expires_at: expiresAt,
+        metadata,
+        source,
+        legacy_ref: legacyRef,
+        created_at: createdAt,
+      };
+
+      rows.push(row);
+      return { lastID: row.id, changes: 1 };
+    }
+
+    if (sql.includes('INTO case_history')) return { lastID: 0, changes: 1 };
+    if (sql.includes('FROM moderation_cases WHERE id = ?')) return rows.filter((row) => row.id === params[0]);
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+}
+
+beforeEach(() => {
+  db.query.mockReset();
+  eventBus.publish.mockReset();
+  mockDatabase();
+});
+
+describe('createCase', () => {
+  it('computes the case number inside the insert', async () => {
+    await cases.createCase('guild', { type: 'warning', user, moderator, reason: 'spam' });
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toMatch(/INSERT INTO moderation_cases .* SELECT \?, COALESCE\(MAX\(case_number\), 0\) \+ 1, .* FROM moderation_cases WHERE guild_id = \?/s);
+    expect(params[0]).toBe('guild');
+    expect(params[params.length - 1]).toBe('guild');
+  });
+
+  it('numbers cases per guild', async () => {
+    const numbers = [];
+
+    for (const guildId of ['one', 'one', 'two', 'one', 'two']) {
+      const created = await cases.createCase(guildId, { type: 'warning', user, moderator });
+      numbers.push([guildId, created.caseNumber]);
+    }
+
+    expect(numbers).toEqual([['one', 1], ['one', 2], ['two', 1], ['one', 3], ['two', 2]]);
+  });
+
+  it('returns the stored case and publishes it', async () => {
+    const created = await cases.createCase('guild', {
+      type: 'ban',
+      user,
+      moderator,
+      reason: 'raiding',
+      duration: 3600000,
+      expiresAt: new Date('2026-03-01T13:00:00Z'),
+      metadata: { deleteMessageDays: 1 },
+    });
+
+    expect(created).toMatchObject({
+      guildId: 'guild',
+      caseNumber: 1,
+      type: 'ban',
+      userId: 'user',
+      moderatorId: 'moderator',
+      reason: 'raiding',
+      duration: 3600000,
+      metadata: { deleteMessageDays: 1 },
+      source: 'manual',
+    });
+    expect(created.expiresAt.toISOString()).toBe('2026-03-01T13:00:00.000Z');
+    expect(eventBus.publish).toHaveBeenCalledWith('moderation.ban', expect.objectContaining({ guildId: 'guild', caseNumber: 1 }));
+  });
+
+  it('skips legacy cases that were already imported', async () => {
+    const data = { type: 'kick', user, moderator, legacyRef: 'user:kicks:0', source: 'import' };
+
+    await expect(cases.createCase('guild', data)).resolves.toMatchObject({ caseNumber: 1 });
+    await expect(cases.createCase('guild', data)).resolves.toBeNull();
+    expect(db.query.mock.calls[0][0]).toContain('INSERT OR IGNORE INTO moderation_cases');
+    expect(eventBus.publish).not.toHaveBeenCalled();
+  });
+
+  it('rejects unknown case types', async () => {
+    await expect(cases.createCase('guild', { type: 'mute-ish', user, moderator })).rejects.toThrow('Unknown case type: mute-ish');
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
@@ -11,6 +11,7 @@
 const { EmbedBuilder } = require('discord.js');
 const config = require('../../config.json');
 const logger = require('../utils/logger');
+const guildSettings = require('./guildSettings');
 
 class Economy {
   constructor() {
@@ -89,19 +90,30 @@ class Economy {
     // Market listings are saved in real-time when created/purchased
   }
 
+  /**
+   * Get the economy settings. Balances are shared between guilds, so the
+   * settings of the bot's own guild apply unless another guild is given.
+   * @param {string} [guildId] - The guild ID
+   * @returns {Object} { startingBalance, transferFee, currencyName, currencySymbol }
+   */
+  getSettings(guildId = config.guildId) {
+    return guildSettings.get(guildId, 'economy');
+  }
+
   /**
    * Initialize a user's balance if not exists
    * @param {string} userId - The Discord user ID
    */
   initializeUser(userId) {
     if (!this.userBalances.has(userId)) {
-      this.userBalances.set(userId, config.economy.startingBalance);
+      const { startingBalance } = this.getSettings();
+      this.userBalances.set(userId, startingBalance);
       
       // Save to database if available
       if (this.db) {
         this.db.query(
           'INSERT IGNORE INTO user_balances (user_id, balance) VALUES (?, ?)',
-          [userId, config.economy.startingBalance]
+          [userId, startingBalance]
         ).catch(err => logger.error('Failed to initialize user balance in database:', err));
       }
     }
@@ -248,7 +260,8 @@ class Economy {
     }
     
     // Apply transfer fee if configured
-    const fee = config.economy.transferFee ? Math.ceil(amount * config.economy.transferFee) : 0;
+    const { transferFee } = this.getSettings();
+    const fee = transferFee ? Math.ceil(amount * transferFee) : 0;
     const totalDeduction = amount + fee;
     
     // Check if sender has enough funds
@@ -574,11 +587,12 @@ class Economy {
    */
   createBalanceEmbed(userId, username) {
     const balance = this.getBalance(userId);
+    const { currencySymbol, currencyName } = this.getSettings();
     
     const embed = new EmbedBuilder()
       .setTitle(`${username}'s Balance`)
       .setColor('#FFD700')
-      .setDescription(`${config.economy.currencySymbol} **${balance}** ${config.economy.currencyName}`);
+      .setDescription(`${currencySymbol} **${balance}** ${currencyName}`);
     
     return embed;
   }
@@ -619,13 +633,14 @@ class Economy {
     }
     
     // Add fields for each item
+    const { currencySymbol } = this.getSettings();
     for (const group of Object.values(groupedListings)) {
       let value = '';
       
       for (const listing of group.listings) {
         value += `ID: \`${listing.id}\`\n`;
         value += `Quantity: ${listing.quantity}\n`;
-        value += `Price: ${listing.price} ${config.economy.currencySymbol} each\n`;
+        value += `Price: ${listing.price} ${currencySymbol} each\n`;
         value += `Seller: <@${listing.sellerId}>\n\n`;
       }
       
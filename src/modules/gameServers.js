@@ -11,13 +11,21 @@
 const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 const config = require('../../config.json');
 const logger = require('../utils/logger');
+const eventBus = require('../utils/eventBus');
 const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
 
+// Signals accepted by the panel's power endpoint
+const POWER_SIGNALS = ['start', 'stop', 'restart', 'kill'];
+
 /**
  * Game server integration module for JMF Hosting
  */
 module.exports = {
   name: 'gameServers',
+  powerSignals: POWER_SIGNALS,
+  
+  // Last known state of each server, by ID
+  serverStates: new Map(),
   
   /**
    * Initialize the game server module
@@ -29,6 +37,7 @@ module.exports = {
     // Set up interval to update server status
     setInterval(() => {
       this.updateServerStatus(client);
+      this.checkServerStates();
     }, config.gameServers.updateInterval * 1000);
     
     // Handle button interactions for game servers
@@ -436,7 +445,292 @@ module.exports = {
       return null;
     }
   },
-  
+
+  /**
+   * Send a power signal to a server
+   * @param {string} serverId - The server ID
+   * @param {string} signal - start, stop, restart or kill
+   * @returns {Promise<void>}
+   */
+  async sendPowerSignal(serverId, signal) {
+    if (!POWER_SIGNALS.includes(signal)) {
+      throw new Error(`Unknown power signal: ${signal}`);
+    }
+
+    const response = await fetch(`${process.env.PTERODACTYL_API_URL}/servers/${serverId}/power`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${process.env.PTERODACTYL_API_KEY}`,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: JSON.stringify({ signal })
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(`API Error: ${error.message || 'Unknown error'}`);
+    }
+  },
+
+  /**
+   * Send a command to a server's console
+   * @param {string} serverId - The server ID
+   * @param {string} command - The command
+   * @returns {Promise<void>}
+   */
+  async sendConsoleCommand(serverId, command) {
+    const response = await fetch(`${process.env.PTERODACTYL_API_URL}/servers/${serverId}/command`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${process.env.PTERODACTYL_API_KEY}`,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: JSON.stringify({ command })
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(`API Error: ${error.errors?.[0]?.detail || error.message || 'Unknown error'}`);
+    }
+  },
+
+  /**
+   * Get a token and address for a server's console websocket
+   * @param {string} serverId - The server ID
+   * @returns {Promise<Object>} { token, socket }
+   */
+  async fetchWebsocketCredentials(serverId) {
+    const response = await fetch(`${process.env.PTERODACTYL_API_URL}/servers/${serverId}/websocket`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${process.env.PTERODACTYL_API_KEY}`,
+        'Accept': 'application/json'
+      }
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(`API Error: ${error.errors?.[0]?.detail || error.message || 'Unknown error'}`);
+    }
+
+    const { data } = await response.json();
+    return { token: data.token, socket: data.socket };
+  },
+
+  /**
+   * Get every server with its current state and resource usage
+   * @returns {Promise<Array<Object>|null>} The servers, or null if the panel could not be reached
+   */
+  async getServerStatuses() {
+    const servers = await this.fetchAllServers();
+
+    if (!servers || !servers.data) {
+      return null;
+    }
+
+    return Promise.all(servers.data.map(async server => {
+      const attributes = server.attributes;
+      const id = attributes.identifier || attributes.id;
+      const utilization = await this.fetchServerUtilization(id);
+      const resources = utilization ? utilization.attributes : null;
+
+      return {
+        id,
+        name: attributes.name,
+        description: attributes.description || '',
+        node: attributes.node || null,
+        gameType: this.determineGameType(attributes.description),
+        state: attributes.is_suspended ? 'suspended' : resources ? resources.current_state : 'unknown',
+        resources: resources ? {
+          cpu: resources.resources.cpu_absolute,
+          memory: resources.resources.memory_bytes,
+          disk: resources.resources.disk_bytes,
+          uptime: resources.resources.uptime || 0
+        } : null,
+        limits: attributes.limits || null
+      };
+    }));
+  },
+
+  /**
+   * Compare every server's state with the last check and publish
+   * server.status_changed for the ones that changed. The first check only
+   * records the states.
+   * @returns {Promise<void>}
+   */
+  async checkServerStates() {
+    try {
+      const servers = await this.getServerStatuses();
+      if (!servers) return;
+
+      this.recordServerStates(servers);
+    } catch (error) {
+      logger.error(`Error checking server states: ${error.message}`);
+    }
+  },
+
+  /**
+   * Record the states from getServerStatuses and publish
+   * server.status_changed for the servers whose state changed
+   * @param {Array<Object>} servers - The servers
+   * @returns {Array<Object>} The published changes
+   */
+  recordServerStates(servers) {
+    const changes = [];
+
+    for (const server of servers) {
+      const previous = this.serverStates.get(server.id);
+      this.serverStates.set(server.id, server.state);
+
+      if (previous === undefined || previous === server.state) continue;
+
+      const change = {
+        id: server.id,
+        name: server.name,
+        node: server.node,
+        gameType: server.gameType,
+        previousState: previous,
+        state: server.state,
+        changedAt: new Date().toISOString()
+      };
+
+      logger.info(`Server ${server.name} (${server.id}) changed state: ${previous} -> ${server.state}`);
+      eventBus.publish('server.status_changed', change);
+      changes.push(change);
+    }
+
+    return changes;
+  },
+
+  /**
+   * Fetch a server's recent activity log entries, newest first. Needs panel 1.11 or later.
+   * @param {string} serverId - The server ID
+   * @returns {Promise<Array<Object>|null>} The entries' attributes, or null if the panel could not tell
+   */
+  async fetchServerActivity(serverId) {
+    try {
+      const response = await fetch(`${process.env.PTERODACTYL_API_URL}/servers/${serverId}/activity?sort=-timestamp&per_page=25`, {
+        method: 'GET',
+        headers: {
+          'Authorization': `Bearer ${process.env.PTERODACTYL_API_KEY}`,
+          'Accept': 'application/json'
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error(`API Error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      return data.data.map(entry => entry.attributes);
+    } catch (error) {
+      logger.debug(`Error fetching activity for server ${serverId}: ${error.message}`);
+      return null;
+    }
+  },
+
+  /**
+   * List a server's backups
+   * @param {string} serverId - The server ID
+   * @returns {Promise<Array<Object>>} The backups' attributes
+   */
+  async fetchBackups(serverId) {
+    const data = await this.backupRequest(`/servers/${serverId}/backups?per_page=100`);
+    return data.data.map(backup => backup.attributes);
+  },
+
+  /**
+   * Fetch a single backup
+   * @param {string} serverId - The server ID
+   * @param {string} backupId - The backup UUID
+   * @returns {Promise<Object>} The backup's attributes
+   */
+  async fetchBackup(serverId, backupId) {
+    const data = await this.backupRequest(`/servers/${serverId}/backups/${backupId}`);
+    return data.attributes;
+  },
+
+  /**
+   * Start a backup. The panel returns straight away, the backup is done
+   * once its completed_at is set.
+   * @param {string} serverId - The server ID
+   * @param {Object} [options]
+   * @param {string} [options.name] - Backup name, the panel names it after the date otherwise
+   * @param {boolean} [options.locked] - Protect it from deletion
+   * @returns {Promise<Object>} The new backup's attributes
+   */
+  async createBackup(serverId, { name = null, locked = false } = {}) {
+    const body = { is_locked: locked };
+    if (name) body.name = name;
+
+    const data = await this.backupRequest(`/servers/${serverId}/backups`, { method: 'POST', body });
+    return data.attributes;
+  },
+
+  /**
+   * Restore a backup over a server's files
+   * @param {string} serverId - The server ID
+   * @param {string} backupId - The backup UUID
+   * @param {boolean} [truncate=false] - Delete every file before restoring
+   * @returns {Promise<void>}
+   */
+  async restoreBackup(serverId, backupId, truncate = false) {
+    await this.backupRequest(`/servers/${serverId}/backups/${backupId}/restore`, { method: 'POST', body: { truncate } });
+  },
+
+  /**
+   * Delete a backup
+   * @param {string} serverId - The server ID
+   * @param {string} backupId - The backup UUID
+   * @returns {Promise<void>}
+   */
+  async deleteBackup(serverId, backupId) {
+    await this.backupRequest(`/servers/${serverId}/backups/${backupId}`, { method: 'DELETE' });
+  },
+
+  /**
+   * Get a signed download link for a backup, valid for 15 minutes
+   * @param {string} serverId - The server ID
+   * @param {string} backupId - The backup UUID
+   * @returns {Promise<string>} The URL
+   */
+  async fetchBackupDownloadUrl(serverId, backupId) {
+    const data = await this.backupRequest(`/servers/${serverId}/backups/${backupId}/download`);
+    return data.attributes.url;
+  },
+
+  /**
+   * Make a backups request to the client API
+   * @param {string} endpoint - Path below the API URL
+   * @param {Object} [options]
+   * @param {string} [options.method='GET'] - HTTP method
+   * @param {Object} [options.body] - JSON body
+   * @returns {Promise<Object|null>} The response, null for empty responses
+   * @throws {Error} With the panel's status and message when the request fails
+   */
+  async backupRequest(endpoint, { method = 'GET', body } = {}) {
+    const response = await fetch(`${process.env.PTERODACTYL_API_URL}${endpoint}`, {
+      method,
+      headers: {
+        'Authorization': `Bearer ${process.env.PTERODACTYL_API_KEY}`,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      const error = new Error(data.errors?.[0]?.detail || `The panel responded with ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return response.status === 204 ? null : response.json();
+  },
+
   /**
    * Determine the game type from server description
    * @param {string} description - The server description
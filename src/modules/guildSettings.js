@@ -0,0 +1,736 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const { PermissionFlagsBits } = require('discord.js');
+const config = require('../../config.json');
+const logger = require('../utils/logger');
+const db = require('../utils/database');
+const eventBus = require('../utils/eventBus');
+const autoMod = require('./automod');
+const { toSqlDateTime, parseSqlDate } = require('../utils/timeUtils');
+const { createError } = require('../utils/errors');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const SNOWFLAKE = /^\d{17,20}$/;
+const COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * The settings staff can change per guild. Every field has a type and the
+ * limits its values are checked against; the defaults come from config.json
+ * so guilds without overrides behave as before.
+ *
+ * Field types:
+ * - boolean, integer, number: with optional min and max
+ * - text: a string of at most max characters
+ * - snowflake: a Discord ID
+ * - name: a channel or role name or ID
+ * - color: a hex color like #00AAFF
+ */
+const SECTIONS = {
+  welcome: {
+    fields: {
+      enabled: { type: 'boolean' },
+      channelId: { type: 'snowflake', nullable: true },
+      mentionUser: { type: 'boolean' },
+      sendDM: { type: 'boolean' },
+      dmMessage: { type: 'text', max: 2000, nullable: true },
+    },
+    defaults: () => ({
+      enabled: !!config.welcomeSystem?.enabled,
+      channelId: config.welcomeSystem?.channelId || null,
+      mentionUser: !!config.welcomeSystem?.mentionUser,
+      sendDM: !!config.sendWelcomeDM,
+      dmMessage: config.welcomeDMMessage || null,
+    }),
+  },
+  verification: {
+    fields: {
+      enabled: { type: 'boolean' },
+      unverifiedRole: { type: 'name' },
+      instructionsChannel: { type: 'name', nullable: true },
+      buttonText: { type: 'text', max: 80 },
+      embedColor: { type: 'color' },
+    },
+    defaults: () => ({
+      enabled: !!config.verification?.enabled,
+      unverifiedRole: config.verification?.unverifiedRole || 'Unverified',
+      instructionsChannel: config.verification?.instructionsChannel || null,
+      buttonText: config.verification?.buttonText || 'Verify',
+      embedColor: config.verification?.embedColor || '#00FF00',
+    }),
+  },
+  tickets: {
+    fields: {
+      categoryId: { type: 'snowflake', nullable: true },
+      archiveCategoryId: { type: 'snowflake', nullable: true },
+      supportRoleId: { type: 'snowflake', nullable: true },
+      transcriptChannel: { type: 'snowflake', nullable: true },
+      channelNameFormat: { type: 'text', max: 100, nullable: true },
+      allowMultipleTickets: { type: 'boolean' },
+      reopenWindow: { type: 'integer', min: 0, max: 30 * DAY }, // 0 keeps closed tickets forever
+      inactivityTimeout: { type: 'integer', min: 0, max: 30 * DAY }, // 0 disables auto-close
+      inactivityGrace: { type: 'integer', min: 0, max: 7 * DAY },
+    },
+    defaults: () => {
+      const tickets = config.tickets || {};
+
+      return {
+        categoryId: tickets.categoryId || null,
+        archiveCategoryId: tickets.archiveCategoryId || null,
+        supportRoleId: tickets.supportRoleId || null,
+        transcriptChannel: tickets.transcriptChannel || null,
+        channelNameFormat: tickets.channelNameFormat || null,
+        allowMultipleTickets: !!tickets.allowMultipleTickets,
+        reopenWindow: tickets.reopenWindow !== undefined ? tickets.reopenWindow : 24 * HOUR,
+        inactivityTimeout: tickets.inactivityTimeout !== undefined ? tickets.inactivityTimeout : 24 * HOUR,
+        inactivityGrace: tickets.inactivityGrace !== undefined ? tickets.inactivityGrace : HOUR,
+      };
+    },
+  },
+  leveling: {
+    fields: {
+      enabled: { type: 'boolean' },
+      xpPerMessage: { type: 'integer', min: 1, max: 1000 },
+      xpCooldown: { type: 'integer', min: 0, max: 3600 }, // seconds
+      voiceXpPerMinute: { type: 'integer', min: 0, max: 1000 },
+      levelUpChannel: { type: 'name', nullable: true },
+      levelUpMessage: { type: 'text', max: 500 },
+    },
+    defaults: () => {
+      const levelSystem = config.levelSystem || {};
+
+      return {
+        enabled: !!levelSystem.enabled,
+        xpPerMessage: levelSystem.xpPerMessage || 3,
+        xpCooldown: levelSystem.xpCooldown || 60,
+        voiceXpPerMinute: levelSystem.voiceXpPerMinute || 1,
+        levelUpChannel: levelSystem.levelUpChannel || null,
+        levelUpMessage: levelSystem.levelUpMessage || 'Congratulations {user}! You\'ve reached level {level}!',
+      };
+    },
+  },
+  economy: {
+    fields: {
+      startingBalance: { type: 'integer', min: 0, max: 1000000 },
+      transferFee: { type: 'number', min: 0, max: 1 }, // share of the amount, 0.05 is 5%
+      currencyName: { type: 'text', max: 32 },
+      currencySymbol: { type: 'text', max: 16 },
+    },
+    defaults: () => {
+      const economy = config.economy || {};
+
+      return {
+        startingBalance: economy.startingBalance || 0,
+        transferFee: economy.transferFee || 0,
+        currencyName: economy.currencyName || 'coins',
+        currencySymbol: economy.currencySymbol || '💰',
+      };
+    },
+  },
+  // Stored by the automod module in automod_settings, see getAutoModSettings
+  automod: {
+    fields: {
+      logChannel: { type: 'snowflake', nullable: true },
+      exemptRoles: { type: 'snowflake', list: true },
+      exemptChannels: { type: 'snowflake', list: true },
+      features: { type: 'features' },
+    },
+    defaults: () => {
+      const { logChannel, exemptRoles, exemptChannels, features } = autoMod.getDefaults();
+      return { logChannel, exemptRoles, exemptChannels, features };
+    },
+  },
+};
+
+// Sections kept in guild_settings, one row per section
+const STORED_SECTIONS = Object.keys(SECTIONS).filter((section) => section !== 'automod');
+
+/**
+ * Per-guild settings edited through the dashboard API.
+ *
+ * Overrides are kept in guild_settings under `settings:<section>` and cached
+ * in memory; the modules read them through get(), so a change applies to the
+ * running bot as soon as it is saved. Every change is recorded in
+ * guild_settings_audit and published as settings.updated on the event bus.
+ */
+class GuildSettings {
+  constructor() {
+    this.client = null;
+
+    // guildId => { section: overrides }
+    this.overrides = new Map();
+
+    this.SECTIONS = Object.keys(SECTIONS);
+  }
+
+  /**
+   * Load the stored overrides
+   * @param {Client} client - Discord client, used to check who may edit settings
+   * @returns {Promise<void>}
+   */
+  async init(client) {
+    this.client = client;
+    if (!db.isConnected) return;
+
+    try {
+      const keys = STORED_SECTIONS.map(getSettingKey);
+      const rows = await db.query(
+        `SELECT guild_id, setting_key, setting_value FROM guild_settings WHERE setting_key IN (${keys.map(() => '?').join(', ')})`,
+        keys,
+      );
+
+      this.overrides.clear();
+      for (const row of rows) {
+        this.setOverrides(row.guild_id, row.setting_key.slice('settings:'.length), parseValue(row.setting_value));
+      }
+
+      logger.info(`Loaded dashboard settings for ${this.overrides.size} guild(s)`);
+    } catch (error) {
+      logger.error(`Failed to load guild settings: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a guild's settings for a section, the config.json defaults with the
+   * guild's overrides applied. Automod settings are read with getSection.
+   * @param {string} guildId - The guild ID
+   * @param {string} section - The section name
+   * @returns {Object} The settings
+   */
+  get(guildId, section) {
+    const defaults = SECTIONS[section].defaults();
+    const overrides = guildId && this.overrides.get(guildId);
+
+    return { ...defaults, ...(overrides && overrides[section]) };
+  }
+
+  /**
+   * Get a guild's settings for any section
+   * @param {string} guildId - The guild ID
+   * @param {string} section - The section name
+   * @returns {Promise<Object>} The settings
+   */
+  async getSection(guildId, section) {
+    this.assertSection(section);
+    return section === 'automod' ? this.getAutoModSettings(guildId) : this.get(guildId, section);
+  }
+
+  /**
+   * Get a guild's settings for every section
+   * @param {string} guildId - The guild ID
+   * @returns {Promise<Object>} The settings, keyed by section
+   */
+  async getAll(guildId) {
+    const settings = {};
+
+    for (const section of this.SECTIONS) {
+      settings[section] = await this.getSection(guildId, section);
+    }
+
+    return settings;
+  }
+
+  /**
+   * Check changes to a section without saving them
+   * @param {string} section - The section name
+   * @param {Object} changes - The fields to change
+   * @returns {Array<string>} The problems, empty if the changes are valid
+   */
+  validate(section, changes) {
+    this.assertSection(section);
+    return validateSection(section, changes);
+  }
+
+  /**
+   * Validate and save changes to a section, then record them in the audit log
+   * @param {string} guildId - The guild ID
+   * @param {string} section - The section name
+   * @param {Object} changes - The fields to change
+   * @param {string} updatedBy - The Discord ID of the user making the change
+   * @returns {Promise<Object>} The section's new settings
+   * @throws {Error} With status 400 if the changes are invalid
+   */
+  async update(guildId, section, changes, updatedBy) {
+    this.assertSection(section);
+    this.requireDatabase();
+
+    const errors = this.validate(section, changes);
+    if (errors.length > 0) {
+      throw createError(400, `Invalid ${section} settings: ${errors.join('; ')}`);
+    }
+
+    const before = await this.getSection(guildId, section);
+
+    if (section === 'automod') {
+      await this.updateAutoModSettings(guildId, changes, updatedBy);
+    } else {
+      const overrides = this.overrides.get(guildId)?.[section] || {};
+      await this.saveOverrides(guildId, section, { ...overrides, ...changes }, updatedBy);
+    }
+
+    const after = await this.getSection(guildId, section);
+    await this.recordChanges(guildId, section, diff(before, after), updatedBy);
+
+    return after;
+  }
+
+  /**
+   * Drop a guild's overrides for a section, going back to the defaults
+   * @param {string} guildId - The guild ID
+   * @param {string} section - The section name
+   * @param {string} updatedBy - The Discord ID of the user making the change
+   * @returns {Promise<Object>} The section's new settings
+   */
+  async reset(guildId, section, updatedBy) {
+    this.assertSection(section);
+    this.requireDatabase();
+
+    const before = await this.getSection(guildId, section);
+
+    if (section === 'automod') {
+      await db.query('DELETE FROM automod_settings WHERE guild_id = ?', [guildId]);
+      autoMod.invalidate(guildId);
+    } else {
+      await db.query('DELETE FROM guild_settings WHERE guild_id = ? AND setting_key = ?', [guildId, getSettingKey(section)]);
+      this.setOverrides(guildId, section, null);
+    }
+
+    const after = await this.getSection(guildId, section);
+    await this.recordChanges(guildId, section, diff(before, after), updatedBy, 'reset');
+
+    return after;
+  }
+
+  /**
+   * Get the audit log of a guild's settings, newest first
+   * @param {string} guildId - The guild ID
+   * @param {Object} [filters] - { section, limit }
+   * @returns {Promise<Array<Object>>} The audit entries
+   */
+  async getAuditLog(guildId, { section = null, limit = 25 } = {}) {
+    this.requireDatabase();
+
+    const conditions = ['guild_id = ?'];
+    const params = [guildId];
+
+    if (section) {
+      conditions.push('section = ?');
+      params.push(section);
+    }
+
+    const rows = await db.query(
+      `SELECT * FROM guild_settings_audit WHERE ${conditions.join(' AND ')} ORDER BY id DESC LIMIT ?`,
+      [...params, limit],
+    );
+
+    return rows.map((row) => ({
+      id: row.id,
+      guildId: row.guild_id,
+      section: row.section,
+      action: row.action,
+      changes: parseValue(row.changes) || [],
+      changedBy: row.changed_by,
+      changedAt: parseSqlDate(row.changed_at),
+    }));
+  }
+
+  /**
+   * Describe the sections and their fields
+   * @returns {Object} The fields of each section with their types and limits
+   */
+  getSchema() {
+    const schema = {};
+
+    for (const [section, { fields }] of Object.entries(SECTIONS)) {
+      schema[section] = { ...fields };
+    }
+
+    schema.automod.features = {
+      type: 'features',
+      features: autoMod.FEATURES,
+      actions: autoMod.ACTIONS,
+    };
+
+    return schema;
+  }
+
+  /**
+   * Check whether a user may edit a guild's settings: dashboard admins can
+   * edit every guild, otherwise the user needs Manage Server or one of
+   * dashboard.staffRoles in the guild
+   * @param {string} guildId - The guild ID
+   * @param {string} userId - The Discord user ID
+   * @returns {Promise<boolean>} Whether they may
+   */
+  async canManage(guildId, userId) {
+    const dashboard = config.dashboard || {};
+    if ((dashboard.admins || []).includes(userId)) return true;
+
+    const guild = this.client?.guilds.cache.get(guildId);
+    if (!guild) return false;
+
+    const member = await guild.members.fetch(userId).catch(() => null);
+    if (!member) return false;
+
+    const staffRoles = dashboard.staffRoles || [];
+    return member.permissions.has(PermissionFlagsBits.ManageGuild) ||
+      member.roles.cache.some((role) => staffRoles.includes(role.id) || staffRoles.includes(role.name));
+  }
+
+  /**
+   * Get the guilds the bot is in that a user may edit
+   * @param {string} userId - The Discord user ID
+   * @returns {Promise<Array<Object>>} { id, name, icon } of each guild
+   */
+  async getManageableGuilds(userId) {
+    const guilds = [];
+
+    for (const guild of this.client ? this.client.guilds.cache.values() : []) {
+      if (await this.canManage(guild.id, userId)) {
+        guilds.push({ id: guild.id, name: guild.name, icon: guild.iconURL() });
+      }
+    }
+
+    return guilds;
+  }
+
+  /**
+   * Get a guild's automod settings in the dashboard shape
+   * @param {string} guildId - The guild ID
+   * @returns {Promise<Object>} { logChannel, exemptRoles, exemptChannels, features }
+   */
+  async getAutoModSettings(guildId) {
+    const { logChannel, exemptRoles, exemptChannels, features } = await autoMod.getGuildSettings(guildId);
+    return { logChannel, exemptRoles, exemptChannels, features };
+  }
+
+  /**
+   * Save automod changes through the automod module, which reloads its own cache
+   * @param {string} guildId - The guild ID
+   * @param {Object} changes - Validated changes
+   * @param {string} updatedBy - The Discord ID of the user making the change
+   * @returns {Promise<void>}
+   */
+  async updateAutoModSettings(guildId, changes, updatedBy) {
+    const { features, ...general } = changes;
+
+    if (Object.keys(general).length > 0) {
+      await autoMod.updateGeneralSettings(guildId, (current) => ({ ...current, ...general }), updatedBy);
+    }
+
+    for (const [feature, { enabled, ...featureChanges }] of Object.entries(features || {})) {
+      if (Object.keys(featureChanges).length > 0) {
+        await autoMod.updateFeatureSettings(guildId, feature, featureChanges, updatedBy);
+      }
+
+      // The enabled flag has its own column, which updateFeatureSettings leaves alone
+      if (enabled !== undefined) {
+        await autoMod.setFeatureEnabled(guildId, feature, enabled, updatedBy);
+      }
+    }
+  }
+
+  /**
+   * Store a section's overrides and update the cache
+   * @param {string} guildId - The guild ID
+   * @param {string} section - The section name
+   * @param {Object} overrides - The overrides
+   * @param {string} updatedBy - The Discord ID of the user making the change
+   * @returns {Promise<void>}
+   */
+  async saveOverrides(guildId, section, overrides, updatedBy) {
+    await db.query(
+      `INSERT INTO guild_settings (guild_id, setting_key, setting_value, updated_at, updated_by) VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(guild_id, setting_key) DO UPDATE SET setting_value = excluded.setting_value, updated_at = excluded.updated_at, updated_by = excluded.updated_by`,
+      [guildId, getSettingKey(section), JSON.stringify(overrides), toSqlDateTime(), updatedBy],
+    );
+
+    this.setOverrides(guildId, section, overrides);
+  }
+
+  /**
+   * Set or clear the cached overrides of a section
+   * @param {string} guildId - The guild ID
+   * @param {string} section - The section name
+   * @param {Object|null} overrides - The overrides, null to clear them
+   */
+  setOverrides(guildId, section, overrides) {
+    if (!SECTIONS[section]) return;
+
+    const guild = this.overrides.get(guildId) || {};
+
+    if (overrides) {
+      guild[section] = overrides;
+    } else {
+      delete guild[section];
+    }
+
+    if (Object.keys(guild).length > 0) {
+      this.overrides.set(guildId, guild);
+    } else {
+      this.overrides.delete(guildId);
+    }
+  }
+
+  /**
+   * Record a change in the audit log and publish it
+   * @param {string} guildId - The guild ID
+   * @param {string} section - The section name
+   * @param {Array<Object>} changes - { key, from, to } of each changed field
+   * @param {string} changedBy - The Discord ID of the user making the change
+   * @param {string} [action='update'] - update or reset
+   * @returns {Promise<void>}
+   */
+  async recordChanges(guildId, section, changes, changedBy, action = 'update') {
+    if (changes.length === 0) return;
+
+    await db.query(
+      'INSERT INTO guild_settings_audit (guild_id, section, action, changes, changed_by, changed_at) VALUES (?, ?, ?, ?, ?, ?)',
+      [guildId, section, action, JSON.stringify(changes), changedBy, toSqlDateTime()],
+    );
+
+    logger.info(`${section} settings of guild ${guildId} changed by ${changedBy}: ${changes.map((change) => change.key).join(', ')}`);
+
+    eventBus.publish('settings.updated', {
+      guildId,
+      section,
+      action,
+      changes,
+      changedBy,
+      changedAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Throw a 404 for unknown sections
+   * @param {string} section - The section name
+   */
+  assertSection(section) {
+    if (!SECTIONS[section]) {
+      throw createError(404, `Unknown settings section: ${section}`);
+    }
+  }
+
+  /**
+   * Throw a 503 without a database connection
+   */
+  requireDatabase() {
+    if (!db.isConnected) {
+      throw createError(503, 'Guild settings require a database connection');
+    }
+  }
+}
+
+/**
+ * Get the guild_settings key of a section
+ * @param {string} section - The section name
+ * @returns {string} The key
+ */
+function getSettingKey(section) {
+  return `settings:${section}`;
+}
+
+/**
+ * Check changes against a section's fields
+ * @param {string} section - The section name
+ * @param {Object} changes - The changes
+ * @returns {Array<string>} The problems, empty if the changes are valid
+ */
+function validateSection(section, changes) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    return ['expected an object of fields'];
+  }
+
+  const { fields } = SECTIONS[section];
+  const errors = [];
+
+  if (Object.keys(changes).length === 0) {
+    errors.push('no fields given');
+  }
+
+  for (const [key, value] of Object.entries(changes)) {
+    if (!fields[key]) {
+      errors.push(`unknown field ${key}`);
+    } else if (fields[key].type === 'features') {
+      errors.push(...validateFeatures(value));
+    } else {
+      const error = validateField(fields[key], value);
+      if (error) errors.push(`${key} ${error}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check a value against a field
+ * @param {Object} field - The field
+ * @param {*} value - The value
+ * @returns {string|null} The problem, null if the value is valid
+ */
+function validateField(field, value) {
+  if (value === null) {
+    return field.nullable ? null : 'cannot be null';
+  }
+
+  if (field.list) {
+    if (!Array.isArray(value) || value.length > 100) {
+      return 'must be a list of at most 100 entries';
+    }
+
+    const invalid = value.map((entry) => validateField({ ...field, list: false }, entry)).find(Boolean);
+    return invalid ? `entries ${invalid.replace(/^must be/, 'must each be')}` : null;
+  }
+
+  switch (field.type) {
+  case 'boolean':
+    return typeof value === 'boolean' ? null : 'must be true or false';
+
+  case 'integer':
+  case 'number': {
+    const kind = field.type === 'integer' ? 'an integer' : 'a number';
+    const valid = field.type === 'integer' ? Number.isInteger(value) : typeof value === 'number' && Number.isFinite(value);
+
+    return valid && value >= field.min && value <= field.max ? null : `must be ${kind} between ${field.min} and ${field.max}`;
+  }
+
+  case 'text':
+    return typeof value === 'string' && value.trim().length > 0 && value.length <= field.max
+      ? null
+      : `must be text of 1 to ${field.max} characters`;
+
+  case 'snowflake':
+    return typeof value === 'string' && SNOWFLAKE.test(value) ? null : 'must be a Discord ID';
+
+  case 'name':
+    return typeof value === 'string' && value.trim().length > 0 && value.length <= 100 ? null : 'must be a name or Discord ID';
+
+  case 'color':
+    return typeof value === 'string' && COLOR.test(value) ? null : 'must be a hex color like #00AAFF';
+
+  default:
+    return 'has an unknown type';
+  }
+}
+
+/**
+ * Check automod feature changes, e.g. { spam: { enabled: true, threshold: 6 } }.
+ * Fields are checked against the type of the feature's default value.
+ * @param {*} features - The feature changes
+ * @returns {Array<string>} The problems, empty if the changes are valid
+ */
+function validateFeatures(features) {
+  if (!features || typeof features !== 'object' || Array.isArray(features)) {
+    return ['features must be an object keyed by feature'];
+  }
+
+  const defaults = autoMod.getDefaults().features;
+  const errors = [];
+
+  for (const [feature, changes] of Object.entries(features)) {
+    if (!defaults[feature]) {
+      errors.push(`unknown automod feature ${feature}`);
+      continue;
+    }
+
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      errors.push(`features.${feature} must be an object`);
+      continue;
+    }
+
+    for (const [key, value] of Object.entries(changes)) {
+      const error = validateFeatureField(key, defaults[feature][key], value);
+      if (error) errors.push(`features.${feature}.${key} ${error}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check one automod feature field
+ * @param {string} key - The field
+ * @param {*} defaultValue - The field's default value, undefined for unknown fields
+ * @param {*} value - The new value
+ * @returns {string|null} The problem, null if the value is valid
+ */
+function validateFeatureField(key, defaultValue, value) {
+  if (defaultValue === undefined) return 'is not a setting of this feature';
+
+  if (key === 'action') {
+    return autoMod.ACTIONS.includes(value) ? null : `must be one of: ${autoMod.ACTIONS.join(', ')}`;
+  }
+
+  if (key === 'duration') {
+    return validateField({ type: 'integer', min: 1000, max: 28 * DAY, nullable: true }, value);
+  }
+
+  if (typeof defaultValue === 'boolean') {
+    return validateField({ type: 'boolean' }, value);
+  }
+
+  if (Array.isArray(defaultValue)) {
+    return validateField({ type: 'name', list: true }, value);
+  }
+
+  return validateField({ type: 'integer', min: 1, max: 24 * HOUR }, value);
+}
+
+/**
+ * List the fields that differ between two versions of a section. Nested
+ * objects, like automod features, are compared field by field.
+ * @param {Object} before - The old settings
+ * @param {Object} after - The new settings
+ * @param {string} [prefix=''] - Key prefix for nested fields
+ * @returns {Array<Object>} { key, from, to } of each changed field
+ */
+function diff(before, after, prefix = '') {
+  const changes = [];
+
+  for (const key of new Set([...Object.keys(before || {}), ...Object.keys(after || {})])) {
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+
+    if (isPlainObject(from) || isPlainObject(to)) {
+      changes.push(...diff(from, to, `${prefix}${key}.`));
+    } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ key: `${prefix}${key}`, from: from === undefined ? null : from, to: to === undefined ? null : to });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - The value
+ * @returns {boolean} Whether it is
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Parse a stored JSON value
+ * @param {string} value - The stored value
+ * @returns {*} The value, null if it is malformed
+ */
+function parseValue(value) {
+  try {
+    return value ? JSON.parse(value) : null;
+  } catch (error) {
+    logger.warn(`Ignoring malformed guild setting: ${error.message}`);
+    return null;
+  }
+}
+
+module.exports = new GuildSettings();
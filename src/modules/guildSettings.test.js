@@ -0,0 +1,84 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+jest.mock('../../config.json', () => ({}), { virtual: true });
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../utils/database', () => ({ isConnected: false, query: jest.fn() }));
+jest.mock('../utils/userLogger', () => ({}));
+
+const guildSettings = require('./guildSettings');
+
+const SNOWFLAKE = '123456789012345678';
+
+describe('validate', () => {
+  it('throws a 404 for unknown sections', () => {
+    expect(() => guildSettings.validate('nope', { enabled: true })).toThrow(expect.objectContaining({ status: 404 }));
+  });
+
+  it('accepts valid changes', () => {
+    expect(guildSettings.validate('welcome', { enabled: true, channelId: SNOWFLAKE, dmMessage: null })).toEqual([]);
+    expect(guildSettings.validate('economy', { transferFee: 0.05, currencyName: 'gems' })).toEqual([]);
+    expect(guildSettings.validate('verification', { embedColor: '#00aaFF', unverifiedRole: 'Unverified' })).toEqual([]);
+  });
+
+  it('rejects anything but an object of fields', () => {
+    expect(guildSettings.validate('welcome', null)).toEqual(['expected an object of fields']);
+    expect(guildSettings.validate('welcome', [])).toEqual(['expected an object of fields']);
+    expect(guildSettings.validate('welcome', {})).toEqual(['no fields given']);
+  });
+
+  it('rejects unknown fields', () => {
+    expect(guildSettings.validate('welcome', { colour: 'red' })).toEqual(['unknown field colour']);
+  });
+
+  it('only allows null for nullable fields', () => {
+    expect(guildSettings.validate('welcome', { channelId: null })).toEqual([]);
+    expect(guildSettings.validate('welcome', { enabled: null })).toEqual(['enabled cannot be null']);
+  });
+
+  it('checks field types and limits', () => {
+    expect(guildSettings.validate('welcome', { enabled: 'yes' })).toEqual(['enabled must be true or false']);
+    expect(guildSettings.validate('welcome', { channelId: '123' })).toEqual(['channelId must be a Discord ID']);
+    expect(guildSettings.validate('leveling', { xpPerMessage: 1.5 })).toEqual(['xpPerMessage must be an integer between 1 and 1000']);
+    expect(guildSettings.validate('leveling', { xpPerMessage: 1001 })).toEqual(['xpPerMessage must be an integer between 1 and 1000']);
+    expect(guildSettings.validate('economy', { transferFee: Infinity })).toEqual(['transferFee must be a number between 0 and 1']);
+    expect(guildSettings.validate('economy', { currencyName: '  ' })).toEqual(['currencyName must be text of 1 to 32 characters']);
+    expect(guildSettings.validate('verification', { embedColor: 'green' })).toEqual(['embedColor must be a hex color like #00AAFF']);
+  });
+
+  it('reports every invalid field', () => {
+    expect(guildSettings.validate('leveling', { enabled: 1, xpCooldown: -1, levelUpChannel: 'levels' })).toEqual([
+      'enabled must be true or false',
+      'xpCooldown must be an integer between 0 and 3600',
+    ]);
+  });
+
+  it('checks each entry of list fields', () => {
+    expect(guildSettings.validate('automod', { exemptRoles: [SNOWFLAKE] })).toEqual([]);
+    expect(guildSettings.validate('automod', { exemptRoles: SNOWFLAKE })).toEqual(['exemptRoles must be a list of at most 100 entries']);
+    expect(guildSettings.validate('automod', { exemptRoles: [SNOWFLAKE, 'mods'] })).toEqual(['exemptRoles entries must each be a Discord ID']);
+  });
+
+  it('checks automod feature changes against the feature defaults', () => {
+    expect(guildSettings.validate('automod', {
+      features: { spam: { enabled: true, threshold: 6, action: 'timeout', duration: 60000 }, links: { allowed: ['example.com'] } },
+    })).toEqual([]);
+
+    expect(guildSettings.validate('automod', {
+      features: { spam: { action: 'mute', threshold: 0, colour: 'red' }, nope: {}, caps: true },
+    })).toEqual([
+      'features.spam.action must be one of: delete, warn, timeout, kick, ban',
+      'features.spam.threshold must be an integer between 1 and 86400000',
+      'features.spam.colour is not a setting of this feature',
+      'unknown automod feature nope',
+      'features.caps must be an object',
+    ]);
+  });
+});
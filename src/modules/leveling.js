@@ -14,6 +14,7 @@ const path = require('path');
 const logger = require('../utils/logger');
 const config = require('../../config.json');
 const database = require('../utils/database');
+const guildSettings = require('./guildSettings');
 
 class LevelingSystem {
   constructor() {
@@ -157,20 +158,21 @@ class LevelingSystem {
    */
   async handleMessage(message) {
     try {
-      if (!config.levelSystem || !config.levelSystem.enabled) return;
-      
       const { author, guild, channel } = message;
       
       // Ignore DMs
       if (!guild) return;
       
+      const settings = guildSettings.get(guild.id, 'leveling');
+      if (!settings.enabled) return;
+      
       const userId = author.id;
       const guildId = guild.id;
       
       // Check cooldown
       const cooldownKey = `${userId}-${guildId}`;
       const now = Date.now();
-      const cooldownTime = config.levelSystem.xpCooldown * 1000 || 60000;
+      const cooldownTime = settings.xpCooldown * 1000;
       const lastMessageTime = this.messageCooldowns.get(cooldownKey) || 0;
       
       if (now - lastMessageTime < cooldownTime) return;
@@ -193,13 +195,13 @@ class LevelingSystem {
       // Only give XP every Nth message
       if (newCount % this.messageRewardFrequency === 0) {
         // Get base XP amount
-        const baseXp = config.levelSystem.xpPerMessage || 3;
+        const baseXp = settings.xpPerMessage;
         
         // Apply multipliers
         let xpMultiplier = 1;
         
         // Check for premium roles
-        if (config.levelSystem.xpMultipliers) {
+        if (config.levelSystem?.xpMultipliers) {
           for (const [role, multiplier] of Object.entries(config.levelSystem.xpMultipliers)) {
             if (message.member.roles.cache.some(r => r.name === role || r.id === role)) {
               xpMultiplier = Math.max(xpMultiplier, multiplier);
@@ -226,10 +228,11 @@ class LevelingSystem {
    */
   handleVoiceStateUpdate(oldState, newState) {
     try {
-      if (!config.levelSystem || !config.levelSystem.enabled) return;
-      
       const userId = newState.id;
       const guildId = newState.guild.id;
+      
+      if (!guildSettings.get(guildId, 'leveling').enabled) return;
+      
       const key = `${userId}-${guildId}`;
       
       // User joined a voice channel
@@ -283,14 +286,18 @@ class LevelingSystem {
    */
   async processVoiceXP() {
     try {
-      if (!config.levelSystem || !config.levelSystem.enabled || !this.client) return;
+      if (!this.client) return;
       
       const now = Date.now();
-      const xpPerMinute = config.levelSystem.voiceXpPerMinute || 1;
       
       for (const [key, state] of this.voiceTimeTracking.entries()) {
         const [userId, guildId] = key.split('-');
         
+        // Skip if leveling is disabled in the guild
+        const settings = guildSettings.get(guildId, 'leveling');
+        if (!settings.enabled) continue;
+        const xpPerMinute = settings.voiceXpPerMinute;
+        
         // Skip if user has been in voice for less than a minute
         if (now - state.joinTime < 60000) continue;
         
@@ -339,7 +346,7 @@ class LevelingSystem {
           let xpMultiplier = 1;
           
           // Check for premium roles
-          if (config.levelSystem.xpMultipliers) {
+          if (config.levelSystem?.xpMultipliers) {
             for (const [role, multiplier] of Object.entries(config.levelSystem.xpMultipliers)) {
               if (member.roles.cache.some(r => r.name === role || r.id === role)) {
                 xpMultiplier = Math.max(xpMultiplier, multiplier);
@@ -488,8 +495,8 @@ class LevelingSystem {
       }
       
       // Send level up message
-      const levelUpMessage = config.levelSystem.levelUpMessage || 'Congratulations {user}! You\'ve reached level {level}!';
-      const formattedMessage = levelUpMessage
+      const settings = guildSettings.get(guild.id, 'leveling');
+      const formattedMessage = settings.levelUpMessage
         .replace('{user}', `<@${user.id}>`)
         .replace('{level}', newLevel);
       
@@ -504,9 +511,9 @@ class LevelingSystem {
       // Only send the message if it hasn't been sent in the last minute
       if (now - lastLevelUpTime > 60000) {
         // Determine where to send the message
-        if (config.levelSystem.levelUpChannel) {
+        if (settings.levelUpChannel) {
           const levelUpChannel = guild.channels.cache.find(
-            c => c.name === config.levelSystem.levelUpChannel || c.id === config.levelSystem.levelUpChannel
+            c => c.name === settings.levelUpChannel || c.id === settings.levelUpChannel
           );
           
           if (levelUpChannel) {
@@ -556,7 +563,7 @@ class LevelingSystem {
    */
   async assignLevelRoles(member, level) {
     try {
-      if (!config.levelSystem.levelRoles) return;
+      if (!config.levelSystem?.levelRoles) return;
       
       // Get level roles from config
       const levelRoles = config.levelSystem.levelRoles;
@@ -652,7 +659,7 @@ class LevelingSystem {
    */
   calculateRequiredXP(level) {
     // Parse the level formula from config
-    const formula = config.levelSystem.levelFormula || '100 * (level ^ 1.5)';
+    const formula = config.levelSystem?.levelFormula || '100 * (level ^ 1.5)';
     return Math.floor(eval(formula.replace('level', level)));
   }
 
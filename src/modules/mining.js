@@ -228,7 +228,7 @@ class MiningGame {
       this.userStats.set(userId, {
         level: 1,
         xp: 0,
-        coins: config.economy.startingBalance,
+        coins: economy.getSettings().startingBalance,
         currentWorld: config.miningGame.worlds[0].name,
         pickaxe: config.miningGame.pickaxes[0].name,
         pet: null,
@@ -0,0 +1,371 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const logger = require('../utils/logger');
+const accountLinks = require('./accountLinks');
+const { toSqlDateTime, parseSqlDate } = require('../utils/timeUtils');
+const { createError, createDatabaseQuery } = require('../utils/errors');
+
+const query = createDatabaseQuery('Server control requires a database connection');
+const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
+
+// How long the synced server list is trusted before asking the panel again
+const SYNC_INTERVAL = 5 * 60 * 1000;
+
+// Panel subuser permission each action needs, owners can do everything
+const ACTION_PERMISSIONS = {
+  start: 'control.start',
+  stop: 'control.stop',
+  restart: 'control.restart',
+  console: 'control.console',
+  resources: null,
+};
+
+/**
+ * Game server control for linked users, with their own panel credentials.
+ *
+ * Every request goes to the panel client API with the client API key the
+ * user linked with through `/link`, so the panel decides what they can see
+ * and do. The servers their panel account owns or is a subuser on are kept
+ * in server_access with the access level (owner or subuser) and the subuser
+ * permissions, and a server has to be there before the bot acts on it. That
+ * keeps panel admins, whose keys can reach every server, to their own.
+ */
+class ServerAccess {
+  /**
+   * Get the servers a user can control, syncing with the panel when the
+   * stored list is missing or stale
+   * @param {string} discordId - The Discord user ID
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh=false] - Sync even if the list is fresh
+   * @returns {Promise<Array<Object>>} The server_access rows
+   */
+  async getServers(discordId, { refresh = false } = {}) {
+    const rows = await query('SELECT * FROM server_access WHERE user_id = ? ORDER BY server_name', [discordId]);
+    const stale = rows.length === 0 || rows.some((row) => !row.synced_at || parseSqlDate(row.synced_at).getTime() < Date.now() - SYNC_INTERVAL);
+
+    if (!refresh && !stale) {
+      return rows.map(formatAccess);
+    }
+
+    return this.syncServers(discordId);
+  }
+
+  /**
+   * Replace a user's server_access rows with the servers their panel account
+   * owns or is a subuser on
+   * @param {string} discordId - The Discord user ID
+   * @returns {Promise<Array<Object>>} The server_access rows
+   */
+  async syncServers(discordId) {
+    const { apiKey, link } = await this.getCredentials(discordId);
+    const servers = [];
+
+    // The client API lists exactly the servers the key's user owns or is a subuser on
+    for (let page = 1, totalPages = 1; page <= totalPages; page++) {
+      const body = await this.panelRequest(apiKey, `/api/client?per_page=100&page=${page}`);
+      servers.push(...body.data.map((server) => server.attributes));
+      totalPages = body.meta?.pagination?.total_pages || 1;
+    }
+
+    const now = toSqlDateTime();
+
+    for (const server of servers) {
+      await this.saveAccess(discordId, link.pterodactyl_id, server, server.server_owner ? 'owner' : 'subuser', null, now);
+    }
+
+    // Drop the servers the panel account lost access to
+    const current = await query('SELECT server_id FROM server_access WHERE user_id = ?', [discordId]);
+    const identifiers = new Set(servers.map((server) => server.identifier));
+
+    for (const row of current) {
+      if (!identifiers.has(row.server_id)) {
+        await this.revoke(discordId, row.server_id);
+      }
+    }
+
+    logger.debug(`Synced ${servers.length} panel servers for Discord user ${discordId}`);
+    return (await query('SELECT * FROM server_access WHERE user_id = ? ORDER BY server_name', [discordId])).map(formatAccess);
+  }
+
+  /**
+   * Check that a user may do something to a server, with a fresh look at the
+   * panel. Subuser permissions are refreshed on every check.
+   * @param {string} discordId - The Discord user ID
+   * @param {string} serverId - The server identifier
+   * @param {string} action - start, stop, restart, console or resources
+   * @returns {Promise<Object>} { apiKey, access, server } with the server's panel attributes
+   * @throws {Error} With status 403 if the user cannot
+   */
+  async requireAccess(discordId, serverId, action) {
+    const { apiKey, link } = await this.getCredentials(discordId);
+    const identifier = String(serverId || '').trim();
+
+    let [row] = await query('SELECT * FROM server_access WHERE user_id = ? AND server_id = ?', [discordId, identifier]);
+
+    // The server may be new since the last sync
+    if (!row) {
+      await this.syncServers(discordId);
+      [row] = await query('SELECT * FROM server_access WHERE user_id = ? AND server_id = ?', [discordId, identifier]);
+    }
+
+    if (!row) {
+      throw createError(403, 'You do not own and are not a subuser on that server. Use `/myservers list` to see yours.');
+    }
+
+    let body;
+    try {
+      body = await this.panelRequest(apiKey, `/api/client/servers/${encodeURIComponent(identifier)}`);
+    } catch (error) {
+      if (error.status === 403 || error.status === 404) {
+        await this.revoke(discordId, identifier);
+        throw createError(403, 'You no longer have access to that server.');
+      }
+      throw error;
+    }
+
+    const server = body.attributes;
+    const permissions = body.meta?.user_permissions || [];
+    const level = body.meta?.is_server_owner || server.server_owner ? 'owner' : 'subuser';
+    await this.saveAccess(discordId, link.pterodactyl_id, server, level, permissions);
+
+    const access = formatAccess({ ...row, access_level: level, permissions: JSON.stringify(permissions) });
+    const required = ACTION_PERMISSIONS[action];
+
+    if (required && level !== 'owner' && !hasPermission(permissions, required)) {
+      throw createError(403, `You are a subuser on **${server.name}** without the \`${required}\` permission.`);
+    }
+
+    return { apiKey, access, server };
+  }
+
+  /**
+   * Send a power signal to one of the user's servers
+   * @param {string} discordId - The Discord user ID
+   * @param {string} serverId - The server identifier
+   * @param {string} signal - start, stop or restart
+   * @returns {Promise<Object>} The server's panel attributes
+   */
+  async sendPowerSignal(discordId, serverId, signal) {
+    const { apiKey, server } = await this.requireAccess(discordId, serverId, signal);
+
+    if (server.is_suspended) {
+      throw createError(409, `**${server.name}** is suspended.`);
+    }
+
+    await this.panelRequest(apiKey, `/api/client/servers/${server.identifier}/power`, { method: 'POST', body: { signal } });
+    logger.info(`Discord user ${discordId} sent ${signal} to server ${server.name} (${server.identifier}) with their own panel key`);
+
+    return server;
+  }
+
+  /**
+   * Send a console command to one of the user's servers
+   * @param {string} discordId - The Discord user ID
+   * @param {string} serverId - The server identifier
+   * @param {string} command - The command
+   * @returns {Promise<Object>} The server's panel attributes
+   */
+  async sendCommand(discordId, serverId, command) {
+    const { apiKey, server } = await this.requireAccess(discordId, serverId, 'console');
+
+    await this.panelRequest(apiKey, `/api/client/servers/${server.identifier}/command`, { method: 'POST', body: { command } });
+    logger.info(`Discord user ${discordId} ran a console command on server ${server.name} (${server.identifier})`);
+
+    return server;
+  }
+
+  /**
+   * Get the current state and resource usage of one of the user's servers
+   * @param {string} discordId - The Discord user ID
+   * @param {string} serverId - The server identifier
+   * @returns {Promise<Object>} { server, access, state, resources }
+   */
+  async getResources(discordId, serverId) {
+    const { apiKey, access, server } = await this.requireAccess(discordId, serverId, 'resources');
+    const body = await this.panelRequest(apiKey, `/api/client/servers/${server.identifier}/resources`);
+
+    return {
+      server,
+      access,
+      state: body.attributes.current_state,
+      resources: body.attributes.resources,
+    };
+  }
+
+  /**
+   * Get the current state of several of the user's servers. Servers the panel
+   * cannot report on are 'unknown'.
+   * @param {string} discordId - The Discord user ID
+   * @param {Array<string>} serverIds - The server identifiers
+   * @returns {Promise<Map<string, string>>} Server identifier => state
+   */
+  async getStates(discordId, serverIds) {
+    const { apiKey } = await this.getCredentials(discordId);
+    const states = new Map();
+
+    await Promise.all(serverIds.map(async (serverId) => {
+      try {
+        const body = await this.panelRequest(apiKey, `/api/client/servers/${serverId}/resources`);
+        states.set(serverId, body.attributes.current_state);
+      } catch (error) {
+        states.set(serverId, 'unknown');
+      }
+    }));
+
+    return states;
+  }
+
+  /**
+   * Remove a user's access to one server
+   * @param {string} discordId - The Discord user ID
+   * @param {string} serverId - The server identifier
+   * @returns {Promise<void>}
+   */
+  async revoke(discordId, serverId) {
+    await query('DELETE FROM server_access WHERE user_id = ? AND server_id = ?', [discordId, serverId]);
+    logger.info(`Removed server ${serverId} from the servers of Discord user ${discordId}, their panel account lost access`);
+  }
+
+  /**
+   * Store a user's access to a server
+   * @param {string} discordId - The Discord user ID
+   * @param {number} panelUserId - The panel user ID
+   * @param {Object} server - The server's panel attributes
+   * @param {string} level - owner or subuser
+   * @param {Array<string>|null} permissions - The subuser permissions, null to keep the stored ones
+   * @param {string} [syncedAt] - When the server list was synced, to keep the stored time
+   * @returns {Promise<void>}
+   */
+  async saveAccess(discordId, panelUserId, server, level, permissions, syncedAt = null) {
+    await query(
+      `INSERT INTO server_access (server_id, server_uuid, server_name, user_id, pterodactyl_id, access_level, permissions, granted_at, synced_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(server_id, user_id) DO UPDATE SET server_uuid = excluded.server_uuid, server_name = excluded.server_name,
+         pterodactyl_id = excluded.pterodactyl_id, access_level = excluded.access_level,
+         permissions = COALESCE(excluded.permissions, server_access.permissions), synced_at = COALESCE(excluded.synced_at, server_access.synced_at)`,
+      [
+        server.identifier,
+        server.uuid || null,
+        server.name,
+        discordId,
+        panelUserId || null,
+        level,
+        permissions ? JSON.stringify(permissions) : null,
+        toSqlDateTime(),
+        syncedAt,
+      ],
+    );
+  }
+
+  /**
+   * Get the panel client API key of a linked user
+   * @param {string} discordId - The Discord user ID
+   * @returns {Promise<Object>} { apiKey, link }
+   * @throws {Error} With status 403 if the user is not linked with a key
+   */
+  async getCredentials(discordId) {
+    const link = await accountLinks.getLink(discordId);
+
+    if (!link || !link.verified) {
+      throw createError(403, 'Your Discord account is not linked to a panel account. Use `/link account` first.');
+    }
+
+    const apiKey = await accountLinks.getPanelApiKey(discordId);
+    if (!apiKey) {
+      throw createError(403, 'Your link has no panel API key the bot can use. Use `/link unlink`, then link again with a client API key.');
+    }
+
+    return { apiKey, link };
+  }
+
+  /**
+   * Call the panel client API as a user
+   * @param {string} apiKey - The user's client API key
+   * @param {string} endpoint - The path, starting with /api/client
+   * @param {Object} [options]
+   * @param {string} [options.method='GET'] - HTTP method
+   * @param {Object} [options.body] - JSON body
+   * @returns {Promise<Object|null>} The response body, null for empty responses
+   */
+  async panelRequest(apiKey, endpoint, { method = 'GET', body } = {}) {
+    const { panelUrl } = accountLinks.getSettings();
+    if (!panelUrl) {
+      throw createError(503, 'The panel URL is not configured.');
+    }
+
+    let response;
+    try {
+      response = await fetch(`${panelUrl}${endpoint}`, {
+        method,
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Accept': 'application/json',
+          'Content-Type': 'application/json',
+        },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+    } catch (error) {
+      logger.error(`Could not reach the panel at ${panelUrl}: ${error.message}`);
+      throw createError(502, 'The panel could not be reached. Please try again later.');
+    }
+
+    if (response.status === 401) {
+      throw createError(401, 'The panel no longer accepts your linked API key. Use `/link unlink`, then link again.');
+    }
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      const detail = error.errors?.[0]?.detail || `The panel returned an error (${response.status}).`;
+      throw createError(response.status === 403 || response.status === 404 ? response.status : 502, detail);
+    }
+
+    return response.status === 204 ? null : response.json();
+  }
+}
+
+/**
+ * Whether a list of panel subuser permissions includes one, allowing the
+ * `*` and `control.*` wildcards
+ * @param {Array<string>} permissions - The subuser permissions
+ * @param {string} permission - The permission
+ * @returns {boolean} Whether it is included
+ */
+function hasPermission(permissions, permission) {
+  const [group] = permission.split('.');
+  return permissions.includes('*') || permissions.includes(`${group}.*`) || permissions.includes(permission);
+}
+
+/**
+ * Turn a server_access row into the shape the commands use
+ * @param {Object} row - The row
+ * @returns {Object} { serverId, uuid, name, level, permissions }
+ */
+function formatAccess(row) {
+  let permissions = [];
+  try {
+    permissions = row.permissions ? JSON.parse(row.permissions) : [];
+  } catch (error) {
+    logger.warn(`Invalid permissions stored for server ${row.server_id}: ${error.message}`);
+  }
+
+  return {
+    serverId: row.server_id,
+    uuid: row.server_uuid,
+    name: row.server_name,
+    level: row.access_level,
+    permissions,
+  };
+}
+
+const serverAccess = new ServerAccess();
+serverAccess.ACTION_PERMISSIONS = ACTION_PERMISSIONS;
+
+module.exports = serverAccess;
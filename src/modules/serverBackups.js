@@ -0,0 +1,571 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const config = require('../../config.json');
+const logger = require('../utils/logger');
+const db = require('../utils/database');
+const { formatBytes } = require('../utils');
+const { toSqlDateTime, formatDuration, parseSqlDate } = require('../utils/timeUtils');
+const { createError, createDatabaseQuery } = require('../utils/errors');
+const gameServers = require('./gameServers');
+
+const query = createDatabaseQuery('Backups require a database connection');
+
+// How often due backup schedules are looked for
+const SCHEDULE_CHECK_INTERVAL = 60 * 1000;
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Game server backups through the panel's client API.
+ *
+ * Backups made with `/server backup create` or by a schedule are recorded in
+ * server_backups. The panel makes backups in the background, so each new
+ * backup is checked every config.gameServers.backups.pollInterval seconds
+ * until it finishes, fails or runs past the timeout; checks for backups that
+ * were still running when the bot stopped resume on startup. When a backup
+ * finishes or fails, the server's owners (their server_access rows) and the
+ * staff member who asked for it get a DM.
+ *
+ * Schedules in server_backup_schedules make a backup every interval_hours
+ * and keep the newest `retention` scheduled backups, deleting older ones
+ * once a new one finishes. Manual and locked backups are never deleted.
+ *
+ * Button IDs:
+ * - backup_restore_<serverId>_<backupId>_<0|1>: confirms a restore, 1 deletes the files first
+ * - backup_cancel: cancels a restore
+ */
+class ServerBackups {
+  constructor() {
+    this.client = null;
+    this.scheduleTimer = null;
+    this.checks = new Map(); // backup uuid => check timer
+  }
+
+  /**
+   * Resume checks for running backups and start the scheduler
+   * @param {Client} client - Discord client
+   * @returns {Promise<void>}
+   */
+  async init(client) {
+    this.client = client;
+
+    if (!db.isConnected || !process.env.PTERODACTYL_API_URL) return;
+
+    try {
+      const rows = await db.query('SELECT * FROM server_backups WHERE status = ?', ['pending']);
+      rows.forEach((row) => this.watch(row.server_id, row.backup_uuid));
+
+      if (rows.length > 0) {
+        logger.info(`Resumed checks for ${rows.length} running game server backups`);
+      }
+    } catch (error) {
+      logger.error(`Failed to load running game server backups: ${error.message}`);
+    }
+
+    if (this.scheduleTimer) clearInterval(this.scheduleTimer);
+    this.scheduleTimer = setInterval(() => this.runSchedules(), SCHEDULE_CHECK_INTERVAL);
+  }
+
+  /**
+   * Get the backup settings from config.gameServers.backups
+   * @returns {Object} { pollInterval, timeout, notifyOwners }
+   */
+  getSettings() {
+    const settings = config.gameServers?.backups || {};
+
+    return {
+      pollInterval: (settings.pollInterval || 15) * 1000,
+      timeout: (settings.timeout || 120) * 60 * 1000,
+      notifyOwners: settings.notifyOwners !== false,
+    };
+  }
+
+  /**
+   * List a server's backups, newest first
+   * @param {string} serverId - The server identifier
+   * @returns {Promise<Array<Object>>} The backups
+   */
+  async list(serverId) {
+    const backups = await gameServers.fetchBackups(serverId);
+    const rows = db.isConnected ? await query('SELECT * FROM server_backups WHERE server_id = ?', [serverId]) : [];
+    const recorded = new Map(rows.map((row) => [row.backup_uuid, row]));
+
+    return backups
+      .map((backup) => formatBackup(backup, recorded.get(backup.uuid)))
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Start a backup and check on it until it finishes
+   * @param {string} serverId - The server identifier
+   * @param {Object} [options]
+   * @param {string} [options.name] - Backup name
+   * @param {boolean} [options.locked=false] - Protect it from deletion
+   * @param {string} [options.userId] - Who asked for it
+   * @param {boolean} [options.scheduled=false] - Made by a schedule
+   * @returns {Promise<Object>} The backup
+   */
+  async create(serverId, { name = null, locked = false, userId = null, scheduled = false } = {}) {
+    if (!db.isConnected) {
+      throw createError(503, 'Backups require a database connection');
+    }
+
+    const backup = await gameServers.createBackup(serverId, { name, locked });
+
+    await query(
+      `INSERT INTO server_backups (server_id, backup_uuid, name, status, locked, scheduled, created_by, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [serverId, backup.uuid, backup.name, 'pending', backup.is_locked ? 1 : 0, scheduled ? 1 : 0, userId, toSqlDateTime()],
+    );
+
+    logger.info(`${scheduled ? 'Scheduled backup' : `Backup by ${userId}`} ${backup.uuid} started on ${serverId}`);
+    this.watch(serverId, backup.uuid);
+
+    const [row] = await query('SELECT * FROM server_backups WHERE backup_uuid = ?', [backup.uuid]);
+    return formatBackup(backup, row);
+  }
+
+  /**
+   * Restore a backup over a server's files
+   * @param {string} serverId - The server identifier
+   * @param {string} backupId - The backup UUID
+   * @param {Object} [options]
+   * @param {boolean} [options.truncate=false] - Delete every file first
+   * @param {string} [options.userId] - Who asked for it
+   * @returns {Promise<Object>} The backup
+   */
+  async restore(serverId, backupId, { truncate = false, userId = null } = {}) {
+    const backup = await gameServers.fetchBackup(serverId, backupId);
+    if (!backup.completed_at || !backup.is_successful) {
+      throw createError(409, 'Only finished backups can be restored.');
+    }
+
+    await gameServers.restoreBackup(serverId, backupId, truncate);
+    logger.info(`${userId} restored backup ${backupId} on ${serverId}${truncate ? ', deleting existing files' : ''}`);
+    return formatBackup(backup);
+  }
+
+  /**
+   * Delete a backup from the panel
+   * @param {string} serverId - The server identifier
+   * @param {string} backupId - The backup UUID
+   * @param {string} [userId] - Who asked for it, null for retention
+   * @returns {Promise<Object>} The deleted backup
+   */
+  async delete(serverId, backupId, userId = null) {
+    const backup = await gameServers.fetchBackup(serverId, backupId);
+    if (backup.is_locked) {
+      throw createError(409, 'This backup is locked, unlock it on the panel to delete it.');
+    }
+
+    await gameServers.deleteBackup(serverId, backupId);
+    this.stopWatching(backupId);
+
+    if (db.isConnected) {
+      await query(
+        'UPDATE server_backups SET status = ?, deleted_at = ? WHERE backup_uuid = ?',
+        ['deleted', toSqlDateTime(), backupId],
+      );
+    }
+
+    logger.info(`Backup ${backupId} of ${serverId} deleted ${userId ? `by ${userId}` : 'by retention'}`);
+    return formatBackup(backup);
+  }
+
+  /**
+   * Get a download link for a finished backup
+   * @param {string} serverId - The server identifier
+   * @param {string} backupId - The backup UUID
+   * @returns {Promise<Object>} { backup, url }
+   */
+  async getDownloadUrl(serverId, backupId) {
+    const backup = await gameServers.fetchBackup(serverId, backupId);
+    if (!backup.completed_at || !backup.is_successful) {
+      throw createError(409, 'Only finished backups can be downloaded.');
+    }
+
+    const url = await gameServers.fetchBackupDownloadUrl(serverId, backupId);
+    return { backup: formatBackup(backup), url };
+  }
+
+  /**
+   * Check a backup until it finishes
+   * @param {string} serverId - The server identifier
+   * @param {string} backupId - The backup UUID
+   */
+  watch(serverId, backupId) {
+    if (this.checks.has(backupId)) return;
+
+    const timer = setTimeout(async () => {
+      this.checks.delete(backupId);
+
+      try {
+        const done = await this.check(serverId, backupId);
+        if (!done) this.watch(serverId, backupId);
+      } catch (error) {
+        logger.warn(`Could not check backup ${backupId} of ${serverId}: ${error.message}`);
+        this.watch(serverId, backupId);
+      }
+    }, this.getSettings().pollInterval);
+
+    this.checks.set(backupId, timer);
+  }
+
+  /**
+   * Stop checking a backup
+   * @param {string} backupId - The backup UUID
+   */
+  stopWatching(backupId) {
+    clearTimeout(this.checks.get(backupId));
+    this.checks.delete(backupId);
+  }
+
+  /**
+   * Check whether a backup finished and record the result
+   * @param {string} serverId - The server identifier
+   * @param {string} backupId - The backup UUID
+   * @returns {Promise<boolean>} Whether the backup is done with
+   */
+  async check(serverId, backupId) {
+    const [row] = await query('SELECT * FROM server_backups WHERE backup_uuid = ?', [backupId]);
+    if (!row || row.status !== 'pending') return true;
+
+    let backup;
+    try {
+      backup = await gameServers.fetchBackup(serverId, backupId);
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      await this.finish(row, 'failed', { error: 'The backup was deleted from the panel before it finished.' });
+      return true;
+    }
+
+    if (backup.completed_at) {
+      await this.finish(row, backup.is_successful ? 'completed' : 'failed', {
+        size: backup.bytes,
+        checksum: backup.checksum,
+        completedAt: new Date(backup.completed_at),
+        error: backup.is_successful ? null : 'The node could not make the backup.',
+      });
+      return true;
+    }
+
+    if (Date.now() - parseSqlDate(row.created_at).getTime() > this.getSettings().timeout) {
+      await this.finish(row, 'failed', { error: `The backup did not finish within ${formatDuration(this.getSettings().timeout)}.` });
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Record a finished backup, tell its owners and apply the retention of scheduled backups
+   * @param {Object} row - The server_backups row
+   * @param {string} status - completed or failed
+   * @param {Object} result - { size, checksum, completedAt, error }
+   * @returns {Promise<void>}
+   */
+  async finish(row, status, { size = null, checksum = null, completedAt = new Date(), error = null }) {
+    await query(
+      'UPDATE server_backups SET status = ?, size = ?, checksum = ?, error = ?, completed_at = ? WHERE id = ?',
+      [status, size, checksum, error, toSqlDateTime(completedAt), row.id],
+    );
+
+    const backup = { ...row, status, size, error, completed_at: toSqlDateTime(completedAt) };
+    logger.info(`Backup ${row.backup_uuid} of ${row.server_id} ${status}${error ? `: ${error}` : ''}`);
+
+    await this.notify(backup);
+
+    if (status === 'completed' && row.scheduled) {
+      await this.applyRetention(row.server_id);
+    }
+  }
+
+  /**
+   * DM a finished or failed backup to the server's owners and whoever asked for it
+   * @param {Object} backup - The server_backups row
+   * @returns {Promise<void>}
+   */
+  async notify(backup) {
+    if (!this.client) return;
+
+    const recipients = new Set(backup.created_by ? [backup.created_by] : []);
+
+    if (this.getSettings().notifyOwners) {
+      try {
+        const owners = await query(
+          'SELECT DISTINCT user_id FROM server_access WHERE server_id = ? AND access_level = ?',
+          [backup.server_id, 'owner'],
+        );
+        owners.forEach((owner) => recipients.add(owner.user_id));
+      } catch (error) {
+        logger.error(`Failed to look up the owners of ${backup.server_id}: ${error.message}`);
+      }
+    }
+
+    const embed = buildResultEmbed(backup);
+
+    for (const userId of recipients) {
+      try {
+        const user = await this.client.users.fetch(userId);
+        await user.send({ embeds: [embed] });
+      } catch (error) {
+        logger.debug(`Could not DM the backup result to ${userId}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Get a server's backup schedule
+   * @param {string} serverId - The server identifier
+   * @returns {Promise<Object|null>} The schedule
+   */
+  async getSchedule(serverId) {
+    const [row] = await query('SELECT * FROM server_backup_schedules WHERE server_id = ?', [serverId]);
+    return row ? formatSchedule(row) : null;
+  }
+
+  /**
+   * Back a server up every few hours, keeping a number of scheduled backups
+   * @param {string} serverId - The server identifier
+   * @param {Object} options
+   * @param {number} options.interval - Hours between backups
+   * @param {number} options.retention - Scheduled backups to keep
+   * @param {string} [options.userId] - Who set it
+   * @returns {Promise<Object>} The schedule
+   */
+  async setSchedule(serverId, { interval, retention, userId = null }) {
+    if (!Number.isInteger(interval) || interval < 1) {
+      throw createError(400, 'The interval must be at least one hour.');
+    }
+
+    if (!Number.isInteger(retention) || retention < 1) {
+      throw createError(400, 'At least one backup must be kept.');
+    }
+
+    const server = await gameServers.fetchServer(serverId);
+    if (!server) {
+      throw createError(404, 'Server not found.');
+    }
+
+    await query(
+      `INSERT INTO server_backup_schedules (server_id, server_name, interval_hours, retention, created_by, next_run_at, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(server_id) DO UPDATE SET
+         server_name = excluded.server_name,
+         interval_hours = excluded.interval_hours,
+         retention = excluded.retention,
+         created_by = excluded.created_by,
+         next_run_at = excluded.next_run_at`,
+      [serverId, server.name, interval, retention, userId, toSqlDateTime(Date.now() + interval * HOUR), toSqlDateTime()],
+    );
+
+    logger.info(`${userId} scheduled backups of ${server.name} (${serverId}) every ${interval}h, keeping ${retention}`);
+    return this.getSchedule(serverId);
+  }
+
+  /**
+   * Stop a server's scheduled backups. Existing backups are kept.
+   * @param {string} serverId - The server identifier
+   * @returns {Promise<boolean>} Whether the server had a schedule
+   */
+  async removeSchedule(serverId) {
+    const result = await query('DELETE FROM server_backup_schedules WHERE server_id = ?', [serverId]);
+    return result.changes > 0;
+  }
+
+  /**
+   * Start the backups of every due schedule
+   * @returns {Promise<void>}
+   */
+  async runSchedules() {
+    if (!db.isConnected) return;
+
+    let schedules;
+    try {
+      schedules = await db.query('SELECT * FROM server_backup_schedules WHERE next_run_at <= ?', [toSqlDateTime()]);
+    } catch (error) {
+      logger.error(`Failed to load due backup schedules: ${error.message}`);
+      return;
+    }
+
+    for (const schedule of schedules) {
+      // Move the schedule on first, a failing panel shouldn't retry every minute
+      await db.query(
+        'UPDATE server_backup_schedules SET last_run_at = ?, next_run_at = ? WHERE server_id = ?',
+        [toSqlDateTime(), toSqlDateTime(Date.now() + schedule.interval_hours * HOUR), schedule.server_id],
+      ).catch((error) => logger.error(`Failed to update the backup schedule of ${schedule.server_id}: ${error.message}`));
+
+      try {
+        await this.create(schedule.server_id, {
+          name: `Scheduled backup ${toSqlDateTime().slice(0, 16)}`,
+          scheduled: true,
+        });
+      } catch (error) {
+        logger.error(`Scheduled backup of ${schedule.server_name} (${schedule.server_id}) failed to start: ${error.message}`);
+        await this.notify({
+          server_id: schedule.server_id,
+          backup_uuid: null,
+          name: 'Scheduled backup',
+          status: 'failed',
+          error: error.message,
+          created_by: null,
+        });
+      }
+    }
+  }
+
+  /**
+   * Delete the oldest scheduled backups beyond the schedule's retention
+   * @param {string} serverId - The server identifier
+   * @returns {Promise<void>}
+   */
+  async applyRetention(serverId) {
+    const schedule = await this.getSchedule(serverId);
+    if (!schedule) return;
+
+    const rows = await query(
+      `SELECT * FROM server_backups
+       WHERE server_id = ? AND scheduled = 1 AND status = 'completed' AND locked = 0
+       ORDER BY created_at DESC, id DESC`,
+      [serverId],
+    );
+
+    for (const row of rows.slice(schedule.retention)) {
+      try {
+        await this.delete(serverId, row.backup_uuid);
+      } catch (error) {
+        if (error.status === 404) {
+          await query('UPDATE server_backups SET status = ?, deleted_at = ? WHERE id = ?', ['deleted', toSqlDateTime(), row.id]);
+        } else {
+          logger.warn(`Could not delete old scheduled backup ${row.backup_uuid} of ${serverId}: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Handle a backup_ button
+   * @param {ButtonInteraction} interaction - The interaction
+   * @returns {Promise<void>}
+   */
+  async handleButton(interaction) {
+    if (interaction.customId === 'backup_cancel') {
+      return interaction.update({ content: 'Restore cancelled.', embeds: [], components: [] });
+    }
+
+    if (!interaction.customId.startsWith('backup_restore_')) return;
+
+    if (!interaction.member || !gameServers.hasServerPermission(interaction.member)) {
+      return interaction.reply({ content: '❌ Only staff can restore backups.', ephemeral: true });
+    }
+
+    const [serverId, backupId, truncate] = interaction.customId.slice('backup_restore_'.length).split('_');
+
+    try {
+      await interaction.update({ content: '⏳ Restoring the backup…', embeds: [], components: [] });
+      const backup = await this.restore(serverId, backupId, { truncate: truncate === '1', userId: interaction.user.id });
+      await interaction.editReply({ content: `✅ Restoring **${backup.name}** on \`${serverId}\`. The server is unavailable until the restore finishes.` });
+    } catch (error) {
+      if (!error.status) {
+        logger.error(`Error restoring backup ${backupId} of ${serverId}: ${error.message}`);
+      }
+      await interaction.editReply({ content: `❌ ${error.message}` }).catch(() => {});
+    }
+  }
+
+  /**
+   * Build the restore confirmation buttons
+   * @param {string} serverId - The server identifier
+   * @param {string} backupId - The backup UUID
+   * @param {boolean} truncate - Delete the files first
+   * @returns {ActionRowBuilder} The row
+   */
+  buildRestoreRow(serverId, backupId, truncate) {
+    return new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`backup_restore_${serverId}_${backupId}_${truncate ? 1 : 0}`)
+        .setLabel('Confirm Restore')
+        .setStyle(ButtonStyle.Danger),
+      new ButtonBuilder()
+        .setCustomId('backup_cancel')
+        .setLabel('Cancel')
+        .setStyle(ButtonStyle.Secondary),
+    );
+  }
+}
+
+/**
+ * Combine a panel backup with its server_backups row
+ * @param {Object} backup - The panel's backup attributes
+ * @param {Object} [row] - The server_backups row, for backups made through the bot
+ * @returns {Object} The backup
+ */
+function formatBackup(backup, row = null) {
+  let status = 'pending';
+  if (backup.completed_at) status = backup.is_successful ? 'completed' : 'failed';
+
+  return {
+    uuid: backup.uuid,
+    name: backup.name,
+    size: backup.bytes || 0,
+    checksum: backup.checksum || null,
+    status,
+    locked: Boolean(backup.is_locked),
+    scheduled: Boolean(row && row.scheduled),
+    createdBy: row ? row.created_by : null,
+    createdAt: new Date(backup.created_at),
+    completedAt: backup.completed_at ? new Date(backup.completed_at) : null,
+  };
+}
+
+/**
+ * Format a server_backup_schedules row
+ * @param {Object} row - The row
+ * @returns {Object} The schedule
+ */
+function formatSchedule(row) {
+  return {
+    serverId: row.server_id,
+    serverName: row.server_name,
+    interval: row.interval_hours,
+    retention: row.retention,
+    createdBy: row.created_by,
+    lastRunAt: row.last_run_at ? parseSqlDate(row.last_run_at) : null,
+    nextRunAt: parseSqlDate(row.next_run_at),
+  };
+}
+
+/**
+ * Build the DM sent when a backup finishes or fails
+ * @param {Object} backup - The server_backups row
+ * @returns {EmbedBuilder} The embed
+ */
+function buildResultEmbed(backup) {
+  const completed = backup.status === 'completed';
+
+  const embed = new EmbedBuilder()
+    .setTitle(completed ? '✅ Backup Finished' : '❌ Backup Failed')
+    .setColor(completed ? '#2ECC71' : '#E74C3C')
+    .setDescription(completed
+      ? `**${backup.name}** of server \`${backup.server_id}\` is ready (${formatBytes(backup.size || 0)}).`
+      : `**${backup.name}** of server \`${backup.server_id}\` failed: ${backup.error || 'unknown error'}`)
+    .setFooter({ text: config.footerText })
+    .setTimestamp();
+
+  if (backup.backup_uuid) {
+    embed.addFields({ name: 'Backup', value: `\`${backup.backup_uuid}\``, inline: true });
+  }
+
+  return embed;
+}
+
+module.exports = new ServerBackups();
@@ -0,0 +1,480 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ChannelType } = require('discord.js');
+const config = require('../../config.json');
+const logger = require('../utils/logger');
+const db = require('../utils/database');
+const PanelSocket = require('../utils/panelSocket');
+const { createError } = require('../utils/errors');
+const gameServers = require('./gameServers');
+
+// Room for the code block around each message's lines
+const MESSAGE_LENGTH = 1900;
+const LINE_LENGTH = 500;
+
+const DEFAULT_DENIED_COMMANDS = ['stop', 'end', 'restart', 'op', 'deop', 'save-off', 'whitelist off'];
+
+/**
+ * Streams game server consoles into Discord threads and runs console
+ * commands for staff.
+ *
+ * `/server console` opens a session: a panel websocket (see PanelSocket) for
+ * the server and a private thread the output is posted to. Output is batched
+ * and flushed every few seconds with a limit on the messages per flush; when
+ * a server logs faster than that, the oldest lines of the batch are skipped.
+ * Sessions close after config.gameServers.console.sessionTimeout minutes,
+ * with the Stop Streaming button, or when the thread is archived or deleted.
+ *
+ * `/server command` runs through the open session or the panel API. Commands
+ * matching the deny-list are refused, and every attempt is recorded in
+ * console_commands.
+ *
+ * Button IDs:
+ * - console_stop_<serverId>: closes the server's session
+ */
+class ServerConsole {
+  constructor() {
+    this.client = null;
+    this.sessions = new Map(); // serverId => session
+  }
+
+  /**
+   * Close sessions whose threads go away
+   * @param {Client} client - Discord client
+   */
+  init(client) {
+    this.client = client;
+
+    client.on('threadDelete', (thread) => {
+      const session = this.getSessionByThread(thread.id);
+      if (session) this.stop(session.serverId, 'the thread was deleted', { notify: false });
+    });
+
+    client.on('threadUpdate', (oldThread, thread) => {
+      const session = this.getSessionByThread(thread.id);
+      if (session && thread.archived && !session.stopping) this.stop(session.serverId, 'the thread was archived', { notify: false });
+    });
+  }
+
+  /**
+   * Get the console settings from config.gameServers.console
+   * @returns {Object} { flushInterval, maxMessagesPerFlush, sessionTimeout, deniedCommands }
+   */
+  getSettings() {
+    const settings = config.gameServers?.console || {};
+
+    return {
+      flushInterval: (settings.flushInterval || 2) * 1000,
+      maxMessagesPerFlush: settings.maxMessagesPerFlush || 3,
+      sessionTimeout: (settings.sessionTimeout || 30) * 60 * 1000,
+      deniedCommands: (settings.deniedCommands || DEFAULT_DENIED_COMMANDS).map(normalizeCommand).filter(Boolean),
+    };
+  }
+
+  /**
+   * Start streaming a server's console into a new private thread of the
+   * channel the command was used in. The thread is only visible to the
+   * opener, who is added to it, and to members who can manage threads.
+   * @param {ChatInputCommandInteraction} interaction - The interaction
+   * @param {string} serverId - The server identifier
+   * @returns {Promise<Object>} { session, existing }
+   */
+  async open(interaction, serverId) {
+    const running = this.sessions.get(serverId);
+    if (running) {
+      // The session is registered while it connects, wait until its thread exists
+      await running.opening;
+      return { session: running, existing: true };
+    }
+
+    const channel = interaction.channel;
+    if (!channel || channel.type !== ChannelType.GuildText) {
+      throw createError(400, 'Console streams need a text channel to open a private thread in.');
+    }
+
+    const server = await gameServers.fetchServer(serverId);
+    if (!server) {
+      throw createError(404, 'Server not found.');
+    }
+
+    // Another open may have started while the server was fetched
+    if (this.sessions.has(serverId)) {
+      return this.open(interaction, serverId);
+    }
+
+    const { flushInterval, sessionTimeout } = this.getSettings();
+    const socket = new PanelSocket({
+      getCredentials: () => gameServers.fetchWebsocketCredentials(serverId),
+      origin: getPanelOrigin(),
+      name: server.name,
+    });
+
+    const session = {
+      serverId,
+      name: server.name,
+      thread: null,
+      opening: null,
+      socket,
+      buffer: [],
+      state: null,
+      skipped: 0,
+      flushing: false,
+      stopping: false,
+      openedBy: interaction.user.id,
+      expiresAt: Date.now() + sessionTimeout,
+    };
+
+    socket.on('output', (line) => session.buffer.push(line));
+    socket.on('status', (state) => {
+      // The daemon repeats the state after every authentication
+      if (state === session.state) return;
+      session.state = state;
+      session.buffer.push(`[JMF] Server is now ${state}`);
+    });
+    socket.on('error', (error) => session.buffer.push(`[JMF] Daemon error: ${error.message}`));
+    socket.on('close', () => {
+      if (!session.stopping) this.stop(serverId, 'the console connection was lost');
+    });
+
+    this.sessions.set(serverId, session);
+    session.opening = this.createThread(session, channel, interaction.user);
+    await session.opening;
+
+    await session.thread.send({
+      embeds: [this.buildSessionEmbed(session)],
+      components: [buildStopRow(serverId)],
+    });
+
+    session.flushTimer = setInterval(() => this.flush(session), flushInterval);
+    session.expiryTimer = setTimeout(() => this.stop(serverId, 'the session timed out'), sessionTimeout);
+
+    logger.info(`${interaction.user.tag} opened the console stream of ${session.name} (${serverId}) in ${session.thread.id}`);
+    return { session, existing: false };
+  }
+
+  /**
+   * Connect a session's socket, then create its private thread and add the opener
+   * @param {Object} session - The session
+   * @param {TextChannel} channel - The channel to create the thread in
+   * @param {User} user - Who opened the session
+   * @returns {Promise<void>}
+   * @throws {Error} With status 502 if either fails, after closing the session
+   */
+  async createThread(session, channel, user) {
+    // Connect first so a panel or daemon failure doesn't leave an empty thread behind
+    try {
+      await session.socket.connect();
+
+      session.thread = await channel.threads.create({
+        name: `console-${session.name}`.slice(0, 100),
+        type: ChannelType.PrivateThread,
+        invitable: false,
+        autoArchiveDuration: 60,
+        reason: `Console stream opened by ${user.tag}`,
+      });
+
+      await session.thread.members.add(user.id);
+    } catch (error) {
+      this.sessions.delete(session.serverId);
+      session.stopping = true;
+      session.socket.close();
+      if (session.thread) await session.thread.delete('Console stream could not be opened').catch(() => {});
+      logger.error(`Could not open the console of ${session.name} (${session.serverId}): ${error.message}`);
+      throw createError(502, `Could not open the console: ${error.message}`);
+    }
+  }
+
+  /**
+   * Close a server's console session
+   * @param {string} serverId - The server identifier
+   * @param {string} reason - Why it closed
+   * @param {Object} [options]
+   * @param {boolean} [options.notify=true] - Post the reason and archive the thread
+   * @returns {Promise<boolean>} Whether a session was open
+   */
+  async stop(serverId, reason, { notify = true } = {}) {
+    const session = this.sessions.get(serverId);
+    if (!session || session.stopping) return false;
+
+    session.stopping = true;
+    this.sessions.delete(serverId);
+    clearInterval(session.flushTimer);
+    clearTimeout(session.expiryTimer);
+    session.socket.close();
+
+    logger.info(`Closed the console stream of ${session.name} (${serverId}): ${reason}`);
+
+    if (notify && session.thread) {
+      await this.flush(session, true);
+      await session.thread.send(`⏹️ Console stream closed: ${reason}.`).catch(() => {});
+      await session.thread.setArchived(true, 'Console stream closed').catch(() => {});
+    }
+
+    return true;
+  }
+
+  /**
+   * Post the buffered output of a session. At most maxMessagesPerFlush
+   * messages are sent; older lines that don't fit are skipped.
+   * @param {Object} session - The session
+   * @param {boolean} [final=false] - Flush even though the session is stopping
+   * @returns {Promise<void>}
+   */
+  async flush(session, final = false) {
+    if (session.flushing || session.buffer.length === 0 || (session.stopping && !final)) return;
+    session.flushing = true;
+
+    const { maxMessagesPerFlush } = this.getSettings();
+    const lines = session.buffer.splice(0);
+    const chunks = chunkLines(lines);
+
+    if (chunks.length > maxMessagesPerFlush) {
+      const dropped = chunks.splice(0, chunks.length - maxMessagesPerFlush);
+      session.skipped += dropped.reduce((count, chunk) => count + chunk.length, 0);
+    }
+
+    try {
+      for (const [index, chunk] of chunks.entries()) {
+        const notice = index === 0 && session.skipped > 0 ? `*… skipped ${session.skipped} line${session.skipped === 1 ? '' : 's'}*\n` : '';
+        await session.thread.send({ content: `${notice}\`\`\`\n${chunk.join('\n')}\n\`\`\``, allowedMentions: { parse: [] } });
+        session.skipped = 0;
+      }
+    } catch (error) {
+      logger.warn(`Could not post the console output of ${session.name}: ${error.message}`);
+      if (!session.stopping) this.stop(session.serverId, 'the thread could not be posted to', { notify: false });
+    } finally {
+      session.flushing = false;
+    }
+  }
+
+  /**
+   * Run a console command, through the open session if there is one
+   * @param {string} serverId - The server identifier
+   * @param {string} command - The command
+   * @param {Object} context - { user, guildId } of who ran it
+   * @returns {Promise<Object>} { via } with 'stream' or 'api'
+   * @throws {Error} With status 403 if the command is denied
+   */
+  async runCommand(serverId, command, { user, guildId = null }) {
+    const trimmed = String(command || '').trim();
+    if (!trimmed) {
+      throw createError(400, 'The command is empty.');
+    }
+
+    const denied = this.getDeniedEntry(trimmed);
+    if (denied) {
+      await this.recordCommand(serverId, trimmed, user.id, guildId, 'denied', `matches "${denied}"`);
+      logger.warn(`${user.tag} tried to run the denied console command "${trimmed}" on ${serverId}`);
+      throw createError(403, `\`${denied}\` commands can't be run from Discord. Use the panel or the power controls instead.`);
+    }
+
+    const session = this.sessions.get(serverId);
+    let via = 'api';
+
+    try {
+      if (session && session.socket.ready) {
+        session.socket.sendCommand(trimmed);
+        session.buffer.push(`[JMF] ${user.tag} ran: ${trimmed}`);
+        via = 'stream';
+      } else {
+        await gameServers.sendConsoleCommand(serverId, trimmed);
+      }
+    } catch (error) {
+      await this.recordCommand(serverId, trimmed, user.id, guildId, 'failed', error.message);
+      logger.error(`Console command from ${user.tag} on ${serverId} failed: ${error.message}`);
+      throw createError(502, `The command could not be sent: ${error.message}`);
+    }
+
+    await this.recordCommand(serverId, trimmed, user.id, guildId, 'sent', null);
+    logger.info(`${user.tag} ran the console command "${trimmed}" on ${serverId} via ${via}`);
+
+    return { via };
+  }
+
+  /**
+   * Get the deny-list entry a command matches. An entry matches the command
+   * itself and the command with arguments, so `op` denies `op Steve` but not
+   * `opinions`. Namespaced commands (`minecraft:op`) and commands wrapped in
+   * `execute … run` are matched as the command they run.
+   * @param {string} command - The command
+   * @returns {string|null} The entry
+   */
+  getDeniedEntry(command) {
+    const { deniedCommands } = this.getSettings();
+
+    for (const candidate of expandCommand(command)) {
+      const entry = deniedCommands.find((denied) => candidate === denied || candidate.startsWith(`${denied} `));
+      if (entry) return entry;
+    }
+
+    return null;
+  }
+
+  /**
+   * Record a console command in the audit log
+   * @param {string} serverId - The server identifier
+   * @param {string} command - The command
+   * @param {string} userId - Who ran it
+   * @param {string|null} guildId - Where it was run
+   * @param {string} status - sent, denied or failed
+   * @param {string|null} detail - The deny-list entry or error
+   * @returns {Promise<void>}
+   */
+  async recordCommand(serverId, command, userId, guildId, status, detail) {
+    if (!db.isConnected) return;
+
+    try {
+      await db.query(
+        'INSERT INTO console_commands (server_id, user_id, guild_id, command, status, detail) VALUES (?, ?, ?, ?, ?, ?)',
+        [serverId, userId, guildId, command, status, detail],
+      );
+    } catch (error) {
+      logger.error(`Failed to record a console command in the audit log: ${error.message}`);
+    }
+  }
+
+  /**
+   * Handle a console_ button
+   * @param {ButtonInteraction} interaction - The interaction
+   * @returns {Promise<void>}
+   */
+  async handleButton(interaction) {
+    if (!interaction.customId.startsWith('console_stop_')) return;
+
+    if (!interaction.member || !gameServers.hasServerPermission(interaction.member)) {
+      return interaction.reply({ content: '❌ Only staff can stop console streams.', ephemeral: true });
+    }
+
+    const serverId = interaction.customId.slice('console_stop_'.length);
+    await interaction.reply({ content: '⏹️ Stopping the console stream.', ephemeral: true });
+    await this.stop(serverId, `stopped by ${interaction.user.tag}`);
+  }
+
+  /**
+   * Find the session posting to a thread
+   * @param {string} threadId - The thread ID
+   * @returns {Object|null} The session
+   */
+  getSessionByThread(threadId) {
+    for (const session of this.sessions.values()) {
+      if (session.thread && session.thread.id === threadId) return session;
+    }
+    return null;
+  }
+
+  /**
+   * Build the embed that starts a console thread
+   * @param {Object} session - The session
+   * @returns {EmbedBuilder} The embed
+   */
+  buildSessionEmbed(session) {
+    return new EmbedBuilder()
+      .setTitle(`🖥️ ${session.name} Console`)
+      .setColor(config.embedColor || '#00AAFF')
+      .setDescription([
+        `Streaming the console of **${session.name}** (\`${session.serverId}\`), opened by <@${session.openedBy}>.`,
+        `Run commands with \`/server command\`. The stream closes <t:${Math.floor(session.expiresAt / 1000)}:R>.`,
+      ].join('\n'))
+      .setFooter({ text: config.footerText })
+      .setTimestamp();
+  }
+}
+
+/**
+ * Build the Stop Streaming button
+ * @param {string} serverId - The server identifier
+ * @returns {ActionRowBuilder} The row
+ */
+function buildStopRow(serverId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`console_stop_${serverId}`)
+      .setLabel('Stop Streaming')
+      .setStyle(ButtonStyle.Secondary),
+  );
+}
+
+/**
+ * Split console lines into message-sized groups, shortening very long lines
+ * @param {Array<string>} lines - The lines
+ * @returns {Array<Array<string>>} The groups
+ */
+function chunkLines(lines) {
+  const chunks = [];
+  let current = [];
+  let length = 0;
+
+  for (const raw of lines) {
+    const line = (raw.length > LINE_LENGTH ? `${raw.slice(0, LINE_LENGTH - 3)}...` : raw).replace(/```/g, '\'\'\'');
+
+    if (current.length > 0 && length + line.length + 1 > MESSAGE_LENGTH) {
+      chunks.push(current);
+      current = [];
+      length = 0;
+    }
+
+    current.push(line);
+    length += line.length + 1;
+  }
+
+  if (current.length > 0) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Normalize a command for deny-list matching
+ * @param {string} command - The command
+ * @returns {string} Lower case, without a leading slash, namespace or repeated spaces
+ */
+function normalizeCommand(command) {
+  return String(command)
+    .trim()
+    .replace(/^\/+/, '')
+    .replace(/^[\w.-]+:(?=\S)/, '')
+    .replace(/\s+/g, ' ')
+    .toLowerCase();
+}
+
+/**
+ * Get every command a console command runs: the command itself and, for
+ * `execute`, whatever follows each `run`
+ * @param {string} command - The command
+ * @returns {Array<string>} The normalized commands
+ */
+function expandCommand(command) {
+  const normalized = normalizeCommand(command);
+  const commands = [normalized];
+
+  if (normalized === 'execute' || normalized.startsWith('execute ')) {
+    const words = normalized.split(' ');
+    words.forEach((word, index) => {
+      if (word === 'run') commands.push(normalizeCommand(words.slice(index + 1).join(' ')));
+    });
+  }
+
+  return commands;
+}
+
+/**
+ * Get the panel's origin, which the daemon checks on websocket connections
+ * @returns {string|null} The origin
+ */
+function getPanelOrigin() {
+  const url = process.env.PTERODACTYL_URL || process.env.PTERODACTYL_API_URL || config.gameServers?.pterodactyl?.url;
+
+  try {
+    return url ? new URL(url).origin : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = new ServerConsole();
@@ -0,0 +1,135 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+jest.mock('../../config.json', () => ({
+  footerText: 'JMF Hosting',
+  gameServers: { console: { deniedCommands: ['/op', 'Stop', 'whitelist off'] } },
+}), { virtual: true });
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../utils/database', () => ({ isConnected: false, query: jest.fn() }));
+jest.mock('./gameServers', () => ({ fetchServer: jest.fn() }));
+jest.mock('../utils/panelSocket', () => {
+  const { EventEmitter } = require('events');
+
+  return class PanelSocket extends EventEmitter {
+    connect() {
+      return Promise.resolve();
+    }
+
+    close() {}
+  };
+});
+
+const { ChannelType } = require('discord.js');
+const gameServers = require('./gameServers');
+const serverConsole = require('./serverConsole');
+
+describe('getDeniedEntry', () => {
+  it('normalizes the configured entries', () => {
+    expect(serverConsole.getSettings().deniedCommands).toEqual(['op', 'stop', 'whitelist off']);
+  });
+
+  it('matches a command and the command with arguments', () => {
+    expect(serverConsole.getDeniedEntry('op')).toBe('op');
+    expect(serverConsole.getDeniedEntry('op Steve')).toBe('op');
+    expect(serverConsole.getDeniedEntry('whitelist off')).toBe('whitelist off');
+  });
+
+  it('does not match commands that only start with an entry', () => {
+    expect(serverConsole.getDeniedEntry('opinions')).toBeNull();
+    expect(serverConsole.getDeniedEntry('stopwatch')).toBeNull();
+    expect(serverConsole.getDeniedEntry('whitelist on')).toBeNull();
+  });
+
+  it('ignores case, leading slashes and repeated spaces', () => {
+    expect(serverConsole.getDeniedEntry('  /OP   Steve ')).toBe('op');
+    expect(serverConsole.getDeniedEntry('//stop')).toBe('stop');
+    expect(serverConsole.getDeniedEntry('whitelist   OFF')).toBe('whitelist off');
+  });
+
+  it('matches namespaced commands', () => {
+    expect(serverConsole.getDeniedEntry('minecraft:op Steve')).toBe('op');
+    expect(serverConsole.getDeniedEntry('/minecraft:stop')).toBe('stop');
+  });
+
+  it('matches commands run through execute', () => {
+    expect(serverConsole.getDeniedEntry('execute as @a run op @s')).toBe('op');
+    expect(serverConsole.getDeniedEntry('execute as @a run minecraft:stop')).toBe('stop');
+    expect(serverConsole.getDeniedEntry('execute if entity @p run execute as @p run op @s')).toBe('op');
+    expect(serverConsole.getDeniedEntry('execute as @a run say op')).toBeNull();
+  });
+
+  it('allows commands that are not denied', () => {
+    expect(serverConsole.getDeniedEntry('say hello')).toBeNull();
+    expect(serverConsole.getDeniedEntry('list')).toBeNull();
+  });
+});
+
+describe('open', () => {
+  let channel;
+  let thread;
+
+  const interaction = (userId) => ({ channel, user: { id: userId, tag: `${userId}#0001` } });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    gameServers.fetchServer.mockResolvedValue({ name: 'survival' });
+
+    thread = { id: 'thread', send: jest.fn(), members: { add: jest.fn() }, setArchived: jest.fn() };
+    channel = {
+      type: ChannelType.GuildText,
+      threads: { create: jest.fn(async () => thread) },
+    };
+  });
+
+  afterEach(async () => {
+    await serverConsole.stop('abc123', 'the test ended', { notify: false });
+    jest.useRealTimers();
+  });
+
+  it('streams into a private thread and adds the opener to it', async () => {
+    const { session, existing } = await serverConsole.open(interaction('staff'), 'abc123');
+
+    expect(existing).toBe(false);
+    expect(session.thread).toBe(thread);
+    expect(channel.threads.create).toHaveBeenCalledWith(expect.objectContaining({ type: ChannelType.PrivateThread, invitable: false }));
+    expect(thread.members.add).toHaveBeenCalledWith('staff');
+  });
+
+  it('gives a second open the session once its thread exists', async () => {
+    const [first, second] = await Promise.all([
+      serverConsole.open(interaction('staff'), 'abc123'),
+      serverConsole.open(interaction('other'), 'abc123'),
+    ]);
+
+    expect(first.existing).toBe(false);
+    expect(second).toEqual({ session: first.session, existing: true });
+    expect(second.session.thread).toBe(thread);
+    expect(channel.threads.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('fails a second open too when the first one fails', async () => {
+    channel.threads.create.mockRejectedValueOnce(new Error('Missing Permissions'));
+
+    const results = await Promise.allSettled([
+      serverConsole.open(interaction('staff'), 'abc123'),
+      serverConsole.open(interaction('other'), 'abc123'),
+    ]);
+
+    expect(results.map((result) => result.status)).toEqual(['rejected', 'rejected']);
+    expect(serverConsole.sessions.has('abc123')).toBe(false);
+  });
+
+  it('refuses channels that cannot have private threads', async () => {
+    channel.type = ChannelType.GuildAnnouncement;
+
+    await expect(serverConsole.open(interaction('staff'), 'abc123')).rejects.toMatchObject({ status: 400 });
+  });
+});
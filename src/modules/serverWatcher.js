@@ -0,0 +1,600 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const config = require('../../config.json');
+const logger = require('../utils/logger');
+const db = require('../utils/database');
+const eventBus = require('../utils/eventBus');
+const { toSqlDateTime, formatDuration, parseSqlDate } = require('../utils/timeUtils');
+const gameServers = require('./gameServers');
+
+// Resource alerts resolve this many points below their threshold, so a
+// server hovering around the threshold doesn't alert on every check
+const HYSTERESIS = 5;
+
+const RESOURCES = ['cpu', 'memory', 'disk'];
+
+const ALERT_TITLES = {
+  crash: '🔴 Server Crashed',
+  restart: '🟠 Unexpected Restart',
+  cpu: '🟠 High CPU Usage',
+  memory: '🟠 High Memory Usage',
+  disk: '🟠 High Disk Usage',
+};
+
+const RESOURCE_NAMES = {
+  cpu: 'CPU',
+  memory: 'Memory',
+  disk: 'Disk',
+};
+
+/**
+ * Watches every game server on the panel for crashes, unexpected restarts
+ * and sustained high resource usage.
+ *
+ * Each check compares the servers' states and uptime with the previous
+ * check:
+ * - crash: a running or starting server went offline
+ * - restart: a running server is starting again, or its uptime went back
+ * Neither counts when the panel's activity log has a power action for the
+ * server since the previous check. Resource alerts open once CPU, memory or
+ * disk stays at or above its threshold (a percentage of the server's limit)
+ * for config.gameServers.alerts.duration minutes.
+ *
+ * There is one active alert per server and type, kept in server_alerts. It
+ * is posted to the staff alert channel and sent to the server's owners
+ * (their server_access rows) once, and again with a recovery notice when
+ * it resolves: crashes when the server runs again, restarts once the
+ * server has stayed up for the alert duration, resource alerts when usage
+ * drops below the threshold. Both are published on the event bus as
+ * server.alert and server.alert_resolved.
+ *
+ * With autoRestart enabled, crashed servers are started again, at most
+ * maxAttempts times in window minutes.
+ */
+class ServerWatcher {
+  constructor() {
+    this.client = null;
+    this.timer = null;
+    this.polling = false;
+    this.snapshots = new Map(); // serverId => { state, uptime, checkedAt }
+    this.breaches = new Map(); // `${serverId}:${resource}` => when usage went over the threshold
+    this.alerts = new Map(); // `${serverId}:${type}` => active alert
+    this.restarts = new Map(); // serverId => automatic restart times
+  }
+
+  /**
+   * Load the active alerts and start checking the servers
+   * @param {Client} client - Discord client
+   * @returns {Promise<void>}
+   */
+  async init(client) {
+    this.client = client;
+    const settings = this.getSettings();
+
+    if (!settings.enabled || !process.env.PTERODACTYL_API_URL) {
+      logger.info('Game server alerts are disabled');
+      return;
+    }
+
+    if (db.isConnected) {
+      try {
+        const rows = await db.query('SELECT * FROM server_alerts WHERE status = ?', ['active']);
+        for (const row of rows) {
+          const alert = rowToAlert(row);
+          this.alerts.set(`${alert.serverId}:${alert.type}`, alert);
+        }
+        logger.info(`Loaded ${rows.length} active game server alerts`);
+      } catch (error) {
+        logger.error(`Failed to load active game server alerts: ${error.message}`);
+      }
+    }
+
+    if (this.timer) clearInterval(this.timer);
+    this.timer = setInterval(() => this.poll(), settings.interval);
+    this.poll();
+  }
+
+  /**
+   * Get the alert settings from config.gameServers.alerts
+   * @returns {Object} { enabled, interval, channel, notifyOwners, duration, thresholds, autoRestart }
+   */
+  getSettings() {
+    const settings = config.gameServers?.alerts || {};
+    const autoRestart = settings.autoRestart || {};
+
+    return {
+      enabled: settings.enabled !== false,
+      interval: (settings.interval || 60) * 1000,
+      channel: settings.channel || config.channels?.staffChat || null,
+      notifyOwners: settings.notifyOwners !== false,
+      duration: (settings.duration || 5) * 60 * 1000,
+      thresholds: {
+        cpu: 90,
+        memory: 90,
+        disk: 95,
+        ...settings.thresholds,
+      },
+      autoRestart: {
+        enabled: autoRestart.enabled === true,
+        maxAttempts: autoRestart.maxAttempts || 3,
+        window: (autoRestart.window || 60) * 60 * 1000,
+      },
+    };
+  }
+
+  /**
+   * Check every server once
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      const servers = await gameServers.getServerStatuses();
+      if (!servers) return;
+
+      // Keeps server.status_changed going for webhooks and the status embed
+      gameServers.recordServerStates(servers);
+
+      const now = Date.now();
+      for (const server of servers) {
+        try {
+          await this.checkServer(server, now);
+        } catch (error) {
+          logger.error(`Failed to check game server ${server.name} (${server.id}): ${error.message}`);
+        }
+      }
+
+      // Servers that were deleted from the panel can't recover
+      const ids = new Set(servers.map((server) => server.id));
+      for (const alert of [...this.alerts.values()]) {
+        if (!ids.has(alert.serverId)) {
+          await this.resolve(alert, 'The server no longer exists on the panel.');
+        }
+      }
+    } catch (error) {
+      logger.error(`Error checking game servers for alerts: ${error.message}`);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Compare a server with the previous check and open or resolve its alerts
+   * @param {Object} server - A server from gameServers.getServerStatuses
+   * @param {number} now - When the check started
+   * @returns {Promise<void>}
+   */
+  async checkServer(server, now) {
+    const previous = this.snapshots.get(server.id);
+    const uptime = server.resources ? server.resources.uptime : 0;
+    this.snapshots.set(server.id, { state: server.state, uptime, checkedAt: now });
+
+    if (server.state === 'unknown') return;
+
+    if (previous && previous.state !== 'unknown') {
+      await this.checkState(server, previous, uptime, now);
+    }
+
+    await this.checkResources(server, now);
+  }
+
+  /**
+   * Detect crashes and unexpected restarts, and resolve the alerts of servers that recovered
+   * @param {Object} server - The server
+   * @param {Object} previous - The previous check's { state, uptime, checkedAt }
+   * @param {number} uptime - The server's uptime in milliseconds
+   * @param {number} now - When the check started
+   * @returns {Promise<void>}
+   */
+  async checkState(server, previous, uptime, now) {
+    const wasUp = ['running', 'starting'].includes(previous.state);
+    const crashed = wasUp && server.state === 'offline';
+    const restarted = previous.state === 'running' && (server.state === 'starting'
+      || (server.state === 'running' && uptime > 0 && uptime < previous.uptime));
+
+    if ((crashed || restarted) && !await this.hadPowerAction(server.id, previous.checkedAt)) {
+      if (crashed) {
+        await this.handleCrash(server, previous.state);
+      } else {
+        await this.handleRestart(server, previous.uptime);
+      }
+    }
+
+    const crash = this.alerts.get(`${server.id}:crash`);
+    if (crash && server.state === 'running') {
+      await this.resolve(crash, `**${server.name}** is running again after ${formatDuration(now - crash.startedAt.getTime())}.`);
+    }
+
+    const restart = this.alerts.get(`${server.id}:restart`);
+    if (restart && server.state === 'running' && uptime >= this.getSettings().duration) {
+      await this.resolve(restart, `**${server.name}** has stayed up for ${formatDuration(uptime)}.`);
+    }
+  }
+
+  /**
+   * Open a crash alert and restart the server when the restart policy allows
+   * @param {Object} server - The server
+   * @param {string} previousState - Its state at the previous check
+   * @returns {Promise<void>}
+   */
+  async handleCrash(server, previousState) {
+    const key = `${server.id}:crash`;
+    const existing = this.alerts.get(key);
+    const restart = await this.autoRestart(server);
+
+    // Still crashing after an automatic restart, only report giving up
+    if (existing) {
+      existing.details.crashes = (existing.details.crashes || 1) + 1;
+      existing.details.autoRestart = restart;
+      await this.saveDetails(existing);
+      if (restart && restart.status === 'limit') {
+        await this.notify(existing, 'update', `Automatic restarts stopped after ${restart.attempts} attempts. **${server.name}** needs a look.`);
+      }
+      return;
+    }
+
+    const lines = [`**${server.name}** went from ${previousState} to offline without a power action.`];
+    if (restart) lines.push(describeRestart(restart));
+
+    await this.open(server, 'crash', { previousState, crashes: 1, autoRestart: restart }, lines.join('\n'));
+  }
+
+  /**
+   * Open a restart alert, or count the restart on the active one
+   * @param {Object} server - The server
+   * @param {number} previousUptime - Its uptime at the previous check
+   * @returns {Promise<void>}
+   */
+  async handleRestart(server, previousUptime) {
+    const existing = this.alerts.get(`${server.id}:restart`);
+
+    if (existing) {
+      existing.details.restarts = (existing.details.restarts || 1) + 1;
+      await this.saveDetails(existing);
+      return;
+    }
+
+    const description = previousUptime > 0
+      ? `**${server.name}** restarted without a power action after ${formatDuration(previousUptime)} of uptime.`
+      : `**${server.name}** restarted without a power action.`;
+
+    await this.open(server, 'restart', { previousUptime, restarts: 1 }, description);
+  }
+
+  /**
+   * Track how long each resource has been over its threshold
+   * @param {Object} server - The server
+   * @param {number} now - When the check started
+   * @returns {Promise<void>}
+   */
+  async checkResources(server, now) {
+    const { thresholds, duration } = this.getSettings();
+
+    for (const resource of RESOURCES) {
+      const key = `${server.id}:${resource}`;
+      const alert = this.alerts.get(key);
+
+      // Disk usage is reported while offline, CPU and memory only mean something while running
+      const usage = resource === 'disk' || server.state === 'running' ? getUsage(server, resource) : null;
+      const threshold = thresholds[resource];
+
+      if (usage === null || !threshold) {
+        this.breaches.delete(key);
+        if (alert) await this.resolve(alert, `**${server.name}** is ${server.state}, ${RESOURCE_NAMES[resource]} usage is no longer tracked.`);
+        continue;
+      }
+
+      if (usage < threshold) {
+        this.breaches.delete(key);
+        if (alert && usage < threshold - HYSTERESIS) {
+          await this.resolve(alert, `${RESOURCE_NAMES[resource]} usage of **${server.name}** is back to ${usage}% of its limit.`);
+        }
+        continue;
+      }
+
+      if (!this.breaches.has(key)) this.breaches.set(key, now);
+      const since = this.breaches.get(key);
+
+      if (!alert && now - since >= duration) {
+        await this.open(
+          server,
+          resource,
+          { usage, threshold, since: new Date(since).toISOString() },
+          `${RESOURCE_NAMES[resource]} usage of **${server.name}** has been at or above ${threshold}% of its limit for ${formatDuration(now - since)} (now ${usage}%).`,
+        );
+      }
+    }
+  }
+
+  /**
+   * Check the panel's activity log for a power action since a time
+   * @param {string} serverId - The server identifier
+   * @param {number} since - Timestamp in milliseconds
+   * @returns {Promise<boolean>} Whether someone sent a power signal
+   */
+  async hadPowerAction(serverId, since) {
+    const activity = await gameServers.fetchServerActivity(serverId);
+    if (!activity) return false;
+
+    // Allow for the panel's and the bot's clocks disagreeing a little
+    const from = since - 30 * 1000;
+    return activity.some((entry) => String(entry.event).startsWith('server:power.') && new Date(entry.timestamp).getTime() >= from);
+  }
+
+  /**
+   * Start a crashed server if the restart policy allows it
+   * @param {Object} server - The server
+   * @returns {Promise<Object|null>} { status: started|failed|limit, attempts, error }, or null when disabled
+   */
+  async autoRestart(server) {
+    const { autoRestart } = this.getSettings();
+    if (!autoRestart.enabled) return null;
+
+    const now = Date.now();
+    const attempts = (this.restarts.get(server.id) || []).filter((time) => now - time < autoRestart.window);
+
+    if (attempts.length >= autoRestart.maxAttempts) {
+      this.restarts.set(server.id, attempts);
+      return { status: 'limit', attempts: attempts.length, maxAttempts: autoRestart.maxAttempts };
+    }
+
+    attempts.push(now);
+    this.restarts.set(server.id, attempts);
+
+    try {
+      await gameServers.sendPowerSignal(server.id, 'start');
+      logger.info(`Automatically started crashed server ${server.name} (${server.id}), attempt ${attempts.length}`);
+      return { status: 'started', attempts: attempts.length, maxAttempts: autoRestart.maxAttempts };
+    } catch (error) {
+      logger.warn(`Failed to automatically start crashed server ${server.name} (${server.id}): ${error.message}`);
+      return { status: 'failed', attempts: attempts.length, maxAttempts: autoRestart.maxAttempts, error: error.message };
+    }
+  }
+
+  /**
+   * Open an alert and send it out
+   * @param {Object} server - The server
+   * @param {string} type - crash, restart, cpu, memory or disk
+   * @param {Object} details - What the alert is about
+   * @param {string} description - The message
+   * @returns {Promise<Object>} The alert
+   */
+  async open(server, type, details, description) {
+    const alert = {
+      id: null,
+      serverId: server.id,
+      serverName: server.name,
+      node: server.node,
+      type,
+      status: 'active',
+      details,
+      startedAt: new Date(),
+      resolvedAt: null,
+    };
+
+    this.alerts.set(`${server.id}:${type}`, alert);
+
+    if (db.isConnected) {
+      try {
+        const result = await db.query(
+          'INSERT INTO server_alerts (server_id, server_name, type, status, details, started_at) VALUES (?, ?, ?, ?, ?, ?)',
+          [alert.serverId, alert.serverName, type, 'active', JSON.stringify(details), toSqlDateTime(alert.startedAt)],
+        );
+        alert.id = result.lastID;
+      } catch (error) {
+        logger.error(`Failed to save the ${type} alert of ${server.name}: ${error.message}`);
+      }
+    }
+
+    logger.warn(`Game server alert: ${description.replace(/\*\*/g, '')}`);
+    eventBus.publish('server.alert', formatAlert(alert));
+    await this.notify(alert, 'open', description);
+    return alert;
+  }
+
+  /**
+   * Resolve an alert and send the recovery notice
+   * @param {Object} alert - The alert
+   * @param {string} description - The recovery message
+   * @returns {Promise<void>}
+   */
+  async resolve(alert, description) {
+    this.alerts.delete(`${alert.serverId}:${alert.type}`);
+    alert.status = 'resolved';
+    alert.resolvedAt = new Date();
+
+    if (db.isConnected && alert.id) {
+      try {
+        await db.query(
+          'UPDATE server_alerts SET status = ?, details = ?, resolved_at = ? WHERE id = ?',
+          ['resolved', JSON.stringify(alert.details), toSqlDateTime(alert.resolvedAt), alert.id],
+        );
+      } catch (error) {
+        logger.error(`Failed to resolve game server alert ${alert.id}: ${error.message}`);
+      }
+    }
+
+    logger.info(`Game server alert resolved: ${description.replace(/\*\*/g, '')}`);
+    eventBus.publish('server.alert_resolved', formatAlert(alert));
+    await this.notify(alert, 'resolved', description);
+  }
+
+  /**
+   * Store an active alert's details after they changed
+   * @param {Object} alert - The alert
+   * @returns {Promise<void>}
+   */
+  async saveDetails(alert) {
+    if (!db.isConnected || !alert.id) return;
+
+    try {
+      await db.query('UPDATE server_alerts SET details = ? WHERE id = ?', [JSON.stringify(alert.details), alert.id]);
+    } catch (error) {
+      logger.error(`Failed to update game server alert ${alert.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Post an alert to each guild's alert channel and DM the server's owners
+   * @param {Object} alert - The alert
+   * @param {string} kind - open, update or resolved
+   * @param {string} description - The message
+   * @returns {Promise<void>}
+   */
+  async notify(alert, kind, description) {
+    if (!this.client) return;
+
+    const settings = this.getSettings();
+    const embed = buildAlertEmbed(alert, kind, description);
+
+    if (settings.channel) {
+      for (const guild of this.client.guilds.cache.values()) {
+        const channel = guild.channels.cache.find((c) => c.id === settings.channel || c.name === settings.channel);
+        if (!channel) continue;
+
+        await channel.send({ embeds: [embed] })
+          .catch((error) => logger.error(`Failed to post a game server alert in ${guild.name}: ${error.message}`));
+      }
+    }
+
+    if (!settings.notifyOwners || !db.isConnected) return;
+
+    try {
+      const owners = await db.query(
+        'SELECT DISTINCT user_id FROM server_access WHERE server_id = ? AND access_level = ?',
+        [alert.serverId, 'owner'],
+      );
+
+      for (const { user_id: userId } of owners) {
+        try {
+          const user = await this.client.users.fetch(userId);
+          await user.send({ embeds: [embed] });
+        } catch (error) {
+          logger.debug(`Could not DM game server alert to ${userId}: ${error.message}`);
+        }
+      }
+    } catch (error) {
+      logger.error(`Failed to look up the owners of ${alert.serverId}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Get a server's usage of a resource as a percentage of its limit
+ * @param {Object} server - A server from gameServers.getServerStatuses
+ * @param {string} resource - cpu, memory or disk
+ * @returns {number|null} The rounded percentage, or null without usage or a limit
+ */
+function getUsage(server, resource) {
+  const used = server.resources?.[resource];
+  const limit = server.limits?.[resource];
+  if (typeof used !== 'number' || !limit) return null;
+
+  // The CPU limit is a percentage of one core, memory and disk limits are in MB
+  const max = resource === 'cpu' ? limit : limit * 1024 * 1024;
+  return Math.round((used / max) * 100);
+}
+
+/**
+ * Describe the outcome of an automatic restart
+ * @param {Object} restart - From autoRestart
+ * @returns {string} The description
+ */
+function describeRestart(restart) {
+  if (restart.status === 'started') {
+    return `Starting it again automatically (attempt ${restart.attempts} of ${restart.maxAttempts}).`;
+  }
+
+  if (restart.status === 'failed') {
+    return `The automatic restart failed: ${restart.error}`;
+  }
+
+  return `Not restarting it automatically, it was already restarted ${restart.attempts} times recently.`;
+}
+
+/**
+ * Build the embed for an alert
+ * @param {Object} alert - The alert
+ * @param {string} kind - open, update or resolved
+ * @param {string} description - The message
+ * @returns {EmbedBuilder} The embed
+ */
+function buildAlertEmbed(alert, kind, description) {
+  const title = kind === 'resolved'
+    ? `🟢 Recovered: ${ALERT_TITLES[alert.type].replace(/^\S+ /, '')}`
+    : ALERT_TITLES[alert.type];
+
+  const embed = new EmbedBuilder()
+    .setTitle(`${title} · ${alert.serverName}`.slice(0, 256))
+    .setColor(kind === 'resolved' ? '#2ECC71' : alert.type === 'crash' ? '#E74C3C' : '#E67E22')
+    .setDescription(description)
+    .addFields(
+      { name: 'Server', value: `\`${alert.serverId}\``, inline: true },
+      { name: 'Started', value: `<t:${Math.floor(alert.startedAt.getTime() / 1000)}:R>`, inline: true },
+    )
+    .setFooter({ text: config.footerText })
+    .setTimestamp();
+
+  if (alert.node) {
+    embed.addFields({ name: 'Node', value: String(alert.node), inline: true });
+  }
+
+  return embed;
+}
+
+/**
+ * Format an alert for events and callers
+ * @param {Object} alert - The alert
+ * @returns {Object} The alert
+ */
+function formatAlert(alert) {
+  return {
+    id: alert.id,
+    serverId: alert.serverId,
+    serverName: alert.serverName,
+    type: alert.type,
+    status: alert.status,
+    details: alert.details,
+    startedAt: alert.startedAt.toISOString(),
+    resolvedAt: alert.resolvedAt ? alert.resolvedAt.toISOString() : null,
+  };
+}
+
+/**
+ * Convert a server_alerts row
+ * @param {Object} row - The row
+ * @returns {Object} The alert
+ */
+function rowToAlert(row) {
+  let details = {};
+  try {
+    details = JSON.parse(row.details || '{}');
+  } catch (error) {
+    logger.warn(`Invalid details on game server alert ${row.id}`);
+  }
+
+  return {
+    id: row.id,
+    serverId: row.server_id,
+    serverName: row.server_name,
+    node: null,
+    type: row.type,
+    status: row.status,
+    details,
+    startedAt: parseSqlDate(row.started_at),
+    resolvedAt: row.resolved_at ? parseSqlDate(row.resolved_at) : null,
+  };
+}
+
+module.exports = new ServerWatcher();
@@ -0,0 +1,301 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {
+  ActionRowBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+} = require('discord.js');
+const logger = require('../utils/logger');
+const db = require('../utils/database');
+const { createDatabaseQuery } = require('../utils/errors');
+const BaseEmbed = require('../managers/bot/modules/base.embed');
+const tickets = require('./tickets');
+const { toSqlDateTime } = require('../utils/timeUtils');
+
+const query = createDatabaseQuery('Snippets require a database connection');
+
+// Snippet names: lowercase letters, numbers, dashes and underscores
+const NAME_PATTERN = /^[a-z0-9_-]{1,32}$/;
+
+// Discord rejects modal titles longer than this
+const MODAL_TITLE_LENGTH = 45;
+
+// Placeholders that only have a value in ticket channels
+const TICKET_PLACEHOLDERS = ['ticket_id', 'category', 'subject', 'priority'];
+
+const PLACEHOLDERS = {
+  user: 'The ticket creator, or the user picked when sending',
+  staff: 'You',
+  server: 'The server name',
+  ticket_id: 'The ticket number',
+  category: 'The ticket category',
+  subject: 'The ticket subject',
+  priority: 'The ticket priority',
+};
+
+/**
+ * Canned responses for ticket staff. Snippets are stored per guild, sent with
+ * /snippet send and support {placeholders}, which are filled in with
+ * BaseEmbed.replacePlaceholders.
+ *
+ * Modal IDs:
+ * - snippet_add_<name>: content of a new snippet
+ * - snippet_edit_<id>: new content of a snippet
+ */
+class Snippets {
+  /**
+   * Normalize a snippet name
+   * @param {string} name - The name as typed
+   * @returns {string} The name
+   */
+  normalizeName(name) {
+    return String(name || '').trim().toLowerCase().replace(/\s+/g, '-');
+  }
+
+  /**
+   * Check whether a snippet name is valid
+   * @param {string} name - The normalized name
+   * @returns {boolean} Whether it is valid
+   */
+  isValidName(name) {
+    return NAME_PATTERN.test(name);
+  }
+
+  /**
+   * Show the form for the content of a new or existing snippet
+   * @param {CommandInteraction} interaction - The interaction
+   * @param {Object} [snippet] - The snippet to edit
+   * @param {string} [name] - The name of a new snippet
+   */
+  async openForm(interaction, snippet = null, name = null) {
+    const content = new TextInputBuilder()
+      .setCustomId('content')
+      .setLabel('Response ({user}, {ticket_id}, {category}, ...)')
+      .setStyle(TextInputStyle.Paragraph)
+      .setRequired(true)
+      .setMaxLength(2000);
+
+    if (snippet) {
+      content.setValue(snippet.content);
+    }
+
+    const modal = new ModalBuilder()
+      .setCustomId(snippet ? `snippet_edit_${snippet.id}` : `snippet_add_${name}`)
+      .setTitle((snippet ? `Edit Snippet: ${snippet.name}` : `New Snippet: ${name}`).slice(0, MODAL_TITLE_LENGTH))
+      .addComponents(new ActionRowBuilder().addComponents(content));
+
+    await interaction.showModal(modal);
+  }
+
+  /**
+   * Handle a snippet_ modal
+   * @param {ModalSubmitInteraction} interaction - The interaction
+   * @returns {Promise<void>}
+   */
+  async handleModal(interaction) {
+    const [, action, ...rest] = interaction.customId.split('_');
+    const content = interaction.fields.getTextInputValue('content').trim();
+
+    try {
+      if (!this.isStaff(interaction.member)) {
+        return interaction.reply({ content: '❌ Only support staff can manage snippets.', ephemeral: true });
+      }
+
+      if (action === 'add') {
+        const name = rest.join('_');
+        await this.addSnippet(interaction.guild.id, name, content, interaction.user.id);
+
+        logger.info(`Snippet ${name} added in ${interaction.guild.name} by ${interaction.user.tag}`);
+        await interaction.reply({ content: `✅ Added snippet **${name}**.`, ephemeral: true });
+      } else if (action === 'edit') {
+        const snippet = await this.updateSnippet(interaction.guild.id, Number(rest[0]), content, interaction.user.id);
+
+        logger.info(`Snippet ${snippet.name} edited in ${interaction.guild.name} by ${interaction.user.tag}`);
+        await interaction.reply({ content: `✅ Updated snippet **${snippet.name}**.`, ephemeral: true });
+      }
+    } catch (error) {
+      logger.error(`Error handling snippet modal ${interaction.customId}: ${error.message}`);
+      await interaction.reply({ content: `❌ ${error.message}`, ephemeral: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * Add a snippet
+   * @param {string} guildId - The guild ID
+   * @param {string} name - The snippet name
+   * @param {string} content - The response
+   * @param {string} createdBy - Who created it
+   * @returns {Promise<number>} The snippet ID
+   */
+  async addSnippet(guildId, name, content, createdBy) {
+    if (!this.isValidName(name)) {
+      throw new Error('Snippet names can only use letters, numbers, dashes and underscores (up to 32 characters).');
+    }
+
+    if (await this.getSnippet(guildId, name)) {
+      throw new Error(`A snippet named **${name}** already exists.`);
+    }
+
+    const result = await query(
+      'INSERT INTO ticket_snippets (guild_id, name, content, created_by, created_at) VALUES (?, ?, ?, ?, ?)',
+      [guildId, name, content, createdBy, toSqlDateTime()],
+    );
+
+    return result.lastID;
+  }
+
+  /**
+   * Change the content of a snippet
+   * @param {string} guildId - The guild ID
+   * @param {number} id - The snippet ID
+   * @param {string} content - The new response
+   * @param {string} updatedBy - Who changed it
+   * @returns {Promise<Object>} The snippet
+   */
+  async updateSnippet(guildId, id, content, updatedBy) {
+    const result = await query(
+      'UPDATE ticket_snippets SET content = ?, updated_by = ?, updated_at = ? WHERE guild_id = ? AND id = ?',
+      [content, updatedBy, toSqlDateTime(), guildId, id],
+    );
+
+    if (result.changes === 0) {
+      throw new Error('This snippet no longer exists.');
+    }
+
+    const rows = await query('SELECT * FROM ticket_snippets WHERE id = ?', [id]);
+    return rows[0];
+  }
+
+  /**
+   * Remove a snippet
+   * @param {string} guildId - The guild ID
+   * @param {string} name - The snippet name
+   * @returns {Promise<boolean>} Whether a snippet was removed
+   */
+  async removeSnippet(guildId, name) {
+    const snippet = await this.getSnippet(guildId, name);
+    if (!snippet) return false;
+
+    await query('DELETE FROM snippet_usage WHERE snippet_id = ?', [snippet.id]);
+    await query('DELETE FROM ticket_snippets WHERE id = ?', [snippet.id]);
+    return true;
+  }
+
+  /**
+   * Get a snippet by name
+   * @param {string} guildId - The guild ID
+   * @param {string} name - The snippet name
+   * @returns {Promise<Object|null>} The snippet
+   */
+  async getSnippet(guildId, name) {
+    const rows = await query('SELECT * FROM ticket_snippets WHERE guild_id = ? AND name = ?', [guildId, name]);
+    return rows[0] || null;
+  }
+
+  /**
+   * Get a guild's snippets, most used first
+   * @param {string} guildId - The guild ID
+   * @returns {Promise<Array<Object>>} The snippets
+   */
+  async listSnippets(guildId) {
+    return query('SELECT * FROM ticket_snippets WHERE guild_id = ? ORDER BY uses DESC, name ASC', [guildId]);
+  }
+
+  /**
+   * Find snippets for autocomplete
+   * @param {string} guildId - The guild ID
+   * @param {string} search - What was typed so far
+   * @returns {Promise<Array<Object>>} Up to 25 snippets, most used first
+   */
+  async searchSnippets(guildId, search) {
+    if (!db.isConnected) return [];
+
+    const pattern = `%${this.normalizeName(search).replace(/[%_\\]/g, '\\$&')}%`;
+    return db.query(
+      `SELECT id, name, content FROM ticket_snippets WHERE guild_id = ? AND name LIKE ? ESCAPE '\\'
+       ORDER BY uses DESC, name ASC LIMIT 25`,
+      [guildId, pattern],
+    );
+  }
+
+  /**
+   * Fill in a snippet's placeholders
+   * @param {Object} snippet - The snippet
+   * @param {Object} context - { guild, staff, user, ticket }
+   * @returns {string} The response
+   * @throws {Error} If the snippet uses ticket placeholders outside a ticket
+   */
+  render(snippet, { guild, staff, user, ticket }) {
+    const data = {
+      user: user ? `<@${user.id}>` : ticket ? `<@${ticket.userId}>` : undefined,
+      staff: `<@${staff.id}>`,
+      server: guild.name,
+    };
+
+    if (ticket) {
+      data.ticket_id = tickets.formatTicketId(ticket.id);
+      data.category = ticket.category || 'general';
+      data.subject = ticket.subject || 'No subject';
+      data.priority = tickets.formatPriority(ticket.priority);
+    }
+
+    const missing = this.getPlaceholders(snippet.content)
+      .filter((key) => data[key] === undefined && (TICKET_PLACEHOLDERS.includes(key) || key === 'user'));
+
+    if (missing.length > 0) {
+      throw new Error(missing.includes('user') && missing.length === 1
+        ? 'This snippet mentions {user}, pick a user or send it in a ticket channel.'
+        : `This snippet uses ${missing.map((key) => `{${key}}`).join(', ')} and can only be sent in a ticket channel.`);
+    }
+
+    return BaseEmbed.replacePlaceholders(snippet.content, data);
+  }
+
+  /**
+   * Get the placeholders used in a text
+   * @param {string} text - The text
+   * @returns {Array<string>} The placeholder names
+   */
+  getPlaceholders(text) {
+    return [...new Set([...text.matchAll(/\{([^}]+)\}/g)].map((match) => match[1]))];
+  }
+
+  /**
+   * Record that a snippet was sent
+   * @param {Object} snippet - The snippet
+   * @param {Interaction} interaction - The interaction it was sent with
+   * @param {Object|null} ticket - The ticket it was sent in
+   */
+  async recordUse(snippet, interaction, ticket) {
+    const now = toSqlDateTime();
+
+    await query('UPDATE ticket_snippets SET uses = uses + 1, last_used_at = ? WHERE id = ?', [now, snippet.id]);
+    await query(
+      'INSERT INTO snippet_usage (snippet_id, guild_id, user_id, channel_id, ticket_id, used_at) VALUES (?, ?, ?, ?, ?, ?)',
+      [snippet.id, interaction.guild.id, interaction.user.id, interaction.channel.id, ticket ? ticket.rowId : null, now],
+    );
+  }
+
+  /**
+   * Check whether a member can manage and send snippets
+   * @param {GuildMember} member - The member
+   * @returns {boolean} Whether they are support staff
+   */
+  isStaff(member) {
+    return Boolean(member) && tickets.isSupportStaff(member);
+  }
+}
+
+const snippets = new Snippets();
+snippets.PLACEHOLDERS = PLACEHOLDERS;
+
+module.exports = snippets;
@@ -0,0 +1,225 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const logger = require('../utils/logger');
+const db = require('../utils/database');
+const userLogger = require('../utils/userLogger');
+const scheduler = require('../utils/scheduler');
+const cases = require('./cases');
+const { toSqlDateTime, parseSqlDate } = require('../utils/timeUtils');
+
+// Discord API error code for "Unknown Ban"
+const UNKNOWN_BAN = 10026;
+
+// How long to wait before retrying an unban that failed
+const RETRY_DELAY = 10 * 60 * 1000;
+
+// Ban cases whose unban is still queued
+const PENDING_BANS = 'type = ? AND expires_at IS NOT NULL AND revoked_at IS NULL';
+
+/**
+ * Temporary bans. A temporary ban is a ban case with expires_at set; it is
+ * pending until revoked_at is set, when it expires or is lifted early, so the
+ * queue survives restarts and overdue bans are lifted on startup.
+ */
+class TempBans {
+  constructor() {
+    this.client = null;
+  }
+
+  /**
+   * Lift bans that expired while the bot was offline and schedule the rest
+   * @param {Client} client - The Discord client
+   * @returns {Promise<void>}
+   */
+  async init(client) {
+    this.client = client;
+
+    if (!db.isConnected) return;
+
+    try {
+      const rows = await db.query(`SELECT * FROM moderation_cases WHERE ${PENDING_BANS}`, ['ban']);
+
+      let overdue = 0;
+      for (const row of rows) {
+        const expiresAt = parseSqlDate(row.expires_at);
+
+        if (expiresAt.getTime() <= Date.now()) {
+          overdue++;
+        }
+
+        await this.schedule(row.id, row.guild_id, row.user_id, expiresAt);
+      }
+
+      logger.info(`Loaded ${rows.length} temporary ban(s), ${overdue} overdue`);
+    } catch (error) {
+      logger.error(`Failed to load temporary bans: ${error.message}`);
+    }
+  }
+
+  /**
+   * Queue the unban for a temporary ban case
+   * @param {Guild} guild - The guild
+   * @param {Object} banCase - The ban case returned by userLogger.logBan, with expiresAt set
+   * @returns {Promise<void>}
+   */
+  async addTempBan(guild, banCase) {
+    if (!cases.isAvailable() || !banCase.caseNumber) {
+      throw new Error('Temporary bans require a database connection');
+    }
+
+    const stored = await cases.getCase(guild.id, banCase.caseNumber, true);
+
+    // A new ban replaces whatever was pending for this user
+    await this.clearPending(guild.id, stored.userId, stored.moderatorId, stored.id);
+
+    await db.query(
+      'UPDATE users SET is_banned = 1, ban_reason = ?, ban_expires = ? WHERE user_id = ?',
+      [stored.reason, toSqlDateTime(stored.expiresAt), stored.userId],
+    );
+
+    await this.schedule(stored.id, guild.id, stored.userId, stored.expiresAt);
+
+    logger.info(`Scheduled unban of ${stored.userTag || stored.userId} in ${guild.name} for ${stored.expiresAt.toISOString()}`);
+  }
+
+  /**
+   * Revoke any pending temporary ban for a user without unbanning them,
+   * e.g. when they were unbanned manually or banned permanently
+   * @param {string} guildId - The guild ID
+   * @param {string} userId - The user ID
+   * @param {string|null} [revokedBy=null] - Who revoked the ban
+   * @param {number|null} [keepId=null] - A ban case to leave pending
+   * @returns {Promise<number>} The number of pending bans revoked
+   */
+  async clearPending(guildId, userId, revokedBy = null, keepId = null) {
+    if (!db.isConnected) return 0;
+
+    const rows = (await db.query(
+      `SELECT id FROM moderation_cases WHERE guild_id = ? AND user_id = ? AND ${PENDING_BANS}`,
+      [guildId, userId, 'ban'],
+    )).filter((row) => row.id !== keepId);
+
+    for (const row of rows) {
+      await scheduler.cancel(this.getJobId(row.id));
+      await this.markRevoked(row.id, revokedBy);
+    }
+
+    if (rows.length > 0 && keepId === null) {
+      await db.query('UPDATE users SET ban_expires = NULL WHERE user_id = ?', [userId]);
+    }
+
+    return rows.length;
+  }
+
+  /**
+   * Get the pending temporary ban for a user
+   * @param {string} guildId - The guild ID
+   * @param {string} userId - The user ID
+   * @returns {Promise<Object|null>} The moderation_cases row or null
+   */
+  async getPending(guildId, userId) {
+    if (!db.isConnected) return null;
+
+    const rows = await db.query(
+      `SELECT * FROM moderation_cases WHERE guild_id = ? AND user_id = ? AND ${PENDING_BANS} ORDER BY expires_at DESC LIMIT 1`,
+      [guildId, userId, 'ban'],
+    );
+
+    return rows[0] || null;
+  }
+
+  /**
+   * Schedule the unban for a stored temporary ban
+   * @param {number} banId - The ban case row ID
+   * @param {string} guildId - The guild ID
+   * @param {string} userId - The user ID
+   * @param {Date} expiresAt - When the ban expires
+   * @returns {Promise<void>}
+   */
+  async schedule(banId, guildId, userId, expiresAt) {
+    await scheduler.scheduleAt(
+      this.getJobId(banId),
+      'Temporary ban expiry',
+      expiresAt,
+      () => this.liftBan(banId, guildId, userId),
+    );
+  }
+
+  /**
+   * Lift an expired temporary ban and log it to the moderation log
+   * @param {number} banId - The ban case row ID
+   * @param {string} guildId - The guild ID
+   * @param {string} userId - The user ID
+   * @returns {Promise<boolean>} Whether the ban was lifted
+   */
+  async liftBan(banId, guildId, userId) {
+    const [row] = await db.query('SELECT * FROM moderation_cases WHERE id = ?', [banId]);
+
+    // Already revoked, e.g. the user was unbanned manually in the meantime
+    if (!row || row.revoked_at) return false;
+
+    const guild = this.client?.guilds.cache.get(guildId);
+    if (!guild) {
+      logger.warn(`Cannot lift temporary ban ${banId}: guild ${guildId} is not available`);
+      return false;
+    }
+
+    const reason = `Temporary ban expired (case #${row.case_number}: ${row.reason || 'No reason provided'})`;
+
+    // Mark the ban first so the guildBanRemove handler doesn't treat it as a manual unban
+    await this.markRevoked(banId, null);
+    await db.query('UPDATE users SET is_banned = 0, ban_expires = NULL WHERE user_id = ?', [userId]);
+
+    try {
+      await guild.members.unban(userId, reason);
+    } catch (error) {
+      if (error.code !== UNKNOWN_BAN) {
+        logger.error(`Failed to lift temporary ban for ${userId} in ${guild.name}: ${error.message}`);
+
+        // Put the ban back in the queue and try again later
+        await db.query('UPDATE moderation_cases SET revoked_at = NULL, revoked_by = NULL WHERE id = ?', [banId]);
+        await db.query('UPDATE users SET is_banned = 1, ban_expires = ? WHERE user_id = ?', [row.expires_at, userId]);
+        await this.schedule(banId, guildId, userId, new Date(Date.now() + RETRY_DELAY));
+        return false;
+      }
+    }
+
+    const user = await this.client.users.fetch(userId).catch(() => ({ id: userId, tag: null }));
+    await userLogger.logUnban(guild, user, null, reason, { source: 'system', metadata: { banCase: row.case_number } });
+
+    logger.info(`Lifted temporary ban for ${user.tag || userId} in ${guild.name}`);
+    return true;
+  }
+
+  /**
+   * Mark a temporary ban as revoked
+   * @param {number} banId - The ban case row ID
+   * @param {string|null} revokedBy - Who revoked it, null when it expired
+   * @returns {Promise<void>}
+   */
+  async markRevoked(banId, revokedBy) {
+    await db.query(
+      'UPDATE moderation_cases SET revoked_at = ?, revoked_by = ? WHERE id = ?',
+      [toSqlDateTime(), revokedBy, banId],
+    );
+  }
+
+  /**
+   * Get the scheduler job ID for a temporary ban
+   * @param {number} banId - The ban case row ID
+   * @returns {string} The job ID
+   */
+  getJobId(banId) {
+    return `tempban_${banId}`;
+  }
+}
+
+module.exports = new TempBans();
@@ -0,0 +1,172 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+jest.mock('../../config.json', () => ({}), { virtual: true });
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../utils/database', () => ({ isConnected: true, query: jest.fn() }));
+jest.mock('../utils/userLogger', () => ({ logUnban: jest.fn() }));
+jest.mock('./cases', () => ({ isAvailable: () => true }));
+
+const db = require('../utils/database');
+const userLogger = require('../utils/userLogger');
+const scheduler = require('../utils/scheduler');
+const { toSqlDateTime } = require('../utils/timeUtils');
+const tempBans = require('./tempBans');
+
+const MINUTE = 60 * 1000;
+const NOW = new Date('2026-03-01T12:00:00Z').getTime();
+
+let bans;
+let guild;
+let client;
+
+/**
+ * Keep the ban cases in memory and answer the queries tempBans makes
+ */
+function mockDatabase() {
+  db.query.mockImplementation(async (sql, params) => {
+    if (sql.startsWith('SELECT * FROM moderation_cases WHERE type = ?')) {
+      return bans.filter((ban) => ban.expires_at && !ban.revoked_at);
+    }
+
+    if (sql.startsWith('SELECT * FROM moderation_cases WHERE id = ?')) {
+      return bans.filter((ban) => ban.id === params[0]).map((ban) => ({ ...ban }));
+    }
+
+    if (sql.startsWith('UPDATE moderation_cases SET revoked_at = ?')) {
+      const ban = bans.find((entry) => entry.id === params[2]);
+      Object.assign(ban, { revoked_at: params[0], revoked_by: params[1] });
+      return { changes: 1 };
+    }
+
+    if (sql.startsWith('UPDATE moderation_cases SET revoked_at = NULL')) {
+      const ban = bans.find((entry) => entry.id === params[0]);
+      Object.assign(ban, { revoked_at: null, revoked_by: null });
+      return { changes: 1 };
+    }
+
+    if (sql.startsWith('UPDATE users')) return { changes: 1 };
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+}
+
+/**
+ * Build a pending ban case row
+ * @param {number} id - The row ID
+ * @param {number} expiresIn - Milliseconds from now until it expires, negative if overdue
+ * @returns {Object} The row
+ */
+function pendingBan(id, expiresIn) {
+  return {
+    id,
+    guild_id: 'guild',
+    case_number: id,
+    type: 'ban',
+    user_id: `user${id}`,
+    reason: 'raiding',
+    expires_at: toSqlDateTime(NOW + expiresIn),
+    revoked_at: null,
+    revoked_by: null,
+  };
+}
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: NOW });
+  db.query.mockReset();
+  userLogger.logUnban.mockReset();
+  mockDatabase();
+
+  guild = { id: 'guild', name: 'Guild', members: { unban: jest.fn().mockResolvedValue() } };
+  client = {
+    guilds: { cache: new Map([['guild', guild]]) },
+    users: { fetch: jest.fn(async (id) => ({ id, tag: `${id}#0001` })) },
+  };
+});
+
+afterEach(async () => {
+  for (const ban of bans) {
+    await scheduler.cancel(tempBans.getJobId(ban.id));
+  }
+  jest.useRealTimers();
+});
+
+describe('init', () => {
+  it('lifts bans that expired while the bot was offline straight away', async () => {
+    bans = [pendingBan(1, -5 * MINUTE)];
+
+    await tempBans.init(client);
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(guild.members.unban).toHaveBeenCalledWith('user1', expect.stringContaining('case #1'));
+    expect(bans[0].revoked_at).not.toBeNull();
+    expect(bans[0].revoked_by).toBeNull();
+    expect(userLogger.logUnban).toHaveBeenCalledWith(guild, { id: 'user1', tag: 'user1#0001' }, null, expect.any(String), {
+      source: 'system',
+      metadata: { banCase: 1 },
+    });
+  });
+
+  it('reschedules bans that are still running for their expiry', async () => {
+    bans = [pendingBan(1, 30 * MINUTE), pendingBan(2, 90 * MINUTE)];
+
+    await tempBans.init(client);
+    await jest.advanceTimersByTimeAsync(29 * MINUTE);
+    expect(guild.members.unban).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(2 * MINUTE);
+    expect(guild.members.unban).toHaveBeenCalledTimes(1);
+    expect(guild.members.unban).toHaveBeenCalledWith('user1', expect.any(String));
+
+    await jest.advanceTimersByTimeAsync(60 * MINUTE);
+    expect(guild.members.unban).toHaveBeenCalledTimes(2);
+    expect(guild.members.unban).toHaveBeenLastCalledWith('user2', expect.any(String));
+  });
+
+  it('does not lift a ban that was revoked before it expired', async () => {
+    bans = [pendingBan(1, 30 * MINUTE)];
+
+    await tempBans.init(client);
+    bans[0].revoked_at = toSqlDateTime(NOW);
+    await jest.advanceTimersByTimeAsync(31 * MINUTE);
+
+    expect(guild.members.unban).not.toHaveBeenCalled();
+    expect(userLogger.logUnban).not.toHaveBeenCalled();
+  });
+
+  it('queues a failed unban again and retries it later', async () => {
+    bans = [pendingBan(1, -MINUTE)];
+    guild.members.unban.mockRejectedValueOnce(Object.assign(new Error('Missing Permissions'), { code: 50013 }));
+
+    await tempBans.init(client);
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(guild.members.unban).toHaveBeenCalledTimes(1);
+    expect(bans[0].revoked_at).toBeNull();
+    expect(userLogger.logUnban).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(10 * MINUTE);
+
+    expect(guild.members.unban).toHaveBeenCalledTimes(2);
+    expect(bans[0].revoked_at).not.toBeNull();
+    expect(userLogger.logUnban).toHaveBeenCalledTimes(1);
+  });
+
+  it('treats a ban that is already gone as lifted', async () => {
+    bans = [pendingBan(1, -MINUTE)];
+    guild.members.unban.mockRejectedValueOnce(Object.assign(new Error('Unknown Ban'), { code: 10026 }));
+
+    await tempBans.init(client);
+    await jest.advanceTimersByTimeAsync(10 * MINUTE);
+
+    expect(guild.members.unban).toHaveBeenCalledTimes(1);
+    expect(bans[0].revoked_at).not.toBeNull();
+    expect(userLogger.logUnban).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,268 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const config = require('../../config.json');
+const logger = require('../utils/logger');
+const db = require('../utils/database');
+const ticketSurvey = require('./ticketSurvey');
+const { toSqlDateTime, formatDuration } = require('../utils/timeUtils');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Report periods, keyed by the /ticket stats option value
+const PERIODS = {
+  day: { label: 'Last 24 Hours', duration: DAY },
+  week: { label: 'Last 7 Days', duration: 7 * DAY },
+  month: { label: 'Last 30 Days', duration: 30 * DAY },
+  all: { label: 'All Time', duration: null },
+};
+
+// Milliseconds between two SQLite timestamps
+const elapsed = (from, to) => `CAST(ROUND((julianday(${to}) - julianday(${from})) * 86400000) AS INTEGER)`;
+
+/**
+ * Ticket analytics: opened and closed counts, median first response and
+ * resolution times per category and staff member, reopen rate, backlog age
+ * and satisfaction ratings, for /ticket stats and the weekly staff digest.
+ */
+class TicketAnalytics {
+  /**
+   * Collect the statistics of a guild's tickets for a period
+   * @param {string} guildId - The guild ID
+   * @param {string} [period='week'] - day, week, month or all
+   * @returns {Promise<Object>} The statistics
+   */
+  async getStats(guildId, period = 'week') {
+    if (!db.isConnected) {
+      throw new Error('Ticket analytics require a database connection');
+    }
+
+    const { duration } = PERIODS[period] || PERIODS.week;
+    const since = duration ? toSqlDateTime(Date.now() - duration) : '0000-00-00 00:00:00';
+
+    // Tickets opened or closed in the period. Claiming a ticket is not a
+    // response, and tickets nobody has answered yet have no response time.
+    const rows = await db.query(
+      `SELECT category, claimed_by, created_at, closed_at, first_response_breached_at, resolution_breached_at,
+        ${elapsed('created_at', 'first_response_at')} AS first_response_ms,
+        ${elapsed('created_at', 'closed_at')} AS resolution_ms
+       FROM tickets
+       WHERE guild_id = ? AND channel_id != '' AND (created_at >= ? OR closed_at >= ?)`,
+      [guildId, since, since],
+    );
+
+    const opened = rows.filter((row) => row.created_at >= since);
+    const closed = rows.filter((row) => row.closed_at && row.closed_at >= since);
+
+    const reopenRows = await db.query(
+      `SELECT COUNT(DISTINCT e.ticket_id) AS count
+       FROM ticket_events e JOIN tickets t ON t.id = e.ticket_id
+       WHERE t.guild_id = ? AND e.action = ? AND e.created_at >= ?`,
+      [guildId, 'reopened', since],
+    );
+    const reopened = reopenRows[0]?.count || 0;
+
+    const backlogRows = await db.query(
+      `SELECT category, ${elapsed('created_at', 'CURRENT_TIMESTAMP')} AS age_ms
+       FROM tickets WHERE guild_id = ? AND status = ? AND channel_id != ''`,
+      [guildId, 'open'],
+    );
+    const ages = backlogRows.map((row) => row.age_ms);
+
+    const ratingRows = await db.query(
+      'SELECT staff_id, rating FROM ticket_ratings WHERE guild_id = ? AND created_at >= ?',
+      [guildId, since],
+    );
+
+    const staff = this.groupBy(opened, closed, 'claimed_by').filter((group) => group.key);
+    for (const group of staff) {
+      const ratings = ratingRows.filter((row) => row.staff_id === group.key).map((row) => row.rating);
+      group.ratings = ratings.length;
+      group.averageRating = average(ratings);
+    }
+
+    return {
+      period,
+      opened: opened.length,
+      closed: closed.length,
+      medianFirstResponse: median(opened.map((row) => row.first_response_ms)),
+      medianResolution: median(closed.map((row) => row.resolution_ms)),
+      breaches: opened.filter((row) => row.first_response_breached_at).length +
+        closed.filter((row) => row.resolution_breached_at).length,
+      reopened,
+      reopenRate: closed.length > 0 ? reopened / closed.length : 0,
+      categories: this.groupBy(opened, closed, 'category'),
+      staff,
+      satisfaction: {
+        ratings: ratingRows.length,
+        averageRating: average(ratingRows.map((row) => row.rating)),
+        low: ratingRows.filter((row) => row.rating <= ticketSurvey.getSettings().lowScore).length,
+      },
+      backlog: {
+        open: backlogRows.length,
+        medianAge: median(ages),
+        oldestAge: ages.length > 0 ? Math.max(...ages) : null,
+      },
+    };
+  }
+
+  /**
+   * Group tickets and take the medians of each group
+   * @param {Array<Object>} opened - Tickets opened in the period
+   * @param {Array<Object>} closed - Tickets closed in the period
+   * @param {string} column - The column to group by
+   * @returns {Array<Object>} { key, opened, closed, medianFirstResponse, medianResolution }, busiest first
+   */
+  groupBy(opened, closed, column) {
+    const groups = new Map();
+    const group = (key) => {
+      if (!groups.has(key)) groups.set(key, { key, opened: [], closed: [] });
+      return groups.get(key);
+    };
+
+    opened.forEach((row) => group(row[column]).opened.push(row));
+    closed.forEach((row) => group(row[column]).closed.push(row));
+
+    return [...groups.values()]
+      .map((entry) => ({
+        key: entry.key,
+        opened: entry.opened.length,
+        closed: entry.closed.length,
+        medianFirstResponse: median(entry.opened.map((row) => row.first_response_ms)),
+        medianResolution: median(entry.closed.map((row) => row.resolution_ms)),
+      }))
+      .sort((a, b) => (b.opened + b.closed) - (a.opened + a.closed));
+  }
+
+  /**
+   * Build the statistics embed
+   * @param {Guild} guild - The guild
+   * @param {Object} stats - The statistics from getStats
+   * @param {string} [title] - The embed title
+   * @returns {EmbedBuilder} The embed
+   */
+  buildEmbed(guild, stats, title = '🎫 Ticket Statistics') {
+    const time = (ms) => (ms === null ? 'n/a' : formatDuration(ms));
+    const rating = (value) => (value === null ? 'n/a' : `${value.toFixed(1)}/5`);
+    const groupLine = (label, group) =>
+      `**${label}:** ${group.opened} opened, ${group.closed} closed · ` +
+      `response ${time(group.medianFirstResponse)} · resolution ${time(group.medianResolution)}` +
+      (group.ratings ? ` · ⭐ ${rating(group.averageRating)}` : '');
+
+    const embed = new EmbedBuilder()
+      .setTitle(title)
+      .setColor(config.embedColor || '#00AAFF')
+      .setDescription(`${guild.name} · ${(PERIODS[stats.period] || PERIODS.week).label}`)
+      .addFields(
+        { name: 'Opened', value: String(stats.opened), inline: true },
+        { name: 'Closed', value: String(stats.closed), inline: true },
+        { name: 'SLA Breaches', value: String(stats.breaches), inline: true },
+        { name: 'Median First Response', value: time(stats.medianFirstResponse), inline: true },
+        { name: 'Median Resolution', value: time(stats.medianResolution), inline: true },
+        { name: 'Reopen Rate', value: `${Math.round(stats.reopenRate * 100)}% (${stats.reopened})`, inline: true },
+        {
+          name: 'Satisfaction',
+          value: stats.satisfaction.ratings > 0
+            ? `⭐ ${rating(stats.satisfaction.averageRating)} from ${stats.satisfaction.ratings} rating${stats.satisfaction.ratings === 1 ? '' : 's'}` +
+              (stats.satisfaction.low > 0 ? ` · ${stats.satisfaction.low} low` : '')
+            : 'No ratings',
+          inline: false,
+        },
+        {
+          name: 'Backlog',
+          value: stats.backlog.open > 0
+            ? `${stats.backlog.open} open · median age ${time(stats.backlog.medianAge)} · oldest ${time(stats.backlog.oldestAge)}`
+            : 'No open tickets',
+          inline: false,
+        },
+      )
+      .setFooter({ text: config.footerText })
+      .setTimestamp();
+
+    if (stats.categories.length > 0) {
+      embed.addFields({
+        name: 'By Category',
+        value: truncate(stats.categories.map((group) => groupLine(group.key || 'general', group)).join('\n')),
+        inline: false,
+      });
+    }
+
+    if (stats.staff.length > 0) {
+      embed.addFields({
+        name: 'By Staff Member',
+        value: truncate(stats.staff.slice(0, 10).map((group) => groupLine(`<@${group.key}>`, group)).join('\n')),
+        inline: false,
+      });
+    }
+
+    return embed;
+  }
+
+  /**
+   * Post last week's ticket statistics to each guild's staff channel
+   * (config.tickets.digestChannel, or config.channels.staffChat)
+   * @param {Client} client - Discord client
+   */
+  async postWeeklyDigest(client) {
+    const channelSetting = config.tickets?.digestChannel || config.channels?.staffChat;
+    if (!db.isConnected || !channelSetting) return;
+
+    for (const guild of client.guilds.cache.values()) {
+      try {
+        const channel = guild.channels.cache.find((c) => c.id === channelSetting || c.name === channelSetting);
+        if (!channel) continue;
+
+        const stats = await this.getStats(guild.id, 'week');
+        if (stats.opened === 0 && stats.closed === 0 && stats.backlog.open === 0) continue;
+
+        await channel.send({ embeds: [this.buildEmbed(guild, stats, '📊 Weekly Ticket Digest')] });
+      } catch (error) {
+        logger.error(`Failed to post the weekly ticket digest for ${guild.name}: ${error.message}`);
+      }
+    }
+  }
+}
+
+/**
+ * Get the median of a list of numbers, ignoring missing values
+ * @param {Array<number|null>} values - The values
+ * @returns {number|null} The median, or null without values
+ */
+function median(values) {
+  const sorted = values.filter((value) => typeof value === 'number' && value >= 0).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? Math.round((sorted[middle - 1] + sorted[middle]) / 2) : sorted[middle];
+}
+
+/**
+ * Get the average of a list of numbers
+ * @param {Array<number>} values - The values
+ * @returns {number|null} The average, or null without values
+ */
+function average(values) {
+  return values.length > 0 ? values.reduce((total, value) => total + value, 0) / values.length : null;
+}
+
+/**
+ * Shorten a field value to Discord's limit
+ * @param {string} value - The value
+ * @returns {string} The value, at most 1024 characters
+ */
+function truncate(value) {
+  return value.length > 1024 ? `${value.slice(0, 1021)}...` : value;
+}
+
+const ticketAnalytics = new TicketAnalytics();
+ticketAnalytics.PERIODS = PERIODS;
+
+module.exports = ticketAnalytics;
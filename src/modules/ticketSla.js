@@ -0,0 +1,400 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const config = require('../../config.json');
+const logger = require('../utils/logger');
+const db = require('../utils/database');
+const scheduler = require('../utils/scheduler');
+const { toSqlDateTime, formatDuration } = require('../utils/timeUtils');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// The SLA targets a ticket can breach
+const TARGETS = {
+  response: { label: 'First Response', column: 'first_response' },
+  resolution: { label: 'Resolution', column: 'resolution' },
+};
+
+/**
+ * Ticket SLAs and staff assignment. Every ticket gets a first response and a
+ * resolution deadline from its category's SLA. A breached deadline pings the
+ * next escalation role, and tickets nobody claims are assigned round-robin to
+ * the staff members who are on duty.
+ *
+ * Deadlines are stored on the ticket so they are scheduled again on startup.
+ */
+class TicketSla {
+  /**
+   * Start tracking SLAs
+   * @param {Client} client - Discord client
+   * @param {Object} tickets - The ticket module
+   */
+  init(client, tickets) {
+    this.client = client;
+    this.tickets = tickets;
+  }
+
+  /**
+   * Get the SLA settings for a ticket category from config.tickets.sla, where
+   * `categories` overrides the defaults per category
+   * @param {string} category - The ticket category
+   * @returns {Object} { enabled, firstResponse, resolution, escalationRoles, autoAssign, autoAssignDelay }
+   */
+  getSettings(category) {
+    const sla = config.tickets?.sla || {};
+    const overrides = (sla.categories && sla.categories[category]) || {};
+    const pick = (key, fallback) => {
+      if (overrides[key] !== undefined) return overrides[key];
+      return sla[key] !== undefined ? sla[key] : fallback;
+    };
+
+    return {
+      enabled: sla.enabled !== false,
+      firstResponse: pick('firstResponse', HOUR), // 0 disables the target
+      resolution: pick('resolution', 48 * HOUR),
+      escalationRoles: pick('escalationRoles', []), // lowest level first
+      autoAssign: pick('autoAssign', true),
+      autoAssignDelay: pick('autoAssignDelay', 5 * MINUTE),
+    };
+  }
+
+  /**
+   * Set the deadlines of a new ticket and schedule its checks
+   * @param {Object} ticket - The ticket
+   */
+  async start(ticket) {
+    const settings = this.getSettings(ticket.category);
+    if (!settings.enabled) return;
+
+    const createdAt = ticket.createdAt.getTime();
+    ticket.firstResponseDue = settings.firstResponse > 0 ? new Date(createdAt + settings.firstResponse) : null;
+    ticket.resolutionDue = settings.resolution > 0 ? new Date(createdAt + settings.resolution) : null;
+
+    if (db.isConnected && ticket.rowId) {
+      await db.query(
+        'UPDATE tickets SET first_response_due = ?, resolution_due = ? WHERE id = ?',
+        [
+          ticket.firstResponseDue ? toSqlDateTime(ticket.firstResponseDue) : null,
+          ticket.resolutionDue ? toSqlDateTime(ticket.resolutionDue) : null,
+          ticket.rowId,
+        ],
+      );
+    }
+
+    await this.schedule(ticket);
+  }
+
+  /**
+   * Schedule the pending checks of an open ticket. Checks whose time has
+   * passed, e.g. while the bot was offline, run straight away.
+   * @param {Object} ticket - The ticket
+   */
+  async schedule(ticket) {
+    const settings = this.getSettings(ticket.category);
+    if (!settings.enabled || ticket.status !== 'open') return;
+
+    if (ticket.firstResponseDue && !ticket.firstResponseAt && !ticket.firstResponseBreachedAt) {
+      await scheduler.scheduleAt(
+        this.getJobId('response', ticket.channelId),
+        `Ticket #${ticket.id} first response SLA`,
+        ticket.firstResponseDue,
+        () => this.checkTarget(ticket.channelId, 'response'),
+      );
+    }
+
+    if (ticket.resolutionDue && !ticket.resolutionBreachedAt) {
+      await scheduler.scheduleAt(
+        this.getJobId('resolution', ticket.channelId),
+        `Ticket #${ticket.id} resolution SLA`,
+        ticket.resolutionDue,
+        () => this.checkTarget(ticket.channelId, 'resolution'),
+      );
+    }
+
+    if (settings.autoAssign && !ticket.claimedBy) {
+      await scheduler.scheduleAt(
+        this.getJobId('assign', ticket.channelId),
+        `Ticket #${ticket.id} auto-assignment`,
+        ticket.createdAt.getTime() + settings.autoAssignDelay,
+        () => this.autoAssign(ticket.channelId),
+      );
+    }
+  }
+
+  /**
+   * Stop tracking a ticket, e.g. when it is closed
+   * @param {Object} ticket - The ticket
+   */
+  async stop(ticket) {
+    for (const type of ['response', 'resolution', 'assign']) {
+      await scheduler.cancel(this.getJobId(type, ticket.channelId));
+    }
+  }
+
+  /**
+   * Record the first staff reply to a ticket
+   * @param {Object} ticket - The ticket
+   * @param {Message} message - The message
+   */
+  async recordResponse(ticket, message) {
+    if (ticket.firstResponseAt || message.author.bot || message.author.id === ticket.userId) return;
+    if (!message.member || !this.tickets.isSupportStaff(message.member)) return;
+
+    ticket.firstResponseAt = message.createdAt;
+    await scheduler.cancel(this.getJobId('response', ticket.channelId));
+
+    if (db.isConnected && ticket.rowId) {
+      await db.query(
+        'UPDATE tickets SET first_response_at = ? WHERE id = ?',
+        [toSqlDateTime(ticket.firstResponseAt), ticket.rowId],
+      );
+    }
+
+    await this.tickets.recordTicketEvent(ticket, 'first_response', null, null, message.author.id);
+  }
+
+  /**
+   * Check whether a ticket met an SLA target and escalate it if not
+   * @param {string} channelId - Ticket channel ID
+   * @param {string} target - response or resolution
+   */
+  async checkTarget(channelId, target) {
+    const ticket = this.tickets.activeTickets.get(channelId);
+    if (!ticket) return;
+
+    if (target === 'response' && (ticket.firstResponseAt || ticket.firstResponseBreachedAt)) return;
+    if (target === 'resolution' && ticket.resolutionBreachedAt) return;
+
+    await this.escalate(ticket, target);
+  }
+
+  /**
+   * Record a breached SLA target and ping the next escalation role
+   * @param {Object} ticket - The ticket
+   * @param {string} target - response or resolution
+   */
+  async escalate(ticket, target) {
+    const settings = this.getSettings(ticket.category);
+    const breachedAt = new Date();
+    const level = (ticket.escalationLevel || 0) + 1;
+    const roles = settings.escalationRoles;
+    const roleId = roles.length > 0 ? roles[Math.min(level, roles.length) - 1] : null;
+    const { label, column } = TARGETS[target];
+
+    ticket.escalationLevel = level;
+    if (target === 'response') {
+      ticket.firstResponseBreachedAt = breachedAt;
+    } else {
+      ticket.resolutionBreachedAt = breachedAt;
+    }
+
+    if (db.isConnected && ticket.rowId) {
+      await db.query(
+        `UPDATE tickets SET ${column}_breached_at = ?, escalation_level = ? WHERE id = ?`,
+        [toSqlDateTime(breachedAt), level, ticket.rowId],
+      );
+    }
+
+    await this.tickets.recordTicketEvent(ticket, 'sla_breach', null, target, null);
+
+    const channel = await this.client.channels.fetch(ticket.channelId).catch(() => null);
+    if (!channel) return;
+
+    const limit = target === 'response' ? settings.firstResponse : settings.resolution;
+    const embed = new EmbedBuilder()
+      .setColor('#FF0000')
+      .setTitle(`⏰ ${label} SLA Breached`)
+      .setDescription(target === 'response'
+        ? `This ticket has not had a response from staff within ${formatDuration(limit)}.`
+        : `This ticket has not been resolved within ${formatDuration(limit)}.`)
+      .addFields(
+        { name: 'Escalation Level', value: String(level), inline: true },
+        { name: 'Assigned To', value: ticket.claimedBy ? `<@${ticket.claimedBy}>` : 'Nobody', inline: true },
+      )
+      .setTimestamp();
+
+    await channel.send({
+      content: roleId ? `<@&${roleId}>` : undefined,
+      embeds: [embed],
+      allowedMentions: { roles: roleId ? [roleId] : [] },
+    });
+
+    await this.tickets.logTicketAction(channel.guild, {
+      action: `${label} SLA Breached`,
+      ticketId: this.tickets.formatTicketId(ticket.id),
+      user: this.client.user,
+      channel,
+    });
+
+    logger.warn(`Ticket #${ticket.id} in ${channel.guild.name} breached its ${label.toLowerCase()} SLA (level ${level})`);
+  }
+
+  /**
+   * Assign an unclaimed ticket to the next on-duty staff member
+   * @param {string} channelId - Ticket channel ID
+   * @returns {Promise<string|null>} The assigned staff member's ID
+   */
+  async autoAssign(channelId) {
+    const ticket = this.tickets.activeTickets.get(channelId);
+    if (!ticket || ticket.claimedBy) return null;
+
+    const channel = await this.client.channels.fetch(channelId).catch(() => null);
+    if (!channel) return null;
+
+    const staffId = await this.pickAssignee(channel.guild, ticket.userId);
+    if (!staffId) {
+      logger.info(`No on-duty staff to assign ticket #${ticket.id} to`);
+      return null;
+    }
+
+    await this.tickets.setTicketClaim(ticket, staffId, this.client.user.id);
+
+    const embed = new EmbedBuilder()
+      .setColor('#00AAFF')
+      .setTitle('Ticket Assigned')
+      .setDescription(`This ticket has been assigned to <@${staffId}>.`)
+      .setTimestamp();
+
+    await channel.send({ content: `<@${staffId}>`, embeds: [embed], allowedMentions: { users: [staffId] } });
+
+    await this.tickets.logTicketAction(channel.guild, {
+      action: 'Ticket Assigned',
+      ticketId: this.tickets.formatTicketId(ticket.id),
+      user: this.client.user,
+      channel,
+    });
+
+    return staffId;
+  }
+
+  /**
+   * Assign the unclaimed tickets of a guild that are due for assignment,
+   * oldest first. Used when someone comes on duty.
+   * @param {Guild} guild - The guild
+   * @returns {Promise<number>} The number of tickets assigned
+   */
+  async assignPending(guild) {
+    const due = this.tickets.activeTickets
+      .filter((ticket) => {
+        const settings = this.getSettings(ticket.category);
+        return ticket.guildId === guild.id && !ticket.claimedBy && settings.enabled && settings.autoAssign &&
+          ticket.createdAt.getTime() + settings.autoAssignDelay <= Date.now();
+      })
+      .sort((a, b) => a.createdAt - b.createdAt);
+
+    let assigned = 0;
+    for (const ticket of due.values()) {
+      if (!await this.autoAssign(ticket.channelId)) break;
+      assigned++;
+    }
+
+    return assigned;
+  }
+
+  /**
+   * Pick the on-duty staff member who was assigned a ticket the longest ago
+   * @param {Guild} guild - The guild
+   * @param {string} [excludeId] - A user who can't be picked, e.g. the ticket creator
+   * @returns {Promise<string|null>} The staff member's ID
+   */
+  async pickAssignee(guild, excludeId = null) {
+    if (!db.isConnected) return null;
+
+    const rows = await db.query(
+      'SELECT user_id FROM ticket_staff WHERE guild_id = ? AND on_duty = 1 ORDER BY last_assigned_at IS NOT NULL, last_assigned_at ASC',
+      [guild.id],
+    );
+
+    for (const row of rows) {
+      if (row.user_id === excludeId) continue;
+
+      const member = await guild.members.fetch(row.user_id).catch(() => null);
+      if (!member || !this.tickets.isSupportStaff(member)) continue;
+
+      await db.query(
+        'UPDATE ticket_staff SET last_assigned_at = ? WHERE guild_id = ? AND user_id = ?',
+        [toSqlDateTime(), guild.id, row.user_id],
+      );
+      return row.user_id;
+    }
+
+    return null;
+  }
+
+  /**
+   * Put a staff member on or off duty
+   * @param {Guild} guild - The guild
+   * @param {string} userId - The staff member
+   * @param {boolean} onDuty - Whether they are on duty
+   */
+  async setOnDuty(guild, userId, onDuty) {
+    if (!db.isConnected) {
+      throw new Error('Duty status requires a database connection');
+    }
+
+    await db.query(
+      `INSERT INTO ticket_staff (guild_id, user_id, on_duty, updated_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT(guild_id, user_id) DO UPDATE SET on_duty = excluded.on_duty, updated_at = excluded.updated_at`,
+      [guild.id, userId, onDuty ? 1 : 0, toSqlDateTime()],
+    );
+
+    if (onDuty) {
+      await this.assignPending(guild);
+    }
+  }
+
+  /**
+   * Get the staff members who are on duty
+   * @param {string} guildId - The guild ID
+   * @returns {Promise<Array<string>>} Their user IDs
+   */
+  async getOnDuty(guildId) {
+    if (!db.isConnected) return [];
+
+    const rows = await db.query('SELECT user_id FROM ticket_staff WHERE guild_id = ? AND on_duty = 1', [guildId]);
+    return rows.map((row) => row.user_id);
+  }
+
+  /**
+   * Describe a ticket's SLA state
+   * @param {Object} ticket - The ticket
+   * @returns {Array<string>} One line per target
+   */
+  describe(ticket) {
+    const line = (label, due, metAt, breachedAt) => {
+      if (!due) return `**${label}:** no target`;
+      if (breachedAt) return `**${label}:** ❌ breached <t:${Math.floor(breachedAt.getTime() / 1000)}:R>`;
+      if (metAt) return `**${label}:** ✅ met <t:${Math.floor(metAt.getTime() / 1000)}:R>`;
+      return `**${label}:** due <t:${Math.floor(due.getTime() / 1000)}:R>`;
+    };
+
+    return [
+      line(TARGETS.response.label, ticket.firstResponseDue, ticket.firstResponseAt, ticket.firstResponseBreachedAt),
+      line(TARGETS.resolution.label, ticket.resolutionDue, ticket.status === 'open' ? null : ticket.closedAt, ticket.resolutionBreachedAt),
+    ];
+  }
+
+  /**
+   * Get the scheduler job ID for a ticket check
+   * @param {string} type - response, resolution or assign
+   * @param {string} channelId - Ticket channel ID
+   * @returns {string} The job ID
+   */
+  getJobId(type, channelId) {
+    return `ticket_sla_${type}_${channelId}`;
+  }
+}
+
+const ticketSla = new TicketSla();
+ticketSla.TARGETS = TARGETS;
+
+module.exports = ticketSla;
@@ -0,0 +1,230 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+jest.mock('../../config.json', () => ({ tickets: {} }), { virtual: true });
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../utils/database', () => ({ isConnected: true, query: jest.fn() }));
+
+const { Collection } = require('discord.js');
+const config = require('../../config.json');
+const db = require('../utils/database');
+const scheduler = require('../utils/scheduler');
+const { toSqlDateTime } = require('../utils/timeUtils');
+const ticketSla = require('./ticketSla');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const NOW = new Date('2026-03-01T12:00:00Z').getTime();
+
+let tickets;
+let channel;
+
+/**
+ * Build an open ticket and track it
+ * @param {Object} [fields] - Fields to set
+ * @returns {Object} The ticket
+ */
+function openTicket(fields = {}) {
+  const ticket = {
+    rowId: 7,
+    id: 7,
+    guildId: 'guild',
+    channelId: 'channel',
+    userId: 'user',
+    category: 'general',
+    status: 'open',
+    claimedBy: null,
+    createdAt: new Date(NOW),
+    escalationLevel: 0,
+    ...fields,
+  };
+
+  tickets.activeTickets.set(ticket.channelId, ticket);
+  return ticket;
+}
+
+/**
+ * Get the breach notices sent to the ticket channel
+ * @returns {Array<Object>} { title, ping }
+ */
+function breaches() {
+  return channel.send.mock.calls.map(([message]) => ({ title: message.embeds[0].data.title, ping: message.content }));
+}
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: NOW });
+  db.query.mockReset().mockResolvedValue({ changes: 1 });
+
+  config.tickets.sla = {
+    firstResponse: HOUR,
+    resolution: 4 * HOUR,
+    escalationRoles: ['lead', 'manager'],
+    autoAssign: false,
+    categories: { billing: { firstResponse: 30 * MINUTE, resolution: 0 } },
+  };
+
+  tickets = {
+    activeTickets: new Collection(),
+    recordTicketEvent: jest.fn(),
+    logTicketAction: jest.fn(),
+    formatTicketId: (id) => String(id).padStart(4, '0'),
+    isSupportStaff: (member) => member.staff,
+  };
+  channel = { guild: { name: 'Guild' }, send: jest.fn() };
+
+  ticketSla.init({ channels: { fetch: jest.fn(async () => channel) }, user: { id: 'bot' } }, tickets);
+});
+
+afterEach(async () => {
+  await ticketSla.stop({ channelId: 'channel' });
+  jest.useRealTimers();
+});
+
+describe('start', () => {
+  it('sets the deadlines from the SLA and stores them', async () => {
+    const ticket = openTicket();
+
+    await ticketSla.start(ticket);
+
+    expect(ticket.firstResponseDue).toEqual(new Date(NOW + HOUR));
+    expect(ticket.resolutionDue).toEqual(new Date(NOW + 4 * HOUR));
+    expect(db.query).toHaveBeenCalledWith(
+      'UPDATE tickets SET first_response_due = ?, resolution_due = ? WHERE id = ?',
+      [toSqlDateTime(NOW + HOUR), toSqlDateTime(NOW + 4 * HOUR), 7],
+    );
+  });
+
+  it('uses the category overrides, where 0 disables a target', async () => {
+    const ticket = openTicket({ category: 'billing' });
+
+    await ticketSla.start(ticket);
+
+    expect(ticket.firstResponseDue).toEqual(new Date(NOW + 30 * MINUTE));
+    expect(ticket.resolutionDue).toBeNull();
+  });
+
+  it('does nothing when SLAs are disabled', async () => {
+    config.tickets.sla.enabled = false;
+    const ticket = openTicket();
+
+    await ticketSla.start(ticket);
+    await jest.advanceTimersByTimeAsync(5 * HOUR);
+
+    expect(ticket.firstResponseDue).toBeUndefined();
+    expect(channel.send).not.toHaveBeenCalled();
+  });
+});
+
+describe('breaches', () => {
+  it('escalates a ticket without a staff response once the response target passes', async () => {
+    const ticket = openTicket();
+    await ticketSla.start(ticket);
+
+    await jest.advanceTimersByTimeAsync(HOUR - 1);
+    expect(channel.send).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(breaches()).toEqual([{ title: '⏰ First Response SLA Breached', ping: '<@&lead>' }]);
+    expect(ticket.firstResponseBreachedAt).toEqual(new Date(NOW + HOUR));
+    expect(ticket.escalationLevel).toBe(1);
+    expect(db.query).toHaveBeenCalledWith(
+      'UPDATE tickets SET first_response_breached_at = ?, escalation_level = ? WHERE id = ?',
+      [toSqlDateTime(NOW + HOUR), 1, 7],
+    );
+    expect(tickets.recordTicketEvent).toHaveBeenCalledWith(ticket, 'sla_breach', null, 'response', null);
+  });
+
+  it('pings the next role for each breach and stays on the last one', async () => {
+    const ticket = openTicket({ escalationLevel: 2 });
+    await ticketSla.start(ticket);
+
+    await jest.advanceTimersByTimeAsync(4 * HOUR);
+
+    expect(breaches()).toEqual([
+      { title: '⏰ First Response SLA Breached', ping: '<@&manager>' },
+      { title: '⏰ Resolution SLA Breached', ping: '<@&manager>' },
+    ]);
+    expect(ticket.escalationLevel).toBe(4);
+  });
+
+  it('cancels the response check when staff reply in time', async () => {
+    const ticket = openTicket();
+    await ticketSla.start(ticket);
+
+    await jest.advanceTimersByTimeAsync(20 * MINUTE);
+    await ticketSla.recordResponse(ticket, { author: { id: 'staff', bot: false }, member: { staff: true }, createdAt: new Date() });
+    await jest.advanceTimersByTimeAsync(2 * HOUR);
+
+    expect(ticket.firstResponseAt).toEqual(new Date(NOW + 20 * MINUTE));
+    expect(channel.send).not.toHaveBeenCalled();
+  });
+
+  it('does not count replies from the ticket creator or non-staff as a response', async () => {
+    const ticket = openTicket();
+    await ticketSla.start(ticket);
+
+    await ticketSla.recordResponse(ticket, { author: { id: 'user', bot: false }, member: { staff: true }, createdAt: new Date() });
+    await ticketSla.recordResponse(ticket, { author: { id: 'other', bot: false }, member: { staff: false }, createdAt: new Date() });
+    await jest.advanceTimersByTimeAsync(HOUR);
+
+    expect(ticket.firstResponseAt).toBeUndefined();
+    expect(breaches()).toHaveLength(1);
+  });
+
+  it('stops checking a closed ticket', async () => {
+    const ticket = openTicket();
+    await ticketSla.start(ticket);
+
+    await ticketSla.stop(ticket);
+    await jest.advanceTimersByTimeAsync(5 * HOUR);
+
+    expect(channel.send).not.toHaveBeenCalled();
+  });
+});
+
+describe('schedule', () => {
+  it('runs checks that came due while the bot was offline straight away', async () => {
+    const ticket = openTicket({
+      createdAt: new Date(NOW - 2 * HOUR),
+      firstResponseDue: new Date(NOW - HOUR),
+      resolutionDue: new Date(NOW + 2 * HOUR),
+    });
+
+    await ticketSla.schedule(ticket);
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(breaches()).toEqual([{ title: '⏰ First Response SLA Breached', ping: '<@&lead>' }]);
+  });
+
+  it('does not schedule targets that were already met or breached', async () => {
+    const ticket = openTicket({
+      createdAt: new Date(NOW - 2 * HOUR),
+      firstResponseDue: new Date(NOW - HOUR),
+      firstResponseAt: new Date(NOW - 90 * MINUTE),
+      resolutionDue: new Date(NOW - MINUTE),
+      resolutionBreachedAt: new Date(NOW - MINUTE),
+    });
+
+    await ticketSla.schedule(ticket);
+    await jest.advanceTimersByTimeAsync(5 * HOUR);
+
+    expect(channel.send).not.toHaveBeenCalled();
+  });
+
+  it('only schedules open tickets', async () => {
+    const ticket = openTicket({ status: 'closed', firstResponseDue: new Date(NOW - HOUR) });
+    const scheduleAt = jest.spyOn(scheduler, 'scheduleAt');
+
+    await ticketSla.schedule(ticket);
+
+    expect(scheduleAt).not.toHaveBeenCalled();
+    scheduleAt.mockRestore();
+  });
+});
@@ -0,0 +1,339 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+} = require('discord.js');
+const config = require('../../config.json');
+const logger = require('../utils/logger');
+const db = require('../utils/database');
+const { toSqlDateTime } = require('../utils/timeUtils');
+
+const RATINGS = [1, 2, 3, 4, 5];
+
+/**
+ * Satisfaction surveys. When a ticket is closed its creator gets a DM asking
+ * for a 1-5 rating and an optional comment. Ratings are stored against the
+ * ticket and the staff member who handled it, and low scores are flagged to
+ * the supervisors channel.
+ *
+ * Button and modal IDs:
+ * - survey_rate_<ticketRowId>_<rating>: the rating buttons
+ * - survey_comment_<ticketRowId>: opens the comment form
+ * - survey_submit_<ticketRowId>: the comment form
+ */
+class TicketSurvey {
+  /**
+   * Get the survey settings from config.tickets.survey
+   * @returns {Object} { enabled, lowScore, supervisorChannel }
+   */
+  getSettings() {
+    const survey = config.tickets?.survey || {};
+
+    return {
+      enabled: survey.enabled !== false,
+      lowScore: survey.lowScore !== undefined ? survey.lowScore : 2, // ratings at or below are flagged
+      supervisorChannel: survey.supervisorChannel || null, // channel ID or name
+    };
+  }
+
+  /**
+   * DM the creator of a closed ticket the survey. Each ticket is only
+   * surveyed once, even if it is reopened and closed again.
+   * @param {Client} client - Discord client
+   * @param {Guild} guild - The guild
+   * @param {Object} ticket - The closed ticket
+   * @returns {Promise<boolean>} Whether the survey was sent
+   */
+  async sendSurvey(client, guild, ticket) {
+    if (!this.getSettings().enabled || !db.isConnected || !ticket.rowId || ticket.surveySentAt) return false;
+
+    // Nobody to rate if the creator closed the ticket before staff got involved
+    if (!ticket.claimedBy && !ticket.firstResponseAt) return false;
+
+    const user = await client.users.fetch(ticket.userId).catch(() => null);
+    if (!user || user.bot) return false;
+
+    const embed = new EmbedBuilder()
+      .setColor(config.embedColor || '#00AAFF')
+      .setTitle('How did we do?')
+      .setDescription(
+        `Your ticket #${String(ticket.id).padStart(4, '0')} in **${guild.name}** has been closed.\n` +
+        'Please rate the support you received, from 1 (poor) to 5 (excellent).',
+      )
+      .setFooter({ text: config.footerText })
+      .setTimestamp();
+
+    const row = new ActionRowBuilder().addComponents(
+      RATINGS.map((rating) => new ButtonBuilder()
+        .setCustomId(`survey_rate_${ticket.rowId}_${rating}`)
+        .setLabel('⭐'.repeat(rating))
+        .setStyle(rating <= this.getSettings().lowScore ? ButtonStyle.Secondary : ButtonStyle.Primary)),
+    );
+
+    try {
+      await user.send({ embeds: [embed], components: [row] });
+    } catch (error) {
+      logger.warn(`Could not DM the survey for ticket #${ticket.id} to ${user.tag} (${user.id}): ${error.message}`);
+      return false;
+    }
+
+    ticket.surveySentAt = new Date();
+    await db.query('UPDATE tickets SET survey_sent_at = ? WHERE id = ?', [toSqlDateTime(ticket.surveySentAt), ticket.rowId]);
+    return true;
+  }
+
+  /**
+   * Handle a survey_ button
+   * @param {ButtonInteraction} interaction - The interaction
+   * @returns {Promise<void>}
+   */
+  async handleButton(interaction) {
+    const [, action, rowId, rating] = interaction.customId.split('_');
+
+    try {
+      if (action === 'rate') {
+        await this.rate(interaction, Number(rowId), Number(rating));
+      } else if (action === 'comment') {
+        await this.openCommentForm(interaction, Number(rowId));
+      }
+    } catch (error) {
+      logger.error(`Error handling survey button ${interaction.customId}: ${error.message}`);
+      await this.replyError(interaction, error);
+    }
+  }
+
+  /**
+   * Handle a survey_ modal
+   * @param {ModalSubmitInteraction} interaction - The interaction
+   * @returns {Promise<void>}
+   */
+  async handleModal(interaction) {
+    const [, action, rowId] = interaction.customId.split('_');
+
+    try {
+      if (action === 'submit') {
+        await this.addComment(interaction, Number(rowId));
+      }
+    } catch (error) {
+      logger.error(`Error handling survey modal ${interaction.customId}: ${error.message}`);
+      await this.replyError(interaction, error);
+    }
+  }
+
+  /**
+   * Store a rating and offer the comment form
+   * @param {ButtonInteraction} interaction - The interaction
+   * @param {number} rowId - The ticket's row ID
+   * @param {number} rating - The rating, 1-5
+   */
+  async rate(interaction, rowId, rating) {
+    const ticket = await this.getTicket(rowId);
+
+    if (!ticket || ticket.user_id !== interaction.user.id || !RATINGS.includes(rating)) {
+      return interaction.reply({ content: '❌ This survey is no longer available.', ephemeral: true });
+    }
+
+    const result = await db.query(
+      `INSERT INTO ticket_ratings (ticket_id, guild_id, user_id, staff_id, rating, created_at) VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT(ticket_id) DO NOTHING`,
+      [rowId, ticket.guild_id, ticket.user_id, ticket.claimed_by, rating, toSqlDateTime()],
+    );
+
+    if (result.changes === 0) {
+      return interaction.reply({ content: 'You have already rated this ticket. Thank you!', ephemeral: true });
+    }
+
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`survey_comment_${rowId}`)
+        .setLabel('Add a Comment')
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji('💬'),
+    );
+
+    await interaction.update({ embeds: [this.buildThanksEmbed(ticket, rating)], components: [row] });
+
+    if (rating <= this.getSettings().lowScore) {
+      await this.flagLowScore(interaction.client, ticket, rating, null);
+    }
+  }
+
+  /**
+   * Show the comment form
+   * @param {ButtonInteraction} interaction - The interaction
+   * @param {number} rowId - The ticket's row ID
+   */
+  async openCommentForm(interaction, rowId) {
+    const rating = await this.getRating(rowId);
+
+    if (!rating || rating.user_id !== interaction.user.id) {
+      return interaction.reply({ content: '❌ This survey is no longer available.', ephemeral: true });
+    }
+
+    const modal = new ModalBuilder()
+      .setCustomId(`survey_submit_${rowId}`)
+      .setTitle('Tell us more')
+      .addComponents(new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('comment')
+          .setLabel('What went well, or what could be better?')
+          .setStyle(TextInputStyle.Paragraph)
+          .setRequired(true)
+          .setMaxLength(1000)
+          .setValue(rating.comment || ''),
+      ));
+
+    await interaction.showModal(modal);
+  }
+
+  /**
+   * Store the comment from the comment form
+   * @param {ModalSubmitInteraction} interaction - The interaction
+   * @param {number} rowId - The ticket's row ID
+   */
+  async addComment(interaction, rowId) {
+    const rating = await this.getRating(rowId);
+
+    if (!rating || rating.user_id !== interaction.user.id) {
+      return interaction.reply({ content: '❌ This survey is no longer available.', ephemeral: true });
+    }
+
+    const comment = interaction.fields.getTextInputValue('comment').trim();
+    await db.query('UPDATE ticket_ratings SET comment = ?, updated_at = ? WHERE ticket_id = ?', [comment, toSqlDateTime(), rowId]);
+
+    const ticket = await this.getTicket(rowId);
+    const embed = this.buildThanksEmbed(ticket, rating.rating)
+      .addFields({ name: 'Your Comment', value: comment, inline: false });
+
+    await interaction.update({ embeds: [embed], components: [] });
+
+    if (rating.rating <= this.getSettings().lowScore) {
+      await this.flagLowScore(interaction.client, ticket, rating.rating, comment, rating);
+    }
+  }
+
+  /**
+   * Post a low rating to the supervisors channel, or add the comment to the
+   * message posted earlier
+   * @param {Client} client - Discord client
+   * @param {Object} ticket - The ticket row
+   * @param {number} rating - The rating
+   * @param {string|null} comment - The comment
+   * @param {Object} [existing] - The rating row, if the rating was flagged before
+   */
+  async flagLowScore(client, ticket, rating, comment, existing = null) {
+    const { supervisorChannel } = this.getSettings();
+    const guild = client.guilds.cache.get(ticket.guild_id);
+    if (!supervisorChannel || !guild) return;
+
+    const embed = new EmbedBuilder()
+      .setColor('#FF0000')
+      .setTitle(`⚠️ Low Ticket Rating: ${'⭐'.repeat(rating)}`)
+      .addFields(
+        { name: 'Ticket', value: `#${String(ticket.ticket_number).padStart(4, '0')}`, inline: true },
+        { name: 'User', value: `<@${ticket.user_id}>`, inline: true },
+        { name: 'Handled By', value: ticket.claimed_by ? `<@${ticket.claimed_by}>` : 'Nobody', inline: true },
+        { name: 'Category', value: ticket.category || 'general', inline: true },
+        { name: 'Comment', value: comment || '*No comment yet*', inline: false },
+      )
+      .setFooter({ text: config.footerText })
+      .setTimestamp();
+
+    try {
+      if (existing && existing.flag_message_id) {
+        const channel = await guild.channels.fetch(existing.flag_channel_id).catch(() => null);
+        const message = channel ? await channel.messages.fetch(existing.flag_message_id).catch(() => null) : null;
+
+        if (message) {
+          await message.edit({ embeds: [embed] });
+          return;
+        }
+      }
+
+      const channel = guild.channels.cache.find((c) => c.id === supervisorChannel || c.name === supervisorChannel);
+      if (!channel) {
+        logger.warn(`Supervisor channel ${supervisorChannel} not found in ${guild.name}`);
+        return;
+      }
+
+      const message = await channel.send({ embeds: [embed] });
+      await db.query(
+        'UPDATE ticket_ratings SET flag_channel_id = ?, flag_message_id = ? WHERE ticket_id = ?',
+        [channel.id, message.id, ticket.id],
+      );
+    } catch (error) {
+      logger.error(`Failed to flag low rating for ticket #${ticket.ticket_number}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the embed that replaces the survey once it is answered
+   * @param {Object} ticket - The ticket row
+   * @param {number} rating - The rating
+   * @returns {EmbedBuilder} The embed
+   */
+  buildThanksEmbed(ticket, rating) {
+    return new EmbedBuilder()
+      .setColor('#00FF00')
+      .setTitle('Thank you for your feedback!')
+      .setDescription(`You rated ticket #${String(ticket.ticket_number).padStart(4, '0')} ${'⭐'.repeat(rating)} (${rating}/5).`)
+      .setFooter({ text: config.footerText })
+      .setTimestamp();
+  }
+
+  /**
+   * Get a ticket row
+   * @param {number} rowId - The ticket's row ID
+   * @returns {Promise<Object|null>} The row
+   */
+  async getTicket(rowId) {
+    if (!db.isConnected) return null;
+
+    const rows = await db.query('SELECT * FROM tickets WHERE id = ?', [rowId]);
+    return rows[0] || null;
+  }
+
+  /**
+   * Get the rating of a ticket
+   * @param {number} rowId - The ticket's row ID
+   * @returns {Promise<Object|null>} The rating row
+   */
+  async getRating(rowId) {
+    if (!db.isConnected) return null;
+
+    const rows = await db.query('SELECT * FROM ticket_ratings WHERE ticket_id = ?', [rowId]);
+    return rows[0] || null;
+  }
+
+  /**
+   * Tell the user something went wrong, whether or not the interaction was answered
+   * @param {Interaction} interaction - The interaction
+   * @param {Error} error - The error
+   * @returns {Promise<void>}
+   */
+  async replyError(interaction, error) {
+    const content = `❌ An error occurred: ${error.message}`;
+
+    if (interaction.deferred || interaction.replied) {
+      await interaction.editReply({ content }).catch(() => {});
+    } else {
+      await interaction.reply({ content, ephemeral: true }).catch(() => {});
+    }
+  }
+}
+
+module.exports = new TicketSurvey();
@@ -19,11 +19,32 @@ const {
   ModalBuilder,
   TextInputBuilder,
   TextInputStyle,
-  StringSelectMenuBuilder
+  StringSelectMenuBuilder,
+  OverwriteType
 } = require('discord.js');
+const fs = require('fs/promises');
+const path = require('path');
 const config = require('../../config.json');
 const logger = require('../utils/logger');
 const db = require('../utils/database');
+const scheduler = require('../utils/scheduler');
+const eventBus = require('../utils/eventBus');
+const guildSettings = require('./guildSettings');
+const ticketSla = require('./ticketSla');
+const ticketSurvey = require('./ticketSurvey');
+const { toSqlDateTime, formatDuration, parseSqlDate } = require('../utils/timeUtils');
+const { fetchAllMessages, renderTranscript } = require('../utils/transcript');
+
+// Where HTML transcripts are kept, one folder per guild
+const TRANSCRIPT_DIR = path.join(__dirname, '../../data/transcripts');
+
+// Ticket priorities, lowest first
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Channel name prefixes marking a ticket's priority, medium has none
+const PRIORITY_PREFIXES = { low: '🟢', medium: '', high: '🟠', urgent: '🔴' };
+
+const HOUR = 60 * 60 * 1000;
 
 /**
  * Ticket system module for handling support tickets
@@ -31,9 +52,12 @@ const db = require('../utils/database');
 module.exports = {
   name: 'tickets',
   
-  // Cache to store active tickets per user
+  // Open tickets by channel ID, rebuilt from the database on startup
   activeTickets: new Collection(),
   
+  // Closed tickets whose channel is archived until it is deleted, by channel ID
+  archivedTickets: new Collection(),
+  
   /**
    * Initialize the ticket system module
    * @param {Client} client - The Discord.js client
@@ -41,6 +65,56 @@ module.exports = {
   init(client) {
     logger.info('Ticket system module initialized');
     this.client = client;
+    ticketSla.init(client, this);
+    
+    // Restore open and archived tickets from the database
+    this.loadTickets().catch(error => {
+      logger.error(`Error restoring tickets: ${error.message}`);
+    });
+    
+    // Keep a log of the messages sent in ticket channels
+    client.on('messageCreate', async (message) => {
+      const ticket = this.activeTickets.get(message.channel.id);
+      if (!ticket) return;
+      
+      try {
+        await this.recordTicketMessage(message);
+        await ticketSla.recordResponse(ticket, message);
+        
+        // Any activity stops a pending automatic close
+        if (!message.author.bot && ticket.autoCloseAt) {
+          await this.cancelAutoClose(ticket);
+        }
+      } catch (error) {
+        logger.error(`Failed to record ticket message: ${error.message}`);
+      }
+    });
+    
+    // Keep earlier versions of edited messages for transcripts
+    client.on('messageUpdate', async (oldMessage, newMessage) => {
+      if (!this.activeTickets.has(newMessage.channel.id)) return;
+      
+      try {
+        await this.recordTicketMessageEdit(oldMessage, newMessage);
+      } catch (error) {
+        logger.error(`Failed to record ticket message edit: ${error.message}`);
+      }
+    });
+    
+    // Close tickets whose channel was deleted
+    client.on('channelDelete', async (channel) => {
+      const ticket = this.activeTickets.get(channel.id) || this.archivedTickets.get(channel.id);
+      if (!ticket) return;
+      
+      try {
+        if (ticket.status === 'open') {
+          await this.markTicketClosed(ticket, null, 'Ticket channel was deleted');
+        }
+        await this.markTicketDeleted(ticket, null);
+      } catch (error) {
+        logger.error(`Failed to close ticket for deleted channel: ${error.message}`);
+      }
+    });
     
     // Handle button interactions for tickets
     client.on('interactionCreate', async (interaction) => {
@@ -123,8 +197,8 @@ module.exports = {
       }
     });
 
-    // Auto-close inactive tickets
-    setInterval(() => this.checkInactiveTickets(), 1000 * 60 * 60); // Check every hour
+    // Warn about inactive tickets, they are closed if nobody replies in time
+    setInterval(() => this.checkInactiveTickets(), HOUR); // Check every hour
   },
 
   /**
@@ -147,55 +221,112 @@ module.exports = {
   },
 
   /**
-   * Check for inactive tickets and auto-close them
+   * Warn about inactive tickets and schedule them to be closed. The close is
+   * stored on the ticket so it survives restarts.
    */
   async checkInactiveTickets() {
-    try {
-      const guild = this.client.guilds.cache.first();
-      const ticketCategory = guild.channels.cache.find(
-        channel => channel.name === config.ticketSystem.categoryName && channel.type === ChannelType.GuildCategory
-      );
+    for (const ticket of this.activeTickets.values()) {
+      if (ticket.autoCloseAt) continue;
 
-      if (!ticketCategory) return;
-
-      const now = Date.now();
-      const inactiveThreshold = 1000 * 60 * 60 * 24; // 24 hours
-
-      for (const channel of ticketCategory.children.cache.values()) {
-        const lastMessage = (await channel.messages.fetch({ limit: 1 })).first();
-        if (!lastMessage) continue;
-
-        const timeSinceLastMessage = now - lastMessage.createdTimestamp;
-        if (timeSinceLastMessage > inactiveThreshold) {
-          const warningEmbed = new EmbedBuilder()
-            .setColor('#FFA500')
-            .setTitle('⚠️ Inactive Ticket Warning')
-            .setDescription('This ticket has been inactive for 24 hours and will be automatically closed in 1 hour if there is no activity.')
-            .setTimestamp();
-
-          await channel.send({ embeds: [warningEmbed] });
-
-          // Give 1 hour grace period before closing
-          setTimeout(async () => {
-            const newLastMessage = (await channel.messages.fetch({ limit: 1 })).first();
-            if (newLastMessage.id === lastMessage.id) {
-              // No new activity, close the ticket
-              const closeInteraction = { 
-                channel,
-                guild,
-                user: this.client.user,
-                deferReply: async () => {},
-                editReply: async (msg) => channel.send(msg)
-              };
-              await this.closeTicket(closeInteraction, true);
-            }
-          }, 1000 * 60 * 60);
+      const { inactivityTimeout, inactivityGrace } = this.getInactivitySettings(ticket.guildId);
+      if (inactivityTimeout <= 0) continue;
+
+      try {
+        const channel = await this.client.channels.fetch(ticket.channelId).catch(() => null);
+        if (!channel) continue;
+
+        // Bot messages such as SLA pings don't count as activity
+        const messages = await channel.messages.fetch({ limit: 20 });
+        const lastMessage = messages.find(message => !message.author.bot);
+        const lastActivity = lastMessage ? lastMessage.createdTimestamp : ticket.createdAt.getTime();
+
+        if (Date.now() - lastActivity <= inactivityTimeout) continue;
+
+        ticket.autoCloseAt = new Date(Date.now() + inactivityGrace);
+
+        if (db.isConnected && ticket.rowId) {
+          await db.query('UPDATE tickets SET auto_close_at = ? WHERE id = ?', [toSqlDateTime(ticket.autoCloseAt), ticket.rowId]);
         }
+
+        const warningEmbed = new EmbedBuilder()
+          .setColor('#FFA500')
+          .setTitle('⚠️ Inactive Ticket Warning')
+          .setDescription(`This ticket has been inactive for ${formatDuration(inactivityTimeout)} and will be automatically closed <t:${Math.floor(ticket.autoCloseAt.getTime() / 1000)}:R> if there is no activity.`)
+          .setTimestamp();
+
+        await channel.send({ embeds: [warningEmbed] });
+        await this.scheduleAutoClose(ticket);
+      } catch (error) {
+        logger.error(`Error checking inactive ticket #${ticket.id}: ${error.message}`);
       }
-    } catch (error) {
-      logger.error(`Error checking inactive tickets: ${error.message}`);
     }
   },
+
+  /**
+   * Schedule a warned ticket to be closed at the end of its grace period
+   * @param {Object} ticket - The ticket
+   */
+  async scheduleAutoClose(ticket) {
+    await scheduler.scheduleAt(
+      this.getAutoCloseJobId(ticket.channelId),
+      `Auto-close ticket #${ticket.id}`,
+      ticket.autoCloseAt,
+      () => this.autoCloseTicket(ticket.channelId)
+    );
+  },
+
+  /**
+   * Stop a pending automatic close
+   * @param {Object} ticket - The ticket
+   */
+  async cancelAutoClose(ticket) {
+    ticket.autoCloseAt = null;
+    await scheduler.cancel(this.getAutoCloseJobId(ticket.channelId));
+
+    if (db.isConnected && ticket.rowId) {
+      await db.query('UPDATE tickets SET auto_close_at = NULL WHERE id = ?', [ticket.rowId]);
+    }
+  },
+
+  /**
+   * Close a ticket that stayed inactive through its grace period
+   * @param {string} channelId - Ticket channel ID
+   */
+  async autoCloseTicket(channelId) {
+    const ticket = this.activeTickets.get(channelId);
+    if (!ticket || !ticket.autoCloseAt) return;
+
+    const channel = await this.client.channels.fetch(channelId).catch(() => null);
+    if (!channel) return;
+
+    const closeInteraction = {
+      channel,
+      guild: channel.guild,
+      user: this.client.user,
+      deferReply: async () => {},
+      editReply: async (msg) => channel.send(msg)
+    };
+    await this.closeTicket(closeInteraction, true);
+  },
+
+  /**
+   * Get a guild's inactivity settings
+   * @param {string} guildId - Guild ID
+   * @returns {Object} { inactivityTimeout, inactivityGrace } in milliseconds, a timeout of 0 disables auto-close
+   */
+  getInactivitySettings(guildId) {
+    const { inactivityTimeout, inactivityGrace } = guildSettings.get(guildId, 'tickets');
+    return { inactivityTimeout, inactivityGrace };
+  },
+
+  /**
+   * Get the scheduler job ID for automatically closing a ticket
+   * @param {string} channelId - Ticket channel ID
+   * @returns {string} The job ID
+   */
+  getAutoCloseJobId(channelId) {
+    return `ticket_autoclose_${channelId}`;
+  },
   
   /**
    * Create ticket message in channel
@@ -217,7 +348,7 @@ module.exports = {
 
       // Get guild and support role
       const guild = channel.guild;
-      const supportRoleId = config.tickets?.supportRoleId;
+      const { supportRoleId } = guildSettings.get(guild.id, 'tickets');
       const supportRole = supportRoleId ? guild.roles.cache.get(supportRoleId) : null;
 
       // Create ticket embed with enhanced design
@@ -291,9 +422,9 @@ module.exports = {
       const user = interaction.user;
 
       // Check if user has an active ticket
-      const existingTicket = this.activeTickets.get(user.id);
+      const existingTicket = this.getOpenTickets(guild.id, user.id)[0];
       if (existingTicket) {
-        const channel = guild.channels.cache.get(existingTicket);
+        const channel = guild.channels.cache.get(existingTicket.channelId);
         if (channel) {
           return await interaction.editReply({
             content: `You already have an active ticket: ${channel}. Please use that ticket or close it before creating a new one.`,
@@ -314,31 +445,38 @@ module.exports = {
         });
       }
 
-      // Generate unique ticket ID
-      const ticketId = Date.now().toString(36).toUpperCase();
+      // Reserve the next ticket number
+      const ticket = await this.createTicketRecord(guild, user);
+      const ticketId = this.formatTicketId(ticket.id);
       
       // Create ticket channel
-      const ticketChannel = await guild.channels.create({
-        name: `ticket-${ticketId}`,
-        type: ChannelType.GuildText,
-        parent: ticketCategory.id,
-        topic: `Support ticket for ${user.tag} | Created: ${new Date().toISOString()}`,
-        permissionOverwrites: [
-          {
-            id: guild.id,
-            deny: [PermissionFlagsBits.ViewChannel]
-          },
-          {
-            id: user.id,
-            allow: [
-              PermissionFlagsBits.ViewChannel,
-              PermissionFlagsBits.SendMessages,
-              PermissionFlagsBits.ReadMessageHistory,
-              PermissionFlagsBits.AttachFiles
-            ]
-          }
-        ]
-      });
+      let ticketChannel;
+      try {
+        ticketChannel = await guild.channels.create({
+          name: `ticket-${ticketId}`,
+          type: ChannelType.GuildText,
+          parent: ticketCategory.id,
+          topic: `Support ticket for ${user.tag} | Created: ${new Date().toISOString()}`,
+          permissionOverwrites: [
+            {
+              id: guild.id,
+              deny: [PermissionFlagsBits.ViewChannel]
+            },
+            {
+              id: user.id,
+              allow: [
+                PermissionFlagsBits.ViewChannel,
+                PermissionFlagsBits.SendMessages,
+                PermissionFlagsBits.ReadMessageHistory,
+                PermissionFlagsBits.AttachFiles
+              ]
+            }
+          ]
+        });
+      } catch (error) {
+        await this.discardTicketRecord(ticket);
+        throw error;
+      }
 
       // Add support role permissions
       for (const roleName of config.ticketSystem.supportRoles) {
@@ -355,7 +493,7 @@ module.exports = {
       }
 
       // Store active ticket
-      this.activeTickets.set(user.id, ticketChannel.id);
+      await this.setTicketChannel(ticket, ticketChannel.id);
 
       // Create ticket embed
       const ticketEmbed = new EmbedBuilder()
@@ -453,6 +591,15 @@ module.exports = {
         });
       }
 
+      const ticket = await this.getTicketByChannel(interaction.channel.id);
+      if (ticket && ticket.claimedBy) {
+        return await interaction.editReply({
+          content: ticket.claimedBy === interaction.user.id
+            ? 'You have already claimed this ticket.'
+            : `This ticket has already been claimed by <@${ticket.claimedBy}>.`
+        });
+      }
+
       const claimEmbed = new EmbedBuilder()
         .setColor('#00FF00')
         .setTitle('Ticket Claimed')
@@ -461,6 +608,10 @@ module.exports = {
 
       await interaction.editReply({ embeds: [claimEmbed] });
 
+      if (ticket) {
+        await this.setTicketClaim(ticket, interaction.user.id);
+      }
+
       // Update channel topic
       await interaction.channel.setTopic(
         `${interaction.channel.topic} | Claimed by: ${interaction.user.tag}`
@@ -469,7 +620,7 @@ module.exports = {
       // Log claim action
       await this.logTicketAction(interaction.guild, {
         action: 'Ticket Claimed',
-        ticketId: interaction.channel.name.split('-')[1],
+        ticketId: ticket ? this.formatTicketId(ticket.id) : interaction.channel.name.split('-')[1],
         user: interaction.user,
         channel: interaction.channel
       });
@@ -484,12 +635,19 @@ module.exports = {
    * Close a support ticket
    * @param {ButtonInteraction} interaction - The button interaction
    * @param {boolean} [autoClose=false] - Whether this is an automatic closure
+   * @param {string} [reason=null] - Why the ticket was closed
    */
-  async closeTicket(interaction, autoClose = false) {
+  async closeTicket(interaction, autoClose = false, reason = null) {
     try {
-      if (!autoClose) await interaction.deferReply();
+      if (!autoClose && !interaction.deferred) await interaction.deferReply();
 
       const channel = interaction.channel;
+      const ticket = await this.getTicketByChannel(channel.id);
+
+      if (ticket && ticket.status !== 'open') {
+        if (!autoClose) await interaction.editReply({ content: 'This ticket is already closed.' });
+        return;
+      }
       
       // Create confirmation buttons
       const row = new ActionRowBuilder()
@@ -510,34 +668,31 @@ module.exports = {
       await channel.permissionOverwrites.edit(interaction.guild.roles.everyone, {
         SendMessages: false
       });
+      await this.setMemberAccess(channel, false);
 
-      // Get ticket creator
-      const ticketId = channel.name.split('-')[1];
-      const ticketCreator = Array.from(this.activeTickets.entries())
-        .find(([_, channelId]) => channelId === channel.id)?.[0];
+      // Mark the ticket as closed
+      const ticketId = ticket ? this.formatTicketId(ticket.id) : channel.name.split('-')[1];
+      const closeReason = reason || (autoClose ? 'Closed automatically due to inactivity' : null);
 
-      if (ticketCreator) {
-        this.activeTickets.delete(ticketCreator);
+      if (ticket) {
+        await this.markTicketClosed(ticket, autoClose ? this.client.user.id : interaction.user.id, closeReason);
       }
 
-      // Create transcript
-      const messages = await channel.messages.fetch();
-      const transcript = messages.reverse().map(m => {
-        return `[${m.createdAt.toISOString()}] ${m.author.tag}: ${m.content}`;
-      }).join('\n');
-
-      // Save transcript (you would implement this based on your storage solution)
-      // await this.saveTranscript(ticketId, transcript);
+      const reopenWindow = this.getReopenWindow(interaction.guild.id);
 
       const closedEmbed = new EmbedBuilder()
         .setColor('#FF0000')
         .setTitle('Ticket Closed')
         .setDescription([
           `Ticket closed by ${autoClose ? 'System (Inactivity)' : interaction.user}`,
+          closeReason ? `**Reason:** ${closeReason}` : null,
           "",
           "This ticket is now closed. The transcript will be saved for reference.",
-          "You can delete this ticket or reopen it using the buttons below."
-        ].join('\n'))
+          "You can delete this ticket or reopen it using the buttons below.",
+          ticket && reopenWindow > 0
+            ? `It can be reopened until <t:${Math.floor((ticket.closedAt.getTime() + reopenWindow) / 1000)}:f>, after which it is deleted.`
+            : null
+        ].filter(line => line !== null).join('\n'))
         .setTimestamp();
 
       const response = { embeds: [closedEmbed], components: [row] };
@@ -547,6 +702,18 @@ module.exports = {
         await interaction.editReply(response);
       }
 
+      // Save the transcript
+      if (ticket) {
+        await this.saveTicketTranscript(channel, ticket, { dmCreator: config.tickets?.transcriptDm === true })
+          .catch(error => logger.error(`Error saving transcript for ticket #${ticketId}: ${error.message}`));
+
+        await this.archiveTicket(channel, ticket);
+        
+        // Ask the creator how it went
+        await ticketSurvey.sendSurvey(this.client, interaction.guild, ticket)
+          .catch(error => logger.error(`Error sending survey for ticket #${ticketId}: ${error.message}`));
+      }
+
       // Log closure
       await this.logTicketAction(interaction.guild, {
         action: 'Ticket Closed',
@@ -562,6 +729,364 @@ module.exports = {
     }
   },
 
+  /**
+   * Reopen a closed ticket within the reopen window
+   * @param {ButtonInteraction} interaction - The button interaction
+   */
+  async reopenTicket(interaction) {
+    try {
+      await interaction.deferReply();
+
+      const channel = interaction.channel;
+      const ticket = await this.getTicketByChannel(channel.id);
+
+      if (!ticket || ticket.status !== 'closed') {
+        return await interaction.editReply({ content: 'This ticket is not closed.' });
+      }
+
+      const member = await interaction.guild.members.fetch(interaction.user.id);
+      if (ticket.userId !== interaction.user.id && !this.isSupportStaff(member)) {
+        return await interaction.editReply({ content: 'Only the ticket creator or support staff can reopen this ticket.' });
+      }
+
+      const settings = guildSettings.get(interaction.guild.id, 'tickets');
+      const reopenWindow = settings.reopenWindow;
+      if (reopenWindow > 0 && ticket.closedAt && ticket.closedAt.getTime() + reopenWindow < Date.now()) {
+        return await interaction.editReply({ content: 'This ticket was closed too long ago to be reopened. Please create a new ticket.' });
+      }
+
+      await scheduler.cancel(this.getDeleteJobId(channel.id));
+
+      // Move the channel back out of the archive and give everyone their access back
+      if (settings.archiveCategoryId && settings.categoryId) {
+        await channel.setParent(settings.categoryId, { lockPermissions: false });
+      }
+      await channel.permissionOverwrites.edit(interaction.guild.roles.everyone, {
+        SendMessages: null
+      });
+      await this.setMemberAccess(channel, true);
+
+      const previousReason = ticket.closeReason;
+      ticket.status = 'open';
+      ticket.closedAt = null;
+      ticket.closedBy = null;
+      ticket.closeReason = null;
+
+      if (db.isConnected && ticket.rowId) {
+        await db.query(
+          'UPDATE tickets SET status = ?, closed_at = NULL, closed_by = NULL, close_reason = NULL, updated_at = ? WHERE id = ?',
+          ['open', toSqlDateTime(), ticket.rowId]
+        );
+      }
+
+      await this.recordTicketEvent(ticket, 'reopened', previousReason, null, interaction.user.id);
+      this.archivedTickets.delete(channel.id);
+      this.activeTickets.set(channel.id, ticket);
+      await ticketSla.schedule(ticket);
+
+      const reopenedEmbed = new EmbedBuilder()
+        .setColor('#00FF00')
+        .setTitle('Ticket Reopened')
+        .setDescription(`This ticket has been reopened by ${interaction.user}.`)
+        .setTimestamp();
+
+      const row = new ActionRowBuilder()
+        .addComponents(
+          new ButtonBuilder()
+            .setCustomId('close_ticket')
+            .setLabel(config.tickets?.closeButtonText || 'Close Ticket')
+            .setStyle(ButtonStyle.Danger)
+            .setEmoji('🔒')
+        );
+
+      await interaction.editReply({ embeds: [reopenedEmbed], components: [row] });
+
+      await this.logTicketAction(interaction.guild, {
+        action: 'Ticket Reopened',
+        ticketId: this.formatTicketId(ticket.id),
+        user: interaction.user,
+        channel
+      });
+
+    } catch (error) {
+      logger.error(`Error reopening ticket: ${error.message}`);
+      await this.handleError(interaction, error);
+    }
+  },
+
+  /**
+   * Delete a ticket channel, taking a transcript first if there isn't one
+   * @param {ButtonInteraction} interaction - The button interaction
+   */
+  async deleteTicket(interaction) {
+    try {
+      await interaction.deferReply();
+
+      const member = await interaction.guild.members.fetch(interaction.user.id);
+      if (!this.isSupportStaff(member)) {
+        return await interaction.editReply({ content: 'Only support staff can delete tickets.' });
+      }
+
+      const channel = interaction.channel;
+      const ticket = await this.getTicketByChannel(channel.id);
+
+      if (ticket && ticket.status === 'open') {
+        return await interaction.editReply({ content: 'Please close this ticket before deleting it.' });
+      }
+
+      if (ticket && !await this.getTranscriptFile(ticket)) {
+        await this.saveTicketTranscript(channel, ticket);
+      }
+
+      await interaction.editReply({ content: '🗑️ This ticket will be deleted in 5 seconds.' });
+
+      await this.logTicketAction(interaction.guild, {
+        action: 'Ticket Deleted',
+        ticketId: ticket ? this.formatTicketId(ticket.id) : channel.name.split('-').pop(),
+        user: interaction.user,
+        channel
+      });
+
+      if (ticket) {
+        await this.markTicketDeleted(ticket, interaction.user.id);
+      }
+
+      setTimeout(() => {
+        channel.delete(`Ticket deleted by ${interaction.user.tag}`)
+          .catch(error => logger.error(`Error deleting ticket channel: ${error.message}`));
+      }, 5000);
+
+    } catch (error) {
+      logger.error(`Error deleting ticket: ${error.message}`);
+      await this.handleError(interaction, error);
+    }
+  },
+
+  /**
+   * Move a closed ticket to the archive category and schedule its deletion
+   * once the reopen window has passed
+   * @param {TextChannel} channel - Ticket channel
+   * @param {Object} ticket - The ticket
+   */
+  async archiveTicket(channel, ticket) {
+    const { archiveCategoryId } = guildSettings.get(channel.guild.id, 'tickets');
+
+    if (archiveCategoryId && channel.parentId !== archiveCategoryId) {
+      await channel.setParent(archiveCategoryId, { lockPermissions: false })
+        .catch(error => logger.warn(`Could not move ticket #${ticket.id} to the archive: ${error.message}`));
+    }
+
+    await this.scheduleTicketDeletion(ticket);
+  },
+
+  /**
+   * Schedule an archived ticket to be deleted at the end of its reopen window
+   * @param {Object} ticket - The ticket
+   */
+  async scheduleTicketDeletion(ticket) {
+    const reopenWindow = this.getReopenWindow(ticket.guildId);
+    if (reopenWindow <= 0 || !ticket.closedAt) return;
+
+    await scheduler.scheduleAt(
+      this.getDeleteJobId(ticket.channelId),
+      `Delete ticket #${ticket.id}`,
+      ticket.closedAt.getTime() + reopenWindow,
+      () => this.expireTicket(ticket.channelId)
+    );
+  },
+
+  /**
+   * Delete an archived ticket whose reopen window has passed
+   * @param {string} channelId - Ticket channel ID
+   */
+  async expireTicket(channelId) {
+    const ticket = this.archivedTickets.get(channelId);
+    if (!ticket || ticket.status !== 'closed') return;
+
+    const channel = await this.client.channels.fetch(channelId).catch(() => null);
+
+    if (channel) {
+      if (!await this.getTranscriptFile(ticket)) {
+        await this.saveTicketTranscript(channel, ticket);
+      }
+      await this.markTicketDeleted(ticket, null);
+      await channel.delete('Ticket reopen window expired');
+    } else {
+      await this.markTicketDeleted(ticket, null);
+    }
+
+    logger.info(`Deleted ticket #${ticket.id} after its reopen window expired`);
+  },
+
+  /**
+   * Give a user access to a ticket
+   * @param {TextChannel} channel - Ticket channel
+   * @param {GuildMember} member - The member to add
+   * @param {User} [actor] - Who added them
+   */
+  async addUserToTicket(channel, member, actor = null) {
+    const ticket = this.activeTickets.get(channel.id);
+    if (!ticket) {
+      throw new Error('This ticket is not open.');
+    }
+
+    if (member.id === ticket.userId || channel.permissionOverwrites.cache.has(member.id)) {
+      throw new Error(`${member.user.tag} already has access to this ticket.`);
+    }
+
+    await channel.permissionOverwrites.create(member.id, {
+      ViewChannel: true,
+      SendMessages: true,
+      ReadMessageHistory: true,
+      AttachFiles: true
+    });
+
+    await this.addParticipant(ticket, member.id, actor ? actor.id : null);
+    await this.recordTicketEvent(ticket, 'user_added', null, member.id, actor ? actor.id : null);
+  },
+
+  /**
+   * Take a user's access to a ticket away
+   * @param {TextChannel} channel - Ticket channel
+   * @param {GuildMember} member - The member to remove
+   * @param {User} [actor] - Who removed them
+   */
+  async removeUserFromTicket(channel, member, actor = null) {
+    const ticket = this.activeTickets.get(channel.id);
+    if (!ticket) {
+      throw new Error('This ticket is not open.');
+    }
+
+    if (member.id === ticket.userId) {
+      throw new Error('The ticket creator cannot be removed from their ticket.');
+    }
+
+    if (!channel.permissionOverwrites.cache.has(member.id)) {
+      throw new Error(`${member.user.tag} was not added to this ticket.`);
+    }
+
+    await channel.permissionOverwrites.delete(member.id);
+    await this.removeParticipant(ticket, member.id);
+    await this.recordTicketEvent(ticket, 'user_removed', member.id, null, actor ? actor.id : null);
+  },
+
+  /**
+   * Rename a ticket channel, keeping its priority prefix
+   * @param {TextChannel} channel - Ticket channel
+   * @param {string} name - The new name
+   * @param {User} [actor] - Who renamed it
+   * @returns {Promise<string>} The new channel name
+   */
+  async renameTicket(channel, name, actor = null) {
+    const ticket = await this.getTicketByChannel(channel.id);
+    if (!ticket) {
+      throw new Error('This channel is not a ticket.');
+    }
+
+    const baseName = name.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9_-]/g, '').substring(0, 90);
+    if (!baseName) {
+      throw new Error('The name must contain letters or numbers.');
+    }
+
+    const oldName = channel.name;
+    const newName = this.getChannelName(baseName, ticket.priority);
+    await channel.setName(newName);
+
+    await this.recordTicketEvent(ticket, 'renamed', oldName, newName, actor ? actor.id : null);
+    return newName;
+  },
+
+  /**
+   * Change a ticket's priority, updating the channel name and topic
+   * @param {TextChannel} channel - Ticket channel
+   * @param {string} priority - low, medium, high or urgent
+   * @param {User} [actor] - Who changed it
+   */
+  async setTicketPriority(channel, priority, actor = null) {
+    const ticket = this.activeTickets.get(channel.id);
+    if (!ticket) {
+      throw new Error('This ticket is not open.');
+    }
+
+    if (!PRIORITIES.includes(priority)) {
+      throw new Error(`Unknown priority: ${priority}`);
+    }
+
+    if (ticket.priority === priority) {
+      throw new Error(`This ticket already has ${priority} priority.`);
+    }
+
+    const oldPriority = ticket.priority;
+    ticket.priority = priority;
+
+    if (db.isConnected && ticket.rowId) {
+      await db.query('UPDATE tickets SET priority = ?, updated_at = ? WHERE id = ?', [priority, toSqlDateTime(), ticket.rowId]);
+    }
+
+    await this.recordTicketEvent(ticket, 'priority', oldPriority, priority, actor ? actor.id : null);
+
+    await channel.setName(this.getChannelName(this.stripPriorityPrefix(channel.name), priority));
+    if (channel.topic && /Priority: \w+/.test(channel.topic)) {
+      await channel.setTopic(channel.topic.replace(/Priority: \w+/, `Priority: ${this.formatPriority(priority)}`));
+    }
+  },
+
+  /**
+   * Allow or deny sending messages for every member with their own overwrite
+   * on a ticket channel: the creator and anyone added to the ticket
+   * @param {TextChannel} channel - Ticket channel
+   * @param {boolean} canSend - Whether they can send messages
+   */
+  async setMemberAccess(channel, canSend) {
+    const overwrites = channel.permissionOverwrites.cache.filter(overwrite =>
+      overwrite.type === OverwriteType.Member && overwrite.id !== this.client.user.id
+    );
+
+    for (const overwrite of overwrites.values()) {
+      await channel.permissionOverwrites.edit(overwrite.id, { SendMessages: canSend });
+    }
+  },
+
+  /**
+   * Build a ticket channel name with the priority prefix
+   * @param {string} baseName - The name without prefix, e.g. ticket-0001
+   * @param {string} priority - The priority
+   * @returns {string} The channel name
+   */
+  getChannelName(baseName, priority) {
+    const prefixes = { ...PRIORITY_PREFIXES, ...config.tickets?.priorityPrefixes };
+    return prefixes[priority] ? `${prefixes[priority]}-${baseName}` : baseName;
+  },
+
+  /**
+   * Remove a priority prefix from a channel name
+   * @param {string} name - The channel name
+   * @returns {string} The name without prefix
+   */
+  stripPriorityPrefix(name) {
+    const prefixes = Object.values({ ...PRIORITY_PREFIXES, ...config.tickets?.priorityPrefixes }).filter(Boolean);
+    const prefix = prefixes.find(value => name.startsWith(`${value}-`));
+    return prefix ? name.slice(prefix.length + 1) : name;
+  },
+
+  /**
+   * Get how long a closed ticket can be reopened before it is deleted
+   * @param {string} guildId - Guild ID
+   * @returns {number} The window in milliseconds, 0 keeps closed tickets forever
+   */
+  getReopenWindow(guildId) {
+    return guildSettings.get(guildId, 'tickets').reopenWindow;
+  },
+
+  /**
+   * Get the scheduler job ID for deleting an archived ticket
+   * @param {string} channelId - Ticket channel ID
+   * @returns {string} The job ID
+   */
+  getDeleteJobId(channelId) {
+    return `ticket_delete_${channelId}`;
+  },
+
   /**
    * Log a ticket action to the ticket-logs channel
    * @param {Guild} guild 
@@ -804,19 +1329,20 @@ module.exports = {
       }
 
       // Check if user already has an open ticket
-      const hasOpenTicket = Array.from(this.activeTickets.values()).some(
-        ticket => ticket.userId === user.id && ticket.guildId === guild.id
-      );
+      const hasOpenTicket = this.getOpenTickets(guild.id, user.id).length > 0;
 
-      if (hasOpenTicket && !config.tickets?.allowMultipleTickets) {
+      const settings = guildSettings.get(guild.id, 'tickets');
+      if (hasOpenTicket && !settings.allowMultipleTickets) {
         return interaction.editReply({ 
           content: 'You already have an open ticket. Please use your existing ticket or close it before creating a new one.', 
           ephemeral: true 
         });
       }
 
-      // Create ticket channel
-      const ticketId = this.generateTicketId();
+      // Reserve the next ticket number
+      priority = this.normalizePriority(priority);
+      const ticket = await this.createTicketRecord(guild, user, { subject, description, category, priority, contactInfo });
+      const ticketId = this.formatTicketId(ticket.id);
       
       // Get category details from config or use default
       let categoryDetails = { label: 'General Support', emoji: '❓' };
@@ -828,83 +1354,60 @@ module.exports = {
       }
       
       // Format ticket channel name
-      const ticketChannelName = config.tickets?.channelNameFormat
-        ? config.tickets.channelNameFormat
+      const ticketChannelName = settings.channelNameFormat
+        ? settings.channelNameFormat
             .replace('{id}', ticketId)
             .replace('{username}', user.username.replace(/[^a-z0-9]/gi, '').toLowerCase())
             .replace('{category}', category)
         : `ticket-${ticketId}`;
 
       // Create ticket channel
-      const ticketChannel = await guild.channels.create({
-        name: ticketChannelName,
-        type: ChannelType.GuildText,
-        parent: config.tickets?.categoryId,
-        permissionOverwrites: [
-          {
-            id: guild.id,
-            deny: [PermissionFlagsBits.ViewChannel]
-          },
-          {
-            id: user.id,
-            allow: [
-              PermissionFlagsBits.ViewChannel,
-              PermissionFlagsBits.SendMessages,
-              PermissionFlagsBits.ReadMessageHistory
-            ]
-          },
-          {
-            id: this.client.user.id,
-            allow: [
-              PermissionFlagsBits.ViewChannel,
-              PermissionFlagsBits.SendMessages,
-              PermissionFlagsBits.ReadMessageHistory,
-              PermissionFlagsBits.ManageChannels
-            ]
-          }
-        ]
-      });
+      let ticketChannel;
+      try {
+        ticketChannel = await guild.channels.create({
+          name: this.getChannelName(ticketChannelName, priority),
+          type: ChannelType.GuildText,
+          parent: settings.categoryId,
+          permissionOverwrites: [
+            {
+              id: guild.id,
+              deny: [PermissionFlagsBits.ViewChannel]
+            },
+            {
+              id: user.id,
+              allow: [
+                PermissionFlagsBits.ViewChannel,
+                PermissionFlagsBits.SendMessages,
+                PermissionFlagsBits.ReadMessageHistory
+              ]
+            },
+            {
+              id: this.client.user.id,
+              allow: [
+                PermissionFlagsBits.ViewChannel,
+                PermissionFlagsBits.SendMessages,
+                PermissionFlagsBits.ReadMessageHistory,
+                PermissionFlagsBits.ManageChannels
+              ]
+            }
+          ]
+        });
+      } catch (error) {
+        await this.discardTicketRecord(ticket);
+        throw error;
+      }
 
       // Add support role permissions if configured
-      if (config.tickets?.supportRoleId) {
-        await ticketChannel.permissionOverwrites.create(config.tickets.supportRoleId, {
+      if (settings.supportRoleId) {
+        await ticketChannel.permissionOverwrites.create(settings.supportRoleId, {
           ViewChannel: true,
           SendMessages: true,
           ReadMessageHistory: true
         });
       }
 
-      // Store ticket in database
-      try {
-        await this.client.db.query(
-          'INSERT INTO tickets (ticket_id, guild_id, channel_id, user_id, subject, status, category, priority, contact_info) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
-          [ticketId, guild.id, ticketChannel.id, user.id, subject, 'open', category, priority, contactInfo]
-        );
-      } catch (dbError) {
-        logger.error(`Database error creating ticket: ${dbError.message}`);
-        // If the database has an older schema without the new columns, try with the old schema
-        try {
-          await this.client.db.query(
-            'INSERT INTO tickets (ticket_id, guild_id, channel_id, user_id, subject, status) VALUES (?, ?, ?, ?, ?, ?)',
-            [ticketId, guild.id, ticketChannel.id, user.id, subject, 'open']
-          );
-        } catch (fallbackError) {
-          logger.error(`Fallback database error creating ticket: ${fallbackError.message}`);
-        }
-      }
-
-      // Store ticket in memory
-      this.activeTickets.set(ticketChannel.id, {
-        id: ticketId,
-        channelId: ticketChannel.id,
-        userId: user.id,
-        guildId: guild.id,
-        subject,
-        category,
-        priority,
-        contactInfo,
-        createdAt: new Date()
-      });
+      // Link the ticket to its channel
+      await this.setTicketChannel(ticket, ticketChannel.id);
 
       // Create welcome message in ticket channel
       await this.createTicketMessage(ticketChannel, {
@@ -914,7 +1417,7 @@ module.exports = {
         description,
         category,
         categoryDetails,
-        priority,
+        priority: this.formatPriority(priority),
         contactInfo
       });
 
@@ -939,72 +1442,92 @@ module.exports = {
   },
 
   /**
-   * Save ticket transcript
+   * Save a ticket's full transcript as an HTML file, post it to the
+   * transcript channel and optionally DM it to the ticket creator
    * @param {TextChannel} channel - Ticket channel
-   * @param {Object} ticketData - Ticket data
+   * @param {Object} ticket - The ticket
+   * @param {Object} [options] - { dmCreator, post }, post=false skips the transcript channel
+   * @returns {Promise<string>} The transcript file path
    */
-  async saveTicketTranscript(channel, ticketData) {
-    try {
-      // Get transcript channel
-      const transcriptChannel = this.client.channels.cache.get(config.tickets?.transcriptChannel);
-      if (!transcriptChannel) {
-        logger.error('Transcript channel not found');
-        return;
-      }
+  async saveTicketTranscript(channel, ticket, options = {}) {
+    const ticketId = this.formatTicketId(ticket.id);
+    const creator = await this.client.users.fetch(ticket.userId).catch(() => null);
+    const messages = await fetchAllMessages(channel);
+
+    const html = await renderTranscript(messages, {
+      title: `Ticket #${ticketId}${ticket.subject ? `: ${ticket.subject}` : ''}`,
+      details: [
+        ['Server', channel.guild.name],
+        ['Created by', creator ? `${creator.tag} (${creator.id})` : ticket.userId],
+        ['Category', ticket.category || 'general'],
+        ['Priority', this.formatPriority(ticket.priority)],
+        ['Created', ticket.createdAt.toUTCString()],
+        ['Status', ticket.status === 'open' ? 'Open' : `Closed${ticket.closeReason ? ` (${ticket.closeReason})` : ''}`]
+      ],
+      edits: await this.getMessageEdits(ticket),
+      inlineLimit: config.tickets?.transcriptInlineLimit
+    });
 
-      // Fetch messages from ticket channel
-      const messages = await channel.messages.fetch({ limit: 100 });
-      
-      // Create transcript content
-      let transcript = `# Ticket Transcript: #${ticketData.ticketId}\n`;
-      transcript += `Created by: ${this.client.users.cache.get(ticketData.userId)?.tag || ticketData.userId}\n`;
-      transcript += `Created at: ${ticketData.createdAt}\n`;
-      transcript += `Subject: ${ticketData.subject}\n\n`;
-      transcript += `## Messages\n\n`;
-      
-      // Add messages to transcript (in reverse order to get oldest first)
-      const sortedMessages = Array.from(messages.values()).reverse();
-      for (const message of sortedMessages) {
-        if (message.author.bot && message.embeds.length > 0) continue; // Skip bot embed messages
-        
-        const timestamp = new Date(message.createdTimestamp).toISOString();
-        transcript += `**${message.author.tag}** (${timestamp}):\n`;
-        transcript += `${message.content || '*No text content*'}\n\n`;
-      }
-      
-      // Create transcript embed
-      const transcriptEmbed = new EmbedBuilder()
-        .setTitle(`Ticket Transcript: #${ticketData.ticketId}`)
-        .setDescription(`Ticket created by <@${ticketData.userId}> has been closed.`)
-        .addFields(
-          { name: 'Subject', value: ticketData.subject || 'Not specified', inline: true },
-          { name: 'Category', value: ticketData.category || 'Support', inline: true },
-          { name: 'Created At', value: `<t:${Math.floor(ticketData.createdAt.getTime() / 1000)}:F>`, inline: true }
-        )
-        .setColor('#0099ff')
-        .setTimestamp();
-      
-      // Send transcript to transcript channel
-      await transcriptChannel.send({ 
-        embeds: [transcriptEmbed],
-        files: [{
-          attachment: Buffer.from(transcript, 'utf-8'),
-          name: `ticket-${ticketData.ticketId}.txt`
-        }]
-      });
-      
-      logger.info(`Transcript saved for ticket #${ticketData.ticketId}`);
-    } catch (error) {
-      logger.error(`Error saving ticket transcript: ${error.message}`);
+    // Stored relative to the transcript folder
+    const relativePath = path.join(ticket.guildId, `ticket-${ticketId}.html`);
+    const filePath = path.join(TRANSCRIPT_DIR, relativePath);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, html, 'utf-8');
+
+    ticket.transcriptPath = relativePath;
+    if (db.isConnected && ticket.rowId) {
+      await db.query('UPDATE tickets SET transcript_path = ?, updated_at = ? WHERE id = ?', [relativePath, toSqlDateTime(), ticket.rowId]);
+    }
+
+    const transcriptEmbed = new EmbedBuilder()
+      .setTitle(`Ticket Transcript: #${ticketId}`)
+      .setDescription(`Ticket created by <@${ticket.userId}> has been closed.`)
+      .addFields(
+        { name: 'Subject', value: ticket.subject || 'Not specified', inline: true },
+        { name: 'Category', value: ticket.category || 'Support', inline: true },
+        { name: 'Messages', value: messages.length.toString(), inline: true },
+        { name: 'Created At', value: `<t:${Math.floor(ticket.createdAt.getTime() / 1000)}:F>`, inline: true }
+      )
+      .setColor('#0099ff')
+      .setTimestamp();
+
+    const file = { attachment: filePath, name: `ticket-${ticketId}.html` };
+
+    const { transcriptChannel: transcriptChannelId } = guildSettings.get(channel.guild.id, 'tickets');
+    const transcriptChannel = transcriptChannelId
+      ? await this.client.channels.fetch(transcriptChannelId).catch(() => null)
+      : null;
+
+    if (transcriptChannel && options.post !== false) {
+      await transcriptChannel.send({ embeds: [transcriptEmbed], files: [file] });
     }
+
+    if (options.dmCreator && creator) {
+      await creator.send({
+        content: `Here is the transcript of your ticket #${ticketId} in ${channel.guild.name}.`,
+        files: [file]
+      }).catch(error => logger.warn(`Could not DM transcript to ${creator.tag}: ${error.message}`));
+    }
+
+    logger.info(`Transcript saved for ticket #${ticketId} (${messages.length} messages)`);
+    return filePath;
   },
 
   /**
-   * Generate a unique ticket ID
-   * @returns {string} Ticket ID
+   * Get the saved transcript file of a ticket
+   * @param {Object} ticket - The ticket
+   * @returns {Promise<string|null>} The file path, or null if there is none
    */
-  generateTicketId() {
-    return Math.floor(1000 + Math.random() * 9000).toString();
+  async getTranscriptFile(ticket) {
+    if (!ticket.transcriptPath) return null;
+
+    const filePath = path.join(TRANSCRIPT_DIR, ticket.transcriptPath);
+    try {
+      await fs.access(filePath);
+      return filePath;
+    } catch (error) {
+      return null;
+    }
   },
 
   /**
@@ -1096,29 +1619,29 @@ module.exports = {
       let averageResponseTime = 0;
       let ticketsToday = 0;
       
-      if (this.db && this.db.isConnected) {
+      if (db.isConnected) {
         try {
           // Get total tickets
-          const totalResult = await this.db.query('SELECT COUNT(*) as count FROM tickets');
+          const totalResult = await db.query('SELECT COUNT(*) as count FROM tickets');
           totalTickets = totalResult[0]?.count || activeTickets;
           
           // Get closed tickets
-          const closedResult = await this.db.query('SELECT COUNT(*) as count FROM tickets WHERE status = ?', ['closed']);
+          const closedResult = await db.query('SELECT COUNT(*) as count FROM tickets WHERE status = ?', ['closed']);
           closedTickets = closedResult[0]?.count || 0;
           
           // Get tickets created today
           const today = new Date();
           today.setHours(0, 0, 0, 0);
           
-          const todayResult = await this.db.query(
+          const todayResult = await db.query(
             'SELECT COUNT(*) as count FROM tickets WHERE created_at >= ?', 
-            [today]
+            [toSqlDateTime(today)]
           );
           ticketsToday = todayResult[0]?.count || 0;
           
           // Calculate average response time (if claimed_at data is available)
-          const responseTimeResult = await this.db.query(
-            'SELECT AVG(TIMESTAMPDIFF(MINUTE, created_at, claimed_at)) as avg_time FROM tickets WHERE claimed_at IS NOT NULL'
+          const responseTimeResult = await db.query(
+            'SELECT AVG((julianday(claimed_at) - julianday(created_at)) * 1440) as avg_time FROM tickets WHERE claimed_at IS NOT NULL'
           );
           averageResponseTime = Math.round(responseTimeResult[0]?.avg_time || 0);
         } catch (error) {
@@ -1162,4 +1685,499 @@ module.exports = {
       ticket.category === category
     ).length;
   },
-}; 
\ No newline at end of file
+  /**
+   * Rebuild the open and archived ticket caches from the database. Tickets
+   * whose channel no longer exists are marked deleted, archived tickets get
+   * their deletion scheduled again.
+   */
+  async loadTickets() {
+    this.activeTickets.clear();
+    this.archivedTickets.clear();
+
+    if (!db.isConnected) {
+      logger.warn('Database is not connected, tickets will not be kept across restarts');
+      return;
+    }
+
+    const rows = await db.query('SELECT * FROM tickets WHERE status IN (?, ?) ORDER BY id ASC', ['open', 'closed']);
+    let missing = 0;
+
+    for (const row of rows) {
+      const ticket = this.rowToTicket(row);
+      const guild = this.client.guilds.cache.get(ticket.guildId);
+      if (!guild) continue;
+
+      // 10003: Unknown Channel, anything else may be temporary so the ticket is kept
+      const channel = ticket.channelId
+        ? await guild.channels.fetch(ticket.channelId).catch(error => (error.code === 10003 ? null : undefined))
+        : null;
+
+      if (channel === null) {
+        if (ticket.status === 'open') {
+          await this.markTicketClosed(ticket, null, 'Ticket channel no longer exists');
+        }
+        await this.markTicketDeleted(ticket, null);
+        missing++;
+        continue;
+      }
+
+      if (ticket.status === 'open') {
+        this.activeTickets.set(ticket.channelId, ticket);
+        await ticketSla.schedule(ticket);
+        if (ticket.autoCloseAt) {
+          await this.scheduleAutoClose(ticket);
+        }
+      } else {
+        this.archivedTickets.set(ticket.channelId, ticket);
+        await this.scheduleTicketDeletion(ticket);
+      }
+    }
+
+    logger.info(`Restored ${this.activeTickets.size} open and ${this.archivedTickets.size} archived ticket(s)${missing > 0 ? `, ${missing} without a channel were removed` : ''}`);
+  },
+
+  /**
+   * Create a ticket with the next ticket number for the guild. The channel
+   * is linked afterwards with setTicketChannel, since its name uses the number.
+   * @param {Guild} guild - The guild
+   * @param {User} user - The user opening the ticket
+   * @param {Object} [data] - { subject, description, category, priority, contactInfo }
+   * @returns {Promise<Object>} The ticket
+   */
+  async createTicketRecord(guild, user, data = {}) {
+    const {
+      subject = null,
+      description = null,
+      category = 'general',
+      priority = 'medium',
+      contactInfo = null
+    } = data;
+
+    if (!db.isConnected) {
+      // Without a database, number on from the highest open ticket
+      const numbers = this.activeTickets.filter(ticket => ticket.guildId === guild.id).map(ticket => ticket.id);
+
+      return {
+        rowId: null,
+        id: Math.max(0, ...numbers) + 1,
+        guildId: guild.id,
+        channelId: null,
+        userId: user.id,
+        subject,
+        description,
+        category,
+        priority,
+        contactInfo,
+        status: 'open',
+        claimedBy: null,
+        claimedAt: null,
+        createdAt: new Date()
+      };
+    }
+
+    const result = await db.query(
+      `INSERT INTO tickets (ticket_id, ticket_number, guild_id, channel_id, user_id, subject, description, status, category, priority, contact_info, created_at)
+       SELECT ? || '-' || next_number, next_number, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?
+       FROM (SELECT COALESCE(MAX(ticket_number), 0) + 1 AS next_number FROM tickets WHERE guild_id = ?)`,
+      [guild.id, guild.id, '', user.id, subject, description, 'open', category, priority, contactInfo, toSqlDateTime(), guild.id]
+    );
+
+    const rows = await db.query('SELECT * FROM tickets WHERE id = ?', [result.lastID]);
+    const ticket = this.rowToTicket(rows[0]);
+
+    await this.recordTicketEvent(ticket, 'created', null, subject, user.id);
+    return ticket;
+  },
+
+  /**
+   * Remove a ticket whose channel could not be created
+   * @param {Object} ticket - The ticket
+   */
+  async discardTicketRecord(ticket) {
+    if (!db.isConnected || !ticket.rowId) return;
+
+    await db.query('DELETE FROM ticket_events WHERE ticket_id = ?', [ticket.rowId]);
+    await db.query('DELETE FROM tickets WHERE id = ?', [ticket.rowId]);
+  },
+
+  /**
+   * Link a ticket to its channel and start tracking it
+   * @param {Object} ticket - The ticket
+   * @param {string} channelId - The ticket channel ID
+   */
+  async setTicketChannel(ticket, channelId) {
+    ticket.channelId = channelId;
+
+    if (db.isConnected && ticket.rowId) {
+      await db.query('UPDATE tickets SET channel_id = ?, updated_at = ? WHERE id = ?', [channelId, toSqlDateTime(), ticket.rowId]);
+    }
+
+    this.activeTickets.set(channelId, ticket);
+    await this.addParticipant(ticket, ticket.userId, ticket.userId);
+    await ticketSla.start(ticket);
+
+    eventBus.publish('ticket.created', this.toEventData(ticket));
+  },
+
+  /**
+   * Get the ticket for a channel, open or closed
+   * @param {string} channelId - The channel ID
+   * @returns {Promise<Object|null>} The ticket
+   */
+  async getTicketByChannel(channelId) {
+    const cached = this.activeTickets.get(channelId) || this.archivedTickets.get(channelId);
+    if (cached) return cached;
+
+    if (!db.isConnected) return null;
+
+    const rows = await db.query('SELECT * FROM tickets WHERE channel_id = ? ORDER BY id DESC LIMIT 1', [channelId]);
+    return rows[0] ? this.rowToTicket(rows[0]) : null;
+  },
+
+  /**
+   * Get a ticket by its number
+   * @param {string} guildId - The guild ID
+   * @param {number} number - The ticket number
+   * @returns {Promise<Object|null>} The ticket
+   */
+  async getTicketByNumber(guildId, number) {
+    const matches = ticket => ticket.guildId === guildId && ticket.id === number;
+    const cached = this.activeTickets.find(matches) || this.archivedTickets.find(matches);
+    if (cached) return cached;
+
+    if (!db.isConnected) return null;
+
+    const rows = await db.query('SELECT * FROM tickets WHERE guild_id = ? AND ticket_number = ?', [guildId, number]);
+    return rows[0] ? this.rowToTicket(rows[0]) : null;
+  },
+
+  /**
+   * Check whether a member is support staff: a role from ticketSystem.supportRoles,
+   * the tickets.supportRoleId role or the Manage Channels permission
+   * @param {GuildMember} member - The member
+   * @returns {boolean} Whether the member is support staff
+   */
+  isSupportStaff(member) {
+    if (!member) return false;
+    if (member.permissions.has(PermissionFlagsBits.ManageChannels)) return true;
+    if (config.tickets?.supportRoleId && member.roles.cache.has(config.tickets.supportRoleId)) return true;
+
+    return (config.ticketSystem?.supportRoles || []).some(roleName =>
+      member.roles.cache.some(role => role.name === roleName)
+    );
+  },
+
+  /**
+   * Check whether a channel is an open ticket
+   * @param {Channel} channel - The channel
+   * @returns {boolean} Whether it is a ticket channel
+   */
+  isTicketChannel(channel) {
+    return this.activeTickets.has(channel.id);
+  },
+
+  /**
+   * Get a guild's open tickets, optionally only those of one user
+   * @param {string} guildId - The guild ID
+   * @param {string} [userId] - The ticket creator
+   * @returns {Array<Object>} The open tickets
+   */
+  getOpenTickets(guildId, userId = null) {
+    return Array.from(this.activeTickets.values()).filter(ticket =>
+      ticket.guildId === guildId && (!userId || ticket.userId === userId)
+    );
+  },
+
+  /**
+   * Record who claimed a ticket
+   * @param {Object} ticket - The ticket
+   * @param {string} userId - The staff member
+   * @param {string} [actorId] - Who assigned it, defaults to the staff member claiming it
+   */
+  async setTicketClaim(ticket, userId, actorId = userId) {
+    const previous = ticket.claimedBy;
+    ticket.claimedBy = userId;
+    ticket.claimedAt = new Date();
+
+    if (db.isConnected && ticket.rowId) {
+      await db.query(
+        'UPDATE tickets SET claimed_by = ?, claimed_at = ?, assigned_to = ?, updated_at = ? WHERE id = ?',
+        [userId, toSqlDateTime(ticket.claimedAt), userId, toSqlDateTime(), ticket.rowId]
+      );
+    }
+
+    await this.recordTicketEvent(ticket, 'claimed', previous, userId, actorId);
+    await this.addParticipant(ticket, userId, actorId);
+  },
+
+  /**
+   * Mark a ticket as closed and move it to the archived tickets
+   * @param {Object} ticket - The ticket
+   * @param {string|null} closedBy - Who closed it, null for the system
+   * @param {string|null} reason - Why it was closed
+   */
+  async markTicketClosed(ticket, closedBy, reason) {
+    ticket.status = 'closed';
+    ticket.closedAt = new Date();
+    ticket.closedBy = closedBy;
+    ticket.closeReason = reason;
+    ticket.autoCloseAt = null;
+    this.activeTickets.delete(ticket.channelId);
+    this.archivedTickets.set(ticket.channelId, ticket);
+    await ticketSla.stop(ticket);
+    await scheduler.cancel(this.getAutoCloseJobId(ticket.channelId));
+
+    if (db.isConnected && ticket.rowId) {
+      await db.query(
+        'UPDATE tickets SET status = ?, closed_at = ?, closed_by = ?, close_reason = ?, auto_close_at = NULL, updated_at = ? WHERE id = ?',
+        ['closed', toSqlDateTime(), closedBy, reason, toSqlDateTime(), ticket.rowId]
+      );
+    }
+
+    await this.recordTicketEvent(ticket, 'closed', null, reason, closedBy);
+
+    eventBus.publish('ticket.closed', {
+      ...this.toEventData(ticket),
+      closedBy,
+      closeReason: reason,
+      closedAt: ticket.closedAt.toISOString()
+    });
+  },
+
+  /**
+   * Mark a ticket as deleted and stop tracking it
+   * @param {Object} ticket - The ticket
+   * @param {string|null} deletedBy - Who deleted it, null for the system
+   */
+  async markTicketDeleted(ticket, deletedBy) {
+    ticket.status = 'deleted';
+    this.activeTickets.delete(ticket.channelId);
+    this.archivedTickets.delete(ticket.channelId);
+    await scheduler.cancel(this.getDeleteJobId(ticket.channelId));
+
+    if (db.isConnected && ticket.rowId) {
+      await db.query(
+        'UPDATE tickets SET status = ?, deleted_at = ?, deleted_by = ?, updated_at = ? WHERE id = ?',
+        ['deleted', toSqlDateTime(), deletedBy, toSqlDateTime(), ticket.rowId]
+      );
+    }
+
+    await this.recordTicketEvent(ticket, 'deleted', null, null, deletedBy);
+  },
+
+  /**
+   * Add a user to a ticket's participants
+   * @param {Object} ticket - The ticket
+   * @param {string} userId - The user
+   * @param {string} addedBy - Who added them
+   */
+  async addParticipant(ticket, userId, addedBy) {
+    if (!db.isConnected || !ticket.rowId) return;
+
+    await db.query(
+      `INSERT INTO ticket_participants (ticket_id, user_id, added_by, added_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT(ticket_id, user_id) DO UPDATE SET removed_at = NULL`,
+      [ticket.rowId, userId, addedBy, toSqlDateTime()]
+    );
+  },
+
+  /**
+   * Remove a user from a ticket's participants
+   * @param {Object} ticket - The ticket
+   * @param {string} userId - The user
+   */
+  async removeParticipant(ticket, userId) {
+    if (!db.isConnected || !ticket.rowId) return;
+
+    await db.query(
+      'UPDATE ticket_participants SET removed_at = ? WHERE ticket_id = ? AND user_id = ? AND removed_at IS NULL',
+      [toSqlDateTime(), ticket.rowId, userId]
+    );
+  },
+
+  /**
+   * Get the users taking part in a ticket
+   * @param {Object} ticket - The ticket
+   * @returns {Promise<Array<string>>} The user IDs
+   */
+  async getParticipants(ticket) {
+    if (!db.isConnected || !ticket.rowId) return [ticket.userId];
+
+    const rows = await db.query(
+      'SELECT user_id FROM ticket_participants WHERE ticket_id = ? AND removed_at IS NULL ORDER BY added_at ASC',
+      [ticket.rowId]
+    );
+    return rows.map(row => row.user_id);
+  },
+
+  /**
+   * Record an event in a ticket's history
+   * @param {Object} ticket - The ticket
+   * @param {string} action - What happened (created, claimed, priority, closed, ...)
+   * @param {string|null} oldValue - The previous value
+   * @param {string|null} newValue - The new value
+   * @param {string|null} actorId - Who did it
+   */
+  async recordTicketEvent(ticket, action, oldValue, newValue, actorId) {
+    if (!db.isConnected || !ticket.rowId) return;
+
+    await db.query(
+      'INSERT INTO ticket_events (ticket_id, action, old_value, new_value, actor_id, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+      [ticket.rowId, action, oldValue, newValue, actorId, toSqlDateTime()]
+    );
+  },
+
+  /**
+   * Store a message sent in a ticket channel
+   * @param {Message} message - The message
+   */
+  async recordTicketMessage(message) {
+    const ticket = this.activeTickets.get(message.channel.id);
+    if (!db.isConnected || !ticket || !ticket.rowId) return;
+
+    await db.query(
+      'INSERT OR IGNORE INTO ticket_messages (ticket_id, user_id, message_id, content, created_at) VALUES (?, ?, ?, ?, ?)',
+      [ticket.rowId, message.author.id, message.id, message.content, toSqlDateTime(message.createdAt)]
+    );
+  },
+
+  /**
+   * Store the previous content of an edited ticket message
+   * @param {Message} oldMessage - The message before the edit, may be partial
+   * @param {Message} newMessage - The message after the edit
+   */
+  async recordTicketMessageEdit(oldMessage, newMessage) {
+    const ticket = this.activeTickets.get(newMessage.channel.id);
+    if (!db.isConnected || !ticket || !ticket.rowId) return;
+
+    if (newMessage.partial) {
+      newMessage = await newMessage.fetch();
+    }
+
+    const rows = await db.query('SELECT content, edits FROM ticket_messages WHERE message_id = ?', [newMessage.id]);
+    const previous = rows[0] ? rows[0].content : oldMessage.content;
+
+    // Embeds loading also fire updates, only content changes count as edits
+    if (previous === null || previous === undefined || previous === newMessage.content) return;
+
+    const edits = rows[0] && rows[0].edits ? JSON.parse(rows[0].edits) : [];
+    edits.push({ content: previous, editedAt: (newMessage.editedAt || new Date()).toISOString() });
+
+    if (rows[0]) {
+      await db.query(
+        'UPDATE ticket_messages SET content = ?, edits = ?, edited_at = ? WHERE message_id = ?',
+        [newMessage.content, JSON.stringify(edits), toSqlDateTime(newMessage.editedAt || new Date()), newMessage.id]
+      );
+    } else {
+      await db.query(
+        'INSERT INTO ticket_messages (ticket_id, user_id, message_id, content, edits, edited_at, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [ticket.rowId, newMessage.author.id, newMessage.id, newMessage.content, JSON.stringify(edits), toSqlDateTime(newMessage.editedAt || new Date()), toSqlDateTime(newMessage.createdAt)]
+      );
+    }
+  },
+
+  /**
+   * Get the earlier versions of a ticket's edited messages
+   * @param {Object} ticket - The ticket
+   * @returns {Promise<Map<string, Array<Object>>>} Edits by message ID
+   */
+  async getMessageEdits(ticket) {
+    const edits = new Map();
+    if (!db.isConnected || !ticket.rowId) return edits;
+
+    const rows = await db.query('SELECT message_id, edits FROM ticket_messages WHERE ticket_id = ? AND edits IS NOT NULL', [ticket.rowId]);
+    for (const row of rows) {
+      try {
+        edits.set(row.message_id, JSON.parse(row.edits).map(edit => ({ ...edit, editedAt: new Date(edit.editedAt) })));
+      } catch (error) {
+        logger.warn(`Invalid edit history on ticket message ${row.message_id}: ${error.message}`);
+      }
+    }
+
+    return edits;
+  },
+
+  /**
+   * Get the data published on the event bus for a ticket
+   * @param {Object} ticket - The ticket
+   * @returns {Object} The event data
+   */
+  toEventData(ticket) {
+    return {
+      guildId: ticket.guildId,
+      ticketNumber: ticket.id,
+      channelId: ticket.channelId,
+      userId: ticket.userId,
+      subject: ticket.subject,
+      category: ticket.category || 'general',
+      priority: ticket.priority,
+      createdAt: ticket.createdAt.toISOString()
+    };
+  },
+
+  /**
+   * Convert a tickets row to a ticket
+   * @param {Object} row - The database row
+   * @returns {Object} The ticket
+   */
+  rowToTicket(row) {
+    return {
+      rowId: row.id,
+      id: row.ticket_number || row.ticket_id,
+      guildId: row.guild_id,
+      channelId: row.channel_id || null,
+      userId: row.user_id,
+      subject: row.subject,
+      description: row.description,
+      category: row.category,
+      priority: this.normalizePriority(row.priority),
+      contactInfo: row.contact_info,
+      status: row.status,
+      claimedBy: row.claimed_by,
+      claimedAt: row.claimed_at ? parseSqlDate(row.claimed_at) : null,
+      firstResponseAt: row.first_response_at ? parseSqlDate(row.first_response_at) : null,
+      firstResponseDue: row.first_response_due ? parseSqlDate(row.first_response_due) : null,
+      firstResponseBreachedAt: row.first_response_breached_at ? parseSqlDate(row.first_response_breached_at) : null,
+      resolutionDue: row.resolution_due ? parseSqlDate(row.resolution_due) : null,
+      resolutionBreachedAt: row.resolution_breached_at ? parseSqlDate(row.resolution_breached_at) : null,
+      escalationLevel: row.escalation_level || 0,
+      autoCloseAt: row.auto_close_at ? parseSqlDate(row.auto_close_at) : null,
+      closedAt: row.closed_at ? parseSqlDate(row.closed_at) : null,
+      closedBy: row.closed_by,
+      closeReason: row.close_reason,
+      transcriptPath: row.transcript_path || null,
+      surveySentAt: row.survey_sent_at ? parseSqlDate(row.survey_sent_at) : null,
+      createdAt: parseSqlDate(row.created_at)
+    };
+  },
+
+  /**
+   * Format a ticket number for display and channel names
+   * @param {number|string} id - The ticket number
+   * @returns {string} The padded ticket number, e.g. 0042
+   */
+  formatTicketId(id) {
+    return String(id).padStart(4, '0');
+  },
+
+  /**
+   * Turn a free-text priority into one of the known priorities
+   * @param {string} value - The priority as entered
+   * @returns {string} low, medium, high or urgent
+   */
+  normalizePriority(value) {
+    const priority = String(value || '').trim().toLowerCase();
+
+    // Anything else, including the old 'normal' default, counts as medium
+    return PRIORITIES.includes(priority) ? priority : 'medium';
+  },
+
+  /**
+   * Get the display label for a priority
+   * @param {string} priority - The priority
+   * @returns {string} The label
+   */
+  formatPriority(priority) {
+    return priority.charAt(0).toUpperCase() + priority.slice(1);
+  },
+};
@@ -0,0 +1,132 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+jest.mock('../../config.json', () => ({}), { virtual: true });
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../utils/database', () => ({ isConnected: true, query: jest.fn() }));
+jest.mock('../utils/transcript', () => ({}));
+jest.mock('./guildSettings', () => ({}));
+jest.mock('./ticketSla', () => ({}));
+jest.mock('./ticketSurvey', () => ({}));
+
+const db = require('../utils/database');
+const tickets = require('./tickets');
+
+const user = { id: 'user' };
+
+let rows;
+
+/**
+ * Keep tickets in memory. The insert numbers a ticket the way SQLite runs
+ * its INSERT ... SELECT: one more than the highest number among the rows
+ * of the guild passed last.
+ */
+function mockDatabase() {
+  rows = [];
+
+  db.query.mockImplementation(async (sql, params) => {
+    if (sql.startsWith('INSERT INTO tickets')) {
+      const [ticketPrefix, guildId, channelId, userId, subject, description, status, category, priority, contactInfo, createdAt] = params;
+      const numberedBy = params[params.length - 1];
+      const number = Math.max(0, ...rows.filter((row) => row.guild_id === numberedBy).map((row) => row.ticket_number)) + 1;
+      const row = {
+        id: rows.length + 1,
+        ticket_id: `${ticketPrefix}-${number}`,
+        ticket_number: number,
+        guild_id: guildId,
+        channel_id: channelId,
+        user_id: userId,
+        subject,
+        description,
+        status,
+        category,
+        priority,
+        contact_info: contactInfo,
+        created_at: createdAt,
+      };
+
+      rows.push(row);
+      return { lastID: row.id, changes: 1 };
+    }
+
+    if (sql.startsWith('INSERT INTO ticket_events')) return { lastID: 0, changes: 1 };
+    if (sql.startsWith('SELECT * FROM tickets WHERE id = ?')) return rows.filter((row) => row.id === params[0]);
+    if (sql.startsWith('SELECT * FROM tickets WHERE guild_id = ? AND ticket_number = ?')) {
+      return rows.filter((row) => row.guild_id === params[0] && row.ticket_number === params[1]);
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+}
+
+beforeEach(() => {
+  db.isConnected = true;
+  db.query.mockReset();
+  tickets.activeTickets.clear();
+  tickets.archivedTickets.clear();
+  mockDatabase();
+});
+
+describe('createTicketRecord', () => {
+  it('computes the ticket number inside the insert', async () => {
+    await tickets.createTicketRecord({ id: 'guild' }, user);
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toMatch(/SELECT COALESCE\(MAX\(ticket_number\), 0\) \+ 1 AS next_number FROM tickets WHERE guild_id = \?/);
+    expect(params[0]).toBe('guild');
+    expect(params[params.length - 1]).toBe('guild');
+  });
+
+  it('numbers tickets per guild', async () => {
+    const numbers = [];
+
+    for (const guildId of ['one', 'one', 'two', 'one', 'two']) {
+      const ticket = await tickets.createTicketRecord({ id: guildId }, user);
+      numbers.push([guildId, ticket.id]);
+    }
+
+    expect(numbers).toEqual([['one', 1], ['one', 2], ['two', 1], ['one', 3], ['two', 2]]);
+    expect(rows.map((row) => row.ticket_id)).toEqual(['one-1', 'one-2', 'two-1', 'one-3', 'two-2']);
+  });
+
+  it('returns the stored ticket with its defaults and records its creation', async () => {
+    const ticket = await tickets.createTicketRecord({ id: 'guild' }, user, { subject: 'Server down', priority: 'urgent' });
+
+    expect(ticket).toMatchObject({
+      rowId: 1,
+      id: 1,
+      guildId: 'guild',
+      channelId: null,
+      userId: 'user',
+      subject: 'Server down',
+      category: 'general',
+      priority: 'urgent',
+      status: 'open',
+    });
+    expect(db.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO ticket_events'), [1, 'created', null, 'Server down', 'user', expect.any(String)]);
+  });
+
+  it('looks tickets up by their number within the guild', async () => {
+    await tickets.createTicketRecord({ id: 'one' }, user, { subject: 'first' });
+    await tickets.createTicketRecord({ id: 'two' }, user, { subject: 'second' });
+
+    await expect(tickets.getTicketByNumber('two', 1)).resolves.toMatchObject({ guildId: 'two', subject: 'second' });
+    await expect(tickets.getTicketByNumber('two', 2)).resolves.toBeNull();
+  });
+
+  it('numbers on from the open tickets without a database', async () => {
+    db.isConnected = false;
+    tickets.activeTickets.set('a', { id: 4, guildId: 'guild' });
+    tickets.activeTickets.set('b', { id: 9, guildId: 'other' });
+
+    await expect(tickets.createTicketRecord({ id: 'guild' }, user)).resolves.toMatchObject({ id: 5, rowId: null });
+    await expect(tickets.createTicketRecord({ id: 'new' }, user)).resolves.toMatchObject({ id: 1 });
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,280 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const Canvas = require('canvas');
+const logger = require('../utils/logger');
+const db = require('../utils/database');
+const { toSqlDateTime, parseSqlDate } = require('../utils/timeUtils');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Rolling windows the stats are reported for
+const WINDOWS = {
+  '24h': DAY,
+  '7d': 7 * DAY,
+  '30d': 30 * DAY,
+};
+
+// Probes are kept a day longer than the longest window
+const RETENTION = 31 * DAY;
+
+// Sparkline image layout
+const SPARKLINE = {
+  width: 600,
+  rowHeight: 44,
+  labelWidth: 150,
+  padding: 8,
+};
+
+/**
+ * Probe history for the panel and the nodes.
+ *
+ * The status monitor records every probe it makes in status_probes, under
+ * the target `panel` or `node:<id>` (the ID in data/nodes.json). Uptime is
+ * the share of successful probes in a window, so time without probes
+ * (the bot being offline) counts neither way. Latency percentiles only use
+ * successful probes. Probes older than the longest window are pruned.
+ */
+class UptimeHistory {
+  constructor() {
+    this.lastPrune = 0;
+  }
+
+  /**
+   * Record a probe result
+   * @param {string} target - panel or node:<id>
+   * @param {Object} result
+   * @param {boolean} result.online - Whether the target answered
+   * @param {number} [result.latency] - Response time in milliseconds
+   * @param {string} [result.error] - Why it is down
+   * @param {Date} [result.checkedAt] - When it was probed
+   * @returns {Promise<void>}
+   */
+  async record(target, { online, latency = null, error = null, checkedAt = new Date() }) {
+    if (!db.isConnected) return;
+
+    try {
+      await db.query(
+        'INSERT INTO status_probes (target, online, latency, error, checked_at) VALUES (?, ?, ?, ?, ?)',
+        [target, online ? 1 : 0, latency, error ? String(error).slice(0, 255) : null, toSqlDateTime(checkedAt)],
+      );
+
+      if (Date.now() - this.lastPrune > HOUR) {
+        this.lastPrune = Date.now();
+        await db.query('DELETE FROM status_probes WHERE checked_at < ?', [toSqlDateTime(Date.now() - RETENTION)]);
+      }
+    } catch (err) {
+      logger.error(`Failed to record the ${target} probe: ${err.message}`);
+    }
+  }
+
+  /**
+   * Get the uptime and latency of a target over each window
+   * @param {string} target - panel or node:<id>
+   * @returns {Promise<Object>} { target, windows: { 24h, 7d, 30d }, last }
+   */
+  async getStats(target) {
+    const now = Date.now();
+    const probes = await this.getProbes(target, now - WINDOWS['30d']);
+    const windows = {};
+
+    for (const [name, length] of Object.entries(WINDOWS)) {
+      windows[name] = summarize(probes.filter((probe) => probe.checkedAt >= now - length));
+    }
+
+    return {
+      target,
+      windows,
+      last: probes.length > 0 ? probes[probes.length - 1] : null,
+    };
+  }
+
+  /**
+   * Split a window into buckets for a sparkline
+   * @param {string} target - panel or node:<id>
+   * @param {Object} [options]
+   * @param {number} [options.window] - Window length in milliseconds, 24 hours by default
+   * @param {number} [options.buckets=48] - Number of buckets
+   * @returns {Promise<Array<Object|null>>} Oldest first, { uptime, latency } or null for buckets without probes
+   */
+  async getSeries(target, { window = DAY, buckets = 48 } = {}) {
+    const now = Date.now();
+    const start = now - window;
+    const size = window / buckets;
+    const groups = Array.from({ length: buckets }, () => []);
+
+    for (const probe of await this.getProbes(target, start)) {
+      const index = Math.min(Math.floor((probe.checkedAt - start) / size), buckets - 1);
+      if (index >= 0) groups[index].push(probe);
+    }
+
+    return groups.map((group) => {
+      if (group.length === 0) return null;
+      const { uptime, latency } = summarize(group);
+      return { uptime, latency: latency.p50 };
+    });
+  }
+
+  /**
+   * Get a target's probes since a time, oldest first
+   * @param {string} target - panel or node:<id>
+   * @param {number} since - Timestamp in milliseconds
+   * @returns {Promise<Array<Object>>} { online, latency, error, checkedAt }
+   */
+  async getProbes(target, since) {
+    if (!db.isConnected) return [];
+
+    const rows = await db.query(
+      'SELECT online, latency, error, checked_at FROM status_probes WHERE target = ? AND checked_at >= ? ORDER BY checked_at ASC',
+      [target, toSqlDateTime(since)],
+    );
+
+    return rows.map((row) => ({
+      online: Boolean(row.online),
+      latency: row.latency,
+      error: row.error,
+      checkedAt: parseSqlDate(row.checked_at).getTime(),
+    }));
+  }
+
+  /**
+   * Draw a sparkline row per target: the median latency of each bucket,
+   * with buckets that had failed probes shaded red
+   * @param {Array<Object>} rows - { label, series, uptime } per target, series from getSeries
+   * @returns {Buffer} The PNG image
+   */
+  renderSparklines(rows) {
+    const { width, rowHeight, labelWidth, padding } = SPARKLINE;
+    const canvas = Canvas.createCanvas(width, Math.max(rows.length, 1) * rowHeight + padding);
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = '#2f3136';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    rows.forEach((row, index) => {
+      const top = index * rowHeight + padding;
+      const chartLeft = labelWidth;
+      const chartWidth = width - labelWidth - padding;
+      const chartHeight = rowHeight - padding * 2;
+      const step = chartWidth / row.series.length;
+
+      ctx.font = 'bold 14px Arial';
+      ctx.fillStyle = '#ffffff';
+      ctx.textAlign = 'left';
+      ctx.fillText(row.label.slice(0, 18), padding, top + 14);
+
+      ctx.font = '12px Arial';
+      ctx.fillStyle = uptimeColor(row.uptime);
+      ctx.fillText(row.uptime === null ? 'no data' : `${row.uptime.toFixed(2)}%`, padding, top + 30);
+
+      ctx.fillStyle = '#40444b';
+      ctx.fillRect(chartLeft, top, chartWidth, chartHeight);
+
+      // Shade buckets with failed probes, darker the more failed
+      row.series.forEach((bucket, i) => {
+        if (bucket && bucket.uptime < 100) {
+          ctx.fillStyle = `rgba(237, 66, 69, ${0.3 + 0.7 * (1 - bucket.uptime / 100)})`;
+          ctx.fillRect(chartLeft + i * step, top, Math.ceil(step), chartHeight);
+        }
+      });
+
+      const latencies = row.series.filter((bucket) => bucket && bucket.latency !== null).map((bucket) => bucket.latency);
+      if (latencies.length === 0) return;
+
+      const max = Math.max(...latencies, 1);
+      ctx.strokeStyle = '#5865f2';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+
+      let drawing = false;
+      row.series.forEach((bucket, i) => {
+        if (!bucket || bucket.latency === null) {
+          drawing = false;
+          return;
+        }
+
+        const x = chartLeft + i * step + step / 2;
+        const y = top + chartHeight - (bucket.latency / max) * (chartHeight - 4) - 2;
+        if (drawing) {
+          ctx.lineTo(x, y);
+        } else {
+          ctx.moveTo(x, y);
+          drawing = true;
+        }
+      });
+
+      ctx.stroke();
+
+      ctx.font = '10px Arial';
+      ctx.fillStyle = '#b9bbbe';
+      ctx.textAlign = 'right';
+      ctx.fillText(`${Math.round(max)}ms`, chartLeft + chartWidth - 2, top + 10);
+    });
+
+    return canvas.toBuffer();
+  }
+}
+
+/**
+ * Summarize a list of probes
+ * @param {Array<Object>} probes - From getProbes
+ * @returns {Object} { probes, uptime, latency: { p50, p95, p99, max } }, uptime and latencies null without probes
+ */
+function summarize(probes) {
+  const latencies = probes
+    .filter((probe) => probe.online && typeof probe.latency === 'number')
+    .map((probe) => probe.latency)
+    .sort((a, b) => a - b);
+
+  const up = probes.filter((probe) => probe.online).length;
+
+  return {
+    probes: probes.length,
+    uptime: probes.length > 0 ? Math.round((up / probes.length) * 10000) / 100 : null,
+    latency: {
+      p50: percentile(latencies, 50),
+      p95: percentile(latencies, 95),
+      p99: percentile(latencies, 99),
+      max: latencies.length > 0 ? latencies[latencies.length - 1] : null,
+    },
+  };
+}
+
+/**
+ * Nearest-rank percentile of sorted values
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} p - Percentile, 0-100
+ * @returns {number|null} The value, or null without values
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+}
+
+/**
+ * Pick a colour for an uptime percentage
+ * @param {number|null} uptime - The uptime
+ * @returns {string} The colour
+ */
+function uptimeColor(uptime) {
+  if (uptime === null) return '#b9bbbe';
+  if (uptime >= 99.9) return '#57f287';
+  if (uptime >= 99) return '#fee75c';
+  return '#ed4245';
+}
+
+const uptimeHistory = new UptimeHistory();
+uptimeHistory.WINDOWS = WINDOWS;
+uptimeHistory.summarize = summarize;
+uptimeHistory.percentile = percentile;
+
+module.exports = uptimeHistory;
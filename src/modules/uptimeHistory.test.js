@@ -0,0 +1,77 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+jest.mock('canvas', () => ({}));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../utils/database', () => ({ isConnected: false, query: jest.fn() }));
+
+const uptimeHistory = require('./uptimeHistory');
+
+const probe = (online, latency = null) => ({ online, latency, checkedAt: 0 });
+
+describe('percentile', () => {
+  const { percentile } = uptimeHistory;
+
+  it('returns null without values', () => {
+    expect(percentile([], 50)).toBeNull();
+  });
+
+  it('uses the nearest rank', () => {
+    const values = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+
+    expect(percentile(values, 50)).toBe(50);
+    expect(percentile(values, 95)).toBe(100);
+    expect(percentile(values, 51)).toBe(60);
+  });
+
+  it('clamps to the first and last value', () => {
+    expect(percentile([5, 7, 9], 0)).toBe(5);
+    expect(percentile([5, 7, 9], 100)).toBe(9);
+    expect(percentile([42], 99)).toBe(42);
+  });
+});
+
+describe('summarize', () => {
+  const { summarize } = uptimeHistory;
+
+  it('returns nulls without probes', () => {
+    expect(summarize([])).toEqual({
+      probes: 0,
+      uptime: null,
+      latency: { p50: null, p95: null, p99: null, max: null },
+    });
+  });
+
+  it('computes uptime as the share of successful probes', () => {
+    const probes = [probe(true, 100), probe(true, 120), probe(false), probe(true, 110)];
+
+    expect(summarize(probes).uptime).toBe(75);
+  });
+
+  it('rounds uptime to two decimals', () => {
+    const probes = [probe(true, 1), probe(true, 1), probe(false)];
+
+    expect(summarize(probes).uptime).toBe(66.67);
+  });
+
+  it('only uses successful probes with a latency for percentiles', () => {
+    const probes = [probe(true, 300), probe(false, 5000), probe(true, 100), probe(true), probe(true, 200)];
+    const { probes: count, latency } = summarize(probes);
+
+    expect(count).toBe(5);
+    expect(latency).toEqual({ p50: 200, p95: 300, p99: 300, max: 300 });
+  });
+
+  it('sorts latencies before taking percentiles', () => {
+    const probes = [50, 10, 40, 20, 30].map((latency) => probe(true, latency));
+
+    expect(summarize(probes).latency).toEqual({ p50: 30, p95: 50, p99: 50, max: 50 });
+  });
+});
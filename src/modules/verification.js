@@ -10,6 +10,8 @@
 
 const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 const BotBaseModule = require('../managers/bot/modules/base.module');
+const eventBus = require('../utils/eventBus');
+const guildSettings = require('./guildSettings');
 
 class VerificationModule extends BotBaseModule {
   /**
@@ -84,7 +86,7 @@ class VerificationModule extends BotBaseModule {
   async createVerificationMessage(channel) {
     try {
       // Get config
-      const config = this.getConfig();
+      const config = this.getGuildConfig(channel.guild.id);
       
       // Create verification embed
       const embed = new EmbedBuilder()
@@ -124,6 +126,21 @@ class VerificationModule extends BotBaseModule {
     }
   }
 
+  /**
+   * Get the module config with the guild's dashboard settings applied
+   * @param {string} guildId - Guild ID
+   * @returns {Object} The config
+   */
+  getGuildConfig(guildId) {
+    const settings = guildSettings.get(guildId, 'verification');
+    
+    return {
+      ...this.getConfig(),
+      enabled: settings.enabled,
+      buttonText: settings.buttonText
+    };
+  }
+
   /**
    * Handle verify button interaction
    * @param {ButtonInteraction} interaction - Button interaction
@@ -137,7 +154,7 @@ class VerificationModule extends BotBaseModule {
       const { member, guild } = interaction;
       
       // Get config
-      const config = this.getConfig();
+      const config = this.getGuildConfig(guild.id);
       
       // Check if verification is enabled
       if (!config.enabled) {
@@ -205,6 +222,14 @@ class VerificationModule extends BotBaseModule {
       // Log verification
       this.log('info', `User ${member.user.tag} (${member.id}) verified in guild: ${guild.name} (${guild.id})`);
       
+      eventBus.publish('member.verified', {
+        guildId: guild.id,
+        userId: member.id,
+        userTag: member.user.tag,
+        verifiedBy: null,
+        verifiedAt: new Date().toISOString()
+      });
+      
       // Send welcome message if enabled
       if (config.welcomeMessage) {
         try {
@@ -255,7 +280,7 @@ class VerificationModule extends BotBaseModule {
   async verifyUser(member, verifier) {
     try {
       // Get config
-      const config = this.getConfig();
+      const config = this.getGuildConfig(member.guild.id);
       
       // Check if verification is enabled
       if (!config.enabled) {
@@ -311,6 +336,14 @@ class VerificationModule extends BotBaseModule {
       // Log verification
       this.log('info', `User ${member.user.tag} (${member.id}) manually verified by ${verifier?.tag || 'system'} in guild: ${member.guild.name} (${member.guild.id})`);
       
+      eventBus.publish('member.verified', {
+        guildId: member.guild.id,
+        userId: member.id,
+        userTag: member.user.tag,
+        verifiedBy: verifier?.id || null,
+        verifiedAt: new Date().toISOString()
+      });
+      
       return true;
     } catch (error) {
       this.log('error', `Error manually verifying user: ${error.message}`, error.stack);
@@ -0,0 +1,321 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const config = require('../../config.json');
+const logger = require('../utils/logger');
+const db = require('../utils/database');
+const { createDatabaseQuery } = require('../utils/errors');
+const userLogger = require('../utils/userLogger');
+const tempBans = require('./tempBans');
+const appeals = require('./appeals');
+const { toSqlDateTime } = require('../utils/timeUtils');
+
+const query = createDatabaseQuery('Warning policies require a database connection');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Actions a policy can take, least to most severe
+const POLICY_ACTIONS = ['timeout', 'kick', 'ban'];
+
+// Discord caps timeouts at 28 days
+const MAX_TIMEOUT = 28 * DAY;
+
+const SETTINGS_KEY = 'warning_policy';
+
+/**
+ * Warning policies: every warning is worth a number of points, points decay
+ * after a configurable period and reaching a policy's threshold applies its
+ * action automatically.
+ */
+class WarningPolicies {
+  /**
+   * Get the default settings from config.warnings
+   * @returns {Object} The settings
+   */
+  getDefaults() {
+    const warnings = config.warnings || {};
+
+    return {
+      pointsPerWarning: warnings.pointsPerWarning || 1,
+      decayPeriod: warnings.decayPeriod !== undefined ? warnings.decayPeriod : 30 * DAY, // 0 disables decay
+    };
+  }
+
+  /**
+   * Get a guild's warning settings
+   * @param {string} guildId - The guild ID
+   * @returns {Promise<Object>} { pointsPerWarning, decayPeriod }
+   */
+  async getSettings(guildId) {
+    const settings = this.getDefaults();
+    if (!db.isConnected) return settings;
+
+    try {
+      const rows = await db.query(
+        'SELECT setting_value FROM guild_settings WHERE guild_id = ? AND setting_key = ?',
+        [guildId, SETTINGS_KEY],
+      );
+
+      if (rows[0] && rows[0].setting_value) {
+        Object.assign(settings, JSON.parse(rows[0].setting_value));
+      }
+    } catch (error) {
+      logger.error(`Failed to load warning settings for guild ${guildId}: ${error.message}`);
+    }
+
+    return settings;
+  }
+
+  /**
+   * Update a guild's warning settings
+   * @param {string} guildId - The guild ID
+   * @param {Object} changes - The settings to change
+   * @param {string} updatedBy - Who changed them
+   * @returns {Promise<Object>} The new settings
+   */
+  async updateSettings(guildId, changes, updatedBy) {
+    const settings = { ...await this.getSettings(guildId), ...changes };
+
+    await query(
+      `INSERT INTO guild_settings (guild_id, setting_key, setting_value, updated_at, updated_by) VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(guild_id, setting_key) DO UPDATE SET setting_value = excluded.setting_value, updated_at = excluded.updated_at, updated_by = excluded.updated_by`,
+      [guildId, SETTINGS_KEY, JSON.stringify(settings), toSqlDateTime(), updatedBy],
+    );
+
+    return settings;
+  }
+
+  /**
+   * Get a guild's policies, lowest threshold first
+   * @param {string} guildId - The guild ID
+   * @returns {Promise<Array<Object>>} The policies
+   */
+  async getPolicies(guildId) {
+    const rows = await query(
+      'SELECT * FROM warning_policies WHERE guild_id = ? AND enabled = 1 ORDER BY threshold ASC, id ASC',
+      [guildId],
+    );
+
+    return rows.map((row) => ({
+      id: row.id,
+      name: row.name || `${row.threshold} points`,
+      threshold: row.threshold,
+      action: row.action,
+      duration: row.duration,
+    }));
+  }
+
+  /**
+   * Add a policy
+   * @param {string} guildId - The guild ID
+   * @param {Object} policy - { name, threshold, action, duration }
+   * @param {string} createdBy - Who created the policy
+   * @returns {Promise<number>} The policy ID
+   */
+  async addPolicy(guildId, policy, createdBy) {
+    if (!POLICY_ACTIONS.includes(policy.action)) {
+      throw new Error(`Unknown policy action: ${policy.action}`);
+    }
+
+    if (policy.action === 'timeout' && (!policy.duration || policy.duration > MAX_TIMEOUT)) {
+      throw new Error('Timeout policies need a duration of at most 28 days');
+    }
+
+    const result = await query(
+      'INSERT INTO warning_policies (guild_id, name, threshold, action, duration, created_at, created_by) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [guildId, policy.name || null, policy.threshold, policy.action, policy.duration || null, toSqlDateTime(), createdBy],
+    );
+
+    return result.lastID;
+  }
+
+  /**
+   * Remove a policy
+   * @param {string} guildId - The guild ID
+   * @param {number} policyId - The policy ID
+   * @returns {Promise<boolean>} Whether a policy was removed
+   */
+  async removePolicy(guildId, policyId) {
+    const result = await query('DELETE FROM warning_policies WHERE guild_id = ? AND id = ?', [guildId, policyId]);
+    return result.changes > 0;
+  }
+
+  /**
+   * Get a user's active (not yet decayed) warning points
+   * @param {string} guildId - The guild ID
+   * @param {string} userId - The user ID
+   * @param {Object} [settings] - The guild's warning settings
+   * @returns {Promise<number>} The active points
+   */
+  async getActivePoints(guildId, userId, settings = null) {
+    settings = settings || await this.getSettings(guildId);
+
+    const params = [guildId, userId, 'warning'];
+    let sql = 'SELECT metadata FROM moderation_cases WHERE guild_id = ? AND user_id = ? AND type = ? AND deleted_at IS NULL';
+
+    if (settings.decayPeriod > 0) {
+      sql += ' AND created_at >= ?';
+      params.push(toSqlDateTime(Date.now() - settings.decayPeriod));
+    }
+
+    const rows = await query(sql, params);
+
+    return rows.reduce((total, row) => {
+      let points = settings.pointsPerWarning;
+      try {
+        const metadata = row.metadata ? JSON.parse(row.metadata) : {};
+        if (typeof metadata.points === 'number') points = metadata.points;
+      } catch (error) {
+        // Fall back to the default points for malformed metadata
+      }
+      return total + points;
+    }, 0);
+  }
+
+  /**
+   * Issue a warning and apply any policy whose threshold it reaches. This is
+   * the entry point for every warning, manual or automatic.
+   * @param {Guild} guild - The guild
+   * @param {User} user - The warned user
+   * @param {User} moderator - The moderator (the bot user for automatic warnings)
+   * @param {string} reason - The warning reason
+   * @param {Object} [options] - { points, source }
+   * @returns {Promise<Object>} { warning, points, policy }
+   */
+  async issueWarning(guild, user, moderator, reason, options = {}) {
+    if (!db.isConnected) {
+      const warning = await userLogger.logWarning(guild, user, moderator, reason, { source: options.source });
+      return { warning, points: null, policy: null };
+    }
+
+    const settings = await this.getSettings(guild.id);
+    const warningPoints = options.points !== undefined && options.points !== null ? options.points : settings.pointsPerWarning;
+
+    const before = await this.getActivePoints(guild.id, user.id, settings);
+    const warning = await userLogger.logWarning(guild, user, moderator, reason, {
+      source: options.source,
+      metadata: { points: warningPoints },
+    });
+    const after = before + warningPoints;
+
+    // Apply the most severe policy whose threshold this warning crossed
+    const crossed = (await this.getPolicies(guild.id))
+      .filter((policy) => before < policy.threshold && after >= policy.threshold);
+    const policy = crossed.length > 0 ? crossed[crossed.length - 1] : null;
+
+    if (policy) {
+      await this.applyPolicy(guild, user, policy, after, warning);
+    }
+
+    return { warning, points: after, policy };
+  }
+
+  /**
+   * Apply a policy's action to a user
+   * @param {Guild} guild - The guild
+   * @param {User} user - The user
+   * @param {Object} policy - The policy
+   * @param {number} points - The user's active points
+   * @param {Object} warning - The warning case that triggered the policy
+   * @returns {Promise<boolean>} Whether the action was applied
+   */
+  async applyPolicy(guild, user, policy, points, warning) {
+    const botUser = guild.client.user;
+    const reason = `Warning policy "${policy.name}" (#${policy.id}): reached ${points} warning point${points === 1 ? '' : 's'}`;
+    const options = {
+      source: 'policy',
+      metadata: { policyId: policy.id, policyName: policy.name, points, warningCase: warning.caseNumber },
+    };
+
+    try {
+      const member = await guild.members.fetch(user.id).catch(() => null);
+
+      if (policy.action === 'timeout') {
+        if (!member || !member.moderatable) {
+          throw new Error('member cannot be timed out');
+        }
+
+        await member.timeout(policy.duration, reason);
+        await this.notifyUser(guild, user, policy, reason);
+        await userLogger.logMute(guild, user, botUser, reason, policy.duration, options);
+      } else if (policy.action === 'kick') {
+        if (!member || !member.kickable) {
+          throw new Error('member cannot be kicked');
+        }
+
+        await member.kick(reason);
+        await this.notifyUser(guild, user, policy, reason);
+        await userLogger.logKick(guild, user, botUser, reason, options);
+      } else if (policy.action === 'ban') {
+        if (member && !member.bannable) {
+          throw new Error('member cannot be banned');
+        }
+
+        // Banned users can no longer be DMed, so they are told first
+        await this.notifyUser(guild, user, policy, reason);
+        await guild.members.ban(user.id, { reason });
+
+        const expiresAt = policy.duration ? new Date(Date.now() + policy.duration) : null;
+        const banCase = await userLogger.logBan(guild, user, botUser, reason, 0, { ...options, duration: policy.duration, expiresAt });
+
+        if (expiresAt) {
+          await tempBans.addTempBan(guild, banCase);
+        } else {
+          await tempBans.clearPending(guild.id, user.id, botUser.id);
+        }
+      }
+
+      logger.info(`Applied warning policy ${policy.id} (${policy.action}) to ${user.tag} (${user.id}) in ${guild.name} at ${points} points`);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to apply warning policy ${policy.id} to ${user.tag} (${user.id}): ${error.message}`);
+
+      const failedEmbed = new EmbedBuilder()
+        .setColor('#FF0000')
+        .setTitle('Warning Policy Failed')
+        .setDescription(`Could not ${policy.action} ${user.tag} (${user.id}): ${error.message}`)
+        .addFields({ name: 'Policy', value: `${policy.name} (#${policy.id})`, inline: false })
+        .setTimestamp()
+        .setFooter({ text: config.footerText });
+
+      await userLogger.sendModerationLog(guild, failedEmbed).catch(() => {});
+      return false;
+    }
+  }
+
+  /**
+   * DM a user about an automatic action once it is certain to happen.
+   * Failures are ignored.
+   * @param {Guild} guild - The guild
+   * @param {User} user - The user
+   * @param {Object} policy - The policy
+   * @param {string} reason - The reason
+   * @returns {Promise<void>}
+   */
+  async notifyUser(guild, user, policy, reason) {
+    const verbs = { timeout: 'timed out', kick: 'kicked', ban: 'banned' };
+
+    const embed = new EmbedBuilder()
+      .setColor('#FF0000')
+      .setTitle(`You have been ${verbs[policy.action]} in ${guild.name}`)
+      .setDescription(`**Reason:** ${reason}${policy.duration ? `\n**Duration:** ${userLogger.formatDuration(policy.duration)}` : ''}`)
+      .setTimestamp()
+      .setFooter({ text: config.footerText });
+
+    const components = policy.action === 'ban' ? appeals.buildAppealComponents(guild) : [];
+    await user.send({ embeds: [embed], components }).catch(() => {});
+  }
+}
+
+const warningPolicies = new WarningPolicies();
+warningPolicies.POLICY_ACTIONS = POLICY_ACTIONS;
+
+module.exports = warningPolicies;
@@ -0,0 +1,156 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+jest.mock('../../config.json', () => ({}), { virtual: true });
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../utils/database', () => ({ isConnected: true, query: jest.fn() }));
+jest.mock('../utils/userLogger', () => ({ logWarning: jest.fn() }));
+jest.mock('./tempBans', () => ({}));
+jest.mock('./appeals', () => ({}));
+
+const db = require('../utils/database');
+const userLogger = require('../utils/userLogger');
+const { toSqlDateTime } = require('../utils/timeUtils');
+const warningPolicies = require('./warningPolicies');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-03-01T12:00:00Z');
+
+const guild = { id: 'guild' };
+const user = { id: 'user', tag: 'user#0001' };
+const moderator = { id: 'moderator', tag: 'moderator#0001' };
+
+/**
+ * Answer the queries warningPolicies makes
+ * @param {Object} data - { settings, warnings, policies }
+ */
+function mockDatabase({ settings = null, warnings = [], policies = [] }) {
+  db.query.mockImplementation(async (sql) => {
+    if (sql.includes('FROM guild_settings')) return settings ? [{ setting_value: JSON.stringify(settings) }] : [];
+    if (sql.includes('FROM moderation_cases')) return warnings;
+    if (sql.includes('FROM warning_policies')) return policies;
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+}
+
+const warning = (points) => ({ metadata: points === undefined ? null : JSON.stringify({ points }) });
+const policy = (id, threshold, action) => ({ id, name: null, threshold, action, duration: null });
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: NOW });
+  db.query.mockReset();
+  userLogger.logWarning.mockReset().mockResolvedValue({ caseNumber: 12 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+});
+
+describe('getActivePoints', () => {
+  it('adds up the points stored on each warning', async () => {
+    mockDatabase({ warnings: [warning(3), warning(0.5), warning(2)] });
+
+    await expect(warningPolicies.getActivePoints('guild', 'user')).resolves.toBe(5.5);
+  });
+
+  it('falls back to the guild\'s points per warning', async () => {
+    mockDatabase({ settings: { pointsPerWarning: 2 }, warnings: [warning(), { metadata: '{oops' }, warning(5)] });
+
+    await expect(warningPolicies.getActivePoints('guild', 'user')).resolves.toBe(9);
+  });
+
+  it('only counts warnings newer than the decay period', async () => {
+    mockDatabase({ settings: { decayPeriod: 7 * DAY } });
+
+    await warningPolicies.getActivePoints('guild', 'user');
+
+    const [sql, params] = db.query.mock.calls.find(([query]) => query.includes('FROM moderation_cases'));
+    expect(sql).toContain('created_at >= ?');
+    expect(params).toEqual(['guild', 'user', 'warning', toSqlDateTime(NOW.getTime() - 7 * DAY)]);
+  });
+
+  it('decays after 30 days by default', async () => {
+    mockDatabase({});
+
+    await warningPolicies.getActivePoints('guild', 'user');
+
+    const [, params] = db.query.mock.calls.find(([query]) => query.includes('FROM moderation_cases'));
+    expect(params[3]).toBe(toSqlDateTime(NOW.getTime() - 30 * DAY));
+  });
+
+  it('counts every warning when decay is disabled', async () => {
+    mockDatabase({ settings: { decayPeriod: 0 } });
+
+    await warningPolicies.getActivePoints('guild', 'user');
+
+    const [sql, params] = db.query.mock.calls.find(([query]) => query.includes('FROM moderation_cases'));
+    expect(sql).not.toContain('created_at');
+    expect(params).toEqual(['guild', 'user', 'warning']);
+  });
+});
+
+describe('issueWarning', () => {
+  const policies = [policy(1, 3, 'timeout'), policy(2, 5, 'kick'), policy(3, 8, 'ban')];
+
+  beforeEach(() => {
+    jest.spyOn(warningPolicies, 'applyPolicy').mockResolvedValue(true);
+  });
+
+  it('stores the points on the warning', async () => {
+    mockDatabase({ settings: { pointsPerWarning: 2 }, policies });
+
+    await warningPolicies.issueWarning(guild, user, moderator, 'spam', { source: 'automod' });
+
+    expect(userLogger.logWarning).toHaveBeenCalledWith(guild, user, moderator, 'spam', {
+      source: 'automod',
+      metadata: { points: 2 },
+    });
+  });
+
+  it('applies the policy whose threshold the warning reaches', async () => {
+    mockDatabase({ warnings: [warning(1), warning(1)], policies });
+
+    const result = await warningPolicies.issueWarning(guild, user, moderator, 'spam');
+
+    expect(result.points).toBe(3);
+    expect(result.policy).toMatchObject({ id: 1, action: 'timeout' });
+    expect(warningPolicies.applyPolicy).toHaveBeenCalledWith(guild, user, result.policy, 3, { caseNumber: 12 });
+  });
+
+  it('does not apply a policy again once its threshold was passed', async () => {
+    mockDatabase({ warnings: [warning(3)], policies });
+
+    const result = await warningPolicies.issueWarning(guild, user, moderator, 'spam');
+
+    expect(result.points).toBe(4);
+    expect(result.policy).toBeNull();
+    expect(warningPolicies.applyPolicy).not.toHaveBeenCalled();
+  });
+
+  it('applies only the most severe policy when several thresholds are crossed', async () => {
+    mockDatabase({ warnings: [warning(2)], policies });
+
+    const result = await warningPolicies.issueWarning(guild, user, moderator, 'spam', { points: 4 });
+
+    expect(result.points).toBe(6);
+    expect(result.policy).toMatchObject({ id: 2, action: 'kick' });
+    expect(warningPolicies.applyPolicy).toHaveBeenCalledTimes(1);
+  });
+
+  it('does nothing when no threshold is reached', async () => {
+    mockDatabase({ warnings: [warning(1)], policies });
+
+    const result = await warningPolicies.issueWarning(guild, user, moderator, 'spam');
+
+    expect(result).toEqual({ warning: { caseNumber: 12 }, points: 2, policy: null });
+    expect(warningPolicies.applyPolicy).not.toHaveBeenCalled();
+  });
+});
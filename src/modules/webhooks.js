@@ -0,0 +1,760 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const config = require('../../config.json');
+const logger = require('../utils/logger');
+const db = require('../utils/database');
+const eventBus = require('../utils/eventBus');
+const scheduler = require('../utils/scheduler');
+const { toSqlDateTime, parseSqlDate } = require('../utils/timeUtils');
+const { createError, createDatabaseQuery } = require('../utils/errors');
+
+const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
+
+const query = createDatabaseQuery('Webhooks require a database connection');
+
+// Events that can be subscribed to, webhook.test is only sent by sendTest
+const EVENT_TYPES = [
+  'ticket.created',
+  'ticket.closed',
+  'member.verified',
+  'moderation.warning',
+  'moderation.ban',
+  'moderation.unban',
+  'moderation.kick',
+  'moderation.mute',
+  'server.status_changed',
+  'server.alert',
+  'server.alert_resolved',
+  'settings.updated',
+];
+
+// Receiver responses that are worth retrying, other 4xx responses go straight to the dead-letter queue
+const RETRYABLE_STATUSES = [408, 425, 429];
+
+// Loopback, link-local and private networks, refused unless webhooks.allowPrivate is set
+const PRIVATE_ADDRESSES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]]
+  .forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]
+  .forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Outgoing webhooks. Operators subscribe URLs to bot events through the
+ * API; every event published on the event bus is delivered to the matching
+ * subscriptions as a signed JSON POST.
+ *
+ * Each delivery is a webhook_deliveries row. Failed attempts are retried
+ * with exponential backoff, pending retries are rescheduled on startup, and
+ * deliveries that run out of attempts stay in the table with status 'dead'
+ * until they are retried by hand. Every attempt is logged in
+ * webhook_delivery_attempts.
+ *
+ * Requests carry X-JMF-Event, X-JMF-Delivery, X-JMF-Timestamp and
+ * X-JMF-Signature headers. The signature is `sha256=` followed by the hex
+ * HMAC-SHA256 of `<timestamp>.<body>`, keyed with the subscription secret.
+ */
+class Webhooks {
+  constructor() {
+    this.client = null;
+    this.subscribed = false;
+  }
+
+  /**
+   * Subscribe to the event bus and reschedule deliveries that were pending when the bot stopped
+   * @param {Client} client - The Discord client
+   * @returns {Promise<void>}
+   */
+  async init(client) {
+    this.client = client;
+
+    if (!this.subscribed) {
+      for (const event of EVENT_TYPES) {
+        await eventBus.subscribe(event, (data) => {
+          this.dispatch(event, data).catch((error) => logger.error(`Failed to queue ${event} webhooks: ${error.message}`));
+        });
+      }
+
+      this.subscribed = true;
+    }
+
+    if (!db.isConnected) return;
+
+    try {
+      const rows = await db.query('SELECT id, next_attempt_at FROM webhook_deliveries WHERE status = ?', ['pending']);
+
+      for (const row of rows) {
+        await this.schedule(row.id, row.next_attempt_at ? parseSqlDate(row.next_attempt_at) : new Date());
+      }
+
+      logger.info(`Loaded ${rows.length} pending webhook deliveries`);
+    } catch (error) {
+      logger.error(`Failed to load pending webhook deliveries: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the webhook settings from config.webhooks
+   * @returns {Object} { enabled, maxAttempts, retryDelay, maxRetryDelay, timeout, logRetention, allowPrivate }
+   */
+  getSettings() {
+    const settings = config.webhooks || {};
+
+    return {
+      enabled: settings.enabled !== false,
+      maxAttempts: settings.maxAttempts || 6,
+      retryDelay: (settings.retryDelay || 30) * 1000,
+      maxRetryDelay: (settings.maxRetryDelay || 3600) * 1000,
+      timeout: (settings.timeout || 10) * 1000,
+      logRetention: (settings.logRetentionDays || 30) * DAY,
+      allowPrivate: settings.allowPrivate === true,
+    };
+  }
+
+  /**
+   * Register a URL for a set of events
+   * @param {Object} data - The subscription
+   * @param {string} data.url - The http(s) URL to deliver to
+   * @param {Array<string>} data.events - Event types, or ['*'] for every event
+   * @param {string} [data.description] - What the subscription is for
+   * @param {string} [data.secret] - Signing secret, generated when omitted
+   * @param {string} [createdBy] - Who registered it
+   * @returns {Promise<Object>} The subscription, including its secret
+   */
+  async createSubscription(data, createdBy = null) {
+    const url = await this.checkUrl(data.url);
+    const events = validateEvents(data.events);
+    const secret = data.secret || generateSecret();
+
+    const result = await query(
+      'INSERT INTO webhook_subscriptions (url, secret, events, description, active, created_by, created_at) VALUES (?, ?, ?, ?, 1, ?, ?)',
+      [url, secret, JSON.stringify(events), data.description || null, createdBy, toSqlDateTime()],
+    );
+
+    logger.info(`Webhook subscription ${result.lastID} registered for ${events.join(', ')} by ${createdBy || 'unknown'}`);
+    return this.getSubscription(result.lastID);
+  }
+
+  /**
+   * Get a subscription
+   * @param {number} id - The subscription ID
+   * @returns {Promise<Object|null>} The subscription
+   */
+  async getSubscription(id) {
+    const rows = await query('SELECT * FROM webhook_subscriptions WHERE id = ?', [id]);
+    return rows[0] ? rowToSubscription(rows[0]) : null;
+  }
+
+  /**
+   * List every subscription
+   * @returns {Promise<Array<Object>>} The subscriptions
+   */
+  async listSubscriptions() {
+    const rows = await query('SELECT * FROM webhook_subscriptions ORDER BY id ASC');
+    return rows.map(rowToSubscription);
+  }
+
+  /**
+   * Change a subscription's URL, events, description or active flag
+   * @param {number} id - The subscription ID
+   * @param {Object} changes - The fields to change
+   * @returns {Promise<Object|null>} The updated subscription, null if it doesn't exist
+   */
+  async updateSubscription(id, changes) {
+    const subscription = await this.getSubscription(id);
+    if (!subscription) return null;
+
+    const url = changes.url !== undefined ? await this.checkUrl(changes.url) : subscription.url;
+    const events = changes.events !== undefined ? validateEvents(changes.events) : subscription.events;
+    const description = changes.description !== undefined ? changes.description || null : subscription.description;
+    const active = changes.active !== undefined ? Boolean(changes.active) : subscription.active;
+
+    await query(
+      'UPDATE webhook_subscriptions SET url = ?, events = ?, description = ?, active = ?, updated_at = ? WHERE id = ?',
+      [url, JSON.stringify(events), description, active ? 1 : 0, toSqlDateTime(), id],
+    );
+
+    return this.getSubscription(id);
+  }
+
+  /**
+   * Replace a subscription's signing secret
+   * @param {number} id - The subscription ID
+   * @returns {Promise<Object|null>} The subscription with its new secret
+   */
+  async rotateSecret(id) {
+    const result = await query(
+      'UPDATE webhook_subscriptions SET secret = ?, updated_at = ? WHERE id = ?',
+      [generateSecret(), toSqlDateTime(), id],
+    );
+
+    return result.changes ? this.getSubscription(id) : null;
+  }
+
+  /**
+   * Remove a subscription and cancel its pending deliveries
+   * @param {number} id - The subscription ID
+   * @returns {Promise<boolean>} Whether the subscription existed
+   */
+  async deleteSubscription(id) {
+    const pending = await query(
+      'SELECT id FROM webhook_deliveries WHERE subscription_id = ? AND status = ?',
+      [id, 'pending'],
+    );
+
+    for (const row of pending) {
+      await scheduler.cancel(this.getJobId(row.id));
+    }
+
+    await query(
+      'UPDATE webhook_deliveries SET status = ?, next_attempt_at = NULL WHERE subscription_id = ? AND status = ?',
+      ['cancelled', id, 'pending'],
+    );
+
+    const result = await query('DELETE FROM webhook_subscriptions WHERE id = ?', [id]);
+    return result.changes > 0;
+  }
+
+  /**
+   * Queue an event for every active subscription that wants it
+   * @param {string} event - The event type
+   * @param {Object} data - The event data
+   * @returns {Promise<Array<number>>} The delivery row IDs
+   */
+  async dispatch(event, data) {
+    if (!this.getSettings().enabled || !db.isConnected) return [];
+
+    const subscriptions = (await this.listSubscriptions())
+      .filter((subscription) => subscription.active && matchesEvent(subscription, event));
+
+    if (subscriptions.length === 0) return [];
+
+    const payload = buildPayload(event, data);
+    const ids = [];
+
+    for (const subscription of subscriptions) {
+      const id = await this.createDelivery(subscription.id, event, payload);
+      ids.push(id);
+      this.deliver(id).catch((error) => logger.error(`Webhook delivery ${id} failed: ${error.message}`));
+    }
+
+    return ids;
+  }
+
+  /**
+   * Send a webhook.test event to one subscription and wait for the first attempt
+   * @param {number} subscriptionId - The subscription ID
+   * @returns {Promise<Object|null>} The delivery, null if the subscription doesn't exist
+   */
+  async sendTest(subscriptionId) {
+    const subscription = await this.getSubscription(subscriptionId);
+    if (!subscription) return null;
+
+    const payload = buildPayload('webhook.test', { subscriptionId: subscription.id });
+    const id = await this.createDelivery(subscription.id, 'webhook.test', payload);
+
+    await this.deliver(id);
+    return this.getDelivery(id);
+  }
+
+  /**
+   * Record a pending delivery
+   * @param {number} subscriptionId - The subscription ID
+   * @param {string} event - The event type
+   * @param {Object} payload - The payload to send
+   * @returns {Promise<number>} The delivery row ID
+   */
+  async createDelivery(subscriptionId, event, payload) {
+    const result = await query(
+      'INSERT INTO webhook_deliveries (delivery_id, subscription_id, event, payload, status, attempts, next_attempt_at, created_at) VALUES (?, ?, ?, ?, ?, 0, ?, ?)',
+      [crypto.randomUUID(), subscriptionId, event, JSON.stringify(payload), 'pending', toSqlDateTime(), toSqlDateTime()],
+    );
+
+    return result.lastID;
+  }
+
+  /**
+   * Make one delivery attempt, then mark the delivery delivered, schedule a retry or dead-letter it
+   * @param {number} id - The delivery row ID
+   * @returns {Promise<void>}
+   */
+  async deliver(id) {
+    const rows = await query('SELECT * FROM webhook_deliveries WHERE id = ?', [id]);
+    const delivery = rows[0];
+    if (!delivery || delivery.status !== 'pending') return;
+
+    const settings = this.getSettings();
+    const attempt = delivery.attempts + 1;
+    const subscription = await this.getSubscription(delivery.subscription_id);
+
+    if (!subscription || !subscription.active) {
+      await query(
+        'UPDATE webhook_deliveries SET status = ?, last_error = ?, next_attempt_at = NULL WHERE id = ?',
+        ['dead', 'The subscription was removed or disabled', id],
+      );
+      return;
+    }
+
+    // The host may have been pointed at a private address since the subscription was saved
+    if (!settings.allowPrivate && await isPrivateDestination(subscription.url)) {
+      await query(
+        'UPDATE webhook_deliveries SET status = ?, last_error = ?, next_attempt_at = NULL WHERE id = ?',
+        ['dead', 'The URL points to a loopback, link-local or private address', id],
+      );
+
+      logger.warn(`Webhook delivery ${delivery.delivery_id} to ${subscription.url} refused: the URL points to a private address`);
+      return;
+    }
+
+    const result = await this.post(subscription, delivery, settings.timeout);
+
+    await query(
+      'INSERT INTO webhook_delivery_attempts (delivery_id, attempt, status_code, error, duration_ms, attempted_at) VALUES (?, ?, ?, ?, ?, ?)',
+      [id, attempt, result.statusCode, result.error, result.duration, toSqlDateTime()],
+    );
+
+    if (result.ok) {
+      await query(
+        'UPDATE webhook_deliveries SET status = ?, attempts = ?, last_status_code = ?, last_error = NULL, next_attempt_at = NULL, delivered_at = ? WHERE id = ?',
+        ['delivered', attempt, result.statusCode, toSqlDateTime(), id],
+      );
+      return;
+    }
+
+    const retryable = !result.statusCode || result.statusCode >= 500 || RETRYABLE_STATUSES.includes(result.statusCode);
+
+    if (!retryable || attempt >= settings.maxAttempts) {
+      await query(
+        'UPDATE webhook_deliveries SET status = ?, attempts = ?, last_status_code = ?, last_error = ?, next_attempt_at = NULL WHERE id = ?',
+        ['dead', attempt, result.statusCode, result.error, id],
+      );
+
+      logger.warn(`Webhook delivery ${delivery.delivery_id} (${delivery.event}) to ${subscription.url} moved to the dead-letter queue after ${attempt} attempt(s): ${result.error}`);
+      return;
+    }
+
+    const nextAttemptAt = new Date(Date.now() + Math.max(this.getRetryDelay(attempt), result.retryAfter || 0));
+
+    await query(
+      'UPDATE webhook_deliveries SET attempts = ?, last_status_code = ?, last_error = ?, next_attempt_at = ? WHERE id = ?',
+      [attempt, result.statusCode, result.error, toSqlDateTime(nextAttemptAt), id],
+    );
+
+    await this.schedule(id, nextAttemptAt);
+  }
+
+  /**
+   * Validate a subscription URL. Hosts that are, or resolve to, loopback,
+   * link-local or private addresses are refused unless webhooks.allowPrivate
+   * is set.
+   * @param {string} value - The URL
+   * @returns {Promise<string>} The normalized URL
+   * @throws {Error} With status 400 if the URL is invalid or refused
+   */
+  async checkUrl(value) {
+    const url = validateUrl(value);
+
+    if (!this.getSettings().allowPrivate && await isPrivateDestination(url)) {
+      throw createError(400, 'url must not point to a loopback, link-local or private address, set webhooks.allowPrivate to allow it');
+    }
+
+    return url;
+  }
+
+  /**
+   * POST a delivery's payload to its subscription
+   * @param {Object} subscription - The subscription
+   * @param {Object} delivery - The webhook_deliveries row
+   * @param {number} timeout - Request timeout in milliseconds
+   * @returns {Promise<Object>} { ok, statusCode, error, duration, retryAfter }
+   */
+  async post(subscription, delivery, timeout) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    const startedAt = Date.now();
+
+    try {
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'JMF-Bot-Webhooks/1.0',
+          'X-JMF-Event': delivery.event,
+          'X-JMF-Delivery': delivery.delivery_id,
+          'X-JMF-Timestamp': timestamp,
+          'X-JMF-Signature': sign(subscription.secret, timestamp, delivery.payload),
+        },
+        body: delivery.payload,
+        redirect: 'manual',
+        signal: controller.signal,
+      });
+
+      // Drain the body so the connection can be reused
+      await response.text().catch(() => null);
+
+      const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+
+      return {
+        ok: response.status >= 200 && response.status < 300,
+        statusCode: response.status,
+        error: response.ok ? null : `Receiver responded with ${response.status} ${response.statusText}`.trim(),
+        duration: Date.now() - startedAt,
+        retryAfter: Number.isNaN(retryAfter) ? 0 : retryAfter * 1000,
+      };
+    } catch (error) {
+      return {
+        ok: false,
+        statusCode: null,
+        error: error.name === 'AbortError' ? `Timed out after ${timeout / 1000}s` : error.message,
+        duration: Date.now() - startedAt,
+        retryAfter: 0,
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Get the delay before the next attempt: the retry delay doubled for every
+   * failed attempt, capped at the maximum, with up to 10% jitter
+   * @param {number} attempt - The attempt that just failed, starting at 1
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempt) {
+    const { retryDelay, maxRetryDelay } = this.getSettings();
+    const delay = Math.min(retryDelay * 2 ** (attempt - 1), maxRetryDelay);
+
+    return Math.round(delay + delay * 0.1 * Math.random());
+  }
+
+  /**
+   * Schedule a delivery attempt
+   * @param {number} id - The delivery row ID
+   * @param {Date} date - When to attempt it
+   * @returns {Promise<void>}
+   */
+  async schedule(id, date) {
+    await scheduler.scheduleAt(
+      this.getJobId(id),
+      'Webhook delivery',
+      date,
+      ({ deliveryId }) => this.deliver(deliveryId),
+      { deliveryId: id },
+    );
+  }
+
+  /**
+   * Get the scheduler job ID of a delivery
+   * @param {number} id - The delivery row ID
+   * @returns {string} The job ID
+   */
+  getJobId(id) {
+    return `webhook-delivery-${id}`;
+  }
+
+  /**
+   * List deliveries, newest first
+   * @param {Object} [filters] - Filters
+   * @param {number} [filters.subscriptionId] - Only deliveries to this subscription
+   * @param {string} [filters.status] - pending, delivered, dead or cancelled
+   * @param {string} [filters.event] - Only deliveries of this event type
+   * @param {number} [filters.limit=25] - Maximum number of deliveries
+   * @returns {Promise<Array<Object>>} The deliveries
+   */
+  async getDeliveries(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.subscriptionId) {
+      conditions.push('subscription_id = ?');
+      params.push(filters.subscriptionId);
+    }
+
+    if (filters.status) {
+      conditions.push('status = ?');
+      params.push(filters.status);
+    }
+
+    if (filters.event) {
+      conditions.push('event = ?');
+      params.push(filters.event);
+    }
+
+    const rows = await query(
+      `SELECT * FROM webhook_deliveries${conditions.length ? ` WHERE ${conditions.join(' AND ')}` : ''} ORDER BY id DESC LIMIT ?`,
+      [...params, filters.limit || 25],
+    );
+
+    return rows.map(rowToDelivery);
+  }
+
+  /**
+   * Get a delivery with its payload and attempts
+   * @param {number} id - The delivery row ID
+   * @returns {Promise<Object|null>} The delivery
+   */
+  async getDelivery(id) {
+    const rows = await query('SELECT * FROM webhook_deliveries WHERE id = ?', [id]);
+    if (!rows[0]) return null;
+
+    const attempts = await query(
+      'SELECT * FROM webhook_delivery_attempts WHERE delivery_id = ? ORDER BY attempt ASC',
+      [id],
+    );
+
+    let payload = null;
+    try {
+      payload = JSON.parse(rows[0].payload);
+    } catch (error) {
+      logger.warn(`Invalid payload on webhook delivery ${id}: ${error.message}`);
+    }
+
+    return {
+      ...rowToDelivery(rows[0]),
+      payload,
+      attemptLog: attempts.map((row) => ({
+        attempt: row.attempt,
+        statusCode: row.status_code,
+        error: row.error,
+        duration: row.duration_ms,
+        attemptedAt: parseSqlDate(row.attempted_at),
+      })),
+    };
+  }
+
+  /**
+   * Take a delivery out of the dead-letter queue and attempt it again
+   * @param {number} id - The delivery row ID
+   * @returns {Promise<Object|null>} The delivery after the attempt, null if it isn't dead or cancelled
+   */
+  async retryDelivery(id) {
+    const result = await query(
+      'UPDATE webhook_deliveries SET status = ?, attempts = 0, next_attempt_at = ? WHERE id = ? AND status IN (?, ?)',
+      ['pending', toSqlDateTime(), id, 'dead', 'cancelled'],
+    );
+
+    if (!result.changes) return null;
+
+    await this.deliver(id);
+    return this.getDelivery(id);
+  }
+
+  /**
+   * Delete delivered and cancelled deliveries older than the log retention.
+   * Dead deliveries are kept until they are retried.
+   * @returns {Promise<number>} The number of deliveries removed
+   */
+  async pruneLog() {
+    if (!db.isConnected) return 0;
+
+    const cutoff = toSqlDateTime(new Date(Date.now() - this.getSettings().logRetention));
+    const condition = 'status IN (?, ?) AND created_at < ?';
+    const params = ['delivered', 'cancelled', cutoff];
+
+    await db.query(
+      `DELETE FROM webhook_delivery_attempts WHERE delivery_id IN (SELECT id FROM webhook_deliveries WHERE ${condition})`,
+      params,
+    );
+    const result = await db.query(`DELETE FROM webhook_deliveries WHERE ${condition}`, params);
+
+    if (result.changes) {
+      logger.info(`Pruned ${result.changes} webhook deliveries from the delivery log`);
+    }
+
+    return result.changes;
+  }
+}
+
+/**
+ * Sign a payload for the X-JMF-Signature header
+ * @param {string} secret - The subscription secret
+ * @param {string} timestamp - Unix timestamp in seconds, as sent in X-JMF-Timestamp
+ * @param {string} body - The raw request body
+ * @returns {string} The signature
+ */
+function sign(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Check a received signature, for receivers written in Node
+ * @param {string} secret - The subscription secret
+ * @param {string} timestamp - The X-JMF-Timestamp header
+ * @param {string} body - The raw request body
+ * @param {string} signature - The X-JMF-Signature header
+ * @returns {boolean} Whether the signature is valid
+ */
+function verifySignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(sign(secret, timestamp, body));
+  const received = Buffer.from(String(signature || ''));
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Build the JSON body sent for an event
+ * @param {string} event - The event type
+ * @param {Object} data - The event data
+ * @returns {Object} The payload
+ */
+function buildPayload(event, data) {
+  return {
+    id: crypto.randomUUID(),
+    event,
+    createdAt: new Date().toISOString(),
+    data,
+  };
+}
+
+/**
+ * Check whether a subscription wants an event
+ * @param {Object} subscription - The subscription
+ * @param {string} event - The event type
+ * @returns {boolean} Whether it matches
+ */
+function matchesEvent(subscription, event) {
+  return subscription.events.includes('*') || subscription.events.includes(event);
+}
+
+/**
+ * Validate a subscription URL
+ * @param {string} value - The URL
+ * @returns {string} The URL
+ */
+function validateUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw createError(400, 'url must be a valid URL');
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw createError(400, 'url must be an http or https URL');
+  }
+
+  return url.toString();
+}
+
+/**
+ * Check whether an address is in a loopback, link-local or private network
+ * @param {string} address - An IPv4 or IPv6 address
+ * @returns {boolean} Whether it is private, false for anything that isn't an IP
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Check whether a URL's host is, or resolves to, a private address. Hosts
+ * that don't resolve are left to fail on delivery.
+ * @param {string} value - The URL
+ * @returns {Promise<boolean>} Whether the URL points to a private address
+ */
+async function isPrivateDestination(value) {
+  const hostname = new URL(value).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+  if (hostname === 'localhost' || hostname.endsWith('.localhost')) return true;
+  if (net.isIP(hostname)) return isPrivateAddress(hostname);
+
+  try {
+    const addresses = await dns.promises.lookup(hostname, { all: true });
+    return addresses.some(({ address }) => isPrivateAddress(address));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validate a list of subscribed event types
+ * @param {Array<string>} events - The event types
+ * @returns {Array<string>} The de-duplicated event types
+ */
+function validateEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    throw createError(400, 'events must be a non-empty array');
+  }
+
+  const unknown = events.filter((event) => event !== '*' && !EVENT_TYPES.includes(event));
+  if (unknown.length > 0) {
+    throw createError(400, `Unknown event type(s): ${unknown.join(', ')}. Valid types: ${EVENT_TYPES.join(', ')}, *`);
+  }
+
+  return [...new Set(events)];
+}
+
+/**
+ * Generate a signing secret
+ * @returns {string} The secret
+ */
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Convert a webhook_subscriptions row
+ * @param {Object} row - The row
+ * @returns {Object} The subscription
+ */
+function rowToSubscription(row) {
+  let events = [];
+  try {
+    events = JSON.parse(row.events);
+  } catch (error) {
+    logger.warn(`Invalid event list on webhook subscription ${row.id}: ${error.message}`);
+  }
+
+  return {
+    id: row.id,
+    url: row.url,
+    secret: row.secret,
+    events,
+    description: row.description,
+    active: Boolean(row.active),
+    createdBy: row.created_by,
+    createdAt: parseSqlDate(row.created_at),
+    updatedAt: row.updated_at ? parseSqlDate(row.updated_at) : null,
+  };
+}
+
+/**
+ * Convert a webhook_deliveries row, without its payload
+ * @param {Object} row - The row
+ * @returns {Object} The delivery
+ */
+function rowToDelivery(row) {
+  return {
+    id: row.id,
+    deliveryId: row.delivery_id,
+    subscriptionId: row.subscription_id,
+    event: row.event,
+    status: row.status,
+    attempts: row.attempts,
+    lastStatusCode: row.last_status_code,
+    lastError: row.last_error,
+    nextAttemptAt: row.next_attempt_at ? parseSqlDate(row.next_attempt_at) : null,
+    createdAt: parseSqlDate(row.created_at),
+    deliveredAt: row.delivered_at ? parseSqlDate(row.delivered_at) : null,
+  };
+}
+
+const webhooks = new Webhooks();
+webhooks.EVENT_TYPES = EVENT_TYPES;
+webhooks.sign = sign;
+webhooks.verifySignature = verifySignature;
+
+module.exports = webhooks;
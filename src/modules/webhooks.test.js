@@ -0,0 +1,334 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+jest.mock('../../config.json', () => ({ webhooks: { maxAttempts: 3, retryDelay: 30, maxRetryDelay: 90 } }), { virtual: true });
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../utils/database', () => ({ isConnected: true, query: jest.fn() }));
+jest.mock('../utils/eventBus', () => ({ subscribe: jest.fn() }));
+
+const crypto = require('crypto');
+const dns = require('dns');
+const config = require('../../config.json');
+const db = require('../utils/database');
+const scheduler = require('../utils/scheduler');
+const { toSqlDateTime } = require('../utils/timeUtils');
+const webhooks = require('./webhooks');
+
+const SECOND = 1000;
+const NOW = new Date('2026-03-01T12:00:00Z').getTime();
+
+let subscriptions;
+let deliveries;
+let attempts;
+
+/**
+ * Apply an UPDATE's SET clause to a row
+ * @param {Object} row - The row
+ * @param {string} sql - The UPDATE statement
+ * @param {Array} params - Its parameters, in order
+ */
+function applyUpdate(row, sql, params) {
+  const values = [...params];
+  const assignments = sql.match(/SET (.*) WHERE/)[1].split(', ');
+
+  for (const assignment of assignments) {
+    const [column, value] = assignment.split(' = ');
+    row[column] = value === '?' ? values.shift() : JSON.parse(value.toLowerCase());
+  }
+}
+
+/**
+ * Keep subscriptions, deliveries and attempts in memory and answer the queries webhooks makes
+ */
+function mockDatabase() {
+  db.query.mockImplementation(async (sql, params) => {
+    if (sql.startsWith('SELECT * FROM webhook_subscriptions WHERE id = ?')) {
+      return subscriptions.filter((row) => row.id === params[0]);
+    }
+
+    if (sql.startsWith('SELECT * FROM webhook_deliveries WHERE id = ?')) {
+      return deliveries.filter((row) => row.id === params[0]).map((row) => ({ ...row }));
+    }
+
+    if (sql.startsWith('SELECT * FROM webhook_delivery_attempts')) {
+      return attempts.filter((row) => row.delivery_id === params[0]);
+    }
+
+    if (sql.startsWith('INSERT INTO webhook_delivery_attempts')) {
+      const [deliveryId, attempt, statusCode, error, duration, attemptedAt] = params;
+      attempts.push({ delivery_id: deliveryId, attempt, status_code: statusCode, error, duration_ms: duration, attempted_at: attemptedAt });
+      return { lastID: attempts.length, changes: 1 };
+    }
+
+    if (sql.startsWith('UPDATE webhook_deliveries')) {
+      const statusFilter = sql.includes('AND status IN') ? params.slice(-2) : null;
+      const id = statusFilter ? params[params.length - 3] : params[params.length - 1];
+      const row = deliveries.find((entry) => entry.id === id && (!statusFilter || statusFilter.includes(entry.status)));
+      if (!row) return { changes: 0 };
+
+      applyUpdate(row, sql, params.slice(0, statusFilter ? -3 : -1));
+      return { changes: 1 };
+    }
+
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+}
+
+/**
+ * Store a pending delivery
+ * @param {Object} [fields] - Fields to set
+ * @returns {Object} The webhook_deliveries row
+ */
+function pendingDelivery(fields = {}) {
+  const row = {
+    id: deliveries.length + 1,
+    delivery_id: crypto.randomUUID(),
+    subscription_id: 1,
+    event: 'ticket.created',
+    payload: JSON.stringify({ event: 'ticket.created', data: { ticketId: 1 } }),
+    status: 'pending',
+    attempts: 0,
+    next_attempt_at: toSqlDateTime(NOW),
+    created_at: toSqlDateTime(NOW),
+    ...fields,
+  };
+
+  deliveries.push(row);
+  return row;
+}
+
+const response = (statusCode, retryAfter = 0) => ({
+  ok: statusCode >= 200 && statusCode < 300,
+  statusCode,
+  error: statusCode >= 200 && statusCode < 300 ? null : `Receiver responded with ${statusCode}`,
+  duration: 12,
+  retryAfter,
+});
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: NOW });
+  jest.spyOn(Math, 'random').mockReturnValue(0);
+  jest.spyOn(webhooks, 'post');
+  jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+
+  subscriptions = [{ id: 1, url: 'https://example.com/hook', secret: 'whsec_test', events: '["*"]', active: 1, created_at: toSqlDateTime(NOW) }];
+  deliveries = [];
+  attempts = [];
+  db.query.mockReset();
+  mockDatabase();
+});
+
+afterEach(async () => {
+  delete config.webhooks.allowPrivate;
+
+  for (const delivery of deliveries) {
+    await scheduler.cancel(webhooks.getJobId(delivery.id));
+  }
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+});
+
+describe('signatures', () => {
+  const body = JSON.stringify({ event: 'ticket.created' });
+
+  it('signs the timestamp and body with HMAC-SHA256', () => {
+    const expected = crypto.createHmac('sha256', 'secret').update(`1700000000.${body}`).digest('hex');
+
+    expect(webhooks.sign('secret', '1700000000', body)).toBe(`sha256=${expected}`);
+  });
+
+  it('verifies a valid signature', () => {
+    const signature = webhooks.sign('secret', '1700000000', body);
+
+    expect(webhooks.verifySignature('secret', '1700000000', body, signature)).toBe(true);
+  });
+
+  it('rejects a signature for another body, timestamp or secret', () => {
+    const signature = webhooks.sign('secret', '1700000000', body);
+
+    expect(webhooks.verifySignature('secret', '1700000000', `${body} `, signature)).toBe(false);
+    expect(webhooks.verifySignature('secret', '1700000001', body, signature)).toBe(false);
+    expect(webhooks.verifySignature('other', '1700000000', body, signature)).toBe(false);
+  });
+
+  it('rejects missing and malformed signatures', () => {
+    expect(webhooks.verifySignature('secret', '1700000000', body, undefined)).toBe(false);
+    expect(webhooks.verifySignature('secret', '1700000000', body, 'sha256=abc')).toBe(false);
+  });
+});
+
+describe('checkUrl', () => {
+  it.each([
+    'http://localhost:4000/',
+    'http://api.localhost/',
+    'http://127.0.0.1/',
+    'http://2130706433/',
+    'http://[::1]/',
+    'http://[::ffff:127.0.0.1]/',
+    'http://10.0.0.1/',
+    'http://172.16.5.4/',
+    'http://192.168.1.10/',
+    'http://169.254.169.254/latest/meta-data',
+    'http://[fe80::1]/',
+    'http://[fd12:3456::1]/',
+  ])('refuses %s', async (url) => {
+    await expect(webhooks.checkUrl(url)).rejects.toMatchObject({ status: 400, message: expect.stringContaining('webhooks.allowPrivate') });
+  });
+
+  it('refuses hosts that resolve to a private address', async () => {
+    dns.promises.lookup.mockResolvedValue([{ address: '93.184.216.34', family: 4 }, { address: '192.168.0.2', family: 4 }]);
+
+    await expect(webhooks.checkUrl('https://internal.example.com/hook')).rejects.toMatchObject({ status: 400 });
+  });
+
+  it('allows public hosts and hosts that do not resolve yet', async () => {
+    await expect(webhooks.checkUrl('https://example.com/hook')).resolves.toBe('https://example.com/hook');
+    await expect(webhooks.checkUrl('http://172.32.0.1/')).resolves.toBe('http://172.32.0.1/');
+
+    dns.promises.lookup.mockRejectedValue(Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' }));
+    await expect(webhooks.checkUrl('https://not-yet.example.com/')).resolves.toBe('https://not-yet.example.com/');
+  });
+
+  it('allows private hosts when webhooks.allowPrivate is set', async () => {
+    config.webhooks.allowPrivate = true;
+
+    await expect(webhooks.checkUrl('http://localhost:4000/')).resolves.toBe('http://localhost:4000/');
+  });
+
+  it('refuses URLs that are not http or https', async () => {
+    await expect(webhooks.checkUrl('ftp://example.com/')).rejects.toMatchObject({ status: 400 });
+    await expect(webhooks.checkUrl('not a url')).rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe('getRetryDelay', () => {
+  it('doubles the delay for every attempt up to the maximum', () => {
+    expect([1, 2, 3, 4].map((attempt) => webhooks.getRetryDelay(attempt))).toEqual([30 * SECOND, 60 * SECOND, 90 * SECOND, 90 * SECOND]);
+  });
+
+  it('adds up to 10% jitter', () => {
+    Math.random.mockReturnValue(0.999);
+
+    expect(webhooks.getRetryDelay(1)).toBe(Math.round(30 * SECOND * 1.0999));
+  });
+});
+
+describe('deliver', () => {
+  it('marks a successful delivery as delivered and logs the attempt', async () => {
+    const delivery = pendingDelivery();
+    webhooks.post.mockResolvedValue(response(204));
+
+    await webhooks.deliver(delivery.id);
+
+    expect(webhooks.post).toHaveBeenCalledWith(expect.objectContaining({ url: 'https://example.com/hook', secret: 'whsec_test' }), expect.objectContaining({ id: delivery.id }), 10 * SECOND);
+    expect(delivery).toMatchObject({ status: 'delivered', attempts: 1, last_status_code: 204, last_error: null, next_attempt_at: null });
+    expect(attempts).toEqual([expect.objectContaining({ delivery_id: delivery.id, attempt: 1, status_code: 204 })]);
+  });
+
+  it('retries server errors with backoff until they succeed', async () => {
+    const delivery = pendingDelivery();
+    webhooks.post.mockResolvedValueOnce(response(502)).mockResolvedValueOnce(response(200));
+
+    await webhooks.deliver(delivery.id);
+    expect(delivery).toMatchObject({ status: 'pending', attempts: 1, last_status_code: 502, next_attempt_at: toSqlDateTime(NOW + 30 * SECOND) });
+
+    await jest.advanceTimersByTimeAsync(30 * SECOND - 1);
+    expect(webhooks.post).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(webhooks.post).toHaveBeenCalledTimes(2);
+    expect(delivery).toMatchObject({ status: 'delivered', attempts: 2 });
+  });
+
+  it('retries network errors and waits at least as long as Retry-After', async () => {
+    const delivery = pendingDelivery();
+    webhooks.post.mockResolvedValueOnce({ ok: false, statusCode: null, error: 'ECONNREFUSED', duration: 1, retryAfter: 0 });
+
+    await webhooks.deliver(delivery.id);
+    expect(delivery).toMatchObject({ status: 'pending', last_error: 'ECONNREFUSED' });
+
+    webhooks.post.mockResolvedValueOnce(response(429, 120 * SECOND));
+    await jest.advanceTimersByTimeAsync(30 * SECOND);
+    expect(delivery).toMatchObject({ status: 'pending', attempts: 2, next_attempt_at: toSqlDateTime(NOW + 150 * SECOND) });
+  });
+
+  it('moves a delivery to the dead-letter queue after the last attempt', async () => {
+    const delivery = pendingDelivery();
+    webhooks.post.mockResolvedValue(response(503));
+
+    await webhooks.deliver(delivery.id);
+    await jest.advanceTimersByTimeAsync(30 * SECOND);
+    await jest.advanceTimersByTimeAsync(60 * SECOND);
+
+    expect(webhooks.post).toHaveBeenCalledTimes(3);
+    expect(delivery).toMatchObject({ status: 'dead', attempts: 3, last_status_code: 503, next_attempt_at: null });
+
+    await jest.advanceTimersByTimeAsync(10 * 60 * SECOND);
+    expect(webhooks.post).toHaveBeenCalledTimes(3);
+  });
+
+  it('dead-letters client errors straight away', async () => {
+    const delivery = pendingDelivery();
+    webhooks.post.mockResolvedValue(response(404));
+
+    await webhooks.deliver(delivery.id);
+
+    expect(delivery).toMatchObject({ status: 'dead', attempts: 1, last_status_code: 404 });
+  });
+
+  it('dead-letters deliveries for a disabled subscription without sending them', async () => {
+    const delivery = pendingDelivery();
+    subscriptions[0].active = 0;
+
+    await webhooks.deliver(delivery.id);
+
+    expect(webhooks.post).not.toHaveBeenCalled();
+    expect(delivery).toMatchObject({ status: 'dead', last_error: 'The subscription was removed or disabled' });
+  });
+
+  it('dead-letters deliveries whose host now resolves to a private address', async () => {
+    const delivery = pendingDelivery();
+    dns.promises.lookup.mockResolvedValue([{ address: '10.0.0.5', family: 4 }]);
+
+    await webhooks.deliver(delivery.id);
+
+    expect(webhooks.post).not.toHaveBeenCalled();
+    expect(delivery).toMatchObject({ status: 'dead', last_error: 'The URL points to a loopback, link-local or private address' });
+  });
+
+  it('skips deliveries that are no longer pending', async () => {
+    const delivery = pendingDelivery({ status: 'delivered', attempts: 1 });
+
+    await webhooks.deliver(delivery.id);
+
+    expect(webhooks.post).not.toHaveBeenCalled();
+  });
+});
+
+describe('retryDelivery', () => {
+  it('takes a dead delivery out of the queue and attempts it again', async () => {
+    const delivery = pendingDelivery({ status: 'dead', attempts: 3, last_status_code: 503 });
+    webhooks.post.mockResolvedValue(response(200));
+
+    const retried = await webhooks.retryDelivery(delivery.id);
+
+    expect(retried).toMatchObject({ status: 'delivered', attempts: 1 });
+    expect(retried.attemptLog).toHaveLength(1);
+  });
+
+  it('leaves pending and delivered deliveries alone', async () => {
+    const pending = pendingDelivery();
+    const delivered = pendingDelivery({ status: 'delivered', attempts: 1 });
+
+    await expect(webhooks.retryDelivery(pending.id)).resolves.toBeNull();
+    await expect(webhooks.retryDelivery(delivered.id)).resolves.toBeNull();
+    expect(webhooks.post).not.toHaveBeenCalled();
+  });
+});
@@ -105,9 +105,6 @@ module.exports = {
 
       await joinLeaveChannel.send({ embeds: [joinEmbed] });
     }
-
-    // Check for raid protection
-    await this.checkRaidProtection(member);
   },
 
   /**
@@ -245,37 +242,5 @@ module.exports = {
     const age = Date.now() - timestamp;
     const days = Math.floor(age / (1000 * 60 * 60 * 24));
     return `${days} days old`;
-  },
-
-  /**
-   * Check for potential raid based on join patterns
-   * @param {GuildMember} member - The new member
-   */
-  async checkRaidProtection(member) {
-    const RAID_THRESHOLD = 10; // Number of joins within time window to trigger alert
-    const TIME_WINDOW = 60000; // Time window in milliseconds (1 minute)
-    
-    const recentJoins = member.guild.members.cache
-      .filter(m => (Date.now() - m.joinedTimestamp) < TIME_WINDOW)
-      .size;
-
-    if (recentJoins >= RAID_THRESHOLD) {
-      const modLogsChannel = member.guild.channels.cache.find(
-        channel => channel.name === config.channels.moderationLogs
-      );
-
-      if (modLogsChannel) {
-        const alertEmbed = new EmbedBuilder()
-          .setColor('#ff0000')
-          .setTitle('⚠️ Potential Raid Detected')
-          .setDescription(`${recentJoins} members joined in the last minute`)
-          .setTimestamp();
-
-        await modLogsChannel.send({ 
-          content: `<@&${member.guild.roles.cache.find(r => r.name === config.roles.moderator)?.id}>`,
-          embeds: [alertEmbed]
-        });
-      }
-    }
   }
 };
\ No newline at end of file
@@ -137,6 +137,7 @@ class Database {
         is_bot BOOLEAN DEFAULT 0,
         is_banned BOOLEAN DEFAULT 0,
         ban_reason TEXT,
+        ban_expires TIMESTAMP,
         UNIQUE(user_id)
       )
     `);
@@ -273,18 +274,35 @@ class Database {
       CREATE TABLE IF NOT EXISTS tickets (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         ticket_id VARCHAR(20) NOT NULL,
+        ticket_number INTEGER,
         user_id VARCHAR(20) NOT NULL,
         guild_id VARCHAR(20) NOT NULL,
         channel_id VARCHAR(20) NOT NULL,
+        subject TEXT,
+        description TEXT,
         status VARCHAR(20) DEFAULT 'open',
         category VARCHAR(50),
         priority VARCHAR(20) DEFAULT 'normal',
         assigned_to VARCHAR(20),
+        claimed_by VARCHAR(20),
+        claimed_at TIMESTAMP,
+        first_response_at TIMESTAMP,
+        first_response_due TIMESTAMP,
+        first_response_breached_at TIMESTAMP,
+        resolution_due TIMESTAMP,
+        resolution_breached_at TIMESTAMP,
+        escalation_level INTEGER DEFAULT 0,
+        auto_close_at TIMESTAMP,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP,
         closed_at TIMESTAMP,
         closed_by VARCHAR(20),
         close_reason TEXT,
+        deleted_at TIMESTAMP,
+        deleted_by VARCHAR(20),
         contact_info TEXT,
+        transcript_path TEXT,
+        survey_sent_at TIMESTAMP,
         UNIQUE(ticket_id)
       )
     `);
@@ -297,11 +315,99 @@ class Database {
         user_id VARCHAR(20) NOT NULL,
         message_id VARCHAR(20) NOT NULL,
         content TEXT,
+        edits TEXT,
+        edited_at TIMESTAMP,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         UNIQUE(message_id)
       )
     `);
 
+    // Ticket participants table
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS ticket_participants (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        ticket_id INTEGER NOT NULL,
+        user_id VARCHAR(20) NOT NULL,
+        added_by VARCHAR(20),
+        added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        removed_at TIMESTAMP,
+        UNIQUE(ticket_id, user_id)
+      )
+    `);
+
+    // Ticket events table (claims, priority changes, closes, ...)
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS ticket_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        ticket_id INTEGER NOT NULL,
+        action VARCHAR(20) NOT NULL,
+        old_value TEXT,
+        new_value TEXT,
+        actor_id VARCHAR(20),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Satisfaction ratings of closed tickets
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS ticket_ratings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        ticket_id INTEGER NOT NULL,
+        guild_id VARCHAR(20) NOT NULL,
+        user_id VARCHAR(20) NOT NULL,
+        staff_id VARCHAR(20),
+        rating INTEGER NOT NULL,
+        comment TEXT,
+        flag_channel_id VARCHAR(20),
+        flag_message_id VARCHAR(20),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP,
+        UNIQUE(ticket_id)
+      )
+    `);
+
+    // Canned responses for ticket staff
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS ticket_snippets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id VARCHAR(20) NOT NULL,
+        name VARCHAR(32) NOT NULL,
+        content TEXT NOT NULL,
+        uses INTEGER DEFAULT 0,
+        last_used_at TIMESTAMP,
+        created_by VARCHAR(20),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_by VARCHAR(20),
+        updated_at TIMESTAMP,
+        UNIQUE(guild_id, name)
+      )
+    `);
+
+    // Snippet usage log
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS snippet_usage (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        snippet_id INTEGER NOT NULL,
+        guild_id VARCHAR(20) NOT NULL,
+        user_id VARCHAR(20) NOT NULL,
+        channel_id VARCHAR(20),
+        ticket_id INTEGER,
+        used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Support staff duty status for ticket auto-assignment
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS ticket_staff (
+        guild_id VARCHAR(20) NOT NULL,
+        user_id VARCHAR(20) NOT NULL,
+        on_duty BOOLEAN DEFAULT 0,
+        last_assigned_at TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (guild_id, user_id)
+      )
+    `);
+
     // Moderation actions table
     await this.query(`
       CREATE TABLE IF NOT EXISTS moderation_actions (
@@ -320,6 +426,82 @@ class Database {
       )
     `);
 
+    // Moderation cases table
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS moderation_cases (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id VARCHAR(20) NOT NULL,
+        case_number INTEGER NOT NULL,
+        type VARCHAR(20) NOT NULL,
+        user_id VARCHAR(20) NOT NULL,
+        user_tag VARCHAR(100),
+        moderator_id VARCHAR(20),
+        moderator_tag VARCHAR(100),
+        reason TEXT,
+        duration INTEGER,
+        expires_at TIMESTAMP,
+        metadata TEXT,
+        source VARCHAR(20) DEFAULT 'manual',
+        legacy_ref VARCHAR(100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP,
+        updated_by VARCHAR(20),
+        deleted_at TIMESTAMP,
+        deleted_by VARCHAR(20),
+        revoked_at TIMESTAMP,
+        revoked_by VARCHAR(20),
+        UNIQUE(guild_id, case_number),
+        UNIQUE(legacy_ref)
+      )
+    `);
+
+    // Moderation case history table
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS case_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        case_id INTEGER NOT NULL,
+        action VARCHAR(20) NOT NULL,
+        old_value TEXT,
+        new_value TEXT,
+        actor_id VARCHAR(20),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Ban appeals table
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS ban_appeals (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id VARCHAR(20) NOT NULL,
+        user_id VARCHAR(20) NOT NULL,
+        case_id INTEGER,
+        status VARCHAR(20) DEFAULT 'pending',
+        conversation TEXT,
+        staff_channel_id VARCHAR(20),
+        staff_message_id VARCHAR(20),
+        reviewer_id VARCHAR(20),
+        decision_reason TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP,
+        decided_at TIMESTAMP
+      )
+    `);
+
+    // Warning policies table
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS warning_policies (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id VARCHAR(20) NOT NULL,
+        name VARCHAR(100),
+        threshold INTEGER NOT NULL,
+        action VARCHAR(20) NOT NULL,
+        duration INTEGER,
+        enabled BOOLEAN DEFAULT 1,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        created_by VARCHAR(20)
+      )
+    `);
+
     // Automod actions table
     await this.query(`
       CREATE TABLE IF NOT EXISTS automod_actions (
@@ -330,6 +512,7 @@ class Database {
         message_id VARCHAR(20),
         action_type VARCHAR(20) NOT NULL,
         trigger_type VARCHAR(20) NOT NULL,
+        rule_id INTEGER,
         content TEXT,
         timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         automated BOOLEAN DEFAULT 1
@@ -350,6 +533,42 @@ class Database {
       )
     `);
 
+    // Automod rules table
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS automod_rules (
+        rule_id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id VARCHAR(20) NOT NULL,
+        name VARCHAR(100),
+        type VARCHAR(50) NOT NULL,
+        options TEXT,
+        scope TEXT,
+        action VARCHAR(50) DEFAULT 'delete',
+        duration INTEGER,
+        escalation TEXT,
+        enabled BOOLEAN DEFAULT 1,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        created_by VARCHAR(20)
+      )
+    `);
+
+    // Raid events table
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS raid_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id VARCHAR(20) NOT NULL,
+        trigger_type VARCHAR(20) NOT NULL,
+        triggered_by VARCHAR(20),
+        reason TEXT,
+        started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        ends_at TIMESTAMP,
+        ended_at TIMESTAMP,
+        ended_by VARCHAR(20),
+        join_count INTEGER DEFAULT 0,
+        actioned_count INTEGER DEFAULT 0,
+        snapshot TEXT
+      )
+    `);
+
     // User balances table
     await this.query(`
       CREATE TABLE IF NOT EXISTS user_balances (
@@ -542,6 +761,8 @@ class Database {
         pterodactyl_id INTEGER,
         panel_id VARCHAR(100),
         pterodactyl_username VARCHAR(100),
+        pterodactyl_email VARCHAR(255),
+        panel_api_key TEXT,
         token VARCHAR(100),
         expires_at TIMESTAMP,
         whmcs_id INTEGER,
@@ -553,6 +774,97 @@ class Database {
       )
     `);
 
+    // Game servers linked users can control with their own panel account, synced from the panel
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS server_access (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        server_id VARCHAR(36) NOT NULL,
+        server_uuid VARCHAR(36),
+        server_name VARCHAR(100),
+        user_id VARCHAR(20) NOT NULL,
+        pterodactyl_id INTEGER,
+        access_level VARCHAR(20) NOT NULL,
+        permissions TEXT,
+        granted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        synced_at TIMESTAMP,
+        UNIQUE(server_id, user_id)
+      )
+    `);
+
+    // Console commands run from Discord, including denied and failed ones
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS console_commands (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        server_id VARCHAR(36) NOT NULL,
+        user_id VARCHAR(20) NOT NULL,
+        guild_id VARCHAR(20),
+        command TEXT NOT NULL,
+        status VARCHAR(20) NOT NULL,
+        detail TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Game server alerts, open ones are 'active' until the server recovers
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS server_alerts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        server_id VARCHAR(36) NOT NULL,
+        server_name VARCHAR(255),
+        type VARCHAR(20) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'active',
+        details TEXT,
+        started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        resolved_at TIMESTAMP
+      )
+    `);
+
+    // Game server backups made through the bot
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS server_backups (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        server_id VARCHAR(36) NOT NULL,
+        backup_uuid VARCHAR(36) NOT NULL UNIQUE,
+        name VARCHAR(255),
+        size BIGINT,
+        checksum VARCHAR(255),
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        locked INTEGER DEFAULT 0,
+        scheduled INTEGER DEFAULT 0,
+        created_by VARCHAR(20),
+        error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP,
+        deleted_at TIMESTAMP
+      )
+    `);
+
+    // Scheduled backups, one schedule per game server
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS server_backup_schedules (
+        server_id VARCHAR(36) PRIMARY KEY,
+        server_name VARCHAR(255),
+        interval_hours INTEGER NOT NULL,
+        retention INTEGER NOT NULL,
+        created_by VARCHAR(20),
+        last_run_at TIMESTAMP,
+        next_run_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Panel and node probe results from the status monitor
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS status_probes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        target VARCHAR(100) NOT NULL,
+        online INTEGER NOT NULL,
+        latency INTEGER,
+        error VARCHAR(255),
+        checked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
     // Verification table
     await this.query(`
       CREATE TABLE IF NOT EXISTS verification (
@@ -599,6 +911,90 @@ class Database {
       )
     `);
 
+    // Changes made to guild settings through the dashboard
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS guild_settings_audit (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id VARCHAR(20) NOT NULL,
+        section VARCHAR(50) NOT NULL,
+        action VARCHAR(20) NOT NULL DEFAULT 'update',
+        changes TEXT NOT NULL,
+        changed_by VARCHAR(20),
+        changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Announcements and maintenance notices posted through the API
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS announcements (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id VARCHAR(20) NOT NULL,
+        type VARCHAR(20) NOT NULL,
+        title VARCHAR(200) NOT NULL,
+        body TEXT NOT NULL,
+        affected_nodes TEXT,
+        starts_at TIMESTAMP,
+        ends_at TIMESTAMP,
+        status VARCHAR(20) DEFAULT 'active',
+        resolution TEXT,
+        channel_id VARCHAR(20),
+        message_id VARCHAR(20),
+        created_by VARCHAR(100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_by VARCHAR(100),
+        updated_at TIMESTAMP,
+        resolved_by VARCHAR(100),
+        resolved_at TIMESTAMP
+      )
+    `);
+
+    // Outgoing webhook subscriptions
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        url TEXT NOT NULL,
+        secret VARCHAR(100) NOT NULL,
+        events TEXT NOT NULL,
+        description VARCHAR(255),
+        active BOOLEAN DEFAULT 1,
+        created_by VARCHAR(100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP
+      )
+    `);
+
+    // Webhook deliveries, failed deliveries stay here with status 'dead' as the dead-letter queue
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        delivery_id VARCHAR(36) NOT NULL,
+        subscription_id INTEGER NOT NULL,
+        event VARCHAR(50) NOT NULL,
+        payload TEXT NOT NULL,
+        status VARCHAR(20) DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        last_status_code INTEGER,
+        last_error TEXT,
+        next_attempt_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        delivered_at TIMESTAMP,
+        UNIQUE(delivery_id)
+      )
+    `);
+
+    // One row per delivery attempt
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS webhook_delivery_attempts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        delivery_id INTEGER NOT NULL,
+        attempt INTEGER NOT NULL,
+        status_code INTEGER,
+        error TEXT,
+        duration_ms INTEGER,
+        attempted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
     // Create indexes for better performance
     await this.query(`CREATE INDEX IF NOT EXISTS idx_users_user_id ON users(user_id)`);
     await this.query(`CREATE INDEX IF NOT EXISTS idx_messages_channel_id ON messages(channel_id)`);
@@ -615,11 +1011,22 @@ class Database {
     await this.query(`CREATE INDEX IF NOT EXISTS idx_account_links_discord_id ON account_links(discord_id)`);
     await this.query(`CREATE INDEX IF NOT EXISTS idx_account_links_pterodactyl_id ON account_links(pterodactyl_id)`);
     await this.query(`CREATE INDEX IF NOT EXISTS idx_account_links_panel_id ON account_links(panel_id)`);
+    await this.query(`CREATE INDEX IF NOT EXISTS idx_account_links_token ON account_links(token)`);
+    await this.query(`CREATE INDEX IF NOT EXISTS idx_server_access_user_id ON server_access(user_id)`);
+    await this.query(`CREATE INDEX IF NOT EXISTS idx_console_commands_server_id ON console_commands(server_id)`);
+    await this.query(`CREATE INDEX IF NOT EXISTS idx_server_alerts_server_id ON server_alerts(server_id, status)`);
+    await this.query(`CREATE INDEX IF NOT EXISTS idx_server_backups_server_id ON server_backups(server_id, status)`);
+    await this.query(`CREATE INDEX IF NOT EXISTS idx_status_probes_target ON status_probes(target, checked_at)`);
     await this.query(`CREATE INDEX IF NOT EXISTS idx_verification_user_id ON verification(user_id)`);
     await this.query(`CREATE INDEX IF NOT EXISTS idx_guilds_guild_id ON guilds(guild_id)`);
     await this.query(`CREATE INDEX IF NOT EXISTS idx_tickets_user_id ON tickets(user_id)`);
     await this.query(`CREATE INDEX IF NOT EXISTS idx_tickets_guild_id ON tickets(guild_id)`);
     await this.query(`CREATE INDEX IF NOT EXISTS idx_tickets_status ON tickets(status)`);
+    await this.query(`CREATE INDEX IF NOT EXISTS idx_tickets_channel_id ON tickets(channel_id)`);
+    await this.query(`CREATE INDEX IF NOT EXISTS idx_ticket_messages_ticket_id ON ticket_messages(ticket_id)`);
+    await this.query(`CREATE INDEX IF NOT EXISTS idx_ticket_events_ticket_id ON ticket_events(ticket_id)`);
+    await this.query(`CREATE INDEX IF NOT EXISTS idx_ticket_ratings_guild_staff ON ticket_ratings(guild_id, staff_id)`);
+    await this.query(`CREATE INDEX IF NOT EXISTS idx_snippet_usage_snippet_id ON snippet_usage(snippet_id)`);
     await this.query(`CREATE INDEX IF NOT EXISTS idx_user_mining_data_user_id ON user_mining_data(user_id)`);
     await this.query(`CREATE INDEX IF NOT EXISTS idx_user_mining_inventory_user_id ON user_mining_inventory(user_id)`);
     await this.query(`CREATE INDEX IF NOT EXISTS idx_transactions_user_id ON transactions(user_id)`);
@@ -627,10 +1034,73 @@ class Database {
     await this.query(`CREATE INDEX IF NOT EXISTS idx_market_listings_item_type ON market_listings(item_type)`);
     await this.query(`CREATE INDEX IF NOT EXISTS idx_market_transactions_buyer_id ON market_transactions(buyer_id)`);
     await this.query(`CREATE INDEX IF NOT EXISTS idx_market_transactions_seller_id ON market_transactions(seller_id)`);
+    await this.query(`CREATE INDEX IF NOT EXISTS idx_moderation_cases_guild_user ON moderation_cases(guild_id, user_id)`);
+    await this.query(`CREATE INDEX IF NOT EXISTS idx_moderation_cases_expires_at ON moderation_cases(expires_at)`);
+    await this.query(`CREATE INDEX IF NOT EXISTS idx_case_history_case_id ON case_history(case_id)`);
+    await this.query(`CREATE INDEX IF NOT EXISTS idx_warning_policies_guild_id ON warning_policies(guild_id)`);
+    await this.query(`CREATE INDEX IF NOT EXISTS idx_ban_appeals_guild_user ON ban_appeals(guild_id, user_id)`);
     await this.query(`CREATE INDEX IF NOT EXISTS idx_automod_actions_user_id ON automod_actions(user_id)`);
     await this.query(`CREATE INDEX IF NOT EXISTS idx_automod_actions_guild_id ON automod_actions(guild_id)`);
     await this.query(`CREATE INDEX IF NOT EXISTS idx_automod_settings_guild_id ON automod_settings(guild_id)`);
+    await this.query(`CREATE INDEX IF NOT EXISTS idx_automod_rules_guild_id ON automod_rules(guild_id)`);
+    await this.query(`CREATE INDEX IF NOT EXISTS idx_raid_events_guild_id ON raid_events(guild_id)`);
     await this.query(`CREATE INDEX IF NOT EXISTS idx_guild_settings_guild_id ON guild_settings(guild_id)`);
+    await this.query(`CREATE INDEX IF NOT EXISTS idx_guild_settings_audit_guild_id ON guild_settings_audit(guild_id)`);
+    await this.query(`CREATE INDEX IF NOT EXISTS idx_announcements_guild_id ON announcements(guild_id)`);
+    await this.query(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries(status)`);
+    await this.query(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription_id ON webhook_deliveries(subscription_id)`);
+    await this.query(`CREATE INDEX IF NOT EXISTS idx_webhook_delivery_attempts_delivery_id ON webhook_delivery_attempts(delivery_id)`);
+
+    // Columns added after the tables were first released
+    await this.addColumnIfMissing('automod_actions', 'rule_id', 'INTEGER');
+    await this.addColumnIfMissing('automod_rules', 'options', 'TEXT');
+    await this.addColumnIfMissing('automod_rules', 'scope', 'TEXT');
+    await this.addColumnIfMissing('automod_rules', 'escalation', 'TEXT');
+    await this.addColumnIfMissing('users', 'ban_expires', 'TIMESTAMP');
+    await this.addColumnIfMissing('tickets', 'ticket_number', 'INTEGER');
+    await this.addColumnIfMissing('tickets', 'subject', 'TEXT');
+    await this.addColumnIfMissing('tickets', 'description', 'TEXT');
+    await this.addColumnIfMissing('tickets', 'claimed_by', 'VARCHAR(20)');
+    await this.addColumnIfMissing('tickets', 'claimed_at', 'TIMESTAMP');
+    await this.addColumnIfMissing('tickets', 'updated_at', 'TIMESTAMP');
+    await this.addColumnIfMissing('tickets', 'transcript_path', 'TEXT');
+    await this.addColumnIfMissing('tickets', 'deleted_at', 'TIMESTAMP');
+    await this.addColumnIfMissing('tickets', 'deleted_by', 'VARCHAR(20)');
+    await this.addColumnIfMissing('tickets', 'first_response_at', 'TIMESTAMP');
+    await this.addColumnIfMissing('tickets', 'first_response_due', 'TIMESTAMP');
+    await this.addColumnIfMissing('tickets', 'first_response_breached_at', 'TIMESTAMP');
+    await this.addColumnIfMissing('tickets', 'resolution_due', 'TIMESTAMP');
+    await this.addColumnIfMissing('tickets', 'resolution_breached_at', 'TIMESTAMP');
+    await this.addColumnIfMissing('tickets', 'escalation_level', 'INTEGER DEFAULT 0');
+    await this.addColumnIfMissing('tickets', 'auto_close_at', 'TIMESTAMP');
+    await this.addColumnIfMissing('tickets', 'survey_sent_at', 'TIMESTAMP');
+    await this.addColumnIfMissing('ticket_messages', 'edits', 'TEXT');
+    await this.addColumnIfMissing('ticket_messages', 'edited_at', 'TIMESTAMP');
+    await this.addColumnIfMissing('account_links', 'pterodactyl_email', 'VARCHAR(255)');
+    await this.addColumnIfMissing('account_links', 'panel_api_key', 'TEXT');
+    await this.addColumnIfMissing('moderation_cases', 'revoked_at', 'TIMESTAMP');
+    await this.addColumnIfMissing('moderation_cases', 'revoked_by', 'VARCHAR(20)');
+
+    // Indexes on columns added above
+    await this.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_tickets_guild_number ON tickets(guild_id, ticket_number)`);
+  }
+
+  /**
+   * Add a column to an existing table if it isn't there yet
+   * @param {string} table - Table name
+   * @param {string} column - Column name
+   * @param {string} definition - Column type and constraints
+   * @returns {Promise<boolean>} - Whether the column was added
+   */
+  async addColumnIfMissing(table, column, definition) {
+    const columns = await this.connection.all(`PRAGMA table_info(${table})`);
+    if (columns.some(existing => existing.name === column)) {
+      return false;
+    }
+
+    await this.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    logger.info(`Added column ${column} to ${table}`);
+    return true;
   }
 
   /**
@@ -0,0 +1,46 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const db = require('./database');
+
+/**
+ * Create an error with an HTTP status. The API error handler responds with
+ * the status, and commands use it to tell user errors from failures.
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} The error
+ */
+function createError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Create the query function of a feature that can't work without the
+ * database. The function throws a 503 with the message while the database
+ * is not connected.
+ * @param {string} message - Error message when the database is not connected
+ * @returns {Function} async (sql, params = []) => the query result
+ */
+function createDatabaseQuery(message) {
+  return async (sql, params = []) => {
+    if (!db.isConnected) {
+      throw createError(503, message);
+    }
+
+    return db.query(sql, params);
+  };
+}
+
+module.exports = {
+  createError,
+  createDatabaseQuery,
+};
@@ -0,0 +1,79 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const logger = require('./logger');
+const EventBus = require('../managers/bot/modules/event.bus');
+
+// Bus used when the bot manager's event bus isn't available
+let fallbackBus = null;
+
+/**
+ * Get the bot manager's event bus, or a standalone one if the managers aren't running
+ * @returns {Promise<EventBus>} The event bus
+ */
+async function getEventBus() {
+  try {
+    const registry = global.managers?.bot?.getModuleRegistry?.();
+    const bus = registry ? await registry.getModule('event-bus') : null;
+    if (bus) return bus;
+  } catch (error) {
+    // Fall through to the standalone bus
+  }
+
+  if (!fallbackBus) {
+    fallbackBus = new EventBus({
+      name: 'bot',
+      logger: {
+        debug: (category, message) => logger.debug(`[${category}] ${message}`),
+        info: (category, message) => logger.info(`[${category}] ${message}`),
+        warn: (category, message) => logger.warn(`[${category}] ${message}`),
+        error: (category, message) => logger.error(`[${category}] ${message}`),
+        success: (category, message) => logger.info(`[${category}] ${message}`),
+      },
+      _config: { modules: { 'event-bus': { maxListeners: 100 } } },
+      getModule: () => null,
+    });
+    await fallbackBus.initialize();
+  }
+
+  return fallbackBus;
+}
+
+/**
+ * Publish an event on the bus. Never throws, publishing is fire and forget.
+ * @param {string} event - The event name, e.g. ticket.created
+ * @param {Object} data - The event data
+ * @returns {Promise<void>}
+ */
+async function publish(event, data) {
+  try {
+    const bus = await getEventBus();
+    bus.emit(event, data);
+  } catch (error) {
+    logger.error(`Failed to publish ${event}: ${error.message}`);
+  }
+}
+
+/**
+ * Subscribe to an event in any namespace
+ * @param {string} event - The event name
+ * @param {Function} handler - The handler, called with the event data
+ * @returns {Promise<string>} The handler ID
+ */
+async function subscribe(event, handler) {
+  const bus = await getEventBus();
+  return bus.on(`*:${event}`, handler);
+}
+
+module.exports = {
+  getEventBus,
+  publish,
+  subscribe,
+};
@@ -0,0 +1,255 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const logger = require('./logger');
+
+// ANSI escape sequences: CSI (colours, cursor movement) and OSC (window titles)
+const ESC = String.fromCharCode(0x1b);
+const BEL = String.fromCharCode(0x07);
+const ANSI_PATTERN = new RegExp(`${ESC}\\[[0-9;?]*[A-Za-z]|${ESC}\\][^${BEL}]*${BEL}`, 'g');
+
+// Reconnect delays after the socket drops, the last one repeats
+const RECONNECT_DELAYS = [1000, 5000, 15000, 30000];
+const MAX_RECONNECTS = 10;
+
+/**
+ * Client for the console websocket of a Pterodactyl server.
+ *
+ * Credentials come from the panel's /servers/{id}/websocket endpoint and are
+ * fetched again whenever the daemon says the token is expiring or expired.
+ * Every frame is JSON `{ event, args }`; the ones used here are:
+ * - sent: auth, send logs, send command
+ * - received: auth success, console output, status, stats, token expiring,
+ *   token expired, jwt error, daemon error
+ *
+ * Events emitted:
+ * - ready: authenticated, console output follows (with the recent output
+ *   on the first connection)
+ * - output (line): a console line, ANSI colours removed
+ * - status (state): the server's power state
+ * - stats (stats): the parsed resource usage
+ * - error (error): the daemon refused something
+ * - close: closed for good, by close() or after too many reconnects
+ */
+class PanelSocket extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getCredentials - Async, resolves to { token, socket }
+   * @param {string} [options.origin] - Origin header, the daemon only accepts the panel's
+   * @param {string} [options.name] - Name used in logs
+   */
+  constructor({ getCredentials, origin = null, name = 'server' }) {
+    super();
+    this.getCredentials = getCredentials;
+    this.origin = origin;
+    this.name = name;
+    this.ws = null;
+    this.ready = false;
+    this.closed = false;
+    this.reconnects = 0;
+    this.reconnectTimer = null;
+    this.receivedLogs = false;
+  }
+
+  /**
+   * Open the socket and authenticate
+   * @returns {Promise<void>} Resolves once authenticated
+   */
+  async connect() {
+    const { token, socket } = await this.getCredentials();
+
+    return new Promise((resolve, reject) => {
+      const ws = new WebSocket(socket, { headers: this.origin ? { Origin: this.origin } : {} });
+      this.ws = ws;
+
+      const fail = (error) => {
+        if (this.ready) return;
+        ws.removeAllListeners();
+        ws.terminate();
+        reject(error);
+      };
+
+      ws.once('open', () => this.send('auth', token));
+      ws.once('unexpected-response', (req, res) => fail(new Error(`The daemon refused the console connection (${res.statusCode})`)));
+      ws.on('error', (error) => {
+        if (!this.ready) return fail(error);
+        logger.debug(`Console socket of ${this.name} errored: ${error.message}`);
+      });
+
+      ws.on('message', (raw) => {
+        let frame;
+        try {
+          frame = JSON.parse(raw.toString());
+        } catch (error) {
+          return;
+        }
+
+        if (frame.event === 'auth success' && !this.ready) {
+          this.ready = true;
+          this.reconnects = 0;
+
+          // Recent output is only wanted once, reconnects would repeat it
+          if (!this.receivedLogs) {
+            this.receivedLogs = true;
+            this.send('send logs', null);
+          }
+
+          this.emit('ready');
+          resolve();
+        } else if (frame.event === 'jwt error' && !this.ready) {
+          fail(new Error(`The daemon rejected the console token: ${frame.args?.[0] || 'unknown error'}`));
+        } else {
+          this.handleFrame(frame);
+        }
+      });
+
+      ws.on('close', () => {
+        if (!this.ready) return fail(new Error('The console connection closed before authenticating'));
+
+        this.ready = false;
+        if (!this.closed) this.scheduleReconnect();
+      });
+    });
+  }
+
+  /**
+   * Handle a frame after authentication
+   * @param {Object} frame - { event, args }
+   */
+  handleFrame({ event, args = [] }) {
+    switch (event) {
+    case 'console output':
+    case 'install output':
+      for (const line of String(args[0] ?? '').split(/\r?\n/)) {
+        this.emit('output', stripAnsi(line));
+      }
+      break;
+    case 'status':
+      this.emit('status', args[0]);
+      break;
+    case 'stats':
+      try {
+        this.emit('stats', JSON.parse(args[0]));
+      } catch (error) {
+        logger.debug(`Invalid stats from the console socket of ${this.name}`);
+      }
+      break;
+    case 'token expiring':
+      this.reauthenticate();
+      break;
+    case 'token expired':
+      this.ws.close();
+      break;
+    case 'jwt error':
+    case 'daemon error':
+      this.emit('error', new Error(args[0] || event));
+      break;
+    }
+  }
+
+  /**
+   * Send a command to the console
+   * @param {string} command - The command
+   * @throws {Error} If the socket isn't authenticated
+   */
+  sendCommand(command) {
+    if (!this.ready) {
+      throw new Error('The console is not connected');
+    }
+
+    this.send('send command', command);
+  }
+
+  /**
+   * Send a frame
+   * @param {string} event - The event
+   * @param {*} arg - Its argument
+   */
+  send(event, arg) {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify({ event, args: [arg] }));
+    }
+  }
+
+  /**
+   * Authenticate again with a fresh token before the current one expires
+   * @returns {Promise<void>}
+   */
+  async reauthenticate() {
+    try {
+      const { token } = await this.getCredentials();
+      this.send('auth', token);
+    } catch (error) {
+      logger.warn(`Could not refresh the console token of ${this.name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reconnect after the socket dropped, giving up after MAX_RECONNECTS tries
+   */
+  scheduleReconnect() {
+    if (this.reconnects >= MAX_RECONNECTS) {
+      logger.warn(`Gave up reconnecting to the console of ${this.name}`);
+      this.close();
+      return;
+    }
+
+    const delay = RECONNECT_DELAYS[Math.min(this.reconnects, RECONNECT_DELAYS.length - 1)];
+    this.reconnects++;
+
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      if (this.closed) return;
+
+      try {
+        await this.connect();
+        logger.info(`Reconnected to the console of ${this.name}`);
+      } catch (error) {
+        logger.debug(`Reconnecting to the console of ${this.name} failed: ${error.message}`);
+        this.scheduleReconnect();
+      }
+    }, delay);
+  }
+
+  /**
+   * Close the socket for good
+   */
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    this.ready = false;
+
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+
+    if (this.ws) {
+      this.ws.removeAllListeners();
+      this.ws.on('error', () => {});
+      this.ws.close();
+    }
+
+    this.emit('close');
+  }
+}
+
+/**
+ * Remove ANSI escape sequences, the daemon colours its console output
+ * @param {string} value - The text
+ * @returns {string} The plain text
+ */
+function stripAnsi(value) {
+  return value.replace(ANSI_PATTERN, '');
+}
+
+module.exports = PanelSocket;
@@ -0,0 +1,121 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const logger = require('./logger');
+
+// setTimeout overflows past ~24.8 days, longer delays are re-armed in steps
+const MAX_TIMEOUT = 2147483647;
+
+// Name the bot manager registers SchedulerManager under
+const SCHEDULER_MODULE = 'scheduler-manager';
+
+// Timers used when the scheduler manager isn't available
+const fallbackTimers = new Map();
+
+/**
+ * Get the bot manager's scheduler, if the managers are running
+ * @returns {Promise<Object|null>} The scheduler manager or null
+ */
+async function getScheduler() {
+  const bot = global.managers?.bot;
+
+  // getModule throws and logs for modules that aren't loaded, so check first
+  if (!bot || typeof bot.getModuleNames !== 'function' || !bot.getModuleNames().includes(SCHEDULER_MODULE)) {
+    return null;
+  }
+
+  try {
+    return bot.getModule(SCHEDULER_MODULE);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Run a handler once at a given time. Jobs scheduled for a time that has
+ * already passed run straight away.
+ * @param {string} id - Unique job ID, scheduling the same ID again replaces the job
+ * @param {string} name - Human readable job name
+ * @param {Date|number} date - When to run the job
+ * @param {Function} handler - The handler, called with data
+ * @param {Object} [data={}] - Data passed to the handler
+ * @returns {Promise<string>} The job ID
+ */
+async function scheduleAt(id, name, date, handler, data = {}) {
+  await cancel(id);
+
+  const time = date instanceof Date ? date.getTime() : date;
+  const run = () => Promise.resolve()
+    .then(() => handler(data))
+    .catch((error) => logger.error(`Scheduled job ${name} (${id}) failed: ${error.message}`));
+
+  if (time <= Date.now()) {
+    run();
+    return id;
+  }
+
+  const scheduler = await getScheduler();
+  if (scheduler) {
+    scheduler.scheduleTask({
+      id,
+      name,
+      handler: run,
+      data,
+      schedule: { type: 'date', date: new Date(time) },
+    });
+    return id;
+  }
+
+  const arm = () => {
+    const delay = time - Date.now();
+    const timer = setTimeout(() => {
+      if (delay > MAX_TIMEOUT) {
+        arm();
+        return;
+      }
+
+      fallbackTimers.delete(id);
+      run();
+    }, Math.min(Math.max(delay, 0), MAX_TIMEOUT));
+
+    fallbackTimers.set(id, timer);
+  };
+
+  arm();
+  return id;
+}
+
+/**
+ * Cancel a scheduled job
+ * @param {string} id - The job ID
+ * @returns {Promise<boolean>} Whether a job was cancelled
+ */
+async function cancel(id) {
+  let cancelled = false;
+
+  if (fallbackTimers.has(id)) {
+    clearTimeout(fallbackTimers.get(id));
+    fallbackTimers.delete(id);
+    cancelled = true;
+  }
+
+  const scheduler = await getScheduler();
+  if (scheduler && scheduler.cancelTask(id)) {
+    cancelled = true;
+  }
+
+  return cancelled;
+}
+
+module.exports = {
+  getScheduler,
+  scheduleAt,
+  cancel,
+};
@@ -8,11 +8,17 @@
  * LICENSE file in the root directory of this source tree.
  */
 
-const { EmbedBuilder } = require('discord.js');
+const { EmbedBuilder, AttachmentBuilder } = require('discord.js');
 const logger = require('./logger');
 const config = require('../../config.json');
+const uptimeHistory = require('../modules/uptimeHistory');
 const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
+const fs = require('fs/promises');
 const os = require('os');
+const path = require('path');
+
+const NODES_FILE = path.join(__dirname, '../../data/nodes.json');
+const PROBE_TIMEOUT = 5000;
 
 class StatusMonitor {
   constructor() {
@@ -24,6 +30,7 @@ class StatusMonitor {
       responseTime: null,
       error: null
     };
+    this.nodeStatuses = {};
     this.statusChannelId = config.channels?.status || null;
     this.botStatusMessageId = null;
     this.panelStatusMessageId = null;
@@ -49,7 +56,7 @@ class StatusMonitor {
     // Update bot status every 5 minutes
     setInterval(() => this.updateBotStatus(), 5 * 60 * 1000);
     
-    // Check panel status every 2 minutes
+    // Check panel and node status every 2 minutes
     setInterval(() => this.checkPanelStatus(), 2 * 60 * 1000);
     
     // Initial updates
@@ -64,7 +71,7 @@ class StatusMonitor {
     if (!this.statusChannelId || !this.client) return;
     
     try {
-      const statusChannel = await this.client.channels.fetch(this.statusChannelId).catch(() => null);
+      const statusChannel = await this.getStatusChannel();
       
       if (!statusChannel) {
         logger.warn('Status channel not found');
@@ -135,7 +142,7 @@ class StatusMonitor {
   }
 
   /**
-   * Check the panel status
+   * Check the panel and node status, recording each probe in the uptime history
    */
   async checkPanelStatus() {
     if (!process.env.PTERODACTYL_API_URL) {
@@ -146,22 +153,29 @@ class StatusMonitor {
         error: 'Panel URL not configured'
       };
       
+      await this.checkNodeStatuses();
       await this.updatePanelStatus();
       return;
     }
     
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), PROBE_TIMEOUT);
+    
     try {
       const startTime = Date.now();
       
-      // Try to fetch the panel API
-      const response = await fetch(`${process.env.PTERODACTYL_API_URL}/api`, {
+      // Fetch the API key's account, a cheap request that needs the panel and its database
+      const response = await fetch(`${process.env.PTERODACTYL_API_URL}/account`, {
         method: 'GET',
         headers: {
+          'Authorization': `Bearer ${process.env.PTERODACTYL_API_KEY}`,
           'Accept': 'application/json'
         },
-        timeout: 5000 // 5 second timeout
+        signal: controller.signal
       });
       
+      await response.text().catch(() => null);
+      
       const endTime = Date.now();
       const responseTime = endTime - startTime;
       
@@ -177,13 +191,73 @@ class StatusMonitor {
         online: false,
         lastChecked: new Date(),
         responseTime: null,
-        error: error.message
+        error: error.name === 'AbortError' ? `No response within ${PROBE_TIMEOUT / 1000} seconds` : error.message
       };
+    } finally {
+      clearTimeout(timer);
     }
     
+    await uptimeHistory.record('panel', {
+      online: this.panelStatus.online,
+      latency: this.panelStatus.responseTime,
+      error: this.panelStatus.error,
+      checkedAt: this.panelStatus.lastChecked
+    });
+    
+    await this.checkNodeStatuses();
     await this.updatePanelStatus();
   }
 
+  /**
+   * Probe every node in data/nodes.json that has a url. Any HTTP response
+   * counts as online, the daemon answers unauthenticated requests with 401.
+   */
+  async checkNodeStatuses() {
+    const nodes = await loadNodes();
+    const statuses = {};
+    
+    for (const node of Object.values(nodes)) {
+      if (!node.url) continue;
+      
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), PROBE_TIMEOUT);
+      const startTime = Date.now();
+      let status;
+      
+      try {
+        const response = await fetch(node.url, { method: 'GET', redirect: 'manual', signal: controller.signal });
+        await response.text().catch(() => null);
+        
+        status = {
+          online: response.status < 500,
+          lastChecked: new Date(),
+          responseTime: Date.now() - startTime,
+          error: response.status < 500 ? null : `HTTP ${response.status}: ${response.statusText}`
+        };
+      } catch (error) {
+        status = {
+          online: false,
+          lastChecked: new Date(),
+          responseTime: null,
+          error: error.name === 'AbortError' ? `No response within ${PROBE_TIMEOUT / 1000} seconds` : error.message
+        };
+      } finally {
+        clearTimeout(timer);
+      }
+      
+      statuses[node.id] = status;
+      
+      await uptimeHistory.record(`node:${node.id}`, {
+        online: status.online,
+        latency: status.responseTime,
+        error: status.error,
+        checkedAt: status.lastChecked
+      });
+    }
+    
+    this.nodeStatuses = statuses;
+  }
+
   /**
    * Update the panel status embed
    */
@@ -191,7 +265,7 @@ class StatusMonitor {
     if (!this.statusChannelId || !this.client) return;
     
     try {
-      const statusChannel = await this.client.channels.fetch(this.statusChannelId).catch(() => null);
+      const statusChannel = await this.getStatusChannel();
       
       if (!statusChannel) {
         logger.warn('Status channel not found');
@@ -218,6 +292,25 @@ class StatusMonitor {
         panelStatusEmbed.addFields({ name: 'Error', value: this.panelStatus.error, inline: false });
       }
       
+      // Add the rolling uptime and a sparkline of the last day
+      const files = [];
+      try {
+        const stats = await uptimeHistory.getStats('panel');
+        const day = stats.windows['24h'];
+        
+        if (day.probes > 0) {
+          panelStatusEmbed.addFields(
+            { name: 'Uptime', value: Object.entries(stats.windows).map(([name, window]) => `${name} **${formatUptime(window.uptime)}**`).join(' · '), inline: false },
+            { name: 'Latency (24h)', value: `p50 ${formatLatency(day.latency.p50)} · p95 ${formatLatency(day.latency.p95)} · p99 ${formatLatency(day.latency.p99)}`, inline: false }
+          );
+          
+          files.push(new AttachmentBuilder(await this.renderUptimeImage(day.uptime), { name: 'uptime.png' }));
+          panelStatusEmbed.setImage('attachment://uptime.png');
+        }
+      } catch (error) {
+        logger.warn(`Could not add the uptime history to the panel status: ${error.message}`);
+      }
+      
       // Try to find existing status message
       if (!this.panelStatusMessageId) {
         const messages = await statusChannel.messages.fetch({ limit: 20 });
@@ -236,16 +329,16 @@ class StatusMonitor {
         // Update existing message
         try {
           const statusMessage = await statusChannel.messages.fetch(this.panelStatusMessageId);
-          await statusMessage.edit({ embeds: [panelStatusEmbed] });
+          await statusMessage.edit({ embeds: [panelStatusEmbed], files, attachments: [] });
         } catch (error) {
           // If message not found, reset ID and send new message
           this.panelStatusMessageId = null;
-          const newMessage = await statusChannel.send({ embeds: [panelStatusEmbed] });
+          const newMessage = await statusChannel.send({ embeds: [panelStatusEmbed], files });
           this.panelStatusMessageId = newMessage.id;
         }
       } else {
         // Send new message
-        const newMessage = await statusChannel.send({ embeds: [panelStatusEmbed] });
+        const newMessage = await statusChannel.send({ embeds: [panelStatusEmbed], files });
         this.panelStatusMessageId = newMessage.id;
       }
       
@@ -254,6 +347,42 @@ class StatusMonitor {
     }
   }
 
+  /**
+   * Render the last day of the panel and every probed node as sparklines
+   * @param {number|null} panelUptime - The panel's 24 hour uptime
+   * @returns {Promise<Buffer>} The PNG image
+   */
+  async renderUptimeImage(panelUptime) {
+    const rows = [{ label: 'Panel', series: await uptimeHistory.getSeries('panel'), uptime: panelUptime }];
+    
+    for (const nodeId of Object.keys(this.nodeStatuses).sort()) {
+      const stats = await uptimeHistory.getStats(`node:${nodeId}`);
+      rows.push({
+        label: `Node ${nodeId}`,
+        series: await uptimeHistory.getSeries(`node:${nodeId}`),
+        uptime: stats.windows['24h'].uptime
+      });
+    }
+    
+    return uptimeHistory.renderSparklines(rows);
+  }
+
+  /**
+   * Find the status channel by ID, or by name in any guild
+   * @returns {Promise<Channel|null>} The channel
+   */
+  async getStatusChannel() {
+    const channel = await this.client.channels.fetch(this.statusChannelId).catch(() => null);
+    if (channel) return channel;
+    
+    for (const guild of this.client.guilds.cache.values()) {
+      const found = guild.channels.cache.find(c => c.name === this.statusChannelId);
+      if (found) return found;
+    }
+    
+    return null;
+  }
+
   /**
    * Get formatted uptime string
    * @returns {string} Formatted uptime
@@ -277,6 +406,39 @@ class StatusMonitor {
   }
 }
 
+/**
+ * Load data/nodes.json
+ * @returns {Promise<Object>} The nodes, by ID
+ */
+async function loadNodes() {
+  try {
+    return JSON.parse(await fs.readFile(NODES_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn(`Could not read the nodes file: ${error.message}`);
+    }
+    return {};
+  }
+}
+
+/**
+ * Format an uptime percentage
+ * @param {number|null} uptime - The uptime
+ * @returns {string} The formatted uptime
+ */
+function formatUptime(uptime) {
+  return uptime === null ? 'N/A' : `${uptime.toFixed(2)}%`;
+}
+
+/**
+ * Format a latency
+ * @param {number|null} latency - Milliseconds
+ * @returns {string} The formatted latency
+ */
+function formatLatency(latency) {
+  return latency === null ? 'N/A' : `${latency}ms`;
+}
+
 // Export a singleton instance
 const statusMonitor = new StatusMonitor();
 module.exports = statusMonitor; 
\ No newline at end of file
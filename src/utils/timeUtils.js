@@ -19,15 +19,21 @@ function formatDuration(ms) {
   const seconds = Math.floor(ms / 1000);
   const minutes = Math.floor(seconds / 60);
   const hours = Math.floor(minutes / 60);
+  const days = Math.floor(hours / 24);
 
   const parts = [];
 
-  if (hours > 0) {
-    parts.push(`${hours} hour${hours === 1 ? '' : 's'}`);
+  if (days > 0) {
+    parts.push(`${days} day${days === 1 ? '' : 's'}`);
+  }
+
+  const remainingHours = hours % 24;
+  if (remainingHours > 0) {
+    parts.push(`${remainingHours} hour${remainingHours === 1 ? '' : 's'}`);
   }
   
   const remainingMinutes = minutes % 60;
-  if (remainingMinutes > 0) {
+  if (remainingMinutes > 0 && days === 0) { // Only show minutes if less than a day
     parts.push(`${remainingMinutes} minute${remainingMinutes === 1 ? '' : 's'}`);
   }
   
@@ -39,6 +45,31 @@ function formatDuration(ms) {
   return parts.join(' and ');
 }
 
+/**
+ * Format a date the way SQLite stores CURRENT_TIMESTAMP (UTC, `YYYY-MM-DD HH:MM:SS`)
+ * @param {Date|number} [date=new Date()] - The date to format
+ * @returns {string} - SQL timestamp string
+ */
+function toSqlDateTime(date = new Date()) {
+  return new Date(date).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Parse a timestamp stored by toSqlDateTime (or SQLite's CURRENT_TIMESTAMP).
+ * Older rows that stored milliseconds are accepted too.
+ * @param {string|number} value - The stored timestamp
+ * @returns {Date} - The date
+ */
+function parseSqlDate(value) {
+  if (/^\d+$/.test(String(value))) {
+    return new Date(Number(value));
+  }
+
+  return new Date(`${String(value).replace(' ', 'T')}Z`);
+}
+
 module.exports = {
-  formatDuration
+  formatDuration,
+  toSqlDateTime,
+  parseSqlDate,
 }; 
\ No newline at end of file
@@ -0,0 +1,348 @@
+/**
+ * JMF Hosting Discord Bot
+ *
+ * © 2025 JMFHosting. All Rights Reserved.
+ * Developed by Nanaimo2013 (https://github.com/Nanaimo2013)
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
+const logger = require('./logger');
+
+// Discord returns at most 100 messages per request
+const PAGE_SIZE = 100;
+
+// Images above this size are linked instead of embedded in the file
+const MAX_INLINE_SIZE = 2 * 1024 * 1024;
+
+/**
+ * Fetch every message in a channel, oldest first
+ * @param {TextChannel} channel - The channel
+ * @returns {Promise<Array<Message>>} The messages
+ */
+async function fetchAllMessages(channel) {
+  const messages = [];
+  let before;
+
+  for (;;) {
+    const page = await channel.messages.fetch({ limit: PAGE_SIZE, before });
+    messages.push(...page.values());
+
+    if (page.size < PAGE_SIZE) break;
+    before = page.last().id;
+  }
+
+  return messages.reverse();
+}
+
+/**
+ * Render a channel's messages as a self-contained HTML page. Avatars and
+ * small images are embedded as data URIs, so the file keeps working after
+ * the channel and its CDN links are gone.
+ * @param {Array<Message>} messages - The messages, oldest first
+ * @param {Object} info - The page header
+ * @param {string} info.title - The page title
+ * @param {Array<Array<string>>} [info.details] - Label and value pairs shown under the title
+ * @param {Map<string, Array<Object>>} [info.edits] - Earlier versions of edited messages by message ID, as { content, editedAt }
+ * @param {number} [info.inlineLimit] - Total bytes of images to embed
+ * @returns {Promise<string>} The HTML
+ */
+async function renderTranscript(messages, info) {
+  const inliner = createInliner(info.inlineLimit !== undefined ? info.inlineLimit : 8 * 1024 * 1024);
+  const edits = info.edits || new Map();
+  const rendered = [];
+
+  for (const message of messages) {
+    rendered.push(await renderMessage(message, inliner, edits.get(message.id) || []));
+  }
+
+  const details = (info.details || [])
+    .map(([label, value]) => `<div><span class="label">${escapeHtml(label)}</span> ${escapeHtml(value)}</div>`)
+    .join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(info.title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(info.title)}</h1>
+${details}
+<div><span class="label">Messages</span> ${messages.length}</div>
+</header>
+<main>
+${rendered.join('\n')}
+</main>
+<footer>Transcript generated ${escapeHtml(new Date().toUTCString())}</footer>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a single message
+ * @param {Message} message - The message
+ * @param {Function} inline - Turns a URL into a data URI if it fits the budget
+ * @param {Array<Object>} edits - Earlier versions of the message
+ * @returns {Promise<string>} The HTML
+ */
+async function renderMessage(message, inline, edits) {
+  const author = message.author;
+  const avatar = await inline(author.displayAvatarURL({ extension: 'png', size: 64 }));
+  const parts = [];
+
+  if (message.content) {
+    parts.push(`<div class="content">${formatContent(message.content, message)}</div>`);
+  }
+
+  if (edits.length > 0) {
+    const versions = edits
+      .map((edit) => `<li><time>${escapeHtml(formatTime(edit.editedAt))}</time> ${formatContent(edit.content || '', message)}</li>`)
+      .join('');
+    parts.push(`<details class="edits"><summary>${edits.length} earlier version${edits.length === 1 ? '' : 's'}</summary><ul>${versions}</ul></details>`);
+  }
+
+  for (const attachment of message.attachments.values()) {
+    parts.push(await renderAttachment(attachment, inline));
+  }
+
+  for (const embed of message.embeds) {
+    parts.push(await renderEmbed(embed, inline));
+  }
+
+  if (message.reactions.cache.size > 0) {
+    const reactions = message.reactions.cache
+      .map((reaction) => {
+        const emoji = reaction.emoji.id
+          ? `<img class="emoji" src="${escapeHtml(reaction.emoji.imageURL())}" alt=":${escapeHtml(reaction.emoji.name)}:">`
+          : escapeHtml(reaction.emoji.name);
+        return `<span class="reaction">${emoji} ${reaction.count}</span>`;
+      })
+      .join('');
+    parts.push(`<div class="reactions">${reactions}</div>`);
+  }
+
+  const edited = message.editedAt
+    ? ` <span class="edited" title="${escapeHtml(formatTime(message.editedAt))}">(edited)</span>`
+    : '';
+
+  return `<article class="message" id="m${message.id}">
+<img class="avatar" src="${escapeHtml(avatar)}" alt="">
+<div class="body">
+<div class="meta"><span class="author${author.bot ? ' bot' : ''}">${escapeHtml(author.tag)}</span>${author.bot ? '<span class="tag">BOT</span>' : ''} <time>${escapeHtml(formatTime(message.createdAt))}</time>${edited}</div>
+${parts.join('\n')}
+</div>
+</article>`;
+}
+
+/**
+ * Render an attachment, embedding images that fit the budget
+ * @param {Attachment} attachment - The attachment
+ * @param {Function} inline - Turns a URL into a data URI if it fits the budget
+ * @returns {Promise<string>} The HTML
+ */
+async function renderAttachment(attachment, inline) {
+  const name = escapeHtml(attachment.name || 'attachment');
+  const isImage = (attachment.contentType || '').startsWith('image/');
+
+  if (isImage && attachment.size <= MAX_INLINE_SIZE) {
+    const src = await inline(attachment.url);
+    return `<div class="attachment"><a href="${escapeHtml(attachment.url)}"><img src="${escapeHtml(src)}" alt="${name}"></a></div>`;
+  }
+
+  return `<div class="attachment file"><a href="${escapeHtml(attachment.url)}">${name}</a> <span class="size">${formatSize(attachment.size)}</span></div>`;
+}
+
+/**
+ * Render an embed
+ * @param {Embed} embed - The embed
+ * @param {Function} inline - Turns a URL into a data URI if it fits the budget
+ * @returns {Promise<string>} The HTML
+ */
+async function renderEmbed(embed, inline) {
+  const color = embed.hexColor || '#4f545c';
+  const parts = [];
+
+  if (embed.author?.name) {
+    parts.push(`<div class="embed-author">${escapeHtml(embed.author.name)}</div>`);
+  }
+
+  if (embed.title) {
+    const title = escapeHtml(embed.title);
+    parts.push(`<div class="embed-title">${embed.url ? `<a href="${escapeHtml(embed.url)}">${title}</a>` : title}</div>`);
+  }
+
+  if (embed.description) {
+    parts.push(`<div class="embed-description">${formatContent(embed.description)}</div>`);
+  }
+
+  if (embed.fields.length > 0) {
+    const fields = embed.fields
+      .map((field) => `<div class="embed-field${field.inline ? ' inline' : ''}"><div class="embed-field-name">${formatContent(field.name)}</div><div>${formatContent(field.value)}</div></div>`)
+      .join('');
+    parts.push(`<div class="embed-fields">${fields}</div>`);
+  }
+
+  if (embed.image?.url) {
+    parts.push(`<img class="embed-image" src="${escapeHtml(await inline(embed.image.url))}" alt="">`);
+  }
+
+  if (embed.footer?.text || embed.timestamp) {
+    const footer = [embed.footer?.text, embed.timestamp ? formatTime(new Date(embed.timestamp)) : null].filter(Boolean).join(' • ');
+    parts.push(`<div class="embed-footer">${escapeHtml(footer)}</div>`);
+  }
+
+  const thumbnail = embed.thumbnail?.url
+    ? `<img class="embed-thumbnail" src="${escapeHtml(await inline(embed.thumbnail.url))}" alt="">`
+    : '';
+
+  return `<div class="embed" style="border-color: ${escapeHtml(color)}">${thumbnail}${parts.join('')}</div>`;
+}
+
+/**
+ * Create a function that downloads images and returns them as data URIs until
+ * the byte budget runs out. Anything that can't be embedded keeps its URL.
+ * @param {number} budget - Total bytes to embed
+ * @returns {Function} async (url) => string
+ */
+function createInliner(budget) {
+  const cache = new Map();
+  let remaining = budget;
+
+  return async (url) => {
+    if (!url || remaining <= 0) return url;
+    if (cache.has(url)) return cache.get(url);
+
+    let result = url;
+    try {
+      const response = await fetch(url);
+      if (response.ok) {
+        const buffer = Buffer.from(await response.arrayBuffer());
+        if (buffer.length <= Math.min(remaining, MAX_INLINE_SIZE)) {
+          remaining -= buffer.length;
+          result = `data:${response.headers.get('content-type') || 'image/png'};base64,${buffer.toString('base64')}`;
+        }
+      }
+    } catch (error) {
+      logger.warn(`Could not embed ${url} in transcript: ${error.message}`);
+    }
+
+    cache.set(url, result);
+    return result;
+  };
+}
+
+/**
+ * Escape text and apply the basic Discord formatting: mentions, bold,
+ * italics, inline code, code blocks and line breaks
+ * @param {string} text - The text
+ * @param {Message} [message] - The message, used to resolve mentions
+ * @returns {string} The HTML
+ */
+function formatContent(text, message = null) {
+  let html = escapeHtml(text);
+
+  html = html.replace(/```(?:\w+\n)?([\s\S]*?)```/g, '<pre>$1</pre>');
+  html = html.replace(/`([^`\n]+)`/g, '<code>$1</code>');
+  html = html.replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
+  html = html.replace(/\*([^*\n]+)\*/g, '<em>$1</em>');
+
+  html = html.replace(/&lt;@!?(\d+)&gt;/g, (match, id) => {
+    const user = message?.mentions.users.get(id);
+    return `<span class="mention">@${escapeHtml(user ? user.username : id)}</span>`;
+  });
+  html = html.replace(/&lt;#(\d+)&gt;/g, (match, id) => {
+    const channel = message?.guild?.channels.cache.get(id);
+    return `<span class="mention">#${escapeHtml(channel ? channel.name : id)}</span>`;
+  });
+  html = html.replace(/&lt;@&amp;(\d+)&gt;/g, (match, id) => {
+    const role = message?.guild?.roles.cache.get(id);
+    return `<span class="mention">@${escapeHtml(role ? role.name : id)}</span>`;
+  });
+
+  return html.replace(/\n/g, '<br>');
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} value - The value
+ * @returns {string} The escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Format a date for the transcript
+ * @param {Date} date - The date
+ * @returns {string} e.g. 2025-03-12 14:05 UTC
+ */
+function formatTime(date) {
+  return `${new Date(date).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+/**
+ * Format a file size
+ * @param {number} bytes - The size in bytes
+ * @returns {string} e.g. 1.2 MB
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+const STYLES = `
+body { margin: 0; background: #313338; color: #dbdee1; font: 15px/1.4 "gg sans", "Helvetica Neue", Helvetica, Arial, sans-serif; }
+header { padding: 16px 24px; background: #2b2d31; border-bottom: 1px solid #1e1f22; }
+header h1 { margin: 0 0 8px; font-size: 20px; color: #f2f3f5; }
+.label { color: #949ba4; text-transform: uppercase; font-size: 12px; font-weight: 600; }
+main { padding: 8px 0; }
+footer { padding: 16px 24px; color: #949ba4; font-size: 12px; }
+.message { display: flex; padding: 6px 24px; }
+.message:hover { background: #2e3035; }
+.avatar { width: 40px; height: 40px; border-radius: 50%; margin-right: 16px; flex-shrink: 0; }
+.body { min-width: 0; flex: 1; }
+.author { font-weight: 600; color: #f2f3f5; }
+.tag { margin-left: 4px; padding: 0 4px; border-radius: 3px; background: #5865f2; color: #fff; font-size: 10px; font-weight: 600; }
+time, .edited, .size { color: #949ba4; font-size: 12px; }
+.content { white-space: normal; word-wrap: break-word; }
+.mention { background: rgba(88, 101, 242, 0.3); color: #c9cdfb; border-radius: 3px; padding: 0 2px; }
+code, pre { background: #2b2d31; border-radius: 4px; font-family: Consolas, monospace; font-size: 13px; }
+code { padding: 1px 4px; }
+pre { padding: 8px; white-space: pre-wrap; }
+a { color: #00a8fc; }
+.attachment img, .embed-image { max-width: 400px; max-height: 300px; border-radius: 4px; margin-top: 4px; }
+.attachment.file { display: inline-block; margin-top: 4px; padding: 8px 12px; background: #2b2d31; border: 1px solid #1e1f22; border-radius: 4px; }
+.embed { max-width: 520px; margin-top: 4px; padding: 8px 16px 12px 12px; background: #2b2d31; border-left: 4px solid; border-radius: 4px; overflow: hidden; }
+.embed-thumbnail { float: right; max-width: 80px; max-height: 80px; margin-left: 16px; border-radius: 4px; }
+.embed-author { font-size: 13px; font-weight: 600; margin-top: 4px; }
+.embed-title { font-weight: 600; color: #f2f3f5; margin-top: 4px; }
+.embed-description { font-size: 14px; margin-top: 4px; }
+.embed-fields { display: flex; flex-wrap: wrap; gap: 8px 16px; margin-top: 8px; }
+.embed-field { flex: 1 1 100%; font-size: 14px; }
+.embed-field.inline { flex: 1 1 30%; }
+.embed-field-name { font-weight: 600; color: #f2f3f5; }
+.embed-footer { margin-top: 8px; font-size: 12px; color: #949ba4; }
+.reactions { margin-top: 4px; }
+.reaction { display: inline-block; margin-right: 4px; padding: 2px 6px; background: #2b2d31; border: 1px solid #1e1f22; border-radius: 8px; font-size: 14px; }
+.emoji { width: 16px; height: 16px; vertical-align: middle; }
+.edits { margin-top: 4px; font-size: 13px; color: #b5bac1; }
+.edits ul { margin: 4px 0; padding-left: 20px; }
+`;
+
+module.exports = {
+  fetchAllMessages,
+  renderTranscript,
+  escapeHtml,
+};
@@ -12,6 +12,7 @@ const { EmbedBuilder } = require('discord.js');
 const fs = require('fs/promises');
 const path = require('path');
 const logger = require('./logger');
+const cases = require('../modules/cases');
 const config = require('../../config.json');
 
 class UserLogger {
@@ -61,10 +62,12 @@ class UserLogger {
           leftAt: [],
           warnings: [],
           bans: [],
+          unbans: [],
           kicks: [],
           mutes: [],
           notes: [],
           tickets: [],
+          automod: [],
           roles: [],
           lastSeen: null,
           totalMessages: 0,
@@ -199,49 +202,103 @@ class UserLogger {
     }
   }
 
+  /**
+   * Record a moderation case. Cases go to the database case store; without a
+   * database connection they fall back to the user's case file.
+   * @param {Object} guild - The Guild object
+   * @param {string} type - The case type (warning, ban, unban, kick, mute or note)
+   * @param {Object} user - The User object
+   * @param {Object|null} moderator - The User object of the moderator, null for automatic actions
+   * @param {Object} data - The reason, duration, expiresAt, metadata and source of the case
+   * @returns {Promise<Object>} The case, with its id and the user's total for the type
+   */
+  async recordCase(guild, type, user, moderator, data) {
+    if (cases.isAvailable()) {
+      const created = await cases.createCase(guild.id, { type, user, moderator, ...data });
+      const counts = await cases.getCaseCounts(guild.id, user.id);
+      return { ...created, id: created.caseNumber, total: counts[type] };
+    }
+    
+    const collection = cases.CASE_TYPES[type].legacy;
+    const userData = await this.getUserData(user.id);
+    userData[collection] = userData[collection] || [];
+    
+    const entry = {
+      id: userData[collection].length + 1,
+      [type === 'note' ? 'content' : 'reason']: data.reason,
+      moderatorId: moderator ? moderator.id : null,
+      moderatorTag: moderator ? moderator.tag : 'Automatic',
+      timestamp: new Date().toISOString(),
+      ...(data.duration ? { duration: data.duration } : {}),
+      ...(data.expiresAt ? { expiresAt: data.expiresAt.toISOString() } : {}),
+      ...(data.metadata || {})
+    };
+    
+    userData[collection].push(entry);
+    if (type !== 'note' && type !== 'unban') {
+      userData.lastSeen = new Date().toISOString();
+    }
+    
+    await this.saveUserData(user.id, userData);
+    return { ...entry, caseNumber: null, total: userData[collection].length };
+  }
+
+  /**
+   * Send an embed to the moderation logs channel
+   * @param {Object} guild - The Guild object
+   * @param {EmbedBuilder} embed - The embed to send
+   * @returns {Promise<void>}
+   */
+  async sendModerationLog(guild, embed) {
+    let channel = null;
+    
+    if (this.moderationLogsChannelId) {
+      channel = await guild.client.channels.fetch(this.moderationLogsChannelId).catch(() => null);
+    } else if (config.channels?.modLogs) {
+      channel = guild.channels.cache.find(c => c.name === config.channels.modLogs) || null;
+    }
+    
+    if (channel) {
+      await channel.send({ embeds: [embed] });
+    }
+  }
+
+  /**
+   * Get the title for a case log embed
+   * @param {string} label - The case type label
+   * @param {Object} entry - The case returned by recordCase
+   * @returns {string} The title
+   */
+  getCaseTitle(label, entry) {
+    return entry.caseNumber ? `Case #${entry.caseNumber} | ${label}` : `${label} #${entry.id}`;
+  }
+
   /**
    * Log a warning
+   * @param {Object} guild - The Guild object
    * @param {Object} user - The User object
    * @param {Object} moderator - The User object of the moderator
    * @param {string} reason - The reason for the warning
-   * @returns {Promise<Object>} The warning data
+   * @param {Object} [options] - Case options ({ source, metadata })
+   * @returns {Promise<Object>} The warning case
    */
-  async logWarning(user, moderator, reason, client) {
+  async logWarning(guild, user, moderator, reason, options = {}) {
     try {
-      const userData = await this.getUserData(user.id);
+      const warning = await this.recordCase(guild, 'warning', user, moderator, { reason, ...options });
       
-      const warning = {
-        id: userData.warnings.length + 1,
-        reason,
-        moderatorId: moderator.id,
-        moderatorTag: moderator.tag,
-        timestamp: new Date().toISOString()
-      };
-      
-      userData.warnings.push(warning);
-      userData.lastSeen = new Date().toISOString();
+      const warnEmbed = new EmbedBuilder()
+        .setColor('#FFA500')
+        .setTitle(this.getCaseTitle('Warning', warning))
+        .addFields(
+          { name: 'User', value: `${user.tag} (${user.id})`, inline: false },
+          { name: 'Moderator', value: `${moderator.tag} (${moderator.id})`, inline: false },
+          { name: 'Reason', value: reason || 'No reason provided', inline: false },
+          { name: 'Total Warnings', value: `${warning.total}`, inline: false }
+        )
+        .setTimestamp()
+        .setFooter({ text: config.footerText });
       
-      await this.saveUserData(user.id, userData);
-      
-      // Send log to moderation logs channel
-      if (this.moderationLogsChannelId && client) {
-        const channel = await client.channels.fetch(this.moderationLogsChannelId).catch(() => null);
-        if (channel) {
-          const warnEmbed = new EmbedBuilder()
-            .setColor('#FFA500')
-            .setTitle(`Warning #${warning.id}`)
-            .addFields(
-              { name: 'User', value: `${user.tag} (${user.id})`, inline: false },
-              { name: 'Moderator', value: `${moderator.tag} (${moderator.id})`, inline: false },
-              { name: 'Reason', value: reason || 'No reason provided', inline: false },
-              { name: 'Total Warnings', value: `${userData.warnings.length}`, inline: false }
-            )
-            .setTimestamp()
-            .setFooter({ text: config.footerText });
-          
-          await channel.send({ embeds: [warnEmbed] });
-        }
-      }
+      await this.sendModerationLog(guild, warnEmbed);
       
       logger.info(`User ${user.tag} (${user.id}) was warned by ${moderator.tag} (${moderator.id}) for: ${reason}`);
       return warning;
@@ -253,50 +310,34 @@ class UserLogger {
 
   /**
    * Log a ban
+   * @param {Object} guild - The Guild object
    * @param {Object} user - The User object
    * @param {Object} moderator - The User object of the moderator
    * @param {string} reason - The reason for the ban
    * @param {number} days - The number of days of messages to delete
-   * @returns {Promise<Object>} The ban data
+   * @param {Object} [options] - Case options ({ source, duration, expiresAt })
+   * @returns {Promise<Object>} The ban case
    */
-  async logBan(user, moderator, reason, days, client) {
+  async logBan(guild, user, moderator, reason, days, options = {}) {
     try {
-      const userData = await this.getUserData(user.id);
+      const { expiresAt = null } = options;
+      const ban = await this.recordCase(guild, 'ban', user, moderator, { reason, ...options, metadata: { days, ...options.metadata } });
       
-      const ban = {
-        id: userData.bans.length + 1,
-        reason,
-        moderatorId: moderator.id,
-        moderatorTag: moderator.tag,
-        timestamp: new Date().toISOString(),
-        days
-      };
-      
-      userData.bans.push(ban);
-      userData.lastSeen = new Date().toISOString();
-      
-      await this.saveUserData(user.id, userData);
+      const banEmbed = new EmbedBuilder()
+        .setColor('#FF0000')
+        .setTitle(this.getCaseTitle('Ban', ban))
+        .addFields(
+          { name: 'User', value: `${user.tag} (${user.id})`, inline: false },
+          { name: 'Moderator', value: `${moderator.tag} (${moderator.id})`, inline: false },
+          { name: 'Reason', value: reason || 'No reason provided', inline: false },
+          { name: 'Message Deletion', value: `${days} days`, inline: false },
+          { name: 'Expires', value: expiresAt ? `<t:${Math.floor(expiresAt.getTime() / 1000)}:R>` : 'Never', inline: false },
+          { name: 'Total Bans', value: `${ban.total}`, inline: false }
+        )
+        .setTimestamp()
+        .setFooter({ text: config.footerText });
       
-      // Send log to moderation logs channel
-      if (this.moderationLogsChannelId && client) {
-        const channel = await client.channels.fetch(this.moderationLogsChannelId).catch(() => null);
-        if (channel) {
-          const banEmbed = new EmbedBuilder()
-            .setColor('#FF0000')
-            .setTitle(`Ban #${ban.id}`)
-            .addFields(
-              { name: 'User', value: `${user.tag} (${user.id})`, inline: false },
-              { name: 'Moderator', value: `${moderator.tag} (${moderator.id})`, inline: false },
-              { name: 'Reason', value: reason || 'No reason provided', inline: false },
-              { name: 'Message Deletion', value: `${days} days`, inline: false },
-              { name: 'Total Bans', value: `${userData.bans.length}`, inline: false }
-            )
-            .setTimestamp()
-            .setFooter({ text: config.footerText });
-          
-          await channel.send({ embeds: [banEmbed] });
-        }
-      }
+      await this.sendModerationLog(guild, banEmbed);
       
       logger.info(`User ${user.tag} (${user.id}) was banned by ${moderator.tag} (${moderator.id}) for: ${reason}`);
       return ban;
@@ -306,49 +347,66 @@ class UserLogger {
     }
   }
 
+  /**
+   * Log an unban
+   * @param {Object} guild - The Guild object
+   * @param {Object} user - The User object (or an object with id and tag)
+   * @param {Object|null} moderator - The User object of the moderator, null when the ban expired
+   * @param {string} reason - The reason for the unban
+   * @param {Object} [options] - Case options ({ source, metadata })
+   * @returns {Promise<Object>} The unban case
+   */
+  async logUnban(guild, user, moderator, reason, options = {}) {
+    try {
+      const unban = await this.recordCase(guild, 'unban', user, moderator, { reason, ...options });
+      
+      const unbanEmbed = new EmbedBuilder()
+        .setColor('#00FF00')
+        .setTitle(this.getCaseTitle('Unban', unban))
+        .addFields(
+          { name: 'User', value: `${user.tag || 'Unknown'} (${user.id})`, inline: false },
+          { name: 'Moderator', value: moderator ? `${moderator.tag} (${moderator.id})` : 'Automatic (ban expired)', inline: false },
+          { name: 'Reason', value: reason || 'No reason provided', inline: false }
+        )
+        .setTimestamp()
+        .setFooter({ text: config.footerText });
+      
+      await this.sendModerationLog(guild, unbanEmbed);
+      
+      logger.info(`User ${user.tag || user.id} (${user.id}) was unbanned${moderator ? ` by ${moderator.tag} (${moderator.id})` : ''}: ${reason}`);
+      return unban;
+    } catch (error) {
+      logger.error(`Failed to log unban for ${user.id}: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Log a kick
+   * @param {Object} guild - The Guild object
    * @param {Object} user - The User object
    * @param {Object} moderator - The User object of the moderator
    * @param {string} reason - The reason for the kick
-   * @returns {Promise<Object>} The kick data
+   * @param {Object} [options] - Case options ({ source, metadata })
+   * @returns {Promise<Object>} The kick case
    */
-  async logKick(user, moderator, reason, client) {
+  async logKick(guild, user, moderator, reason, options = {}) {
     try {
-      const userData = await this.getUserData(user.id);
+      const kick = await this.recordCase(guild, 'kick', user, moderator, { reason, ...options });
       
-      const kick = {
-        id: userData.kicks.length + 1,
-        reason,
-        moderatorId: moderator.id,
-        moderatorTag: moderator.tag,
-        timestamp: new Date().toISOString()
-      };
+      const kickEmbed = new EmbedBuilder()
+        .setColor('#FF7F00')
+        .setTitle(this.getCaseTitle('Kick', kick))
+        .addFields(
+          { name: 'User', value: `${user.tag} (${user.id})`, inline: false },
+          { name: 'Moderator', value: `${moderator.tag} (${moderator.id})`, inline: false },
+          { name: 'Reason', value: reason || 'No reason provided', inline: false },
+          { name: 'Total Kicks', value: `${kick.total}`, inline: false }
+        )
+        .setTimestamp()
+        .setFooter({ text: config.footerText });
       
-      userData.kicks.push(kick);
-      userData.lastSeen = new Date().toISOString();
-      
-      await this.saveUserData(user.id, userData);
-      
-      // Send log to moderation logs channel
-      if (this.moderationLogsChannelId && client) {
-        const channel = await client.channels.fetch(this.moderationLogsChannelId).catch(() => null);
-        if (channel) {
-          const kickEmbed = new EmbedBuilder()
-            .setColor('#FF7F00')
-            .setTitle(`Kick #${kick.id}`)
-            .addFields(
-              { name: 'User', value: `${user.tag} (${user.id})`, inline: false },
-              { name: 'Moderator', value: `${moderator.tag} (${moderator.id})`, inline: false },
-              { name: 'Reason', value: reason || 'No reason provided', inline: false },
-              { name: 'Total Kicks', value: `${userData.kicks.length}`, inline: false }
-            )
-            .setTimestamp()
-            .setFooter({ text: config.footerText });
-          
-          await channel.send({ embeds: [kickEmbed] });
-        }
-      }
+      await this.sendModerationLog(guild, kickEmbed);
       
       logger.info(`User ${user.tag} (${user.id}) was kicked by ${moderator.tag} (${moderator.id}) for: ${reason}`);
       return kick;
@@ -360,52 +418,34 @@ class UserLogger {
 
   /**
    * Log a mute/timeout
+   * @param {Object} guild - The Guild object
    * @param {Object} user - The User object
    * @param {Object} moderator - The User object of the moderator
    * @param {string} reason - The reason for the mute
    * @param {number} duration - The duration in milliseconds
-   * @returns {Promise<Object>} The mute data
+   * @param {Object} [options] - Case options ({ source, metadata })
+   * @returns {Promise<Object>} The mute case
    */
-  async logMute(user, moderator, reason, duration, client) {
+  async logMute(guild, user, moderator, reason, duration, options = {}) {
     try {
-      const userData = await this.getUserData(user.id);
-      
-      const mute = {
-        id: userData.mutes.length + 1,
-        reason,
-        moderatorId: moderator.id,
-        moderatorTag: moderator.tag,
-        timestamp: new Date().toISOString(),
-        duration,
-        expiresAt: new Date(Date.now() + duration).toISOString()
-      };
+      const expiresAt = new Date(Date.now() + duration);
+      const mute = await this.recordCase(guild, 'mute', user, moderator, { reason, duration, expiresAt, ...options });
       
-      userData.mutes.push(mute);
-      userData.lastSeen = new Date().toISOString();
+      const muteEmbed = new EmbedBuilder()
+        .setColor('#FFFF00')
+        .setTitle(this.getCaseTitle('Timeout', mute))
+        .addFields(
+          { name: 'User', value: `${user.tag} (${user.id})`, inline: false },
+          { name: 'Moderator', value: `${moderator.tag} (${moderator.id})`, inline: false },
+          { name: 'Reason', value: reason || 'No reason provided', inline: false },
+          { name: 'Duration', value: this.formatDuration(duration), inline: false },
+          { name: 'Expires', value: `<t:${Math.floor(expiresAt.getTime() / 1000)}:F> (<t:${Math.floor(expiresAt.getTime() / 1000)}:R>)`, inline: false },
+          { name: 'Total Timeouts', value: `${mute.total}`, inline: false }
+        )
+        .setTimestamp()
+        .setFooter({ text: config.footerText });
       
-      await this.saveUserData(user.id, userData);
-      
-      // Send log to moderation logs channel
-      if (this.moderationLogsChannelId && client) {
-        const channel = await client.channels.fetch(this.moderationLogsChannelId).catch(() => null);
-        if (channel) {
-          const muteEmbed = new EmbedBuilder()
-            .setColor('#FFFF00')
-            .setTitle(`Timeout #${mute.id}`)
-            .addFields(
-              { name: 'User', value: `${user.tag} (${user.id})`, inline: false },
-              { name: 'Moderator', value: `${moderator.tag} (${moderator.id})`, inline: false },
-              { name: 'Reason', value: reason || 'No reason provided', inline: false },
-              { name: 'Duration', value: this.formatDuration(duration), inline: false },
-              { name: 'Expires', value: `<t:${Math.floor(new Date(mute.expiresAt).getTime() / 1000)}:F> (<t:${Math.floor(new Date(mute.expiresAt).getTime() / 1000)}:R>)`, inline: false },
-              { name: 'Total Timeouts', value: `${userData.mutes.length}`, inline: false }
-            )
-            .setTimestamp()
-            .setFooter({ text: config.footerText });
-          
-          await channel.send({ embeds: [muteEmbed] });
-        }
-      }
+      await this.sendModerationLog(guild, muteEmbed);
       
       logger.info(`User ${user.tag} (${user.id}) was timed out by ${moderator.tag} (${moderator.id}) for ${this.formatDuration(duration)}: ${reason}`);
       return mute;
@@ -417,50 +457,68 @@ class UserLogger {
 
   /**
    * Log a note about a user
+   * @param {Object} guild - The Guild object
    * @param {Object} user - The User object
    * @param {Object} moderator - The User object of the moderator
    * @param {string} content - The note content
-   * @returns {Promise<Object>} The note data
+   * @returns {Promise<Object>} The note case
+   */
+  async logNote(guild, user, moderator, content) {
+    try {
+      const note = await this.recordCase(guild, 'note', user, moderator, { reason: content });
+      
+      const noteEmbed = new EmbedBuilder()
+        .setColor('#00FFFF')
+        .setTitle(this.getCaseTitle('User Note', note))
+        .addFields(
+          { name: 'User', value: `${user.tag} (${user.id})`, inline: false },
+          { name: 'Moderator', value: `${moderator.tag} (${moderator.id})`, inline: false },
+          { name: 'Note', value: content, inline: false }
+        )
+        .setTimestamp()
+        .setFooter({ text: config.footerText });
+      
+      await this.sendModerationLog(guild, noteEmbed);
+      
+      logger.info(`Note added to ${user.tag} (${user.id}) by ${moderator.tag} (${moderator.id}): ${content}`);
+      return note;
+    } catch (error) {
+      logger.error(`Failed to log note for ${user.id}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Log an automod action against a user
+   * @param {Object} user - The User object
+   * @param {Object} action - The action details
+   * @param {number|null} action.ruleId - The matching automod rule ID (null for built-in filters)
+   * @param {string} action.ruleName - The matching rule name
+   * @param {string} action.action - The action taken
+   * @param {string} action.reason - The violations that triggered it
+   * @returns {Promise<Object>} The automod entry
    */
-  async logNote(user, moderator, content, client) {
+  async logAutoModAction(user, action) {
     try {
       const userData = await this.getUserData(user.id);
       
-      const note = {
-        id: userData.notes.length + 1,
-        content,
-        moderatorId: moderator.id,
-        moderatorTag: moderator.tag,
+      // Case files created before automod entries existed
+      if (!userData.automod) userData.automod = [];
+      
+      const entry = {
+        id: userData.automod.length + 1,
+        ...action,
         timestamp: new Date().toISOString()
       };
       
-      userData.notes.push(note);
+      userData.automod.push(entry);
       
       await this.saveUserData(user.id, userData);
       
-      // Send log to moderation logs channel
-      if (this.moderationLogsChannelId && client) {
-        const channel = await client.channels.fetch(this.moderationLogsChannelId).catch(() => null);
-        if (channel) {
-          const noteEmbed = new EmbedBuilder()
-            .setColor('#00FFFF')
-            .setTitle(`User Note #${note.id}`)
-            .addFields(
-              { name: 'User', value: `${user.tag} (${user.id})`, inline: false },
-              { name: 'Moderator', value: `${moderator.tag} (${moderator.id})`, inline: false },
-              { name: 'Note', value: content, inline: false }
-            )
-            .setTimestamp()
-            .setFooter({ text: config.footerText });
-          
-          await channel.send({ embeds: [noteEmbed] });
-        }
-      }
-      
-      logger.info(`Note added to ${user.tag} (${user.id}) by ${moderator.tag} (${moderator.id}): ${content}`);
-      return note;
+      logger.info(`AutoMod ${action.action} recorded for ${user.tag} (${user.id}) by rule ${action.ruleId || action.ruleName}: ${action.reason}`);
+      return entry;
     } catch (error) {
-      logger.error(`Failed to log note for ${user.id}: ${error.message}`);
+      logger.error(`Failed to log automod action for ${user.id}: ${error.message}`);
       throw error;
     }
   }
@@ -552,15 +610,54 @@ class UserLogger {
     return `${seconds} second${seconds === 1 ? '' : 's'}`;
   }
 
+  /**
+   * Get a user's moderation cases of one type, newest first
+   * @param {Object} guild - The Guild object
+   * @param {string} userId - The user's ID
+   * @param {string} type - The case type
+   * @param {number} limit - The maximum number of cases
+   * @returns {Promise<Object>} { total, entries } with entries shaped like case file entries
+   */
+  async getRecentCases(guild, userId, type, limit) {
+    if (cases.isAvailable()) {
+      const filters = { userId, type };
+      const [total, recent] = await Promise.all([
+        cases.countCases(guild.id, filters),
+        cases.listCases(guild.id, { ...filters, limit })
+      ]);
+      
+      return {
+        total,
+        entries: recent.map(entry => ({
+          id: entry.caseNumber,
+          reason: entry.reason,
+          content: entry.reason,
+          moderatorTag: entry.moderatorTag || 'Automatic',
+          timestamp: entry.createdAt.toISOString()
+        }))
+      };
+    }
+    
+    const userData = await this.getUserData(userId);
+    const entries = userData[cases.CASE_TYPES[type].legacy] || [];
+    return { total: entries.length, entries: entries.slice(-limit).reverse() };
+  }
+
   /**
    * Get a user's case file as an embed
    * @param {Object} user - The User object
+   * @param {Object} guild - The Guild object
    * @returns {Promise<Object>} The embed
    */
-  async getUserCaseFile(user) {
+  async getUserCaseFile(user, guild) {
     try {
       const userData = await this.getUserData(user.id);
       
+      // Moderation counts come from the case store when it is available
+      const counts = cases.isAvailable()
+        ? await cases.getCaseCounts(guild.id, user.id)
+        : Object.fromEntries(Object.entries(cases.CASE_TYPES).map(([type, { legacy }]) => [type, (userData[legacy] || []).length]));
+      
       const embed = new EmbedBuilder()
         .setColor(config.embedColor)
         .setTitle(`User Case File: ${user.tag}`)
@@ -571,54 +668,74 @@ class UserLogger {
           { name: 'Joined Server', value: userData.joinedAt ? `<t:${Math.floor(new Date(userData.joinedAt).getTime() / 1000)}:F>` : 'Unknown', inline: true },
           { name: 'Last Seen', value: userData.lastSeen ? `<t:${Math.floor(new Date(userData.lastSeen).getTime() / 1000)}:R>` : 'Unknown', inline: true },
           { name: 'Total Messages', value: userData.totalMessages.toString(), inline: true },
-          { name: 'Warnings', value: userData.warnings.length.toString(), inline: true },
-          { name: 'Bans', value: userData.bans.length.toString(), inline: true },
-          { name: 'Kicks', value: userData.kicks.length.toString(), inline: true },
-          { name: 'Timeouts', value: userData.mutes.length.toString(), inline: true },
-          { name: 'Notes', value: userData.notes.length.toString(), inline: true },
-          { name: 'Tickets', value: userData.tickets.length.toString(), inline: true }
+          { name: 'Warnings', value: counts.warning.toString(), inline: true },
+          { name: 'Bans', value: counts.ban.toString(), inline: true },
+          { name: 'Kicks', value: counts.kick.toString(), inline: true },
+          { name: 'Timeouts', value: counts.mute.toString(), inline: true },
+          { name: 'Notes', value: counts.note.toString(), inline: true },
+          { name: 'Tickets', value: userData.tickets.length.toString(), inline: true },
+          { name: 'AutoMod Actions', value: (userData.automod || []).length.toString(), inline: true }
         )
         .setTimestamp()
         .setFooter({ text: config.footerText });
       
       // Add recent warnings if any
-      if (userData.warnings.length > 0) {
-        const recentWarnings = userData.warnings.slice(-3).reverse();
+      const warnings = await this.getRecentCases(guild, user.id, 'warning', 3);
+      if (warnings.total > 0) {
         let warningsText = '';
         
-        recentWarnings.forEach(warning => {
+        warnings.entries.forEach(warning => {
           const date = new Date(warning.timestamp);
           warningsText += `**#${warning.id}** - <t:${Math.floor(date.getTime() / 1000)}:F>\n`;
           warningsText += `Reason: ${warning.reason}\n`;
           warningsText += `Moderator: ${warning.moderatorTag}\n\n`;
         });
         
-        if (userData.warnings.length > 3) {
-          warningsText += `*And ${userData.warnings.length - 3} more...*`;
+        if (warnings.total > 3) {
+          warningsText += `*And ${warnings.total - 3} more...*`;
         }
         
         embed.addFields({ name: 'Recent Warnings', value: warningsText || 'None', inline: false });
       }
       
       // Add recent notes if any
-      if (userData.notes.length > 0) {
-        const recentNotes = userData.notes.slice(-2).reverse();
+      const notes = await this.getRecentCases(guild, user.id, 'note', 2);
+      if (notes.total > 0) {
         let notesText = '';
         
-        recentNotes.forEach(note => {
+        notes.entries.forEach(note => {
           const date = new Date(note.timestamp);
           notesText += `**#${note.id}** - <t:${Math.floor(date.getTime() / 1000)}:F>\n`;
           notesText += `${note.content}\n`;
           notesText += `By: ${note.moderatorTag}\n\n`;
         });
         
-        if (userData.notes.length > 2) {
-          notesText += `*And ${userData.notes.length - 2} more...*`;
+        if (notes.total > 2) {
+          notesText += `*And ${notes.total - 2} more...*`;
         }
         
         embed.addFields({ name: 'Recent Notes', value: notesText || 'None', inline: false });
       }
       
+      // Add recent automod actions if any
+      if (userData.automod && userData.automod.length > 0) {
+        const recentActions = userData.automod.slice(-3).reverse();
+        let actionsText = '';
+        
+        recentActions.forEach(entry => {
+          const date = new Date(entry.timestamp);
+          actionsText += `**#${entry.id}** - <t:${Math.floor(date.getTime() / 1000)}:F>\n`;
+          actionsText += `${entry.action} by ${entry.ruleId ? `rule #${entry.ruleId}` : 'built-in filter'} (${entry.ruleName})\n`;
+          actionsText += `Reason: ${entry.reason}\n\n`;
+        });
+        
+        if (userData.automod.length > 3) {
+          actionsText += `*And ${userData.automod.length - 3} more...*`;
+        }
+        
+        embed.addFields({ name: 'Recent AutoMod Actions', value: actionsText, inline: false });
+      }
+      
       return embed;
     } catch (error) {
       logger.error(`Failed to get case file for ${user.id}: ${error.message}`);